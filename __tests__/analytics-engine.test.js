@@ -137,6 +137,50 @@ describe('AnalyticsEngine', () => {
         });
     });
 
+    describe('Step Correlations and Trend', () => {
+        const dayKey = offset => {
+            const date = new Date();
+            date.setDate(date.getDate() - offset);
+            return date.toISOString().split('T')[0];
+        };
+
+        beforeEach(() => {
+            const totals = [];
+            for (let i = 13; i >= 0; i--) {
+                const steps = 6000 + (13 - i) * 400;
+                totals.push({ date: dayKey(i), steps });
+                mockDashboard.mentalHealth.data.moodLogs.push({ timestamp: `${dayKey(i)}T20:00:00.000Z`, mood: 4 + Math.floor((13 - i) / 3) });
+            }
+            mockDashboard.steps = { getAllDailyTotals: jest.fn(() => totals) };
+        });
+
+        test('correlates mood with daily steps', () => {
+            const result = analytics.analyzeMoodStepsCorrelation(30);
+
+            expect(result.sampleSize).toBe(14);
+            expect(result.correlation).toBeGreaterThan(0.9);
+            expect(result.insight).toContain('mood and daily steps');
+            expect(analytics.analyzeSleepStepsCorrelation(30).correlation).toBeNull();
+        });
+
+        test('reports a rising step trend in the analytics report', () => {
+            const trend = analytics.analyzeStepTrends(30);
+            expect(trend).toMatchObject({ current: 11200, average: 8600, trend: 'improving', anomalies: 0 });
+
+            const report = analytics.generateReport(30);
+            expect(report.correlations.moodSteps.strength).toBe('Strong');
+            expect(report.insights.map(insight => insight.title)).toEqual(
+                expect.arrayContaining(['Mood & Steps Correlation', 'Step Trend'])
+            );
+        });
+
+        test('needs a week of steps and works without a step tracker', () => {
+            delete mockDashboard.steps;
+            expect(analytics.analyzeStepTrends(30).message).toContain('7 days of step data');
+            expect(analytics.analyzeMoodStepsCorrelation(30).correlation).toBeNull();
+        });
+    });
+
     describe('Trend Prediction', () => {
         test('should predict upward trend', () => {
             const data = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
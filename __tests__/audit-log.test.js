@@ -0,0 +1,174 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../audit-log');
+const DataEncryption = require('../data-encryption');
+const MedicationDatabase = require('../medication-db');
+const { EnhancedMedicationTracker } = require('../medication-tracker-enhanced');
+
+describe('AuditLog', () => {
+    let tmpDir;
+    let auditLog;
+
+    const lines = () => fs.readFileSync(auditLog.filePath, 'utf8').trim().split('\n');
+    const writeLines = (list) => fs.writeFileSync(auditLog.filePath, list.join('\n') + '\n');
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+        auditLog = new AuditLog(path.join(tmpDir, 'logs', 'audit.jsonl'), { encryption: null });
+        ['MEDICATION_ADDED', 'DOSE_TAKEN', 'DOSE_SKIPPED', 'MEDICATION_REMOVED'].forEach((action, i) => {
+            auditLog.append({ source: 'medication-tracker', action, details: { medicationId: 1, dose: i } });
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('appends entries that chain to the previous hash', () => {
+        const entries = auditLog.read();
+
+        expect(entries.map(e => e.seq)).toEqual([1, 2, 3, 4]);
+        expect(entries[0].prevHash).toBe(AuditLog.GENESIS_HASH);
+        expect(entries[2].prevHash).toBe(entries[1].hash);
+        expect(entries[3]).toMatchObject({ source: 'medication-tracker', userId: 'system', details: { dose: 3 } });
+        expect(auditLog.read({ action: 'DOSE_TAKEN' })).toHaveLength(1);
+        expect(auditLog.verify()).toEqual({ valid: true, count: 4, problems: [] });
+
+        // A fresh instance continues the same chain
+        const reopened = new AuditLog(auditLog.filePath).append({ action: 'CONDITION_ADDED' });
+        expect(reopened).toMatchObject({ seq: 5, prevHash: entries[3].hash });
+    });
+
+    test('detects an edited entry, even when its hash is recomputed', () => {
+        const list = lines();
+        const edited = JSON.parse(list[1]);
+        edited.details.dose = 99;
+        writeLines([list[0], JSON.stringify(edited), list[2], list[3]]);
+
+        expect(auditLog.verify().problems).toEqual([
+            { line: 2, seq: 2, message: 'Entry 2 was modified after it was written' }
+        ]);
+
+        edited.hash = AuditLog.hashEntry(edited);
+        writeLines([list[0], JSON.stringify(edited), list[2], list[3]]);
+
+        const result = auditLog.verify();
+        expect(result.valid).toBe(false);
+        expect(result.problems[0].message).toMatch(/Chain broken at entry 3/);
+    });
+
+    test('detects entries deleted from the middle or the end', () => {
+        const list = lines();
+        writeLines([list[0], list[2], list[3]]);
+        expect(auditLog.verify().problems).toEqual([
+            { line: 2, seq: 3, message: '1 entry missing before entry 3' }
+        ]);
+
+        writeLines(list.slice(0, 2));
+        expect(auditLog.verify().problems).toEqual([
+            { line: null, seq: 4, message: 'Entries 3-4 were removed from the end of the log' }
+        ]);
+    });
+
+    test('keeps appending after a torn last line and reports it', () => {
+        const list = lines();
+        const last = JSON.parse(list[3]);
+        fs.writeFileSync(auditLog.filePath, list.join('\n') + '\n' + '{"seq":5,"timestamp":"20');
+
+        const next = auditLog.append({ action: 'DOSE_TAKEN' });
+        expect(next).toMatchObject({ seq: 5, prevHash: last.hash });
+        expect(auditLog.read().map(e => e.seq)).toEqual([1, 2, 3, 4, 5]);
+        expect(auditLog.verify().problems).toEqual([
+            { line: 5, seq: null, message: 'Line is not a valid audit entry (torn by an interrupted write, or edited)' }
+        ]);
+
+        // With no readable line left, the chain continues from the .head record
+        fs.writeFileSync(auditLog.filePath, '{"seq":');
+        expect(auditLog.append({ action: 'DOSE_TAKEN' })).toMatchObject({ seq: 6, prevHash: next.hash });
+    });
+
+    test('waits for the lock file and reclaims one left by a crashed process', () => {
+        fs.writeFileSync(auditLog.lockPath, '12345');
+        const impatient = new AuditLog(auditLog.filePath, { encryption: null, lockTimeout: 50 });
+        expect(() => impatient.append({ action: 'DOSE_TAKEN' })).toThrow(/locked by another process/);
+        expect(auditLog.read()).toHaveLength(4);
+
+        const longAgo = new Date(Date.now() - 60000);
+        fs.utimesSync(auditLog.lockPath, longAgo, longAgo);
+        expect(impatient.append({ action: 'DOSE_TAKEN' }).seq).toBe(5);
+        expect(fs.existsSync(auditLog.lockPath)).toBe(false);
+    });
+
+    test('keeps the chain intact when two processes append at once', async () => {
+        const script = `
+            const AuditLog = require(${JSON.stringify(path.join(__dirname, '..', 'audit-log'))});
+            const log = new AuditLog(process.argv[1], { encryption: null });
+            for (let i = 0; i < 25; i++) log.append({ source: 'p' + process.pid, action: 'DOSE_TAKEN' });
+        `;
+        const run = () => new Promise((resolve, reject) => {
+            const child = spawn(process.execPath, ['-e', script, auditLog.filePath], { stdio: 'inherit' });
+            child.on('error', reject);
+            child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`exit ${code}`))));
+        });
+
+        await Promise.all([run(), run()]);
+
+        expect(auditLog.verify()).toEqual({ valid: true, count: 54, problems: [] });
+    }, 20000);
+
+    test('seals entry details when encryption is on', () => {
+        const encryption = new DataEncryption('correct horse', { kdf: { N: 1024 } });
+        const sealed = new AuditLog(path.join(tmpDir, 'sealed.jsonl'), { encryption });
+        sealed.append({ action: 'PREGNANCY_WEEK_SET', details: { week: 18 } });
+        sealed.append({ action: 'MEDICATION_ADDED', details: { name: 'Sertraline', dosage: '50mg' } });
+
+        const raw = fs.readFileSync(sealed.filePath, 'utf8');
+        expect(raw).not.toMatch(/Sertraline|50mg/);
+        expect(raw).toMatch(/MEDICATION_ADDED/);
+
+        expect(sealed.read().map(e => e.details)).toEqual([{ week: 18 }, { name: 'Sertraline', dosage: '50mg' }]);
+        const locked = new AuditLog(sealed.filePath, { encryption: null });
+        expect(DataEncryption.isEncrypted(locked.read()[0].details)).toBe(true);
+        expect(locked.verify()).toEqual({ valid: true, count: 2, problems: [] });
+    });
+
+    test('keeps a tracker log beside its data file unless auditing is off', () => {
+        const configured = process.env.STEPSYNC_AUDIT_LOG;
+        try {
+            delete process.env.STEPSYNC_AUDIT_LOG;
+            const userLog = AuditLog.forDataFile(path.join(tmpDir, 'users', 'u1', 'medications.json'));
+            expect(userLog.filePath).toBe(path.join(tmpDir, 'users', 'u1', 'medication-audit.jsonl'));
+
+            process.env.STEPSYNC_AUDIT_LOG = 'off';
+            expect(AuditLog.forDataFile(path.join(tmpDir, 'medications.json'))).toBeNull();
+        } finally {
+            process.env.STEPSYNC_AUDIT_LOG = configured;
+        }
+    });
+
+    test('is shared by MedicationDatabase and EnhancedMedicationTracker', () => {
+        const db = new MedicationDatabase({ auditTrail: auditLog, liveApi: false });
+        db.logAudit('CACHE_CLEARED', 'Cache cleared', { itemsCleared: 0 });
+
+        const tracker = new EnhancedMedicationTracker({ userId: 'user-1', auditLog });
+        tracker._logAudit('CREATED', { medicationId: 'med-1' });
+
+        const [dbEntry, trackerEntry] = auditLog.read().slice(-2);
+        expect(dbEntry).toMatchObject({
+            seq: 5,
+            source: 'medication-db',
+            action: 'CACHE_CLEARED',
+            details: { description: 'Cache cleared', itemsCleared: 0 }
+        });
+        expect(trackerEntry).toMatchObject({
+            seq: 6,
+            source: 'medication-tracker-enhanced',
+            action: 'CREATED',
+            userId: 'user-1',
+            details: { medicationId: 'med-1', version: '2.0.0' }
+        });
+        expect(auditLog.verify().valid).toBe(true);
+    });
+});
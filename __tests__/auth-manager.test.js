@@ -0,0 +1,212 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuthManager = require('../auth-manager');
+const MedicationTracker = require('../medication-tracker');
+
+jest.mock('bumpie-meds/src/services/pregnancy-safety-engine', () => ({
+    checkMedicationSafety: async () => ({ safe: true, trimester: 2 })
+}));
+
+describe('AuthManager', () => {
+    let testDir;
+    let auth;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation();
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stepsync-auth-'));
+        auth = new AuthManager({ dataDir: testDir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    describe('accounts', () => {
+        test('makes the first account an admin and later ones users', () => {
+            expect(auth.createUser('Parent', 'correct horse').role).toBe('admin');
+            expect(auth.createUser('kid', 'battery staple').role).toBe('user');
+        });
+
+        test('never stores or returns plain passwords', () => {
+            const user = auth.createUser('alice', 'correct horse');
+            const stored = fs.readFileSync(path.join(testDir, 'users.json'), 'utf8');
+
+            expect(user.passwordHash).toBeUndefined();
+            expect(stored).not.toContain('correct horse');
+            expect(JSON.parse(stored).users[0].passwordHash).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        });
+
+        test('validates usernames, passwords and duplicates', () => {
+            auth.createUser('alice', 'correct horse');
+
+            expect(() => auth.createUser('a', 'correct horse')).toThrow('Username must be');
+            expect(() => auth.createUser('bob', 'short')).toThrow('at least 8 characters');
+            expect(() => auth.createUser('ALICE', 'correct horse')).toThrow('Username already exists');
+        });
+    });
+
+    describe('sessions', () => {
+        test('issues tokens that resolve to the user', () => {
+            const user = auth.createUser('alice', 'correct horse');
+            const session = auth.login('Alice', 'correct horse');
+
+            expect(session.token).toMatch(/^[0-9a-f]{64}$/);
+            expect(auth.verifyToken(session.token)).toEqual(user);
+        });
+
+        test('rejects bad credentials', () => {
+            auth.createUser('alice', 'correct horse');
+
+            expect(auth.login('alice', 'wrong password')).toBeNull();
+            expect(auth.login('nobody', 'correct horse')).toBeNull();
+        });
+
+        test('checks a password even for unknown usernames', () => {
+            auth.createUser('alice', 'correct horse');
+            const verify = jest.spyOn(auth, 'verifyPassword');
+
+            expect(auth.login('nobody', 'correct horse')).toBeNull();
+            expect(verify).toHaveBeenCalledWith('correct horse', AuthManager.DUMMY_HASH);
+            expect(verify).toHaveReturnedWith(false);
+        });
+
+        test('stores only token hashes and survives a reload', () => {
+            auth.createUser('alice', 'correct horse');
+            const { token } = auth.login('alice', 'correct horse');
+
+            expect(fs.readFileSync(path.join(testDir, 'sessions.json'), 'utf8')).not.toContain(token);
+            expect(new AuthManager({ dataDir: testDir }).verifyToken(token).username).toBe('alice');
+        });
+
+        test('expires and revokes tokens', () => {
+            auth.createUser('alice', 'correct horse');
+            const shortLived = new AuthManager({ dataDir: testDir, sessionTtlMs: -1 });
+            expect(shortLived.verifyToken(shortLived.login('alice', 'correct horse').token)).toBeNull();
+
+            const { token } = auth.login('alice', 'correct horse');
+            expect(auth.logout(token)).toBe(true);
+            expect(auth.verifyToken(token)).toBeNull();
+        });
+    });
+
+    test('gives each user a separate data directory', () => {
+        const alice = auth.createUser('alice', 'correct horse');
+        const bob = auth.createUser('bob', 'battery staple');
+
+        expect(auth.getUserDataDir(alice.id)).toBe(path.join(testDir, 'users', alice.id));
+        expect(auth.getUserDataDir(alice.id)).not.toBe(auth.getUserDataDir(bob.id));
+    });
+});
+
+describe('API server authentication', () => {
+    let testDir;
+    let server;
+    let baseUrl;
+    const originalDataDir = process.env.STEPSYNC_DATA_DIR;
+
+    const request = async (method, url, body, token) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    const signUp = async (username) => {
+        await request('POST', '/auth/register', { username, password: 'correct horse' });
+        return (await request('POST', '/auth/login', { username, password: 'correct horse' })).body.token;
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stepsync-server-'));
+        process.env.STEPSYNC_DATA_DIR = testDir;
+
+        let app;
+        jest.isolateModules(() => {
+            app = require('../pregnancy-api-server');
+        });
+
+        await new Promise(resolve => {
+            server = app.listen(0, resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        if (originalDataDir === undefined) {
+            delete process.env.STEPSYNC_DATA_DIR;
+        } else {
+            process.env.STEPSYNC_DATA_DIR = originalDataDir;
+        }
+        fs.rmSync(testDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('requires a bearer token for tracker endpoints', async () => {
+        expect((await request('GET', '/moods')).status).toBe(401);
+        expect((await request('GET', '/moods', null, 'not-a-token')).status).toBe(401);
+        expect((await request('GET', '/health')).status).toBe(200);
+    });
+
+    test('registers, logs in and logs out', async () => {
+        const registered = await request('POST', '/auth/register', { username: 'alice', password: 'correct horse' });
+        expect(registered.status).toBe(201);
+        expect((await request('POST', '/auth/register', { username: 'alice', password: 'correct horse' })).status).toBe(409);
+        expect((await request('POST', '/auth/login', { username: 'alice', password: 'nope nope' })).status).toBe(401);
+
+        const { token } = (await request('POST', '/auth/login', { username: 'alice', password: 'correct horse' })).body;
+        expect((await request('GET', '/auth/me', null, token)).body.id).toBe(registered.body.id);
+
+        expect((await request('POST', '/auth/logout', null, token)).status).toBe(204);
+        expect((await request('GET', '/auth/me', null, token)).status).toBe(401);
+    });
+
+    test('keeps the host profile out of anonymous pregnancy safety checks', async () => {
+        new MedicationTracker(path.join(testDir, 'medications.json')).addCondition('kidney-disease');
+
+        // The shared tracker reads the host profile when the server module loads
+        let hostApp;
+        jest.isolateModules(() => {
+            hostApp = require('../pregnancy-api-server');
+        });
+        const hostServer = await new Promise(resolve => {
+            const listening = hostApp.listen(0, () => resolve(listening));
+        });
+        try {
+            baseUrl = `http://127.0.0.1:${hostServer.address().port}/api`;
+            const anonymous = await request('POST', '/check-pregnancy-safety', { medicationName: 'Ibuprofen', weekOfPregnancy: 24 });
+            expect(anonymous.status).toBe(200);
+            expect(anonymous.body.conditionWarnings.map(w => w.condition)).toEqual(['pregnancy']);
+        } finally {
+            await new Promise(resolve => hostServer.close(resolve));
+        }
+    });
+
+    test('keeps each user\'s tracker data separate', async () => {
+        const alice = await signUp('alice');
+        const bob = await signUp('bob');
+
+        const created = await request('POST', '/moods', { rating: 8, note: 'Alice only' }, alice);
+        expect(created.status).toBe(201);
+
+        expect((await request('GET', '/moods', null, alice)).body.total).toBe(1);
+        expect((await request('GET', '/moods', null, bob)).body.total).toBe(0);
+        expect((await request('GET', `/moods/${created.body.id}`, null, bob)).status).toBe(404);
+
+        const aliceId = (await request('GET', '/auth/me', null, alice)).body.id;
+        const file = path.join(testDir, 'users', aliceId, 'mental-health-data.json');
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).moodEntries).toHaveLength(1);
+    });
+});
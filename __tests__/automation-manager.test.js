@@ -834,6 +834,43 @@ describe('AutomationManager', () => {
             const output = consoleSpy.mock.calls.flat().join(' ');
             expect(output).not.toContain('goals are falling behind'); // daysLeft <= 0
         });
+
+        test('should alert on low readiness and training load spikes, computing readiness once', () => {
+            mockDashboard.getReadiness = jest.fn(() => ({
+                score: 42,
+                level: 'low',
+                advice: 'Prioritise recovery: rest or light movement',
+                trainingLoad: { acwr: 1.7 }
+            }));
+
+            automationManager.enabled = true;
+            automationManager.addSmartReminder({ type: 'low_readiness' });
+            automationManager.addSmartReminder({ type: 'training_load_spike' });
+
+            consoleSpy.mockClear();
+            automationManager.executeWorkflows();
+
+            const output = consoleSpy.mock.calls.flat().join(' ');
+            expect(output).toContain('Readiness is 42/100 today.');
+            expect(output).toContain('1.7x your 4-week average');
+            expect(mockDashboard.getReadiness).toHaveBeenCalledTimes(1);
+        });
+
+        test('should not alert when readiness is unavailable or above the threshold', () => {
+            mockDashboard.getReadiness = jest.fn(() => null);
+
+            automationManager.enabled = true;
+            automationManager.addSmartReminder({ type: 'low_readiness' });
+            automationManager.addSmartReminder({ type: 'training_load_spike' });
+            consoleSpy.mockClear();
+            automationManager.executeWorkflows();
+
+            mockDashboard.getReadiness = jest.fn(() => ({ score: 60, trainingLoad: { acwr: 1.2 } }));
+            automationManager.executeWorkflows();
+
+            const output = consoleSpy.mock.calls.flat().join(' ');
+            expect(output).not.toContain('Workflow triggered');
+        });
     });
 
     describe('generateDailySummary', () => {
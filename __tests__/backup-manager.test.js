@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const BackupManager = require('../backup-manager');
+const DataEncryption = require('../data-encryption');
 
 describe('BackupManager', () => {
     let backup;
@@ -386,6 +387,74 @@ describe('BackupManager', () => {
         });
     });
 
+    describe('Encryption', () => {
+        const fastKdf = { kdf: { N: 1024 } };
+        let encrypted;
+
+        beforeEach(() => {
+            encrypted = new BackupManager({
+                backupDir: testBackupDir,
+                dataFiles: ['__tests__/test-data.json'],
+                encryption: new DataEncryption('correct horse', fastKdf)
+            });
+        });
+
+        test('should store archived files encrypted', () => {
+            const result = encrypted.createBackup();
+            const stored = fs.readFileSync(path.join(result.path, '__tests__/test-data.json'), 'utf8');
+
+            expect(result.data.encryption).toBe('aes-256-gcm');
+            expect(stored).not.toContain('"test"');
+            expect(DataEncryption.isEncrypted(JSON.parse(stored))).toBe(true);
+            expect(encrypted.verifyBackup(result.backupId).valid).toBe(true);
+        });
+
+        test('should restore with the right passphrase', () => {
+            const result = encrypted.createBackup();
+            fs.writeFileSync(testDataFile, JSON.stringify({ modified: 'data' }));
+
+            const restored = encrypted.restore(result.backupId, { createBackupFirst: false });
+
+            expect(restored.success).toBe(true);
+            expect(JSON.parse(fs.readFileSync(testDataFile, 'utf8')).test).toBe('data');
+        });
+
+        test('should refuse to restore with a wrong or missing passphrase', () => {
+            const result = encrypted.createBackup();
+            fs.writeFileSync(testDataFile, JSON.stringify({ modified: 'data' }));
+
+            const wrong = new BackupManager({
+                backupDir: testBackupDir,
+                encryption: new DataEncryption('wrong passphrase', fastKdf)
+            });
+            const wrongResult = wrong.restore(result.backupId, { createBackupFirst: false });
+            expect(wrongResult.success).toBe(false);
+            expect(wrongResult.error).toContain('Wrong passphrase');
+
+            const missing = new BackupManager({ backupDir: testBackupDir, encryption: null });
+            expect(missing.restore(result.backupId, { createBackupFirst: false }).error)
+                .toContain('Set STEPSYNC_PASSPHRASE');
+
+            expect(JSON.parse(fs.readFileSync(testDataFile, 'utf8')).modified).toBe('data');
+        });
+
+        test('should rekey existing backups', () => {
+            const plain = backup.createBackup();
+            const sealed = encrypted.createBackup();
+            const newKey = new DataEncryption('new passphrase', fastKdf);
+
+            const result = encrypted.rekeyBackups(newKey);
+
+            expect(result.rekeyed).toEqual(expect.arrayContaining([plain.backupId, sealed.backupId]));
+            expect(result.failed).toEqual([]);
+
+            const reopened = new BackupManager({ backupDir: testBackupDir, encryption: newKey });
+            expect(reopened.verifyBackup(plain.backupId).valid).toBe(true);
+            expect(reopened.verifyBackup(sealed.backupId).valid).toBe(true);
+            expect(backup.restore(plain.backupId, { createBackupFirst: false }).success).toBe(false);
+        });
+    });
+
     describe('Utility Functions', () => {
         test('should calculate checksum correctly', () => {
             const content = 'test content';
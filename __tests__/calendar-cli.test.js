@@ -0,0 +1,62 @@
+jest.mock('fs');
+
+const fs = require('fs');
+const { runCommand, parseArgs } = require('../calendar-cli');
+const ICalendar = require('../icalendar');
+
+describe('Calendar CLI', () => {
+    let sources;
+
+    const event = (uid, date) => ({ uid, summary: uid, start: { date, time: '10:00' } });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+        sources = {
+            sessions: {
+                getCalendarEvents: jest.fn(() => [event('session-1@stepsync', '2024-03-05')]),
+                importCalendarEvents: jest.fn(() => ({ added: 1 }))
+            },
+            medications: { getCalendarEvents: jest.fn(() => [event('medication-1@stepsync', '2024-03-01')]) },
+            reminders: { getCalendarEvents: jest.fn(() => []) }
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('parses the file, source list and import flags', () => {
+        expect(parseArgs(['out.ics', '--only', 'Sessions, reminders', '--therapist', '12', '--dry-run'])).toEqual({
+            file: 'out.ics',
+            only: ['sessions', 'reminders'],
+            therapistId: '12',
+            dryRun: true
+        });
+    });
+
+    test('exports the chosen sources to one calendar', () => {
+        expect(runCommand('export', ['--only', 'sessions,medications'], sources)).toBe(0);
+
+        const [file, text] = fs.writeFileSync.mock.calls[0];
+        expect(file).toBe('stepsync.ics');
+        expect(ICalendar.parse(text).map(e => e.uid)).toEqual(['session-1@stepsync', 'medication-1@stepsync']);
+        expect(sources.reminders.getCalendarEvents).not.toHaveBeenCalled();
+        expect(runCommand('export', ['--only', 'steps'], sources)).toBe(1);
+    });
+
+    test('imports appointments into the mental health tracker', () => {
+        fs.readFileSync.mockReturnValue(ICalendar.build([event('abc@example.com', '2024-03-06')]));
+
+        expect(runCommand('import', ['appointments.ics', '--therapist', '12', '--dry-run'], sources)).toBe(0);
+        expect(sources.sessions.importCalendarEvents).toHaveBeenCalledWith(
+            [expect.objectContaining({ uid: 'abc@example.com', start: { date: '2024-03-06', time: '10:00' } })],
+            { therapistId: '12', dryRun: true }
+        );
+
+        fs.readFileSync.mockReturnValue('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+        expect(runCommand('import', ['empty.ics'], sources)).toBe(1);
+        expect(runCommand('import', [], sources)).toBe(1);
+    });
+});
@@ -105,8 +105,9 @@ describe('Daily Dashboard', () => {
 
         test('getSleepData extracts recent sleep data correctly', () => {
             const today = new Date();
+            const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
             dashboard.sleep.data.sleepEntries = [
-                { duration: '7.5', quality: 8, timestamp: today.toISOString() },
+                { duration: '7.5', quality: 8, timestamp: yesterday.toISOString() },
                 { duration: '8.0', quality: 9, timestamp: today.toISOString() }
             ];
 
@@ -117,6 +118,20 @@ describe('Daily Dashboard', () => {
             expect(sleepData.entryCount).toBe(2);
         });
 
+        test('getSleepData adds naps to their sleep day', () => {
+            jest.useFakeTimers({ now: new Date('2024-03-05T18:00:00') });
+            dashboard.sleep.data.sleepEntries = [
+                { date: '2024-03-05', bedtime: '23:00', wakeTime: '05:00', type: 'main', duration: 6, quality: 6, timestamp: new Date('2024-03-05T05:00:00').toISOString() },
+                { date: '2024-03-05', bedtime: '14:00', wakeTime: '15:30', type: 'nap', duration: 1.5, quality: 9, timestamp: new Date('2024-03-05T15:30:00').toISOString() }
+            ];
+
+            const sleepData = dashboard.getSleepData(7);
+            jest.useRealTimers();
+
+            expect(sleepData).toMatchObject({ avgDuration: 7.5, latestDuration: 7.5, entryCount: 1 });
+            expect(sleepData.avgQuality).toBeCloseTo(6.6, 1);
+        });
+
         test('getMedicationData returns null when no medications exist', () => {
             const medData = dashboard.getMedicationData(7);
             expect(medData).toBeNull();
@@ -173,6 +188,23 @@ describe('Daily Dashboard', () => {
             expect(score.breakdown.sleep.score).toBe(25); // 15 (quality) + 10 (optimal duration)
         });
 
+        test('sleep score accounts for sleep debt and social jetlag', () => {
+            jest.useFakeTimers({ now: new Date('2024-03-17T12:00:00') });
+            dashboard.sleep.data.sleepEntries = [
+                ...['11', '12', '13', '14', '15'].map(day => ({ date: `2024-03-${day}`, bedtime: '00:00', wakeTime: '06:00', duration: 6, quality: 10, timestamp: `2024-03-${day}T06:00:00` })),
+                ...['16', '17'].map(day => ({ date: `2024-03-${day}`, bedtime: '02:00', wakeTime: '10:00', duration: 8, quality: 10, timestamp: `2024-03-${day}T10:00:00` }))
+            ];
+
+            const score = dashboard.calculateWellnessScore(7);
+            const recommendations = dashboard.generateRecommendations(score);
+            jest.useRealTimers();
+
+            // 15 (quality) + 7 (6.6h average) - 4 (10h debt) - 2 (3h social jetlag)
+            expect(score.breakdown.sleep.score).toBe(16);
+            expect(score.breakdown.sleep.data).toMatchObject({ sleepDebt: 10, socialJetlag: 3 });
+            expect(recommendations.some(r => r.message.includes('10h of sleep debt'))).toBe(true);
+        });
+
         test('calculates exercise score correctly', () => {
             const today = new Date();
             const todayDate = today.toISOString().split('T')[0];
@@ -345,6 +377,57 @@ describe('Daily Dashboard', () => {
             consoleSpy.mockRestore();
         });
 
+        test('showDailyDashboard shows readiness from sleep, mood and training load', () => {
+            jest.useFakeTimers({ now: new Date('2024-03-28T12:00:00') });
+            dashboard.sleep.data.sleepEntries = [
+                { date: '2024-03-28', bedtime: '23:00', wakeTime: '06:00', duration: 7, quality: 8, timestamp: '2024-03-28T06:00:00' }
+            ];
+            dashboard.mentalHealth.data.moodLogs = [
+                { rating: 3, timestamp: '2024-03-26T20:00:00' },
+                { rating: 7, timestamp: '2024-03-28T08:00:00' }
+            ];
+            dashboard.exercise.data.exercises = ['03-07', '03-14', '03-21', '03-27'].map(day => ({
+                date: `2024-${day}`, timestamp: `2024-${day}T18:00:00`, type: 'Running', duration: 40, intensity: 'moderate'
+            }));
+
+            const readiness = dashboard.getReadiness();
+            const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+            dashboard.showDailyDashboard();
+            jest.useRealTimers();
+
+            expect(readiness).toMatchObject({ score: 85, level: 'high', components: { sleep: 84, mood: 70, load: 100 } });
+            expect(readiness.trainingLoad).toMatchObject({ acwr: 1, zone: 'optimal' });
+            const output = consoleSpy.mock.calls.map(call => call[0]).join('\n');
+            expect(output).toContain('Readiness: 85/100');
+            expect(output).toContain('Training load 100 (ratio 1, sweet spot)');
+            consoleSpy.mockRestore();
+        });
+
+        test('showDailyDashboard shows a steps panel and entries carry daily steps', () => {
+            jest.useFakeTimers({ now: new Date('2024-03-28T18:00:00') });
+            dashboard.exercise.data.exercises = [
+                { date: '2024-03-28', timestamp: '2024-03-28T07:00:00', type: 'Walking', duration: 30, intensity: 'low' }
+            ];
+            dashboard.steps.data.stepEntries = [
+                { id: 1, date: '2024-03-27', hour: null, steps: 10400, timestamp: '2024-03-27T12:00:00' },
+                { id: 2, date: '2024-03-28', hour: 7, steps: 4200, timestamp: '2024-03-28T07:30:00' },
+                { id: 3, date: '2024-03-28', hour: 12, steps: 2300, timestamp: '2024-03-28T12:30:00' }
+            ];
+
+            const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+            dashboard.showDailyDashboard();
+            const entry = dashboard.getEntry('2024-03-28');
+            jest.useRealTimers();
+
+            const output = consoleSpy.mock.calls.map(call => call[0]).join('\n');
+            expect(output).toContain('👟 Steps:');
+            expect(output).toContain('6,500/10,000');
+            expect(output).toContain('7-day avg: 8,450/day, goal met 1/7 days, streak 1');
+            expect(entry).toMatchObject({ date: '2024-03-28', exercise_minutes: 30, steps: 6500 });
+            expect(dashboard.getEntry('2024-03-27')).toEqual({ date: '2024-03-27', steps: 10400 });
+            consoleSpy.mockRestore();
+        });
+
         test('showWeeklySummary displays summary', () => {
             const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
             dashboard.showWeeklySummary();
@@ -1658,6 +1741,7 @@ describe('Daily Dashboard', () => {
             fs = jest.requireActual('fs');
             // Replace the mocked fs methods with real ones in the test scope
             jest.spyOn(require('fs'), 'writeFileSync').mockImplementation((...args) => fs.writeFileSync(...args));
+            jest.spyOn(require('fs'), 'renameSync').mockImplementation((...args) => fs.renameSync(...args));
             jest.spyOn(require('fs'), 'readFileSync').mockImplementation((...args) => fs.readFileSync(...args));
             jest.spyOn(require('fs'), 'existsSync').mockImplementation((...args) => fs.existsSync(...args));
             jest.spyOn(require('fs'), 'unlinkSync').mockImplementation((...args) => fs.unlinkSync(...args));
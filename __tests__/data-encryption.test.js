@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataEncryption = require('../data-encryption');
+const StorageManager = require('../storage-manager');
+const SleepTracker = require('../sleep-tracker');
+
+describe('Data Encryption', () => {
+    // Cheap scrypt parameters keep the suite fast; production uses the defaults
+    const fastKdf = { kdf: { N: 1024 } };
+
+    describe('DataEncryption', () => {
+        test('round-trips values through an AES-GCM envelope', () => {
+            const encryption = new DataEncryption('correct horse', fastKdf);
+            const envelope = encryption.encrypt({ moodEntries: [{ note: 'private' }] });
+
+            expect(envelope).toMatchObject({ encryption: 'aes-256-gcm', kdf: { name: 'scrypt', N: 1024 } });
+            expect(JSON.stringify(envelope)).not.toContain('private');
+            expect(encryption.decrypt(envelope)).toEqual({ moodEntries: [{ note: 'private' }] });
+        });
+
+        test('uses a fresh IV for every write', () => {
+            const encryption = new DataEncryption('correct horse', fastKdf);
+            expect(encryption.encryptText('same').iv).not.toBe(encryption.encryptText('same').iv);
+        });
+
+        test('fails clearly with the wrong passphrase or tampered data', () => {
+            const envelope = new DataEncryption('correct horse', fastKdf).encryptText('secret');
+            const wrong = new DataEncryption('battery staple', fastKdf);
+
+            expect(() => wrong.decryptText(envelope)).toThrow('Wrong passphrase');
+            expect(() => wrong.decryptText(envelope)).toThrow(expect.objectContaining({ code: 'WRONG_PASSPHRASE' }));
+
+            const tampered = { ...envelope, ciphertext: Buffer.from('other').toString('base64') };
+            expect(() => new DataEncryption('correct horse', fastKdf).decryptText(tampered)).toThrow('Wrong passphrase');
+        });
+
+        test('requires a passphrase', () => {
+            expect(() => new DataEncryption('')).toThrow('non-empty passphrase');
+        });
+    });
+
+    describe('StorageManager', () => {
+        let testDir;
+        let file;
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation();
+            jest.spyOn(console, 'error').mockImplementation();
+            testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stepsync-encrypt-'));
+            file = path.join(testDir, 'sleep-data.json');
+        });
+
+        afterEach(() => {
+            fs.rmSync(testDir, { recursive: true, force: true });
+            jest.restoreAllMocks();
+        });
+
+        test('encrypts tracker data files at rest', () => {
+            const storage = new StorageManager({ encryption: new DataEncryption('correct horse', fastKdf) });
+            const tracker = new SleepTracker(file, storage);
+            tracker.logSleep('22:30', '06:30', 8, 'dreamt about work');
+
+            expect(fs.readFileSync(file, 'utf8')).not.toContain('dreamt');
+            expect(new SleepTracker(file, storage).data.sleepEntries[0].notes).toBe('dreamt about work');
+        });
+
+        test('never overwrites a file it could not unlock', () => {
+            new StorageManager({ encryption: new DataEncryption('correct horse', fastKdf) })
+                .save(file, { sleepEntries: [{ id: 1 }] }, 'sleep');
+            const before = fs.readFileSync(file, 'utf8');
+
+            const wrong = new StorageManager({ encryption: new DataEncryption('battery staple', fastKdf) });
+            expect(() => wrong.load(file, 'sleep')).toThrow(`Cannot unlock ${file}: Wrong passphrase`);
+            expect(() => wrong.save(file, { sleepEntries: [] }, 'sleep')).toThrow('Refusing to overwrite');
+
+            const locked = new StorageManager();
+            expect(() => locked.load(file, 'sleep')).toThrow('Set STEPSYNC_PASSPHRASE');
+
+            const tracker = new SleepTracker(file, locked);
+            expect(tracker.saveData()).toBe(false);
+            expect(fs.readFileSync(file, 'utf8')).toBe(before);
+        });
+
+        test('rekeys plaintext and encrypted files', () => {
+            const other = path.join(testDir, 'exercise-data.json');
+            const storage = new StorageManager();
+            storage.save(file, { sleepEntries: [{ id: 1 }] }, 'sleep');
+            storage.save(other, { exercises: [{ id: 2 }] }, 'exercise');
+
+            const first = new DataEncryption('correct horse', fastKdf);
+            expect(storage.rekey([file, other, path.join(testDir, 'missing.json')], first)).toEqual([file, other]);
+            expect(DataEncryption.isEncrypted(JSON.parse(fs.readFileSync(file, 'utf8')))).toBe(true);
+
+            const second = new DataEncryption('battery staple', fastKdf);
+            storage.rekey([file, other], second);
+
+            expect(new StorageManager({ encryption: second }).load(other, 'exercise').exercises).toEqual([{ id: 2 }]);
+            expect(() => new StorageManager({ encryption: first }).load(file, 'sleep')).toThrow('Wrong passphrase');
+        });
+
+        test('leaves every file untouched when the current passphrase is wrong', () => {
+            const good = new StorageManager({ encryption: new DataEncryption('correct horse', fastKdf) });
+            const plainFile = path.join(testDir, 'exercise-data.json');
+            new StorageManager().save(plainFile, { exercises: [] }, 'exercise');
+            good.save(file, { sleepEntries: [] }, 'sleep');
+            const plainBefore = fs.readFileSync(plainFile, 'utf8');
+
+            const wrong = new StorageManager({ encryption: new DataEncryption('nope nope', fastKdf) });
+            expect(() => wrong.rekey([plainFile, file], new DataEncryption('new one', fastKdf))).toThrow('Wrong passphrase');
+            expect(fs.readFileSync(plainFile, 'utf8')).toBe(plainBefore);
+        });
+    });
+});
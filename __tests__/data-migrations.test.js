@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MigrationRegistry = require('../data-migrations');
+const StorageManager = require('../storage-manager');
+
+describe('Data Migrations', () => {
+    describe('MigrationRegistry', () => {
+        let registry;
+
+        beforeEach(() => {
+            registry = new MigrationRegistry();
+            registry.define('widgets');
+            registry.register('widgets', 1, 'Add items array', (doc) => ({ ...doc, items: doc.items || [] }));
+            registry.register('widgets', 2, 'Rename qty to quantity', (doc) => ({
+                ...doc,
+                items: doc.items.map(({ qty, ...item }) => ({ ...item, quantity: qty }))
+            }));
+        });
+
+        test('treats unversioned documents as version 0', () => {
+            expect(registry.getVersion({ items: [] })).toBe(0);
+            expect(registry.getVersion([])).toBe(0);
+            expect(registry.getVersion({ schemaVersion: 2 })).toBe(2);
+        });
+
+        test('applies migrations one version at a time', () => {
+            const result = registry.upgrade('widgets', { items: [{ qty: 3 }] });
+
+            expect(result.fromVersion).toBe(0);
+            expect(result.toVersion).toBe(2);
+            expect(result.applied.map(step => step.version)).toEqual([1, 2]);
+            expect(result.data).toEqual({ schemaVersion: 2, items: [{ quantity: 3 }] });
+        });
+
+        test('skips steps that were already applied', () => {
+            const plan = registry.plan('widgets', { schemaVersion: 1, items: [] });
+            expect(plan.steps).toEqual([{ version: 2, description: 'Rename qty to quantity' }]);
+        });
+
+        test('refuses documents written by a newer release', () => {
+            expect(() => registry.upgrade('widgets', { schemaVersion: 3 })).toThrow('only supports up to 2');
+        });
+
+        test('rejects duplicate versions and unknown schemas', () => {
+            expect(() => registry.register('widgets', 2, 'dup', doc => doc)).toThrow('already registered');
+            expect(() => registry.plan('gadgets', {})).toThrow('Unknown data schema');
+        });
+
+        test('wraps collections in a versioned envelope', () => {
+            registry.define('lists', { collection: 'lists' });
+            registry.register('lists', 1, 'Envelope', (doc) => (Array.isArray(doc) ? { lists: doc } : doc));
+
+            expect(registry.wrap('lists', [1, 2])).toEqual({ schemaVersion: 1, lists: [1, 2] });
+            expect(registry.unwrap('lists', { schemaVersion: 1, lists: [1, 2] })).toEqual([1, 2]);
+            expect(registry.wrap('widgets', { items: [] })).toEqual({ schemaVersion: 2, items: [] });
+        });
+    });
+
+    describe('built-in schemas', () => {
+        const registry = MigrationRegistry.getDefault();
+
+        test('moves legacy mood and journal logs to canonical fields', () => {
+            const { data } = registry.upgrade('mental-health', { moodLogs: [{ rating: 5 }], journalLogs: [] });
+            expect(data.schemaVersion).toBe(1);
+            expect(data.moodEntries).toEqual([{ rating: 5 }]);
+            expect(data.journalEntries).toEqual([]);
+        });
+
+        test('wraps legacy goal arrays', () => {
+            const { data } = registry.upgrade('goals', [{ id: 'g1' }]);
+            expect(data).toEqual({ schemaVersion: 1, goals: [{ id: 'g1' }] });
+        });
+
+        test('lists default data files for every tracker', () => {
+            const schemas = registry.getDefaultDataFiles().map(entry => entry.schema);
+            expect(schemas).toEqual(expect.arrayContaining([
+                'mental-health', 'medications', 'sleep', 'exercise', 'dashboard', 'goals', 'achievements', 'reminders'
+            ]));
+        });
+    });
+
+    describe('StorageManager integration', () => {
+        let testDir;
+        let storage;
+
+        beforeEach(() => {
+            testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stepsync-migrate-'));
+            storage = new StorageManager();
+        });
+
+        afterEach(() => {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        });
+
+        test('backs up the old version before writing the upgraded file', () => {
+            const file = path.join(testDir, 'sleep-data.json');
+            fs.writeFileSync(file, JSON.stringify({ sleepEntries: [{ id: 1 }] }));
+
+            const data = storage.load(file, 'sleep');
+
+            expect(data.sleepEntries).toEqual([{ id: 1 }]);
+            expect(JSON.parse(fs.readFileSync(file + '.v0.bak', 'utf8'))).toEqual({ sleepEntries: [{ id: 1 }] });
+            expect(JSON.parse(fs.readFileSync(file, 'utf8')).schemaVersion).toBe(1);
+        });
+
+        test('does not rewrite files that are already current', () => {
+            const file = path.join(testDir, 'reminders.json');
+            storage.save(file, [{ id: 'r1' }], 'reminders');
+
+            expect(storage.load(file, 'reminders')).toEqual([{ id: 'r1' }]);
+            expect(fs.existsSync(file + '.v0.bak')).toBe(false);
+        });
+
+        test('plans migrations without touching the file', () => {
+            const file = path.join(testDir, 'goals.json');
+            fs.writeFileSync(file, '[]');
+
+            const plan = storage.planMigration(file, 'goals');
+
+            expect(plan).toMatchObject({ exists: true, fromVersion: 0, toVersion: 1, backupPath: file + '.v0.bak' });
+            expect(fs.readFileSync(file, 'utf8')).toBe('[]');
+            expect(storage.planMigration(path.join(testDir, 'none.json'), 'goals').exists).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,207 @@
+const DoseSchedule = require('../dose-schedule');
+
+describe('DoseSchedule', () => {
+    let schedule;
+
+    const med = (overrides = {}) => ({
+        id: 1,
+        name: 'Sertraline',
+        dosage: '50mg',
+        frequency: 'daily',
+        scheduledTime: '08:00',
+        startDate: '2024-03-01',
+        active: true,
+        ...overrides
+    });
+    const at = (day, time) => new Date(`${day}T${time}:00`).toISOString();
+    const dose = (day, time, medicationId = 1) => ({ medicationId, takenAt: at(day, time) });
+
+    beforeEach(() => {
+        schedule = new DoseSchedule();
+    });
+
+    describe('getTimes', () => {
+        test('uses listed times and spreads missing ones over the waking day', () => {
+            expect(schedule.getTimes({ frequency: 'twice-daily', times: ['20:00', '08:00'] })).toEqual(['08:00', '20:00']);
+            expect(schedule.getTimes({ frequency: 'twice-daily' }, '09:00')).toEqual(['09:00', '21:00']);
+            expect(schedule.getTimes({ frequency: 'three-times-daily' }, '08:00')).toEqual(['08:00', '14:00', '20:00']);
+            expect(schedule.getTimes({ frequency: 'daily' }, '08:00,20:00')).toEqual(['08:00']);
+        });
+
+        test('as-needed medications have no times', () => {
+            expect(schedule.getTimes({ frequency: 'as-needed' }, '08:00')).toEqual([]);
+        });
+    });
+
+    describe('expandSlots', () => {
+        test('expects one slot per dose between start and end date', () => {
+            const slots = schedule.expandSlots([med({ frequency: 'twice-daily', endDate: '2024-03-02' })], '2024-02-28', '2024-03-05');
+
+            expect(slots.map(s => `${s.date} ${s.time}`)).toEqual([
+                '2024-03-01 08:00', '2024-03-01 20:00', '2024-03-02 08:00', '2024-03-02 20:00'
+            ]);
+        });
+
+        test('handles every-other-day and weekly frequencies', () => {
+            const everyOther = schedule.expandSlots([med({ frequency: 'every-other-day' })], '2024-03-01', '2024-03-06');
+            expect(everyOther.map(s => s.date)).toEqual(['2024-03-01', '2024-03-03', '2024-03-05']);
+
+            // 2024-03-01 is a Friday
+            const weekly = schedule.expandSlots([med({ frequency: 'weekly' })], '2024-03-01', '2024-03-15');
+            expect(weekly.map(s => s.date)).toEqual(['2024-03-01', '2024-03-08', '2024-03-15']);
+
+            const weekdays = schedule.expandSlots([med({ frequency: 'weekly', daysOfWeek: [1, 4] })], '2024-03-01', '2024-03-10');
+            expect(weekdays.map(s => s.date)).toEqual(['2024-03-04', '2024-03-07']);
+        });
+
+        test('applies taper steps from their start date', () => {
+            const tapering = med({
+                taper: [
+                    { from: '2024-03-03', dosage: '25mg' },
+                    { from: '2024-03-05', dosage: '25mg', frequency: 'every-other-day' }
+                ]
+            });
+            const slots = schedule.expandSlots([tapering], '2024-03-01', '2024-03-08');
+
+            expect(slots.map(s => `${s.date} ${s.dosage}`)).toEqual([
+                '2024-03-01 50mg', '2024-03-02 50mg', '2024-03-03 25mg', '2024-03-04 25mg',
+                '2024-03-05 25mg', '2024-03-07 25mg'
+            ]);
+        });
+
+        test('stops at the removal date and falls back to the first dose for older records', () => {
+            const stopped = med({ active: false, stoppedAt: at('2024-03-03', '12:00') });
+            expect(schedule.expandSlots([stopped], '2024-03-01', '2024-03-10')).toHaveLength(3);
+            expect(schedule.expandSlots([med({ active: false })], '2024-03-01', '2024-03-10')).toHaveLength(0);
+
+            const legacy = med({ startDate: undefined });
+            expect(schedule.expandSlots([legacy], '2024-03-01', '2024-03-05')).toHaveLength(0);
+            expect(schedule.expandSlots([legacy], '2024-03-01', '2024-03-05', [dose('2024-03-04', '09:00')])
+                .map(s => s.date)).toEqual(['2024-03-04', '2024-03-05']);
+        });
+    });
+
+    describe('getAdherence', () => {
+        const now = new Date('2024-03-03T12:00:00');
+
+        test('matches each dose to the nearest slot of the day', () => {
+            const history = [
+                dose('2024-03-01', '19:30'),
+                dose('2024-03-01', '21:00'),
+                dose('2024-03-01', '22:00'),
+                dose('2024-03-02', '08:10'),
+                dose('2024-03-03', '08:05')
+            ];
+            const result = schedule.getAdherence([med({ frequency: 'twice-daily' })], history, { from: '2024-03-01', now });
+
+            expect(result).toMatchObject({ expected: 5, taken: 4, missed: 1, upcoming: 1, extra: 1, rate: 80 });
+            expect(result.byDay['2024-03-01']).toEqual({ expected: 2, taken: 2 });
+            expect(result.slots.find(s => s.date === '2024-03-01' && s.time === '20:00').record)
+                .toBe(history[0]);
+        });
+
+        test('counts upcoming doses once taken and ignores missed markers', () => {
+            const history = [
+                dose('2024-03-03', '11:00'),
+                { medicationId: 1, takenAt: at('2024-03-02', '08:00'), missed: true }
+            ];
+            const result = schedule.getAdherence([med({ times: ['08:00'] }), med({ id: 2, scheduledTime: '18:00' })],
+                [...history, dose('2024-03-03', '11:30', 2)], { from: '2024-03-02', now });
+
+            expect(result).toMatchObject({ expected: 4, taken: 2, missed: 2, upcoming: 0 });
+            expect(result.byMedication[2]).toEqual({ name: 'Sertraline', expected: 2, taken: 1 });
+        });
+
+        test('returns a null rate when nothing was expected', () => {
+            const result = schedule.getAdherence([med({ frequency: 'as-needed' })], [dose('2024-03-02', '10:00')],
+                { from: '2024-03-01', now });
+
+            expect(result).toMatchObject({ expected: 0, extra: 1, rate: null });
+        });
+    });
+
+    describe('dose status', () => {
+        const now = new Date('2024-03-03T12:00:00');
+        const statuses = result => result.slots.map(s => `${s.date} ${s.time} ${s.status}`);
+
+        test('classifies doses as on time, late, skipped, due, upcoming or missed', () => {
+            const history = [
+                dose('2024-03-02', '07:50'),
+                dose('2024-03-02', '21:15'),
+                { medicationId: 1, timestamp: at('2024-03-03', '07:00'), scheduledFor: at('2024-03-03', '08:00'),
+                    skipped: true, missed: true, reason: 'fasting for blood test' }
+            ];
+            const medication = med({ frequency: 'three-times-daily', times: ['08:00', '11:00', '20:00'] });
+            const result = schedule.getAdherence([medication], history, { from: '2024-03-01', to: '2024-03-02', now });
+
+            expect(statuses(result)).toEqual([
+                '2024-03-01 08:00 missed', '2024-03-01 11:00 missed', '2024-03-01 20:00 missed',
+                '2024-03-02 08:00 on-time', '2024-03-02 11:00 missed', '2024-03-02 20:00 late'
+            ]);
+            expect(result.slots[5].minutesLate).toBe(75);
+            expect(result).toMatchObject({ expected: 6, taken: 2, onTime: 1, late: 1, skipped: 0, missed: 4 });
+            expect(result.rate).toBeCloseTo(33.3, 1);
+
+            const today = schedule.getAdherence([medication], history, { now });
+            expect(statuses(today)).toEqual(['2024-03-03 08:00 skipped', '2024-03-03 11:00 due', '2024-03-03 20:00 upcoming']);
+            expect(today.slots[0].reason).toBe('fasting for blood test');
+            expect(today).toMatchObject({ expected: 1, skipped: 1, upcoming: 2 });
+        });
+
+        test('uses configurable on-time and grace windows', () => {
+            const strict = new DoseSchedule({ onTimeMinutes: 5, graceMinutes: 30 });
+            const result = strict.getAdherence([med({ frequency: 'twice-daily', times: ['08:00', '11:00'] })],
+                [dose('2024-03-03', '08:10')], { now });
+
+            expect(statuses(result)).toEqual(['2024-03-03 08:00 late', '2024-03-03 11:00 missed']);
+        });
+
+        test('a skip claims its slot before doses are matched', () => {
+            const history = [
+                dose('2024-03-02', '19:00'),
+                { medicationId: 1, timestamp: at('2024-03-02', '07:00'), scheduledFor: at('2024-03-02', '20:00'), skipped: true, missed: true, reason: 'nausea' }
+            ];
+            const result = schedule.getAdherence([med({ frequency: 'twice-daily', times: ['08:00', '20:00'] })], history,
+                { from: '2024-03-02', to: '2024-03-02', now });
+
+            expect(statuses(result)).toEqual(['2024-03-02 08:00 late', '2024-03-02 20:00 skipped']);
+        });
+    });
+
+    describe('getStreaks', () => {
+        test('counts fully adherent days and skips days without doses', () => {
+            const medication = med({ frequency: 'every-other-day' });
+            const history = ['2024-03-01', '2024-03-05', '2024-03-07'].map(day => dose(day, '08:00'));
+
+            expect(schedule.getStreaks([medication], history, new Date('2024-03-08T12:00:00')))
+                .toEqual({ current: 2, longest: 2 });
+        });
+
+        test('an unfinished today does not break the streak', () => {
+            const history = ['2024-03-01', '2024-03-02'].map(day => dose(day, '08:00'));
+
+            expect(schedule.getStreaks([med({ scheduledTime: '20:00' })], history, new Date('2024-03-03T21:00:00')))
+                .toEqual({ current: 2, longest: 2 });
+        });
+    });
+
+    test('splits the active range into regimen periods at taper steps', () => {
+        const tapering = med({
+            endDate: '2024-04-30',
+            taper: [
+                { from: '2024-03-15', dosage: '25mg' },
+                { from: '2024-05-15', dosage: '12.5mg' }
+            ]
+        });
+
+        expect(schedule.getRegimenPeriods(tapering, schedule.getActiveRange(tapering))).toEqual([
+            { from: '2024-03-01', until: '2024-03-14', regimen: expect.objectContaining({ dosage: '50mg' }) },
+            { from: '2024-03-15', until: '2024-04-30', regimen: expect.objectContaining({ dosage: '25mg' }) }
+        ]);
+    });
+
+    test('collects reminder times across taper steps', () => {
+        const tapering = med({ taper: [{ from: '2024-04-01', dosage: '25mg', frequency: 'twice-daily', times: ['09:00', '21:00'] }] });
+        expect(schedule.getReminderTimes(tapering)).toEqual(['08:00', '09:00', '21:00']);
+    });
+});
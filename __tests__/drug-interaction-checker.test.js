@@ -0,0 +1,101 @@
+const DrugInteractionChecker = require('../drug-interaction-checker');
+
+describe('DrugInteractionChecker class rules', () => {
+  let checker;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+    checker = new DrugInteractionChecker({ drugBankApiKey: '' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('normalizes brand names and strengths to generics with their classes', () => {
+    expect(checker.normalizeDrug('Zoloft 50mg')).toMatchObject({
+      name: 'sertraline',
+      category: 'SSRI',
+      classes: expect.arrayContaining(['SSRI', 'Serotonergic'])
+    });
+    expect(checker.normalizeDrug('Advil').classes).toEqual(['NSAID']);
+    expect(checker.normalizeDrug('Vitamin D')).toMatchObject({ name: 'vitamin d', category: null, classes: [] });
+  });
+
+  test('strips strengths from names outside the index before falling back', () => {
+    expect(checker.normalizeDrug('Acetaminophen 500 MG').name).toBe('acetaminophen');
+    expect(checker.normalizeDrug('insulin 100 units/ml').name).toBe('insulin');
+    expect(checker.normalizeDrug('Vitamin B12').name).toBe('vitamin b12');
+
+    expect(checker.checkClassRules(['acetaminophen 500mg', 'Acetaminophen'])).toEqual([
+      expect.objectContaining({
+        type: 'duplication',
+        description: 'Therapeutic duplication: acetaminophen 500mg and Acetaminophen both contain Acetaminophen'
+      })
+    ]);
+  });
+
+  test('matches class-vs-class and class-vs-drug rules in either order', () => {
+    const [serotonin] = checker.checkClassRules(['Imitrex', 'Lexapro']);
+    expect(serotonin).toMatchObject({
+      drug1: 'Imitrex',
+      drug2: 'Lexapro',
+      severity: 'MODERATE',
+      type: 'interaction',
+      classes: ['SSRI', 'Triptan'],
+      source: 'Class Rules'
+    });
+
+    const [herbal] = checker.checkClassRules(["St. John's Wort", 'Prozac']);
+    expect(herbal.classes).toEqual(['SSRI', "st. john's wort"]);
+
+    expect(checker.checkClassRules(['Nardil', 'Effexor XR'])[0].severity).toBe('SEVERE');
+  });
+
+  test('reports therapeutic duplication within a class and for the same ingredient', () => {
+    expect(checker.checkClassRules(['Lexapro', 'Zoloft'])).toEqual([
+      expect.objectContaining({ type: 'duplication', description: 'Therapeutic duplication: two SSRIs' })
+    ]);
+    expect(checker.checkClassRules(['Zoloft', 'Sertraline 25mg'])).toEqual([
+      expect.objectContaining({
+        type: 'duplication',
+        description: 'Therapeutic duplication: Zoloft and Sertraline 25mg both contain Sertraline'
+      })
+    ]);
+  });
+
+  test('adds class results only for pairs the local database did not report', async () => {
+    const result = await checker.checkInteractions(['Ibuprofen', 'Naproxen', 'Sertraline', 'Sumatriptan']);
+    const pairs = result.interactions.map(int => `${int.drug1}+${int.drug2}:${int.source}`);
+
+    expect(pairs).toEqual(expect.arrayContaining([
+      'Ibuprofen+Naproxen:Local Database',
+      'Ibuprofen+Sertraline:Local Database',
+      'Naproxen+Sertraline:Class Rules',
+      'Sertraline+Sumatriptan:Class Rules'
+    ]));
+    expect(pairs.filter(pair => pair.startsWith('Ibuprofen+Naproxen'))).toHaveLength(1);
+  });
+
+  test('finds local database entries through brand names', () => {
+    expect(checker.checkWithLocalDatabase(['Coumadin', 'Bayer'])).toEqual([
+      expect.objectContaining({ drug1: 'Coumadin', drug2: 'Bayer', severity: 'SEVERE' })
+    ]);
+  });
+
+  test('includes food and health-condition warnings in the result', async () => {
+    const result = await checker.checkInteractions(['Advil'], { weekOfPregnancy: 30, conditions: ['CKD'] });
+
+    expect(result.interactions).toEqual([]);
+    expect(result.foodInteractions).toEqual([expect.objectContaining({ medication: 'Advil', food: 'alcohol' })]);
+    expect(result.conditionWarnings.map(w => w.condition)).toEqual(['pregnancy', 'kidney-disease']);
+  });
+
+  test('keeps working without a class rules file', () => {
+    const bare = new DrugInteractionChecker({ drugBankApiKey: '', classRulesPath: '/nonexistent/rules.json' });
+
+    expect(bare.checkClassRules(['Lexapro', 'Imitrex'])).toEqual([]);
+    expect(bare.normalizeDrug('Zoloft').name).toBe('sertraline');
+  });
+});
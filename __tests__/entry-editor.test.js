@@ -0,0 +1,187 @@
+const { execFileSync } = require('child_process');
+const EntryEditor = require('../entry-editor');
+
+describe('EntryEditor', () => {
+    let tracker;
+    let editor;
+    const now = new Date('2024-03-05T15:00:00');
+    const minutesLater = minutes => new Date(now.getTime() + minutes * 60000);
+
+    beforeEach(() => {
+        tracker = {
+            data: {
+                sleepEntries: [
+                    { id: 1, date: '2024-03-03', bedtime: '23:00', wakeTime: '07:00', duration: 8, quality: 7, notes: '' },
+                    { id: 2, date: '2024-03-04', bedtime: '22:30', wakeTime: '06:00', duration: 7.5, quality: 6, notes: '' }
+                ]
+            },
+            saveData: jest.fn(() => true)
+        };
+        editor = new EntryEditor(tracker, {
+            collection: 'sleepEntries',
+            label: 'Sleep entry',
+            rules: {
+                bedtime: { type: 'time' },
+                wakeTime: { type: 'time' },
+                quality: { type: 'integer', min: 1, max: 10 }
+            },
+            afterUpdate: entry => {
+                entry.duration = entry.wakeTime === '07:30' ? 8.5 : entry.duration;
+            }
+        });
+    });
+
+    describe('resolveWhen', () => {
+        test('defaults to now', () => {
+            expect(EntryEditor.resolveWhen({}, now)).toMatchObject({
+                isValid: true,
+                date: '2024-03-05',
+                timestamp: now.toISOString(),
+                backdated: false
+            });
+        });
+
+        test('files entries under the local day with or without --at', () => {
+            // TZ only takes effect in a fresh process
+            const script = `
+                const EntryEditor = require(${JSON.stringify(require.resolve('../entry-editor'))});
+                const evening = new Date('2024-03-06T02:00:00Z'); // 21:00 on the 5th in UTC-5
+                console.log(JSON.stringify([EntryEditor.resolveWhen({}, evening).date, EntryEditor.resolveWhen({ at: '21:00' }, evening).date]));
+            `;
+            const output = execFileSync(process.execPath, ['-e', script], {
+                env: { ...process.env, TZ: 'America/New_York' },
+                encoding: 'utf8'
+            });
+
+            expect(JSON.parse(output)).toEqual(['2024-03-05', '2024-03-05']);
+        });
+
+        test('backdates to a day, a time or both', () => {
+            const dayOnly = EntryEditor.resolveWhen({ date: '2024-03-01' }, now);
+            expect(dayOnly).toMatchObject({ isValid: true, date: '2024-03-01', backdated: true });
+            expect(new Date(dayOnly.timestamp).getHours()).toBe(15);
+
+            expect(EntryEditor.resolveWhen({ at: '09:15' }, now).timestamp).toBe(new Date('2024-03-05T09:15:00').toISOString());
+            expect(EntryEditor.resolveWhen({ date: '2024-03-01', at: '21:00' }, now).timestamp)
+                .toBe(new Date('2024-03-01T21:00:00').toISOString());
+            expect(EntryEditor.resolveWhen({ at: '2024-03-02 06:45' }, now)).toMatchObject({ date: '2024-03-02' });
+        });
+
+        test('rejects malformed and future dates', () => {
+            expect(EntryEditor.resolveWhen({ date: '03/01/2024' }, now).errors[0]).toContain('YYYY-MM-DD');
+            expect(EntryEditor.resolveWhen({ at: '25:00' }, now).errors[0]).toContain('HH:MM');
+            expect(EntryEditor.resolveWhen({ date: '2024-03-06' }, now).errors[0]).toContain('in the future');
+            expect(EntryEditor.resolveWhen({ at: '16:00' }, now).errors[0]).toContain('in the future');
+            expect(EntryEditor.resolveWhen({ date: '2024-03-01', at: '2024-03-02 10:00' }, now).isValid).toBe(false);
+        });
+    });
+
+    describe('edit', () => {
+        test('validates, applies and records the change', () => {
+            const result = editor.edit(1, { wakeTime: '07:30', quality: '8' }, now);
+
+            expect(result.isValid).toBe(true);
+            expect(tracker.data.sleepEntries[0]).toMatchObject({ wakeTime: '07:30', quality: 8, duration: 8.5, updatedAt: now.toISOString() });
+            expect(tracker.data.changeLog).toEqual([expect.objectContaining({
+                id: 1,
+                action: 'edit',
+                collection: 'sleepEntries',
+                entryId: 1,
+                before: expect.objectContaining({ wakeTime: '07:00', quality: 7 }),
+                after: expect.objectContaining({ wakeTime: '07:30', quality: 8 })
+            })]);
+            expect(tracker.saveData).toHaveBeenCalled();
+        });
+
+        test('moves an entry to another day', () => {
+            editor.edit(2, { date: '2024-03-02' }, now);
+            expect(tracker.data.sleepEntries[1].date).toBe('2024-03-02');
+        });
+
+        test('reports invalid changes and unknown ids without saving', () => {
+            expect(editor.edit(1, { quality: 11 }, now).errors[0]).toContain('exceeds maximum');
+            expect(editor.edit(1, {}, now).errors).toEqual(['Nothing to change']);
+            expect(editor.edit(99, { quality: 5 }, now).errors).toEqual(['Sleep entry 99 not found']);
+            expect(tracker.saveData).not.toHaveBeenCalled();
+        });
+
+        test('rolls back when saving fails', () => {
+            tracker.saveData.mockReturnValue(false);
+
+            expect(editor.edit(1, { quality: 3 }, now).isValid).toBe(false);
+            expect(tracker.data.sleepEntries[0].quality).toBe(7);
+            expect(tracker.data.changeLog).toHaveLength(0);
+        });
+    });
+
+    describe('remove and undo', () => {
+        test('restores a deleted entry in place', () => {
+            editor.remove(1, now);
+            expect(tracker.data.sleepEntries.map(e => e.id)).toEqual([2]);
+
+            const result = editor.undo(minutesLater(5));
+
+            expect(result.isValid).toBe(true);
+            expect(tracker.data.sleepEntries.map(e => e.id)).toEqual([1, 2]);
+            expect(tracker.data.changeLog.map(c => c.action)).toEqual(['delete', 'undo']);
+            expect(tracker.data.changeLog[0].undoneAt).toBeDefined();
+            expect(tracker.data.changeLog[1]).toMatchObject({ undoes: 1, entryId: 1 });
+        });
+
+        test('reverts an edit', () => {
+            editor.edit(2, { quality: 2 }, now);
+            editor.undo(minutesLater(1));
+
+            expect(tracker.data.sleepEntries[1]).toEqual(expect.objectContaining({ quality: 6 }));
+            expect(tracker.data.sleepEntries[1].updatedAt).toBeUndefined();
+        });
+
+        test('leaves the change in place when the undo cannot be saved', () => {
+            editor.edit(2, { quality: 2 }, now);
+            editor.remove(1, now);
+            const before = JSON.parse(JSON.stringify(tracker.data));
+            tracker.saveData.mockReturnValue(false);
+
+            expect(editor.undo(minutesLater(1)).errors).toEqual(['Undo could not be saved']);
+            expect(tracker.data).toEqual(before);
+
+            tracker.data.changeLog.pop(); // forget the delete, so the edit is undone next
+            expect(editor.undo(minutesLater(1)).errors).toEqual(['Undo could not be saved']);
+            expect(tracker.data.sleepEntries).toEqual(before.sleepEntries);
+            expect(tracker.data.changeLog.map(c => c.undoneAt)).toEqual([undefined]);
+
+            tracker.saveData.mockReturnValue(true);
+            expect(editor.undo(minutesLater(2)).isValid).toBe(true);
+            expect(tracker.data.sleepEntries[0]).toEqual(expect.objectContaining({ quality: 6 }));
+        });
+
+        test('only undoes the latest change inside the window, once', () => {
+            expect(editor.undo(now).errors).toEqual(['Nothing to undo']);
+
+            editor.remove(2, now);
+            expect(editor.undo(minutesLater(EntryEditor.UNDO_WINDOW_MINUTES + 1)).errors[0]).toContain('can only be undone within');
+
+            editor.edit(1, { quality: 9 }, minutesLater(20));
+            expect(editor.undo(minutesLater(21)).isValid).toBe(true);
+            expect(editor.undo(minutesLater(22)).errors).toEqual(['Nothing to undo']);
+            expect(tracker.data.sleepEntries.map(e => e.id)).toEqual([1]);
+        });
+    });
+
+    test('parses CLI flags into entry fields', () => {
+        expect(EntryEditor.parseArgs(['7', 'good', 'day', '--wake-time', '07:00', '--date', '2024-03-01'])).toEqual({
+            positional: ['7', 'good', 'day'],
+            flags: { wakeTime: '07:00', date: '2024-03-01' }
+        });
+    });
+
+    test('lists changes newest first', () => {
+        jest.spyOn(console, 'log').mockImplementation();
+        editor.edit(1, { quality: 9 }, now);
+        editor.remove(2, now);
+
+        expect(editor.printHistory().map(c => c.action)).toEqual(['delete', 'edit']);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('quality: 7 → 9'));
+        console.log.mockRestore();
+    });
+});
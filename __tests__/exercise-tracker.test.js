@@ -156,6 +156,57 @@ describe('Exercise Tracker', () => {
         });
     });
 
+    describe('buildEntry', () => {
+        test('builds a dated entry without saving', () => {
+            const result = tracker.buildEntry({ date: '2024-03-02', type: 'Rowing', duration: '25', intensity: 'HIGH' });
+
+            expect(result.isValid).toBe(true);
+            expect(result.entry).toMatchObject({ date: '2024-03-02', type: 'Rowing', duration: 25, intensity: 'high' });
+            expect(tracker.data.exercises).toHaveLength(0);
+        });
+
+        test('applies the logExercise limits', () => {
+            const result = tracker.buildEntry({ type: 'Hike', duration: 700 });
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors[0]).toContain('exceeds maximum allowed value (600)');
+        });
+    });
+
+    describe('backdating and editing', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation();
+            jest.spyOn(console, 'error').mockImplementation();
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('logs a session at an earlier date and time', () => {
+            tracker.logExercise('Swimming', 40, 'high', '', { date: '2024-03-01', at: '18:30' });
+
+            expect(tracker.data.exercises[0]).toMatchObject({
+                date: '2024-03-01',
+                timestamp: new Date('2024-03-01T18:30:00').toISOString()
+            });
+            expect(tracker.logExercise('Swimming', 40, 'high', '', { at: 'evening' })).toBe(false);
+        });
+
+        test('edits, deletes and undoes sessions', () => {
+            tracker.logExercise('Running', 30, 'high');
+            const id = tracker.data.exercises[0].id;
+
+            expect(tracker.editEntry(id, { duration: '35', intensity: 'MODERATE' })).toMatchObject({ duration: 35, intensity: 'moderate' });
+            expect(tracker.editEntry(id, { duration: 0 })).toBeNull();
+
+            tracker.deleteEntry(id);
+            expect(tracker.data.exercises).toHaveLength(0);
+            tracker.undoLastChange();
+            expect(tracker.data.exercises[0]).toMatchObject({ id, duration: 35 });
+        });
+    });
+
     describe('getHistory', () => {
         test('shows message when no data exists', () => {
             const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
@@ -335,4 +386,117 @@ describe('Exercise Tracker', () => {
             expect(data.workoutCount).toBe(1);
         });
     });
+
+    describe('structured workouts', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation();
+            jest.spyOn(console, 'error').mockImplementation();
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('stores sets, distance and heart rate on the session', () => {
+            tracker.data.settings = { maxHeartRate: 190 };
+
+            const strength = tracker.logWorkout('Strength', 60, { intensity: 'high', sets: 'squat:5x5@100; Pull-ups:3x8' });
+            const run = tracker.logWorkout('run', 30, { distance: '5', avgHeartRate: '150', maxHeartRate: '172' });
+
+            expect(strength.exercises).toEqual([
+                { name: 'Back Squat', catalogId: 'back-squat', sets: Array(5).fill({ reps: 5, weight: 100 }) },
+                { name: 'Pull-up', catalogId: 'pull-up', sets: Array(3).fill({ reps: 8, weight: null }) }
+            ]);
+            expect(run).toMatchObject({ catalogId: 'running', distance: 5, pace: 6 });
+            expect(run.heartRate).toEqual({ avg: 150, max: 172, zones: [0, 0, 30, 0, 0], zonesEstimated: true });
+            expect(tracker.data.exercises).toHaveLength(2);
+        });
+
+        test('rejects unreadable sets and heart rates without saving', () => {
+            expect(tracker.logWorkout('Strength', 45, { sets: 'Squat:5y5' })).toBe(false);
+            expect(tracker.logWorkout('Run', 30, { avgHeartRate: 160, maxHeartRate: 150 })).toBe(false);
+            expect(tracker.logWorkout('Run', 30, { zones: '10,10,10,10,10' })).toBe(false);
+            expect(tracker.data.exercises).toHaveLength(0);
+        });
+
+        test('detects personal records against earlier sessions', () => {
+            tracker.logWorkout('Strength', 60, { sets: 'Bench:3x5@80' }, { date: '2024-03-04' });
+            tracker.logWorkout('Running', 30, { distance: 5 }, { date: '2024-03-05' });
+
+            const first = tracker.logWorkout('Strength', 60, { sets: 'Bench Press:3x5@75' }, { date: '2024-03-07' });
+            const second = tracker.logWorkout('Strength', 60, { sets: 'bench:1x3@85' }, { date: '2024-03-08' });
+            const run = tracker.logWorkout('Running', 27, { distance: 5 }, { date: '2024-03-09' });
+
+            expect(first.records).toBeUndefined();
+            expect(second.records).toEqual([
+                { exercise: 'Bench Press', kind: 'weight', value: 85, previous: 80 },
+                { exercise: 'Bench Press', kind: 'oneRepMax', value: 93.5, previous: 93.3 }
+            ]);
+            expect(run.records).toEqual([{ exercise: 'Running', kind: 'pace', value: 5.4, previous: 6 }]);
+            expect(console.log).toHaveBeenCalledWith('🏆 New personal record! Bench Press heaviest set: 85 kg (was 80 kg)');
+            expect(tracker.getPersonalRecords()['bench-press'].records.volume).toMatchObject({ value: 1200, date: '2024-03-04' });
+        });
+
+        test('getStats adds weekly volume and the records set in the window', () => {
+            jest.useFakeTimers({ now: new Date('2024-03-14T12:00:00') });
+            tracker.logWorkout('Strength', 50, { sets: 'Deadlift:3x5@120' }, { date: '2024-03-04' });
+            tracker.logWorkout('Strength', 40, { sets: 'Deadlift:2x5@130' }, { date: '2024-03-11' });
+            tracker.logWorkout('Cycling', 60, { distance: 25, zones: '10,40,10,0,0' }, { date: '2024-03-13' });
+
+            const stats = tracker.getStats(30);
+            jest.useRealTimers();
+
+            expect(stats.totalWorkouts).toBe(3);
+            expect(stats.weeklyVolume).toEqual([
+                { week: '2024-03-04', sessions: 1, minutes: 50, sets: 3, reps: 15, volume: 1800, distance: 0, zoneMinutes: [0, 0, 0, 0, 0] },
+                { week: '2024-03-11', sessions: 2, minutes: 100, sets: 2, reps: 10, volume: 1300, distance: 25, zoneMinutes: [10, 40, 10, 0, 0] }
+            ]);
+            expect(stats.personalRecords).toEqual([
+                { exercise: 'Deadlift', kind: 'weight', value: 130, previous: 120, date: '2024-03-11' },
+                { exercise: 'Deadlift', kind: 'oneRepMax', value: 151.7, previous: 140, date: '2024-03-11' }
+            ]);
+        });
+
+        test('adds custom exercises to the catalog', () => {
+            expect(tracker.addCatalogExercise('Kettlebell Swing', 'strength', ['kb swing'])).toMatchObject({ id: 'kettlebell-swing', custom: true });
+            expect(tracker.addCatalogExercise('squat', 'strength')).toBeNull();
+
+            const workout = tracker.logWorkout('Conditioning', 20, { sets: 'kb swing:5x15@24' });
+            expect(workout.exercises[0]).toMatchObject({ name: 'Kettlebell Swing', catalogId: 'kettlebell-swing' });
+        });
+    });
+
+    describe('training load', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation();
+            jest.spyOn(console, 'error').mockImplementation();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+        });
+
+        test('stores session RPE and rejects values outside 1-10', () => {
+            expect(tracker.logExercise('Running', 40, 'high', '', { rpe: '8' })).toBe(true);
+            expect(tracker.logWorkout('Rowing', 30, { rpe: 6, distance: 6 }).rpe).toBe(6);
+            expect(tracker.logExercise('Running', 40, 'high', '', { rpe: 11 })).toBe(false);
+
+            expect(tracker.data.exercises.map(ex => ex.rpe)).toEqual([8, 6]);
+            expect(console.log).toHaveBeenCalledWith('📈 Session load: 320 AU (RPE 8)');
+        });
+
+        test('getStats includes acute:chronic ratio, monotony and strain', () => {
+            jest.useFakeTimers({ now: new Date('2024-03-28T12:00:00Z') });
+            ['2024-03-06', '2024-03-13', '2024-03-20', '2024-03-27'].forEach(date => {
+                tracker.logExercise('Cycling', 60, 'moderate', '', { date });
+            });
+            tracker.logExercise('Cycling', 60, 'high', '', { date: '2024-03-28', rpe: 10 });
+
+            const stats = tracker.getStats(30);
+
+            expect(stats.trainingLoad).toMatchObject({ acuteLoad: 900, chronicLoad: 450, acwr: 2, zone: 'high' });
+            expect(console.log).toHaveBeenCalledWith('Acute:chronic ratio: 2 (load spike - injury risk)');
+        });
+    });
 });
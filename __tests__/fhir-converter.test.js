@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FHIRConverter = require('../fhir-converter');
+const ExportManager = require('../export-manager');
+const MentalHealthTracker = require('../mental-health-tracker');
+const MedicationTracker = require('../medication-tracker');
+const SleepTracker = require('../sleep-tracker');
+
+describe('FHIR R4 export and import', () => {
+    const now = new Date().toISOString();
+    const earlier = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const sample = {
+        medications: [{ id: 1, name: 'Sertraline', dosage: '50mg', frequency: 'twice-daily', scheduledTime: '08:00', createdAt: now, active: true }],
+        doseHistory: [{ medicationId: 1, medicationName: 'Sertraline', dosage: '50mg', takenAt: now, notes: 'with food' }],
+        moodEntries: [{ id: 2, rating: 7, note: 'Calm', timestamp: now }],
+        sleepEntries: [{ id: 3, date: now.split('T')[0], bedtime: '22:30', wakeTime: '06:30', duration: 8, quality: 8, notes: '', timestamp: now }],
+        symptoms: [
+            { id: 4, type: 'anxiety', severity: 6, note: 'Before meeting', timestamp: now },
+            { id: 5, type: 'anxiety', severity: 8, note: '', timestamp: earlier }
+        ]
+    };
+
+    const resources = (bundle, type) => bundle.entry.map(e => e.resource).filter(r => r.resourceType === type);
+
+    describe('FHIRConverter', () => {
+        const converter = new FHIRConverter();
+
+        test('maps medications and doses to MedicationStatement and MedicationAdministration', () => {
+            const bundle = converter.toBundle(sample);
+            const [statement] = resources(bundle, 'MedicationStatement');
+            const [administration] = resources(bundle, 'MedicationAdministration');
+
+            expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+            expect(statement).toMatchObject({
+                status: 'active',
+                medicationCodeableConcept: { text: 'Sertraline' },
+                dosage: [{ timing: { repeat: { frequency: 2, period: 1, periodUnit: 'd', timeOfDay: ['08:00:00'] } } }]
+            });
+            expect(statement.dosage[0].doseAndRate[0].doseQuantity).toEqual({ value: 50, unit: 'mg' });
+
+            const statementUrl = bundle.entry.find(e => e.resource === statement).fullUrl;
+            expect(administration.supportingInformation[0].reference).toBe(statementUrl);
+            expect(administration.effectiveDateTime).toBe(now);
+        });
+
+        test('maps sleep to the LOINC sleep duration observation', () => {
+            const observations = resources(converter.toBundle(sample), 'Observation');
+            const sleep = observations.find(o => o.code.coding[0].system === 'http://loinc.org');
+
+            expect(sleep.code.coding[0].code).toBe('93832-4');
+            expect(sleep.valueQuantity).toMatchObject({ value: 8, code: 'h' });
+            expect(sleep.component.map(c => c.code.coding[0].code)).toEqual(['sleep-quality', 'bedtime', 'wake-time']);
+        });
+
+        test('summarizes symptom logs as one Condition per type', () => {
+            const bundle = converter.toBundle(sample);
+            const [condition] = resources(bundle, 'Condition');
+
+            expect(resources(bundle, 'Condition')).toHaveLength(1);
+            expect(condition.code.text).toBe('anxiety');
+            expect(condition.severity.text).toBe('severe');
+            expect(condition.evidence[0].detail).toHaveLength(2);
+        });
+
+        test('round-trips every record type', () => {
+            const records = converter.fromBundle(converter.toBundle(sample));
+
+            expect(records.medications[0]).toMatchObject({ name: 'Sertraline', dosage: '50mg', frequency: 'twice-daily', scheduledTime: '08:00' });
+            expect(records.doseHistory[0]).toMatchObject({ medicationName: 'Sertraline', takenAt: now, notes: 'with food' });
+            expect(records.moodEntries).toEqual([{ rating: 7, note: 'Calm', timestamp: now }]);
+            expect(records.sleepEntries[0]).toMatchObject({ bedtime: '22:30', wakeTime: '06:30', duration: 8, quality: 8 });
+            expect(records.symptoms).toHaveLength(2);
+            expect(records.skipped).toBe(2); // Patient and the derived Condition summary
+        });
+
+        test('reads conditions and unknown resources from other apps', () => {
+            const records = converter.fromBundle({
+                resourceType: 'Bundle',
+                entry: [
+                    { resource: { resourceType: 'Condition', code: { text: 'Insomnia' }, severity: { text: 'Moderate' }, onsetDateTime: now } },
+                    { resource: { resourceType: 'Immunization' } },
+                    { resource: { resourceType: 'Observation', code: { coding: [{ system: 'http://loinc.org', code: '93832-4' }] }, valueQuantity: { value: 7 }, effectiveDateTime: now } }
+                ]
+            });
+
+            expect(records.symptoms).toEqual([{ type: 'insomnia', severity: 6, note: '', timestamp: now }]);
+            expect(records.skipped).toBe(2);
+        });
+
+        test('rejects files that are not bundles', () => {
+            expect(() => converter.fromBundle({ resourceType: 'Patient' })).toThrow('expected a Bundle');
+        });
+    });
+
+    describe('ExportManager', () => {
+        let testDir;
+        let dashboard;
+        let exportManager;
+
+        const createDashboard = () => ({
+            mentalHealth: new MentalHealthTracker(path.join(testDir, 'mental-health-data.json')),
+            medication: new MedicationTracker(path.join(testDir, 'medications.json')),
+            sleep: new SleepTracker(path.join(testDir, 'sleep-data.json'))
+        });
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation();
+            testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stepsync-fhir-'));
+            dashboard = createDashboard();
+            dashboard.medication.data.medications.push(...sample.medications);
+            dashboard.medication.data.history.push(...sample.doseHistory);
+            dashboard.mentalHealth.data.moodEntries.push(...sample.moodEntries);
+            dashboard.mentalHealth.data.symptoms.push(...sample.symptoms);
+            dashboard.sleep.data.sleepEntries.push(...sample.sleepEntries);
+            exportManager = new ExportManager(dashboard, path.join(testDir, 'exports'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(testDir, { recursive: true, force: true });
+            jest.restoreAllMocks();
+        });
+
+        test('writes a bundle file', () => {
+            const file = exportManager.exportToFHIR({ filename: 'bundle.json' });
+            const bundle = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+            expect(path.basename(file)).toBe('bundle.json');
+            expect(bundle.entry).toHaveLength(1 + 1 + 1 + 1 + 1 + 2 + 1);
+        });
+
+        test('imports into empty trackers and skips duplicates on re-import', () => {
+            const file = exportManager.exportToFHIR({ filename: 'bundle.json' });
+
+            const target = new ExportManager({
+                mentalHealth: new MentalHealthTracker(path.join(testDir, 'other-mh.json')),
+                medication: new MedicationTracker(path.join(testDir, 'other-meds.json')),
+                sleep: new SleepTracker(path.join(testDir, 'other-sleep.json'))
+            }, path.join(testDir, 'exports'));
+
+            const first = target.importFromFHIR(file);
+            expect(first).toMatchObject({ medications: 1, doses: 1, moods: 1, sleepEntries: 1, symptoms: 2, duplicates: 0 });
+
+            const meds = new MedicationTracker(path.join(testDir, 'other-meds.json')).data;
+            expect(meds.history[0].medicationId).toBe(meds.medications[0].id);
+
+            const second = target.importFromFHIR(file);
+            expect(second).toMatchObject({ medications: 0, doses: 0, moods: 0, sleepEntries: 0, symptoms: 0, duplicates: 6 });
+        });
+
+        test('imports untimed medications and skips invalid medications and doses', () => {
+            const file = exportManager.exportToFHIR({ filename: 'bundle.json' });
+            const bundle = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            const [statement] = resources(bundle, 'MedicationStatement');
+            statement.dosage = [{ asNeededBoolean: true, text: '50mg' }];
+            bundle.entry.push({
+                fullUrl: 'urn:uuid:too-long',
+                resource: { ...statement, medicationCodeableConcept: { text: 'x'.repeat(201) } }
+            });
+            const [administration] = resources(bundle, 'MedicationAdministration');
+            bundle.entry.push({ resource: { ...administration, effectiveDateTime: 'yesterday' } });
+            fs.writeFileSync(file, JSON.stringify(bundle));
+
+            const medication = new MedicationTracker(path.join(testDir, 'other-meds.json'));
+            const summary = new ExportManager({ medication }, path.join(testDir, 'exports')).importFromFHIR(file);
+
+            expect(summary).toMatchObject({ medications: 1, doses: 1 });
+            expect(medication.data.medications).toEqual([expect.objectContaining({ name: 'Sertraline', frequency: 'as-needed', scheduledTime: null })]);
+            expect(medication.generateMedicationsCSV()).toContain('"as-needed","",');
+
+            const doc = { fontSize: () => doc, fillColor: () => doc, text: jest.fn(() => doc), moveDown: () => doc };
+            medication.addTodaySchedule(doc);
+            expect(doc.text).toHaveBeenCalledWith('No set time - Sertraline (50mg)', { indent: 20 });
+        });
+
+        test('skips out-of-range observations instead of storing them', () => {
+            const file = exportManager.exportToFHIR({ filename: 'bundle.json' });
+            const bundle = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            const targetFor = (name) => new ExportManager({
+                mentalHealth: new MentalHealthTracker(path.join(testDir, `${name}-mh.json`)),
+                sleep: new SleepTracker(path.join(testDir, `${name}-sleep.json`))
+            }, path.join(testDir, 'exports'));
+            const baseline = targetFor('valid').importFromFHIR(file);
+
+            const observations = resources(bundle, 'Observation');
+            const mood = observations.find(o => o.code.coding.some(c => c.code === 'mood-rating'));
+            delete mood.valueQuantity;
+            mood.valueInteger = 42;
+            const sleep = observations.find(o => o.code.coding.some(c => c.code === '93832-4'));
+            sleep.valueQuantity.value = -3;
+            fs.writeFileSync(file, JSON.stringify(bundle));
+
+            const target = targetFor('invalid');
+            const summary = target.importFromFHIR(file);
+
+            expect(baseline).toMatchObject({ moods: 1, sleepEntries: 1, symptoms: 2 });
+            expect(summary).toMatchObject({ moods: 0, sleepEntries: 0, symptoms: 2, skipped: baseline.skipped + 2 });
+            expect(target.dashboard.mentalHealth.data.moodEntries).toEqual([]);
+            expect(target.dashboard.sleep.data.sleepEntries).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+const FoodConditionChecker = require('../food-condition-checker');
+
+describe('FoodConditionChecker', () => {
+    let checker;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation();
+        checker = new FoodConditionChecker();
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('resolves condition names and aliases', () => {
+        expect(checker.normalizeCondition('Kidney Disease')).toBe('kidney-disease');
+        expect(checker.normalizeCondition('CKD')).toBe('kidney-disease');
+        expect(checker.normalizeCondition('epilepsy')).toBe('seizure-disorder');
+        expect(checker.normalizeCondition('hay fever')).toBeNull();
+    });
+
+    test('warns about foods by drug name, brand and class, keeping the most severe', () => {
+        const { food, conditions } = checker.check(['Xanax', 'Doxycycline', 'Nardil', 'Gabapentin']);
+
+        expect(conditions).toEqual([]);
+        expect(food.map(w => `${w.medication}+${w.food}:${w.severity}`)).toEqual([
+            'Xanax+alcohol:SEVERE',
+            'Nardil+tyramine:SEVERE',
+            'Gabapentin+alcohol:SEVERE',
+            'Xanax+grapefruit:MODERATE',
+            'Doxycycline+dairy:MODERATE'
+        ]);
+        expect(food[0]).toMatchObject({ label: 'Alcohol', icon: '🍷' });
+    });
+
+    test('checks only the conditions given, and pregnancy rules by week', () => {
+        const early = checker.check(['Advil', 'Paxil'], { conditions: ['asthma'], weekOfPregnancy: 8 });
+        expect(early.conditions.map(w => `${w.medication}+${w.condition}`)).toEqual(['Advil+asthma', 'Paxil+pregnancy']);
+        expect(early.conditions[1].weekOfPregnancy).toBe(8);
+
+        const late = checker.check(['Advil', 'Paxil'], { weekOfPregnancy: 24 });
+        expect(late.conditions).toEqual([
+            expect.objectContaining({ medication: 'Advil', condition: 'pregnancy', severity: 'SEVERE' })
+        ]);
+    });
+
+    test('returns no warnings without a knowledge file', () => {
+        const empty = new FoodConditionChecker({ knowledgePath: '/nonexistent/knowledge.json' });
+
+        expect(empty.check(['Xanax'], { conditions: ['asthma'] })).toEqual({ food: [], conditions: [] });
+    });
+});
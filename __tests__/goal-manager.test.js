@@ -637,6 +637,21 @@ describe('GoalManager', () => {
             expect(isNotMet).toBe(false);
         });
 
+        test('should check step goal', () => {
+            const stepGoal = goalManager.createGoal({
+                type: 'steps',
+                title: 'Walk 8,000 steps',
+                target: 8000,
+                duration: 30
+            });
+
+            expect(goalManager.checkGoalCompletion(stepGoal, { steps: 9120 })).toBe(true);
+            expect(goalManager.checkGoalCompletion(stepGoal, { steps: 5400 })).toBe(false);
+            expect(goalManager.getValueFromData(stepGoal, { steps: 5400 })).toBe(5400);
+            expect(goalManager.formatTarget(8000, 'steps')).toBe('8000 steps/day');
+            expect(goalManager.getGoalEmoji('steps')).toBe('👟');
+        });
+
         test('should check medication goal', () => {
             const medGoal = goalManager.createGoal({
                 type: 'medication',
@@ -752,6 +767,37 @@ describe('GoalManager', () => {
         });
     });
 
+    describe('syncProgress', () => {
+        test('replays days missing from goal history and builds streaks', () => {
+            const stepGoal = goalManager.createGoal({
+                type: 'steps',
+                title: 'Walk 10,000 steps',
+                target: 10000,
+                duration: 30,
+                startDate: '2024-03-01'
+            });
+            goalManager.createGoal({ type: 'sleep', title: 'Sleep 8h', target: 8, duration: 30, startDate: '2024-03-01' });
+            const entries = [
+                { date: '2024-02-29', steps: 15000 },
+                { date: '2024-03-03', steps: 10400 },
+                { date: '2024-03-01', steps: 12000, sleep_hours: 8 },
+                { date: '2024-03-02', steps: 11000 },
+                { date: '2024-03-04', steps: 6000 }
+            ];
+
+            const results = goalManager.syncProgress(entries, { type: 'steps', until: '2024-03-03' });
+
+            expect(results).toEqual([{ goal: stepGoal, days: 3 }]);
+            expect(stepGoal.history.map(day => day.date)).toEqual(['2024-03-01', '2024-03-02', '2024-03-03']);
+            expect(stepGoal.progress).toMatchObject({ daysCompleted: 3, streak: 3, maxStreak: 3 });
+
+            goalManager.syncProgress(entries, { until: '2024-03-04' });
+            expect(stepGoal.history).toHaveLength(4);
+            expect(stepGoal.progress.streak).toBe(0);
+            expect(goalManager.syncProgress(entries, { until: '2024-03-04' })).toEqual([]);
+        });
+    });
+
     describe('displayGoals', () => {
         let consoleLogSpy;
 
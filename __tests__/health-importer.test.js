@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HealthImporter = require('../health-importer');
+const SleepTracker = require('../sleep-tracker');
+const ExerciseTracker = require('../exercise-tracker');
+const { runCommand } = require('../import-cli');
+
+describe('HealthImporter', () => {
+    let testDir;
+    let sleep;
+    let exercise;
+    let importer;
+    const originalTZ = process.env.TZ;
+
+    const write = (name, content) => {
+        const file = path.join(testDir, name);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        return file;
+    };
+
+    const appleSleep = (value, start, end, source = 'Watch') =>
+        `<Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="${source}" value="HKCategoryValueSleepAnalysis${value}" startDate="${start} +0000" endDate="${end} +0000"/>`;
+
+    const appleExport = `<?xml version="1.0" encoding="UTF-8"?>
+<HealthData locale="en_US">
+ <Record type="HKQuantityTypeIdentifierStepCount" value="120" startDate="2024-03-02 09:00:00 +0000" endDate="2024-03-02 09:10:00 +0000"/>
+ ${appleSleep('InBed', '2024-03-01 22:30:00', '2024-03-02 06:30:00', 'Phone')}
+ ${appleSleep('AsleepCore', '2024-03-01 23:00:00', '2024-03-02 03:00:00')}
+ ${appleSleep('Awake', '2024-03-02 03:00:00', '2024-03-02 03:30:00')}
+ ${appleSleep('AsleepREM', '2024-03-02 03:30:00', '2024-03-02 06:00:00')}
+ ${appleSleep('AsleepCore', '2024-03-02 14:00:00', '2024-03-02 14:20:00')}
+ <Workout workoutActivityType="HKWorkoutActivityTypeRunning" duration="31.5" durationUnit="min" totalEnergyBurned="320" totalEnergyBurnedUnit="kcal" startDate="2024-03-02 07:00:00 +0000" endDate="2024-03-02 07:31:30 +0000">
+  <MetadataEntry key="HKIndoorWorkout" value="0"/>
+ </Workout>
+ <Workout workoutActivityType="HKWorkoutActivityTypeTraditionalStrengthTraining" duration="0.5" durationUnit="min" startDate="2024-03-03 18:00:00 +0000" endDate="2024-03-03 18:00:30 +0000"/>
+</HealthData>`;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+        // Google Fit timestamps are UTC; entries use local clock times
+        process.env.TZ = 'UTC';
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stepsync-health-import-'));
+        sleep = new SleepTracker(path.join(testDir, 'sleep-data.json'));
+        exercise = new ExerciseTracker(path.join(testDir, 'exercise-data.json'));
+        importer = new HealthImporter({ sleep, exercise });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+        if (originalTZ === undefined) delete process.env.TZ;
+        else process.env.TZ = originalTZ;
+    });
+
+    describe('Apple Health', () => {
+        test('groups sleep analysis records into a night', () => {
+            const summary = importer.importPath(write('export.xml', appleExport));
+
+            expect(summary.source).toBe('apple-health');
+            expect(summary.sleep).toMatchObject({ imported: 1, skipped: 1 });
+            expect(sleep.data.sleepEntries[0]).toMatchObject({
+                date: '2024-03-02',
+                bedtime: '22:30',
+                wakeTime: '06:30',
+                duration: 6.5,
+                quality: 8,
+                source: 'Apple Health',
+                qualityEstimated: true
+            });
+            expect(summary.skippedReasons['shorter than 1 hour']).toBe(1);
+        });
+
+        test('maps workouts to exercise entries', () => {
+            const summary = importer.importPath(write('export.xml', appleExport));
+
+            expect(summary.exercise).toMatchObject({ imported: 1, skipped: 1 });
+            expect(exercise.data.exercises[0]).toMatchObject({
+                date: '2024-03-02',
+                type: 'Running',
+                duration: 32,
+                intensity: 'high',
+                startTime: '2024-03-02T07:00',
+                calories: 320
+            });
+        });
+
+        test('skips entries already present on re-import and persists the first import', () => {
+            const file = write('export.xml', appleExport);
+            importer.importPath(file);
+
+            const reloaded = new HealthImporter({
+                sleep: new SleepTracker(path.join(testDir, 'sleep-data.json')),
+                exercise: new ExerciseTracker(path.join(testDir, 'exercise-data.json'))
+            });
+            const summary = reloaded.importPath(file);
+
+            expect(summary.sleep).toMatchObject({ imported: 0, duplicates: 1 });
+            expect(summary.exercise).toMatchObject({ imported: 0, duplicates: 1 });
+            expect(reloaded.sleep.data.sleepEntries).toHaveLength(1);
+        });
+
+        test('treats manual entries for the same night as duplicates', () => {
+            sleep.data.sleepEntries.push({ id: 1, date: '2024-03-02', bedtime: '22:30', wakeTime: '06:30', duration: 8, quality: 7 });
+
+            expect(importer.importPath(write('export.xml', appleExport)).sleep.duplicates).toBe(1);
+        });
+
+        test('dry run saves nothing', () => {
+            const summary = importer.importPath(write('export.xml', appleExport), { dryRun: true });
+
+            expect(summary.sleep.imported).toBe(1);
+            expect(new SleepTracker(path.join(testDir, 'sleep-data.json')).data.sleepEntries).toHaveLength(0);
+        });
+
+        test('dry run leaves the trackers untouched, so a later save cannot persist it', () => {
+            importer.importPath(write('export.xml', appleExport), { dryRun: true });
+            expect(sleep.data.sleepEntries).toHaveLength(0);
+            expect(exercise.data.exercises).toHaveLength(0);
+
+            sleep.saveData();
+            expect(new SleepTracker(path.join(testDir, 'sleep-data.json')).data.sleepEntries).toHaveLength(0);
+        });
+
+        test('reports a failed save and keeps the entries out of the tracker', () => {
+            jest.spyOn(sleep, 'saveData').mockReturnValue(false);
+
+            const summary = importer.importPath(write('export.xml', appleExport));
+
+            expect(summary.saveFailed).toEqual(['sleep']);
+            expect(summary.sleep.imported).toBe(0);
+            expect(sleep.data.sleepEntries).toHaveLength(0);
+            expect(summary.exercise.imported).toBe(1);
+
+            importer.printSummary(summary);
+            expect(console.log).toHaveBeenCalledWith('\n❌ Could not save sleep data - none of it was imported');
+        });
+    });
+
+    describe('Google Fit', () => {
+        const nanos = iso => String(new Date(iso).getTime() * 1e6);
+
+        test('reads a Takeout folder with sessions, sleep segments and daily metrics', () => {
+            write('Fit/All Sessions/2024-03-02T07_00_00Z_WALKING.json', {
+                fitnessActivity: 'walking',
+                startTime: '2024-03-02T07:00:00.000Z',
+                endTime: '2024-03-02T07:45:00.000Z',
+                duration: '2700.000s',
+                aggregate: [{ metricName: 'com.google.calories.expended', floatValue: 150 }]
+            });
+            write('Fit/All Data/derived_com.google.sleep.segment.json', {
+                'Data Source': 'derived:com.google.sleep.segment',
+                'Data Points': [
+                    { dataTypeName: 'com.google.sleep.segment', startTimeNanos: nanos('2024-03-01T23:00:00Z'), endTimeNanos: nanos('2024-03-02T02:00:00Z'), fitValue: [{ value: { intVal: 4 } }] },
+                    { dataTypeName: 'com.google.sleep.segment', startTimeNanos: nanos('2024-03-02T02:00:00Z'), endTimeNanos: nanos('2024-03-02T03:00:00Z'), fitValue: [{ value: { intVal: 5 } }] },
+                    { dataTypeName: 'com.google.sleep.segment', startTimeNanos: nanos('2024-03-02T03:00:00Z'), endTimeNanos: nanos('2024-03-02T07:00:00Z'), fitValue: [{ value: { intVal: 6 } }] }
+                ]
+            });
+            write('Fit/Daily activity metrics/Daily activity metrics.csv',
+                'Date,Move Minutes count,Walking duration (ms),Cycling duration (ms),Inactive duration (ms),Sleep duration (ms)\n' +
+                '2024-03-02,45,2700000,,50000000,28800000\n' +
+                '2024-03-03,60,,3600000,40000000,\n');
+
+            const summary = importer.importPath(path.join(testDir, 'Fit'));
+
+            expect(summary.source).toBe('google-fit');
+            expect(sleep.data.sleepEntries).toEqual([
+                expect.objectContaining({ date: '2024-03-02', bedtime: '23:00', wakeTime: '07:00', duration: 8 })
+            ]);
+            // The 2024-03-02 walk appears in both the session and the daily CSV
+            expect(summary.exercise).toMatchObject({ found: 3, imported: 2, duplicates: 1 });
+            expect(exercise.data.exercises.map(e => [e.type, e.duration, e.intensity])).toEqual(expect.arrayContaining([
+                ['Walking', 45, 'low'],
+                ['Cycling', 60, 'moderate']
+            ]));
+            expect(summary.skippedReasons['daily CSV has sleep totals but no bed/wake times']).toBe(1);
+        });
+
+        test('imports sleep sessions', () => {
+            const file = write('sleep.json', {
+                fitnessActivity: 'sleep',
+                startTime: '2024-03-04T22:15:00.000Z',
+                endTime: '2024-03-05T06:45:00.000Z'
+            });
+
+            importer.importPath(file);
+            expect(sleep.data.sleepEntries[0]).toMatchObject({ date: '2024-03-05', bedtime: '22:15', wakeTime: '06:45', duration: 8.5, quality: 5 });
+        });
+    });
+
+    test('throws for a missing path', () => {
+        expect(() => importer.importPath(path.join(testDir, 'nope.xml'))).toThrow('File not found');
+    });
+
+    describe('import-cli', () => {
+        test('imports and prints a summary', () => {
+            expect(runCommand('health', [write('export.xml', appleExport), '--dry-run'], importer)).toBe(0);
+            const output = console.log.mock.calls.map(c => c.join(' ')).join('\n');
+            expect(output).toContain('Apple Health import (dry run');
+            expect(output).toContain('1 × shorter than 1 hour');
+        });
+
+        test('reports usage and failures with an exit code', () => {
+            expect(runCommand('health', [], importer)).toBe(1);
+            expect(runCommand('health', [path.join(testDir, 'missing.xml')], importer)).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+const ICalendar = require('../icalendar');
+
+describe('ICalendar', () => {
+    test('expands weekly, biweekly and daily rules', () => {
+        expect(ICalendar.expand({ freq: 'WEEKLY', interval: 2, byDay: ['TU'] }, '2024-03-05', { to: '2024-04-30' }))
+            .toEqual(['2024-03-05', '2024-03-19', '2024-04-02', '2024-04-16', '2024-04-30']);
+        expect(ICalendar.expand({ freq: 'WEEKLY', byDay: ['MO', 'TH'], count: 4 }, '2024-03-04'))
+            .toEqual(['2024-03-04', '2024-03-07', '2024-03-11', '2024-03-14']);
+        expect(ICalendar.expand({ freq: 'DAILY', interval: 2, until: '2024-03-09' }, '2024-03-01', { from: '2024-03-04' }))
+            .toEqual(['2024-03-05', '2024-03-07', '2024-03-09']);
+    });
+
+    test('expands monthly rules on the nth and last weekday', () => {
+        expect(ICalendar.expand({ freq: 'MONTHLY', byDay: ['2TU'] }, '2024-01-09', { to: '2024-04-30' }))
+            .toEqual(['2024-01-09', '2024-02-13', '2024-03-12', '2024-04-09']);
+        expect(ICalendar.expand({ freq: 'MONTHLY', byDay: ['-1FR'], count: 3 }, '2024-01-26'))
+            .toEqual(['2024-01-26', '2024-02-23', '2024-03-29']);
+        expect(ICalendar.weekdayPosition('2024-03-29')).toEqual({ nth: 5, last: true });
+    });
+
+    test('builds escaped, folded calendars with alarms and exceptions', () => {
+        const text = ICalendar.build([{
+            uid: 'series-1@stepsync',
+            summary: 'Therapy; notes, and more',
+            description: 'A'.repeat(100),
+            start: { date: '2024-03-05', time: '10:00' },
+            durationMinutes: 50,
+            rrule: { freq: 'WEEKLY', interval: 2, byDay: ['TU'], until: '2024-06-30' },
+            exdates: [{ date: '2024-03-19', time: '10:00' }],
+            alarmMinutes: 60
+        }], { now: new Date(Date.UTC(2024, 2, 1, 12)) });
+        const lines = text.split('\r\n');
+
+        expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(lines).toEqual(expect.arrayContaining([
+            'DTSTAMP:20240301T120000Z',
+            'DTSTART:20240305T100000',
+            'DURATION:PT50M',
+            'SUMMARY:Therapy\\; notes\\, and more',
+            'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU;UNTIL=20240630T235959',
+            'EXDATE:20240319T100000',
+            'TRIGGER:-PT1H'
+        ]));
+        expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    });
+
+    test('parses what it builds', () => {
+        const event = {
+            uid: 'series-1@stepsync',
+            summary: 'Therapy, weekly',
+            description: 'Line one\nLine two',
+            categories: ['Therapy'],
+            start: { date: '2024-03-05', time: '10:00' },
+            durationMinutes: 90,
+            rrule: { freq: 'MONTHLY', interval: 1, byDay: ['-1TU'], count: 6 },
+            exdates: [{ date: '2024-04-30', time: '10:00' }],
+            status: 'CONFIRMED'
+        };
+
+        expect(ICalendar.parse(ICalendar.build([event]))).toEqual([event]);
+    });
+
+    test('parses calendar app exports with time zones, DTEND and nested components', () => {
+        const events = ICalendar.parse([
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'UID:abc@example.com',
+            'DTSTART;TZID="America/New_York":20240306T090000',
+            'DTEND;TZID="America/New_York":20240306T095000',
+            'SUMMARY:Session with',
+            '  Dr. Smith',
+            'BEGIN:VALARM',
+            'DESCRIPTION:Not the summary',
+            'END:VALARM',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'UID:def@example.com',
+            'DTSTART;VALUE=DATE:20240307',
+            'SUMMARY:All day',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\n'));
+
+        expect(events).toHaveLength(2);
+        expect(events[0]).toMatchObject({
+            uid: 'abc@example.com',
+            summary: 'Session with Dr. Smith',
+            start: { date: '2024-03-06', time: '09:00' },
+            durationMinutes: 50
+        });
+        expect(events[1].start).toEqual({ date: '2024-03-07', time: null });
+    });
+});
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const MedicationTracker = require('../medication-tracker');
+const AuditLog = require('../audit-log');
 
 // Mock fs module
 jest.mock('fs');
@@ -539,8 +540,10 @@ describe('MedicationTracker', () => {
     test('saveData should write formatted JSON', () => {
       tracker.saveData();
 
+      // Saves are atomic: written to a temp file, then renamed over the data file
       const writeCall = fs.writeFileSync.mock.calls[0];
-      expect(writeCall[0]).toBe('test-medications.json');
+      expect(writeCall[0]).toMatch(/^test-medications\.json\..+\.tmp$/);
+      expect(fs.renameSync).toHaveBeenCalledWith(writeCall[0], 'test-medications.json');
 
       // Check that JSON is formatted (has indentation)
       const jsonData = writeCall[1];
@@ -1515,4 +1518,336 @@ describe('MedicationTracker', () => {
       });
     });
   });
+
+  describe('Dose Schedule', () => {
+    let medication;
+
+    beforeEach(() => {
+      medication = tracker.addMedication('Sertraline', '50mg', 'daily', '08:00', { startDate: '2024-03-01' });
+    });
+
+    test('should store a course start and end date', () => {
+      const med = tracker.addMedication('Amoxicillin', '500mg', 'three-times-daily', '08:00',
+        { startDate: '2024-03-01', endDate: '2024-03-07' });
+
+      expect(med).toMatchObject({ startDate: '2024-03-01', endDate: '2024-03-07' });
+      expect(tracker.addMedication('Bad', '5mg', 'daily', '08:00', { startDate: '2024-03-07', endDate: '2024-03-01' })).toBe(false);
+    });
+
+    test('should update times and weekdays with setSchedule', () => {
+      expect(tracker.setSchedule(medication.id, { times: ['07:30'], daysOfWeek: [1, 3] })).toMatchObject({
+        times: ['07:30'],
+        daysOfWeek: [1, 3]
+      });
+      expect(tracker.setSchedule(medication.id, { daysOfWeek: [7] })).toBe(false);
+      expect(tracker.setSchedule(medication.id, { endDate: '2024-02-01' })).toBe(false);
+    });
+
+    test('should keep taper steps sorted and replace steps on the same day', () => {
+      tracker.addTaperStep(medication.id, '2024-04-01', '25mg');
+      tracker.addTaperStep(medication.id, '2024-03-15', '37.5mg');
+      tracker.addTaperStep(medication.id, '2024-04-01', '12.5mg', 'every-other-day');
+
+      expect(medication.taper).toEqual([
+        { from: '2024-03-15', dosage: '37.5mg' },
+        { from: '2024-04-01', dosage: '12.5mg', frequency: 'every-other-day' }
+      ]);
+      expect(tracker.addTaperStep(medication.id, 'April', '25mg')).toBe(false);
+    });
+
+    test('should skip the open dose nearest to now with a reason', () => {
+      const today = new Date();
+      today.setDate(today.getDate() - 1);
+      medication.startDate = today.toISOString().split('T')[0];
+      medication.scheduledTime = '00:00';
+
+      const record = tracker.skipDose(medication.id, 'doctor said to hold');
+
+      expect(record).toMatchObject({ medicationId: medication.id, skipped: true, missed: true, reason: 'doctor said to hold' });
+      expect(new Date(record.scheduledFor).getHours()).toBe(0);
+      expect(tracker.skipDose(medication.id, 'again')).toBe(false);
+      expect(tracker.skipDose(medication.id, '  ')).toBe(false);
+    });
+
+    test('should list skipped doses in history with their reason', () => {
+      const today = new Date();
+      today.setDate(today.getDate() - 1);
+      medication.startDate = today.toISOString().split('T')[0];
+      medication.scheduledTime = '00:00';
+      tracker.skipDose(medication.id, 'doctor said to hold');
+      consoleLogSpy.mockClear();
+
+      tracker.getHistory(medication.id, 7);
+
+      const output = consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+      expect(output).not.toContain('No history found');
+      expect(output).toMatch(/Skipped: /);
+      expect(output).toContain('Reason: doctor said to hold');
+    });
+
+    test('should report late and extra doses when marking as taken', () => {
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      medication.startDate = yesterday.toISOString().split('T')[0];
+      medication.scheduledTime = '00:00';
+      const takenAt = new Date();
+      takenAt.setHours(0, 45, 0, 0);
+      jest.useFakeTimers({ now: takenAt });
+
+      try {
+        tracker.markAsTaken(medication.id);
+        tracker.markAsTaken(medication.id);
+      } finally {
+        jest.useRealTimers();
+      }
+
+      const output = consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+      expect(output).toContain('45 min late for the 00:00 dose');
+      expect(output).toContain('Extra dose');
+    });
+
+    test('should measure adherence against scheduled doses', () => {
+      const today = new Date();
+      today.setHours(23, 0, 0, 0);
+      tracker.data.history.push({ medicationId: medication.id, takenAt: new Date('2024-03-01T08:05:00').toISOString() });
+
+      const adherence = tracker.getAdherence({ from: '2024-03-01', to: '2024-03-03', now: today });
+
+      expect(adherence).toMatchObject({ expected: 3, taken: 1, missed: 2 });
+    });
+
+    test('should warn about daily totals when adding and taking extra doses', () => {
+      const warning = { type: 'DAILY_TOTAL', message: '⚠️ Warning: 250mg of sertraline a day exceeds the maximum daily dose of 200mg' };
+      tracker.medicationValidator.medicationManager = { medications: [{}] };
+      tracker.medicationValidator.checkDailyTotals = jest.fn().mockReturnValue([warning]);
+      jest.useFakeTimers({ now: new Date('2024-03-10T08:05:00') });
+
+      try {
+        const zoloft = tracker.addMedication('Zoloft', '50mg', 'daily', '08:00', { startDate: '2024-03-12' });
+        expect(tracker.medicationValidator.checkDailyTotals).toHaveBeenLastCalledWith(
+          expect.arrayContaining([medication, zoloft]),
+          tracker.data.history,
+          { date: '2024-03-12', medicationId: zoloft.id }
+        );
+
+        tracker.medicationValidator.checkDailyTotals.mockClear();
+        tracker.markAsTaken(medication.id);
+        expect(tracker.medicationValidator.checkDailyTotals).not.toHaveBeenCalled();
+        tracker.markAsTaken(medication.id);
+        expect(tracker.medicationValidator.checkDailyTotals).toHaveBeenCalledWith(
+          tracker.data.medications, tracker.data.history, { date: '2024-03-10', medicationId: medication.id }
+        );
+      } finally {
+        jest.useRealTimers();
+      }
+
+      const output = consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+      expect(output).toContain('⚠️  Daily dose:');
+      expect(output).toContain(warning.message);
+    });
+
+    test('should export the schedule as recurring calendar events', () => {
+      tracker.addTaperStep(medication.id, '2024-03-16', '25mg', 'every-other-day');
+      const weekly = tracker.addMedication('Vitamin D', '1000IU', 'weekly', '09:00', { startDate: '2024-03-01' });
+      tracker.setSchedule(weekly.id, { daysOfWeek: [1, 3] });
+      tracker.addMedication('Ibuprofen', '200mg', 'as-needed', '08:00', { startDate: '2024-03-01' });
+
+      const events = tracker.getCalendarEvents();
+
+      expect(events).toHaveLength(3);
+      expect(events[0]).toMatchObject({
+        uid: `medication-${medication.id}-2024-03-01-0800@stepsync`,
+        summary: '💊 Sertraline 50mg',
+        start: { date: '2024-03-01', time: '08:00' },
+        rrule: { freq: 'DAILY', until: '2024-03-15' },
+        alarmMinutes: 0
+      });
+      // Every other day counted from the first dose, not from the taper step
+      expect(events[1]).toMatchObject({
+        summary: '💊 Sertraline 25mg',
+        start: { date: '2024-03-17', time: '08:00' },
+        rrule: { freq: 'DAILY', interval: 2 }
+      });
+      expect(events[2]).toMatchObject({
+        start: { date: '2024-03-04', time: '09:00' },
+        rrule: { freq: 'WEEKLY', byDay: ['MO', 'WE'] }
+      });
+    });
+  });
+
+  describe('Food and Condition Warnings', () => {
+    beforeEach(() => {
+      tracker.foodConditionChecker.knowledge = {
+        foods: { alcohol: { label: 'Alcohol', icon: '🍷' } },
+        conditions: {
+          pregnancy: { label: 'Pregnancy' },
+          'kidney-disease': { label: 'Kidney disease', aliases: ['ckd'] }
+        },
+        rules: [
+          { food: 'alcohol', drugs: ['alprazolam'], severity: 'SEVERE', description: 'Breathing risk', recommendation: 'Avoid alcohol' },
+          { condition: 'kidney-disease', drugs: ['ibuprofen'], severity: 'SEVERE', description: 'Kidney harm', recommendation: 'Avoid' },
+          { condition: 'pregnancy', minWeek: 20, drugs: ['ibuprofen'], severity: 'SEVERE', description: 'Not after 20 weeks', recommendation: 'Avoid' }
+        ]
+      };
+      tracker.foodConditionChecker._drugChecker = {
+        normalizeDrug: name => ({ name: name.toLowerCase(), category: null, classes: [] })
+      };
+    });
+
+    test('should keep conditions and a pregnancy week that counts up', () => {
+      expect(tracker.addCondition('CKD')).toBe(true);
+      expect(tracker.addCondition('kidney-disease')).toBe(false);
+      expect(tracker.addCondition('Pregnancy')).toBe(false);
+      expect(tracker.setPregnancyWeek('43')).toBe(false);
+      expect(tracker.setPregnancyWeek(18, new Date(2024, 2, 1))).toBe(true);
+
+      expect(tracker.data.profile).toEqual({
+        conditions: ['kidney-disease'],
+        pregnancy: { week: 18, recordedOn: '2024-03-01' }
+      });
+      expect(tracker.getPregnancyWeek(new Date(2024, 2, 15))).toBe(20);
+      expect(tracker.getPregnancyWeek(new Date(2024, 11, 1))).toBeNull();
+
+      expect(tracker.removeCondition('Kidney Disease')).toBe(true);
+      expect(tracker.data.profile.conditions).toEqual([]);
+    });
+
+    test('should warn about food and profile conditions when adding', () => {
+      tracker.addCondition('kidney-disease');
+      consoleLogSpy.mockClear();
+
+      tracker.addMedication('Alprazolam', '0.5mg', 'daily', '21:00');
+      tracker.addMedication('Ibuprofen', '200mg', 'as-needed', '08:00');
+
+      const output = consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+      expect(output).toContain('🔴 SEVERE - Alprazolam + 🍷 Alcohol');
+      expect(output).toContain('🔴 SEVERE - Ibuprofen + Kidney disease');
+    });
+
+    test('should include food and condition warnings in the pregnancy safety check', async () => {
+      tracker.pregnancySafety = {
+        checkMedicationSafety: jest.fn().mockResolvedValue({ safe: true, trimester: 2 })
+      };
+
+      const result = await tracker.checkPregnancySafety('Ibuprofen', 24);
+
+      expect(result.foodInteractions).toEqual([]);
+      expect(result.conditionWarnings).toEqual([
+        expect.objectContaining({ medication: 'Ibuprofen', condition: 'pregnancy', weekOfPregnancy: 24 })
+      ]);
+    });
+
+    test('should leave profile conditions out of pregnancy checks for anonymous callers', async () => {
+      tracker.pregnancySafety = {
+        checkMedicationSafety: jest.fn().mockResolvedValue({ safe: true, trimester: 2 })
+      };
+      tracker.addCondition('kidney-disease');
+
+      const withProfile = await tracker.checkPregnancySafety('Ibuprofen', 24);
+      expect(withProfile.conditionWarnings.map(w => w.condition)).toEqual(expect.arrayContaining(['kidney-disease', 'pregnancy']));
+
+      const anonymous = await tracker.checkPregnancySafety('Ibuprofen', 24, { useProfile: false });
+      expect(anonymous.conditionWarnings.map(w => w.condition)).toEqual(['pregnancy']);
+    });
+  });
+
+  describe('Audit Log', () => {
+    let auditLog;
+
+    beforeEach(() => {
+      auditLog = {
+        filePath: '/data/medication-audit.jsonl',
+        append: jest.fn(),
+        verify: jest.fn().mockReturnValue({ valid: true, count: 2, problems: [] })
+      };
+      tracker.auditLog = auditLog;
+    });
+
+    test('should record changes to medications and doses', () => {
+      tracker.addMedication('Sertraline', '50mg', 'daily', '08:00');
+      const medId = tracker.data.medications[0].id;
+      tracker.markAsTaken(medId);
+      tracker.removeMedication(medId);
+
+      expect(auditLog.append.mock.calls.map(([entry]) => entry.action)).toEqual([
+        'MEDICATION_ADDED', 'DOSE_TAKEN', 'MEDICATION_REMOVED'
+      ]);
+      expect(auditLog.append).toHaveBeenCalledWith({
+        source: 'medication-tracker',
+        action: 'MEDICATION_ADDED',
+        userId: null,
+        details: { medicationId: medId, name: 'Sertraline', dosage: '50mg', frequency: 'daily' }
+      });
+    });
+
+    test('should record medication updates with the values before and after', () => {
+      const med = tracker.addMedication('Sertraline', '50mg', 'daily', '08:00');
+      expect(tracker.updateMedication(med.id, { dosage: '100mg' }).dosage).toBe('100mg');
+
+      expect(auditLog.append).toHaveBeenLastCalledWith(expect.objectContaining({
+        action: 'MEDICATION_UPDATED',
+        details: { medicationId: med.id, before: { dosage: '50mg' }, after: { dosage: '100mg' } }
+      }));
+
+      fs.writeFileSync.mockImplementation(() => {
+        throw new Error('Write error');
+      });
+      expect(tracker.updateMedication(med.id, { dosage: '150mg' })).toBe(false);
+      expect(tracker.data.medications[0].dosage).toBe('100mg');
+      expect(auditLog.append).toHaveBeenCalledTimes(2);
+    });
+
+    test('should record the current user on audit entries', () => {
+      tracker.setCurrentUser('user-42', 'user');
+      tracker.addCondition('CKD');
+
+      expect(auditLog.append).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'CONDITION_ADDED',
+        userId: 'user-42'
+      }));
+    });
+
+    test('should report tampering found by verify-audit', () => {
+      expect(tracker.verifyAuditLog().valid).toBe(true);
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('2 entries verified'));
+
+      auditLog.verify.mockReturnValue({
+        valid: false,
+        count: 2,
+        problems: [{ line: 2, seq: 3, message: '1 entry missing before entry 3' }]
+      });
+      expect(tracker.verifyAuditLog().valid).toBe(false);
+      expect(consoleLogSpy).toHaveBeenCalledWith('   Line 2: 1 entry missing before entry 3');
+
+      tracker.auditLog = null;
+      expect(tracker.verifyAuditLog()).toBeNull();
+    });
+
+    test('should verify the shared medication database log as well when it is a separate file', () => {
+      AuditLog.defaultInstance = {
+        filePath: '/shared/medication-audit.jsonl',
+        verify: jest.fn().mockReturnValue({
+          valid: false,
+          count: 3,
+          problems: [{ line: 1, seq: 1, message: 'Entry 1 was modified after it was written' }]
+        })
+      };
+      try {
+        const result = tracker.verifyAuditLog();
+
+        expect(result).toEqual({
+          valid: false,
+          count: 5,
+          problems: [{ file: '/shared/medication-audit.jsonl', line: 1, seq: 1, message: 'Entry 1 was modified after it was written' }]
+        });
+        expect(consoleLogSpy).toHaveBeenCalledWith('\n🔐 Audit log: /data/medication-audit.jsonl');
+        expect(consoleLogSpy).toHaveBeenCalledWith('\n🔐 Audit log: /shared/medication-audit.jsonl');
+
+        AuditLog.defaultInstance.filePath = auditLog.filePath;
+        expect(tracker.verifyAuditLog()).toEqual({ valid: true, count: 2, problems: [] });
+      } finally {
+        AuditLog.resetDefault();
+      }
+    });
+  });
 });
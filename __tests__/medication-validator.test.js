@@ -85,6 +85,68 @@ describe('MedicationValidator', () => {
         });
     });
 
+    describe('Daily Totals', () => {
+        const med = (id, name, dosage, frequency) => ({
+            id, name, dosage, frequency, scheduledTime: '08:00', startDate: '2024-03-01', active: true
+        });
+        const taken = (medicationId, dosage, time) => ({
+            medicationId, dosage, takenAt: new Date(`2024-03-10T${time}:00`).toISOString()
+        });
+
+        test('should parse dose amounts in mg', () => {
+            expect(MedicationValidator.parseDoseMg('500mg')).toBe(500);
+            expect(MedicationValidator.parseDoseMg('1 g')).toBe(1000);
+            expect(MedicationValidator.parseDoseMg('250mcg')).toBe(0.25);
+            expect(MedicationValidator.parseDoseMg('0.5mg/mL')).toBeNull();
+        });
+
+        test('should multiply doses by frequency and group brands by ingredient', () => {
+            const medications = [med(1, 'Sertraline', '100mg', 'twice-daily'), med(2, 'Zoloft', '50mg', 'daily')];
+
+            const [total] = validator.calculateDailyTotals(medications, [], { date: '2024-03-10' });
+
+            expect(total).toMatchObject({
+                ingredient: 'sertraline',
+                scheduledMg: 250,
+                loggedMg: 0,
+                maxDailyMg: 200,
+                percent: 125,
+                status: 'exceeded'
+            });
+            expect(total.sources.map(s => [s.name, s.scheduledMg])).toEqual([['Sertraline', 200], ['Zoloft', 50]]);
+        });
+
+        test('should add as-needed and extra doses actually taken', () => {
+            const medications = [med(1, 'Lorazepam', '2mg', 'as-needed'), med(2, 'Gabapentin', '800mg', 'daily')];
+            const history = [
+                taken(1, '2mg', '09:00'), taken(1, '2mg', '13:00'), taken(1, '2mg', '17:00'),
+                taken(2, '800mg', '08:05'), taken(2, '800mg', '20:00'),
+                { medicationId: 1, dosage: '2mg', takenAt: new Date('2024-03-09T22:00:00').toISOString() }
+            ];
+
+            const totals = validator.calculateDailyTotals(medications, history, { date: '2024-03-10' });
+
+            expect(totals.find(t => t.ingredient === 'lorazepam')).toMatchObject({ scheduledMg: 0, loggedMg: 6, status: 'ok' });
+            expect(totals.find(t => t.ingredient === 'gabapentin')).toMatchObject({ scheduledMg: 800, loggedMg: 800, percent: 44 });
+
+            history.push(taken(1, '2mg', '21:00'));
+            const warnings = validator.checkDailyTotals(medications, history, { date: '2024-03-10', medicationId: 1 });
+            expect(warnings).toEqual([expect.objectContaining({
+                type: 'DAILY_TOTAL',
+                severity: 'MEDIUM',
+                ingredient: 'lorazepam',
+                message: '⚠️ Note: 8mg of lorazepam a day (Lorazepam 8mg) is 80% of the maximum daily dose of 10mg'
+            })]);
+            expect(validator.checkDailyTotals(medications, history, { date: '2024-03-10', medicationId: 2 })).toEqual([]);
+        });
+
+        test('should total unknown medications without a maximum', () => {
+            const [total] = validator.calculateDailyTotals([med(1, 'Acetaminophen', '500mg', 'four-times-daily')], [], { date: '2024-03-10' });
+
+            expect(total).toMatchObject({ ingredient: 'acetaminophen', totalMg: 2000, maxDailyMg: null, status: 'ok' });
+        });
+    });
+
     describe('Pregnancy Safety Checks', () => {
         test('should check pregnancy safety when requested', () => {
             const result = validator.validate('Sertraline', '50mg', { checkPregnancy: true });
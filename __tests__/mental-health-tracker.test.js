@@ -1,5 +1,7 @@
 const fs = require('fs');
+const path = require('path');
 const MentalHealthTracker = require('../mental-health-tracker');
+const ICalendar = require('../icalendar');
 
 // Mock fs module
 jest.mock('fs');
@@ -224,6 +226,32 @@ describe('MentalHealthTracker', () => {
     });
   });
 
+  describe('Mood Editing', () => {
+    test('logMood should backdate to an earlier time', () => {
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      const day = `${yesterday.getFullYear()}-${String(yesterday.getMonth() + 1).padStart(2, '0')}-${String(yesterday.getDate()).padStart(2, '0')}`;
+
+      expect(tracker.logMood(4, 'rough evening', { date: day, at: '21:00' })).toBe(true);
+      expect(new Date(tracker.data.moodEntries[0].timestamp).getHours()).toBe(21);
+      expect(tracker.data.moodEntries[0].loggedAt).toBeDefined();
+    });
+
+    test('editMood and deleteMood should record changes that can be undone', () => {
+      tracker.logMood(5, 'meh');
+      const id = tracker.data.moodEntries[0].id;
+
+      expect(tracker.editMood(id, { rating: 6 })).toMatchObject({ rating: 6, note: 'meh' });
+      expect(tracker.editMood(id, { rating: 12 })).toBeNull();
+      tracker.deleteMood(id);
+      expect(tracker.data.moodEntries).toHaveLength(0);
+
+      tracker.undoLastChange();
+      expect(tracker.data.moodEntries[0]).toMatchObject({ id, rating: 6 });
+      expect(tracker.data.changeLog.map(c => c.action)).toEqual(['edit', 'delete', 'undo']);
+    });
+  });
+
   describe('Symptom Tracking', () => {
     test('logSymptom should add symptom entry', () => {
       const result = tracker.logSymptom('anxiety', 7, 'Before presentation');
@@ -271,6 +299,89 @@ describe('MentalHealthTracker', () => {
     });
   });
 
+  describe('Screening Questionnaires', () => {
+    test('recordScreening should score and store a questionnaire', () => {
+      const entry = tracker.recordScreening('gad7', '1,2,1,0,1,2,1', {}, 'After the hearing');
+
+      expect(entry).toMatchObject({
+        instrument: 'gad7',
+        answers: [1, 2, 1, 0, 1, 2, 1],
+        score: 8,
+        severity: 'mild',
+        flags: [],
+        note: 'After the hearing'
+      });
+      expect(tracker.data.screenings).toHaveLength(1);
+      expect(consoleLogSpy).toHaveBeenCalledWith('\n✓ GAD-7 recorded: 8/21 (mild)');
+    });
+
+    test('recordScreening should reject unknown instruments and bad answers', () => {
+      expect(tracker.recordScreening('bdi', '1,2,3')).toBe(false);
+      expect(tracker.recordScreening('phq9', '1,2,3')).toBe(false);
+      expect(tracker.recordScreening('phq9', '0,0,0,0,0,0,0,0,5')).toBe(false);
+      expect(tracker.recordScreening('phq9', '000000000', { date: '2999-01-01' })).toBe(false);
+      expect(tracker.data.screenings).toHaveLength(0);
+    });
+
+    test('recordScreening should store PCL-5 cluster subscores', () => {
+      const entry = tracker.recordScreening('pcl5', '33221' + '22' + '2211000' + '332211');
+
+      expect(entry.score).toBe(33);
+      expect(entry.severity).toBe('probable PTSD');
+      expect(entry.subscores.B).toEqual({ score: 11, endorsed: 4 });
+      expect(entry.criteriaMet).toBe(true);
+    });
+
+    test('recordScreening should show crisis resources when PHQ-9 item 9 is endorsed', () => {
+      const entry = tracker.recordScreening('phq9', '000000001');
+
+      expect(entry.flags).toEqual(['self-harm']);
+      expect(consoleLogSpy).toHaveBeenCalledWith('   • 988 Suicide & Crisis Lifeline: Call/Text 988');
+    });
+
+    test('recordScreening should report change against the previous result', () => {
+      tracker.recordScreening('phq9', '332211000', { date: '2024-01-01' });
+      tracker.recordScreening('phq9', '111100000', { date: '2024-02-01' });
+
+      expect(consoleLogSpy).toHaveBeenCalledWith('  Change since 2024-01-01: -8 (improved)');
+      expect(tracker.getScreeningHistory('PHQ-9').map(s => s.score)).toEqual([12, 4]);
+
+      const [summary] = tracker.getScreeningSummary();
+      expect(summary.instrument.id).toBe('phq9');
+      expect(summary.latest.severity).toBe('minimal');
+      expect(summary.change).toEqual({ delta: -8, direction: 'improved' });
+    });
+
+    test('administerScreening should ask each item and re-ask invalid answers', async () => {
+      const replies = ['1', 'x', '2', '', '1', '0', '1', '2', '1'];
+      const ask = jest.fn(async () => replies.shift());
+
+      const entry = await tracker.administerScreening('gad7', ask);
+
+      expect(ask).toHaveBeenCalledTimes(9);
+      expect(ask.mock.calls[0][0]).toContain('Feeling nervous, anxious or on edge');
+      expect(entry.answers).toEqual([1, 2, 1, 0, 1, 2, 1]);
+    });
+
+    test('viewScreenings should handle empty history', () => {
+      tracker.viewScreenings();
+
+      expect(consoleLogSpy).toHaveBeenCalledWith('\nNo screenings recorded yet. Try: screen phq9');
+    });
+
+    test('viewScreenings should list scores per instrument', () => {
+      tracker.recordScreening('gad7', '3333333', { date: '2024-01-01' });
+      tracker.recordScreening('gad7', '1111111', { date: '2024-02-01' });
+      consoleLogSpy.mockClear();
+
+      tracker.viewScreenings('gad7');
+
+      const output = consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+      expect(output).toContain('2024-01-01: 21 - severe');
+      expect(output).toContain('Latest change: -14 (improved');
+    });
+  });
+
   describe('Journal Entries', () => {
     test('addJournal should create entry', () => {
       const result = tracker.addJournal('Today was a good day', 'positive');
@@ -429,6 +540,125 @@ describe('MentalHealthTracker', () => {
     });
   });
 
+  describe('Safety Plan', () => {
+    const output = () => consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+    beforeEach(() => {
+      tracker.data.emergencyContacts = [
+        { id: 11, name: 'Sam', relationship: 'sister', phone: '555-0101' },
+        { id: 12, name: 'Alex', relationship: 'friend', phone: '555-0102' }
+      ];
+      tracker.data.copingStrategies = [
+        { id: 21, name: 'Walk', description: 'Around the block', timesUsed: 3, effectiveness: '6.0' },
+        { id: 22, name: 'Box breathing', timesUsed: 8, effectiveness: '8.5' }
+      ];
+      tracker.data.therapists = [{ id: 31, name: 'Dr. Lee', specialty: 'trauma', phone: '555-0199' }];
+    });
+
+    test('starts with an empty plan in every section', () => {
+      expect(tracker.data.safetyPlan).toEqual({
+        warningSigns: [],
+        copingStrategyIds: [],
+        peopleAndPlaces: [],
+        contactIds: [],
+        therapistIds: [],
+        meansRestriction: [],
+        reasonsForLiving: [],
+        updatedAt: null
+      });
+      expect(tracker.isSafetyPlanEmpty()).toBe(true);
+    });
+
+    test('addToSafetyPlan stores text and links existing records', () => {
+      expect(tracker.addToSafetyPlan('warning-signs', 'Not sleeping for days')).toBe(true);
+      expect(tracker.addToSafetyPlan('contacts', '12')).toBe(true);
+      expect(tracker.addToSafetyPlan('contacts', 12)).toBe(false);
+      expect(tracker.addToSafetyPlan('professionals', '99')).toBe(false);
+      expect(tracker.addToSafetyPlan('hobbies', 'Chess')).toBe(false);
+      expect(tracker.addToSafetyPlan('means', '  ')).toBe(false);
+
+      expect(tracker.data.safetyPlan.warningSigns).toEqual(['Not sleeping for days']);
+      expect(tracker.data.safetyPlan.contactIds).toEqual([12]);
+      expect(tracker.data.safetyPlan.updatedAt).not.toBeNull();
+    });
+
+    test('removeFromSafetyPlan takes a number for text and an id for links', () => {
+      tracker.addToSafetyPlan('means', 'Meds kept by Sam');
+      tracker.addToSafetyPlan('means', 'No car keys at night');
+      tracker.addToSafetyPlan('coping', '21');
+
+      expect(tracker.removeFromSafetyPlan('means', '1')).toBe(true);
+      expect(tracker.removeFromSafetyPlan('means', '5')).toBe(false);
+      expect(tracker.removeFromSafetyPlan('coping', '21')).toBe(true);
+      expect(tracker.data.safetyPlan.meansRestriction).toEqual(['No car keys at night']);
+      expect(tracker.data.safetyPlan.copingStrategyIds).toEqual([]);
+    });
+
+    test('getSafetyPlan falls back to existing coping strategies, contacts and therapists', () => {
+      const plan = tracker.getSafetyPlan();
+
+      expect(plan.coping.map(s => s.name)).toEqual(['Box breathing', 'Walk']);
+      expect(plan.contacts.map(c => c.name)).toEqual(['Sam', 'Alex']);
+      expect(plan.professionals.map(t => t.name)).toEqual(['Dr. Lee']);
+
+      tracker.addToSafetyPlan('coping', '21');
+      tracker.addToSafetyPlan('contacts', '12');
+      expect(tracker.getSafetyPlan().coping.map(s => s.name)).toEqual(['Walk']);
+      expect(tracker.getSafetyPlan().contacts.map(c => c.name)).toEqual(['Alex']);
+    });
+
+    test('showCrisis puts crisis lines before the plan', () => {
+      tracker.addToSafetyPlan('warning-signs', 'Withdrawing from everyone');
+      consoleLogSpy.mockClear();
+
+      tracker.showCrisis();
+
+      const text = output();
+      expect(text.indexOf('988 Suicide & Crisis Lifeline')).toBeLessThan(text.indexOf('My Safety Plan'));
+      expect(text).toContain('• Withdrawing from everyone');
+      expect(text).toContain('• Sam (sister): 555-0101');
+      expect(text).toContain('• Dr. Lee (trauma): 555-0199');
+    });
+
+    test('a mood of 1-2 offers the plan and contacts', () => {
+      tracker.logMood(2, 'Rough day');
+
+      expect(output()).toContain('very low mood (2/10)');
+      expect(output()).toContain('📞 Sam (sister): 555-0101');
+      expect(output()).toContain('safety-plan');
+    });
+
+    test('a higher or day-old low mood does not offer the plan', () => {
+      tracker.logMood(3);
+      tracker.logMood(1, '', { date: '2024-01-01' });
+
+      expect(output()).not.toContain('have to handle this alone');
+    });
+
+    test('a low mood backdated by minutes still offers the plan', () => {
+      jest.useFakeTimers({ now: new Date('2024-03-04T09:00:00') });
+      try {
+        tracker.logMood(1, '', { date: '2024-03-03', at: '08:30' });
+        expect(output()).not.toContain('very low mood');
+
+        tracker.logMood(1, '', { at: '08:50' });
+        expect(output()).toContain('very low mood (1/10)');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('a severe symptom offers the plan', () => {
+      tracker.logSymptom('flashback', 7);
+      expect(output()).not.toContain('have to handle this alone');
+
+      tracker.addToSafetyPlan('warning-signs', 'Flashbacks every night');
+      tracker.logSymptom('flashback', 9);
+      expect(output()).toContain('severe flashback episode (9/10)');
+      expect(output()).toContain('mental-health-tracker.js crisis');
+    });
+  });
+
   describe('Goal Tracking', () => {
     test('addGoal should create goal', () => {
       const result = tracker.addGoal('Return to work', '2024-12-31');
@@ -513,8 +743,10 @@ describe('MentalHealthTracker', () => {
     test('saveData should write formatted JSON', () => {
       tracker.saveData();
 
+      // Saves are atomic: written to a temp file, then renamed over the data file
       const writeCall = fs.writeFileSync.mock.calls[0];
-      expect(writeCall[0]).toBe('test-data.json');
+      expect(writeCall[0]).toMatch(/^test-data\.json\..+\.tmp$/);
+      expect(fs.renameSync).toHaveBeenCalledWith(writeCall[0], 'test-data.json');
 
       // Check that JSON is formatted (has indentation)
       const jsonData = writeCall[1];
@@ -707,6 +939,20 @@ describe('MentalHealthTracker', () => {
         expect(output).toContain('Recovery Progress Visualization');
       });
 
+      test('should chart screening scores over time', () => {
+        tracker.data.screenings = [
+          { id: 1, instrument: 'pcl5', date: '2024-01-05', timestamp: '2024-01-05T10:00:00.000Z', score: 48, severity: 'probable PTSD' },
+          { id: 2, instrument: 'pcl5', date: '2024-02-05', timestamp: '2024-02-05T10:00:00.000Z', score: 31, severity: 'below threshold' }
+        ];
+        tracker.visualizeRecoveryProgress();
+
+        const output = consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+
+        expect(output).toContain('Screening Scores');
+        expect(output).toContain('PCL-5 (0-80)');
+        expect(output).toContain('PCL-5: 31/80 below threshold (2024-02-05, -17 📈)');
+      });
+
       test('should show goals progress', () => {
         tracker.visualizeRecoveryProgress();
 
@@ -1309,5 +1555,317 @@ describe('MentalHealthTracker', () => {
         expect(allCalls).toContain('Dr. Jones');
       });
     });
+
+    test('keeps homework reminders next to the tracker data file', () => {
+      const userTracker = new MentalHealthTracker(path.join('users', 'u1', 'mental-health-data.json'));
+      expect(userTracker.getReminderManager().remindersFile).toBe(path.join('users', 'u1', 'reminders.json'));
+    });
+
+    describe('homework', () => {
+      let therapist;
+      let first;
+      let second;
+
+      beforeEach(() => {
+        tracker.data.homework = [];
+        tracker.reminderManager = {
+          createHomeworkReminder: jest.fn(() => ({ id: 'reminder-1' })),
+          getReminder: jest.fn(id => ({ id })),
+          deleteReminder: jest.fn()
+        };
+        therapist = tracker.addTherapist('Dr. Smith', 'CBT', '555-1234');
+        first = tracker.scheduleSession(therapist.id, '2024-03-01', '10:00');
+        second = tracker.scheduleSession(therapist.id, '2024-03-15', '10:00');
+        second.id = first.id + 100;
+      });
+
+      test('assignHomework should default the due date to the next session', () => {
+        const homework = tracker.assignHomework(first.id, 'Thought record after triggers');
+
+        expect(homework).toMatchObject({
+          sessionId: first.id,
+          therapistName: 'Dr. Smith',
+          title: 'Thought record after triggers',
+          dueDate: '2024-03-15',
+          completed: false,
+          reminderId: null
+        });
+        expect(tracker.data.homework).toHaveLength(1);
+        expect(tracker.reminderManager.createHomeworkReminder).not.toHaveBeenCalled();
+      });
+
+      test('assignHomework should fall back to a week later and validate input', () => {
+        expect(tracker.assignHomework(second.id, 'Grounding practice').dueDate).toBe('2024-03-22');
+        expect(tracker.assignHomework(99999, 'Task')).toBe(false);
+        expect(tracker.assignHomework(first.id, '  ')).toBe(false);
+        expect(tracker.assignHomework(first.id, 'Task', { dueDate: '15/03/2024' })).toBe(false);
+        expect(tracker.assignHomework(first.id, 'Task', { remindAt: '8pm' })).toBe(false);
+        expect(tracker.data.homework).toHaveLength(1);
+      });
+
+      test('a reminder is created on assignment and removed on completion', () => {
+        const homework = tracker.assignHomework(first.id, 'Breathing 5 min', { dueDate: '2024-03-10', remindAt: '20:00' });
+
+        expect(tracker.reminderManager.createHomeworkReminder).toHaveBeenCalledWith(
+          expect.objectContaining({ id: homework.id, title: 'Breathing 5 min', dueDate: '2024-03-10', time: '20:00' })
+        );
+        expect(homework.reminderId).toBe('reminder-1');
+
+        const done = tracker.completeHomework(homework.id, 'Did it most evenings');
+
+        expect(done).toMatchObject({ completed: true, completionNote: 'Did it most evenings', reminderId: null });
+        expect(tracker.reminderManager.deleteReminder).toHaveBeenCalledWith('reminder-1');
+        expect(tracker.completeHomework(homework.id)).toBe(false);
+        expect(tracker.completeHomework(99999)).toBe(false);
+      });
+
+      test('a failed save keeps homework and its reminder unchanged', () => {
+        const saveData = jest.spyOn(tracker, 'saveData').mockReturnValueOnce(false);
+
+        expect(tracker.assignHomework(first.id, 'Breathing 5 min', { remindAt: '20:00' })).toBe(false);
+        expect(tracker.data.homework).toHaveLength(0);
+        expect(tracker.reminderManager.deleteReminder).toHaveBeenCalledWith('reminder-1');
+
+        tracker.reminderManager.deleteReminder.mockClear();
+        const homework = tracker.assignHomework(first.id, 'Breathing 5 min', { remindAt: '20:00' });
+        saveData.mockReturnValueOnce(false);
+
+        expect(tracker.completeHomework(homework.id)).toBe(false);
+        expect(homework).toMatchObject({ completed: false, completedAt: null, reminderId: 'reminder-1' });
+        expect(tracker.reminderManager.deleteReminder).not.toHaveBeenCalled();
+        saveData.mockRestore();
+      });
+
+      test('listHomework should show outstanding items', () => {
+        tracker.assignHomework(first.id, 'Thought record');
+        const done = tracker.assignHomework(first.id, 'Walk daily');
+        tracker.completeHomework(done.id);
+        consoleLogSpy.mockClear();
+
+        tracker.listHomework();
+
+        const output = consoleLogSpy.mock.calls.map(call => call.join(' ')).join('\n');
+        expect(output).toContain('Thought record');
+        expect(output).toContain('overdue 2024-03-15');
+        expect(output).not.toContain('Walk daily');
+      });
+
+      test('getSessionPrepSummary covers homework, mood and symptoms since the last session', () => {
+        tracker.completeSession(first.id, 6, 'Good start', 7);
+        const done = tracker.assignHomework(first.id, 'Walk daily');
+        tracker.assignHomework(first.id, 'Thought record');
+        tracker.assignHomework(second.id, 'Next task');
+        done.completed = true;
+        done.completedAt = '2024-03-05T18:00:00.000';
+        tracker.data.moodEntries = [
+          { rating: 4, timestamp: '2024-02-20T09:00:00.000' },
+          { rating: 4, timestamp: '2024-02-25T09:00:00.000' },
+          { rating: 6, timestamp: '2024-03-04T09:00:00.000' },
+          { rating: 7, timestamp: '2024-03-10T09:00:00.000' }
+        ];
+        tracker.data.symptoms = [
+          { type: 'nightmare', severity: 6, timestamp: '2024-02-22T03:00:00.000' },
+          { type: 'anxiety', severity: 5, timestamp: '2024-03-06T12:00:00.000' },
+          { type: 'anxiety', severity: 4, timestamp: '2024-03-12T12:00:00.000' }
+        ];
+
+        const summary = tracker.getSessionPrepSummary(second, new Date('2024-03-14T10:00:00'));
+
+        expect(summary.previousSession.id).toBe(first.id);
+        expect(summary.homework.completed.map(h => h.title)).toEqual(['Walk daily']);
+        expect(summary.homework.outstanding.map(h => h.title)).toEqual(['Thought record']);
+        expect(summary.mood).toEqual({ entries: 2, average: 6.5, previousAverage: 4, change: 2.5 });
+        expect(summary.symptoms).toEqual({ count: 2, previousCount: 1, byType: { anxiety: 2 } });
+      });
+
+      test('preSessionPrep should print the homework summary', () => {
+        tracker.completeSession(first.id, 6, 'Good start', 7);
+        tracker.assignHomework(first.id, 'Thought record');
+        consoleLogSpy.mockClear();
+
+        tracker.preSessionPrep(second.id, 5, 'Nervous');
+
+        expect(consoleLogSpy).toHaveBeenCalledWith('\n📋 Since your last session (2024-03-01):');
+        expect(consoleLogSpy).toHaveBeenCalledWith('   ⏳ Still outstanding: 1');
+        expect(consoleLogSpy).toHaveBeenCalledWith('      • Thought record (due 2024-03-15)');
+      });
+
+      test('therapyAnalytics should relate homework completion to the next session', () => {
+        const sessions = ['2024-01-01', '2024-01-08', '2024-01-15', '2024-01-22', '2024-01-29'].map((date, i) => ({
+          id: 500 + i,
+          therapistName: 'Dr. Smith',
+          date,
+          time: '10:00',
+          status: 'completed',
+          effectiveness: [5, 8, 4, 9, 7][i]
+        }));
+        tracker.data.therapySessions = sessions;
+        const homework = (sessionId, completed, id) => ({
+          id, sessionId, title: `Task ${id}`, dueDate: '2024-02-01', completed,
+          completedAt: completed ? '2024-01-02T12:00:00.000' : null
+        });
+        tracker.data.homework = [
+          homework(500, true, 1), homework(500, true, 2),
+          homework(501, false, 3), homework(501, false, 4),
+          homework(502, true, 5), homework(502, true, 6),
+          homework(503, true, 7), homework(503, false, 8)
+        ];
+
+        expect(tracker.getHomeworkEffectivenessPairs().map(p => [p.session.id, p.rate])).toEqual([
+          [501, 1], [502, 0], [503, 1], [504, 0.5]
+        ]);
+
+        tracker.therapyAnalytics();
+
+        expect(consoleLogSpy).toHaveBeenCalledWith('   Completed: 5/8 (63%)');
+        expect(consoleLogSpy).toHaveBeenCalledWith('   Sessions after doing most homework: 8.0/10 effectiveness (3)');
+        expect(consoleLogSpy).toHaveBeenCalledWith('   Sessions after skipping most of it: 4.0/10 effectiveness (1)');
+        expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('sessions tend to go better when homework gets done'));
+      });
+    });
+
+    describe('recurring sessions', () => {
+      let therapist;
+
+      beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2024-03-04T09:00:00') });
+        tracker.data.sessionSeries = [];
+        therapist = tracker.addTherapist('Dr. Smith', 'CBT', '555-1234');
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test('scheduleRecurringSessions should create sessions for the coming weeks', () => {
+        const series = tracker.scheduleRecurringSessions(therapist.id, '2024-03-05', '10:00', 'biweekly');
+
+        expect(series).toMatchObject({ therapistName: 'Dr. Smith', frequency: 'biweekly', nth: null, exceptions: [] });
+        expect(tracker.describeSeries(series)).toBe('Every other Tuesday at 10:00');
+        expect(tracker.data.therapySessions.map(s => s.date)).toEqual(['2024-03-05', '2024-03-19', '2024-04-02', '2024-04-16']);
+        expect(tracker.data.therapySessions[0]).toMatchObject({ seriesId: series.id, occurrenceDate: '2024-03-05', status: 'scheduled' });
+        expect(tracker.syncSessionSeries()).toBe(0);
+      });
+
+      test('monthly series should repeat on the nth weekday and validate input', () => {
+        const series = tracker.scheduleRecurringSessions(therapist.id, '2024-03-12', '16:00', 'monthly');
+
+        expect(series.nth).toBe(2);
+        expect(tracker.describeSeries(series)).toBe('Second Tuesday of each month at 16:00');
+        expect(tracker.getSeriesOccurrences(series, { to: '2024-06-30' }).map(o => o.date))
+          .toEqual(['2024-03-12', '2024-04-09', '2024-05-14', '2024-06-11']);
+        expect(tracker.scheduleRecurringSessions(therapist.id, '2024-03-26', '16:00', 'monthly', { nth: 'last' }).nth).toBe(-1);
+        expect(tracker.scheduleRecurringSessions(therapist.id, '2024-03-12', '16:00', 'monthly', { nth: 3 })).toBe(false);
+        expect(tracker.scheduleRecurringSessions(therapist.id, '2024-03-12', '16:00', 'daily')).toBe(false);
+        expect(tracker.scheduleRecurringSessions(99999, '2024-03-12', '16:00', 'weekly')).toBe(false);
+        expect(tracker.scheduleRecurringSessions(therapist.id, '2024-03-12', '16:00', 'weekly', { until: '2024-03-01' })).toBe(false);
+      });
+
+      test('skipping and moving an occurrence should update its session', () => {
+        const series = tracker.scheduleRecurringSessions(therapist.id, '2024-03-05', '10:00', 'weekly');
+        const sessionOn = date => tracker.data.therapySessions.find(s => s.occurrenceDate === date);
+
+        expect(tracker.skipSessionOccurrence(series.id, '2024-03-12')).toBe(series);
+        expect(tracker.moveSessionOccurrence(series.id, '2024-03-19', '2024-03-20', '14:00')).toBe(series);
+        expect(tracker.skipSessionOccurrence(series.id, '2024-03-13')).toBe(false);
+
+        expect(sessionOn('2024-03-12').status).toBe('cancelled');
+        expect(sessionOn('2024-03-19')).toMatchObject({ date: '2024-03-20', time: '14:00', status: 'scheduled' });
+        expect(tracker.getSeriesOccurrences(series, { from: '2024-03-01', to: '2024-03-31' })).toEqual([
+          { date: '2024-03-05', time: '10:00', occurrenceDate: '2024-03-05', moved: false },
+          { date: '2024-03-20', time: '14:00', occurrenceDate: '2024-03-19', moved: true },
+          { date: '2024-03-26', time: '10:00', occurrenceDate: '2024-03-26', moved: false }
+        ]);
+      });
+
+      test('endSessionSeries should stop the series and cancel later sessions', () => {
+        const series = tracker.scheduleRecurringSessions(therapist.id, '2024-03-05', '10:00', 'weekly', { count: 10 });
+
+        tracker.endSessionSeries(series.id, '2024-03-20');
+
+        expect(series).toMatchObject({ until: '2024-03-19', count: null });
+        expect(tracker.data.therapySessions.filter(s => s.status === 'scheduled').map(s => s.date))
+          .toEqual(['2024-03-05', '2024-03-12', '2024-03-19']);
+      });
+
+      test('getCalendarEvents should export series with their exceptions', () => {
+        const single = tracker.scheduleSession(therapist.id, '2024-03-08', '15:00', 'intake');
+        const series = tracker.scheduleRecurringSessions(therapist.id, '2024-03-05', '10:00', 'biweekly', { until: '2024-06-30' });
+        tracker.skipSessionOccurrence(series.id, '2024-03-19');
+        tracker.moveSessionOccurrence(series.id, '2024-04-02', '2024-04-03', '11:00');
+
+        const events = tracker.getCalendarEvents();
+
+        expect(events).toHaveLength(3);
+        expect(events[0]).toMatchObject({
+          uid: `session-${single.id}@stepsync`,
+          summary: 'Therapy with Dr. Smith',
+          start: { date: '2024-03-08', time: '15:00' },
+          status: 'CONFIRMED'
+        });
+        expect(events[1]).toMatchObject({
+          uid: `series-${series.id}@stepsync`,
+          rrule: { freq: 'WEEKLY', interval: 2, byDay: ['TU'], until: '2024-06-30' },
+          exdates: [{ date: '2024-03-19', time: '10:00' }]
+        });
+        expect(events[2]).toMatchObject({
+          uid: `series-${series.id}@stepsync`,
+          start: { date: '2024-04-03', time: '11:00' },
+          recurrenceId: { date: '2024-04-02', time: '10:00' }
+        });
+      });
+
+      test('importCalendarEvents should bring back an exported calendar', () => {
+        const series = tracker.scheduleRecurringSessions(therapist.id, '2024-03-05', '10:00', 'weekly');
+        tracker.skipSessionOccurrence(series.id, '2024-03-12');
+        tracker.moveSessionOccurrence(series.id, '2024-03-19', '2024-03-20', '14:00');
+        tracker.scheduleSession(therapist.id, '2024-03-08', '15:00');
+        const events = ICalendar.parse(ICalendar.build(tracker.getCalendarEvents()));
+
+        expect(tracker.importCalendarEvents(events)).toMatchObject({ added: 0, series: 0, duplicates: 2 });
+
+        const other = new MentalHealthTracker('other.json');
+        other.data.therapists = [{ ...therapist }];
+        const result = other.importCalendarEvents(events);
+
+        expect(result).toMatchObject({ added: 1, series: 1, duplicates: 0 });
+        expect(other.data.sessionSeries[0]).toMatchObject({
+          therapistId: therapist.id,
+          startDate: '2024-03-05',
+          frequency: 'weekly',
+          exceptions: [
+            { date: '2024-03-12', skip: true },
+            { date: '2024-03-19', movedTo: { date: '2024-03-20', time: '14:00' } }
+          ]
+        });
+      });
+
+      test('importCalendarEvents should skip past, cancelled and unsupported events', () => {
+        const event = (uid, date, extra = {}) => ({
+          uid, summary: 'Appointment', exdates: [], start: { date, time: '09:00' }, ...extra
+        });
+        const events = [
+          event('a', '2024-03-06', { summary: 'Session - dr. smith', durationMinutes: 60 }),
+          event('b', '2024-02-01'),
+          event('c', '2024-03-07', { status: 'CANCELLED' }),
+          event('d', '2024-03-07', { rrule: { freq: 'DAILY', interval: 1 } }),
+          event('e', '2024-03-07', { start: { date: '2024-03-07', time: null } })
+        ];
+
+        expect(tracker.importCalendarEvents(events, { dryRun: true })).toEqual({
+          added: 1, series: 0, duplicates: 0, past: 1, cancelled: 1, unsupported: 2
+        });
+        expect(tracker.data.therapySessions).toHaveLength(0);
+
+        tracker.importCalendarEvents(events);
+        expect(tracker.data.therapySessions[0]).toMatchObject({
+          therapistId: therapist.id,
+          date: '2024-03-06',
+          durationMinutes: 60,
+          icsUid: 'a'
+        });
+        expect(tracker.importCalendarEvents(events, { therapistId: 42 })).toBe(false);
+      });
+    });
   });
 });
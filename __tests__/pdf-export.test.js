@@ -199,6 +199,18 @@ describe('PDF Export - Mental Health Tracker', () => {
             expect(mockDoc.text).toHaveBeenCalledWith('💪 Top Coping Strategies');
         });
 
+        test('adds screening section when screenings exist', async () => {
+            tracker.data.screenings = [
+                { id: 1, instrument: 'gad7', date: '2024-01-05', timestamp: '2024-01-05T10:00:00.000Z', answers: [1, 1, 1, 1, 1, 1, 1], score: 7, severity: 'mild', flags: [] }
+            ];
+
+            const exportPromise = tracker.exportToPDF();
+            mockStream.finishCallback();
+            await exportPromise;
+
+            expect(mockDoc.text).toHaveBeenCalledWith('📋 Screening Questionnaires');
+        });
+
         test('adds footer to PDF', async () => {
             const exportPromise = tracker.exportToPDF();
             mockStream.finishCallback();
@@ -607,6 +619,71 @@ describe('PDF Export - Mental Health Tracker', () => {
             );
         });
     });
+    describe('addScreeningSection', () => {
+        const pcl5 = (id, date, score, answers) => ({
+            id, instrument: 'pcl5', date, timestamp: `${date}T10:00:00.000Z`, answers, score,
+            severity: score >= 33 ? 'probable PTSD' : 'below threshold',
+            subscores: {
+                B: { score: 10, endorsed: 5 }, C: { score: 4, endorsed: 2 },
+                D: { score: 14, endorsed: 7 }, E: { score: 12, endorsed: 6 }
+            },
+            criteriaMet: true,
+            flags: []
+        });
+
+        test('shows the latest score, clusters and item responses', () => {
+            tracker.data.screenings = [pcl5(1, '2024-03-01', 40, Array(20).fill(2))];
+
+            tracker.addScreeningSection(mockDoc);
+
+            expect(mockDoc.text).toHaveBeenCalledWith(
+                'PCL-5 - PTSD Checklist for DSM-5: 40/80 (probable PTSD)',
+                expect.any(Object)
+            );
+            expect(mockDoc.text).toHaveBeenCalledWith(
+                expect.stringContaining('B Intrusions: 10'),
+                expect.any(Object)
+            );
+            expect(mockDoc.text).toHaveBeenCalledWith(
+                '17. Being "superalert" or watchful or on guard: 2 (Moderately)',
+                expect.any(Object)
+            );
+            expect(mockDoc.circle).not.toHaveBeenCalled();
+        });
+
+        test('draws a trend chart and history once there are two results', () => {
+            tracker.data.screenings = [
+                pcl5(2, '2024-04-01', 28, Array(20).fill(1)),
+                pcl5(1, '2024-03-01', 40, Array(20).fill(2))
+            ];
+
+            tracker.addScreeningSection(mockDoc);
+
+            expect(mockDoc.circle).toHaveBeenCalledTimes(2);
+            expect(mockDoc.text).toHaveBeenCalledWith(
+                '   Completed 2024-04-01, change -12 (improved)',
+                expect.any(Object)
+            );
+            expect(mockDoc.text).toHaveBeenCalledWith(
+                '   History: 2024-03-01 40, 2024-04-01 28',
+                expect.any(Object)
+            );
+        });
+
+        test('highlights an endorsed PHQ-9 item 9', () => {
+            tracker.data.screenings = [{
+                id: 1, instrument: 'phq9', date: '2024-03-01', timestamp: '2024-03-01T10:00:00.000Z',
+                answers: [0, 0, 0, 0, 0, 0, 0, 0, 1], score: 1, severity: 'minimal', flags: ['self-harm']
+            }];
+
+            tracker.addScreeningSection(mockDoc);
+
+            expect(mockDoc.text).toHaveBeenCalledWith(
+                expect.stringContaining('Item 9 (thoughts of self-harm) endorsed'),
+                expect.any(Object)
+            );
+        });
+    });
 });
 
 describe('PDF Export - Medication Tracker', () => {
@@ -831,12 +908,26 @@ describe('PDF Export - Medication Tracker', () => {
     });
 
     describe('addAdherenceChart', () => {
+        const daysAgo = (days, hour, minute = 0) => {
+            const date = new Date();
+            date.setDate(date.getDate() - days);
+            date.setHours(hour, minute, 0, 0);
+            return date.toISOString();
+        };
+
+        beforeEach(() => {
+            const start = new Date();
+            start.setDate(start.getDate() - 4);
+            tracker.data.medications = [
+                { id: 1, name: 'Aspirin', dosage: '100mg', frequency: 'daily', scheduledTime: '08:00', active: true,
+                    startDate: start.toISOString().split('T')[0], createdAt: start.toISOString() }
+            ];
+        });
+
         test('draws pie chart for adherence data', () => {
-            const now = new Date();
             tracker.data.history = [
-                { medicationId: 1, timestamp: now.toISOString(), missed: false },
-                { medicationId: 1, timestamp: now.toISOString(), missed: false },
-                { medicationId: 1, timestamp: now.toISOString(), missed: true }
+                { medicationId: 1, takenAt: daysAgo(1, 8) },
+                { medicationId: 1, takenAt: daysAgo(2, 8) }
             ];
 
             tracker.addAdherenceChart(mockDoc);
@@ -845,35 +936,40 @@ describe('PDF Export - Medication Tracker', () => {
             expect(mockDoc.arc).toHaveBeenCalled();
         });
 
-        test('shows legend with percentages', () => {
-            const now = new Date();
+        test('shows each dose status with percentages', () => {
+            tracker.data.medications[0].startDate = daysAgo(4, 0).split('T')[0];
             tracker.data.history = [
-                { medicationId: 1, timestamp: now.toISOString(), missed: false },
-                { medicationId: 1, timestamp: now.toISOString(), missed: true }
+                { medicationId: 1, takenAt: daysAgo(1, 8, 5) },
+                { medicationId: 1, takenAt: daysAgo(2, 9, 30) },
+                { medicationId: 1, timestamp: daysAgo(3, 7), scheduledFor: daysAgo(3, 8), skipped: true, missed: true, reason: 'fasting' }
             ];
 
             tracker.addAdherenceChart(mockDoc);
 
-            expect(mockDoc.text).toHaveBeenCalledWith(expect.stringContaining('✓ Taken'), expect.any(Number), expect.any(Number));
-            expect(mockDoc.text).toHaveBeenCalledWith(expect.stringContaining('✗ Missed'), expect.any(Number), expect.any(Number));
+            const legend = mockDoc.text.mock.calls.map(call => call[0]);
+            expect(legend).toEqual(expect.arrayContaining([
+                expect.stringMatching(/On time: 1 \(/),
+                expect.stringMatching(/Late: 1 \(/),
+                expect.stringMatching(/Skipped: 1 \(/),
+                expect.stringMatching(/✗ Missed: \d+ \(/),
+                'Late doses were taken 90 min late on average'
+            ]));
         });
 
         test('filters to last 30 days only', () => {
-            const now = new Date();
-            const old = new Date(now.getTime() - (40 * 24 * 60 * 60 * 1000));
-
+            tracker.data.medications[0].startDate = daysAgo(40, 0).split('T')[0];
             tracker.data.history = [
-                { medicationId: 1, timestamp: old.toISOString(), missed: false },
-                { medicationId: 1, timestamp: now.toISOString(), missed: false }
+                { medicationId: 1, takenAt: daysAgo(35, 8) },
+                { medicationId: 1, takenAt: daysAgo(1, 8) }
             ];
 
             tracker.addAdherenceChart(mockDoc);
 
-            // Should only process recent data (1 taken, 0 missed)
-            expect(mockDoc.text).toHaveBeenCalledWith(expect.stringContaining('Taken: 1'), expect.any(Number), expect.any(Number));
+            expect(mockDoc.text).toHaveBeenCalledWith(expect.stringContaining('On time: 1 '), expect.any(Number), expect.any(Number));
         });
 
         test('shows message when no recent data', () => {
+            tracker.data.medications = [];
             tracker.data.history = [];
 
             tracker.addAdherenceChart(mockDoc);
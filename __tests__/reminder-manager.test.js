@@ -180,6 +180,72 @@ describe('ReminderManager', () => {
         });
     });
 
+    describe('Therapy Homework Reminders', () => {
+        test('should create a daily homework reminder with the due date', () => {
+            const reminder = manager.createHomeworkReminder({
+                id: 42,
+                sessionId: 7,
+                title: 'Thought record',
+                dueDate: '2024-03-15',
+                therapistName: 'Dr. Smith'
+            });
+
+            expect(reminder.type).toBe('therapy');
+            expect(reminder.time).toBe('19:00');
+            expect(reminder.days).toBe('daily');
+            expect(reminder.title).toBe('Therapy homework: Thought record');
+            expect(reminder.message).toBe("Don't forget your homework from Dr. Smith: Thought record (due 2024-03-15)");
+            expect(reminder.metadata).toEqual({ homeworkId: 42, sessionId: 7, dueDate: '2024-03-15' });
+        });
+
+        test('should stop firing after the due date', () => {
+            const reminder = manager.createHomeworkReminder({
+                id: 42,
+                sessionId: 7,
+                title: 'Thought record',
+                dueDate: '2024-03-15',
+                time: '19:00'
+            });
+
+            expect(manager.isReminderDue(reminder, new Date(2024, 2, 15, 19, 0))).toBe(true);
+            expect(manager.isReminderDue(reminder, new Date(2024, 2, 16, 19, 0))).toBe(false);
+        });
+    });
+
+    describe('Calendar Export', () => {
+        test('should export active reminders as recurring events', () => {
+            const weekly = manager.createReminder({
+                type: 'exercise',
+                title: 'Evening walk',
+                message: 'Time for a 20 minute walk',
+                time: '18:30',
+                days: ['Monday', 'friday']
+            });
+            const homework = manager.createHomeworkReminder({ id: 42, sessionId: 7, title: 'Thought record', dueDate: '2099-03-15' });
+            const dismissed = manager.createReminder({ type: 'general', title: 'Old', time: '09:00' });
+            manager.dismissReminder(dismissed.id);
+
+            const events = manager.getCalendarEvents();
+            const created = new Date(weekly.createdAt);
+            const createdKey = `${created.getFullYear()}-${String(created.getMonth() + 1).padStart(2, '0')}-${String(created.getDate()).padStart(2, '0')}`;
+
+            expect(events).toHaveLength(2);
+            expect(events[0]).toMatchObject({
+                uid: `reminder-${weekly.id}@stepsync`,
+                summary: 'Evening walk',
+                description: 'Time for a 20 minute walk',
+                start: { date: createdKey, time: '18:30' },
+                rrule: { freq: 'WEEKLY', byDay: ['MO', 'FR'] },
+                alarmMinutes: 0
+            });
+            expect(events[1]).toMatchObject({
+                uid: `reminder-${homework.id}@stepsync`,
+                start: { time: '19:00' },
+                rrule: { freq: 'DAILY', until: '2099-03-15' }
+            });
+        });
+    });
+
     describe('Reminder Management', () => {
         test('should get all reminders', () => {
             manager.createReminder({
@@ -627,7 +693,8 @@ describe('ReminderManager', () => {
             expect(fs.existsSync(remindersFile)).toBe(true);
 
             const data = JSON.parse(fs.readFileSync(remindersFile, 'utf-8'));
-            expect(data).toHaveLength(1);
+            expect(data.schemaVersion).toBe(1);
+            expect(data.reminders).toHaveLength(1);
         });
 
         test('should load reminders from file', () => {
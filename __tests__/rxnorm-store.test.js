@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RxNormStore = require('../rxnorm-store');
+const MedicationDatabase = require('../medication-db');
+
+// Minimal RxNorm release: sertraline, its Zoloft brand and two tablet strengths
+const conso = (rxcui, tty, str, { sab = 'RXNORM', suppress = 'N' } = {}) =>
+  [rxcui, 'ENG', '', '', '', '', '', '', '', '', '', sab, tty, '', str, '', suppress, '', ''].join('|');
+const rel = (rxcui1, rela, rxcui2) =>
+  [rxcui1, '', 'CUI', 'RO', rxcui2, '', 'CUI', rela, '', '', 'RXNORM', '', '', '', 'N', '', ''].join('|');
+
+const RXNCONSO = [
+  conso('36437', 'IN', 'sertraline'),
+  conso('82728', 'BN', 'Zoloft'),
+  conso('312938', 'SCDC', 'sertraline 50 MG'),
+  conso('312941', 'SCD', 'sertraline 50 MG Oral Tablet'),
+  conso('312940', 'SCD', 'sertraline 100 MG Oral Tablet'),
+  conso('208161', 'SBD', 'sertraline 50 MG Oral Tablet [Zoloft]'),
+  conso('208161', 'SY', 'Zoloft 50 MG Oral Tablet'),
+  conso('999999', 'SCD', 'retired 5 MG Oral Tablet', { suppress: 'O' }),
+  conso('36437', 'IN', 'SERTRALINE', { sab: 'MMSL' })
+];
+
+const RXNREL = [
+  rel('36437', 'has_tradename', '82728'),
+  rel('312938', 'has_ingredient', '36437'),
+  rel('312941', 'constitutes', '312938'),
+  rel('36437', 'ingredient_of', '312940'),
+  rel('312941', 'tradename_of', '208161'),
+  rel('208161', 'has_ingredient', '82728')
+];
+
+describe('RxNormStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rxnorm-'));
+    const rrfDir = path.join(tmpDir, 'rrf');
+    fs.mkdirSync(rrfDir);
+    fs.writeFileSync(path.join(rrfDir, 'RXNCONSO.RRF'), RXNCONSO.join('\n') + '\n');
+    fs.writeFileSync(path.join(rrfDir, 'RXNREL.RRF'), RXNREL.join('\n') + '\n');
+
+    await RxNormStore.build(rrfDir, path.join(tmpDir, 'store'));
+    store = new RxNormStore(path.join(tmpDir, 'store'));
+    await store.open();
+  });
+
+  afterAll(async () => {
+    await store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('builds an indexed store from RRF files, keeping only current RXNORM concepts', () => {
+    expect(store.getStats()).toMatchObject({ available: true, conceptCount: 6 });
+    expect(fs.readdirSync(path.join(tmpDir, 'store', 'names')).sort()).toEqual(['se.json', 'zo.json']);
+  });
+
+  test('resolves ingredients with their brands, products and strengths', async () => {
+    const ingredient = await store.resolve('Sertraline');
+
+    expect(ingredient).toMatchObject({
+      rxcui: '36437',
+      tty: 'IN',
+      brands: [{ rxcui: '82728', name: 'Zoloft' }],
+      strengths: ['50 MG', '100 MG']
+    });
+    expect(ingredient.products.map(p => p.rxcui)).toEqual(['312940', '312941']);
+  });
+
+  test('resolves brand names, strengths, synonyms and RXCUIs', async () => {
+    const brand = await store.resolve('zoloft 50mg');
+    expect(brand).toMatchObject({
+      tty: 'BN',
+      ingredients: [{ rxcui: '36437', name: 'sertraline' }],
+      product: { rxcui: '208161', tty: 'SBD', strength: '50 MG' }
+    });
+
+    expect((await store.resolve('Zoloft 50 MG Oral Tablet')).rxcui).toBe('208161');
+    expect(await store.getConcept('208161')).toMatchObject({
+      generic: { rxcui: '312941' },
+      ingredients: [{ rxcui: '36437', name: 'sertraline' }],
+      strength: '50 MG'
+    });
+    expect(await store.resolve('312940')).toMatchObject({ name: 'sertraline 100 MG Oral Tablet' });
+    expect(await store.resolve('retired')).toBeNull();
+  });
+
+  test('builds the same store from a JSON snapshot', async () => {
+    const snapshotFile = path.join(tmpDir, 'snapshot.json');
+    fs.writeFileSync(snapshotFile, JSON.stringify({
+      concepts: [
+        { rxcui: 6809, name: 'metformin', tty: 'IN' },
+        { rxcui: 861007, name: 'metformin hydrochloride 500 MG Oral Tablet', tty: 'SCD', synonyms: ['Metformin 500 MG Tablet'] }
+      ],
+      relations: [{ rxcui1: 861007, rela: 'has_ingredient', rxcui2: 6809 }]
+    }));
+
+    const jsonStore = new RxNormStore(path.join(tmpDir, 'json-store'));
+    await RxNormStore.build(snapshotFile, jsonStore.storeDir);
+    await jsonStore.open();
+
+    expect(await jsonStore.resolve('metformin')).toMatchObject({ rxcui: '6809', strengths: ['500 MG'] });
+    expect((await jsonStore.resolve('metformin 500 mg tablet')).rxcui).toBe('861007');
+    await jsonStore.close();
+  });
+
+  test('replaces only previous stores, and keeps the old store when a build fails', async () => {
+    const notAStore = path.join(tmpDir, 'notes');
+    fs.mkdirSync(notAStore);
+    fs.writeFileSync(path.join(notAStore, 'medications.json'), '{}');
+    await expect(RxNormStore.build(path.join(tmpDir, 'rrf'), notAStore)).rejects.toThrow(/not an RxNorm store/);
+    expect(fs.readdirSync(notAStore)).toEqual(['medications.json']);
+
+    const storeDir = path.join(tmpDir, 'rebuilt');
+    await RxNormStore.build(path.join(tmpDir, 'rrf'), storeDir);
+    const badSnapshot = path.join(tmpDir, 'bad.json');
+    fs.writeFileSync(badSnapshot, '{ not json');
+    await expect(RxNormStore.build(badSnapshot, storeDir)).rejects.toThrow();
+    expect(fs.existsSync(path.join(storeDir, 'manifest.json'))).toBe(true);
+
+    // Rebuilding over an existing store swaps the new one in
+    fs.writeFileSync(path.join(storeDir, 'stale.txt'), '');
+    await RxNormStore.build(path.join(tmpDir, 'rrf'), storeDir);
+    expect(fs.existsSync(path.join(storeDir, 'stale.txt'))).toBe(false);
+    const rebuilt = new RxNormStore(storeDir);
+    await rebuilt.open();
+    expect(rebuilt.getStats()).toMatchObject({ available: true, conceptCount: 6 });
+    await rebuilt.close();
+    expect(fs.readdirSync(tmpDir).filter(name => /\.(tmp|old)-/.test(name))).toEqual([]);
+  });
+
+  test('lets MedicationDatabase work offline without the live API', async () => {
+    const db = new MedicationDatabase({
+      localDbPath: path.join(tmpDir, 'missing.json'),
+      rxnormStorePath: path.join(tmpDir, 'store'),
+      liveApi: false
+    });
+    const queryApi = jest.spyOn(db, 'queryRxNormAPI');
+    await db.initialize();
+
+    expect(await db.searchMedication('Zoloft 50mg')).toMatchObject({
+      rxcui: '208161',
+      tty: 'SBD',
+      source: 'rxnorm-local',
+      ingredients: [{ rxcui: '36437', name: 'sertraline' }]
+    });
+    expect(await db.getRxNormProperties('36437')).toEqual({
+      properties: { rxcui: '36437', name: 'sertraline', synonym: '', tty: 'IN', language: 'ENG', suppress: 'N' }
+    });
+    expect(await db.searchMedication('unknownium')).toBeNull();
+    expect(await db.getRxNormProperties('1')).toBeNull();
+    expect(queryApi).not.toHaveBeenCalled();
+    expect(db.getStats().rxnormStore).toMatchObject({ available: true, conceptCount: 6 });
+
+    await db.rxnormStore.close();
+  });
+});
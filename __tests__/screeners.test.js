@@ -0,0 +1,73 @@
+const Screeners = require('../screeners');
+
+describe('Screeners', () => {
+    const phq9 = Screeners.get('phq9');
+    const gad7 = Screeners.get('GAD-7');
+    const pcl5 = Screeners.get('pcl5');
+
+    test('defines the three instruments with their item counts and ranges', () => {
+        expect(Screeners.list().map(i => i.name)).toEqual(['PHQ-9', 'GAD-7', 'PCL-5']);
+        expect(phq9.items).toHaveLength(9);
+        expect(gad7.items).toHaveLength(7);
+        expect(pcl5.items).toHaveLength(20);
+        expect([phq9, gad7, pcl5].map(i => Screeners.maxScore(i))).toEqual([27, 21, 80]);
+        expect(Screeners.get('bdi')).toBeNull();
+    });
+
+    test('parses answer lists in several formats and rejects bad ones', () => {
+        expect(Screeners.parseAnswers(gad7, '1,2,1,0,1,2,1').answers).toEqual([1, 2, 1, 0, 1, 2, 1]);
+        expect(Screeners.parseAnswers(gad7, '1 2 1 0 1 2 1').answers).toEqual([1, 2, 1, 0, 1, 2, 1]);
+        expect(Screeners.parseAnswers(gad7, '1210121').answers).toEqual([1, 2, 1, 0, 1, 2, 1]);
+        expect(Screeners.parseAnswers(gad7, [0, 0, 0]).error).toBe('GAD-7 has 7 items, got 3 answers');
+        expect(Screeners.parseAnswers(gad7, '1,2,1,0,1,4,1').error).toBe('Item 6: answer must be a whole number from 0 to 3');
+        expect(Screeners.parseAnswers(gad7, ['1', '', '1', '0', '1', '2', '1']).isValid).toBe(false);
+        expect(Screeners.parseAnswers(pcl5, '4'.repeat(20)).isValid).toBe(true);
+    });
+
+    test.each([
+        [4, 'minimal'], [5, 'mild'], [9, 'mild'], [10, 'moderate'],
+        [15, 'moderately severe'], [19, 'moderately severe'], [20, 'severe'], [27, 'severe']
+    ])('PHQ-9 score %i is %s', (score, severity) => {
+        expect(Screeners.severity(phq9, score)).toBe(severity);
+    });
+
+    test('uses the GAD-7 bands and the PCL-5 cutoff of 33', () => {
+        expect(Screeners.severity(gad7, 14)).toBe('moderate');
+        expect(Screeners.severity(gad7, 15)).toBe('severe');
+        expect(Screeners.severity(pcl5, 32)).toBe('below threshold');
+        expect(Screeners.severity(pcl5, 33)).toBe('probable PTSD');
+    });
+
+    test('flags any answer on PHQ-9 item 9 regardless of the total', () => {
+        expect(Screeners.score(phq9, [0, 0, 0, 0, 0, 0, 0, 0, 1])).toMatchObject({
+            score: 1,
+            severity: 'minimal',
+            flags: ['self-harm'],
+            subscores: null
+        });
+        expect(Screeners.score(phq9, [3, 3, 3, 3, 3, 3, 3, 3, 0]).flags).toEqual([]);
+    });
+
+    test('scores PCL-5 clusters and the provisional DSM-5 criteria', () => {
+        const answers = [2, 1, 0, 0, 0, 2, 0, 1, 2, 2, 0, 0, 0, 0, 3, 0, 2, 0, 0, 1];
+        const result = Screeners.score(pcl5, answers);
+
+        expect(result.score).toBe(16);
+        expect(result.subscores).toEqual({
+            B: { score: 3, endorsed: 1 },
+            C: { score: 2, endorsed: 1 },
+            D: { score: 5, endorsed: 2 },
+            E: { score: 6, endorsed: 2 }
+        });
+        expect(result.criteriaMet).toBe(true);
+
+        answers[16] = 1;
+        expect(Screeners.score(pcl5, answers).criteriaMet).toBe(false);
+    });
+
+    test('only reports a change once it reaches the minimal important difference', () => {
+        expect(Screeners.change(phq9, 14, 10)).toEqual({ delta: -4, direction: 'stable' });
+        expect(Screeners.change(phq9, 14, 9)).toEqual({ delta: -5, direction: 'improved' });
+        expect(Screeners.change(pcl5, 30, 42)).toEqual({ delta: 12, direction: 'worsened' });
+    });
+});
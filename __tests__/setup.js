@@ -9,6 +9,9 @@ if (typeof describe === 'undefined') {
   global.describe = () => {};
 }
 
+// Keep suites from appending to the shared audit log; audit-log.test.js uses temp files
+process.env.STEPSYNC_AUDIT_LOG = 'off';
+
 // Note: bumpie-meds is mocked via manual mock in __mocks__/bumpie-meds.js
 // Jest will automatically use the manual mock for this module
 
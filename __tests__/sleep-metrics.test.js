@@ -0,0 +1,78 @@
+const SleepMetrics = require('../sleep-metrics');
+const SleepSessions = require('../sleep-sessions');
+
+describe('SleepMetrics', () => {
+    let metrics;
+    const now = new Date('2024-03-17T12:00:00'); // a Sunday
+
+    const night = (date, bedtime, wakeTime, duration) => ({ date, bedtime, wakeTime, duration, quality: 7 });
+    // Mon-Fri 23:00-06:00 (mid-sleep 02:30), Sat-Sun 01:00-10:00 (mid-sleep 05:30)
+    const fortnight = () => new SleepSessions().groupByDay([
+        ...['11', '12', '13', '14', '15'].map(day => night(`2024-03-${day}`, '23:00', '06:00', 7)),
+        ...['16', '17'].map(day => night(`2024-03-${day}`, '01:00', '10:00', 9))
+    ]);
+
+    beforeEach(() => {
+        metrics = new SleepMetrics({ targetHours: 8 });
+    });
+
+    describe('sleepDebt', () => {
+        test('accumulates shortfalls and lets extra sleep pay them back', () => {
+            const debt = metrics.sleepDebt(fortnight(), now);
+
+            expect(debt).toMatchObject({ target: 8, windowDays: 14, loggedDays: 7, debt: 3, averageHours: 7.6, level: 'moderate' });
+            expect(debt.perDay.map(d => d.debt)).toEqual([1, 2, 3, 4, 5, 4, 3]);
+        });
+
+        test('never goes below zero and ignores days outside the window', () => {
+            const days = new SleepSessions().groupByDay([
+                night('2024-02-20', '23:00', '03:00', 4),
+                night('2024-03-15', '21:00', '08:00', 11),
+                night('2024-03-16', '23:00', '06:00', 7)
+            ]);
+
+            expect(metrics.sleepDebt(days, now)).toMatchObject({ loggedDays: 2, debt: 1, level: 'low' });
+            expect(metrics.sleepDebt([], now)).toMatchObject({ loggedDays: 0, debt: 0, averageHours: null, level: 'none' });
+        });
+    });
+
+    test('estimates chronotype from free-day mid-sleep corrected for catch-up sleep', () => {
+        expect(metrics.chronotype(fortnight())).toEqual({
+            type: 'intermediate',
+            midSleepFree: '05:30',
+            corrected: '04:47',
+            freeDays: 2,
+            workDays: 5
+        });
+
+        const weekdaysOnly = fortnight().filter(day => !SleepMetrics.isFreeDay(day.date));
+        expect(metrics.chronotype(weekdaysOnly)).toBeNull();
+    });
+
+    test('measures social jetlag between work and free days', () => {
+        expect(metrics.socialJetlag(fortnight())).toEqual({
+            hours: 3,
+            midSleepFree: '05:30',
+            midSleepWork: '02:30',
+            level: 'high'
+        });
+    });
+
+    test('plans earlier bedtimes until the debt is repaid', () => {
+        const plan = metrics.bedtimePlan(fortnight(), now);
+
+        expect(plan).toMatchObject({ debt: 3, target: 8, wakeTime: '06:00', extraMinutes: 30, repaid: true });
+        expect(plan.nights[0]).toEqual({ date: '2024-03-18', bedtime: '21:30', wakeTime: '06:00', hours: 8.5 });
+        expect(plan.nights[6]).toMatchObject({ bedtime: '22:00', hours: 8 });
+        expect(metrics.bedtimePlan([], now)).toBeNull();
+    });
+
+    test('caps the extra sleep at an hour a night', () => {
+        const days = new SleepSessions().groupByDay(['11', '12', '13', '14', '15', '16', '17']
+            .map(day => night(`2024-03-${day}`, '01:00', '05:00', 4)));
+        const plan = metrics.bedtimePlan(days, now, 3);
+
+        expect(plan).toMatchObject({ debt: 28, extraMinutes: SleepMetrics.MAX_EXTRA_MINUTES, repaid: false });
+        expect(plan.nights.map(n => n.bedtime)).toEqual(['20:00', '20:00', '20:00']);
+    });
+});
@@ -0,0 +1,101 @@
+const SleepSessions = require('../sleep-sessions');
+
+describe('SleepSessions', () => {
+    let sessions;
+
+    const entry = (overrides = {}) => ({
+        date: '2024-03-04',
+        bedtime: '23:00',
+        wakeTime: '07:00',
+        duration: 8,
+        quality: 7,
+        ...overrides
+    });
+    const session = (start, end, overrides = {}) => ({
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        duration: (new Date(end) - new Date(start)) / 3600000,
+        quality: 7,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        sessions = new SleepSessions();
+    });
+
+    describe('bounds', () => {
+        test('older entries end on their date and start the evening before', () => {
+            const { start, end } = sessions.bounds(entry());
+
+            expect(start).toEqual(new Date('2024-03-03T23:00:00'));
+            expect(end).toEqual(new Date('2024-03-04T07:00:00'));
+            expect(sessions.bounds(entry({ bedtime: '14:00', wakeTime: '15:00' })).start)
+                .toEqual(new Date('2024-03-04T14:00:00'));
+        });
+
+        test('prefers stored start and end and returns null without enough data', () => {
+            const stored = session('2024-03-04T09:00:00', '2024-03-04T16:30:00', { date: '2024-03-04', bedtime: '22:00' });
+
+            expect(sessions.bounds(stored).start).toEqual(new Date('2024-03-04T09:00:00'));
+            expect(sessions.bounds({ bedtime: '22:00' })).toBeNull();
+        });
+    });
+
+    describe('sleepDay', () => {
+        test('counts sleep after the boundary towards the next day', () => {
+            expect(sessions.sleepDay(session('2024-03-03T23:00:00', '2024-03-04T07:00:00'))).toBe('2024-03-04');
+            expect(sessions.sleepDay(session('2024-03-04T01:00:00', '2024-03-04T06:00:00'))).toBe('2024-03-04');
+            expect(sessions.sleepDay(session('2024-03-04T14:00:00', '2024-03-04T15:00:00'))).toBe('2024-03-04');
+            expect(sessions.sleepDay(session('2024-03-04T18:30:00', '2024-03-04T20:00:00'))).toBe('2024-03-05');
+        });
+
+        test('uses a configurable boundary', () => {
+            const nightShift = new SleepSessions({ dayStart: '06:00' });
+            expect(nightShift.sleepDay(session('2024-03-04T08:00:00', '2024-03-04T15:00:00'))).toBe('2024-03-05');
+            expect(nightShift.sleepDay(session('2024-03-04T03:00:00', '2024-03-04T05:00:00'))).toBe('2024-03-04');
+
+            const calendar = new SleepSessions({ dayStart: '00:00' });
+            expect(calendar.sleepDay(session('2024-03-03T23:00:00', '2024-03-04T07:00:00'))).toBe('2024-03-03');
+
+            expect(new SleepSessions({ dayStart: '25:00' }).dayStart).toBe(SleepSessions.DEFAULT_DAY_START);
+        });
+
+        test('falls back to the logged date or timestamp', () => {
+            expect(sessions.sleepDay({ date: '2024-03-02', duration: 7 })).toBe('2024-03-02');
+            expect(sessions.sleepDay({ timestamp: '2024-03-02T08:00:00Z', duration: 7 })).toBe('2024-03-02');
+            expect(sessions.sleepDay({ bedtime: '22:00' })).toBeNull();
+        });
+    });
+
+    test('measures bedtimes from the boundary so midnight does not split them', () => {
+        const before = sessions.bedtimeOffset(entry({ bedtime: '23:30' }));
+        const after = sessions.bedtimeOffset(entry({ bedtime: '00:30' }));
+
+        expect(after - before).toBe(60);
+        expect(sessions.bedtimeOffset({ bedtime: '18:00' })).toBe(0);
+    });
+
+    test('groups naps and split sleep into one total per sleep day', () => {
+        const days = sessions.groupByDay([
+            session('2024-03-05T14:00:00', '2024-03-05T15:00:00', { type: 'nap', quality: 9, timestamp: '2024-03-05T15:00:00Z' }),
+            session('2024-03-04T22:00:00', '2024-03-05T01:00:00', { type: 'split', bedtime: '22:00', wakeTime: '01:00', quality: 6 }),
+            session('2024-03-05T03:00:00', '2024-03-05T06:00:00', { type: 'split', bedtime: '03:00', wakeTime: '06:00', quality: 6 }),
+            entry(),
+            { bedtime: '21:00', duration: 9, quality: 5 }
+        ]);
+
+        expect(days.map(d => [d.date, d.total])).toEqual([['2024-03-04', 8], ['2024-03-05', 7], [null, 9]]);
+        expect(days[1]).toMatchObject({ napCount: 1, napHours: 1, bedtime: '22:00', wakeTime: '06:00', quality: 6.4 });
+        expect(days[1].sessions.map(s => s.type)).toEqual(['split', 'split', 'nap']);
+    });
+
+    test('parses session datetimes and infers naps', () => {
+        expect(SleepSessions.parseDateTime('2024-03-04 09:15')).toEqual(new Date('2024-03-04T09:15:00'));
+        expect(SleepSessions.parseDateTime('2024-03-04T23:00:00Z')).toEqual(new Date('2024-03-04T23:00:00Z'));
+        expect(SleepSessions.parseDateTime('2024-02-31 09:00')).toBeNull();
+        expect(SleepSessions.parseDateTime('09:00')).toBeNull();
+
+        expect(SleepSessions.inferType(new Date('2024-03-04T14:00:00'), new Date('2024-03-04T15:30:00'))).toBe('nap');
+        expect(SleepSessions.inferType(new Date('2024-03-04T09:00:00'), new Date('2024-03-04T16:00:00'))).toBe('main');
+    });
+});
@@ -238,6 +238,178 @@ describe('Sleep Tracker', () => {
         });
     });
 
+    describe('buildEntry', () => {
+        test('builds a dated entry without saving', () => {
+            const result = tracker.buildEntry({ date: '2024-03-02', bedtime: '23:00', wakeTime: '07:30', quality: '7' });
+
+            expect(result.isValid).toBe(true);
+            expect(result.entry).toMatchObject({ date: '2024-03-02', duration: 8.5, quality: 7, notes: '' });
+            expect(tracker.data.sleepEntries).toHaveLength(0);
+            expect(fs.writeFileSync).not.toHaveBeenCalled();
+        });
+
+        test('returns validation errors', () => {
+            const result = tracker.buildEntry({ bedtime: '25:00', wakeTime: '07:00', quality: 11 });
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toHaveLength(2);
+        });
+    });
+
+    describe('backdating and editing', () => {
+        test('logs last night with an earlier date', () => {
+            const entry = tracker.logSleep('23:00', '07:00', 7, '', { date: '2024-03-01' });
+
+            expect(entry).toMatchObject({ date: '2024-03-01', duration: 8 });
+            expect(entry.loggedAt).toBeDefined();
+            expect(tracker.logSleep('23:00', '07:00', 7, '', { date: '2999-01-01' })).toBeNull();
+        });
+
+        test('edits recompute the duration and can be undone', () => {
+            const entry = tracker.logSleep('23:00', '07:00', 7);
+
+            expect(tracker.editEntry(entry.id, { wakeTime: '06:00' })).toMatchObject({ duration: 7 });
+            tracker.undoLastChange();
+
+            expect(tracker.data.sleepEntries[0]).toMatchObject({ wakeTime: '07:00', duration: 8 });
+            expect(tracker.data.changeLog.map(c => c.action)).toEqual(['edit', 'undo']);
+        });
+
+        test('deletes entries and reports unknown ids', () => {
+            const entry = tracker.logSleep('23:00', '07:00', 7);
+
+            expect(tracker.deleteEntry(entry.id)).toMatchObject({ id: entry.id });
+            expect(tracker.data.sleepEntries).toHaveLength(0);
+            expect(tracker.deleteEntry(entry.id)).toBeNull();
+            expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('not found'));
+        });
+    });
+
+    describe('sleep sessions', () => {
+        const now = new Date('2024-03-05T18:00:00');
+
+        test('stores full start and end datetimes and a session type', () => {
+            const night = tracker.logSleep('23:00', '07:00', 7, '', { date: '2024-03-04' });
+            const nap = tracker.logSleep('14:00', '14:40', 8, '', { date: '2024-03-04' });
+
+            expect(night).toMatchObject({ type: 'main', start: new Date('2024-03-03T23:00:00').toISOString(), end: new Date('2024-03-04T07:00:00').toISOString() });
+            expect(nap).toMatchObject({ type: 'nap', duration: 0.7 });
+            expect(tracker.logSleep('02:00', '05:00', 6, '', { type: 'split' }).type).toBe('split');
+            expect(tracker.logSleep('23:00', '07:00', 6, '', { type: 'siesta' })).toBeNull();
+        });
+
+        test('logs shift-work sleep from full datetimes', () => {
+            const entry = tracker.logSession('2024-03-05 08:30', '2024-03-05 15:00', 6, { notes: 'after night shift' }, now);
+
+            expect(entry).toMatchObject({ date: '2024-03-05', bedtime: '08:30', wakeTime: '15:00', duration: 6.5, type: 'main', notes: 'after night shift' });
+            expect(tracker.logSession('2024-03-05 10:00', '2024-03-05 11:00', 6, {}, now)).toBeNull();
+            expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining(`Overlaps sleep entry ${entry.id}`));
+            expect(tracker.logSession('2024-03-05 17:00', '2024-03-05 19:00', 6, {}, now)).toBeNull();
+            expect(tracker.logSession('2024-03-04 20:00', '2024-03-04 19:00', 6, {}, now)).toBeNull();
+            expect(tracker.logSession('yesterday', '2024-03-04 19:00', 6, {}, now)).toBeNull();
+        });
+
+        test('stats and consistency use total sleep per sleep day', () => {
+            [['2024-02-29 23:30', '2024-03-01'], ['2024-03-01 23:40', '2024-03-02'], ['2024-03-02 23:50', '2024-03-03']]
+                .forEach(([bedtime, day]) => {
+                    tracker.logSession(bedtime, `${day} 05:00`, 7, {}, now);
+                    tracker.logSession(`${day} 13:00`, `${day} 14:00`, 7, { type: 'nap' }, now);
+                });
+            consoleLogSpy.mockClear();
+
+            tracker.getStats();
+
+            const output = consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+            expect(tracker.getSleepDays().map(d => d.total)).toEqual([6.5, 6.3, 6.2]);
+            expect(output).toContain('Total Nights Tracked: 3');
+            expect(output).toContain('Includes 3 naps (3.0 hours)');
+            expect(output).toContain('Excellent');
+        });
+
+        test('bedtimes either side of midnight are consistent', () => {
+            tracker.data.sleepEntries = ['23:40', '00:10', '23:50', '00:20'].map((bedtime, i) => ({
+                date: `2024-03-0${i + 1}`, bedtime, wakeTime: '07:00', duration: 7, quality: 7
+            }));
+
+            tracker.analyzeConsistency();
+
+            const output = consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+            expect(output).toContain('Excellent');
+        });
+
+        test('the sleep day boundary is configurable', () => {
+            tracker.data.sleepEntries = [
+                { date: '2024-03-04', bedtime: '08:00', wakeTime: '15:00', duration: 7, quality: 7 }
+            ];
+            expect(tracker.getSleepDays()[0].date).toBe('2024-03-04');
+
+            expect(tracker.setSleepDayStart('06:00')).toBe(true);
+            expect(tracker.data.settings.sleepDayStart).toBe('06:00');
+            expect(tracker.getSleepDays()[0].date).toBe('2024-03-05');
+            expect(tracker.setSleepDayStart('6pm')).toBe(false);
+            expect(tracker.getSleepDayStart()).toBe('06:00');
+        });
+
+        test('editing times or type keeps the session in step', () => {
+            const entry = tracker.logSleep('23:00', '07:00', 7, '', { date: '2024-03-04' });
+
+            tracker.editEntry(entry.id, { wakeTime: '06:00', type: 'split' });
+
+            expect(tracker.data.sleepEntries[0]).toMatchObject({
+                type: 'split', duration: 7, end: new Date('2024-03-04T06:00:00').toISOString()
+            });
+        });
+    });
+
+    describe('sleep debt, chronotype and bedtime plan', () => {
+        beforeEach(() => {
+            jest.useFakeTimers({ now: new Date('2024-03-17T12:00:00') });
+            tracker.data.sleepEntries = [
+                ...['11', '12', '13', '14', '15'].map(day => ({ date: `2024-03-${day}`, bedtime: '23:30', wakeTime: '06:30', duration: 7, quality: 6 })),
+                ...['16', '17'].map(day => ({ date: `2024-03-${day}`, bedtime: '00:30', wakeTime: '08:30', duration: 8, quality: 8 }))
+            ];
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('tracks debt against a personal target', () => {
+            expect(tracker.getSleepDebt()).toMatchObject({ target: 8, debt: 5, level: 'high' });
+
+            expect(tracker.setTargetHours('7.5')).toBe(true);
+            expect(tracker.getSleepDebt().debt).toBe(1.5);
+            expect(tracker.setTargetHours(20)).toBe(false);
+            expect(tracker.getTargetHours()).toBe(7.5);
+
+            tracker.showSleepDebt();
+            const output = consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+            expect(output).toContain('Current debt: 1.5 hours');
+        });
+
+        test('reports chronotype, social jetlag and a plan', () => {
+            const { chronotype, socialJetlag } = tracker.showChronotype();
+            const plan = tracker.showBedtimePlan();
+
+            expect(chronotype.midSleepFree).toBe('04:30');
+            expect(socialJetlag).toMatchObject({ hours: 1.5, level: 'moderate' });
+            expect(plan).toMatchObject({ wakeTime: '06:30', extraMinutes: 45 });
+            expect(plan.nights[0].bedtime).toBe('21:45');
+
+            const output = consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+            expect(output).toContain('Social jetlag: 1.5 hours (moderate)');
+            expect(output).toContain('bed 21:45 → wake 06:30');
+        });
+
+        test('needs free and work days for a chronotype', () => {
+            tracker.data.sleepEntries = tracker.data.sleepEntries.slice(0, 5);
+
+            expect(tracker.showChronotype()).toEqual({ chronotype: null, socialJetlag: null });
+            const output = consoleLogSpy.mock.calls.map(call => call[0]).join('\n');
+            expect(output).toContain('Not enough data yet');
+        });
+    });
+
     describe('getStats', () => {
         test('shows message when no data exists', () => {
             tracker.getStats();
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const StepTracker = require('../step-tracker');
+
+jest.mock('fs');
+
+describe('Step Tracker', () => {
+    let tracker;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        fs.existsSync.mockReturnValue(false);
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+        jest.useFakeTimers({ now: new Date('2024-03-28T20:00:00') });
+        tracker = new StepTracker();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    const logDays = (counts, lastDay = 28) => counts.forEach((steps, i) => {
+        const day = String(lastDay - counts.length + 1 + i).padStart(2, '0');
+        tracker.logSteps(steps, { date: `2024-03-${day}` });
+    });
+
+    test('starts empty with the default daily goal', () => {
+        expect(tracker.data).toEqual({ stepEntries: [], settings: { dailyGoal: 10000 } });
+        expect(tracker.setDailyGoal(50)).toBe(false);
+        expect(tracker.setDailyGoal('8000')).toBe(true);
+        expect(tracker.getDailyGoal()).toBe(8000);
+    });
+
+    test('rolls back the goal and logged steps when they cannot be saved', () => {
+        jest.spyOn(tracker, 'saveData').mockReturnValue(false);
+
+        expect(tracker.setDailyGoal(8000)).toBe(false);
+        expect(tracker.getDailyGoal()).toBe(10000);
+        expect(tracker.logSteps(2500, { at: '08:15' })).toBe(false);
+        expect(tracker.data.stepEntries).toEqual([]);
+        expect(console.log).not.toHaveBeenCalledWith('\n✅ Steps logged successfully!');
+    });
+
+    test('logs hourly counts and whole-day totals', () => {
+        expect(tracker.logSteps(2500, { date: '2024-03-27', at: '08:15' })).toBe(true);
+        expect(tracker.logSteps('1200', { date: '2024-03-27', at: '08:50' })).toBe(true);
+        expect(tracker.logSteps(4000, { date: '2024-03-27', at: '17:30' })).toBe(true);
+        expect(tracker.logSteps(3000, { date: '2024-03-26' })).toBe(true);
+        expect(tracker.logSteps(0)).toBe(false);
+        expect(tracker.logSteps(500, { date: '2024-03-29' })).toBe(false);
+
+        const breakdown = tracker.getHourlyBreakdown('2024-03-27');
+        expect(breakdown).toMatchObject({ date: '2024-03-27', total: 7700, unassigned: 0, peakHour: 17 });
+        expect(breakdown.hours[8]).toBe(3700);
+        expect(tracker.getHourlyBreakdown('2024-03-26')).toMatchObject({ total: 3000, unassigned: 3000, peakHour: null });
+        expect(tracker.data.stepEntries[3].hour).toBeNull();
+        expect(console.log).toHaveBeenCalledWith('📅 2024-03-27: 7,700 / 10,000 steps');
+    });
+
+    test('fills daily totals with empty days and counts goal streaks', () => {
+        logDays([12000, 4000, 10500, 11000, 10000, 9000], 27);
+        tracker.logSteps(3000, { at: '19:00' });
+
+        expect(tracker.getDailyTotals(3)).toEqual([
+            { date: '2024-03-26', steps: 10000, logged: true, goalMet: true },
+            { date: '2024-03-27', steps: 9000, logged: true, goalMet: false },
+            { date: '2024-03-28', steps: 3000, logged: true, goalMet: false }
+        ]);
+        expect(tracker.getStreak()).toBe(0);
+
+        tracker.logSteps(1000, { date: '2024-03-27', at: '21:00' });
+        tracker.logSteps(7000, { at: '19:30' });
+        expect(tracker.getStreak()).toBe(5);
+        expect(tracker.getLongestStreak()).toBe(5);
+    });
+
+    test('getStats reports averages, best day, trend and most active hour', () => {
+        logDays([8000, 8000, 8000, 8000, 8000, 8000, 8000], 21);
+        logDays([9000, 9500, 10000, 10500, 11000, 11500], 27);
+        tracker.logSteps(6000, { at: '07:30' });
+        tracker.logSteps(6500, { at: '12:10' });
+
+        const stats = tracker.getStats(14);
+
+        expect(stats).toMatchObject({
+            days: 14,
+            totalSteps: 130000,
+            avgSteps: 9286,
+            daysLogged: 14,
+            daysMetGoal: 5,
+            best: { date: '2024-03-28', steps: 12500 },
+            streak: 5,
+            longestStreak: 5,
+            trend: { recent: 10571, previous: 8000, change: 0.32, direction: 'up' },
+            peakHour: 12
+        });
+        expect(console.log).toHaveBeenCalledWith('🔥 Streak: 5 days (longest 5)');
+        expect(tracker.getStepDataForDashboard(7)).toMatchObject({
+            todaySteps: 12500,
+            goalProgress: 100,
+            avgSteps: 10571,
+            daysMetGoal: 5,
+            streak: 5
+        });
+    });
+
+    test('keys evening steps to the local day outside UTC', () => {
+        // TZ only takes effect in a fresh process; the clock is pinned to 21:00 on the 28th in UTC-4
+        const script = `
+            const RealDate = Date;
+            const pinned = RealDate.parse('2024-03-29T01:00:00Z');
+            global.Date = class extends RealDate {
+                constructor(...args) { super(...(args.length > 0 ? args : [pinned])); }
+                static now() { return pinned; }
+            };
+            const StepTracker = require(${JSON.stringify(require.resolve('../step-tracker'))});
+            console.log = () => {};
+            const tracker = new StepTracker('steps.json', { load: () => null, save: () => {} });
+            tracker.setDailyGoal(1000);
+            tracker.logSteps(3000);
+            const [entry] = tracker.data.stepEntries;
+            process.stdout.write(JSON.stringify({
+                date: entry.date,
+                hour: entry.hour,
+                today: tracker.getTodaySteps(),
+                totals: tracker.getDailyTotals(1),
+                streak: tracker.getStreak()
+            }));
+        `;
+        const output = execFileSync(process.execPath, ['-e', script], {
+            env: { ...process.env, TZ: 'America/New_York' },
+            encoding: 'utf8'
+        });
+
+        expect(JSON.parse(output)).toEqual({
+            date: '2024-03-28',
+            hour: 21,
+            today: 3000,
+            totals: [{ date: '2024-03-28', steps: 3000, logged: true, goalMet: true }],
+            streak: 1
+        });
+    });
+
+    test('builds imported entries and recognises them again', () => {
+        const { isValid, entry } = tracker.buildEntry({ date: '2024-03-20', time: '14:00', steps: '842', source: 'Steps CSV' });
+        expect(isValid).toBe(true);
+        expect(entry).toMatchObject({ date: '2024-03-20', hour: 14, time: '14:00', steps: 842, source: 'Steps CSV' });
+
+        tracker.data.stepEntries.push(entry);
+        expect(tracker.isDuplicate({ ...entry, id: 1 })).toBe(true);
+        expect(tracker.isDuplicate({ ...entry, steps: 843 })).toBe(false);
+        expect(tracker.buildEntry({ date: '2024-03-20', steps: 'many' }).isValid).toBe(false);
+    });
+
+    test('editing the time moves the count to another hour', () => {
+        tracker.logSteps(2000, { date: '2024-03-27', at: '08:15' });
+        const id = tracker.data.stepEntries[0].id;
+
+        expect(tracker.editEntry(id, { at: '2024-03-27 18:45', steps: 2100 })).toMatchObject({ hour: 18, steps: 2100 });
+        expect(tracker.undoLastChange()).toMatchObject({ hour: 8, steps: 2000 });
+    });
+});
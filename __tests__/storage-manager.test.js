@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StorageManager = require('../storage-manager');
+const { JsonFileBackend, AppendLogBackend, SqliteBackend } = StorageManager;
+
+describe('StorageManager', () => {
+    let testDir;
+
+    beforeEach(() => {
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stepsync-storage-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+        delete process.env.STEPSYNC_DATA_DIR;
+        delete process.env.STEPSYNC_STORAGE;
+        StorageManager.resetDefault();
+    });
+
+    describe('JSON file backend', () => {
+        test('returns null when nothing is stored', () => {
+            const storage = new StorageManager();
+            expect(storage.read(path.join(testDir, 'missing.json'))).toBeNull();
+        });
+
+        test('round-trips data as formatted JSON', () => {
+            const storage = new StorageManager({ backend: 'json' });
+            const file = path.join(testDir, 'sleep-data.json');
+
+            storage.write(file, { sleepEntries: [{ id: 1 }] });
+
+            expect(storage.read(file)).toEqual({ sleepEntries: [{ id: 1 }] });
+            expect(fs.readFileSync(file, 'utf8')).toContain('\n  "sleepEntries"');
+        });
+
+        test('writes atomically without leaving temp files behind', () => {
+            const storage = new StorageManager();
+            const file = path.join(testDir, 'nested', 'goals.json');
+
+            storage.write(file, []);
+            storage.write(file, [{ id: 'a' }]);
+
+            expect(fs.readdirSync(path.dirname(file))).toEqual(['goals.json']);
+            expect(storage.read(file)).toEqual([{ id: 'a' }]);
+        });
+
+        test('throws on corrupted data so trackers can report it', () => {
+            const file = path.join(testDir, 'bad.json');
+            fs.writeFileSync(file, '{ not json');
+
+            expect(() => new JsonFileBackend().read(file)).toThrow();
+        });
+    });
+
+    describe('Append-only log backend', () => {
+        test('returns the latest snapshot', () => {
+            const storage = new StorageManager({ backend: 'log' });
+            const file = path.join(testDir, 'exercise-data.json');
+
+            storage.write(file, { exercises: [] });
+            storage.write(file, { exercises: [{ id: 1 }] });
+
+            expect(storage.read(file)).toEqual({ exercises: [{ id: 1 }] });
+            expect(fs.existsSync(file + '.log')).toBe(true);
+        });
+
+        test('ignores a partially written trailing line', () => {
+            const backend = new AppendLogBackend();
+            const file = path.join(testDir, 'medications.json');
+
+            backend.write(file, { medications: ['ok'] });
+            fs.appendFileSync(file + '.log', '{"timestamp":"2025-01-01","data":{"medic');
+
+            expect(backend.read(file)).toEqual({ medications: ['ok'] });
+        });
+
+        test('compacts the log once it grows past maxEntries', () => {
+            const backend = new AppendLogBackend({ maxEntries: 3 });
+            const file = path.join(testDir, 'reminders.json');
+
+            for (let i = 0; i < 5; i++) {
+                backend.write(file, [i]);
+            }
+
+            const lines = fs.readFileSync(file + '.log', 'utf8').trim().split('\n');
+            expect(lines.length).toBeLessThanOrEqual(3);
+            expect(backend.read(file)).toEqual([4]);
+        });
+    });
+
+    describe('SQLite backend', () => {
+        test('explains how to enable SQLite when no driver is available', () => {
+            let available = true;
+            try {
+                SqliteBackend.loadDriver();
+            } catch (error) {
+                available = false;
+                expect(error.message).toContain('SQLite storage requires');
+            }
+
+            if (available) {
+                const storage = new StorageManager({ backend: 'sqlite', dataDir: testDir });
+                storage.write('sleep-data.json', { sleepEntries: [1] });
+                expect(storage.read('sleep-data.json')).toEqual({ sleepEntries: [1] });
+                storage.backend.close();
+            }
+        });
+    });
+
+    describe('configuration', () => {
+        test('rejects unknown backends', () => {
+            expect(() => new StorageManager({ backend: 'mongo' })).toThrow('Unknown storage backend');
+        });
+
+        test('resolves default file names into STEPSYNC_DATA_DIR', () => {
+            expect(StorageManager.resolveDataPath('sleep-data.json')).toBe('sleep-data.json');
+
+            process.env.STEPSYNC_DATA_DIR = testDir;
+            expect(StorageManager.resolveDataPath('sleep-data.json')).toBe(path.join(testDir, 'sleep-data.json'));
+        });
+
+        test('shares one default instance configured from the environment', () => {
+            process.env.STEPSYNC_STORAGE = 'log';
+            const storage = StorageManager.getDefault();
+
+            expect(storage.backend.name).toBe('log');
+            expect(StorageManager.getDefault()).toBe(storage);
+        });
+    });
+});
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createTrackerRouter } = require('../tracker-api');
+const MentalHealthTracker = require('../mental-health-tracker');
+const MedicationTracker = require('../medication-tracker');
+const SleepTracker = require('../sleep-tracker');
+const ExerciseTracker = require('../exercise-tracker');
+const GoalManager = require('../goal-manager');
+const ReminderManager = require('../reminder-manager');
+const AuditLog = require('../audit-log');
+
+describe('Tracker REST API', () => {
+    let testDir;
+    let server;
+    let baseUrl;
+    let trackers;
+
+    const request = async (method, url, body) => {
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stepsync-api-'));
+        trackers = {
+            mentalHealth: new MentalHealthTracker(path.join(testDir, 'mental-health-data.json')),
+            medication: new MedicationTracker(path.join(testDir, 'medications.json')),
+            sleep: new SleepTracker(path.join(testDir, 'sleep-data.json')),
+            exercise: new ExerciseTracker(path.join(testDir, 'exercise-data.json')),
+            goals: new GoalManager(null, testDir),
+            reminders: new ReminderManager(testDir)
+        };
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api', createTrackerRouter({ trackers }));
+
+        await new Promise(resolve => {
+            server = app.listen(0, resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(testDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    describe('entry resources', () => {
+        test('creates, reads, updates and deletes a mood entry', async () => {
+            const created = await request('POST', '/moods', { rating: 7, note: 'Calm day' });
+            expect(created.status).toBe(201);
+            expect(created.body).toMatchObject({ rating: 7, note: 'Calm day' });
+
+            const fetched = await request('GET', `/moods/${created.body.id}`);
+            expect(fetched.body.id).toBe(created.body.id);
+
+            const updated = await request('PUT', `/moods/${created.body.id}`, { rating: 4 });
+            expect(updated.status).toBe(200);
+            expect(updated.body.rating).toBe(4);
+            expect(updated.body.note).toBe('Calm day');
+
+            const deleted = await request('DELETE', `/moods/${created.body.id}`);
+            expect(deleted.status).toBe(204);
+            expect(trackers.mentalHealth.data.moodEntries).toHaveLength(0);
+        });
+
+        test('records edits and deletes in the change log so they can be undone', async () => {
+            const created = await request('POST', '/sleep', { bedtime: '22:30', wakeTime: '06:30', quality: 8 });
+            await request('PUT', `/sleep/${created.body.id}`, { quality: 5 });
+            await request('DELETE', `/sleep/${created.body.id}`);
+
+            expect(trackers.sleep.data.changeLog.map(change => change.action)).toEqual(['edit', 'delete']);
+            expect(trackers.sleep.data.changeLog[0]).toMatchObject({
+                entryId: created.body.id,
+                before: expect.objectContaining({ quality: 8 }),
+                after: expect.objectContaining({ quality: 5 })
+            });
+
+            expect(trackers.sleep.editor.undo().isValid).toBe(true);
+            expect(trackers.sleep.data.sleepEntries).toEqual([expect.objectContaining({ id: created.body.id, quality: 5 })]);
+        });
+
+        test('rolls back an edit that cannot be saved', async () => {
+            const created = await request('POST', '/moods', { rating: 7 });
+            jest.spyOn(trackers.mentalHealth, 'saveData').mockReturnValue(false);
+
+            const updated = await request('PUT', `/moods/${created.body.id}`, { rating: 2 });
+            expect(updated.status).toBe(500);
+            expect(trackers.mentalHealth.data.moodEntries[0].rating).toBe(7);
+            expect(trackers.mentalHealth.data.changeLog).toEqual([]);
+
+            expect((await request('PUT', `/moods/${created.body.id}`, {})).status).toBe(400);
+        });
+
+        test('persists through the tracker data file', async () => {
+            await request('POST', '/sleep', { bedtime: '22:30', wakeTime: '06:30', quality: 8 });
+
+            const reloaded = new SleepTracker(path.join(testDir, 'sleep-data.json'));
+            expect(reloaded.data.sleepEntries).toHaveLength(1);
+            expect(reloaded.data.sleepEntries[0].duration).toBe(8);
+        });
+
+        test('recalculates sleep duration on update', async () => {
+            const created = await request('POST', '/sleep', { bedtime: '22:30', wakeTime: '06:30', quality: 8 });
+            const updated = await request('PUT', `/sleep/${created.body.id}`, { wakeTime: '07:30' });
+            expect(updated.body.duration).toBe(9);
+        });
+
+        test('returns ValidationUtils errors for invalid bodies', async () => {
+            const response = await request('POST', '/sleep', { bedtime: '25:00', quality: 11 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Validation failed');
+            expect(response.body.details).toEqual(expect.arrayContaining([
+                'Invalid bedtime: "25:00" must be in HH:MM format (e.g., 09:30 or 14:45)',
+                'Missing required field: wakeTime',
+                'Invalid quality: 11 exceeds maximum allowed value (10)'
+            ]));
+        });
+
+        test('rejects unknown symptom types', async () => {
+            const response = await request('POST', '/symptoms', { type: 'sneezing', severity: 3 });
+            expect(response.status).toBe(400);
+            expect(response.body.details[0]).toContain('Invalid type');
+        });
+
+        test('paginates lists newest first', async () => {
+            for (let i = 1; i <= 3; i++) {
+                await request('POST', '/exercise', { type: `Run ${i}`, duration: 20 });
+            }
+            trackers.exercise.data.exercises.forEach((entry, index) => {
+                entry.timestamp = new Date(2025, 0, index + 1).toISOString();
+            });
+
+            const page = await request('GET', '/exercise?page=1&pageSize=2');
+            expect(page.body).toMatchObject({ page: 1, pageSize: 2, total: 3, totalPages: 2, hasMore: true });
+            expect(page.body.data.map(e => e.type)).toEqual(['Run 3', 'Run 2']);
+
+            const invalid = await request('GET', '/exercise?pageSize=500');
+            expect(invalid.status).toBe(400);
+        });
+
+        test('returns 404 for unknown ids', async () => {
+            expect((await request('GET', '/journal/123')).status).toBe(404);
+            expect((await request('PUT', '/journal/123', { content: 'x' })).status).toBe(404);
+            expect((await request('DELETE', '/journal/123')).status).toBe(404);
+        });
+    });
+
+    describe('medications and doses', () => {
+        test('deactivates medications on delete and records doses', async () => {
+            const med = await request('POST', '/medications', { name: 'Sertraline', dosage: '50mg', frequency: 'daily', time: '08:00' });
+            expect(med.status).toBe(201);
+
+            const dose = await request('POST', `/medications/${med.body.id}/doses`, { notes: 'with food' });
+            expect(dose.status).toBe(201);
+            expect(dose.body).toMatchObject({ medicationId: med.body.id, notes: 'with food' });
+
+            const doses = await request('GET', `/doses?medicationId=${med.body.id}`);
+            expect(doses.body.total).toBe(1);
+
+            await request('DELETE', `/medications/${med.body.id}`);
+            expect(trackers.medication.data.medications[0].active).toBe(false);
+        });
+
+        test('records medication changes in the audit log', async () => {
+            const auditLog = new AuditLog(path.join(testDir, 'medication-audit.jsonl'), { encryption: null });
+            trackers.medication.auditLog = auditLog;
+            const med = await request('POST', '/medications', { name: 'Sertraline', dosage: '50mg', frequency: 'daily', time: '08:00' });
+
+            const updated = await request('PUT', `/medications/${med.body.id}`, { dosage: '100mg', frequency: 'twice-daily' });
+            expect(updated.status).toBe(200);
+            expect(updated.body).toMatchObject({ name: 'Sertraline', dosage: '100mg', frequency: 'twice-daily' });
+
+            expect(auditLog.read({ action: 'MEDICATION_UPDATED' })).toEqual([expect.objectContaining({
+                source: 'medication-tracker',
+                details: {
+                    medicationId: med.body.id,
+                    before: { dosage: '50mg', frequency: 'daily' },
+                    after: { dosage: '100mg', frequency: 'twice-daily' }
+                }
+            })]);
+            expect(auditLog.verify().valid).toBe(true);
+        });
+
+        test('validates frequency against the tracker list', async () => {
+            const response = await request('POST', '/medications', { name: 'X', dosage: '1mg', frequency: 'hourly' });
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('goals and reminders', () => {
+        test('surfaces GoalManager errors as 400s', async () => {
+            const response = await request('POST', '/goals', { type: 'sleep', title: 'Sleep more' });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toContain('Missing required fields');
+        });
+
+        test('manages goals end to end', async () => {
+            const goal = await request('POST', '/goals', { type: 'sleep', title: 'Sleep 8h', target: 8, duration: 30 });
+            expect(goal.status).toBe(201);
+
+            const updated = await request('PUT', `/goals/${goal.body.id}`, { title: 'Sleep 8 hours' });
+            expect(updated.body.title).toBe('Sleep 8 hours');
+
+            const list = await request('GET', '/goals?type=sleep');
+            expect(list.body.total).toBe(1);
+
+            expect((await request('DELETE', `/goals/${goal.body.id}`)).status).toBe(204);
+            expect((await request('GET', `/goals/${goal.body.id}`)).status).toBe(404);
+        });
+
+        test('manages reminders end to end', async () => {
+            const reminder = await request('POST', '/reminders', { type: 'medication', title: 'Pills', time: '08:00' });
+            expect(reminder.status).toBe(201);
+
+            const updated = await request('PUT', `/reminders/${reminder.body.id}`, { time: '09:00', id: 'hijack' });
+            expect(updated.body.time).toBe('09:00');
+            expect(updated.body.id).toBe(reminder.body.id);
+
+            expect((await request('DELETE', `/reminders/${reminder.body.id}`)).status).toBe(204);
+            expect((await request('DELETE', `/reminders/${reminder.body.id}`)).status).toBe(404);
+        });
+    });
+});
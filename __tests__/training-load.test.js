@@ -0,0 +1,71 @@
+const TrainingLoad = require('../training-load');
+
+describe('TrainingLoad', () => {
+    const now = new Date('2024-03-28T12:00:00Z');
+    const session = (date, duration, fields = {}) => ({ date, duration, intensity: 'moderate', ...fields });
+
+    // Three steady weeks of 3 x 200 AU, then a week of 4 x 400 AU
+    const spike = () => [
+        ...['01', '03', '05', '08', '10', '12', '15', '17', '19'].map(day => session(`2024-03-${day}`, 40)),
+        ...['22', '24', '26', '28'].map(day => session(`2024-03-${day}`, 50, { rpe: 8 }))
+    ];
+
+    test('uses the logged RPE or falls back to intensity', () => {
+        expect(TrainingLoad.sessionLoad(session('2024-03-01', 60, { rpe: 9 }))).toBe(540);
+        expect(TrainingLoad.sessionLoad(session('2024-03-01', 60, { intensity: 'low' }))).toBe(180);
+        expect(TrainingLoad.sessionLoad(session('2024-03-01', 60, { intensity: 'high' }))).toBe(420);
+    });
+
+    test('computes acute and chronic load, their ratio, monotony and strain', () => {
+        const load = TrainingLoad.summary(spike(), now);
+
+        expect(load).toMatchObject({
+            date: '2024-03-28',
+            sessionCount: 13,
+            acuteLoad: 1600,
+            chronicLoad: 850,
+            acwr: 1.88,
+            zone: 'high',
+            monotony: 1.15,
+            strain: 1840,
+            highMonotony: false,
+            baselineReady: true
+        });
+        expect(load.dailyLoads.map(day => day.load)).toEqual([400, 0, 400, 0, 400, 0, 400]);
+    });
+
+    test('flags a short history and monotonous weeks', () => {
+        const daily = ['22', '23', '24', '25', '26', '27', '28'].map((day, index) =>
+            session(`2024-03-${day}`, index % 2 === 0 ? 60 : 50));
+        const load = TrainingLoad.summary(daily, now);
+
+        expect(load).toMatchObject({ acwr: 4, baselineReady: false, highMonotony: true });
+        expect(load.monotony).toBeGreaterThan(TrainingLoad.HIGH_MONOTONY);
+        expect(TrainingLoad.summary([session('2024-01-01', 30)], now)).toBeNull();
+    });
+
+    describe('readiness', () => {
+        test('blends sleep, mood and training load', () => {
+            const readiness = TrainingLoad.readiness({
+                sleep: { total: 7, quality: 8, targetHours: 8 },
+                mood: 7,
+                load: { acwr: 1.1, highMonotony: false }
+            });
+
+            // 0.4 * 83.8 + 0.3 * 70 + 0.3 * 100
+            expect(readiness).toEqual({
+                score: 85,
+                level: 'high',
+                advice: 'Ready for a hard session',
+                components: { sleep: 84, mood: 70, load: 100 }
+            });
+        });
+
+        test('re-weights when parts are missing', () => {
+            expect(TrainingLoad.readiness({ mood: 4, load: { acwr: 1.8, highMonotony: true } }))
+                .toMatchObject({ score: 30, level: 'low', components: { mood: 40, load: 20 } });
+            expect(TrainingLoad.readiness({ mood: 6 })).toMatchObject({ score: 60, level: 'moderate' });
+            expect(TrainingLoad.readiness({ load: { acwr: null } })).toBeNull();
+        });
+    });
+});
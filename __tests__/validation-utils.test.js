@@ -240,6 +240,46 @@ describe('ValidationUtils', () => {
         });
     });
 
+    describe('validateFields', () => {
+        const rules = {
+            rating: { type: 'integer', min: 1, max: 10, required: true },
+            bedtime: { type: 'time' },
+            intensity: { type: 'enum', values: ['low', 'moderate', 'high'], default: 'moderate' },
+            note: { type: 'string', max: 5, default: '' }
+        };
+
+        test('returns parsed values and defaults', () => {
+            const result = ValidationUtils.validateFields({ rating: '7', bedtime: '22:30', intensity: 'HIGH' }, rules);
+            expect(result.isValid).toBe(true);
+            expect(result.values).toEqual({ rating: 7, bedtime: '22:30', intensity: 'high', note: '' });
+        });
+
+        test('collects every error without printing', () => {
+            const result = ValidationUtils.validateFields({ bedtime: '9am', intensity: 'extreme', note: 'too long' }, rules);
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toEqual([
+                'Missing required field: rating',
+                'Invalid bedtime: "9am" must be in HH:MM format (e.g., 09:30 or 14:45)',
+                'Invalid intensity: must be one of low, moderate, high',
+                'Invalid note: Must not exceed 5 characters'
+            ]);
+            expect(consoleErrorSpy).not.toHaveBeenCalled();
+        });
+
+        test('rejects out-of-range and non-integer numbers', () => {
+            expect(ValidationUtils.validateFields({ rating: 11 }, rules).errors)
+                .toEqual(['Invalid rating: 11 exceeds maximum allowed value (10)']);
+            expect(ValidationUtils.validateFields({ rating: 2.5 }, rules).errors)
+                .toEqual(['Invalid rating: "2.5" is not a valid number']);
+        });
+
+        test('skips required checks and defaults in partial mode', () => {
+            const result = ValidationUtils.validateFields({ note: 'ok' }, rules, { partial: true });
+            expect(result.isValid).toBe(true);
+            expect(result.values).toEqual({ note: 'ok' });
+        });
+    });
+
     describe('validateImportedData', () => {
         test('validates correct data structure', () => {
             const validData = {
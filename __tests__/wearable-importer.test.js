@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WearableImporter = require('../wearable-importer');
+const SleepTracker = require('../sleep-tracker');
+const ExerciseTracker = require('../exercise-tracker');
+const StepTracker = require('../step-tracker');
+const { runCommand, parseWearableArgs } = require('../import-cli');
+
+describe('WearableImporter', () => {
+    let testDir;
+    let sleep;
+    let exercise;
+    let steps;
+    let importer;
+
+    const write = (name, content) => {
+        const file = path.join(testDir, name);
+        fs.writeFileSync(file, content);
+        return file;
+    };
+
+    const fitbitSleep = [
+        'Start Time,End Time,Minutes Asleep,Minutes Awake,Number of Awakenings,Time in Bed',
+        '"2024-03-01 10:45PM","2024-03-02 6:45AM",432,48,3,480',
+        '"2024-03-02 11:00PM","2024-03-03 7:00AM",,,,',
+        '"2024-03-03 11:00PM","2024-03-03 10:00PM",400,10,1,410'
+    ].join('\n');
+
+    const garminActivities = [
+        'Activity Type,Date,Favorite,Title,Distance,Calories,Time,Avg HR',
+        'Running,2024-03-02 07:00:00,false,Morning Run,5.01,"412",00:31:30,152',
+        'Walking,2024-03-02 18:00:00,false,Evening Walk,2.1,95,00:40:00,98',
+        'Yoga,2024-03-03 08:00:00,false,,0,50,15:00:00,80'
+    ].join('\n');
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+        testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stepsync-wearable-'));
+        sleep = new SleepTracker(path.join(testDir, 'sleep-data.json'));
+        exercise = new ExerciseTracker(path.join(testDir, 'exercise-data.json'));
+        steps = new StepTracker(path.join(testDir, 'steps-data.json'));
+        importer = new WearableImporter({ sleep, exercise, steps });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    describe('profiles', () => {
+        test('lists the built-in device profiles', () => {
+            const names = WearableImporter.listProfiles().map(p => p.name);
+            expect(names).toEqual(expect.arrayContaining(['fitbit-sleep', 'garmin-activities', 'oura-sleep']));
+        });
+
+        test('loads user-defined JSON profiles', () => {
+            const file = write('watch.json', JSON.stringify({
+                name: 'watch', kind: 'sleep', columns: { start: 'From', end: 'To', quality: 'Score' }, qualityScale: 100
+            }));
+
+            expect(importer.loadProfile(file)).toMatchObject({ name: 'watch', kind: 'sleep', qualityScale: 100 });
+        });
+
+        test('rejects unknown and incomplete profiles', () => {
+            expect(() => importer.loadProfile('polar')).toThrow('Unknown profile: polar');
+            expect(() => importer.loadProfile({ kind: 'heart-rate', columns: {} })).toThrow('kind must be');
+            expect(() => importer.loadProfile({ kind: 'steps', columns: { date: 'Day' } })).toThrow('steps column');
+            expect(() => importer.loadProfile({ kind: 'sleep', columns: { start: 'From' } })).toThrow('start and end columns');
+            expect(() => importer.loadProfile({ kind: 'exercise', columns: { duration: 'Min' } })).toThrow('type column');
+        });
+    });
+
+    describe('sleep', () => {
+        test('maps rows through SleepTracker validation', () => {
+            const summary = importer.importFile(write('sleep.csv', fitbitSleep), 'fitbit-sleep');
+
+            expect(summary).toMatchObject({ kind: 'sleep', totalRows: 3, imported: 2, invalid: 1 });
+            expect(summary.errors[0]).toEqual({ line: 4, errors: ['Wake time must be after bedtime'] });
+            expect(sleep.data.sleepEntries[0]).toMatchObject({
+                date: '2024-03-02',
+                bedtime: '22:45',
+                wakeTime: '06:45',
+                duration: 7.2,
+                quality: 9,
+                qualityEstimated: true,
+                source: 'Fitbit sleep log'
+            });
+            expect(sleep.data.sleepEntries[1]).toMatchObject({ bedtime: '23:00', duration: 8, quality: 5 });
+            expect(new Set(sleep.data.sleepEntries.map(e => e.id)).size).toBe(2);
+        });
+
+        test('scales device scores to 1-10 and reports validation errors', () => {
+            const file = write('oura.csv', [
+                'date,Bedtime Start,Bedtime End,Sleep Score',
+                '2024-03-02,2024-03-01T23:10:00+01:00,2024-03-02T07:05:00+01:00,84',
+                '2024-03-03,2024-03-02T23:10:00+01:00,2024-03-03T07:05:00+01:00,abc'
+            ].join('\n'));
+            const custom = { name: 'strict', kind: 'sleep', columns: { start: 'Bedtime Start', end: 'Bedtime End', quality: 'Sleep Score' }, qualityScale: 100 };
+
+            importer.importFile(file, 'oura-sleep');
+            expect(sleep.data.sleepEntries[0]).toMatchObject({ bedtime: '23:10', wakeTime: '07:05', quality: 8 });
+
+            const failing = write('bad.csv', 'Bedtime Start,Bedtime End,Sleep Score\n2024-03-05T23:00,2024-03-06T07:00,500');
+            const summary = importer.importFile(failing, custom);
+            expect(summary.invalid).toBe(1);
+            expect(summary.errors[0].errors[0]).toContain('exceeds maximum allowed value (10)');
+        });
+
+        test('skips nights that are already logged', () => {
+            const file = write('sleep.csv', fitbitSleep);
+            importer.importFile(file, 'fitbit-sleep');
+
+            const again = new WearableImporter({
+                sleep: new SleepTracker(path.join(testDir, 'sleep-data.json')),
+                exercise
+            }).importFile(file, 'fitbit-sleep');
+
+            expect(again).toMatchObject({ imported: 0, duplicates: 2 });
+        });
+    });
+
+    describe('exercise', () => {
+        test('maps rows through ExerciseTracker validation', () => {
+            const summary = importer.importFile(write('garmin.csv', garminActivities), 'garmin-activities');
+
+            expect(summary).toMatchObject({ imported: 2, invalid: 1 });
+            expect(summary.errors[0].errors[0]).toContain('exceeds maximum allowed value (600)');
+            expect(exercise.data.exercises[0]).toMatchObject({
+                date: '2024-03-02',
+                type: 'Running',
+                duration: 32,
+                intensity: 'high',
+                notes: 'Morning Run',
+                startTime: '2024-03-02T07:00',
+                calories: 412
+            });
+            expect(exercise.data.exercises[1]).toMatchObject({ type: 'Walking', duration: 40, intensity: 'low' });
+        });
+
+        test('derives duration from start and end and maps intensities', () => {
+            const file = write('oura-workouts.csv', [
+                'activity,start_datetime,end_datetime,intensity,calories',
+                'cycling,2024-03-04T17:00:00+00:00,2024-03-04T17:50:00+00:00,hard,480'
+            ].join('\n'));
+
+            importer.importFile(file, 'oura-workouts');
+            expect(exercise.data.exercises[0]).toMatchObject({ type: 'cycling', duration: 50, intensity: 'high' });
+        });
+
+        test('fails early when the CSV lacks the profile columns', () => {
+            const file = write('other.csv', 'When,What\n2024-03-02,Run');
+            expect(() => importer.importFile(file, 'garmin-activities')).toThrow('missing column(s)');
+        });
+    });
+
+    describe('steps', () => {
+        test('imports hourly counts and daily totals, skipping empty and known rows', () => {
+            const hourly = write('steps.csv', [
+                'date,time,steps',
+                '2024-03-02,08:00,"1,250"',
+                '2024-03-02,09:00,0',
+                '2024-03-02,9:30 PM,800',
+                '2024-03-02,10:00,lots'
+            ].join('\n'));
+
+            const summary = importer.importFile(hourly, 'steps-csv');
+            expect(summary).toMatchObject({ kind: 'steps', imported: 2, empty: 1, invalid: 1 });
+            expect(steps.data.stepEntries[0]).toMatchObject({ date: '2024-03-02', hour: 8, time: '08:00', steps: 1250, source: 'Steps CSV (date, time, steps)' });
+            expect(steps.getHourlyBreakdown('2024-03-02')).toMatchObject({ total: 2050, peakHour: 8 });
+            expect(steps.getHourlyBreakdown('2024-03-02').hours[21]).toBe(800);
+
+            const again = new WearableImporter({ steps: new StepTracker(path.join(testDir, 'steps-data.json')) })
+                .importFile(hourly, 'steps-csv');
+            expect(again).toMatchObject({ imported: 0, duplicates: 2 });
+
+            const fitbit = write('fitbit.csv', 'Date,Calories Burned,Steps,Distance\n2024-03-03,2300,"11,042",8.1');
+            importer.importFile(fitbit, 'fitbit-steps');
+            expect(steps.getDailyTotal('2024-03-03')).toBe(11042);
+            expect(steps.data.stepEntries[2].hour).toBeNull();
+        });
+    });
+
+    describe('preview', () => {
+        test('maps the first rows without saving', () => {
+            const file = write('garmin.csv', garminActivities);
+            const preview = importer.preview(file, 'garmin-activities', 2);
+
+            expect(preview.totalRows).toBe(3);
+            expect(preview.rows).toHaveLength(2);
+            expect(preview.rows[0]).toMatchObject({ line: 2, isValid: true, duplicate: false });
+            expect(exercise.data.exercises).toHaveLength(0);
+            expect(new ExerciseTracker(path.join(testDir, 'exercise-data.json')).data.exercises).toHaveLength(0);
+        });
+    });
+
+    describe('import-cli', () => {
+        test('parses wearable options', () => {
+            expect(parseWearableArgs(['a.csv', '--profile', 'oura-sleep', '--preview'])).toEqual({
+                file: 'a.csv', profile: 'oura-sleep', preview: 5, dryRun: false
+            });
+            expect(parseWearableArgs(['--preview', '3', 'a.csv', '--profile', 'x.json', '--dry-run']))
+                .toMatchObject({ file: 'a.csv', preview: 3, dryRun: true });
+        });
+
+        test('previews, imports and reports errors', () => {
+            const file = write('garmin.csv', garminActivities);
+
+            expect(runCommand('wearable', [file, '--profile', 'garmin-activities', '--preview', '1'], importer)).toBe(0);
+            expect(exercise.data.exercises).toHaveLength(0);
+
+            expect(runCommand('wearable', [file, '--profile', 'garmin-activities'], importer)).toBe(0);
+            expect(exercise.data.exercises).toHaveLength(2);
+
+            expect(runCommand('wearable', [file], importer)).toBe(1);
+            expect(runCommand('wearable', [file, '--profile', 'nope'], importer)).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+const WorkoutAnalysis = require('../workout-analysis');
+const ExerciseCatalog = require('../exercise-catalog');
+
+describe('WorkoutAnalysis', () => {
+    describe('parseSets', () => {
+        test('expands set groups and resolves catalog names', () => {
+            const parsed = WorkoutAnalysis.parseSets('squats:2x5@100, 8@80; Dips:3x12; Zercher Squat:1x5@60');
+
+            expect(parsed.isValid).toBe(true);
+            expect(parsed.exercises).toEqual([
+                {
+                    name: 'Back Squat',
+                    catalogId: 'back-squat',
+                    sets: [{ reps: 5, weight: 100 }, { reps: 5, weight: 100 }, { reps: 8, weight: 80 }]
+                },
+                { name: 'Dip', catalogId: 'dip', sets: Array(3).fill({ reps: 12, weight: null }) },
+                { name: 'Zercher Squat', catalogId: null, sets: [{ reps: 5, weight: 60 }] }
+            ]);
+        });
+
+        test('reports every unreadable part', () => {
+            const parsed = WorkoutAnalysis.parseSets('Squat 5x5; Bench:3x8@2000, lots');
+
+            expect(parsed.isValid).toBe(false);
+            expect(parsed.exercises).toEqual([]);
+            expect(parsed.errors).toEqual([
+                '"Squat 5x5": expected <exercise>:<sets>x<reps>[@<kg>]',
+                'Bench: weight must be at most 1000 kg',
+                'Bench: cannot read "lots" (use <sets>x<reps>@<kg>, e.g. 3x8@60)'
+            ]);
+        });
+    });
+
+    test('places heart rates in zones of the maximum heart rate', () => {
+        const analysis = new WorkoutAnalysis({ maxHeartRate: 200 });
+
+        expect([90, 100, 130, 159, 160, 185].map(bpm => analysis.zoneOf(bpm))).toEqual([0, 0, 1, 2, 3, 4]);
+        expect(analysis.heartRate({ avg: 150 }, 40)).toEqual({ avg: 150, max: null, zones: [0, 0, 40, 0, 0], zonesEstimated: true });
+        expect(analysis.heartRate({ avg: 150, zones: [5, 5, 20, 10, 0] }, 40).zonesEstimated).toBe(false);
+        expect(new WorkoutAnalysis().heartRate({ avg: 150 }, 40)).toEqual({ avg: 150, max: null, zones: null, zonesEstimated: false });
+        expect(analysis.heartRate({}, 40)).toBeNull();
+    });
+
+    test('formats sets, pace and records', () => {
+        expect(WorkoutAnalysis.formatSets([{ reps: 5, weight: 100 }, { reps: 5, weight: 100 }, { reps: 10, weight: null }]))
+            .toBe('2×5 @ 100 kg, 1×10');
+        expect(WorkoutAnalysis.formatPace(5.5)).toBe('5:30 /km');
+        expect(WorkoutAnalysis.formatPace(4.999)).toBe('5:00 /km');
+        expect(WorkoutAnalysis.formatRecord({ exercise: 'Running', kind: 'pace', value: 4.75, previous: 5 }))
+            .toBe('Running fastest pace: 4:45 /km (was 5:00 /km)');
+        expect(WorkoutAnalysis.estimateOneRepMax(100, 5)).toBe(116.7);
+        expect(WorkoutAnalysis.estimateOneRepMax(100, 15)).toBeNull();
+    });
+
+    test('tracks bests per exercise, keyed by catalog entry', () => {
+        const catalog = new ExerciseCatalog([{ id: 'trail-run', name: 'Trail Run', category: 'cardio', aliases: [] }]);
+        const session = (id, date, fields) => ({ id, date, timestamp: `${date}T18:00:00.000Z`, type: 'Strength', duration: 45, ...fields });
+        const entries = [
+            session(1, '2024-03-04', { exercises: [{ name: 'Back Squat', catalogId: 'back-squat', sets: [{ reps: 5, weight: 100 }] }] }),
+            session(2, '2024-03-06', { exercises: [{ name: 'Squat', catalogId: 'back-squat', sets: [{ reps: 3, weight: 110 }] }] }),
+            session(3, '2024-03-07', { type: 'trail run', catalogId: 'trail-run', duration: 60, distance: 10, pace: 6 }),
+            session(4, '2024-03-09', { type: 'Trail Run', catalogId: 'trail-run', duration: 70, distance: 0.8, pace: 87.5 })
+        ];
+
+        const bests = WorkoutAnalysis.bests(entries, catalog);
+
+        expect(bests['back-squat'].records).toEqual({
+            weight: { value: 110, date: '2024-03-06', id: 2 },
+            oneRepMax: { value: 121, date: '2024-03-06', id: 2 },
+            volume: { value: 500, date: '2024-03-04', id: 1 }
+        });
+        expect(bests['trail-run']).toEqual({
+            exercise: 'Trail Run',
+            records: { distance: { value: 10, date: '2024-03-07', id: 3 }, pace: { value: 6, date: '2024-03-07', id: 3 } }
+        });
+        expect(WorkoutAnalysis.findRecords(entries[1], entries, catalog)).toEqual([
+            { exercise: 'Squat', kind: 'weight', value: 110, previous: 100 },
+            { exercise: 'Squat', kind: 'oneRepMax', value: 121, previous: 116.7 }
+        ]);
+    });
+
+    test('groups weekly volume by Monday', () => {
+        expect(WorkoutAnalysis.weekOf('2024-03-10')).toBe('2024-03-04');
+        expect(WorkoutAnalysis.weekOf('2024-03-11')).toBe('2024-03-11');
+        expect(WorkoutAnalysis.weeklyVolume([
+            { date: '2024-03-10', duration: 30, distance: 5.25 },
+            { date: '2024-03-05', duration: 20, distance: 3.1, heartRate: { zones: [0, 20, 0, 0, 0] } }
+        ])).toEqual([
+            { week: '2024-03-04', sessions: 2, minutes: 50, sets: 0, reps: 0, volume: 0, distance: 8.35, zoneMinutes: [0, 20, 0, 0, 0] }
+        ]);
+    });
+});
@@ -73,6 +73,24 @@ async function runCommand(command, args) {
                 console.log(`   ${moodExercise.message}`);
             }
 
+            const moodSteps = analytics.analyzeMoodStepsCorrelation(days);
+            console.log('\n👟 Mood & Daily Steps');
+            if (moodSteps.correlation !== null) {
+                console.log(`   Correlation: ${moodSteps.correlation.toFixed(3)} (${moodSteps.strength})`);
+                console.log(`   ${moodSteps.insight}`);
+            } else {
+                console.log(`   ${moodSteps.message}`);
+            }
+
+            const sleepSteps = analytics.analyzeSleepStepsCorrelation(days);
+            console.log('\n🌙 Sleep Quality & Daily Steps');
+            if (sleepSteps.correlation !== null) {
+                console.log(`   Correlation: ${sleepSteps.correlation.toFixed(3)} (${sleepSteps.strength})`);
+                console.log(`   ${sleepSteps.insight}`);
+            } else {
+                console.log(`   ${sleepSteps.message}`);
+            }
+
             console.log('\n' + '═'.repeat(65));
             break;
         }
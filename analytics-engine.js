@@ -192,6 +192,137 @@ class AnalyticsEngine {
         return result;
     }
 
+    /**
+     * Daily step totals by date
+     */
+    getStepsByDate() {
+        const stepsByDate = new Map();
+        if (this.dashboard.steps && typeof this.dashboard.steps.getAllDailyTotals === 'function') {
+            this.dashboard.steps.getAllDailyTotals().forEach(({ date, steps }) => {
+                stepsByDate.set(date, steps);
+            });
+        }
+        return stepsByDate;
+    }
+
+    /**
+     * Analyze correlation between mood and daily steps
+     */
+    analyzeMoodStepsCorrelation(days = 30) {
+        const cacheKey = this.cache.generateKey('mood-steps-corr', days);
+        const cached = this.cache.get(cacheKey);
+        if (cached) return cached;
+
+        // Get mood data by date
+        const moodByDate = new Map();
+        if (this.dashboard.mentalHealth && this.dashboard.mentalHealth.data.moodLogs) {
+            this.dashboard.mentalHealth.data.moodLogs.forEach(log => {
+                const date = DateUtils.toDateKey(log.timestamp);
+                moodByDate.set(date, log.mood);
+            });
+        }
+
+        const stepsByDate = this.getStepsByDate();
+        const commonDates = [...moodByDate.keys()].filter(date => stepsByDate.has(date));
+
+        if (commonDates.length < 5) {
+            return { correlation: null, message: 'Need at least 5 days of overlapping data' };
+        }
+
+        const mood = commonDates.map(date => moodByDate.get(date));
+        const steps = commonDates.map(date => stepsByDate.get(date));
+
+        const correlation = this.calculateCorrelation(mood, steps);
+
+        const result = {
+            correlation,
+            strength: this.interpretCorrelation(correlation),
+            sampleSize: commonDates.length,
+            insight: this.generateCorrelationInsight('mood', 'daily steps', correlation)
+        };
+
+        this.cache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Analyze correlation between sleep quality and the day's steps
+     */
+    analyzeSleepStepsCorrelation(days = 30) {
+        const cacheKey = this.cache.generateKey('sleep-steps-corr', days);
+        const cached = this.cache.get(cacheKey);
+        if (cached) return cached;
+
+        // Get sleep quality by date
+        const sleepByDate = new Map();
+        if (this.dashboard.sleepTracker && this.dashboard.sleepTracker.data.sleepEntries) {
+            this.dashboard.sleepTracker.data.sleepEntries.forEach(entry => {
+                const date = DateUtils.toDateKey(entry.timestamp);
+                sleepByDate.set(date, entry.quality);
+            });
+        }
+
+        const stepsByDate = this.getStepsByDate();
+        const commonDates = [...sleepByDate.keys()].filter(date => stepsByDate.has(date));
+
+        if (commonDates.length < 5) {
+            return { correlation: null, message: 'Need at least 5 days of overlapping data' };
+        }
+
+        const sleepQuality = commonDates.map(date => sleepByDate.get(date));
+        const steps = commonDates.map(date => stepsByDate.get(date));
+
+        const correlation = this.calculateCorrelation(sleepQuality, steps);
+
+        const result = {
+            correlation,
+            strength: this.interpretCorrelation(correlation),
+            sampleSize: commonDates.length,
+            insight: this.generateCorrelationInsight('sleep quality', 'daily steps', correlation)
+        };
+
+        this.cache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Analyze the trend of daily step totals over the period
+     * A change of 5% of the average per week or more counts as a trend.
+     */
+    analyzeStepTrends(days = 30) {
+        const cacheKey = this.cache.generateKey('step-trends', days);
+        const cached = this.cache.get(cacheKey);
+        if (cached) return cached;
+
+        const cutoff = DateUtils.toDateKey(DateUtils.getCutoffDate(days));
+        const totals = [...this.getStepsByDate().entries()]
+            .filter(([date]) => date >= cutoff)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([, steps]) => steps);
+
+        if (totals.length < 7) {
+            return { message: 'Need at least 7 days of step data for trend analysis' };
+        }
+
+        const average = totals.reduce((sum, s) => sum + s, 0) / totals.length;
+        const prediction = this.predictTrend(totals, 7);
+        const weeklyChange = average > 0 ? (prediction.slope * 7) / average : 0;
+        const movingAvg = this.calculateMovingAverage(totals, 7);
+
+        const result = {
+            current: totals[totals.length - 1],
+            average: Math.round(average),
+            trend: weeklyChange >= 0.05 ? 'improving' : weeklyChange <= -0.05 ? 'declining' : 'stable',
+            weeklyChange: Math.round(weeklyChange * 100) / 100,
+            prediction: prediction.predictions.map(Math.round),
+            anomalies: this.detectAnomalies(totals).length,
+            movingAverage: Math.round(movingAvg[movingAvg.length - 1])
+        };
+
+        this.cache.set(cacheKey, result);
+        return result;
+    }
+
     /**
      * Interpret correlation strength
      */
@@ -369,15 +500,20 @@ class AnalyticsEngine {
         report.correlations.sleepExercise = this.analyzeSleepExerciseCorrelation(days);
         report.correlations.moodSleep = this.analyzeMoodSleepCorrelation(days);
         report.correlations.moodExercise = this.analyzeMoodExerciseCorrelation(days);
+        report.correlations.moodSteps = this.analyzeMoodStepsCorrelation(days);
+        report.correlations.sleepSteps = this.analyzeSleepStepsCorrelation(days);
 
         // Trend analysis
         report.trends.wellness = this.analyzeWellnessTrends(days);
+        report.trends.steps = this.analyzeStepTrends(days);
 
         // Generate insights
         const correlations = [
             { name: 'Sleep & Exercise', data: report.correlations.sleepExercise },
             { name: 'Mood & Sleep', data: report.correlations.moodSleep },
-            { name: 'Mood & Exercise', data: report.correlations.moodExercise }
+            { name: 'Mood & Exercise', data: report.correlations.moodExercise },
+            { name: 'Mood & Steps', data: report.correlations.moodSteps },
+            { name: 'Sleep & Steps', data: report.correlations.sleepSteps }
         ];
 
         correlations.forEach(({ name, data }) => {
@@ -402,6 +538,18 @@ class AnalyticsEngine {
             });
         }
 
+        if (report.trends.steps.trend && report.trends.steps.trend !== 'stable') {
+            const percent = Math.abs(Math.round(report.trends.steps.weeklyChange * 100));
+            report.insights.push({
+                type: 'trend',
+                title: 'Step Trend',
+                description: `Your daily steps are ${report.trends.steps.trend} (${percent}% a week, averaging ${report.trends.steps.average.toLocaleString()})`,
+                actionable: report.trends.steps.trend === 'improving'
+                    ? 'Nice momentum - consider raising your daily step goal'
+                    : 'Short walks after meals are an easy way to win steps back'
+            });
+        }
+
         // Anomaly insights
         if (report.trends.wellness.anomalies > 0) {
             report.insights.push({
@@ -431,6 +579,14 @@ class AnalyticsEngine {
             return r > 0
                 ? 'Regular exercise may help improve your mood'
                 : 'Exercise effects on mood may vary - track patterns';
+        } else if (correlationName.includes('Mood & Steps')) {
+            return r > 0
+                ? 'On low days, a short walk may help lift your mood'
+                : 'Very active days may be tiring you - watch for overdoing it';
+        } else if (correlationName.includes('Sleep & Steps')) {
+            return r > 0
+                ? 'More active days go with better sleep - keep moving during the day'
+                : 'Check whether late activity is affecting your sleep';
         }
         return 'Continue tracking to refine insights';
     }
@@ -476,7 +632,9 @@ class AnalyticsEngine {
         const corrData = [
             { name: 'Sleep Quality & Exercise', ...report.correlations.sleepExercise },
             { name: 'Mood & Sleep Quality', ...report.correlations.moodSleep },
-            { name: 'Mood & Exercise', ...report.correlations.moodExercise }
+            { name: 'Mood & Exercise', ...report.correlations.moodExercise },
+            { name: 'Mood & Daily Steps', ...report.correlations.moodSteps },
+            { name: 'Sleep Quality & Daily Steps', ...report.correlations.sleepSteps }
         ];
 
         corrData.forEach(corr => {
@@ -518,6 +676,12 @@ class AnalyticsEngine {
             }
         }
 
+        const steps = report.trends.steps;
+        if (!steps.message) {
+            console.log(`\n👟 Steps: ${steps.average.toLocaleString()}/day on average, ${steps.trend}`);
+            console.log(`   7-day average: ${steps.movingAverage.toLocaleString()}, forecast for tomorrow: ${steps.prediction[0].toLocaleString()}`);
+        }
+
         // Key Insights
         console.log('\n' + '═'.repeat(65));
         console.log('💡 KEY INSIGHTS & RECOMMENDATIONS');
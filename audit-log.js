@@ -0,0 +1,359 @@
+/**
+ * Audit Log
+ * Durable, append-only audit trail shared by the medication modules. Each
+ * line of the JSONL file is one entry carrying the hash of the entry before
+ * it (a hash chain), so editing, removing, inserting or reordering entries
+ * breaks the chain. A small `<file>.head` file records the latest sequence
+ * number and hash so entries cut from the end are caught too. Appends hold
+ * an exclusive `<file>.lock` so the API server and a CLI run can share a log.
+ *
+ * Entry: { seq, timestamp, source, action, userId, details, prevHash, hash }
+ *   hash = sha256(prevHash + "\n" + canonical JSON of the other fields)
+ *
+ * MedicationTracker keeps its log beside its data file (forDataFile), so
+ * each user's data directory has its own. The process-wide log used by
+ * MedicationDatabase and EnhancedMedicationTracker (getDefault) lives at
+ * STEPSYNC_AUDIT_LOG, or medication-audit.jsonl in the data directory.
+ * For the CLI these are the same file. The split is deliberate: one shared
+ * chain would put every API account's medications and conditions in one
+ * file, so per-user entries stay in the user's directory and verify-audit
+ * (MedicationTracker.verifyAuditLog) checks both chains.
+ * STEPSYNC_AUDIT_LOG=off turns both off.
+ *
+ * With STEPSYNC_PASSPHRASE set, each entry's details (medication names,
+ * doses, conditions) are stored as an encrypted envelope; the hash covers the
+ * sealed form, so verify-audit works without the passphrase.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const StorageManager = require('./storage-manager');
+const DataEncryption = require('./data-encryption');
+
+const FILE_NAME = 'medication-audit.jsonl';
+const GENESIS_HASH = '0'.repeat(64);
+const TAIL_CHUNK = 64 * 1024;
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000; // a lock this old was left by a crashed process
+
+/**
+ * Block the current thread (appends are synchronous, like the tracker saves)
+ */
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+class AuditLog {
+    /**
+     * @param {string} filePath - JSONL file to append to
+     * @param {Object} options
+     * @param {DataEncryption|null} options.encryption - Seals entry details
+     *   (default: the shared StorageManager's encryption)
+     * @param {number} options.lockTimeout - How long append waits for the lock (ms)
+     */
+    constructor(filePath = StorageManager.resolveDataPath(FILE_NAME), options = {}) {
+        this.filePath = filePath;
+        this.headPath = `${filePath}.head`;
+        this.lockPath = `${filePath}.lock`;
+        this.lockTimeout = options.lockTimeout || LOCK_TIMEOUT_MS;
+        this.encryption = options.encryption !== undefined
+            ? options.encryption
+            : StorageManager.getDefault().encryption;
+    }
+
+    /**
+     * Shared log configured from the environment
+     * @returns {AuditLog|null} null when STEPSYNC_AUDIT_LOG=off
+     */
+    static getDefault() {
+        if (AuditLog.defaultInstance === undefined) {
+            const configured = process.env.STEPSYNC_AUDIT_LOG;
+            AuditLog.defaultInstance = configured === 'off'
+                ? null
+                : new AuditLog(configured || undefined);
+        }
+        return AuditLog.defaultInstance;
+    }
+
+    /**
+     * Log kept in the same directory as a tracker's data file
+     * @param {string} dataFile - Tracker data file, e.g. <user dir>/medications.json
+     * @param {Object} options - Constructor options (e.g. the tracker storage's encryption)
+     * @returns {AuditLog|null} null when STEPSYNC_AUDIT_LOG=off
+     */
+    static forDataFile(dataFile, options = {}) {
+        if (process.env.STEPSYNC_AUDIT_LOG === 'off') return null;
+        return new AuditLog(path.join(path.dirname(dataFile), FILE_NAME), options);
+    }
+
+    /**
+     * Drop the shared instance (e.g. after changing environment configuration)
+     */
+    static resetDefault() {
+        AuditLog.defaultInstance = undefined;
+    }
+
+    /**
+     * JSON with object keys sorted, so hashes don't depend on key order
+     */
+    static canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(v => AuditLog.canonicalize(v === undefined ? null : v)).join(',')}]`;
+        }
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+            return `{${keys.map(k => `${JSON.stringify(k)}:${AuditLog.canonicalize(value[k])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    static hashEntry(entry) {
+        const fields = Object.assign({}, entry);
+        delete fields.hash;
+        return crypto.createHash('sha256')
+            .update(`${entry.prevHash}\n${AuditLog.canonicalize(fields)}`)
+            .digest('hex');
+    }
+
+    /**
+     * Read the last entry without reading the whole file. A line torn by a
+     * crash mid-append is passed over, so the chain continues from the last
+     * complete entry (or the .head record when no line is readable)
+     * @returns {Object|null} Last entry ({ seq, hash } at least), or null for an empty log
+     */
+    readLastEntry() {
+        if (!fs.existsSync(this.filePath)) return null;
+
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            const size = fs.fstatSync(fd).size;
+            let chunk = Math.min(size, TAIL_CHUNK);
+            while (chunk > 0) {
+                const buffer = Buffer.alloc(chunk);
+                fs.readSync(fd, buffer, 0, chunk, size - chunk);
+                const lines = buffer.toString('utf8').split('\n').filter(line => line.trim());
+                // The first line of a partial read may be cut off; only trust it at the file start
+                const complete = chunk === size ? lines : lines.slice(1);
+                for (let i = complete.length - 1; i >= 0; i--) {
+                    const entry = AuditLog.parseLine(complete[i]);
+                    if (entry) return entry;
+                }
+                if (chunk === size) break;
+                chunk = Math.min(size, chunk * 2);
+            }
+            return this.readHead();
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    static parseLine(line) {
+        try {
+            const entry = JSON.parse(line);
+            return entry && typeof entry === 'object' && entry.hash ? entry : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether the file ends mid-line (a torn append), so the next entry needs a line break first
+     */
+    endsMidLine() {
+        if (!fs.existsSync(this.filePath)) return false;
+
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            const size = fs.fstatSync(fd).size;
+            if (size === 0) return false;
+            const last = Buffer.alloc(1);
+            fs.readSync(fd, last, 0, 1, size - 1);
+            return last.toString('utf8') !== '\n';
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    readHead() {
+        try {
+            return JSON.parse(fs.readFileSync(this.headPath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Run fn while holding the log's lock file, so no other process can
+     * read the same last entry and append a clashing seq/prevHash
+     * @throws {Error} When another process holds the lock past lockTimeout
+     */
+    withLock(fn) {
+        const deadline = Date.now() + this.lockTimeout;
+        let fd = null;
+        while (fd === null) {
+            try {
+                fd = fs.openSync(this.lockPath, 'wx');
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                if (this.isLockStale()) {
+                    fs.rmSync(this.lockPath, { force: true });
+                } else if (Date.now() >= deadline) {
+                    throw new Error(`Audit log is locked by another process: ${this.lockPath}`);
+                } else {
+                    sleepSync(LOCK_RETRY_MS);
+                }
+            }
+        }
+
+        try {
+            fs.writeSync(fd, String(process.pid));
+            return fn();
+        } finally {
+            fs.closeSync(fd);
+            fs.rmSync(this.lockPath, { force: true });
+        }
+    }
+
+    isLockStale() {
+        try {
+            return Date.now() - fs.statSync(this.lockPath).mtimeMs > LOCK_STALE_MS;
+        } catch (error) {
+            return false; // released while we looked
+        }
+    }
+
+    /**
+     * Append one entry to the chain
+     * @param {Object} entry - { source, action, userId, details, timestamp }
+     * @returns {Object} The stored entry, with seq and hashes
+     */
+    append(entry) {
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        return this.withLock(() => this.appendLocked(entry));
+    }
+
+    appendLocked(entry) {
+        const last = this.readLastEntry();
+        const stored = {
+            seq: last ? last.seq + 1 : 1,
+            timestamp: entry.timestamp || new Date().toISOString(),
+            source: entry.source || 'unknown',
+            action: entry.action,
+            userId: entry.userId || 'system',
+            details: this.encryption ? this.encryption.encrypt(entry.details || {}) : entry.details || {},
+            prevHash: last ? last.hash : GENESIS_HASH
+        };
+        // Round-trip so the hash covers exactly what is written (e.g. Dates as strings)
+        const normalized = JSON.parse(JSON.stringify(stored));
+        normalized.hash = AuditLog.hashEntry(normalized);
+
+        const separator = this.endsMidLine() ? '\n' : '';
+        fs.appendFileSync(this.filePath, separator + JSON.stringify(normalized) + '\n');
+        StorageManager.writeFileAtomic(this.headPath, JSON.stringify({ seq: normalized.seq, hash: normalized.hash }));
+        return normalized;
+    }
+
+    /**
+     * Read entries, optionally filtered
+     * @param {Object} filters - source, action, userId, since, limit
+     * @returns {Array} Entries (unparseable lines are skipped). Sealed details are
+     *   decrypted when this log has the passphrase, and left sealed otherwise
+     */
+    read(filters = {}) {
+        if (!fs.existsSync(this.filePath)) return [];
+
+        let entries = fs.readFileSync(this.filePath, 'utf8').split('\n')
+            .filter(line => line.trim())
+            .map(line => AuditLog.parseLine(line))
+            .filter(Boolean)
+            .map(entry => this.openDetails(entry));
+
+        if (filters.source) entries = entries.filter(e => e.source === filters.source);
+        if (filters.action) entries = entries.filter(e => e.action === filters.action);
+        if (filters.userId) entries = entries.filter(e => e.userId === filters.userId);
+        if (filters.since) entries = entries.filter(e => new Date(e.timestamp) >= new Date(filters.since));
+        if (filters.limit) entries = entries.slice(-filters.limit);
+        return entries;
+    }
+
+    openDetails(entry) {
+        if (!this.encryption || !DataEncryption.isEncrypted(entry.details)) return entry;
+        try {
+            return { ...entry, details: this.encryption.decrypt(entry.details) };
+        } catch (error) {
+            return entry;
+        }
+    }
+
+    /**
+     * Check the whole chain
+     * @returns {Object} { valid, count, problems: [{ line, seq, message }] }
+     */
+    verify() {
+        const result = { valid: true, count: 0, problems: [] };
+        const problem = (line, seq, message) => {
+            result.valid = false;
+            result.problems.push({ line, seq, message });
+        };
+
+        const lines = fs.existsSync(this.filePath)
+            ? fs.readFileSync(this.filePath, 'utf8').split('\n')
+            : [];
+        let previous = null;
+
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            const lineNumber = index + 1;
+
+            const entry = AuditLog.parseLine(line);
+            if (!entry) {
+                problem(lineNumber, null, 'Line is not a valid audit entry (torn by an interrupted write, or edited)');
+                return;
+            }
+            result.count++;
+
+            const expectedSeq = previous ? previous.seq + 1 : 1;
+            if (entry.seq > expectedSeq) {
+                const missing = entry.seq - expectedSeq;
+                problem(lineNumber, entry.seq, `${missing} entr${missing === 1 ? 'y' : 'ies'} missing before entry ${entry.seq}`);
+            } else if (entry.seq < expectedSeq) {
+                problem(lineNumber, entry.seq, `Entry ${entry.seq} is out of order or duplicated`);
+            }
+
+            const expectedPrev = previous ? previous.hash : GENESIS_HASH;
+            if (entry.prevHash !== expectedPrev && entry.seq === expectedSeq) {
+                problem(lineNumber, entry.seq, `Chain broken at entry ${entry.seq}: the previous entry was changed or replaced`);
+            }
+
+            if (AuditLog.hashEntry(entry) !== entry.hash) {
+                problem(lineNumber, entry.seq, `Entry ${entry.seq} was modified after it was written`);
+            }
+
+            previous = entry;
+        });
+
+        const head = this.readHead();
+        if (head) {
+            if (!previous || head.seq > previous.seq) {
+                const lastSeq = previous ? previous.seq : 0;
+                problem(null, head.seq, `Entries ${lastSeq + 1}-${head.seq} were removed from the end of the log`);
+            } else if (head.seq === previous.seq && head.hash !== previous.hash) {
+                problem(null, head.seq, `Entry ${head.seq} does not match the recorded head of the log`);
+            }
+        }
+
+        return result;
+    }
+}
+
+AuditLog.FILE_NAME = FILE_NAME;
+AuditLog.GENESIS_HASH = GENESIS_HASH;
+AuditLog.defaultInstance = undefined;
+
+module.exports = AuditLog;
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const StorageManager = require('./storage-manager');
+
+/**
+ * AuthManager - Local accounts, password hashing and bearer-token sessions
+ *
+ * Features:
+ * - Local account creation (first account becomes admin)
+ * - scrypt password hashes with per-user salt
+ * - Opaque bearer tokens; only their SHA-256 digest is stored
+ * - Per-user data directories (<dataDir>/users/<userId>)
+ * - Express middleware for protecting routes
+ */
+class AuthManager {
+    /**
+     * @param {Object} options - Auth options
+     * @param {string} options.dataDir - Directory for users.json, sessions.json and per-user data
+     * @param {number} options.sessionTtlMs - Token lifetime (default 7 days)
+     * @param {StorageManager} options.storage - Storage layer (default: shared instance)
+     */
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || process.env.STEPSYNC_DATA_DIR || './data';
+        this.sessionTtlMs = options.sessionTtlMs || 7 * 24 * 60 * 60 * 1000;
+        this.storage = options.storage || StorageManager.getDefault();
+        this.usersFile = path.join(this.dataDir, 'users.json');
+        this.sessionsFile = path.join(this.dataDir, 'sessions.json');
+        this.users = this.loadUsers();
+        this.sessions = this.loadSessions();
+    }
+
+    loadUsers() {
+        try {
+            const stored = this.storage.load(this.usersFile, 'users');
+            if (stored !== null) {
+                return stored;
+            }
+        } catch (error) {
+            console.error('Error loading users:', error.message);
+        }
+        return [];
+    }
+
+    saveUsers() {
+        this.storage.save(this.usersFile, this.users, 'users');
+    }
+
+    loadSessions() {
+        try {
+            const stored = this.storage.load(this.sessionsFile, 'sessions');
+            if (stored !== null) {
+                return stored;
+            }
+        } catch (error) {
+            console.error('Error loading sessions:', error.message);
+        }
+        return [];
+    }
+
+    saveSessions() {
+        this.storage.save(this.sessionsFile, this.sessions, 'sessions');
+    }
+
+    /**
+     * Hash a password with scrypt
+     * @returns {string} Encoded hash: scrypt$<salt>$<hash>
+     */
+    hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+        const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+        return `scrypt$${salt}$${hash}`;
+    }
+
+    verifyPassword(password, encoded) {
+        const [scheme, salt, hash] = String(encoded).split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return false;
+        }
+        const expected = Buffer.from(hash, 'hex');
+        const actual = crypto.scryptSync(password, salt, expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Public view of a user (never exposes the password hash)
+     */
+    toPublicUser(user) {
+        const { passwordHash: _passwordHash, ...publicUser } = user;
+        return publicUser;
+    }
+
+    /**
+     * Create a local account
+     *
+     * @param {string} username - 3-32 characters: letters, digits, . _ -
+     * @param {string} password - At least 8 characters
+     * @param {Object} options - { role: 'user' | 'admin' }
+     * @returns {Object} Created user (public fields)
+     */
+    createUser(username, password, options = {}) {
+        if (typeof username !== 'string' || !/^[a-zA-Z0-9._-]{3,32}$/.test(username)) {
+            throw new Error('Username must be 3-32 characters (letters, digits, . _ -)');
+        }
+        if (typeof password !== 'string' || password.length < 8) {
+            throw new Error('Password must be at least 8 characters');
+        }
+
+        const normalized = username.toLowerCase();
+        if (this.users.some(u => u.username === normalized)) {
+            throw new Error(`Username already exists: ${normalized}`);
+        }
+
+        const validRoles = ['user', 'admin'];
+        const role = options.role || (this.users.length === 0 ? 'admin' : 'user');
+        if (!validRoles.includes(role)) {
+            throw new Error(`Invalid role. Must be one of: ${validRoles.join(', ')}`);
+        }
+
+        const user = {
+            id: uuidv4(),
+            username: normalized,
+            role,
+            passwordHash: this.hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+
+        this.users.push(user);
+        this.saveUsers();
+
+        return this.toPublicUser(user);
+    }
+
+    getUser(id) {
+        const user = this.users.find(u => u.id === id);
+        return user ? this.toPublicUser(user) : null;
+    }
+
+    /**
+     * Check credentials and start a session
+     *
+     * @returns {Object|null} { token, expiresAt, user } or null for bad credentials
+     */
+    login(username, password) {
+        const normalized = typeof username === 'string' ? username.toLowerCase() : '';
+        const user = this.users.find(u => u.username === normalized);
+
+        if (typeof password !== 'string') {
+            return null;
+        }
+        // Unknown usernames still pay for a scrypt check, so timing doesn't reveal which accounts exist
+        const valid = this.verifyPassword(password, user ? user.passwordHash : AuthManager.DUMMY_HASH);
+        if (!user || !valid) {
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + this.sessionTtlMs).toISOString();
+
+        this.pruneSessions();
+        this.sessions.push({
+            tokenHash: this.hashToken(token),
+            userId: user.id,
+            createdAt: new Date().toISOString(),
+            expiresAt
+        });
+        this.saveSessions();
+
+        return { token, expiresAt, user: this.toPublicUser(user) };
+    }
+
+    /**
+     * Resolve a bearer token to its user
+     * @returns {Object|null} Public user, or null if the token is unknown or expired
+     */
+    verifyToken(token) {
+        if (!token || typeof token !== 'string') {
+            return null;
+        }
+
+        const tokenHash = this.hashToken(token);
+        const session = this.sessions.find(s => s.tokenHash === tokenHash);
+        if (!session || new Date(session.expiresAt) <= new Date()) {
+            return null;
+        }
+
+        return this.getUser(session.userId);
+    }
+
+    logout(token) {
+        const tokenHash = this.hashToken(String(token));
+        const before = this.sessions.length;
+        this.sessions = this.sessions.filter(s => s.tokenHash !== tokenHash);
+        if (this.sessions.length !== before) {
+            this.saveSessions();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Drop expired sessions
+     */
+    pruneSessions() {
+        const now = new Date();
+        this.sessions = this.sessions.filter(s => new Date(s.expiresAt) > now);
+    }
+
+    /**
+     * Directory holding one user's tracker data files
+     */
+    getUserDataDir(userId) {
+        return path.join(this.dataDir, 'users', userId);
+    }
+
+    /**
+     * Extract the bearer token from an Authorization header
+     */
+    static getBearerToken(req) {
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        return match ? match[1].trim() : null;
+    }
+
+    /**
+     * Express middleware that sets req.user when a valid token is sent
+     * @param {Object} options - { required: true } rejects anonymous requests with 401
+     */
+    middleware(options = {}) {
+        const { required = true } = options;
+
+        return (req, res, next) => {
+            const user = this.verifyToken(AuthManager.getBearerToken(req));
+            if (user) {
+                req.user = user;
+                return next();
+            }
+            if (required) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            next();
+        };
+    }
+}
+
+// Same shape and scrypt cost as a real hash; no password matches it
+AuthManager.DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+module.exports = AuthManager;
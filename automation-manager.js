@@ -15,6 +15,11 @@ const ReportGenerator = require('./report-generator');
  * - Auto-update goals from daily data
  * - Conditional notifications
  * - Integration between all systems
+ *
+ * Workflow conditions and actions receive a context with the dashboard,
+ * analytics, goals and reminders, plus readiness() - today's recovery
+ * readiness and training load (DailyDashboard.getReadiness), computed once
+ * per run on first use.
  */
 class AutomationManager {
     constructor(options = {}) {
@@ -232,6 +237,7 @@ class AutomationManager {
         }
 
         const enabledWorkflows = this.workflows.filter(w => w.enabled);
+        let readiness;
 
         enabledWorkflows.forEach(workflow => {
             try {
@@ -240,7 +246,13 @@ class AutomationManager {
                     dashboard: this.dashboard,
                     analytics: this.analytics,
                     goals: this.goalManager,
-                    reminders: this.reminderManager
+                    reminders: this.reminderManager,
+                    readiness: () => {
+                        if (readiness === undefined) {
+                            readiness = this.dashboard.getReadiness();
+                        }
+                        return readiness;
+                    }
                 };
 
                 const shouldTrigger = workflow.condition(context);
@@ -315,6 +327,39 @@ class AutomationManager {
                 }
             });
         }
+
+        // Readiness below the threshold (default 50/100)
+        if (type === 'low_readiness') {
+            this.addWorkflow({
+                name: 'Low Readiness Alert',
+                condition: (context) => {
+                    const readiness = context.readiness();
+                    return readiness !== null && readiness.score < (threshold || 50);
+                },
+                action: (context) => {
+                    const readiness = context.readiness();
+                    console.log(`⚠️  Readiness is ${readiness.score}/100 today.`);
+                    console.log(message || `   ${readiness.advice}.`);
+                }
+            });
+        }
+
+        // Acute:chronic workload ratio at or above the threshold (default 1.5)
+        if (type === 'training_load_spike') {
+            this.addWorkflow({
+                name: 'Training Load Spike Alert',
+                condition: (context) => {
+                    const readiness = context.readiness();
+                    const load = readiness && readiness.trainingLoad;
+                    return Boolean(load && load.acwr !== null && load.acwr >= (threshold || 1.5));
+                },
+                action: (context) => {
+                    const load = context.readiness().trainingLoad;
+                    console.log(`⚠️  This week's training load is ${load.acwr}x your 4-week average.`);
+                    console.log(message || '   Plan a lighter few days to lower injury risk.');
+                }
+            });
+        }
     }
 
     /**
@@ -33,6 +33,10 @@ BACKUP TAGS:
   Add tags with --tag flag:
   node backup-cli.js create "Important" --tag important --tag manual
 
+ENCRYPTION:
+  Set STEPSYNC_PASSPHRASE to encrypt new backups and to restore encrypted ones.
+  Change the passphrase with: node setup.js rekey
+
 RETENTION:
   Default: 30 days, max 50 backups
   Backups tagged 'important' or 'manual' are protected from auto-cleanup
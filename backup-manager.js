@@ -2,10 +2,15 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const cron = require('node-cron');
+const DataEncryption = require('./data-encryption');
 
 /**
  * Comprehensive Backup & Recovery Manager for StepSyncAI
  * Handles automated backups, point-in-time recovery, and data integrity
+ *
+ * When a passphrase is configured (config.encryption or STEPSYNC_PASSPHRASE),
+ * every archived file is stored AES-GCM encrypted; manifests stay readable so
+ * backups can be listed and checksum-verified without unlocking them.
  */
 class BackupManager {
     constructor(config = {}) {
@@ -15,11 +20,13 @@ class BackupManager {
             'medications.json',
             'sleep-data.json',
             'exercise-data.json',
+            'steps-data.json',
             'daily-wellness.json'
         ];
         this.retentionDays = config.retentionDays || 30;
         this.maxBackups = config.maxBackups || 50;
         this.compressionEnabled = config.compression !== false;
+        this.encryption = config.encryption !== undefined ? config.encryption : DataEncryption.fromEnvironment();
         this.scheduledTask = null;
         this.backupRegistry = new Map(); // In-memory registry for mocked environments
         this.backupCounter = 0; // Counter for unique IDs
@@ -74,6 +81,7 @@ class BackupManager {
                 description,
                 tags,
                 files: {},
+                encryption: this.encryption ? 'aes-256-gcm' : null,
                 metadata: {
                     version: require('./package.json').version,
                     platform: process.platform,
@@ -87,7 +95,7 @@ class BackupManager {
                 const filePath = path.join(process.cwd(), file);
 
                 if (fs.existsSync(filePath)) {
-                    const content = fs.readFileSync(filePath, 'utf8');
+                    const content = this.sealContent(fs.readFileSync(filePath, 'utf8'));
                     const stats = fs.statSync(filePath);
                     const checksum = this.calculateChecksum(content);
 
@@ -275,16 +283,20 @@ class BackupManager {
             const filesToRestore = files || Object.keys(manifest.files).filter(f => manifest.files[f].backedUp);
             const restored = [];
 
+            // Unlock everything before touching live data, so a wrong passphrase changes nothing
+            const contents = {};
             for (const file of filesToRestore) {
                 const backupFilePath = path.join(backupPath, file);
-                const targetPath = path.join(process.cwd(), file);
-
                 if (fs.existsSync(backupFilePath)) {
-                    fs.copyFileSync(backupFilePath, targetPath);
-                    restored.push(file);
+                    contents[file] = this.openContent(fs.readFileSync(backupFilePath, 'utf8'), manifest, file);
                 }
             }
 
+            for (const [file, content] of Object.entries(contents)) {
+                fs.writeFileSync(path.join(process.cwd(), file), content);
+                restored.push(file);
+            }
+
             console.log('\n✅ Restore completed successfully!');
             console.log(`   Backup ID: ${backupId}`);
             console.log(`   Files restored: ${restored.length}`);
@@ -365,6 +377,16 @@ class BackupManager {
 
                 if (checksum !== fileData.checksum) {
                     errors.push(`Checksum mismatch for ${file}`);
+                    continue;
+                }
+
+                // With a passphrase available, also prove the archive can be decrypted
+                if (manifest.encryption && this.encryption) {
+                    try {
+                        this.openContent(content, manifest, file);
+                    } catch (error) {
+                        errors.push(error.message);
+                    }
                 }
             }
 
@@ -641,6 +663,76 @@ class BackupManager {
         }
     }
 
+    /**
+     * Encrypt file content for the archive (unchanged when encryption is off)
+     * @param {string} content - Data file content
+     * @param {DataEncryption|null} encryption - Key to use
+     * @returns {string} Content to write into the backup
+     */
+    sealContent(content, encryption = this.encryption) {
+        return encryption ? JSON.stringify(encryption.encryptText(content)) : content;
+    }
+
+    /**
+     * Recover the original file content from an archived file
+     * @throws {Error} When the backup is encrypted and no (or the wrong) passphrase is set
+     */
+    openContent(content, manifest, file) {
+        if (!manifest.encryption) {
+            return content;
+        }
+        if (!this.encryption) {
+            throw new Error(`Backup ${manifest.id} is encrypted. Set STEPSYNC_PASSPHRASE to unlock it.`);
+        }
+        try {
+            return this.encryption.decryptText(JSON.parse(content));
+        } catch (error) {
+            throw new Error(`Cannot decrypt ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Re-encrypt every backup archive under a new key
+     * Each backup is fully decrypted before it is rewritten; backups that cannot
+     * be unlocked are reported and left as they are.
+     * @param {DataEncryption|null} encryption - New key (null stores plaintext)
+     * @returns {Object} { rekeyed: [backupId], failed: [{ backupId, error }] }
+     */
+    rekeyBackups(encryption) {
+        const result = { rekeyed: [], failed: [] };
+        const entries = fs.existsSync(this.backupDir) ? fs.readdirSync(this.backupDir) : [];
+
+        for (const entry of entries) {
+            const backupPath = path.join(this.backupDir, entry);
+            const manifestPath = path.join(backupPath, 'manifest.json');
+            if (!fs.existsSync(manifestPath)) continue;
+
+            const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            try {
+                const files = Object.keys(manifest.files).filter(f => manifest.files[f].backedUp);
+                const sealed = files.map(file => {
+                    const stored = fs.readFileSync(path.join(backupPath, file), 'utf8');
+                    return { file, content: this.sealContent(this.openContent(stored, manifest, file), encryption) };
+                });
+
+                for (const { file, content } of sealed) {
+                    fs.writeFileSync(path.join(backupPath, file), content);
+                    manifest.files[file].checksum = this.calculateChecksum(content);
+                }
+                manifest.encryption = encryption ? 'aes-256-gcm' : null;
+                fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+                result.rekeyed.push(manifest.id);
+            } catch (error) {
+                result.failed.push({ backupId: manifest.id, error: error.message });
+            }
+        }
+
+        if (result.failed.length === 0) {
+            this.encryption = encryption;
+        }
+        return result;
+    }
+
     /**
      * Calculate SHA256 checksum
      */
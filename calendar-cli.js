@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const ICalendar = require('./icalendar');
+
+const SOURCES = ['sessions', 'medications', 'reminders'];
+
+function showHelp() {
+    console.log(`
+╔═══════════════════════════════════════════════════════════════╗
+║              StepSyncAI Calendar Export & Import              ║
+╚═══════════════════════════════════════════════════════════════╝
+
+COMMANDS:
+  export [file.ics] [--only sessions,medications,reminders]
+                              Write an .ics calendar (default: stepsync.ics)
+  import <file.ics> [--therapist <id>] [--dry-run]
+                              Add therapy appointments from an .ics file
+
+EXPORT:
+  sessions      Therapy sessions; recurring series stay recurring, with
+                skipped and moved sessions as exceptions
+  medications   One repeating event per dose time, following taper
+                steps and ending with the medication
+  reminders     Active reminders at their time and weekdays
+
+  Import the file into Google Calendar, Apple Calendar or Outlook.
+  Exporting again updates the same events instead of duplicating them.
+
+IMPORT:
+  Appointments are linked to the therapist given with --therapist, or to
+  a therapist whose name appears in the event title or description.
+  Weekly, every-other-week and monthly (e.g. second Tuesday) repeats
+  become recurring series. Past, cancelled and already-imported
+  appointments are skipped. Use --dry-run to see the summary first.
+
+EXAMPLES:
+  node calendar-cli.js export
+  node calendar-cli.js export ~/therapy.ics --only sessions
+  node calendar-cli.js import ~/Downloads/appointments.ics --therapist 1234567890 --dry-run
+`);
+}
+
+// Trackers are loaded on demand so exporting one source doesn't need the others' data
+function createSources() {
+    return {
+        get sessions() {
+            const MentalHealthTracker = require('./mental-health-tracker');
+            return new MentalHealthTracker();
+        },
+        get medications() {
+            const MedicationTracker = require('./medication-tracker');
+            return new MedicationTracker();
+        },
+        get reminders() {
+            const ReminderManager = require('./reminder-manager');
+            return new ReminderManager();
+        }
+    };
+}
+
+function parseArgs(args) {
+    const options = { file: null, only: SOURCES, therapistId: null, dryRun: false };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--only' && args[i + 1]) {
+            options.only = args[++i].split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+        } else if (args[i] === '--therapist' && args[i + 1]) {
+            options.therapistId = args[++i];
+        } else if (args[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (!args[i].startsWith('--')) {
+            options.file = args[i];
+        }
+    }
+
+    return options;
+}
+
+function runCommand(command, args, sources = createSources()) {
+    switch (command) {
+        case 'export': {
+            const options = parseArgs(args);
+            const unknown = options.only.filter(name => !SOURCES.includes(name));
+            if (unknown.length > 0 || options.only.length === 0) {
+                console.log(`❌ --only takes a comma-separated list of: ${SOURCES.join(', ')}`);
+                return 1;
+            }
+
+            const file = options.file || 'stepsync.ics';
+            try {
+                const counts = {};
+                const events = [];
+                options.only.forEach(name => {
+                    const sourceEvents = sources[name].getCalendarEvents();
+                    counts[name] = sourceEvents.length;
+                    events.push(...sourceEvents);
+                });
+
+                fs.writeFileSync(file, ICalendar.build(events, { name: 'StepSync' }));
+                console.log(`\n✅ Exported ${events.length} calendar events to ${file}`);
+                Object.entries(counts).forEach(([name, count]) => console.log(`   ${name}: ${count}`));
+                return 0;
+            } catch (error) {
+                console.error(`❌ Export failed: ${error.message}`);
+                return 1;
+            }
+        }
+
+        case 'import': {
+            const options = parseArgs(args);
+            if (!options.file) {
+                console.log('❌ Usage: import <file.ics> [--therapist <id>] [--dry-run]');
+                return 1;
+            }
+
+            try {
+                const events = ICalendar.parse(fs.readFileSync(options.file, 'utf8'));
+                if (events.length === 0) {
+                    console.log(`❌ No events found in ${options.file}`);
+                    return 1;
+                }
+                const result = sources.sessions.importCalendarEvents(events, {
+                    therapistId: options.therapistId,
+                    dryRun: options.dryRun
+                });
+                return result ? 0 : 1;
+            } catch (error) {
+                console.error(`❌ Import failed: ${error.message}`);
+                return 1;
+            }
+        }
+
+        case 'help':
+        case '--help':
+        case '-h':
+        default:
+            showHelp();
+            return 0;
+    }
+}
+
+async function main() {
+    const command = process.argv[2];
+    const args = process.argv.slice(3);
+    const exitCode = runCommand(command, args);
+    process.exit(exitCode);
+}
+
+// Export for testing
+module.exports = { runCommand, showHelp, parseArgs };
+
+// Run if executed directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Unexpected error:', error.message);
+        process.exit(1);
+    });
+}
@@ -5,29 +5,36 @@ const MentalHealthTracker = require('./mental-health-tracker');
 const MedicationTracker = require('./medication-tracker');
 const SleepTracker = require('./sleep-tracker');
 const ExerciseTracker = require('./exercise-tracker');
+const StepTracker = require('./step-tracker');
 const ValidationUtils = require('./validation-utils');
+const StorageManager = require('./storage-manager');
+const DoseSchedule = require('./dose-schedule');
+const SleepSessions = require('./sleep-sessions');
+const TrainingLoad = require('./training-load');
 const { PerformanceCache, DateUtils, ArrayUtils } = require('./performance-cache');
 const asciichart = require('asciichart');
 const chalk = require('chalk');
 const Table = require('cli-table3');
 
 class DailyDashboard {
-    constructor(dataFile = 'dashboard-goals.json') {
+    constructor(dataFile = StorageManager.resolveDataPath('dashboard-goals.json'), storage = StorageManager.getDefault()) {
         this.dataFile = dataFile;
+        this.storage = storage;
         this.data = this.loadData();
         this.mentalHealth = null;
         this.medication = null;
         this.sleep = null;
         this.exercise = null;
+        this.steps = null;
         this.cache = new PerformanceCache(100, 300000); // 100 entries, 5min TTL
         this.loadTrackers();
     }
 
     loadData() {
         try {
-            if (fs.existsSync(this.dataFile)) {
-                const rawData = fs.readFileSync(this.dataFile, 'utf8');
-                return JSON.parse(rawData);
+            const stored = this.storage.load(this.dataFile, 'dashboard');
+            if (stored) {
+                return stored;
             }
         } catch (error) {
             console.error('Error loading dashboard data:', error.message);
@@ -43,7 +50,7 @@ class DailyDashboard {
 
     saveData() {
         try {
-            fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
+            this.storage.save(this.dataFile, this.data, 'dashboard');
             return true;
         } catch (error) {
             console.error('Error saving dashboard data:', error.message);
@@ -75,6 +82,12 @@ class DailyDashboard {
         } catch (_error) {
             console.log('⚠️  Exercise Tracker not available');
         }
+
+        try {
+            this.steps = new StepTracker();
+        } catch (_error) {
+            console.log('⚠️  Step Tracker not available');
+        }
     }
 
     // ==================== OPTIMIZED DATA FETCHING ====================
@@ -117,18 +130,19 @@ class DailyDashboard {
 
         // Fetch sleep data
         if (this.sleep && this.sleep.data.sleepEntries) {
-            const recentSleep = this.sleep.data.sleepEntries
-                .filter(entry => new Date(entry.timestamp) >= cutoffDate);
+            // Naps and split sleep count towards their sleep day's total
+            const recentSleep = this.sleep.getSleepDays(this.sleep.data.sleepEntries
+                .filter(entry => new Date(entry.timestamp) >= cutoffDate));
 
             if (recentSleep.length > 0) {
-                const avgDuration = recentSleep.reduce((sum, entry) => sum + parseFloat(entry.duration), 0) / recentSleep.length;
-                const avgQuality = recentSleep.reduce((sum, entry) => sum + entry.quality, 0) / recentSleep.length;
+                const avgDuration = recentSleep.reduce((sum, day) => sum + day.total, 0) / recentSleep.length;
+                const avgQuality = recentSleep.reduce((sum, day) => sum + day.quality, 0) / recentSleep.length;
                 const latestSleep = recentSleep[recentSleep.length - 1];
 
                 result.sleep = {
                     avgDuration,
                     avgQuality,
-                    latestDuration: parseFloat(latestSleep.duration),
+                    latestDuration: latestSleep.total,
                     latestQuality: latestSleep.quality,
                     entryCount: recentSleep.length
                 };
@@ -146,22 +160,78 @@ class DailyDashboard {
 
             if (activeMeds.length > 0) {
                 const recentHistory = this.medication.data.history
-                    .filter(h => new Date(h.timestamp) >= cutoffDate);
+                    .filter(h => DoseSchedule.recordTime(h) >= cutoffDate);
+
+                // Expected doses come from each medication's schedule (frequency, dates, tapers)
+                const adherence = this.medication.getAdherence({ from: DoseSchedule.toDateKey(cutoffDate) });
+
+                if (adherence.expected > 0) {
+                    result.medication = {
+                        activeMedications: activeMeds.length,
+                        adherenceRate: adherence.rate,
+                        expectedDoses: adherence.expected,
+                        missedDoses: adherence.missed,
+                        dosesTaken: recentHistory.length,
+                        entryCount: recentHistory.length
+                    };
+                }
+            }
+        }
 
-                const totalDoses = days * activeMeds.length;
-                const takenDoses = recentHistory.length;
-                const adherenceRate = totalDoses > 0 ? (takenDoses / totalDoses) * 100 : 0;
+        return result;
+    }
 
-                result.medication = {
-                    activeMedications: activeMeds.length,
-                    adherenceRate,
-                    dosesTaken: takenDoses,
-                    entryCount: recentHistory.length
-                };
+    /**
+     * Rolling sleep debt and social jetlag from the sleep tracker
+     * @returns {Object} { sleepDebt, socialJetlag } - each null when unavailable
+     */
+    getSleepTimingData() {
+        if (!this.sleep || !this.sleep.data.sleepEntries || this.sleep.data.sleepEntries.length === 0) {
+            return { sleepDebt: null, socialJetlag: null };
+        }
+        const sleepDebt = this.sleep.getSleepDebt();
+        return {
+            sleepDebt: sleepDebt.loggedDays > 0 ? sleepDebt : null,
+            socialJetlag: this.sleep.getChronotype().socialJetlag
+        };
+    }
+
+    /**
+     * Today's recovery readiness from last night's sleep, the latest mood
+     * (last 24 hours) and training load (see TrainingLoad.readiness)
+     * @returns {Object|null} { score, level, advice, components, trainingLoad }
+     */
+    getReadiness(now = new Date()) {
+        const inputs = {};
+
+        if (this.sleep && this.sleep.data.sleepEntries && this.sleep.data.sleepEntries.length > 0) {
+            // The sleep day dated today is the night that ended this morning
+            const today = SleepSessions.toDateKey(now);
+            const lastNight = this.sleep.getSleepDays().find(day => day.date === today);
+            if (lastNight) {
+                inputs.sleep = { total: lastNight.total, quality: lastNight.quality, targetHours: this.sleep.getTargetHours() };
             }
         }
 
-        return result;
+        if (this.mentalHealth && this.mentalHealth.data.moodLogs) {
+            const since = now.getTime() - 24 * 60 * 60 * 1000;
+            const latestMood = this.mentalHealth.data.moodLogs
+                .filter(log => {
+                    const time = new Date(log.timestamp).getTime();
+                    return time >= since && time <= now.getTime();
+                })
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+                .pop();
+            if (latestMood) {
+                inputs.mood = latestMood.rating;
+            }
+        }
+
+        const trainingLoad = this.exercise ? this.exercise.getTrainingLoad(now) : null;
+        inputs.load = trainingLoad;
+
+        const readiness = TrainingLoad.readiness(inputs);
+        return readiness ? { ...readiness, trainingLoad } : null;
     }
 
     getMoodData(days = 7) {
@@ -188,6 +258,18 @@ class DailyDashboard {
         return allData.medication;
     }
 
+    /**
+     * Today's steps against the daily goal, with the week's average, streak and trend
+     * @returns {Object|null} null when no steps were logged in the last `days` days
+     */
+    getStepData(days = 7, now = new Date()) {
+        if (!this.steps) {
+            return null;
+        }
+        const data = this.steps.getStepDataForDashboard(days, now);
+        return data.daysLogged > 0 ? data : null;
+    }
+
     calculateWellnessScore(days = 7) {
         // PERFORMANCE: Check cache first
         const cacheKey = this.cache.generateKey('wellness-score', days);
@@ -229,11 +311,21 @@ class DailyDashboard {
                 durationScore = 4;
             }
 
-            const sleepScore = qualityScore + durationScore;
+            // Up to 4 points off for rolling sleep debt (0.4 per hour) and up to 2
+            // for social jetlag (1 per full hour), which averages alone hide
+            const { sleepDebt, socialJetlag } = this.getSleepTimingData();
+            const debtPenalty = sleepDebt ? Math.min(4, sleepDebt.debt * 0.4) : 0;
+            const jetlagPenalty = socialJetlag ? Math.min(2, Math.floor(socialJetlag.hours)) : 0;
+
+            const sleepScore = Math.max(0, qualityScore + durationScore - debtPenalty - jetlagPenalty);
             breakdown.sleep = {
                 score: parseFloat(sleepScore.toFixed(1)),
                 max: 25,
-                data: allData.sleep
+                data: {
+                    ...allData.sleep,
+                    sleepDebt: sleepDebt ? sleepDebt.debt : null,
+                    socialJetlag: socialJetlag ? socialJetlag.hours : null
+                }
             };
             totalScore += sleepScore;
             maxScore += 25;
@@ -348,6 +440,15 @@ class DailyDashboard {
                     });
                 }
             }
+
+            if (breakdown.sleep.data.sleepDebt >= 5) {
+                recommendations.push({
+                    category: 'Sleep',
+                    priority: 'medium',
+                    message: `You're carrying ${breakdown.sleep.data.sleepDebt}h of sleep debt. Run "node sleep-tracker.js plan" for bedtimes that pay it back.`,
+                    emoji: '🛏️'
+                });
+            }
         }
 
         // Exercise recommendations
@@ -446,6 +547,20 @@ class DailyDashboard {
         console.log(`│  ${emoji}  OVERALL WELLNESS: ${wellnessScore.totalScore}/${wellnessScore.maxScore} (${wellnessScore.percentage}%) - ${label}`);
         console.log('└─────────────────────────────────────────────────────────┘\n');
 
+        const readiness = this.getReadiness();
+        if (readiness) {
+            const readinessEmoji = { high: '🟢', moderate: '🟡', low: '🔴' }[readiness.level];
+            console.log(`🔋 Readiness: ${readiness.score}/100 ${readinessEmoji} ${readiness.advice}`);
+            const parts = [];
+            if (readiness.components.sleep !== undefined) parts.push(`Sleep ${readiness.components.sleep}`);
+            if (readiness.components.mood !== undefined) parts.push(`Mood ${readiness.components.mood}`);
+            if (readiness.components.load !== undefined) {
+                const load = readiness.trainingLoad;
+                parts.push(`Training load ${readiness.components.load} (ratio ${load.acwr}, ${load.zoneLabel})`);
+            }
+            console.log(`   ${parts.join(' | ')}\n`);
+        }
+
         // Score Breakdown
         console.log('📊 Score Breakdown:\n');
 
@@ -460,7 +575,8 @@ class DailyDashboard {
             const sb = wellnessScore.breakdown.sleep;
             const bar = this.createProgressBar(sb.score, sb.max);
             console.log(`  😴 Sleep:       ${bar} ${sb.score}/${sb.max}`);
-            console.log(`     Last: ${sb.data.latestDuration.toFixed(1)}h, Quality: ${sb.data.latestQuality}/10\n`);
+            const debt = sb.data.sleepDebt > 0 ? `, Debt: ${sb.data.sleepDebt}h` : '';
+            console.log(`     Last: ${sb.data.latestDuration.toFixed(1)}h, Quality: ${sb.data.latestQuality}/10${debt}\n`);
         }
 
         if (wellnessScore.breakdown.exercise) {
@@ -477,6 +593,14 @@ class DailyDashboard {
             console.log(`     Adherence: ${medb.data.adherenceRate.toFixed(0)}%\n`);
         }
 
+        const steps = this.getStepData();
+        if (steps) {
+            const bar = this.createProgressBar(Math.min(steps.todaySteps, steps.goal), steps.goal);
+            console.log(`  👟 Steps:       ${bar} ${steps.todaySteps.toLocaleString()}/${steps.goal.toLocaleString()}`);
+            const trend = steps.trend ? `, trend ${{ up: '📈', down: '📉', steady: '➡️' }[steps.trend.direction]}` : '';
+            console.log(`     7-day avg: ${steps.avgSteps.toLocaleString()}/day, goal met ${steps.daysMetGoal}/7 days, streak ${steps.streak}${trend}\n`);
+        }
+
         // Recommendations
         const recommendations = this.generateRecommendations(wellnessScore);
         if (recommendations.length > 0) {
@@ -593,12 +717,12 @@ class DailyDashboard {
 
         // Get mood and sleep data
         const moodLogs = this.mentalHealth.data.moodLogs || [];
-        const sleepEntries = this.sleep.data.sleepEntries || [];
+        const sleepDays = this.sleep.getSleepDays(this.sleep.data.sleepEntries || []);
 
-        // Match sleep and mood by date
+        // Match each sleep day's total sleep with that day's mood
         const matchedData = [];
-        sleepEntries.forEach(sleep => {
-            const sleepDate = new Date(sleep.timestamp).toISOString().split('T')[0];
+        sleepDays.forEach(sleep => {
+            const sleepDate = sleep.date;
 
             // Find mood logs on the same day (after waking up)
             const dayMoods = moodLogs.filter(mood => {
@@ -610,7 +734,7 @@ class DailyDashboard {
                 const avgMood = dayMoods.reduce((sum, m) => sum + m.rating, 0) / dayMoods.length;
                 matchedData.push({
                     date: sleepDate,
-                    sleepDuration: parseFloat(sleep.duration),
+                    sleepDuration: sleep.total,
                     sleepQuality: sleep.quality,
                     mood: avgMood
                 });
@@ -748,9 +872,11 @@ class DailyDashboard {
                 return new Date(h.timestamp).toISOString().split('T')[0] === date;
             }).length;
 
-            if (dayMoods.length > 0) {
+            // Days without a scheduled dose say nothing about adherence
+            const adherence = this.medication.getAdherence({ from: date, to: date }).rate;
+
+            if (dayMoods.length > 0 && adherence !== null) {
                 const avgMood = dayMoods.reduce((sum, m) => sum + m.rating, 0) / dayMoods.length;
-                const adherence = (dayMedsTaken / activeMeds.length) * 100;
 
                 matchedData.push({
                     date,
@@ -1210,14 +1336,13 @@ class DailyDashboard {
             return null;
         }
 
-        const daySleep = this.sleep.data.sleepEntries.find(entry => {
-            return new Date(entry.timestamp).toISOString().split('T')[0] === dateStr;
-        });
+        // Total of the sleep day ending on that date (night, naps and split sleep)
+        const daySleep = this.sleep.getSleepDays().find(day => day.date === dateStr);
 
         if (!daySleep) return null;
 
         return {
-            duration: parseFloat(daySleep.duration),
+            duration: daySleep.total,
             quality: daySleep.quality
         };
     }
@@ -1241,12 +1366,8 @@ class DailyDashboard {
         const activeMeds = this.medication.data.medications.filter(med => med.active);
         if (activeMeds.length === 0) return null;
 
-        const dayMedsTaken = this.medication.data.history.filter(h => {
-            return new Date(h.timestamp).toISOString().split('T')[0] === dateStr;
-        }).length;
-
-        const adherence = (dayMedsTaken / activeMeds.length) * 100;
-        return adherence;
+        // null when no dose was scheduled that day
+        return this.medication.getAdherence({ from: dateStr, to: dateStr }).rate;
     }
 
     analyzeWellnessTrend(trendsData) {
@@ -2141,15 +2262,9 @@ class DailyDashboard {
 
     getTodayMedicationAdherence() {
         if (!this.medication) return 0;
-        const today = new Date().toISOString().split('T')[0];
-        const todayRecords = this.medication.data.history.filter(record =>
-            record.timestamp && record.timestamp.startsWith(today)
-        );
+        const { rate } = this.medication.getAdherence();
 
-        if (todayRecords.length === 0) return 100; // No medications scheduled
-
-        const taken = todayRecords.filter(r => r.taken).length;
-        return (taken / todayRecords.length) * 100;
+        return rate === null ? 100 : rate; // No doses due yet today
     }
 
     // ==================== GOAL ANALYTICS ====================
@@ -4298,6 +4413,20 @@ Goal types: wellness, mood, sleep-duration, sleep-quality, exercise, medication
             });
         }
 
+        // Add step totals
+        if (this.steps) {
+            this.steps.getAllDailyTotals().forEach(({ date, steps }) => {
+                let entry = entries.find(e => e.date === date);
+
+                if (!entry) {
+                    entry = { date };
+                    entries.push(entry);
+                }
+
+                entry.steps = steps;
+            });
+        }
+
         // Sort by date
         entries.sort((a, b) => a.date.localeCompare(b.date));
 
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+
+/**
+ * Data Encryption Module
+ * AES-256-GCM encryption at rest for tracker data files and backup archives
+ *
+ * Keys are derived from a passphrase with scrypt. Encrypted documents are
+ * stored as a JSON envelope, so every storage backend can hold them:
+ *
+ *   { "encryption": "aes-256-gcm", "kdf": { "name": "scrypt", "salt", "N", "r", "p" },
+ *     "iv": "<hex>", "authTag": "<hex>", "ciphertext": "<base64>" }
+ *
+ * Configuration (environment):
+ * - STEPSYNC_PASSPHRASE: unlocks existing files and encrypts everything written
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const DEFAULT_KDF = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Create an Error with a machine-readable code
+ */
+function encryptionError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class DataEncryption {
+    /**
+     * @param {string} passphrase - Secret the data key is derived from
+     * @param {Object} options - { kdf: { N, r, p } } scrypt cost parameters
+     */
+    constructor(passphrase, options = {}) {
+        if (typeof passphrase !== 'string' || passphrase.length === 0) {
+            throw new Error('A non-empty passphrase is required for encryption');
+        }
+        this.passphrase = passphrase;
+        this.kdf = { ...DEFAULT_KDF, ...(options.kdf || {}) };
+        this.salt = crypto.randomBytes(16).toString('hex');
+        this.keys = new Map(); // derived keys by salt + parameters, scrypt is deliberately slow
+    }
+
+    /**
+     * Check whether a stored document is an encrypted envelope
+     */
+    static isEncrypted(doc) {
+        return Boolean(doc) && typeof doc === 'object' && doc.encryption === ALGORITHM &&
+            typeof doc.ciphertext === 'string';
+    }
+
+    /**
+     * Encryption configured from STEPSYNC_PASSPHRASE, or null when unset
+     * @returns {DataEncryption|null}
+     */
+    static fromEnvironment() {
+        const passphrase = process.env.STEPSYNC_PASSPHRASE;
+        return passphrase ? new DataEncryption(passphrase) : null;
+    }
+
+    deriveKey(kdf) {
+        const cacheKey = `${kdf.salt}:${kdf.N}:${kdf.r}:${kdf.p}`;
+        if (!this.keys.has(cacheKey)) {
+            this.keys.set(cacheKey, crypto.scryptSync(this.passphrase, Buffer.from(kdf.salt, 'hex'), KEY_LENGTH, {
+                N: kdf.N,
+                r: kdf.r,
+                p: kdf.p,
+                maxmem: 128 * kdf.N * kdf.r * 2
+            }));
+        }
+        return this.keys.get(cacheKey);
+    }
+
+    /**
+     * Encrypt a string
+     * @param {string} text - Plaintext
+     * @returns {Object} Encrypted envelope
+     */
+    encryptText(text) {
+        const kdf = { name: 'scrypt', salt: this.salt, ...this.kdf };
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.deriveKey(kdf), iv);
+        const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+        return {
+            encryption: ALGORITHM,
+            kdf,
+            iv: iv.toString('hex'),
+            authTag: cipher.getAuthTag().toString('hex'),
+            ciphertext: ciphertext.toString('base64')
+        };
+    }
+
+    /**
+     * Decrypt an envelope produced by encryptText
+     * @param {Object} envelope - Encrypted envelope
+     * @returns {string} Plaintext
+     * @throws {Error} code WRONG_PASSPHRASE when the passphrase does not match
+     *   (or the data was modified)
+     */
+    decryptText(envelope) {
+        if (!DataEncryption.isEncrypted(envelope)) {
+            throw encryptionError('NOT_ENCRYPTED', 'Data is not an encrypted document');
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv(
+                ALGORITHM,
+                this.deriveKey(envelope.kdf),
+                Buffer.from(envelope.iv, 'hex')
+            );
+            decipher.setAuthTag(Buffer.from(envelope.authTag, 'hex'));
+            return Buffer.concat([
+                decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+                decipher.final()
+            ]).toString('utf8');
+        } catch (_error) {
+            throw encryptionError('WRONG_PASSPHRASE',
+                'Wrong passphrase: the data could not be decrypted (or it has been modified)');
+        }
+    }
+
+    /**
+     * Encrypt a JSON-serializable value
+     */
+    encrypt(value) {
+        return this.encryptText(JSON.stringify(value));
+    }
+
+    /**
+     * Decrypt an envelope produced by encrypt
+     */
+    decrypt(envelope) {
+        return JSON.parse(this.decryptText(envelope));
+    }
+}
+
+module.exports = DataEncryption;
+module.exports.encryptionError = encryptionError;
@@ -0,0 +1,243 @@
+const path = require('path');
+
+/**
+ * Data Migrations Module
+ * Schema versions and step-by-step upgrades for tracker data files
+ *
+ * Every data file carries a top-level `schemaVersion`. Files written before
+ * versioning existed are treated as version 0. Array-shaped files (goals,
+ * achievements, reminders) are stored in an envelope: { schemaVersion, <collection>: [...] }.
+ */
+class MigrationRegistry {
+    constructor() {
+        this.schemas = new Map();
+    }
+
+    /**
+     * Define a data file schema
+     * @param {string} name - Schema name (e.g. 'sleep')
+     * @param {Object} options - Schema options
+     * @param {string} options.collection - Envelope key for array-shaped files
+     * @param {string} options.defaultFile - Default file name, used by `setup.js migrate`
+     * @param {string} options.dataDir - 'root' (tracker files) or 'data' (./data manager files)
+     */
+    define(name, options = {}) {
+        this.schemas.set(name, {
+            name,
+            collection: options.collection || null,
+            defaultFile: options.defaultFile || null,
+            dataDir: options.dataDir || 'root',
+            migrations: []
+        });
+        return this;
+    }
+
+    /**
+     * Register a migration step that upgrades a document to `version`
+     * @param {string} name - Schema name
+     * @param {number} version - Version produced by this step
+     * @param {string} description - Human readable summary shown in dry runs
+     * @param {Function} migrate - (doc) => upgraded doc
+     */
+    register(name, version, description, migrate) {
+        const schema = this.getSchema(name);
+        if (schema.migrations.some(m => m.version === version)) {
+            throw new Error(`Migration ${name}@${version} is already registered`);
+        }
+        schema.migrations.push({ version, description, migrate });
+        schema.migrations.sort((a, b) => a.version - b.version);
+        return this;
+    }
+
+    getSchema(name) {
+        const schema = this.schemas.get(name);
+        if (!schema) {
+            throw new Error(`Unknown data schema "${name}"`);
+        }
+        return schema;
+    }
+
+    /**
+     * Latest version for a schema
+     * @returns {number}
+     */
+    getCurrentVersion(name) {
+        const { migrations } = this.getSchema(name);
+        return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    }
+
+    /**
+     * Version a stored document was written with (0 when unversioned)
+     * @returns {number}
+     */
+    getVersion(doc) {
+        if (doc && typeof doc === 'object' && !Array.isArray(doc) && Number.isInteger(doc.schemaVersion)) {
+            return doc.schemaVersion;
+        }
+        return 0;
+    }
+
+    /**
+     * List the steps needed to bring a document up to date
+     * @returns {Object} { fromVersion, toVersion, steps: [{ version, description }] }
+     */
+    plan(name, doc) {
+        const fromVersion = this.getVersion(doc);
+        const toVersion = this.getCurrentVersion(name);
+
+        if (fromVersion > toVersion) {
+            throw new Error(
+                `Data schema "${name}" is version ${fromVersion}, but this release only supports up to ${toVersion}. ` +
+                'Update StepSyncAI before opening this file.'
+            );
+        }
+
+        const steps = this.getSchema(name).migrations
+            .filter(m => m.version > fromVersion)
+            .map(m => ({ version: m.version, description: m.description }));
+
+        return { fromVersion, toVersion, steps };
+    }
+
+    /**
+     * Upgrade a document one version at a time
+     * @returns {Object} { data, fromVersion, toVersion, applied: [{ version, description }] }
+     */
+    upgrade(name, doc) {
+        const { fromVersion, toVersion, steps } = this.plan(name, doc);
+        const schema = this.getSchema(name);
+        let data = doc;
+
+        for (const step of steps) {
+            const migration = schema.migrations.find(m => m.version === step.version);
+            data = migration.migrate(data);
+            data.schemaVersion = step.version;
+        }
+
+        return { data, fromVersion, toVersion, applied: steps };
+    }
+
+    /**
+     * Convert in-memory tracker data into a versioned document
+     */
+    wrap(name, data) {
+        const schema = this.getSchema(name);
+        const version = this.getCurrentVersion(name);
+
+        if (schema.collection) {
+            return { schemaVersion: version, [schema.collection]: data };
+        }
+
+        const doc = { schemaVersion: version, ...data };
+        doc.schemaVersion = version;
+        return doc;
+    }
+
+    /**
+     * Convert a versioned document back into the shape trackers work with
+     */
+    unwrap(name, doc) {
+        const schema = this.getSchema(name);
+        if (schema.collection) {
+            return Array.isArray(doc[schema.collection]) ? doc[schema.collection] : [];
+        }
+        return doc;
+    }
+
+    /**
+     * Default file locations for every schema that declares one
+     * @returns {Array<Object>} [{ schema, file }]
+     */
+    getDefaultDataFiles() {
+        const dataDir = process.env.STEPSYNC_DATA_DIR;
+        return Array.from(this.schemas.values())
+            .filter(schema => schema.defaultFile)
+            .map(schema => {
+                let dir = dataDir || '';
+                if (schema.dataDir === 'data') {
+                    dir = dataDir || './data';
+                }
+                return { schema: schema.name, file: dir ? path.join(dir, schema.defaultFile) : schema.defaultFile };
+            });
+    }
+
+    /**
+     * Registry with the built-in StepSyncAI schemas and migrations
+     * @returns {MigrationRegistry}
+     */
+    static getDefault() {
+        if (!MigrationRegistry.defaultInstance) {
+            MigrationRegistry.defaultInstance = createDefaultRegistry();
+        }
+        return MigrationRegistry.defaultInstance;
+    }
+}
+
+MigrationRegistry.defaultInstance = null;
+
+function ensureArrays(doc, fields) {
+    const data = doc && typeof doc === 'object' && !Array.isArray(doc) ? doc : {};
+    for (const field of fields) {
+        if (!Array.isArray(data[field])) {
+            data[field] = [];
+        }
+    }
+    return data;
+}
+
+function envelope(collection) {
+    return (doc) => {
+        if (Array.isArray(doc)) {
+            return { [collection]: doc };
+        }
+        return ensureArrays(doc, [collection]);
+    };
+}
+
+function createDefaultRegistry() {
+    const registry = new MigrationRegistry();
+
+    registry
+        .define('mental-health', { defaultFile: 'mental-health-data.json' })
+        .define('medications', { defaultFile: 'medications.json' })
+        .define('sleep', { defaultFile: 'sleep-data.json' })
+        .define('exercise', { defaultFile: 'exercise-data.json' })
+        .define('steps', { defaultFile: 'steps-data.json' })
+        .define('dashboard', { defaultFile: 'dashboard-goals.json' })
+        .define('goals', { collection: 'goals', defaultFile: 'goals.json', dataDir: 'data' })
+        .define('achievements', { collection: 'achievements', defaultFile: 'achievements.json', dataDir: 'data' })
+        .define('reminders', { collection: 'reminders', defaultFile: 'reminders.json', dataDir: 'data' })
+        .define('users', { collection: 'users', defaultFile: 'users.json', dataDir: 'data' })
+        .define('sessions', { collection: 'sessions', defaultFile: 'sessions.json', dataDir: 'data' });
+
+    registry.register('mental-health', 1, 'Adopt moodEntries/journalEntries as canonical (from legacy moodLogs/journalLogs)', (doc) => {
+        const data = doc && typeof doc === 'object' ? doc : {};
+        if (Array.isArray(data.moodLogs) && !Array.isArray(data.moodEntries)) {
+            data.moodEntries = data.moodLogs;
+        }
+        if (Array.isArray(data.journalLogs) && !Array.isArray(data.journalEntries)) {
+            data.journalEntries = data.journalLogs;
+        }
+        return ensureArrays(data, ['moodEntries', 'journalEntries']);
+    });
+    registry.register('medications', 1, 'Add schemaVersion; ensure medications and history arrays',
+        (doc) => ensureArrays(doc, ['medications', 'history']));
+    registry.register('sleep', 1, 'Add schemaVersion; ensure sleepEntries array',
+        (doc) => ensureArrays(doc, ['sleepEntries']));
+    registry.register('exercise', 1, 'Add schemaVersion; ensure exercises array',
+        (doc) => ensureArrays(doc, ['exercises']));
+    registry.register('steps', 1, 'Add schemaVersion; ensure stepEntries array',
+        (doc) => ensureArrays(doc, ['stepEntries']));
+    registry.register('dashboard', 1, 'Add schemaVersion',
+        (doc) => ensureArrays(doc, ['goals', 'achievedGoals']));
+    registry.register('goals', 1, 'Move goal list into a versioned { goals } envelope', envelope('goals'));
+    registry.register('achievements', 1, 'Move achievement list into a versioned { achievements } envelope', envelope('achievements'));
+    registry.register('reminders', 1, 'Move reminder list into a versioned { reminders } envelope', envelope('reminders'));
+    registry.register('users', 1, 'Store accounts in a versioned { users } envelope', envelope('users'));
+    registry.register('sessions', 1, 'Store sessions in a versioned { sessions } envelope', envelope('sessions'));
+
+    return registry;
+}
+
+module.exports = MigrationRegistry;
+module.exports.createDefaultRegistry = createDefaultRegistry;
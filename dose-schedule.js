@@ -0,0 +1,461 @@
+/**
+ * Dose Schedule Module
+ * Expands each medication's prescription into the concrete doses it expects
+ *
+ * Medication fields used:
+ * - frequency: one of MedicationTracker.FREQUENCIES (unknown values count as daily)
+ * - times: ['08:00', '20:00'], falling back to scheduledTime ("08:00" or "08:00,20:00");
+ *   missing times are spread over the waking day after the first one
+ * - startDate / endDate: 'YYYY-MM-DD', first and last day doses are expected.
+ *   startDate falls back to createdAt, then to the first logged dose (older records)
+ * - daysOfWeek: [0-6] for weekly medications (defaults to the start date's weekday)
+ * - taper: [{ from: 'YYYY-MM-DD', dosage, frequency?, times? }], each step applies
+ *   from its date until the next one
+ * - active / stoppedAt: deactivated medications expect nothing after stoppedAt
+ *   (or nothing at all when the stop date is unknown)
+ *
+ * Dose records ({ medicationId, takenAt }) are matched to the nearest open slot
+ * of the same medication on the same day. Skipped doses are history records with
+ * { skipped: true, missed: true, reason, scheduledFor } and fill the slot they name.
+ *
+ * Each slot gets a status:
+ * - on-time: taken no more than onTimeMinutes after the scheduled time (or early)
+ * - late: taken later, with minutesLate
+ * - skipped: skipped on purpose, with the reason
+ * - upcoming / due: not taken yet, before the scheduled time / within the grace window
+ * - missed: not taken within graceMinutes of the scheduled time
+ * Upcoming and due slots only count towards adherence once taken or skipped.
+ */
+
+const DOSES_PER_DAY = {
+    'daily': 1,
+    'twice-daily': 2,
+    'three-times-daily': 3,
+    'four-times-daily': 4,
+    'weekly': 1,
+    'every-other-day': 1,
+    'as-needed': 0
+};
+
+const DEFAULT_FIRST_DOSE = '08:00';
+const ON_TIME_MINUTES = 30;
+const GRACE_MINUTES = 120;
+const WAKING_HOURS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/;
+
+class DoseSchedule {
+    /**
+     * @param {Object} options - { onTimeMinutes, graceMinutes }
+     */
+    constructor(options = {}) {
+        this.onTimeMinutes = options.onTimeMinutes !== undefined ? options.onTimeMinutes : ON_TIME_MINUTES;
+        this.graceMinutes = options.graceMinutes !== undefined ? options.graceMinutes : GRACE_MINUTES;
+    }
+
+    /**
+     * Local calendar day of a date or timestamp
+     * @returns {string} YYYY-MM-DD
+     */
+    static toDateKey(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Whether a value is a valid YYYY-MM-DD day
+     */
+    static isDateKey(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+    }
+
+    /**
+     * Local midnight of a YYYY-MM-DD key
+     */
+    static fromDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    static addDays(key, days) {
+        const date = DoseSchedule.fromDateKey(key);
+        date.setDate(date.getDate() + days);
+        return DoseSchedule.toDateKey(date);
+    }
+
+    /**
+     * Date a dose record was taken (older records use `timestamp`)
+     */
+    static recordTime(record) {
+        return new Date(record.takenAt || record.timestamp);
+    }
+
+    /**
+     * Time a record is matched at: the slot a skip names, else when the dose was taken
+     */
+    static matchTime(record) {
+        return record.skipped && record.scheduledFor
+            ? new Date(record.scheduledFor)
+            : DoseSchedule.recordTime(record);
+    }
+
+    static timeToMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    static minutesToTime(minutes) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+    }
+
+    /**
+     * Prescription in effect on a day, after applying any taper step
+     * @returns {Object} { dosage, frequency, times }
+     */
+    getRegimen(medication, dateKey) {
+        const regimen = {
+            dosage: medication.dosage,
+            frequency: medication.frequency,
+            times: medication.times
+        };
+
+        const steps = (medication.taper || [])
+            .filter(step => step.from && step.from <= dateKey)
+            .sort((a, b) => a.from.localeCompare(b.from));
+        const step = steps[steps.length - 1];
+        if (step) {
+            if (step.dosage) regimen.dosage = step.dosage;
+            if (step.frequency) {
+                regimen.frequency = step.frequency;
+                regimen.times = step.times;
+            } else if (step.times) {
+                regimen.times = step.times;
+            }
+        }
+
+        return regimen;
+    }
+
+    dosesPerDay(frequency) {
+        const key = String(frequency || 'daily').toLowerCase();
+        return DOSES_PER_DAY[key] !== undefined ? DOSES_PER_DAY[key] : 1;
+    }
+
+    /**
+     * Clock times of each dose for a regimen
+     * @returns {Array<string>} Sorted HH:MM times, one per dose
+     */
+    getTimes(regimen, fallbackTime) {
+        const count = this.dosesPerDay(regimen.frequency);
+        if (count === 0) return [];
+
+        const listed = Array.isArray(regimen.times)
+            ? regimen.times
+            : String(regimen.times || fallbackTime || '').split(',');
+        const times = listed.map(t => String(t).trim()).filter(t => TIME_PATTERN.test(t)).slice(0, count);
+        if (times.length === 0) times.push(DEFAULT_FIRST_DOSE);
+
+        // Spread the doses nobody gave a time for across the waking day
+        const first = DoseSchedule.timeToMinutes(times[0]);
+        const interval = count > 1 ? Math.min(24 / count, WAKING_HOURS / (count - 1)) * 60 : 0;
+        for (let i = times.length; i < count; i++) {
+            times.push(DoseSchedule.minutesToTime(Math.round(first + i * interval)));
+        }
+
+        return times
+            .map(t => DoseSchedule.minutesToTime(DoseSchedule.timeToMinutes(t)))
+            .sort();
+    }
+
+    /**
+     * Every clock time a medication may need a reminder at, across taper steps
+     * @returns {Array<string>} Sorted HH:MM times
+     */
+    getReminderTimes(medication) {
+        const regimens = [medication, ...(medication.taper || []).map(step => this.getRegimen(medication, step.from))];
+        const times = new Set();
+        regimens.forEach(regimen => {
+            this.getTimes(regimen, medication.scheduledTime).forEach(time => times.add(time));
+        });
+        return Array.from(times).sort();
+    }
+
+    /**
+     * First and last day a medication expects doses
+     * @param {Object} medication
+     * @param {Array} history - Dose records, used when the medication has no start date
+     * @returns {Object|null} { start, end } as YYYY-MM-DD (end may be null), or null if nothing is expected
+     */
+    getActiveRange(medication, history = []) {
+        let start = medication.startDate || (medication.createdAt ? DoseSchedule.toDateKey(medication.createdAt) : null);
+        if (start && start.includes('T')) start = DoseSchedule.toDateKey(start);
+        if (!start) {
+            const first = history
+                .filter(r => r.medicationId === medication.id)
+                .map(r => DoseSchedule.recordTime(r))
+                .filter(d => !isNaN(d))
+                .sort((a, b) => a - b)[0];
+            if (!first) return null;
+            start = DoseSchedule.toDateKey(first);
+        }
+
+        let end = medication.endDate ? String(medication.endDate).split('T')[0] : null;
+        if (medication.active === false) {
+            if (!medication.stoppedAt) return null;
+            const stopped = DoseSchedule.toDateKey(medication.stoppedAt);
+            end = end && end < stopped ? end : stopped;
+        }
+
+        return { start, end };
+    }
+
+    /**
+     * Split an active range into the stretches where one regimen applies
+     * (the base prescription, then each taper step until the next)
+     * @param {Object} medication
+     * @param {Object} range - { start, end } from getActiveRange (end may be null)
+     * @returns {Array} [{ from, until, regimen }] with until null for open-ended
+     */
+    getRegimenPeriods(medication, range) {
+        const starts = [range.start, ...(medication.taper || [])
+            .map(step => step.from)
+            .filter(from => from && from > range.start && (!range.end || from <= range.end))]
+            .sort();
+        const unique = starts.filter((from, index) => starts.indexOf(from) === index);
+
+        return unique.map((from, index) => ({
+            from,
+            until: index < unique.length - 1 ? DoseSchedule.addDays(unique[index + 1], -1) : range.end,
+            regimen: this.getRegimen(medication, from)
+        }));
+    }
+
+    /**
+     * Whether a regimen expects doses on a day
+     */
+    isDoseDay(medication, regimen, dateKey, startKey) {
+        const frequency = String(regimen.frequency || 'daily').toLowerCase();
+        if (frequency === 'as-needed') return false;
+
+        const daysSinceStart = Math.round((DoseSchedule.fromDateKey(dateKey) - DoseSchedule.fromDateKey(startKey)) / DAY_MS);
+        if (frequency === 'every-other-day') return daysSinceStart % 2 === 0;
+        if (frequency === 'weekly') {
+            const weekday = DoseSchedule.fromDateKey(dateKey).getDay();
+            return Array.isArray(medication.daysOfWeek) && medication.daysOfWeek.length > 0
+                ? medication.daysOfWeek.includes(weekday)
+                : weekday === DoseSchedule.fromDateKey(startKey).getDay();
+        }
+        return true;
+    }
+
+    /**
+     * Expected dose slots for medications between two days (inclusive)
+     * @param {Array} medications
+     * @param {string} fromKey - YYYY-MM-DD
+     * @param {string} toKey - YYYY-MM-DD
+     * @param {Array} history - Dose records (for medications without a start date)
+     * @returns {Array} [{ medicationId, medicationName, dosage, date, time, scheduledAt }]
+     */
+    expandSlots(medications, fromKey, toKey, history = []) {
+        const slots = [];
+
+        medications.forEach(medication => {
+            const range = this.getActiveRange(medication, history);
+            if (!range) return;
+
+            const first = range.start > fromKey ? range.start : fromKey;
+            const last = range.end && range.end < toKey ? range.end : toKey;
+
+            for (let day = first; day <= last; day = DoseSchedule.addDays(day, 1)) {
+                const regimen = this.getRegimen(medication, day);
+                if (!this.isDoseDay(medication, regimen, day, range.start)) continue;
+
+                this.getTimes(regimen, medication.scheduledTime).forEach(time => {
+                    const scheduledAt = DoseSchedule.fromDateKey(day);
+                    scheduledAt.setMinutes(DoseSchedule.timeToMinutes(time));
+                    slots.push({
+                        medicationId: medication.id,
+                        medicationName: medication.name,
+                        dosage: regimen.dosage,
+                        date: day,
+                        time,
+                        scheduledAt
+                    });
+                });
+            }
+        });
+
+        return slots.sort((a, b) => a.scheduledAt - b.scheduledAt);
+    }
+
+    /**
+     * Attach dose records to slots: each record fills the nearest open slot of
+     * the same medication on the same day
+     * @returns {Object} { slots: [{ ...slot, record }], extra: [records that matched no slot] }
+     */
+    matchDoses(slots, history) {
+        const matched = slots.map(slot => ({ ...slot, record: null }));
+        const byKey = new Map();
+        matched.forEach(slot => {
+            const key = `${slot.medicationId}|${slot.date}`;
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(slot);
+        });
+
+        // Skips name their slot, so they claim it before any dose is matched
+        const extra = [];
+        history
+            .filter(record => (!record.missed || record.skipped) && !isNaN(DoseSchedule.matchTime(record)))
+            .sort((a, b) => (b.skipped ? 1 : 0) - (a.skipped ? 1 : 0) ||
+                DoseSchedule.matchTime(a) - DoseSchedule.matchTime(b))
+            .forEach(record => {
+                const at = DoseSchedule.matchTime(record);
+                const open = (byKey.get(`${record.medicationId}|${DoseSchedule.toDateKey(at)}`) || [])
+                    .filter(slot => !slot.record);
+                if (open.length === 0) {
+                    if (!record.skipped) extra.push(record);
+                    return;
+                }
+                const nearest = open.reduce((best, slot) =>
+                    Math.abs(slot.scheduledAt - at) < Math.abs(best.scheduledAt - at) ? slot : best);
+                nearest.record = record;
+            });
+
+        return { slots: matched, extra };
+    }
+
+    /**
+     * Status of a matched slot at a point in time
+     * @returns {Object} { status, minutesLate?, reason? }
+     */
+    classify(slot, now = new Date()) {
+        if (slot.record && slot.record.skipped) {
+            return { status: 'skipped', reason: slot.record.reason || '' };
+        }
+        if (slot.record) {
+            const minutesLate = Math.round((DoseSchedule.recordTime(slot.record) - slot.scheduledAt) / 60000);
+            return minutesLate > this.onTimeMinutes
+                ? { status: 'late', minutesLate }
+                : { status: 'on-time', minutesLate };
+        }
+        if (slot.scheduledAt > now) return { status: 'upcoming' };
+        if (now - slot.scheduledAt <= this.graceMinutes * 60000) return { status: 'due' };
+        return { status: 'missed' };
+    }
+
+    /**
+     * Adherence against the schedule between two days (inclusive)
+     * @param {Array} medications
+     * @param {Array} history - Dose records
+     * @param {Object} options - { from, to: YYYY-MM-DD (default today), now: Date }
+     * @returns {Object} { expected, taken, onTime, late, skipped, missed, upcoming, extra, rate,
+     *   byMedication, byDay, slots } - taken = onTime + late; slots carry their status;
+     *   rate is taken / expected, or null when nothing was expected
+     */
+    getAdherence(medications, history, options = {}) {
+        const now = options.now || new Date();
+        const to = options.to || DoseSchedule.toDateKey(now);
+        const from = options.from || to;
+
+        const matched = this.matchDoses(this.expandSlots(medications, from, to, history), history);
+        const slots = matched.slots.map(slot => ({ ...slot, ...this.classify(slot, now) }));
+        const extra = matched.extra;
+
+        const summary = {
+            expected: 0,
+            taken: 0,
+            onTime: 0,
+            late: 0,
+            skipped: 0,
+            missed: 0,
+            upcoming: 0,
+            extra: extra.filter(r => {
+                const day = DoseSchedule.toDateKey(DoseSchedule.recordTime(r));
+                return day >= from && day <= to;
+            }).length,
+            rate: null,
+            byMedication: {},
+            byDay: {},
+            slots
+        };
+
+        slots.forEach(slot => {
+            // Doses still inside their grace window only count once taken or skipped
+            if (slot.status === 'upcoming' || slot.status === 'due') {
+                summary.upcoming++;
+                return;
+            }
+
+            const med = summary.byMedication[slot.medicationId] ||
+                (summary.byMedication[slot.medicationId] = { name: slot.medicationName, expected: 0, taken: 0 });
+            const day = summary.byDay[slot.date] || (summary.byDay[slot.date] = { expected: 0, taken: 0 });
+
+            summary.expected++;
+            med.expected++;
+            day.expected++;
+            if (slot.status === 'on-time' || slot.status === 'late') {
+                summary.taken++;
+                summary[slot.status === 'late' ? 'late' : 'onTime']++;
+                med.taken++;
+                day.taken++;
+            } else {
+                summary[slot.status]++;
+            }
+        });
+
+        if (summary.expected > 0) {
+            summary.rate = (summary.taken / summary.expected) * 100;
+        }
+        return summary;
+    }
+
+    /**
+     * Consecutive fully-adherent days ending today. Days without expected doses
+     * are skipped; an unfinished today neither counts nor breaks the streak.
+     * @returns {Object} { current, longest }
+     */
+    getStreaks(medications, history, now = new Date()) {
+        const starts = medications
+            .map(med => this.getActiveRange(med, history))
+            .filter(Boolean)
+            .map(range => range.start)
+            .sort();
+        if (starts.length === 0) return { current: 0, longest: 0 };
+
+        const today = DoseSchedule.toDateKey(now);
+        const { byDay } = this.getAdherence(medications, history, { from: starts[0], to: today, now });
+        const days = Object.keys(byDay).sort();
+
+        let longest = 0;
+        let run = 0;
+        days.forEach(day => {
+            const { expected, taken } = byDay[day];
+            if (taken === expected) {
+                run++;
+                longest = Math.max(longest, run);
+            } else if (day !== today) {
+                run = 0;
+            }
+        });
+
+        let current = 0;
+        for (let i = days.length - 1; i >= 0; i--) {
+            const { expected, taken } = byDay[days[i]];
+            if (taken === expected) {
+                current++;
+            } else if (days[i] !== today) {
+                break;
+            }
+        }
+
+        return { current, longest };
+    }
+}
+
+DoseSchedule.DOSES_PER_DAY = DOSES_PER_DAY;
+DoseSchedule.ON_TIME_MINUTES = ON_TIME_MINUTES;
+DoseSchedule.GRACE_MINUTES = GRACE_MINUTES;
+
+module.exports = DoseSchedule;
@@ -4,7 +4,20 @@
  * Multi-tier approach:
  * 1. DrugBank API (primary, most comprehensive)
  * 2. Local database fallback (458 interactions)
- * 3. Pregnancy-specific warnings
+ * 3. Drug-class rules (drug-class-rules.json)
+ * 4. Pregnancy-specific warnings
+ * 5. Food, alcohol and health-condition warnings (food-condition-checker)
+ *
+ * Class rules file format:
+ *   classes: { <id>: { label, categories: [medications-db category],
+ *                      members: [generic name], includes: [class id],
+ *                      aliases: { brand: generic } } }
+ *   rules:   [ { between: [side, side], type: 'interaction'|'duplication',
+ *                severity, description, recommendation } ]
+ * where each side is { class: <id> }, { category: <db category> } or
+ * { drug: <generic name> }. A class with `includes` also covers every drug
+ * in the included classes. Medication names are normalized to generics
+ * through `brandNames` in medications-db.json before rules are matched.
  *
  * @module drug-interaction-checker
  */
@@ -12,13 +25,26 @@
 const fs = require('fs');
 const path = require('path');
 
+// Dose and strength tokens such as "500mg", "0.5 mg/ml" or a bare "500"
+// (the units MedicationDatabase.parseMedicationString recognizes)
+const STRENGTH_TOKEN = /(^|\s)\d+(?:\.\d+)?\s*(?:mg|mcg|µg|ml|l|%|g|gr|cc|units?|mm|meq|mmol)?(?:\s*\/\s*\d*(?:\.\d+)?\s*(?:ml|l|g|mg|hr|actuat))?(?=\s|$)/gi;
+
 class DrugInteractionChecker {
   constructor(options = {}) {
     this.drugBankApiKey = options.drugBankApiKey || process.env.DRUGBANK_API_KEY;
     this.localDbPath = options.localDbPath || path.join(__dirname, 'drug-interactions-database.json');
+    this.classRulesPath = options.classRulesPath || path.join(__dirname, 'drug-class-rules.json');
+    this.medicationDbPath = options.medicationDbPath || path.join(__dirname, 'medications-db.json');
+    this.foodConditionPath = options.foodConditionPath || path.join(__dirname, 'food-condition-interactions.json');
     this.enablePregnancyWarnings = options.enablePregnancyWarnings !== false;
+    this.quiet = options.quiet === true;
     this.localDatabase = null;
+    this.classRules = null;
+    this.medicationIndex = null;
+    this.foodConditionChecker = null;
     this.loadLocalDatabase();
+    this.loadClassRules();
+    this.loadMedicationIndex();
   }
 
   /**
@@ -28,13 +54,186 @@ class DrugInteractionChecker {
     try {
       const data = fs.readFileSync(this.localDbPath, 'utf8');
       this.localDatabase = JSON.parse(data);
-      console.log(`✅ Loaded ${this.localDatabase.interactions.length} interactions from local database`);
+      if (!this.quiet) console.log(`✅ Loaded ${this.localDatabase.interactions.length} interactions from local database`);
     } catch (error) {
       console.error('❌ Failed to load local interaction database:', error.message);
       this.localDatabase = { interactions: [] };
     }
   }
 
+  /**
+   * Load drug-class and therapeutic duplication rules
+   */
+  loadClassRules() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.classRulesPath, 'utf8'));
+      this.classRules = { classes: data.classes || {}, rules: data.rules || [] };
+      if (!this.quiet) console.log(`✅ Loaded ${this.classRules.rules.length} drug-class rules`);
+    } catch (error) {
+      console.error('❌ Failed to load drug-class rules:', error.message);
+      this.classRules = { classes: {}, rules: [] };
+    }
+  }
+
+  /**
+   * Build a lookup from generic, brand and alias names to one canonical
+   * generic name and its medications-db category
+   */
+  loadMedicationIndex() {
+    const index = new Map();
+    const add = (key, entry) => {
+      const normalized = String(key).toLowerCase().trim();
+      if (normalized && !index.has(normalized)) index.set(normalized, entry);
+    };
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.medicationDbPath, 'utf8'));
+      (data.medications || []).forEach(med => {
+        const entry = { name: med.name.toLowerCase(), category: med.category || null };
+        add(med.name, entry);
+        if (med.genericName) add(med.genericName, entry);
+        (med.brandNames || []).forEach(brand => add(brand, entry));
+      });
+    } catch (error) {
+      console.error('❌ Failed to load medication database:', error.message);
+    }
+
+    // Class members and aliases cover drugs the medication database doesn't list
+    Object.values(this.classRules.classes).forEach(cls => {
+      (cls.members || []).forEach(member => add(member, { name: member.toLowerCase(), category: null }));
+    });
+    Object.values(this.classRules.classes).forEach(cls => {
+      Object.entries(cls.aliases || {}).forEach(([alias, generic]) => {
+        add(alias, index.get(generic.toLowerCase()) || { name: generic.toLowerCase(), category: null });
+      });
+    });
+
+    this.medicationIndex = index;
+    // Longest names first so "Adderall XR 20mg" matches the most specific name
+    this.indexKeys = [...index.keys()].sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Resolve a medication name (brand, generic, or with a strength attached)
+   * @param {string} medication - Medication name as entered
+   * @returns {Object} { input, name, category, classes }
+   */
+  normalizeDrug(medication) {
+    const input = String(medication);
+    const lower = input.toLowerCase().replace(STRENGTH_TOKEN, ' ').replace(/\s+/g, ' ').trim() ||
+      input.toLowerCase().trim();
+    let entry = this.medicationIndex.get(lower);
+
+    if (!entry) {
+      const key = this.indexKeys.find(k => {
+        const escaped = k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(lower);
+      });
+      entry = key ? this.medicationIndex.get(key) : { name: lower, category: null };
+    }
+
+    const drug = { input, name: entry.name, category: entry.category };
+    drug.classes = this.getDrugClasses(drug);
+    return drug;
+  }
+
+  /**
+   * Classes a normalized drug belongs to, including classes that include them
+   * @param {Object} drug - Result of normalizeDrug
+   * @returns {Array<string>} Class ids
+   */
+  getDrugClasses(drug) {
+    const classes = this.classRules.classes;
+    const found = new Set(Object.keys(classes).filter(id => {
+      const cls = classes[id];
+      return (drug.category && (cls.categories || []).includes(drug.category)) ||
+        (cls.members || []).some(member => member.toLowerCase() === drug.name);
+    }));
+
+    let grew = true;
+    while (grew) {
+      grew = false;
+      Object.keys(classes).forEach(id => {
+        if (!found.has(id) && (classes[id].includes || []).some(included => found.has(included))) {
+          found.add(id);
+          grew = true;
+        }
+      });
+    }
+
+    return [...found];
+  }
+
+  /**
+   * Whether one side of a rule ({ class }, { category } or { drug }) matches a drug
+   */
+  ruleSideMatches(side, drug) {
+    if (side.class) return drug.classes.includes(side.class);
+    if (side.category) return drug.category === side.category;
+    if (side.drug) {
+      const target = side.drug.toLowerCase();
+      const entry = this.medicationIndex.get(target);
+      return drug.name === (entry ? entry.name : target);
+    }
+    return false;
+  }
+
+  /**
+   * Check class-level rules and same-ingredient duplication
+   * @param {Array<string>} medications - Array of medication names
+   * @returns {Array} Array of interactions
+   */
+  checkClassRules(medications) {
+    const drugs = medications.map(m => this.normalizeDrug(m));
+    const describe = side => side.class || side.category || side.drug;
+    const found = [];
+
+    for (let i = 0; i < drugs.length; i++) {
+      for (let j = i + 1; j < drugs.length; j++) {
+        const a = drugs[i];
+        const b = drugs[j];
+
+        if (a.name === b.name) {
+          const generic = a.name.charAt(0).toUpperCase() + a.name.slice(1);
+          found.push({
+            drug1: medications[i],
+            drug2: medications[j],
+            severity: 'MODERATE',
+            type: 'duplication',
+            description: `Therapeutic duplication: ${medications[i]} and ${medications[j]} both contain ${generic}`,
+            recommendation: `Take only one product containing ${generic} unless your prescriber has told you to.`,
+            classes: [],
+            source: 'Class Rules'
+          });
+          continue;
+        }
+
+        this.classRules.rules.forEach(rule => {
+          const [sideA, sideB] = rule.between || [];
+          if (!sideA || !sideB) return;
+
+          const forward = this.ruleSideMatches(sideA, a) && this.ruleSideMatches(sideB, b);
+          const reverse = this.ruleSideMatches(sideA, b) && this.ruleSideMatches(sideB, a);
+
+          if (forward || reverse) {
+            found.push({
+              drug1: medications[i],
+              drug2: medications[j],
+              severity: rule.severity,
+              type: rule.type || 'interaction',
+              description: rule.description,
+              recommendation: rule.recommendation || '',
+              classes: [describe(sideA), describe(sideB)],
+              source: 'Class Rules'
+            });
+          }
+        });
+      }
+    }
+
+    return found;
+  }
+
   /**
    * Check interactions using DrugBank API
    * @param {Array<string>} medications - Array of medication names
@@ -101,7 +300,8 @@ class DrugInteractionChecker {
     }
 
     const found = [];
-    const medsLower = medications.map(m => m.toLowerCase().trim());
+    // Match on the generic name too, so brand names find their entries
+    const medsLower = medications.map(m => `${m.toLowerCase().trim()} ${this.normalizeDrug(m).name}`);
 
     // Check all pairs
     for (let i = 0; i < medsLower.length; i++) {
@@ -170,15 +370,19 @@ class DrugInteractionChecker {
   /**
    * Main method: Check interactions with multiple fallbacks
    * @param {Array<string>} medications - Array of medication names
-   * @param {Object} options - Options (weekOfPregnancy, etc.)
+   * @param {Object} options - Options (weekOfPregnancy, conditions, etc.)
    * @returns {Promise<Object>} Results with interactions and metadata
    */
   async checkInteractions(medications, options = {}) {
+    const context = this.checkFoodAndConditions(medications || [], options);
+
     if (!medications || medications.length < 2) {
       return {
         interactions: [],
         source: 'none',
-        medicationCount: medications?.length || 0
+        medicationCount: medications?.length || 0,
+        foodInteractions: context.food,
+        conditionWarnings: context.conditions
       };
     }
 
@@ -199,6 +403,15 @@ class DrugInteractionChecker {
       console.log(`✅ Found ${interactions.length} interactions from local database`);
     }
 
+    // Class rules fill in pairs the drug-level sources didn't report
+    const pairKey = int => [int.drug1, int.drug2].map(d => d.toLowerCase()).sort().join('|');
+    const reported = new Set(interactions.map(pairKey));
+    const classResults = this.checkClassRules(medications).filter(int => !reported.has(pairKey(int)));
+    if (classResults.length > 0) {
+      interactions = interactions.concat(classResults);
+      console.log(`✅ Found ${classResults.length} class-level interactions or duplications`);
+    }
+
     // Add pregnancy warnings if applicable
     if (options.weekOfPregnancy) {
       interactions = this.addPregnancyWarnings(interactions, options.weekOfPregnancy);
@@ -209,10 +422,33 @@ class DrugInteractionChecker {
       source,
       medicationCount: medications.length,
       checkedAt: new Date().toISOString(),
-      pregnancyMode: !!options.weekOfPregnancy
+      pregnancyMode: !!options.weekOfPregnancy,
+      foodInteractions: context.food,
+      conditionWarnings: context.conditions
     };
   }
 
+  /**
+   * Food, alcohol and health-condition warnings for the medications
+   * @param {Array<string>} medications - Array of medication names
+   * @param {Object} options - conditions (profile condition names) and weekOfPregnancy
+   * @returns {Object} { food, conditions }
+   */
+  checkFoodAndConditions(medications, options = {}) {
+    if (!this.foodConditionChecker) {
+      // Required here because food-condition-checker resolves drugs through this class
+      const FoodConditionChecker = require('./food-condition-checker');
+      this.foodConditionChecker = new FoodConditionChecker({
+        knowledgePath: this.foodConditionPath,
+        drugChecker: this
+      });
+    }
+    return this.foodConditionChecker.check(medications, {
+      conditions: options.conditions || [],
+      weekOfPregnancy: options.weekOfPregnancy
+    });
+  }
+
   /**
    * Get interaction between two specific drugs
    * @param {string} drug1 - First medication name
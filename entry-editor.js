@@ -0,0 +1,328 @@
+/**
+ * Entry Editor Module
+ * Backdating, edits and deletes for tracker entries, with an undo window
+ *
+ * Every edit and delete is written to the tracker's `changeLog` (kept in the
+ * same data file) with a copy of the entry before and after the change:
+ *   { id, action: 'edit'|'delete'|'undo', collection, entryId, before, after,
+ *     index, changedAt, undoes?, undoneAt? }
+ * The most recent change can be undone within UNDO_WINDOW_MINUTES; the undo
+ * is itself recorded, so the log stays a complete audit trail.
+ */
+
+const ValidationUtils = require('./validation-utils');
+
+const UNDO_WINDOW_MINUTES = 10;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const AT_PATTERN = /^(?:(\d{4}-\d{2}-\d{2})[T ])?(([0-1]?[0-9]|2[0-3]):[0-5][0-9])$/;
+
+class EntryEditor {
+    /**
+     * @param {Object} tracker - Tracker with `data` and `saveData()`
+     * @param {Object} options
+     * @param {string} options.collection - Array in tracker.data holding the entries
+     * @param {string} options.label - Name used in messages (e.g. 'Sleep entry')
+     * @param {Object} options.rules - ValidationUtils.validateFields rules for editable fields
+     * @param {boolean} options.hasDate - Whether entries carry a `date` field besides `timestamp`
+     * @param {Function} options.afterUpdate - (entry) => void, recompute derived fields
+     */
+    constructor(tracker, options) {
+        this.tracker = tracker;
+        this.collection = options.collection;
+        this.label = options.label;
+        this.rules = options.rules;
+        this.hasDate = options.hasDate !== false;
+        this.afterUpdate = options.afterUpdate || null;
+    }
+
+    /**
+     * Resolve --date / --at options into an entry date and timestamp
+     * @param {Object} when - { date: 'YYYY-MM-DD', at: 'YYYY-MM-DD HH:MM' or 'HH:MM' }
+     * @param {Date} now
+     * @returns {Object} { isValid, errors, date, timestamp, backdated }
+     *   Without options this is today's local date and the current time, the same day
+     *   --at would give. A date alone keeps the current clock time on that day.
+     */
+    static resolveWhen(when = {}, now = new Date()) {
+        const { date, at } = when || {};
+        if (!date && !at) {
+            return {
+                isValid: true,
+                errors: [],
+                date: EntryEditor.localDateKey(now),
+                timestamp: now.toISOString(),
+                backdated: false
+            };
+        }
+
+        if (date && (!DATE_PATTERN.test(date) || isNaN(new Date(date).getTime()))) {
+            return EntryEditor.invalid(`Invalid date: "${date}" must be in YYYY-MM-DD format`);
+        }
+
+        let day = date;
+        let time = null;
+        if (at) {
+            const match = AT_PATTERN.exec(String(at).trim());
+            if (!match) {
+                return EntryEditor.invalid(`Invalid time: "${at}" must be HH:MM or YYYY-MM-DD HH:MM`);
+            }
+            if (match[1] && date && match[1] !== date) {
+                return EntryEditor.invalid('--date and --at name different days');
+            }
+            day = match[1] || date || EntryEditor.localDateKey(now);
+            time = match[2];
+        }
+
+        const [year, month, dayOfMonth] = day.split('-').map(Number);
+        const moment = new Date(year, month - 1, dayOfMonth);
+        if (time) {
+            const [hours, minutes] = time.split(':').map(Number);
+            moment.setHours(hours, minutes, 0, 0);
+        } else {
+            moment.setHours(now.getHours(), now.getMinutes(), now.getSeconds(), 0);
+        }
+
+        if (moment > now) {
+            return EntryEditor.invalid(`Invalid date: ${day}${time ? ` ${time}` : ''} is in the future`);
+        }
+
+        return { isValid: true, errors: [], date: day, timestamp: moment.toISOString(), backdated: true };
+    }
+
+    /**
+     * Split CLI arguments into positional values and --flag values
+     * (kebab-case flags map to entry fields: --wake-time → wakeTime)
+     * @returns {Object} { positional, flags }
+     */
+    static parseArgs(args) {
+        const positional = [];
+        const flags = {};
+        for (let i = 0; i < args.length; i++) {
+            if (args[i].startsWith('--') && args[i + 1] !== undefined) {
+                const name = args[i].slice(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+                flags[name] = args[++i];
+            } else {
+                positional.push(args[i]);
+            }
+        }
+        return { positional, flags };
+    }
+
+    static invalid(message) {
+        return { isValid: false, errors: [message], date: null, timestamp: null, backdated: false };
+    }
+
+    static localDateKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    entries() {
+        if (!Array.isArray(this.tracker.data[this.collection])) {
+            this.tracker.data[this.collection] = [];
+        }
+        return this.tracker.data[this.collection];
+    }
+
+    changeLog() {
+        if (!Array.isArray(this.tracker.data.changeLog)) {
+            this.tracker.data.changeLog = [];
+        }
+        return this.tracker.data.changeLog;
+    }
+
+    find(id) {
+        return this.entries().find(entry => entry && String(entry.id) === String(id)) || null;
+    }
+
+    /**
+     * Change fields of an entry
+     * @param {string|number} id
+     * @param {Object} changes - Fields from `rules`, plus `date` / `at` to move the entry
+     * @returns {Object} { isValid, errors, entry, change }
+     */
+    edit(id, changes = {}, now = new Date()) {
+        const entry = this.find(id);
+        if (!entry) {
+            return { isValid: false, errors: [`${this.label} ${id} not found`], entry: null, change: null };
+        }
+
+        const validation = ValidationUtils.validateFields(changes, this.rules, { partial: true });
+        const errors = [...validation.errors];
+        let when = null;
+        if (changes.date || changes.at) {
+            when = EntryEditor.resolveWhen({ date: changes.date, at: changes.at }, now);
+            errors.push(...when.errors);
+        }
+        if (errors.length === 0 && Object.keys(validation.values).length === 0 && !when) {
+            errors.push('Nothing to change');
+        }
+        if (errors.length > 0) {
+            return { isValid: false, errors, entry: null, change: null };
+        }
+
+        const before = JSON.parse(JSON.stringify(entry));
+        Object.assign(entry, validation.values);
+        if (when) {
+            if (this.hasDate) entry.date = when.date;
+            entry.timestamp = when.timestamp;
+        }
+        if (this.afterUpdate) {
+            this.afterUpdate(entry);
+        }
+        entry.updatedAt = now.toISOString();
+
+        const change = this.record('edit', before, JSON.parse(JSON.stringify(entry)), this.entries().indexOf(entry), now);
+        if (!this.tracker.saveData()) {
+            Object.keys(entry).forEach(key => delete entry[key]);
+            Object.assign(entry, before);
+            this.changeLog().pop();
+            return { isValid: false, errors: [`${this.label} could not be saved`], entry: null, change: null };
+        }
+        return { isValid: true, errors: [], entry, change };
+    }
+
+    /**
+     * Delete an entry
+     * @returns {Object} { isValid, errors, entry, change }
+     */
+    remove(id, now = new Date()) {
+        const entry = this.find(id);
+        if (!entry) {
+            return { isValid: false, errors: [`${this.label} ${id} not found`], entry: null, change: null };
+        }
+
+        const list = this.entries();
+        const index = list.indexOf(entry);
+        list.splice(index, 1);
+        const change = this.record('delete', JSON.parse(JSON.stringify(entry)), null, index, now);
+
+        if (!this.tracker.saveData()) {
+            list.splice(index, 0, entry);
+            this.changeLog().pop();
+            return { isValid: false, errors: [`${this.label} could not be deleted`], entry: null, change: null };
+        }
+        return { isValid: true, errors: [], entry, change };
+    }
+
+    /**
+     * Revert the most recent edit or delete of this collection if it is
+     * still inside the undo window
+     * @returns {Object} { isValid, errors, entry, change } - change is the undone change
+     */
+    undo(now = new Date()) {
+        const log = this.changeLog();
+        const last = [...log].reverse().find(change => change.collection === this.collection && change.action !== 'undo');
+        const fail = message => ({ isValid: false, errors: [message], entry: null, change: null });
+
+        if (!last || last.undoneAt) {
+            return fail('Nothing to undo');
+        }
+        const ageMinutes = (now - new Date(last.changedAt)) / 60000;
+        if (ageMinutes > UNDO_WINDOW_MINUTES) {
+            return fail(`The last change was ${Math.floor(ageMinutes)} minutes ago; changes can only be undone within ${UNDO_WINDOW_MINUTES} minutes`);
+        }
+
+        const list = this.entries();
+        const restored = JSON.parse(JSON.stringify(last.before));
+        let current = null;
+        let slot;
+        if (last.action === 'delete') {
+            slot = Math.min(last.index, list.length);
+            list.splice(slot, 0, restored);
+        } else {
+            current = this.find(last.entryId);
+            if (!current) {
+                return fail(`${this.label} ${last.entryId} no longer exists`);
+            }
+            slot = list.indexOf(current);
+            list[slot] = restored;
+        }
+
+        last.undoneAt = now.toISOString();
+        this.record('undo', last.after, last.before, last.index, now).undoes = last.id;
+
+        if (!this.tracker.saveData()) {
+            if (current) {
+                list[slot] = current;
+            } else {
+                list.splice(slot, 1);
+            }
+            delete last.undoneAt;
+            this.changeLog().pop();
+            return fail('Undo could not be saved');
+        }
+        return { isValid: true, errors: [], entry: restored, change: last };
+    }
+
+    /**
+     * Changes to this collection, newest first
+     */
+    history(limit = 20) {
+        return this.changeLog()
+            .filter(change => change.collection === this.collection)
+            .slice(-limit)
+            .reverse();
+    }
+
+    record(action, before, after, index, now) {
+        const log = this.changeLog();
+        const change = {
+            id: log.length > 0 ? log[log.length - 1].id + 1 : 1,
+            action,
+            collection: this.collection,
+            entryId: (before || after).id,
+            before,
+            after,
+            index,
+            changedAt: now.toISOString()
+        };
+        log.push(change);
+        return change;
+    }
+
+    /**
+     * Print the outcome of edit / remove / undo in the trackers' CLI style
+     * @returns {Object|null} The entry, or null on failure
+     */
+    report(result, verb) {
+        if (!result.isValid) {
+            result.errors.forEach(error => console.error(`❌ ${error}`));
+            return null;
+        }
+        console.log(`\n✓ ${this.label} ${result.entry.id} ${verb}`);
+        if (result.change.action !== 'undo' && !result.change.undoneAt) {
+            console.log(`  Undo within ${UNDO_WINDOW_MINUTES} minutes with the undo command`);
+        }
+        return result.entry;
+    }
+
+    /**
+     * Print the change log for this collection
+     */
+    printHistory(limit = 20) {
+        const changes = this.history(limit);
+        console.log(`\n📝 ${this.label} changes`);
+        console.log('═'.repeat(60));
+        if (changes.length === 0) {
+            console.log('No edits or deletions yet.');
+            return changes;
+        }
+        changes.forEach(change => {
+            const when = new Date(change.changedAt).toLocaleString();
+            const undone = change.undoneAt ? ' (undone)' : '';
+            const detail = change.action === 'undo' ? ` of change #${change.undoes}` : '';
+            console.log(`#${change.id}  ${when}  ${change.action}${detail} ${change.entryId}${undone}`);
+            if (change.action === 'edit') {
+                Object.keys(change.after)
+                    .filter(key => key !== 'updatedAt' && JSON.stringify(change.before[key]) !== JSON.stringify(change.after[key]))
+                    .forEach(key => console.log(`      ${key}: ${JSON.stringify(change.before[key])} → ${JSON.stringify(change.after[key])}`));
+            }
+        });
+        return changes;
+    }
+}
+
+EntryEditor.UNDO_WINDOW_MINUTES = UNDO_WINDOW_MINUTES;
+
+module.exports = EntryEditor;
@@ -0,0 +1,108 @@
+/**
+ * Exercise Catalog Module
+ * Known exercises for structured workouts, so "squat", "Squats" and
+ * "back squat" count as the same lift for personal records and volume
+ *
+ * Entry shape: { id, name, category: 'strength' | 'cardio' | 'mobility', aliases: [], custom? }
+ * Strength exercises are logged with sets (reps x weight); cardio exercises
+ * with distance and pace. Custom entries are kept in the exercise data file.
+ */
+
+const CATEGORIES = ['strength', 'cardio', 'mobility'];
+
+const BUILT_IN = [
+    { id: 'back-squat', name: 'Back Squat', category: 'strength', aliases: ['squat', 'squats'] },
+    { id: 'front-squat', name: 'Front Squat', category: 'strength', aliases: [] },
+    { id: 'bench-press', name: 'Bench Press', category: 'strength', aliases: ['bench'] },
+    { id: 'deadlift', name: 'Deadlift', category: 'strength', aliases: ['deadlifts'] },
+    { id: 'romanian-deadlift', name: 'Romanian Deadlift', category: 'strength', aliases: ['rdl'] },
+    { id: 'overhead-press', name: 'Overhead Press', category: 'strength', aliases: ['ohp', 'press', 'military press', 'shoulder press'] },
+    { id: 'barbell-row', name: 'Barbell Row', category: 'strength', aliases: ['row', 'bent over row'] },
+    { id: 'pull-up', name: 'Pull-up', category: 'strength', aliases: ['pullup', 'pull ups', 'pullups'] },
+    { id: 'push-up', name: 'Push-up', category: 'strength', aliases: ['pushup', 'push ups', 'pushups'] },
+    { id: 'dip', name: 'Dip', category: 'strength', aliases: ['dips'] },
+    { id: 'lunge', name: 'Lunge', category: 'strength', aliases: ['lunges'] },
+    { id: 'hip-thrust', name: 'Hip Thrust', category: 'strength', aliases: [] },
+    { id: 'running', name: 'Running', category: 'cardio', aliases: ['run', 'jog', 'jogging'] },
+    { id: 'walking', name: 'Walking', category: 'cardio', aliases: ['walk'] },
+    { id: 'cycling', name: 'Cycling', category: 'cardio', aliases: ['bike', 'biking', 'ride'] },
+    { id: 'swimming', name: 'Swimming', category: 'cardio', aliases: ['swim'] },
+    { id: 'rowing', name: 'Rowing', category: 'cardio', aliases: ['erg', 'rowing machine'] },
+    { id: 'hiking', name: 'Hiking', category: 'cardio', aliases: ['hike'] },
+    { id: 'yoga', name: 'Yoga', category: 'mobility', aliases: [] },
+    { id: 'stretching', name: 'Stretching', category: 'mobility', aliases: ['stretch', 'mobility'] }
+];
+
+class ExerciseCatalog {
+    /**
+     * @param {Array} custom - User-defined entries (from the exercise data file)
+     */
+    constructor(custom = []) {
+        this.entries = [...BUILT_IN, ...(Array.isArray(custom) ? custom : [])];
+    }
+
+    /**
+     * Lowercase, hyphens and repeated spaces folded: "Pull-Ups" → "pull ups"
+     */
+    static normalize(name) {
+        return String(name || '').toLowerCase().replace(/[-_]+/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    static slug(name) {
+        return ExerciseCatalog.normalize(name).replace(/[^a-z0-9 ]/g, '').replace(/ /g, '-');
+    }
+
+    /**
+     * Catalog entry for a name, id or alias
+     * @returns {Object|null}
+     */
+    find(name) {
+        const key = ExerciseCatalog.normalize(name);
+        if (!key) return null;
+        return this.entries.find(entry =>
+            ExerciseCatalog.normalize(entry.id) === key ||
+            ExerciseCatalog.normalize(entry.name) === key ||
+            (entry.aliases || []).some(alias => ExerciseCatalog.normalize(alias) === key)
+        ) || null;
+    }
+
+    list(category = null) {
+        return category ? this.entries.filter(entry => entry.category === category) : [...this.entries];
+    }
+
+    /**
+     * Build a custom entry
+     * @returns {Object} { isValid, errors, entry }
+     */
+    create(name, category = 'strength', aliases = []) {
+        const errors = [];
+        const trimmed = String(name || '').trim();
+        if (!trimmed || trimmed.length > 100) {
+            errors.push('Invalid exercise name: must be 1-100 characters');
+        } else if (this.find(trimmed)) {
+            errors.push(`"${trimmed}" is already in the catalog as ${this.find(trimmed).name}`);
+        }
+        const normalizedCategory = String(category || '').toLowerCase();
+        if (!CATEGORIES.includes(normalizedCategory)) {
+            errors.push(`Invalid category: must be one of ${CATEGORIES.join(', ')}`);
+        }
+        if (errors.length > 0) {
+            return { isValid: false, errors, entry: null };
+        }
+
+        const entry = {
+            id: ExerciseCatalog.slug(trimmed),
+            name: trimmed,
+            category: normalizedCategory,
+            aliases: aliases.map(alias => String(alias).trim()).filter(Boolean),
+            custom: true
+        };
+        this.entries.push(entry);
+        return { isValid: true, errors: [], entry };
+    }
+}
+
+ExerciseCatalog.CATEGORIES = CATEGORIES;
+ExerciseCatalog.BUILT_IN = BUILT_IN;
+
+module.exports = ExerciseCatalog;
@@ -1,11 +1,22 @@
-const fs = require('fs');
 const ValidationUtils = require('./validation-utils');
+const StorageManager = require('./storage-manager');
+const EntryEditor = require('./entry-editor');
+const ExerciseCatalog = require('./exercise-catalog');
+const WorkoutAnalysis = require('./workout-analysis');
+const TrainingLoad = require('./training-load');
 
 class ExerciseTracker {
-    constructor(dataFile = 'exercise-data.json') {
+    constructor(dataFile = StorageManager.resolveDataPath('exercise-data.json'), storage = StorageManager.getDefault()) {
         this.dataFile = dataFile;
+        this.storage = storage;
         this.data = this.loadData();
         this.idCounter = Date.now();
+        this.editor = new EntryEditor(this, {
+            collection: 'exercises',
+            label: 'Exercise session',
+            rules: ExerciseTracker.ENTRY_RULES,
+            afterUpdate: entry => this.refreshWorkout(entry)
+        });
     }
 
     generateId() {
@@ -14,9 +25,9 @@ class ExerciseTracker {
 
     loadData() {
         try {
-            if (fs.existsSync(this.dataFile)) {
-                const rawData = fs.readFileSync(this.dataFile, 'utf8');
-                return JSON.parse(rawData);
+            const stored = this.storage.load(this.dataFile, 'exercise');
+            if (stored) {
+                return stored;
             }
         } catch (error) {
             console.error('Error loading exercise data:', error.message);
@@ -28,7 +39,7 @@ class ExerciseTracker {
 
     saveData() {
         try {
-            fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
+            this.storage.save(this.dataFile, this.data, 'exercise');
             return true;
         } catch (error) {
             console.error('Error saving exercise data:', error.message);
@@ -36,7 +47,11 @@ class ExerciseTracker {
         }
     }
 
-    logExercise(type, duration, intensity = 'moderate', notes = '') {
+    /**
+     * Validate type, duration, intensity and optional RPE of a session, printing any problem
+     * @returns {Object|null} { type, duration, intensity, rpe? }
+     */
+    validateSession(type, duration, intensity = 'moderate', rpe = null) {
         // Validate exercise type using ValidationUtils
         const validatedType = ValidationUtils.validateString(type, {
             minLength: 1,
@@ -46,7 +61,7 @@ class ExerciseTracker {
 
         if (!validatedType) {
             console.log('💡 Example: node exercise-tracker.js log "Running" 30 high\n');
-            return false;
+            return null;
         }
 
         // Validate duration using ValidationUtils
@@ -58,7 +73,7 @@ class ExerciseTracker {
 
         if (durationNum === null) {
             console.log('💡 Duration should be in minutes (e.g., 30 for 30 minutes)\n');
-            return false;
+            return null;
         }
 
         // Validate intensity
@@ -67,24 +82,66 @@ class ExerciseTracker {
         if (!validIntensities.includes(intensityLower)) {
             console.error('❌ Invalid intensity: Intensity must be low, moderate, or high');
             console.log('💡 Example: node exercise-tracker.js log "Yoga" 45 low\n');
+            return null;
+        }
+
+        const session = { type: validatedType, duration: durationNum, intensity: intensityLower };
+        if (rpe !== null && rpe !== undefined && rpe !== '') {
+            const rpeNum = ValidationUtils.parseInteger(rpe, { min: 1, max: 10, fieldName: 'RPE' });
+            if (rpeNum === null) {
+                console.log('💡 RPE is how hard the whole session felt, from 1 (very easy) to 10 (maximal)\n');
+                return null;
+            }
+            session.rpe = rpeNum;
+        }
+        return session;
+    }
+
+    /**
+     * Log an exercise session
+     * @param {Object} options - { date: 'YYYY-MM-DD', at: 'HH:MM' } to backdate the session (default: now),
+     *   rpe: session RPE 1-10 for training load (default: from intensity)
+     */
+    logExercise(type, duration, intensity = 'moderate', notes = '', options = {}) {
+        const session = this.validateSession(type, duration, intensity, options.rpe);
+        if (!session) {
+            return false;
+        }
+        const { type: validatedType, duration: durationNum, intensity: intensityLower } = session;
+
+        const logged = EntryEditor.resolveWhen(options);
+        if (!logged.isValid) {
+            logged.errors.forEach(error => console.error(`❌ ${error}`));
             return false;
         }
 
         const exercise = {
             id: this.generateId(),
-            date: new Date().toISOString().split('T')[0],
-            timestamp: new Date().toISOString(),
+            date: logged.date,
+            timestamp: logged.timestamp,
             type: validatedType,
             duration: durationNum,
             intensity: intensityLower,
             notes: (notes && typeof notes === 'string') ? notes.trim() : ''
         };
+        if (session.rpe) {
+            exercise.rpe = session.rpe;
+        }
+        if (logged.backdated) {
+            exercise.loggedAt = new Date().toISOString();
+        }
 
         this.data.exercises.push(exercise);
         this.saveData();
 
         console.log('\n✅ Exercise logged successfully!');
         console.log(`📝 ${type} for ${durationNum} minutes (${intensityLower} intensity)`);
+        if (logged.backdated) {
+            console.log(`📅 Logged for ${exercise.date}`);
+        }
+        if (session.rpe) {
+            console.log(`📈 Session load: ${TrainingLoad.sessionLoad(exercise)} AU (RPE ${session.rpe})`);
+        }
 
         // Provide feedback
         if (durationNum >= 30) {
@@ -96,6 +153,321 @@ class ExerciseTracker {
         return true;
     }
 
+    /**
+     * Log a structured workout: an exercise session with sets, distance and/or heart rate
+     * @param {Object} details - { intensity, rpe, notes, sets: 'Squat:5x5@100; Pull-up:3x8',
+     *   distance (km), avgHeartRate, maxHeartRate, zones: minutes per zone ('5,10,20,5,0' or array) }
+     * @param {Object} when - { date: 'YYYY-MM-DD', at: 'HH:MM' } to backdate the session (default: now)
+     * @returns {Object|false} The saved session, with any personal records it set
+     */
+    logWorkout(type, duration, details = {}, when = {}) {
+        const session = this.validateSession(type, duration, details.intensity, details.rpe);
+        if (!session) {
+            return false;
+        }
+
+        const fields = this.buildWorkoutFields(session, details);
+        if (!fields.isValid) {
+            fields.errors.forEach(error => console.error(`❌ ${error}`));
+            console.log('💡 Example: node exercise-tracker.js workout "Strength" 60 high --sets "Squat:5x5@100; Bench:3x8@60"\n');
+            return false;
+        }
+
+        const logged = EntryEditor.resolveWhen(when);
+        if (!logged.isValid) {
+            logged.errors.forEach(error => console.error(`❌ ${error}`));
+            return false;
+        }
+
+        const workout = {
+            id: this.generateId(),
+            date: logged.date,
+            timestamp: logged.timestamp,
+            ...session,
+            notes: (details.notes && typeof details.notes === 'string') ? details.notes.trim() : '',
+            ...fields.values
+        };
+        if (logged.backdated) {
+            workout.loggedAt = new Date().toISOString();
+        }
+        const records = WorkoutAnalysis.findRecords(workout, this.data.exercises, this.getCatalog());
+        if (records.length > 0) {
+            workout.records = records;
+        }
+
+        this.data.exercises.push(workout);
+        if (!this.saveData()) {
+            this.data.exercises.pop();
+            return false;
+        }
+
+        console.log('\n✅ Workout logged successfully!');
+        console.log(`📝 ${workout.type} for ${workout.duration} minutes (${workout.intensity} intensity)`);
+        if (logged.backdated) {
+            console.log(`📅 Logged for ${workout.date}`);
+        }
+        console.log(`📈 Session load: ${TrainingLoad.sessionLoad(workout)} AU (RPE ${TrainingLoad.sessionRpe(workout)})`);
+        this.printWorkoutDetails(workout, '   ');
+        records.forEach(record => {
+            console.log(`🏆 New personal record! ${WorkoutAnalysis.formatRecord(record)}`);
+        });
+
+        return workout;
+    }
+
+    /**
+     * Validate the structured part of a workout
+     * @returns {Object} { isValid, errors, values: { catalogId, exercises, distance, pace, heartRate } }
+     */
+    buildWorkoutFields(session, details = {}) {
+        const errors = [];
+        const values = {};
+        const catalog = this.getCatalog();
+        const provided = value => value !== undefined && value !== null && value !== '';
+
+        const catalogEntry = catalog.find(session.type);
+        if (catalogEntry) {
+            values.catalogId = catalogEntry.id;
+        }
+
+        if (provided(details.sets)) {
+            const parsed = WorkoutAnalysis.parseSets(details.sets, catalog);
+            if (parsed.isValid) {
+                values.exercises = parsed.exercises;
+            } else {
+                errors.push(...parsed.errors);
+            }
+        }
+
+        const validation = ValidationUtils.validateFields(details, ExerciseTracker.WORKOUT_RULES);
+        errors.push(...validation.errors);
+        const { distance, avgHeartRate, maxHeartRate } = validation.values;
+        if (distance !== undefined) {
+            values.distance = distance;
+            values.pace = WorkoutAnalysis.round(session.duration / distance, 2);
+        }
+
+        const heartRate = {};
+        if (avgHeartRate !== undefined) heartRate.avg = avgHeartRate;
+        if (maxHeartRate !== undefined) heartRate.max = maxHeartRate;
+        if (heartRate.avg && heartRate.max && heartRate.max < heartRate.avg) {
+            errors.push('Max heart rate cannot be below the average');
+        }
+        if (provided(details.zones)) {
+            const zones = Array.isArray(details.zones)
+                ? (details.zones.length === WorkoutAnalysis.ZONES.length && details.zones.every(m => Number.isFinite(m) && m >= 0) ? details.zones : null)
+                : WorkoutAnalysis.parseZones(details.zones);
+            if (!zones) {
+                errors.push(`Zones must be ${WorkoutAnalysis.ZONES.length} minute values (Z1-Z5), e.g. 5,10,20,5,0`);
+            } else if (zones.reduce((sum, minutes) => sum + minutes, 0) > session.duration) {
+                errors.push('Zone minutes add up to more than the session duration');
+            } else {
+                heartRate.zones = zones;
+            }
+        }
+        if (errors.length === 0 && Object.keys(heartRate).length > 0) {
+            values.heartRate = this.analysis().heartRate(heartRate, session.duration);
+        }
+
+        return { isValid: errors.length === 0, errors, values };
+    }
+
+    /**
+     * Recompute catalog link and pace after the type or duration of a session changes
+     */
+    refreshWorkout(entry) {
+        const catalogEntry = this.getCatalog().find(entry.type);
+        if (catalogEntry) {
+            entry.catalogId = catalogEntry.id;
+        } else {
+            delete entry.catalogId;
+        }
+        if (entry.distance > 0) {
+            entry.pace = WorkoutAnalysis.round(entry.duration / entry.distance, 2);
+        }
+    }
+
+    printWorkoutDetails(workout, indent = '') {
+        (workout.exercises || []).forEach(item => {
+            console.log(`${indent}🏋️ ${item.name}: ${WorkoutAnalysis.formatSets(item.sets)}`);
+        });
+        if (workout.distance) {
+            console.log(`${indent}📏 ${workout.distance} km at ${WorkoutAnalysis.formatPace(workout.pace)}`);
+        }
+        if (workout.heartRate) {
+            const { avg, max, zones, zonesEstimated } = workout.heartRate;
+            const parts = [];
+            if (avg) parts.push(`avg ${avg} bpm`);
+            if (max) parts.push(`max ${max} bpm`);
+            if (zones) {
+                const breakdown = zones
+                    .map((minutes, index) => (minutes > 0 ? `Z${index + 1} ${minutes} min` : null))
+                    .filter(Boolean)
+                    .join(', ');
+                parts.push(`${breakdown}${zonesEstimated ? ' (estimated from average)' : ''}`);
+            }
+            console.log(`${indent}❤️ ${parts.join(' | ')}`);
+        }
+    }
+
+    getCatalog() {
+        return new ExerciseCatalog(this.data.catalog);
+    }
+
+    /**
+     * Add a custom exercise to the catalog
+     * @returns {Object|null} The new catalog entry
+     */
+    addCatalogExercise(name, category = 'strength', aliases = []) {
+        const result = this.getCatalog().create(name, category, aliases);
+        if (!result.isValid) {
+            result.errors.forEach(error => console.error(`❌ ${error}`));
+            return null;
+        }
+
+        this.data.catalog = [...(this.data.catalog || []), result.entry];
+        if (!this.saveData()) {
+            this.data.catalog.pop();
+            return null;
+        }
+
+        console.log(`\n✓ Added ${result.entry.name} (${result.entry.category}) to the exercise catalog`);
+        return result.entry;
+    }
+
+    showCatalog(category = null) {
+        const entries = this.getCatalog().list(category);
+        console.log(`\n📚 Exercise Catalog${category ? ` (${category})` : ''}`);
+        console.log('─'.repeat(60));
+        ExerciseCatalog.CATEGORIES.forEach(group => {
+            const inGroup = entries.filter(entry => entry.category === group);
+            if (inGroup.length === 0) return;
+            console.log(`\n${group.charAt(0).toUpperCase()}${group.slice(1)}:`);
+            inGroup.forEach(entry => {
+                const aliases = entry.aliases && entry.aliases.length > 0 ? ` (also: ${entry.aliases.join(', ')})` : '';
+                console.log(`  • ${entry.name}${aliases}${entry.custom ? ' [custom]' : ''}`);
+            });
+        });
+        return entries;
+    }
+
+    getMaxHeartRate() {
+        return (this.data.settings && this.data.settings.maxHeartRate) || null;
+    }
+
+    /**
+     * Maximum heart rate used for zones (from a lab or field test, or 220 - age as a rough guide)
+     */
+    setMaxHeartRate(bpm) {
+        const maxHeartRate = ValidationUtils.parseInteger(bpm, { min: 100, max: 240, fieldName: 'max heart rate' });
+        if (maxHeartRate === null) {
+            return false;
+        }
+
+        const previous = this.data.settings;
+        this.data.settings = { ...(previous || {}), maxHeartRate };
+        if (!this.saveData()) {
+            this.data.settings = previous;
+            return false;
+        }
+
+        console.log(`\n✓ Max heart rate set to ${maxHeartRate} bpm`);
+        WorkoutAnalysis.ZONES.forEach((zone, index) => {
+            const from = Math.round(maxHeartRate * zone.from);
+            const to = index < WorkoutAnalysis.ZONES.length - 1
+                ? Math.round(maxHeartRate * WorkoutAnalysis.ZONES[index + 1].from) - 1
+                : maxHeartRate;
+            console.log(`  ${zone.label}: ${from}-${to} bpm`);
+        });
+        return true;
+    }
+
+    analysis() {
+        return new WorkoutAnalysis({ maxHeartRate: this.getMaxHeartRate() });
+    }
+
+    /**
+     * Current best per exercise (see WorkoutAnalysis.bests)
+     */
+    getPersonalRecords() {
+        return WorkoutAnalysis.bests(this.data.exercises, this.getCatalog());
+    }
+
+    showPersonalRecords() {
+        const bests = this.getPersonalRecords();
+        const exercises = Object.values(bests);
+        if (exercises.length === 0) {
+            console.log('\n📭 No structured workouts yet. Log sets or distance with the workout command.');
+            return bests;
+        }
+
+        console.log('\n🏆 Personal Records');
+        console.log('─'.repeat(60));
+        exercises
+            .sort((a, b) => a.exercise.localeCompare(b.exercise))
+            .forEach(({ exercise, records }) => {
+                console.log(`\n${exercise}:`);
+                Object.entries(records).forEach(([kind, best]) => {
+                    const { label, format } = WorkoutAnalysis.RECORD_KINDS[kind];
+                    console.log(`  ${label}: ${format(best.value)} (${best.date})`);
+                });
+            });
+        return bests;
+    }
+
+    /**
+     * Validate an exercise session and build it without saving (used by importers)
+     * @param {Object} input - { date, type, duration, intensity, notes }
+     * @returns {Object} { isValid, errors, entry }
+     */
+    buildEntry(input) {
+        const validation = ValidationUtils.validateFields(input, {
+            date: { type: 'date' },
+            ...ExerciseTracker.ENTRY_RULES
+        });
+        if (!validation.isValid) {
+            return { isValid: false, errors: validation.errors, entry: null };
+        }
+
+        const { date, type, duration, intensity, notes, rpe } = validation.values;
+        const entry = {
+            id: this.generateId(),
+            date: date || new Date().toISOString().split('T')[0],
+            timestamp: new Date().toISOString(),
+            type,
+            duration,
+            intensity,
+            notes
+        };
+        if (rpe) {
+            entry.rpe = rpe;
+        }
+        return { isValid: true, errors: [], entry };
+    }
+
+    /**
+     * Change fields of a logged session (type, duration, intensity, rpe, notes, date)
+     * @returns {Object|null} Updated session
+     */
+    editEntry(id, changes) {
+        return this.editor.report(this.editor.edit(id, changes), 'updated');
+    }
+
+    deleteEntry(id) {
+        return this.editor.report(this.editor.remove(id), 'deleted');
+    }
+
+    /**
+     * Revert the last edit or delete (within EntryEditor.UNDO_WINDOW_MINUTES)
+     */
+    undoLastChange() {
+        return this.editor.report(this.editor.undo(), 'restored');
+    }
+
+    showChanges(limit = 20) {
+        return this.editor.printHistory(limit);
+    }
+
     getHistory(days = 7) {
         if (this.data.exercises.length === 0) {
             console.log('\n📭 No exercise data yet. Start logging your workouts!');
@@ -120,8 +492,12 @@ class ExerciseTracker {
 
         recentExercises.forEach(ex => {
             const intensityEmoji = this.getIntensityEmoji(ex.intensity);
-            console.log(`\n📅 ${ex.date}`);
+            console.log(`\n📅 ${ex.date}  [id ${ex.id}]`);
             console.log(`   ${intensityEmoji} ${ex.type} - ${ex.duration} min (${ex.intensity})`);
+            this.printWorkoutDetails(ex, '   ');
+            (ex.records || []).forEach(record => {
+                console.log(`   🏆 ${WorkoutAnalysis.formatRecord(record)}`);
+            });
             if (ex.notes) {
                 console.log(`   💭 ${ex.notes}`);
             }
@@ -185,7 +561,10 @@ class ExerciseTracker {
             avgMinutes,
             daysWithExercise,
             intensityCounts,
-            mostCommonType: mostCommon ? mostCommon[0] : 'N/A'
+            mostCommonType: mostCommon ? mostCommon[0] : 'N/A',
+            weeklyVolume: WorkoutAnalysis.weeklyVolume(recentExercises),
+            personalRecords: recentExercises.flatMap(ex => (ex.records || []).map(record => ({ ...record, date: ex.date }))),
+            trainingLoad: this.getTrainingLoad()
         };
 
         console.log(`\n📊 Exercise Stats (Last ${days} Days)`);
@@ -200,9 +579,85 @@ class ExerciseTracker {
         console.log(`  💨 High: ${intensityCounts.high}`);
         console.log(`\nMost Common: ${stats.mostCommonType}`);
 
+        const structured = stats.weeklyVolume.some(week => week.sets > 0 || week.distance > 0 ||
+            week.zoneMinutes.some(minutes => minutes > 0));
+        if (structured) {
+            console.log('\nWeekly Volume:');
+            stats.weeklyVolume.forEach(week => {
+                const parts = [`${week.sessions} session${week.sessions === 1 ? '' : 's'}`, `${week.minutes} min`];
+                if (week.sets > 0) parts.push(`${week.sets} sets`, `${week.reps} reps`, `${week.volume} kg lifted`);
+                if (week.distance > 0) parts.push(`${week.distance} km`);
+                console.log(`  Week of ${week.week}: ${parts.join(', ')}`);
+                if (week.zoneMinutes.some(minutes => minutes > 0)) {
+                    const zones = week.zoneMinutes.map((minutes, index) => `Z${index + 1} ${minutes}`).join(' | ');
+                    console.log(`    ❤️ Zone minutes: ${zones}`);
+                }
+            });
+        }
+
+        if (stats.personalRecords.length > 0) {
+            console.log('\n🏆 Personal Records Set:');
+            stats.personalRecords.forEach(record => {
+                console.log(`  ${record.date}: ${WorkoutAnalysis.formatRecord(record)}`);
+            });
+        }
+
+        if (stats.trainingLoad) {
+            console.log('\n📈 Training Load:');
+            this.printTrainingLoad(stats.trainingLoad);
+        }
+
         return stats;
     }
 
+    /**
+     * Training load as of `now` (see TrainingLoad.summary)
+     * @returns {Object|null}
+     */
+    getTrainingLoad(now = new Date()) {
+        return TrainingLoad.summary(this.data.exercises, now);
+    }
+
+    showTrainingLoad(now = new Date()) {
+        const load = this.getTrainingLoad(now);
+        if (!load) {
+            console.log(`\n📭 No exercise logged in the last ${TrainingLoad.CHRONIC_DAYS} days.`);
+            return null;
+        }
+
+        console.log(`\n📈 Training Load (as of ${load.date})`);
+        console.log('─'.repeat(60));
+        this.printTrainingLoad(load);
+        console.log('\nLast 7 days:');
+        load.dailyLoads.forEach(day => {
+            const bar = '█'.repeat(Math.min(40, Math.round(day.load / 50)));
+            console.log(`  ${day.date}  ${String(day.load).padStart(5)} AU ${bar}`);
+        });
+        return load;
+    }
+
+    printTrainingLoad(load) {
+        console.log(`Acute load (7 days): ${load.acuteLoad} AU`);
+        console.log(`Chronic load (28-day weekly average): ${load.chronicLoad} AU`);
+        if (load.acwr !== null) {
+            console.log(`Acute:chronic ratio: ${load.acwr} (${load.zoneLabel})`);
+        }
+        if (load.monotony !== null) {
+            console.log(`Monotony: ${load.monotony} | Strain: ${load.strain}`);
+        }
+        if (!load.baselineReady) {
+            console.log(`💡 Ratio is still settling - it needs ${TrainingLoad.CHRONIC_DAYS} days of history`);
+        }
+        if (load.zone === 'high') {
+            console.log('⚠️  Load spike: this week is well above your usual. Consider an easier few days.');
+        } else if (load.zone === 'caution') {
+            console.log('⚠️  Load is rising quickly. Build up gradually.');
+        }
+        if (load.highMonotony) {
+            console.log(`⚠️  Monotony above ${TrainingLoad.HIGH_MONOTONY}: mix hard days with easy or rest days.`);
+        }
+    }
+
     getTodayMinutes() {
         const today = new Date().toISOString().split('T')[0];
         const todayExercises = this.data.exercises
@@ -233,6 +688,20 @@ class ExerciseTracker {
     }
 }
 
+ExerciseTracker.ENTRY_RULES = {
+    type: { type: 'string', max: 100, required: true },
+    duration: { type: 'number', min: 1, max: 600, required: true },
+    intensity: { type: 'enum', values: ['low', 'moderate', 'high'], default: 'moderate' },
+    rpe: { type: 'integer', min: 1, max: 10 },
+    notes: { type: 'string', max: 1000, default: '' }
+};
+
+ExerciseTracker.WORKOUT_RULES = {
+    distance: { type: 'number', min: 0.01, max: 1000 },
+    avgHeartRate: { type: 'integer', min: 30, max: 240 },
+    maxHeartRate: { type: 'integer', min: 30, max: 240 }
+};
+
 // CLI Interface
 if (require.main === module) {
     const tracker = new ExerciseTracker();
@@ -240,12 +709,84 @@ if (require.main === module) {
     const command = args[0];
 
     switch(command) {
-        case 'log':
-            const type = args[1];
-            const duration = args[2];
-            const intensity = args[3] || 'moderate';
-            const notes = args.slice(4).join(' ');
-            tracker.logExercise(type, duration, intensity, notes);
+        case 'log': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            const [type, duration, intensity = 'moderate', ...noteWords] = positional;
+            tracker.logExercise(type, duration, intensity, noteWords.join(' '), { date: flags.date, at: flags.at, rpe: flags.rpe });
+            break;
+        }
+
+        case 'workout': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            const [type, duration, intensity = 'moderate', ...noteWords] = positional;
+            tracker.logWorkout(type, duration, {
+                intensity,
+                rpe: flags.rpe,
+                notes: flags.notes || noteWords.join(' '),
+                sets: flags.sets,
+                distance: flags.distance,
+                avgHeartRate: flags.avgHr,
+                maxHeartRate: flags.maxHr,
+                zones: flags.zones
+            }, { date: flags.date, at: flags.at });
+            break;
+        }
+
+        case 'catalog':
+            if (args[1] === 'add') {
+                if (!args[2]) {
+                    console.log('❌ Usage: catalog add <name> [strength|cardio|mobility] [aliases...]');
+                    break;
+                }
+                tracker.addCatalogExercise(args[2], args[3], args.slice(4));
+            } else {
+                tracker.showCatalog(args[1] || null);
+            }
+            break;
+
+        case 'records':
+            tracker.showPersonalRecords();
+            break;
+
+        case 'load':
+            tracker.showTrainingLoad();
+            break;
+
+        case 'max-hr':
+            if (args[1]) {
+                tracker.setMaxHeartRate(args[1]);
+            } else {
+                const maxHeartRate = tracker.getMaxHeartRate();
+                console.log(maxHeartRate
+                    ? `\n❤️ Max heart rate: ${maxHeartRate} bpm`
+                    : '\n❤️ Max heart rate not set (zones need it): node exercise-tracker.js max-hr <bpm>');
+            }
+            break;
+
+        case 'edit': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            if (positional.length < 1) {
+                console.log('❌ Usage: edit <id> [--type name] [--duration minutes] [--intensity level] [--rpe 1-10] [--notes text] [--date YYYY-MM-DD] [--at HH:MM]');
+                break;
+            }
+            tracker.editEntry(positional[0], flags);
+            break;
+        }
+
+        case 'delete':
+            if (!args[1]) {
+                console.log('❌ Usage: delete <id>');
+                break;
+            }
+            tracker.deleteEntry(args[1]);
+            break;
+
+        case 'undo':
+            tracker.undoLastChange();
+            break;
+
+        case 'changes':
+            tracker.showChanges();
             break;
 
         case 'history':
@@ -291,13 +832,53 @@ COMMANDS:
       Log an exercise session
       Intensity: low, moderate, high (default: moderate)
       Example: node exercise-tracker.js log "Running" 30 high "Morning jog"
+      Backdate with --date YYYY-MM-DD and/or --at HH:MM
+      --rpe 1-10 rates how hard the session felt (default: from intensity)
+
+  workout <type> <minutes> [intensity] [--rpe 1-10] [--sets spec] [--distance km] [--avg-hr bpm] [--max-hr bpm] [--zones z1,..,z5]
+      Log a structured workout; new personal records are announced
+      Sets: "<exercise>:<sets>x<reps>@<kg>", groups comma separated, exercises
+      separated by semicolons (leave out @<kg> for bodyweight)
+      Zones: minutes in Z1-Z5; without them the session counts in the zone
+      of its average heart rate (needs max-hr)
+      Example: node exercise-tracker.js workout "Strength" 60 high --sets "Squat:5x5@100; Pull-up:3x8"
+      Example: node exercise-tracker.js workout "Running" 30 moderate --distance 5.2 --avg-hr 152 --max-hr 174
+
+  catalog [strength|cardio|mobility]
+      List known exercises and their aliases
+
+  catalog add <name> [category] [aliases...]
+      Add a custom exercise (default category: strength)
+
+  records
+      Show personal records (heaviest set, estimated 1RM, volume, distance, pace)
+
+  load
+      Training load: acute and chronic load (RPE x minutes), acute:chronic
+      ratio, monotony and strain
+
+  max-hr [bpm]
+      Show or set the maximum heart rate used for heart-rate zones
+
+  edit <id> [--type name] [--duration minutes] [--intensity level] [--rpe 1-10] [--notes text] [--date YYYY-MM-DD] [--at HH:MM]
+      Fix a logged session (ids are shown in history)
+
+  delete <id>
+      Delete a logged session
+
+  undo
+      Revert the last edit or delete (within ${EntryEditor.UNDO_WINDOW_MINUTES} minutes)
+
+  changes
+      Show the record of edits and deletions
 
   history [days]
       View exercise history (default: 7 days)
       Example: node exercise-tracker.js history 14
 
   stats [days]
-      View exercise statistics (default: 30 days)
+      View exercise statistics (default: 30 days), with weekly volume and
+      personal records for structured workouts
       Example: node exercise-tracker.js stats
 
   today
@@ -310,6 +891,8 @@ COMMANDS:
 EXAMPLES:
   node exercise-tracker.js log "Yoga" 45 low "Evening session"
   node exercise-tracker.js log "Cycling" 60 moderate
+  node exercise-tracker.js log "Swimming" 40 high --date 2025-01-14 --at 18:30
+  node exercise-tracker.js workout "Cycling" 90 moderate --distance 42 --zones 10,50,25,5,0
   node exercise-tracker.js history
   node exercise-tracker.js stats
             `);
@@ -1,5 +1,30 @@
 const fs = require('fs');
 const path = require('path');
+const FHIRConverter = require('./fhir-converter');
+const ValidationUtils = require('./validation-utils');
+const MentalHealthTracker = require('./mental-health-tracker');
+const SleepTracker = require('./sleep-tracker');
+
+// Records from outside bundles are checked with the same rules the trackers use
+const FHIR_IMPORT_RULES = {
+    // Frequencies need no check: FHIRConverter only produces ones the tracker knows
+    medications: {
+        name: { type: 'string', max: 200, required: true },
+        dosage: { type: 'string', max: 100 },
+        scheduledTime: { type: 'time' }
+    },
+    doseHistory: {
+        medicationId: { type: 'number', required: true },
+        dosage: { type: 'string', max: 100 },
+        notes: { type: 'string', max: 1000 }
+    },
+    moodEntries: MentalHealthTracker.MOOD_RULES,
+    symptoms: MentalHealthTracker.SYMPTOM_RULES,
+    sleepEntries: {
+        ...SleepTracker.ENTRY_RULES,
+        duration: { type: 'number', min: 0, max: 24, required: true }
+    }
+};
 
 /**
  * ExportManager - Export wellness data to various formats
@@ -10,6 +35,7 @@ const path = require('path');
  * - Custom date range exports
  * - Filtered exports by metric type
  * - Batch export all data
+ * - FHIR R4 Bundle export/import (see fhir-converter.js)
  */
 class ExportManager {
     constructor(dashboard, exportsDir = './data/exports') {
@@ -319,6 +345,162 @@ class ExportManager {
         return { imported, total: data.entries.length };
     }
 
+    /**
+     * Export medications, doses, moods, sleep and symptoms as a FHIR R4 Bundle
+     *
+     * @param {Object} options - { days: history window (medications are always included), filename }
+     * @returns {string} Path to exported bundle
+     */
+    exportToFHIR(options = {}) {
+        const { days = 30, filename = null } = options;
+        const { mentalHealth, medication, sleep } = this.dashboard;
+
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - days);
+        const recent = (list, field = 'timestamp') => (list || [])
+            .filter(item => item && item[field] && new Date(item[field]) >= cutoff);
+
+        const data = {
+            medications: medication ? medication.data.medications || [] : [],
+            doseHistory: medication ? recent(medication.data.history, 'takenAt') : [],
+            moodEntries: mentalHealth ? recent(mentalHealth.data.moodEntries) : [],
+            symptoms: mentalHealth ? recent(mentalHealth.data.symptoms) : [],
+            sleepEntries: sleep ? recent(sleep.data.sleepEntries) : []
+        };
+
+        const total = Object.values(data).reduce((sum, list) => sum + list.length, 0);
+        if (total === 0) {
+            throw new Error('No data to export');
+        }
+
+        const bundle = new FHIRConverter().toBundle(data);
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const fhirFilename = filename || `fhir-bundle-${timestamp}.json`;
+        const filepath = path.join(this.exportsDir, fhirFilename);
+
+        fs.writeFileSync(filepath, JSON.stringify(bundle, null, 2), 'utf-8');
+
+        console.log('\n✅ Data exported as FHIR R4 Bundle successfully!');
+        console.log(`   Location: ${filepath}`);
+        console.log(`   Resources: ${bundle.entry.length}`);
+        console.log(`   File size: ${this.getFileSize(filepath)}`);
+
+        return filepath;
+    }
+
+    /**
+     * Import a FHIR R4 Bundle into the trackers
+     * Records already present (same medication name and dosage, same
+     * timestamp for logs) are skipped. Moods, symptoms and sleep entries that
+     * fail the trackers' validation rules are counted as skipped.
+     *
+     * @param {string} filepath - Bundle JSON file
+     * @returns {Object} Counts of imported, duplicate and skipped records
+     */
+    importFromFHIR(filepath) {
+        if (!fs.existsSync(filepath)) {
+            throw new Error(`File not found: ${filepath}`);
+        }
+
+        const records = new FHIRConverter().fromBundle(JSON.parse(fs.readFileSync(filepath, 'utf-8')));
+        const { mentalHealth, medication, sleep } = this.dashboard;
+        const summary = { medications: 0, doses: 0, moods: 0, sleepEntries: 0, symptoms: 0, duplicates: 0, skipped: records.skipped };
+
+        console.log(`\n📥 Importing FHIR bundle from ${filepath}...`);
+
+        const isValid = (item, rules) => {
+            if (ValidationUtils.validateFields(item, rules).isValid) {
+                return true;
+            }
+            summary.skipped++;
+            return false;
+        };
+        const merge = (list, items, isSame, create, countKey, rules = null) => {
+            items.forEach(item => {
+                if (rules && !isValid(item, rules)) {
+                    return;
+                }
+                if (list.some(existing => isSame(existing, item))) {
+                    summary.duplicates++;
+                    return;
+                }
+                list.push(create(item));
+                summary[countKey]++;
+            });
+        };
+
+        if (medication) {
+            const meds = medication.data.medications;
+            const idsByRef = new Map();
+            const sameMed = (a, b) => a.name.toLowerCase() === b.name.toLowerCase() && (a.dosage || '') === (b.dosage || '');
+
+            records.medications.forEach(({ ref, ...med }) => {
+                if (!isValid(med, FHIR_IMPORT_RULES.medications)) {
+                    return;
+                }
+                let existing = meds.find(m => sameMed(m, med));
+                if (existing) {
+                    summary.duplicates++;
+                } else {
+                    existing = { id: medication.generateId(), ...med, importedFrom: 'fhir' };
+                    meds.push(existing);
+                    summary.medications++;
+                }
+                if (ref) {
+                    idsByRef.set(ref, existing.id);
+                }
+            });
+
+            const doses = records.doseHistory.map(({ medicationRef, ...dose }) => {
+                const byName = meds.find(m => m.name.toLowerCase() === dose.medicationName.toLowerCase());
+                return { medicationId: idsByRef.get(medicationRef) || (byName ? byName.id : null), ...dose };
+            });
+            // Doses need a time and a medication they belong to
+            const timed = doses.filter(d => !isNaN(new Date(d.takenAt).getTime()));
+            summary.skipped += doses.length - timed.length;
+            merge(medication.data.history, timed,
+                (a, b) => a.medicationId === b.medicationId && a.takenAt === b.takenAt, d => d, 'doses',
+                FHIR_IMPORT_RULES.doseHistory);
+            medication.saveData();
+        } else {
+            summary.skipped += records.medications.length + records.doseHistory.length;
+        }
+
+        if (mentalHealth) {
+            const sameLog = (a, b) => a.timestamp === b.timestamp;
+            merge(mentalHealth.data.moodEntries, records.moodEntries,
+                (a, b) => sameLog(a, b) && a.rating === b.rating,
+                m => ({ id: mentalHealth.generateId(), ...m }), 'moods', FHIR_IMPORT_RULES.moodEntries);
+            merge(mentalHealth.data.symptoms, records.symptoms,
+                (a, b) => sameLog(a, b) && a.type === b.type,
+                m => ({ id: mentalHealth.generateId(), ...m }), 'symptoms', FHIR_IMPORT_RULES.symptoms);
+            mentalHealth.saveData();
+        } else {
+            summary.skipped += records.moodEntries.length + records.symptoms.length;
+        }
+
+        if (sleep) {
+            let nextId = Date.now();
+            merge(sleep.data.sleepEntries, records.sleepEntries,
+                (a, b) => a.date === b.date && a.bedtime === b.bedtime,
+                e => ({ id: nextId++, ...e }), 'sleepEntries', FHIR_IMPORT_RULES.sleepEntries);
+            sleep.saveData();
+        } else {
+            summary.skipped += records.sleepEntries.length;
+        }
+
+        console.log('\n✅ FHIR import completed!');
+        console.log(`   Medications: ${summary.medications}, doses: ${summary.doses}`);
+        console.log(`   Moods: ${summary.moods}, sleep entries: ${summary.sleepEntries}, symptoms: ${summary.symptoms}`);
+        console.log(`   Duplicates skipped: ${summary.duplicates}`);
+        if (summary.skipped > 0) {
+            console.log(`   Unsupported or invalid resources skipped: ${summary.skipped}`);
+        }
+
+        return summary;
+    }
+
     /**
      * List all exported files
      */
@@ -0,0 +1,486 @@
+const { v4: uuidv4 } = require('uuid');
+const MentalHealthTracker = require('./mental-health-tracker');
+
+/**
+ * FHIR Converter Module
+ * Maps tracker data to and from FHIR R4 Bundles
+ *
+ * Export mapping:
+ * - Medications      -> MedicationStatement (dose timing from the frequency)
+ * - Dose history     -> MedicationAdministration
+ * - Mood entries     -> Observation (survey, StepSync wellness code)
+ * - Sleep entries    -> Observation (activity, LOINC 93832-4 Sleep duration,
+ *                       quality/bedtime/wake time as components)
+ * - Symptom logs     -> Observation (survey, StepSync symptom code); one
+ *                       summary Condition per symptom type, citing its logs
+ *
+ * Import accepts the same shapes from other apps. Resources it cannot map
+ * (including sleep observations without bedtime, wake time and quality) are
+ * counted as skipped rather than rejected.
+ */
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const CONDITION_CLINICAL = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const CONDITION_VERIFICATION = 'http://terminology.hl7.org/CodeSystem/condition-ver-status';
+const CONDITION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/condition-category';
+const WELLNESS_SYSTEM = 'https://stepsync.ai/fhir/CodeSystem/wellness';
+const SYMPTOM_SYSTEM = 'https://stepsync.ai/fhir/CodeSystem/symptom';
+const IDENTIFIER_SYSTEM = 'https://stepsync.ai/fhir/identifier';
+const SUMMARY_TAG = { system: WELLNESS_SYSTEM, code: 'symptom-summary' };
+
+const SLEEP_DURATION_LOINC = '93832-4';
+
+// FHIR Timing.repeat for each MedicationTracker frequency
+const FREQUENCY_TIMING = {
+    'daily': { frequency: 1, period: 1, periodUnit: 'd' },
+    'twice-daily': { frequency: 2, period: 1, periodUnit: 'd' },
+    'three-times-daily': { frequency: 3, period: 1, periodUnit: 'd' },
+    'four-times-daily': { frequency: 4, period: 1, periodUnit: 'd' },
+    'weekly': { frequency: 1, period: 1, periodUnit: 'wk' },
+    'every-other-day': { frequency: 1, period: 2, periodUnit: 'd' }
+};
+
+// Condition.severity text -> symptom severity (1-10)
+const SEVERITY_SCORES = { mild: 3, moderate: 6, severe: 9 };
+
+class FHIRConverter {
+    /**
+     * @param {Object} options - { patientName: display name for the Patient resource }
+     */
+    constructor(options = {}) {
+        this.patientName = options.patientName || 'StepSync User';
+    }
+
+    /**
+     * Build a FHIR R4 collection Bundle
+     *
+     * @param {Object} data - { medications, doseHistory, moodEntries, sleepEntries, symptoms }
+     * @returns {Object} FHIR Bundle
+     */
+    toBundle(data = {}) {
+        const entries = [];
+        const add = (resource) => {
+            const fullUrl = `urn:uuid:${uuidv4()}`;
+            entries.push({ fullUrl, resource });
+            return fullUrl;
+        };
+
+        const patient = add({
+            resourceType: 'Patient',
+            id: 'stepsync-user',
+            name: [{ text: this.patientName }]
+        });
+        const subject = { reference: patient };
+
+        const statementUrls = new Map();
+        (data.medications || []).forEach(med => {
+            statementUrls.set(String(med.id), add(this.medicationToStatement(med, subject)));
+        });
+
+        (data.doseHistory || []).forEach(dose => {
+            add(this.doseToAdministration(dose, subject, statementUrls.get(String(dose.medicationId))));
+        });
+
+        (data.moodEntries || []).forEach(entry => add(this.moodToObservation(entry, subject)));
+        (data.sleepEntries || []).forEach(entry => add(this.sleepToObservation(entry, subject)));
+
+        const symptomsByType = new Map();
+        (data.symptoms || []).forEach(symptom => {
+            const url = add(this.symptomToObservation(symptom, subject));
+            if (!symptomsByType.has(symptom.type)) {
+                symptomsByType.set(symptom.type, []);
+            }
+            symptomsByType.get(symptom.type).push({ symptom, url });
+        });
+        symptomsByType.forEach((logs, type) => add(this.symptomsToCondition(type, logs, subject)));
+
+        return {
+            resourceType: 'Bundle',
+            type: 'collection',
+            timestamp: new Date().toISOString(),
+            entry: entries
+        };
+    }
+
+    identifier(kind, id) {
+        return [{ system: `${IDENTIFIER_SYSTEM}/${kind}`, value: String(id) }];
+    }
+
+    medicationToStatement(med, subject) {
+        const dosage = { text: [med.dosage, med.frequency, med.scheduledTime && `at ${med.scheduledTime}`].filter(Boolean).join(' ') };
+        const dose = this.parseDose(med.dosage);
+
+        if (med.frequency === 'as-needed') {
+            dosage.asNeededBoolean = true;
+        } else if (FREQUENCY_TIMING[med.frequency]) {
+            dosage.timing = { repeat: { ...FREQUENCY_TIMING[med.frequency] } };
+            if (med.scheduledTime) {
+                dosage.timing.repeat.timeOfDay = [`${med.scheduledTime}:00`];
+            }
+        }
+        if (dose) {
+            dosage.doseAndRate = [{ doseQuantity: dose }];
+        }
+
+        const statement = {
+            resourceType: 'MedicationStatement',
+            id: `med-${med.id}`,
+            identifier: this.identifier('medication', med.id),
+            status: med.active === false ? 'stopped' : 'active',
+            medicationCodeableConcept: { text: med.name },
+            subject,
+            dosage: [dosage]
+        };
+        if (med.createdAt) {
+            statement.effectivePeriod = { start: med.createdAt };
+        }
+        return statement;
+    }
+
+    doseToAdministration(dose, subject, statementUrl) {
+        const administration = {
+            resourceType: 'MedicationAdministration',
+            status: 'completed',
+            medicationCodeableConcept: { text: dose.medicationName },
+            subject,
+            effectiveDateTime: dose.takenAt
+        };
+        if (statementUrl) {
+            administration.supportingInformation = [{ reference: statementUrl }];
+        }
+        if (dose.dosage) {
+            administration.dosage = { text: dose.dosage };
+            const quantity = this.parseDose(dose.dosage);
+            if (quantity) {
+                administration.dosage.dose = quantity;
+            }
+        }
+        if (dose.notes) {
+            administration.note = [{ text: dose.notes }];
+        }
+        return administration;
+    }
+
+    moodToObservation(entry, subject) {
+        const observation = {
+            resourceType: 'Observation',
+            id: `mood-${entry.id}`,
+            identifier: this.identifier('mood', entry.id),
+            status: 'final',
+            category: [this.category('survey')],
+            code: {
+                coding: [{ system: WELLNESS_SYSTEM, code: 'mood-rating', display: 'Self-reported mood (1-10)' }],
+                text: 'Mood rating'
+            },
+            subject,
+            effectiveDateTime: entry.timestamp,
+            valueQuantity: this.score(entry.rating)
+        };
+        if (entry.note) {
+            observation.note = [{ text: entry.note }];
+        }
+        return observation;
+    }
+
+    sleepToObservation(entry, subject) {
+        const components = [{
+            code: { coding: [{ system: WELLNESS_SYSTEM, code: 'sleep-quality', display: 'Sleep quality (1-10)' }] },
+            valueQuantity: this.score(entry.quality)
+        }];
+        if (entry.bedtime) {
+            components.push({
+                code: { coding: [{ system: WELLNESS_SYSTEM, code: 'bedtime', display: 'Bedtime' }] },
+                valueTime: `${entry.bedtime}:00`
+            });
+        }
+        if (entry.wakeTime) {
+            components.push({
+                code: { coding: [{ system: WELLNESS_SYSTEM, code: 'wake-time', display: 'Wake time' }] },
+                valueTime: `${entry.wakeTime}:00`
+            });
+        }
+
+        const observation = {
+            resourceType: 'Observation',
+            id: `sleep-${entry.id}`,
+            identifier: this.identifier('sleep', entry.id),
+            status: 'final',
+            category: [this.category('activity')],
+            code: {
+                coding: [{ system: LOINC, code: SLEEP_DURATION_LOINC, display: 'Sleep duration' }],
+                text: 'Sleep duration'
+            },
+            subject,
+            effectiveDateTime: entry.timestamp || entry.date,
+            valueQuantity: { value: entry.duration, unit: 'h', system: UCUM, code: 'h' },
+            component: components
+        };
+        if (entry.notes) {
+            observation.note = [{ text: entry.notes }];
+        }
+        return observation;
+    }
+
+    symptomToObservation(symptom, subject) {
+        const observation = {
+            resourceType: 'Observation',
+            id: `symptom-${symptom.id}`,
+            identifier: this.identifier('symptom', symptom.id),
+            status: 'final',
+            category: [this.category('survey')],
+            code: {
+                coding: [{ system: SYMPTOM_SYSTEM, code: symptom.type, display: symptom.type }],
+                text: `Symptom severity: ${symptom.type}`
+            },
+            subject,
+            effectiveDateTime: symptom.timestamp,
+            valueQuantity: this.score(symptom.severity)
+        };
+        if (symptom.note) {
+            observation.note = [{ text: symptom.note }];
+        }
+        return observation;
+    }
+
+    symptomsToCondition(type, logs, subject) {
+        const timestamps = logs.map(({ symptom }) => symptom.timestamp).filter(Boolean).sort();
+        const peak = Math.max(...logs.map(({ symptom }) => symptom.severity || 0));
+
+        return {
+            resourceType: 'Condition',
+            meta: { tag: [SUMMARY_TAG] },
+            clinicalStatus: { coding: [{ system: CONDITION_CLINICAL, code: 'active' }] },
+            verificationStatus: { coding: [{ system: CONDITION_VERIFICATION, code: 'unconfirmed' }] },
+            category: [{ coding: [{ system: CONDITION_CATEGORY, code: 'problem-list-item' }] }],
+            severity: { text: peak >= 8 ? 'severe' : peak >= 5 ? 'moderate' : 'mild' },
+            code: {
+                coding: [{ system: SYMPTOM_SYSTEM, code: type, display: type }],
+                text: type
+            },
+            subject,
+            onsetDateTime: timestamps[0],
+            recordedDate: timestamps[timestamps.length - 1],
+            evidence: [{ detail: logs.map(({ url }) => ({ reference: url })) }]
+        };
+    }
+
+    category(code) {
+        return { coding: [{ system: OBSERVATION_CATEGORY, code }] };
+    }
+
+    score(value) {
+        return { value, unit: 'score', system: UCUM, code: '{score}' };
+    }
+
+    /**
+     * Split a dosage string like "50mg" or "2.5 ml" into a FHIR Quantity
+     */
+    parseDose(dosage) {
+        const match = String(dosage || '').trim().match(/^(\d+(?:\.\d+)?)\s*([a-zA-Zµ]+)$/);
+        return match ? { value: parseFloat(match[1]), unit: match[2] } : null;
+    }
+
+    /**
+     * Read a FHIR R4 Bundle into tracker-shaped records
+     *
+     * @param {Object} bundle - FHIR Bundle
+     * @returns {Object} { medications, doseHistory, moodEntries, sleepEntries, symptoms, skipped }
+     *   Dose records carry medicationRef (the statement's fullUrl) when the
+     *   bundle links them, so callers can resolve tracker ids.
+     */
+    fromBundle(bundle) {
+        if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+            throw new Error('Invalid FHIR file: expected a Bundle resource with entries');
+        }
+
+        const result = { medications: [], doseHistory: [], moodEntries: [], sleepEntries: [], symptoms: [], skipped: 0 };
+
+        bundle.entry.forEach(({ fullUrl, resource }) => {
+            const record = this.fromResource(resource, fullUrl);
+            if (!record) {
+                result.skipped++;
+                return;
+            }
+            result[record.kind].push(record.data);
+        });
+
+        return result;
+    }
+
+    fromResource(resource, fullUrl) {
+        if (!resource) {
+            return null;
+        }
+
+        switch (resource.resourceType) {
+            case 'Patient':
+                return null;
+            case 'MedicationStatement':
+                return { kind: 'medications', data: this.statementToMedication(resource, fullUrl) };
+            case 'MedicationAdministration':
+                return { kind: 'doseHistory', data: this.administrationToDose(resource) };
+            case 'Observation':
+                return this.observationToEntry(resource);
+            case 'Condition':
+                return this.conditionToSymptom(resource);
+            default:
+                return null;
+        }
+    }
+
+    conceptText(concept) {
+        if (!concept) return null;
+        if (concept.text) return concept.text;
+        const coding = (concept.coding || []).find(c => c.display || c.code);
+        return coding ? coding.display || coding.code : null;
+    }
+
+    hasCode(concept, system, code) {
+        return Boolean(concept && (concept.coding || []).some(c => c.system === system && (!code || c.code === code)));
+    }
+
+    noteText(resource) {
+        return (resource.note || []).map(n => n.text).filter(Boolean).join('\n');
+    }
+
+    statementToMedication(resource, fullUrl) {
+        const dosage = (resource.dosage || [])[0] || {};
+        const repeat = (dosage.timing && dosage.timing.repeat) || {};
+        const dose = dosage.doseAndRate && dosage.doseAndRate[0] && dosage.doseAndRate[0].doseQuantity;
+
+        let frequency = 'as-needed';
+        if (!dosage.asNeededBoolean) {
+            const match = Object.entries(FREQUENCY_TIMING).find(([, timing]) =>
+                timing.frequency === (repeat.frequency || 1) &&
+                timing.period === repeat.period &&
+                timing.periodUnit === repeat.periodUnit);
+            if (match) {
+                frequency = match[0];
+            }
+        }
+
+        const timeOfDay = (repeat.timeOfDay || [])[0];
+        return {
+            ref: fullUrl || null,
+            name: this.conceptText(resource.medicationCodeableConcept) ||
+                (resource.medicationReference && resource.medicationReference.display) || 'Unknown medication',
+            dosage: dose ? `${dose.value}${dose.unit || ''}` : (dosage.text || ''),
+            frequency,
+            scheduledTime: timeOfDay ? timeOfDay.slice(0, 5) : null,
+            createdAt: (resource.effectivePeriod && resource.effectivePeriod.start) ||
+                resource.effectiveDateTime || resource.dateAsserted || new Date().toISOString(),
+            active: !['stopped', 'completed', 'entered-in-error', 'not-taken'].includes(resource.status)
+        };
+    }
+
+    administrationToDose(resource) {
+        const dose = resource.dosage || {};
+        const supporting = (resource.supportingInformation || [])[0];
+
+        return {
+            medicationRef: supporting ? supporting.reference : null,
+            medicationName: this.conceptText(resource.medicationCodeableConcept) ||
+                (resource.medicationReference && resource.medicationReference.display) || 'Unknown medication',
+            dosage: dose.dose ? `${dose.dose.value}${dose.dose.unit || ''}` : (dose.text || ''),
+            takenAt: resource.effectiveDateTime || (resource.effectivePeriod && resource.effectivePeriod.start),
+            notes: this.noteText(resource)
+        };
+    }
+
+    observationToEntry(resource) {
+        const value = resource.valueQuantity ? resource.valueQuantity.value : resource.valueInteger;
+        const timestamp = resource.effectiveDateTime ||
+            (resource.effectivePeriod && (resource.effectivePeriod.end || resource.effectivePeriod.start));
+        if (value === null || value === undefined || !timestamp) {
+            return null;
+        }
+
+        if (this.hasCode(resource.code, WELLNESS_SYSTEM, 'mood-rating')) {
+            return {
+                kind: 'moodEntries',
+                data: { rating: Math.round(value), note: this.noteText(resource), timestamp }
+            };
+        }
+
+        if (this.hasCode(resource.code, LOINC, SLEEP_DURATION_LOINC)) {
+            const sleep = this.observationToSleep(resource, value, timestamp);
+            // SleepTracker entries need both clock times and a quality score
+            if (!sleep.bedtime || !sleep.wakeTime || !sleep.quality) {
+                return null;
+            }
+            return { kind: 'sleepEntries', data: sleep };
+        }
+
+        if (this.hasCode(resource.code, SYMPTOM_SYSTEM)) {
+            const coding = resource.code.coding.find(c => c.system === SYMPTOM_SYSTEM);
+            return {
+                kind: 'symptoms',
+                data: {
+                    type: this.symptomType(coding.code),
+                    severity: Math.round(value),
+                    note: this.noteText(resource),
+                    timestamp
+                }
+            };
+        }
+
+        return null;
+    }
+
+    observationToSleep(resource, value, timestamp) {
+        const component = (code) => (resource.component || [])
+            .find(c => this.hasCode(c.code, WELLNESS_SYSTEM, code));
+        const time = (code) => {
+            const found = component(code);
+            return found && found.valueTime ? found.valueTime.slice(0, 5) : null;
+        };
+        const quality = component('sleep-quality');
+        const period = resource.effectivePeriod || {};
+        const clock = (iso) => (iso && iso.length >= 16 ? iso.slice(11, 16) : null);
+        const hours = value * ((resource.valueQuantity || {}).code === 'min' ? 1 / 60 : 1);
+
+        return {
+            date: String(period.end || timestamp).split('T')[0],
+            bedtime: time('bedtime') || clock(period.start),
+            wakeTime: time('wake-time') || clock(period.end),
+            duration: Math.round(hours * 10) / 10,
+            quality: quality && quality.valueQuantity ? Math.round(quality.valueQuantity.value) : null,
+            notes: this.noteText(resource),
+            timestamp
+        };
+    }
+
+    conditionToSymptom(resource) {
+        // Our own summaries are rebuilt from the symptom observations
+        if (resource.meta && (resource.meta.tag || []).some(t => t.system === SUMMARY_TAG.system && t.code === SUMMARY_TAG.code)) {
+            return null;
+        }
+        const timestamp = resource.onsetDateTime || resource.recordedDate;
+        if (!timestamp) {
+            return null;
+        }
+
+        const name = this.conceptText(resource.code) || 'other';
+        const type = this.symptomType(name);
+        const severity = SEVERITY_SCORES[String(this.conceptText(resource.severity) || '').toLowerCase()] || 5;
+
+        return {
+            kind: 'symptoms',
+            data: {
+                type,
+                severity,
+                note: type === 'other' ? name : this.noteText(resource),
+                timestamp
+            }
+        };
+    }
+
+    symptomType(name) {
+        const normalized = String(name || '').toLowerCase().trim().replace(/\s+/g, '-');
+        return MentalHealthTracker.SYMPTOM_TYPES.includes(normalized) ? normalized : 'other';
+    }
+}
+
+module.exports = FHIRConverter;
@@ -0,0 +1,179 @@
+/**
+ * Food, Alcohol and Condition Checker
+ *
+ * Warns about medications that interact with foods and drinks (alcohol,
+ * grapefruit, caffeine, dairy, tyramine) or with health conditions
+ * (pregnancy week, kidney or liver disease, asthma, ...).
+ *
+ * Knowledge file format (food-condition-interactions.json):
+ *   foods:      { <id>: { label, icon } }
+ *   conditions: { <id>: { label, aliases: [] } }
+ *   rules:      [ { food | condition, drugs: [generic], classes: [class id],
+ *                   categories: [medications-db category], minWeek, maxWeek,
+ *                   severity, description, recommendation } ]
+ *
+ * Drugs are resolved with DrugInteractionChecker.normalizeDrug, so brand
+ * names and the classes in drug-class-rules.json work here too. minWeek and
+ * maxWeek limit pregnancy rules to part of the pregnancy.
+ *
+ * @module food-condition-checker
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SEVERITY_ORDER = { SEVERE: 0, MODERATE: 1, MINOR: 2 };
+
+class FoodConditionChecker {
+    /**
+     * @param {Object} options
+     * @param {string} options.knowledgePath - Path to the knowledge file
+     * @param {Object} options.drugChecker - DrugInteractionChecker used to resolve names and classes
+     */
+    constructor(options = {}) {
+        this.knowledgePath = options.knowledgePath || path.join(__dirname, 'food-condition-interactions.json');
+        this._drugChecker = options.drugChecker || null;
+        this.ruleDrugNames = new Map();
+        this.knowledge = this.loadKnowledge();
+    }
+
+    loadKnowledge() {
+        const empty = { foods: {}, conditions: {}, rules: [] };
+        try {
+            if (fs.existsSync(this.knowledgePath)) {
+                const data = JSON.parse(fs.readFileSync(this.knowledgePath, 'utf8'));
+                return {
+                    foods: data.foods || {},
+                    conditions: data.conditions || {},
+                    rules: Array.isArray(data.rules) ? data.rules : []
+                };
+            }
+        } catch (error) {
+            console.error('Warning: Could not load food and condition interactions:', error.message);
+        }
+        return empty;
+    }
+
+    // Loaded on first use so an empty knowledge file doesn't pull in the drug databases
+    get drugChecker() {
+        if (!this._drugChecker) {
+            const DrugInteractionChecker = require('./drug-interaction-checker');
+            this._drugChecker = new DrugInteractionChecker({ quiet: true });
+        }
+        return this._drugChecker;
+    }
+
+    /**
+     * Resolve a condition name or alias to its id
+     * @param {string} name - e.g. "CKD", "Kidney Disease", "epilepsy"
+     * @returns {string|null} Condition id, or null if unknown
+     */
+    normalizeCondition(name) {
+        const key = String(name || '').toLowerCase().trim().replace(/[\s_]+/g, '-');
+        const spaced = key.replace(/-/g, ' ');
+        const match = Object.entries(this.knowledge.conditions).find(([id, condition]) =>
+            id === key || (condition.aliases || []).some(alias => alias.toLowerCase() === spaced)
+        );
+        return match ? match[0] : null;
+    }
+
+    getConditionLabel(id) {
+        const condition = this.knowledge.conditions[id];
+        return condition ? condition.label : id;
+    }
+
+    listConditions() {
+        return Object.entries(this.knowledge.conditions).map(([id, condition]) => ({ id, label: condition.label }));
+    }
+
+    ruleMatchesDrug(rule, drug) {
+        if ((rule.classes || []).some(id => drug.classes.includes(id))) return true;
+        if (drug.category && (rule.categories || []).includes(drug.category)) return true;
+        return (rule.drugs || []).some(name => this.resolveRuleDrug(name) === drug.name);
+    }
+
+    resolveRuleDrug(name) {
+        if (!this.ruleDrugNames.has(name)) {
+            this.ruleDrugNames.set(name, this.drugChecker.normalizeDrug(name).name);
+        }
+        return this.ruleDrugNames.get(name);
+    }
+
+    ruleAppliesToWeek(rule, weekOfPregnancy) {
+        if (!weekOfPregnancy) return true;
+        if (rule.minWeek && weekOfPregnancy < rule.minWeek) return false;
+        if (rule.maxWeek && weekOfPregnancy > rule.maxWeek) return false;
+        return true;
+    }
+
+    /**
+     * Check medications against foods and the given conditions
+     * @param {Array<string>} medications - Medication names
+     * @param {Object} options
+     * @param {Array<string>} options.conditions - Condition ids or names from the user's profile
+     * @param {number} options.weekOfPregnancy - Adds the pregnancy condition for that week
+     * @returns {Object} { food: [...], conditions: [...] }, most severe first
+     */
+    check(medications, options = {}) {
+        const result = { food: [], conditions: [] };
+        if (!medications || medications.length === 0 || this.knowledge.rules.length === 0) {
+            return result;
+        }
+
+        const conditions = new Set((options.conditions || [])
+            .map(name => this.normalizeCondition(name))
+            .filter(Boolean));
+        const weekOfPregnancy = options.weekOfPregnancy || null;
+        if (weekOfPregnancy) conditions.add('pregnancy');
+
+        const best = new Map();
+        medications.forEach(medication => {
+            const drug = this.drugChecker.normalizeDrug(medication);
+
+            this.knowledge.rules.forEach(rule => {
+                const isFood = Boolean(rule.food);
+                if (!isFood && !conditions.has(rule.condition)) return;
+                if (rule.condition === 'pregnancy' && !this.ruleAppliesToWeek(rule, weekOfPregnancy)) return;
+                if (!this.ruleMatchesDrug(rule, drug)) return;
+
+                const warning = isFood
+                    ? {
+                        medication,
+                        food: rule.food,
+                        label: (this.knowledge.foods[rule.food] || {}).label || rule.food,
+                        icon: (this.knowledge.foods[rule.food] || {}).icon || '🍽️'
+                    }
+                    : {
+                        medication,
+                        condition: rule.condition,
+                        label: this.getConditionLabel(rule.condition)
+                    };
+                Object.assign(warning, {
+                    severity: rule.severity,
+                    description: rule.description,
+                    recommendation: rule.recommendation || ''
+                });
+                if (rule.condition === 'pregnancy' && weekOfPregnancy) {
+                    warning.weekOfPregnancy = weekOfPregnancy;
+                }
+
+                // Several rules can cover one drug (e.g. by class and by name); keep the most severe
+                const key = `${isFood ? 'food' : 'condition'}|${medication}|${rule.food || rule.condition}`;
+                const current = best.get(key);
+                if (!current || SEVERITY_ORDER[warning.severity] < SEVERITY_ORDER[current.severity]) {
+                    best.set(key, warning);
+                }
+            });
+        });
+
+        best.forEach(warning => {
+            (warning.food ? result.food : result.conditions).push(warning);
+        });
+        const bySeverity = (a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity];
+        result.food.sort(bySeverity);
+        result.conditions.sort(bySeverity);
+        return result;
+    }
+}
+
+module.exports = FoodConditionChecker;
@@ -55,6 +55,7 @@ COMMANDS:
      list                   Show all goals
      create                 Create a new SMART goal
      progress              Update goal progress
+     sync                   Catch up progress and streaks from logged data
      delete <id>            Delete a goal
      archive <id>           Archive a goal
 
@@ -70,6 +71,7 @@ GOAL TYPES:
 
   😴 Sleep Goals          - Target hours of sleep per night
   🏃 Exercise Goals       - Target minutes of exercise per day
+  👟 Step Goals           - Target steps per day
   😊 Mood Goals           - Minimum mood rating to maintain
   💊 Medication Goals     - Medication compliance goals
   🎯 Custom Goals         - Any custom wellness metric
@@ -119,14 +121,16 @@ EXAMPLES:
         console.log('  3. 😊 Mood Goal');
         console.log('  4. 💊 Medication Goal');
         console.log('  5. 🎯 Custom Goal');
+        console.log('  6. 👟 Step Goal');
 
-        const typeChoice = await this.prompt('\nSelect goal type (1-5): ');
+        const typeChoice = await this.prompt('\nSelect goal type (1-6): ');
         const typeMap = {
             '1': 'sleep',
             '2': 'exercise',
             '3': 'mood',
             '4': 'medication',
-            '5': 'custom'
+            '5': 'custom',
+            '6': 'steps'
         };
 
         const type = typeMap[typeChoice];
@@ -151,6 +155,9 @@ EXAMPLES:
             case 'exercise':
                 target = await this.prompt('Target minutes per day (e.g., 30): ');
                 break;
+            case 'steps':
+                target = await this.prompt('Target steps per day (e.g., 10000): ');
+                break;
             case 'mood':
                 target = await this.prompt('Minimum mood rating (1-10): ');
                 break;
@@ -247,6 +254,24 @@ EXAMPLES:
         });
     }
 
+    /**
+     * Replay logged and imported days that active goals have not seen yet
+     */
+    syncProgress() {
+        const results = this.goalManager.syncProgress(this.dashboard.getAllEntries());
+
+        if (results.length === 0) {
+            console.log('\n✅ Goals are up to date.');
+            return;
+        }
+
+        console.log('\n🔄 Synced goal progress from logged data:\n');
+        results.forEach(({ goal, days }) => {
+            console.log(`${this.goalManager.getGoalEmoji(goal.type)} ${goal.title} (${days} day${days === 1 ? '' : 's'})`);
+            console.log(`   Progress: ${goal.progress.percentage}% | Streak: ${goal.progress.streak} days 🔥`);
+        });
+    }
+
     /**
      * Log today's data interactively
      */
@@ -383,6 +408,11 @@ EXAMPLES:
                 this.rl.close();
                 break;
 
+            case 'sync':
+                this.syncProgress();
+                this.rl.close();
+                break;
+
             case 'stats':
             case 'statistics':
                 this.showStats();
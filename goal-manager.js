@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const StorageManager = require('./storage-manager');
+const EntryEditor = require('./entry-editor');
 
 /**
  * GoalManager - Goal Setting & Achievement System
@@ -15,9 +17,10 @@ const { v4: uuidv4 } = require('uuid');
  * - Weekly/monthly goal summaries
  */
 class GoalManager {
-    constructor(dashboard, dataDir = './data') {
+    constructor(dashboard, dataDir = process.env.STEPSYNC_DATA_DIR || './data', storage = StorageManager.getDefault()) {
         this.dashboard = dashboard;
         this.dataDir = dataDir;
+        this.storage = storage;
         this.goalsFile = path.join(dataDir, 'goals.json');
         this.achievementsFile = path.join(dataDir, 'achievements.json');
         this.goals = this.loadGoals();
@@ -100,9 +103,9 @@ class GoalManager {
      */
     loadGoals() {
         try {
-            if (fs.existsSync(this.goalsFile)) {
-                const data = fs.readFileSync(this.goalsFile, 'utf-8');
-                return JSON.parse(data);
+            const stored = this.storage.load(this.goalsFile, 'goals');
+            if (stored !== null) {
+                return stored;
             }
         } catch (error) {
             console.error('Error loading goals:', error.message);
@@ -123,11 +126,7 @@ class GoalManager {
             if (!fs.existsSync(this.dataDir)) {
                 fs.mkdirSync(this.dataDir, { recursive: true });
             }
-            fs.writeFileSync(
-                this.goalsFile,
-                JSON.stringify(this.goals, null, 2),
-                'utf-8'
-            );
+            this.storage.save(this.goalsFile, this.goals, 'goals');
             return true;
         } catch (error) {
             console.error('Error saving goals:', error.message);
@@ -140,9 +139,9 @@ class GoalManager {
      */
     loadAchievements() {
         try {
-            if (fs.existsSync(this.achievementsFile)) {
-                const data = fs.readFileSync(this.achievementsFile, 'utf-8');
-                return JSON.parse(data);
+            const stored = this.storage.load(this.achievementsFile, 'achievements');
+            if (stored !== null) {
+                return stored;
             }
         } catch (error) {
             console.error('Error loading achievements:', error.message);
@@ -155,11 +154,7 @@ class GoalManager {
      */
     saveAchievements() {
         try {
-            fs.writeFileSync(
-                this.achievementsFile,
-                JSON.stringify(this.achievements, null, 2),
-                'utf-8'
-            );
+            this.storage.save(this.achievementsFile, this.achievements, 'achievements');
             return true;
         } catch (error) {
             console.error('Error saving achievements:', error.message);
@@ -191,7 +186,7 @@ class GoalManager {
         }
 
         // Validate goal type - throw on invalid inputs
-        const validTypes = ['sleep', 'exercise', 'mood', 'medication', 'custom'];
+        const validTypes = ['sleep', 'exercise', 'steps', 'mood', 'medication', 'custom'];
         if (!validTypes.includes(type)) {
             throw new Error(`Invalid type. Must be one of: ${validTypes.join(', ')}`);
         }
@@ -422,6 +417,8 @@ class GoalManager {
                                      (data.exercise && data.exercise.duration) ||
                                      (data.exercise && data.exercise.count);
                 return exerciseValue && exerciseValue >= goal.target;
+            case 'steps':
+                return data.steps && data.steps >= goal.target;
             case 'mood':
                 const moodValue = data.mood || (data.mood_rating);
                 return moodValue && moodValue >= goal.target;
@@ -446,6 +443,8 @@ class GoalManager {
                 return data.exercise_minutes ||
                        (data.exercise && data.exercise.duration) ||
                        (data.exercise && data.exercise.count) || 0;
+            case 'steps':
+                return data.steps || 0;
             case 'mood':
                 return data.mood || data.mood_rating || 0;
             case 'custom':
@@ -635,6 +634,42 @@ class GoalManager {
         return results;
     }
 
+    /**
+     * Replay days missing from active goals' history, oldest first, so progress
+     * and streaks catch up with data that was imported or logged late
+     *
+     * @param {Array} entries - Daily data, e.g. DailyDashboard.getAllEntries()
+     * @param {Object} options - { type: only this goal type, until: last date (default: yesterday) }
+     * @returns {Array} [{ goal, days }] for each goal that was updated
+     */
+    syncProgress(entries, options = {}) {
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        const until = options.until || EntryEditor.localDateKey(yesterday);
+        const results = [];
+
+        this.getGoals({ status: 'active' })
+            .filter(goal => !options.type || goal.type === options.type)
+            .forEach(goal => {
+                const last = goal.history.length > 0 ? goal.history[goal.history.length - 1].date : null;
+                const missing = entries
+                    .filter(entry => entry.date >= goal.startDate && entry.date <= until && (!last || entry.date > last))
+                    .sort((a, b) => a.date.localeCompare(b.date));
+
+                let days = 0;
+                for (const entry of missing) {
+                    if (goal.status !== 'active') break;
+                    this.updateProgress(goal.id, entry);
+                    days++;
+                }
+                if (days > 0) {
+                    results.push({ goal, days });
+                }
+            });
+
+        return results;
+    }
+
     /**
      * Get goal emoji
      */
@@ -642,6 +677,7 @@ class GoalManager {
         const emojis = {
             sleep: '😴',
             exercise: '🏃',
+            steps: '👟',
             mood: '😊',
             medication: '💊',
             custom: '🎯'
@@ -658,6 +694,8 @@ class GoalManager {
                 return `${target} hours/night`;
             case 'exercise':
                 return `${target} minutes/day`;
+            case 'steps':
+                return `${target} steps/day`;
             case 'mood':
                 return `${target}/10 rating`;
             case 'medication':
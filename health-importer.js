@@ -0,0 +1,600 @@
+const fs = require('fs');
+const path = require('path');
+const SleepSessions = require('./sleep-sessions');
+
+/**
+ * Health Importer Module
+ * Imports sleep and workouts from Apple Health and Google Fit export files
+ *
+ * Supported inputs:
+ * - Apple Health export.xml (HKCategoryTypeIdentifierSleepAnalysis records, Workout elements)
+ * - Google Takeout Fit JSON: "All Sessions" files and com.google.sleep.segment data files
+ * - Google Takeout Fit daily activity metrics CSV ("<Activity> duration (ms)" columns)
+ * - A Takeout folder (every .json/.csv inside is read)
+ *
+ * Sleep segments are grouped into sessions (keeping their start and end times)
+ * and workouts are mapped to the SleepTracker/ExerciseTracker entry formats.
+ * Entries already present are skipped, so the same export can be imported
+ * repeatedly.
+ */
+
+const APPLE_SLEEP_TYPE = 'HKCategoryTypeIdentifierSleepAnalysis';
+const APPLE_ASLEEP_VALUES = [
+    'HKCategoryValueSleepAnalysisAsleep',
+    'HKCategoryValueSleepAnalysisAsleepUnspecified',
+    'HKCategoryValueSleepAnalysisAsleepCore',
+    'HKCategoryValueSleepAnalysisAsleepDeep',
+    'HKCategoryValueSleepAnalysisAsleepREM'
+];
+const APPLE_IN_BED_VALUE = 'HKCategoryValueSleepAnalysisInBed';
+
+// com.google.sleep.segment values: 1 awake, 2 sleep, 3 out of bed, 4 light, 5 deep, 6 REM
+const GOOGLE_ASLEEP_STAGES = [2, 4, 5, 6];
+
+// Segments closer together than this belong to the same night
+const SESSION_GAP_MS = 2 * 60 * 60 * 1000;
+const MIN_SLEEP_HOURS = 1;
+
+const HIGH_INTENSITY = ['running', 'hiit', 'high intensity interval training', 'rowing', 'swimming', 'boxing', 'kickboxing', 'jump rope', 'crossfit', 'spinning'];
+const LOW_INTENSITY = ['walking', 'yoga', 'stretching', 'pilates', 'tai chi', 'meditation', 'mind and body', 'flexibility', 'cooldown'];
+const NON_EXERCISE_ACTIVITIES = ['inactive', 'sleep', 'still', 'in vehicle', 'unknown', 'on foot'];
+
+class HealthImporter {
+    /**
+     * @param {Object} trackers - { sleep: SleepTracker, exercise: ExerciseTracker }
+     */
+    constructor(trackers = {}) {
+        this.sleep = trackers.sleep || null;
+        this.exercise = trackers.exercise || null;
+    }
+
+    /**
+     * Import an export file or Takeout folder
+     *
+     * @param {string} inputPath - export.xml, Fit JSON/CSV file, or folder
+     * @param {Object} options - { dryRun: parse and count without touching the trackers }
+     * @returns {Object} Summary: { source, sleep, exercise, skippedReasons, saveFailed: ['sleep'|'exercise'] }
+     */
+    importPath(inputPath, options = {}) {
+        const { dryRun = false } = options;
+
+        if (!fs.existsSync(inputPath)) {
+            throw new Error(`File not found: ${inputPath}`);
+        }
+
+        const parsed = { source: null, sleepSessions: [], workouts: [], skipped: [] };
+        const files = fs.statSync(inputPath).isDirectory() ? this.listFiles(inputPath) : [inputPath];
+
+        files.forEach(file => this.parseFile(file, parsed));
+
+        const summary = {
+            source: parsed.source || 'unknown',
+            sleep: { found: parsed.sleepSessions.length, imported: 0, duplicates: 0, skipped: 0 },
+            exercise: { found: parsed.workouts.length, imported: 0, duplicates: 0, skipped: 0 },
+            skippedReasons: {},
+            saveFailed: [],
+            dryRun
+        };
+        const skip = (kind, reason) => {
+            summary[kind].skipped++;
+            summary.skippedReasons[reason] = (summary.skippedReasons[reason] || 0) + 1;
+        };
+        parsed.skipped.forEach(({ kind, reason }) => skip(kind, reason));
+
+        const newSleep = this.mergeSleep(parsed.sleepSessions, summary, skip);
+        const newWorkouts = this.mergeWorkouts(parsed.workouts, summary, skip);
+
+        if (!dryRun) {
+            if (this.sleep && !this.saveEntries(this.sleep, this.sleep.data.sleepEntries, newSleep)) {
+                summary.saveFailed.push('sleep');
+                summary.sleep.imported = 0;
+            }
+            if (this.exercise && !this.saveEntries(this.exercise, this.exercise.data.exercises, newWorkouts)) {
+                summary.saveFailed.push('exercise');
+                summary.exercise.imported = 0;
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Add new entries to a tracker and save, taking them back out if the save fails
+     * @returns {boolean} Whether the entries were saved
+     */
+    saveEntries(tracker, list, added) {
+        if (added.length === 0) return true;
+        list.push(...added);
+        if (tracker.saveData()) return true;
+        list.splice(list.length - added.length, added.length);
+        return false;
+    }
+
+    listFiles(dir) {
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) return this.listFiles(full);
+            return /\.(xml|json|csv)$/i.test(entry.name) ? [full] : [];
+        });
+    }
+
+    parseFile(file, parsed) {
+        const ext = path.extname(file).toLowerCase();
+        if (ext === '.xml') {
+            parsed.source = parsed.source || 'apple-health';
+            this.parseAppleHealth(file, parsed);
+        } else if (ext === '.json') {
+            this.parseGoogleFitJSON(file, parsed);
+        } else if (ext === '.csv') {
+            this.parseGoogleFitCSV(file, parsed);
+        }
+    }
+
+    // ========================================
+    // Apple Health
+    // ========================================
+
+    /**
+     * Stream <Record> and <Workout> start tags out of a (possibly very large) export.xml
+     * @param {string} file - Path to export.xml
+     * @param {Function} onElement - (name, attributes) callback
+     */
+    scanXmlElements(file, onElement) {
+        const fd = fs.openSync(file, 'r');
+        const buffer = Buffer.alloc(1024 * 1024);
+        const tagPattern = /<(Record|Workout)\s([^>]*?)\/?>/g;
+        let pending = '';
+
+        try {
+            let bytesRead;
+            while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+                pending += buffer.toString('utf8', 0, bytesRead);
+                // Only parse up to the last complete tag; keep the remainder for the next chunk
+                const lastClose = pending.lastIndexOf('>');
+                if (lastClose === -1) continue;
+
+                const complete = pending.slice(0, lastClose + 1);
+                pending = pending.slice(lastClose + 1);
+
+                let match;
+                tagPattern.lastIndex = 0;
+                while ((match = tagPattern.exec(complete)) !== null) {
+                    onElement(match[1], this.parseXmlAttributes(match[2]));
+                }
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    parseXmlAttributes(text) {
+        const attributes = {};
+        const pattern = /([\w:]+)="([^"]*)"/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attributes[match[1]] = match[2]
+                .replace(/&quot;/g, '"')
+                .replace(/&apos;/g, '\'')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&amp;/g, '&');
+        }
+        return attributes;
+    }
+
+    /**
+     * Apple dates look like "2024-03-01 23:10:00 -0800"; keep the local clock time as written
+     */
+    parseAppleDate(value) {
+        const match = String(value || '').match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}):(\d{2}) ([+-]\d{2})(\d{2})$/);
+        if (!match) return null;
+        return {
+            date: match[1],
+            time: match[2],
+            ms: new Date(`${match[1]}T${match[2]}:${match[3]}${match[4]}:${match[5]}`).getTime()
+        };
+    }
+
+    parseAppleHealth(file, parsed) {
+        const segments = [];
+
+        this.scanXmlElements(file, (name, attrs) => {
+            if (name === 'Record' && attrs.type === APPLE_SLEEP_TYPE) {
+                const start = this.parseAppleDate(attrs.startDate);
+                const end = this.parseAppleDate(attrs.endDate);
+                const asleep = APPLE_ASLEEP_VALUES.includes(attrs.value);
+                if (!start || !end || (!asleep && attrs.value !== APPLE_IN_BED_VALUE)) return;
+                segments.push({ start, end, asleep, source: attrs.sourceName });
+            } else if (name === 'Workout') {
+                const start = this.parseAppleDate(attrs.startDate);
+                if (!start) {
+                    parsed.skipped.push({ kind: 'exercise', reason: 'workout without a start date' });
+                    return;
+                }
+                const durationUnit = attrs.durationUnit || 'min';
+                let minutes = parseFloat(attrs.duration);
+                if (durationUnit === 's') minutes /= 60;
+                if (durationUnit === 'hr' || durationUnit === 'h') minutes *= 60;
+                const kcal = attrs.totalEnergyBurnedUnit === 'kJ'
+                    ? parseFloat(attrs.totalEnergyBurned) / 4.184
+                    : parseFloat(attrs.totalEnergyBurned);
+
+                parsed.workouts.push({
+                    type: this.formatActivity(String(attrs.workoutActivityType || 'Workout').replace(/^HKWorkoutActivityType/, '')),
+                    date: start.date,
+                    startTime: `${start.date}T${start.time}`,
+                    minutes,
+                    kcal: isNaN(kcal) ? null : kcal,
+                    source: 'Apple Health'
+                });
+            }
+        });
+
+        parsed.sleepSessions.push(...this.groupSleepSessions(segments, 'Apple Health'));
+    }
+
+    // ========================================
+    // Google Fit (Takeout)
+    // ========================================
+
+    /**
+     * Local date/time parts for a millisecond timestamp
+     */
+    localParts(ms) {
+        const d = new Date(ms);
+        const pad = n => String(n).padStart(2, '0');
+        const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+        return { date, time: `${pad(d.getHours())}:${pad(d.getMinutes())}`, ms };
+    }
+
+    parseGoogleFitJSON(file, parsed) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (_error) {
+            parsed.skipped.push({ kind: 'exercise', reason: `unreadable JSON file ${path.basename(file)}` });
+            return;
+        }
+
+        // "All Data" files: { "Data Source": ..., "Data Points": [...] }
+        if (Array.isArray(data['Data Points'])) {
+            const segments = data['Data Points']
+                .filter(point => point.dataTypeName === 'com.google.sleep.segment')
+                .map(point => {
+                    const stage = point.fitValue && point.fitValue[0] && point.fitValue[0].value
+                        ? point.fitValue[0].value.intVal
+                        : null;
+                    return {
+                        start: this.localParts(Number(point.startTimeNanos) / 1e6),
+                        end: this.localParts(Number(point.endTimeNanos) / 1e6),
+                        asleep: GOOGLE_ASLEEP_STAGES.includes(stage),
+                        inBed: stage !== 3
+                    };
+                })
+                .filter(segment => segment.inBed);
+
+            if (segments.length > 0) {
+                parsed.source = parsed.source || 'google-fit';
+                parsed.sleepSessions.push(...this.groupSleepSessions(segments, 'Google Fit'));
+            }
+            return;
+        }
+
+        // "All Sessions" files: one session per file
+        if (data.fitnessActivity && data.startTime && data.endTime) {
+            parsed.source = parsed.source || 'google-fit';
+            const start = this.localParts(new Date(data.startTime).getTime());
+            const end = this.localParts(new Date(data.endTime).getTime());
+
+            if (data.fitnessActivity === 'sleep' || data.fitnessActivity.startsWith('sleep.')) {
+                parsed.sleepSessions.push(...this.groupSleepSessions([{ start, end, asleep: true }], 'Google Fit'));
+                return;
+            }
+
+            const calories = (data.aggregate || []).find(a => a.metricName === 'com.google.calories.expended');
+            const duration = parseFloat(String(data.duration || '').replace(/s$/, ''));
+            parsed.workouts.push({
+                type: this.formatActivity(data.fitnessActivity),
+                date: start.date,
+                startTime: `${start.date}T${start.time}`,
+                minutes: isNaN(duration) ? (end.ms - start.ms) / 60000 : duration / 60,
+                kcal: calories ? calories.floatValue : null,
+                source: 'Google Fit'
+            });
+        }
+    }
+
+    /**
+     * Daily activity metrics CSV: one row per day with "<Activity> duration (ms)" columns
+     */
+    parseGoogleFitCSV(file, parsed) {
+        const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) return;
+
+        const headers = this.splitCSVLine(lines[0]);
+        const dateIndex = headers.findIndex(h => h.toLowerCase() === 'date');
+        const activityColumns = headers
+            .map((header, index) => ({ index, match: header.match(/^(.+) duration \(ms\)$/i) }))
+            .filter(column => column.match);
+
+        if (dateIndex === -1 || activityColumns.length === 0) {
+            return;
+        }
+        parsed.source = parsed.source || 'google-fit';
+
+        lines.slice(1).forEach(line => {
+            const cells = this.splitCSVLine(line);
+            const date = cells[dateIndex];
+
+            activityColumns.forEach(({ index, match }) => {
+                const ms = parseFloat(cells[index]);
+                if (!ms) return;
+
+                const activity = match[1].trim();
+                if (activity.toLowerCase().includes('sleep')) {
+                    parsed.skipped.push({ kind: 'sleep', reason: 'daily CSV has sleep totals but no bed/wake times' });
+                    return;
+                }
+                if (NON_EXERCISE_ACTIVITIES.includes(activity.toLowerCase())) return;
+
+                parsed.workouts.push({
+                    type: this.formatActivity(activity),
+                    date,
+                    startTime: null,
+                    minutes: ms / 60000,
+                    kcal: null,
+                    source: 'Google Fit'
+                });
+            });
+        });
+    }
+
+    splitCSVLine(line) {
+        const cells = [];
+        let current = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"' && quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = !quoted;
+            } else if (char === ',' && !quoted) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    // ========================================
+    // Mapping to tracker entries
+    // ========================================
+
+    /**
+     * Group sleep segments into nights
+     * @param {Array} segments - { start, end, asleep } with start/end from parseAppleDate/localParts
+     * @returns {Array} Sleep sessions
+     */
+    groupSleepSessions(segments, source) {
+        const sorted = segments.filter(s => s.end.ms > s.start.ms).sort((a, b) => a.start.ms - b.start.ms);
+        const sessions = [];
+
+        sorted.forEach(segment => {
+            const current = sessions[sessions.length - 1];
+            if (current && segment.start.ms - current.end.ms <= SESSION_GAP_MS) {
+                current.segments.push(segment);
+                if (segment.end.ms > current.end.ms) current.end = segment.end;
+            } else {
+                sessions.push({ start: segment.start, end: segment.end, segments: [segment], source });
+            }
+        });
+
+        return sessions.map(session => {
+            const asleepMs = this.unionLength(session.segments.filter(s => s.asleep));
+            const inBedMs = this.unionLength(session.segments);
+            const sleepMs = asleepMs || inBedMs;
+
+            // No self-rating in these exports: estimate quality from sleep efficiency,
+            // which is only measurable when the night also has in-bed or awake segments
+            const hasAwakeData = session.segments.some(s => !s.asleep);
+            const efficiency = hasAwakeData && asleepMs ? asleepMs / inBedMs : null;
+            return {
+                date: session.end.date,
+                bedtime: session.start.time,
+                wakeTime: session.end.time,
+                start: new Date(session.start.ms).toISOString(),
+                end: new Date(session.end.ms).toISOString(),
+                hours: Math.round(sleepMs / 360000) / 10,
+                quality: efficiency ? Math.min(10, Math.max(1, Math.round(efficiency * 10))) : 5,
+                source: session.source
+            };
+        });
+    }
+
+    /**
+     * Total length of possibly overlapping intervals (phone and watch often both record)
+     */
+    unionLength(segments) {
+        const sorted = segments.map(s => [s.start.ms, s.end.ms]).sort((a, b) => a[0] - b[0]);
+        let total = 0;
+        let [start, end] = sorted[0] || [0, 0];
+        sorted.slice(1).forEach(([s, e]) => {
+            if (s > end) {
+                total += end - start;
+                [start, end] = [s, e];
+            } else if (e > end) {
+                end = e;
+            }
+        });
+        return total + (end - start);
+    }
+
+    formatActivity(name) {
+        return String(name)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .split(/[._\s]+/)
+            .filter(Boolean)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+            .join(' ');
+    }
+
+    /**
+     * Intensity from energy use when known (kcal/min), else from the activity type
+     */
+    estimateIntensity(workout) {
+        if (workout.kcal && workout.minutes > 0) {
+            const rate = workout.kcal / workout.minutes;
+            if (rate >= 8) return 'high';
+            if (rate >= 4) return 'moderate';
+            return 'low';
+        }
+        const type = workout.type.toLowerCase();
+        if (HIGH_INTENSITY.some(t => type.includes(t))) return 'high';
+        if (LOW_INTENSITY.some(t => type.includes(t))) return 'low';
+        return 'moderate';
+    }
+
+    /**
+     * A night is already logged when an entry has the same date and bedtime
+     * @param {Array} pending - Entries from this import that are not saved yet
+     */
+    isDuplicateSleep(entry, pending = []) {
+        return [...this.sleep.data.sleepEntries, ...pending].some(e => e.date === entry.date && e.bedtime === entry.bedtime);
+    }
+
+    /**
+     * A workout is already logged when it has the same start time, or the same
+     * date, type and duration (exports without start times)
+     * @param {Array} pending - Entries from this import that are not saved yet
+     */
+    isDuplicateWorkout(entry, pending = []) {
+        return [...this.exercise.data.exercises, ...pending].some(e =>
+            (entry.startTime && e.startTime === entry.startTime) ||
+            (e.date === entry.date && String(e.type).toLowerCase() === String(entry.type).toLowerCase() && Math.abs(e.duration - entry.duration) < 1));
+    }
+
+    /**
+     * New sleep entries for the sessions that are valid and not logged yet
+     * (the tracker is left unchanged)
+     * @returns {Array} Entries to add
+     */
+    mergeSleep(sessions, summary, skip) {
+        const entries = [];
+        if (!this.sleep) {
+            sessions.forEach(() => skip('sleep', 'sleep tracker not available'));
+            return entries;
+        }
+
+        let nextId = Date.now();
+
+        sessions.forEach(session => {
+            if (session.hours < MIN_SLEEP_HOURS) {
+                skip('sleep', `shorter than ${MIN_SLEEP_HOURS} hour`);
+                return;
+            }
+            if (session.hours > 24) {
+                skip('sleep', 'longer than 24 hours');
+                return;
+            }
+            if (this.isDuplicateSleep(session, entries)) {
+                summary.sleep.duplicates++;
+                return;
+            }
+
+            entries.push({
+                id: nextId++,
+                date: session.date,
+                bedtime: session.bedtime,
+                wakeTime: session.wakeTime,
+                start: session.start,
+                end: session.end,
+                type: SleepSessions.inferType(new Date(session.start), new Date(session.end)),
+                duration: session.hours,
+                quality: session.quality,
+                notes: `Imported from ${session.source}`,
+                timestamp: new Date().toISOString(),
+                source: session.source,
+                qualityEstimated: true
+            });
+            summary.sleep.imported++;
+        });
+        return entries;
+    }
+
+    /**
+     * New exercise entries for the workouts that are valid and not logged yet
+     * (the tracker is left unchanged)
+     * @returns {Array} Entries to add
+     */
+    mergeWorkouts(workouts, summary, skip) {
+        const entries = [];
+        if (!this.exercise) {
+            workouts.forEach(() => skip('exercise', 'exercise tracker not available'));
+            return entries;
+        }
+
+        workouts.forEach(workout => {
+            const minutes = Math.round(workout.minutes);
+            // Same limits as ExerciseTracker.logExercise
+            if (!(workout.minutes >= 1)) {
+                skip('exercise', 'shorter than 1 minute');
+                return;
+            }
+            if (minutes > 600) {
+                skip('exercise', 'longer than 600 minutes');
+                return;
+            }
+
+            if (this.isDuplicateWorkout({ ...workout, duration: minutes }, entries)) {
+                summary.exercise.duplicates++;
+                return;
+            }
+
+            const entry = {
+                id: this.exercise.generateId(),
+                date: workout.date,
+                timestamp: new Date().toISOString(),
+                type: workout.type,
+                duration: minutes,
+                intensity: this.estimateIntensity(workout),
+                notes: `Imported from ${workout.source}`,
+                source: workout.source
+            };
+            if (workout.startTime) entry.startTime = workout.startTime;
+            if (workout.kcal) entry.calories = Math.round(workout.kcal);
+
+            entries.push(entry);
+            summary.exercise.imported++;
+        });
+        return entries;
+    }
+
+    /**
+     * Print an import summary
+     */
+    printSummary(summary) {
+        const label = { 'apple-health': 'Apple Health', 'google-fit': 'Google Fit' }[summary.source] || summary.source;
+
+        console.log(`\n📥 ${label} import${summary.dryRun ? ' (dry run - nothing saved)' : ''}`);
+        console.log('═'.repeat(60));
+        console.log(`😴 Sleep:    ${summary.sleep.imported} imported, ${summary.sleep.duplicates} already present, ${summary.sleep.skipped} skipped`);
+        console.log(`🏃 Exercise: ${summary.exercise.imported} imported, ${summary.exercise.duplicates} already present, ${summary.exercise.skipped} skipped`);
+
+        const reasons = Object.entries(summary.skippedReasons);
+        if (reasons.length > 0) {
+            console.log('\nSkipped:');
+            reasons.forEach(([reason, count]) => console.log(`   • ${count} × ${reason}`));
+        }
+        (summary.saveFailed || []).forEach(kind => {
+            console.log(`\n❌ Could not save ${kind} data - none of it was imported`);
+        });
+        console.log('═'.repeat(60));
+    }
+}
+
+module.exports = HealthImporter;
@@ -0,0 +1,414 @@
+/**
+ * iCalendar Module
+ * Builds and parses .ics files (RFC 5545) and expands the recurrence rules
+ * StepSync uses, so therapy sessions, medication schedules and reminders can
+ * be shared with calendar apps and existing appointments brought back in.
+ *
+ * Events are plain objects:
+ *   { uid, summary, description, location, categories: [],
+ *     start: { date: 'YYYY-MM-DD', time: 'HH:MM' | null }, durationMinutes,
+ *     rrule: { freq: 'DAILY'|'WEEKLY'|'MONTHLY', interval, byDay: ['TU'] | ['2TU'],
+ *              until: 'YYYY-MM-DD', count },
+ *     exdates: [{ date, time }], recurrenceId: { date, time }, status, alarmMinutes }
+ *
+ * Times are written as floating local times (no TZID), which calendar apps
+ * show at the same clock time wherever the user is. When parsing, UTC times
+ * (ending in Z) are converted to local time; times with a TZID are taken as
+ * local wall-clock times.
+ *
+ * Recurrence expansion covers the RRULE subset above: DAILY and WEEKLY with
+ * an INTERVAL, WEEKLY on listed weekdays (weeks start on Monday) and MONTHLY
+ * on the nth (or last, -1) weekday, ended by UNTIL or COUNT.
+ */
+
+const PRODUCT_ID = '-//StepSync//Health Tracker//EN';
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_LINE_OCTETS = 75;
+const MAX_EXPANSION_DAYS = 3660;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ICalendar {
+    // ==================== Dates ====================
+
+    static pad(n) {
+        return String(n).padStart(2, '0');
+    }
+
+    static isDateKey(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+    }
+
+    static toDateKey(date) {
+        return `${date.getFullYear()}-${ICalendar.pad(date.getMonth() + 1)}-${ICalendar.pad(date.getDate())}`;
+    }
+
+    // Date keys are stepped in UTC so DST changes never skip or repeat a day
+    static addDays(key, days) {
+        const date = new Date(`${key}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    static weekday(key) {
+        return new Date(`${key}T00:00:00Z`).getUTCDay();
+    }
+
+    static daysBetween(fromKey, toKey) {
+        return Math.round((new Date(`${toKey}T00:00:00Z`) - new Date(`${fromKey}T00:00:00Z`)) / DAY_MS);
+    }
+
+    /**
+     * Position of a day among the same weekdays in its month
+     * @returns {Object} { nth: 1-5, last: boolean }
+     */
+    static weekdayPosition(key) {
+        const dayOfMonth = Number(key.slice(8, 10));
+        const nextWeek = ICalendar.addDays(key, 7);
+        return {
+            nth: Math.ceil(dayOfMonth / 7),
+            last: nextWeek.slice(0, 7) !== key.slice(0, 7)
+        };
+    }
+
+    /**
+     * Local Date for a { date, time } pair
+     */
+    static toDate({ date, time }) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = (time || '00:00').split(':').map(Number);
+        return new Date(year, month - 1, day, hours, minutes);
+    }
+
+    // ==================== Recurrence ====================
+
+    /**
+     * Whether a day matches a rule's pattern (ignoring UNTIL/COUNT)
+     */
+    static matches(rrule, startKey, key) {
+        const interval = rrule.interval || 1;
+        const days = ICalendar.daysBetween(startKey, key);
+        if (days < 0) return false;
+
+        if (rrule.freq === 'DAILY') {
+            return days % interval === 0;
+        }
+
+        const byDay = rrule.byDay && rrule.byDay.length > 0
+            ? rrule.byDay
+            : [WEEKDAYS[ICalendar.weekday(startKey)]];
+
+        if (rrule.freq === 'WEEKLY') {
+            // Weeks are counted from the Monday of the start week
+            const startMonday = ICalendar.addDays(startKey, -((ICalendar.weekday(startKey) + 6) % 7));
+            const week = Math.floor(ICalendar.daysBetween(startMonday, key) / 7);
+            return week % interval === 0 && byDay.includes(WEEKDAYS[ICalendar.weekday(key)]);
+        }
+
+        if (rrule.freq === 'MONTHLY') {
+            const months = (Number(key.slice(0, 4)) - Number(startKey.slice(0, 4))) * 12 +
+                Number(key.slice(5, 7)) - Number(startKey.slice(5, 7));
+            if (months % interval !== 0) return false;
+
+            const position = ICalendar.weekdayPosition(key);
+            return byDay.some(entry => {
+                const match = /^(-?\d)?([A-Z]{2})$/.exec(entry);
+                if (!match || WEEKDAYS.indexOf(match[2]) !== ICalendar.weekday(key)) return false;
+                if (!match[1]) return true;
+                const nth = Number(match[1]);
+                return nth === -1 ? position.last : position.nth === nth;
+            });
+        }
+
+        return false;
+    }
+
+    /**
+     * Days a rule falls on between two days (inclusive)
+     * @param {Object} rrule - { freq, interval, byDay, until, count }
+     * @param {string} startKey - First day of the series (DTSTART)
+     * @param {Object} range - { from, to } YYYY-MM-DD (default: from the start, for two years)
+     * @returns {Array<string>} YYYY-MM-DD keys
+     */
+    static expand(rrule, startKey, range = {}) {
+        const from = range.from && range.from > startKey ? range.from : startKey;
+        let to = range.to || ICalendar.addDays(startKey, 730);
+        if (rrule.until && rrule.until < to) to = rrule.until;
+
+        const days = [];
+        let seen = 0;
+        for (let i = 0, key = startKey; key <= to && i <= MAX_EXPANSION_DAYS; i++, key = ICalendar.addDays(key, 1)) {
+            if (!ICalendar.matches(rrule, startKey, key)) continue;
+            seen++;
+            if (rrule.count && seen > rrule.count) break;
+            if (key >= from) days.push(key);
+        }
+        return days;
+    }
+
+    // ==================== Writing ====================
+
+    static escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line at 75 octets, continuing with a leading space
+     */
+    static fold(line) {
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = Buffer.byteLength(char);
+            const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    static formatDate(key) {
+        return key.replace(/-/g, '');
+    }
+
+    static formatDateTime({ date, time }) {
+        return `${ICalendar.formatDate(date)}T${(time || '00:00').replace(':', '')}00`;
+    }
+
+    static formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * A DTSTART-style property: DATE for all-day events, floating DATE-TIME otherwise
+     */
+    static dateProperty(name, moment) {
+        return moment.time
+            ? `${name}:${ICalendar.formatDateTime(moment)}`
+            : `${name};VALUE=DATE:${ICalendar.formatDate(moment.date)}`;
+    }
+
+    static formatRule(rrule) {
+        const parts = [`FREQ=${rrule.freq}`];
+        if (rrule.interval && rrule.interval > 1) parts.push(`INTERVAL=${rrule.interval}`);
+        if (rrule.byDay && rrule.byDay.length > 0) parts.push(`BYDAY=${rrule.byDay.join(',')}`);
+        if (rrule.until) parts.push(`UNTIL=${ICalendar.formatDate(rrule.until)}T235959`);
+        if (rrule.count) parts.push(`COUNT=${rrule.count}`);
+        return parts.join(';');
+    }
+
+    static formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return `PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+    }
+
+    static eventLines(event, stamp) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            ICalendar.dateProperty('DTSTART', event.start)
+        ];
+        if (event.recurrenceId) lines.push(ICalendar.dateProperty('RECURRENCE-ID', event.recurrenceId));
+        if (event.durationMinutes && event.start.time) {
+            lines.push(`DURATION:${ICalendar.formatDuration(event.durationMinutes)}`);
+        }
+        lines.push(`SUMMARY:${ICalendar.escapeText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${ICalendar.escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${ICalendar.escapeText(event.location)}`);
+        if (event.categories && event.categories.length > 0) {
+            lines.push(`CATEGORIES:${event.categories.map(ICalendar.escapeText).join(',')}`);
+        }
+        if (event.status) lines.push(`STATUS:${event.status}`);
+        if (event.rrule) lines.push(`RRULE:${ICalendar.formatRule(event.rrule)}`);
+        (event.exdates || []).forEach(exdate => lines.push(ICalendar.dateProperty('EXDATE', exdate)));
+        if (event.alarmMinutes !== undefined && event.alarmMinutes !== null) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${ICalendar.escapeText(event.summary)}`,
+                `TRIGGER:-${ICalendar.formatDuration(event.alarmMinutes)}`,
+                'END:VALARM'
+            );
+        }
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Build a VCALENDAR document
+     * @param {Array} events
+     * @param {Object} options - { name, now }
+     * @returns {string} .ics text with CRLF line endings
+     */
+    static build(events, options = {}) {
+        const stamp = ICalendar.formatUtc(options.now || new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN'
+        ];
+        if (options.name) lines.push(`X-WR-CALNAME:${ICalendar.escapeText(options.name)}`);
+        events.forEach(event => lines.push(...ICalendar.eventLines(event, stamp)));
+        lines.push('END:VCALENDAR');
+        return lines.map(ICalendar.fold).join('\r\n') + '\r\n';
+    }
+
+    // ==================== Reading ====================
+
+    static unescapeText(value) {
+        return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Split a content line into { name, params, value }
+     */
+    static parseLine(line) {
+        // The first colon outside a quoted parameter value ends the name part
+        let colon = -1;
+        let quoted = false;
+        for (let i = 0; i < line.length && colon === -1; i++) {
+            if (line[i] === '"') quoted = !quoted;
+            else if (line[i] === ':' && !quoted) colon = i;
+        }
+        if (colon === -1) return null;
+        const [name, ...paramParts] = line.slice(0, colon).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, value = ''] = part.split('=');
+            params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+        });
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    }
+
+    /**
+     * Parse a DATE or DATE-TIME value into a local { date, time }
+     */
+    static parseMoment(value, params = {}) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+        if (!match) return null;
+        const [, year, month, day, hours, minutes, , utc] = match;
+        if (params.VALUE === 'DATE' || hours === undefined) {
+            return { date: `${year}-${month}-${day}`, time: null };
+        }
+        if (utc) {
+            const local = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes)));
+            return {
+                date: ICalendar.toDateKey(local),
+                time: `${ICalendar.pad(local.getHours())}:${ICalendar.pad(local.getMinutes())}`
+            };
+        }
+        return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+    }
+
+    static parseDuration(value) {
+        const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(value.trim());
+        if (!match) return null;
+        const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+        return ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes);
+    }
+
+    static parseRule(value) {
+        const parts = {};
+        value.split(';').forEach(part => {
+            const [key, val] = part.split('=');
+            if (key && val) parts[key.toUpperCase()] = val;
+        });
+        if (!parts.FREQ) return null;
+
+        const rrule = { freq: parts.FREQ.toUpperCase(), interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1 };
+        if (parts.BYDAY) rrule.byDay = parts.BYDAY.toUpperCase().split(',');
+        if (parts.UNTIL) {
+            const until = ICalendar.parseMoment(parts.UNTIL);
+            if (until) rrule.until = until.date;
+        }
+        if (parts.COUNT) rrule.count = Number(parts.COUNT);
+        return rrule;
+    }
+
+    /**
+     * Parse the VEVENTs of an .ics document
+     * @returns {Array} Events in the shape described at the top of this file;
+     *   events without a usable DTSTART are left out
+     */
+    static parse(text) {
+        const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const events = [];
+        let event = null;
+        let nested = 0;
+        let end = null;
+
+        for (const raw of lines) {
+            const line = ICalendar.parseLine(raw);
+            if (!line) continue;
+
+            if (line.name === 'BEGIN') {
+                if (line.value.toUpperCase() === 'VEVENT') {
+                    event = { summary: '', exdates: [], categories: [] };
+                    end = null;
+                } else if (event) {
+                    nested++;
+                }
+                continue;
+            }
+            if (line.name === 'END') {
+                if (event && nested > 0) {
+                    nested--;
+                } else if (event && line.value.toUpperCase() === 'VEVENT') {
+                    if (event.start) {
+                        if (!event.durationMinutes && end && event.start.time && end.time) {
+                            event.durationMinutes = Math.round((ICalendar.toDate(end) - ICalendar.toDate(event.start)) / 60000);
+                        }
+                        events.push(event);
+                    }
+                    event = null;
+                }
+                continue;
+            }
+            if (!event || nested > 0) continue;
+
+            switch (line.name) {
+                case 'UID': event.uid = line.value; break;
+                case 'SUMMARY': event.summary = ICalendar.unescapeText(line.value); break;
+                case 'DESCRIPTION': event.description = ICalendar.unescapeText(line.value); break;
+                case 'LOCATION': event.location = ICalendar.unescapeText(line.value); break;
+                case 'STATUS': event.status = line.value.toUpperCase(); break;
+                case 'CATEGORIES':
+                    event.categories.push(...line.value.split(/(?<!\\),/).map(ICalendar.unescapeText));
+                    break;
+                case 'DTSTART': event.start = ICalendar.parseMoment(line.value, line.params); break;
+                case 'DTEND': end = ICalendar.parseMoment(line.value, line.params); break;
+                case 'DURATION': event.durationMinutes = ICalendar.parseDuration(line.value); break;
+                case 'RRULE': event.rrule = ICalendar.parseRule(line.value); break;
+                case 'RECURRENCE-ID': event.recurrenceId = ICalendar.parseMoment(line.value, line.params); break;
+                case 'EXDATE':
+                    line.value.split(',').forEach(value => {
+                        const exdate = ICalendar.parseMoment(value, line.params);
+                        if (exdate) event.exdates.push(exdate);
+                    });
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return events;
+    }
+}
+
+ICalendar.PRODUCT_ID = PRODUCT_ID;
+ICalendar.WEEKDAYS = WEEKDAYS;
+
+module.exports = ICalendar;
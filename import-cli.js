@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+const HealthImporter = require('./health-importer');
+const WearableImporter = require('./wearable-importer');
+const SleepTracker = require('./sleep-tracker');
+const ExerciseTracker = require('./exercise-tracker');
+const StepTracker = require('./step-tracker');
+
+function showHelp() {
+    console.log(`
+╔═══════════════════════════════════════════════════════════════╗
+║              StepSyncAI Health Data Importer                  ║
+╚═══════════════════════════════════════════════════════════════╝
+
+COMMANDS:
+  health <path> [--dry-run]   Import sleep and workouts from an export
+  wearable <file.csv> --profile <name|profile.json> [--preview [N]] [--dry-run]
+                              Import a wearable CSV using a column mapping
+  profiles                    List built-in wearable profiles
+
+SUPPORTED EXPORTS:
+  Apple Health   export.xml from "Export All Health Data"
+  Google Fit     Takeout "Fit" folder, an "All Sessions" JSON file,
+                 a sleep segment JSON file, or the daily activity
+                 metrics CSV
+
+  Entries that already exist are skipped, so re-importing a newer
+  export only adds what is new. Use --dry-run to see the summary
+  without saving anything.
+
+WEARABLE PROFILES:
+  Built-in profiles cover Fitbit, Garmin and Oura CSV exports, plus
+  step counts (fitbit-steps, and steps-csv with date, time, steps
+  columns). For any other device, write a JSON profile naming the CSV
+  columns, e.g.
+  {"kind": "sleep", "columns": {"start": "Sleep start", "end": "Sleep end",
+   "quality": "Score"}, "qualityScale": 100}
+  Use --preview to check the first rows (default 5) before importing.
+
+EXAMPLES:
+  node import-cli.js health ~/Downloads/apple_health_export/export.xml
+  node import-cli.js health ~/Downloads/Takeout/Fit --dry-run
+  node import-cli.js wearable sleep.csv --profile oura-sleep --preview 10
+  node import-cli.js wearable workouts.csv --profile ./my-watch.json
+  node import-cli.js wearable steps.csv --profile steps-csv
+`);
+}
+
+function createTrackers() {
+    return {
+        sleep: new SleepTracker(),
+        exercise: new ExerciseTracker(),
+        steps: new StepTracker()
+    };
+}
+
+function parseWearableArgs(args) {
+    const options = { file: null, profile: null, preview: null, dryRun: false };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--profile' && args[i + 1]) {
+            options.profile = args[++i];
+        } else if (args[i] === '--preview') {
+            const limit = parseInt(args[i + 1], 10);
+            options.preview = limit > 0 ? limit : 5;
+            if (limit > 0) i++;
+        } else if (args[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (!args[i].startsWith('--')) {
+            options.file = args[i];
+        }
+    }
+
+    return options;
+}
+
+function runCommand(command, args, importer) {
+    switch (command) {
+        case 'health': {
+            const inputPath = args.find(arg => !arg.startsWith('--'));
+            if (!inputPath) {
+                console.log('❌ Usage: health <path> [--dry-run]');
+                return 1;
+            }
+
+            const healthImporter = importer || new HealthImporter(createTrackers());
+            try {
+                const summary = healthImporter.importPath(inputPath, { dryRun: args.includes('--dry-run') });
+                healthImporter.printSummary(summary);
+                return summary.saveFailed.length > 0 ? 1 : 0;
+            } catch (error) {
+                console.error(`❌ Import failed: ${error.message}`);
+                return 1;
+            }
+        }
+
+        case 'wearable': {
+            const options = parseWearableArgs(args);
+            if (!options.file || !options.profile) {
+                console.log('❌ Usage: wearable <file.csv> --profile <name|profile.json> [--preview [N]] [--dry-run]');
+                return 1;
+            }
+
+            const wearableImporter = importer || new WearableImporter(createTrackers());
+            try {
+                if (options.preview) {
+                    wearableImporter.printPreview(wearableImporter.preview(options.file, options.profile, options.preview));
+                } else {
+                    wearableImporter.printSummary(wearableImporter.importFile(options.file, options.profile, { dryRun: options.dryRun }));
+                }
+                return 0;
+            } catch (error) {
+                console.error(`❌ Import failed: ${error.message}`);
+                return 1;
+            }
+        }
+
+        case 'profiles': {
+            console.log('\n📋 Built-in wearable profiles:');
+            WearableImporter.listProfiles().forEach(({ name, label, kind }) => {
+                console.log(`   ${name.padEnd(20)} ${kind.padEnd(9)} ${label}`);
+            });
+            console.log('\n💡 Or pass a JSON profile file to --profile');
+            return 0;
+        }
+
+        case 'help':
+        case '--help':
+        case '-h':
+        default:
+            showHelp();
+            return 0;
+    }
+}
+
+async function main() {
+    const command = process.argv[2];
+    const args = process.argv.slice(3);
+    const exitCode = runCommand(command, args);
+    process.exit(exitCode);
+}
+
+// Export for testing
+module.exports = { runCommand, showHelp, parseWearableArgs };
+
+// Run if executed directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Unexpected error:', error.message);
+        process.exit(1);
+    });
+}
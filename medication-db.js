@@ -2,13 +2,21 @@
  * Medication Database Wrapper
  * Smart medication database with RxNorm API integration, local fallback, and audit logging
  * Created: 2026-01-12 03:36:30 UTC
+ *
+ * Lookup order: cache, local JSON database, offline RxNorm store (see
+ * rxnorm-store.js), then the live RxNorm API. Set `liveApi: false` (or
+ * RXNORM_OFFLINE=1) on air-gapped machines and in CI to never call the API.
+ *
+ * Audit entries are kept in memory for getAuditLog() and also appended to
+ * the shared hash-chained audit log (see audit-log.js).
  */
 
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const RxNormStore = require('./rxnorm-store');
+const AuditLog = require('./audit-log');
 
 /**
  * MedicationDatabase Class
@@ -21,6 +29,8 @@ class MedicationDatabase extends EventEmitter {
     this.options = {
       rxnormApiUrl: options.rxnormApiUrl || 'https://rxnav.nlm.nih.gov/REST',
       localDbPath: options.localDbPath || path.join(__dirname, 'data', 'medications.json'),
+      rxnormStorePath: options.rxnormStorePath || path.join(__dirname, 'data', 'rxnorm'),
+      liveApi: options.liveApi !== undefined ? options.liveApi !== false : process.env.RXNORM_OFFLINE !== '1',
       auditLogPath: options.auditLogPath || path.join(__dirname, 'logs', 'medication-audit.log'),
       cacheSize: options.cacheSize || 500,
       cacheTTL: options.cacheTTL || 3600000, // 1 hour
@@ -31,7 +41,9 @@ class MedicationDatabase extends EventEmitter {
 
     this.cache = new Map();
     this.localDatabase = new Map();
+    this.rxnormStore = new RxNormStore(this.options.rxnormStorePath);
     this.auditLog = [];
+    this.auditTrail = options.auditTrail !== undefined ? options.auditTrail : AuditLog.getDefault();
     this.initialized = false;
 
     this.registerEventListeners();
@@ -43,6 +55,7 @@ class MedicationDatabase extends EventEmitter {
   async initialize() {
     try {
       await this.loadLocalDatabase();
+      await this.openRxNormStore();
       this.initialized = true;
       this.logAudit('INIT', 'Database initialized successfully', { status: 'success' });
       this.emit('initialized');
@@ -80,6 +93,28 @@ class MedicationDatabase extends EventEmitter {
     }
   }
 
+  /**
+   * Open the offline RxNorm store if one has been built
+   */
+  async openRxNormStore() {
+    if (await this.rxnormStore.open()) {
+      this.logAudit('LOAD_RXNORM_STORE', 'Offline RxNorm store opened', this.rxnormStore.getStats());
+    } else {
+      this.logAudit('LOAD_RXNORM_STORE', 'No offline RxNorm store found', {
+        path: this.options.rxnormStorePath,
+        liveApi: this.options.liveApi,
+      });
+    }
+  }
+
+  /**
+   * HTTP client for the live API, loaded only when the API is used so offline
+   * installs don't need it
+   */
+  getHttpClient() {
+    return require('axios');
+  }
+
   /**
    * Parse medication name and dosage
    * @param {string} medicationString - Medication name and dosage (e.g., "Metformin 500mg")
@@ -130,7 +165,7 @@ class MedicationDatabase extends EventEmitter {
    */
   async queryRxNormAPI(query) {
     try {
-      const response = await axios.get(
+      const response = await this.getHttpClient().get(
         `${this.options.rxnormApiUrl}/drugs.json`,
         {
           params: { name: query },
@@ -154,8 +189,26 @@ class MedicationDatabase extends EventEmitter {
    * @returns {object} Medication properties
    */
   async getRxNormProperties(rxcui) {
+    const concept = await this.rxnormStore.getConcept(rxcui);
+    if (concept) {
+      return {
+        properties: {
+          rxcui: concept.rxcui,
+          name: concept.name,
+          synonym: (concept.synonyms || [])[0] || '',
+          tty: concept.tty,
+          language: 'ENG',
+          suppress: 'N',
+        },
+      };
+    }
+
+    if (!this.options.liveApi) {
+      return null;
+    }
+
     try {
-      const response = await axios.get(
+      const response = await this.getHttpClient().get(
         `${this.options.rxnormApiUrl}/rxcui/${rxcui}/properties.json`,
         { timeout: this.options.timeout }
       );
@@ -207,6 +260,28 @@ class MedicationDatabase extends EventEmitter {
       return localResult;
     }
 
+    // Try the offline RxNorm store
+    const concept = await this.rxnormStore.resolve(medicationName);
+    if (concept) {
+      const medication = this.formatStoreResult(concept);
+      this.cacheMedication(searchKey, medication);
+      this.logAudit('RXNORM_STORE_HIT', 'Medication found in offline RxNorm store', {
+        medication: medicationName,
+        rxcui: medication.rxcui,
+        responseTime: Date.now() - startTime,
+      });
+      return medication;
+    }
+
+    if (!this.options.liveApi) {
+      this.logAudit('SEARCH_FAILED', 'Medication not found offline', {
+        medication: medicationName,
+        responseTime: Date.now() - startTime,
+        liveApi: false,
+      });
+      return null;
+    }
+
     // Try RxNorm API with retry logic
     let lastError;
     for (let attempt = 1; attempt <= this.options.retryAttempts; attempt++) {
@@ -272,6 +347,31 @@ class MedicationDatabase extends EventEmitter {
     };
   }
 
+  /**
+   * Format an offline RxNorm store concept like an API result
+   * @param {object} concept - Concept record from RxNormStore
+   * @returns {object} Formatted medication object
+   */
+  formatStoreResult(concept) {
+    const primary = concept.product || concept;
+
+    return {
+      rxcui: primary.rxcui,
+      name: primary.name,
+      tty: primary.tty,
+      source: 'rxnorm-local',
+      ingredients: concept.ingredients || [],
+      brands: concept.brands || [],
+      strengths: concept.strengths || (concept.strength ? [concept.strength] : []),
+      allConcepts: [concept, ...(concept.products || [])].map(c => ({
+        rxcui: c.rxcui,
+        name: c.name,
+        tty: c.tty,
+      })),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
   /**
    * Get detailed medication information
    * @param {string} medication - Medication identifier or name
@@ -430,6 +530,7 @@ class MedicationDatabase extends EventEmitter {
     };
 
     this.auditLog.push(auditEntry);
+    this.appendToAuditTrail(auditEntry);
     this.emit('audit', auditEntry);
 
     // Keep audit log in memory limited
@@ -438,6 +539,28 @@ class MedicationDatabase extends EventEmitter {
     }
   }
 
+  /**
+   * Append an audit entry to the persistent audit log
+   * @param {object} auditEntry - Entry built by logAudit
+   */
+  appendToAuditTrail(auditEntry) {
+    if (!this.auditTrail) {
+      return;
+    }
+
+    try {
+      this.auditTrail.append({
+        timestamp: auditEntry.timestamp,
+        source: 'medication-db',
+        action: auditEntry.action,
+        userId: auditEntry.userId,
+        details: { description: auditEntry.description, ...auditEntry.metadata }
+      });
+    } catch (error) {
+      console.error('Failed to write audit log:', error.message);
+    }
+  }
+
   /**
    * Generate audit hash for integrity verification
    * @param {string} action - Action type
@@ -527,6 +650,8 @@ class MedicationDatabase extends EventEmitter {
       localDatabase: {
         medicationCount: this.localDatabase.size,
       },
+      rxnormStore: this.rxnormStore.getStats(),
+      liveApi: this.options.liveApi,
       auditLog: {
         entries: this.auditLog.length,
         enabled: this.options.enableAuditLog,
@@ -561,6 +686,7 @@ class MedicationDatabase extends EventEmitter {
       await this.exportAuditLog();
       this.cache.clear();
       this.localDatabase.clear();
+      await this.rxnormStore.close();
       this.logAudit('SHUTDOWN', 'Database shutdown successfully', {});
       this.removeAllListeners();
       this.initialized = false;
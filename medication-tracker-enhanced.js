@@ -8,6 +8,15 @@
  * @date 2026-01-12
  */
 
+/**
+ * Shared persistent audit log when running under Node.js (null in browsers
+ * or when STEPSYNC_AUDIT_LOG=off)
+ */
+function getDefaultAuditLog() {
+  if (typeof require !== 'function') return null;
+  return require('./audit-log').getDefault();
+}
+
 class EnhancedMedicationTracker {
   /**
    * Initialize the Enhanced Medication Tracker
@@ -16,6 +25,7 @@ class EnhancedMedicationTracker {
    * @param {Boolean} config.enableAuditLog - Enable audit logging (default: true)
    * @param {Boolean} config.enableFDACompliance - Enable FDA compliance checks (default: true)
    * @param {Object} config.auditStorage - Storage backend for audit logs (default: memory)
+   * @param {Object} config.auditLog - Persistent hash-chained audit log (default: shared log, null to disable)
    */
   constructor(config = {}) {
     this.userId = config.userId || 'system';
@@ -27,6 +37,7 @@ class EnhancedMedicationTracker {
     
     // Support test config keys (auditLogger, fdaValidator) as well as internal keys
     this.auditStorage = config.auditStorage || config.auditLogger || new InMemoryAuditStore();
+    this.auditLog = config.auditLog !== undefined ? config.auditLog : getDefaultAuditLog();
     
     // Medication storage
     this.medications = new Map();
@@ -978,6 +989,17 @@ class EnhancedMedicationTracker {
         } else if (this.auditStorage.store) {
             this.auditStorage.store(auditEntry);
         }
+
+        if (this.auditLog) {
+            const { timestamp, action: loggedAction, userId, ...rest } = auditEntry;
+            this.auditLog.append({
+              timestamp,
+              source: 'medication-tracker-enhanced',
+              action: loggedAction,
+              userId,
+              details: rest
+            });
+        }
     } catch (error) {
         // Silently fail or log to console, but don't crash application
         console.error('Audit logging failed:', error);
@@ -6,6 +6,11 @@ const ReminderService = require('./reminder-service');
 const ValidationUtils = require('./validation-utils');
 const EnhancedMedicationManager = require('./enhanced-medication-manager');
 const MedicationValidator = require('./medication-validator');
+const StorageManager = require('./storage-manager');
+const DoseSchedule = require('./dose-schedule');
+const ICalendar = require('./icalendar');
+const FoodConditionChecker = require('./food-condition-checker');
+const AuditLog = require('./audit-log');
 
 // Pregnancy Safety Integration - Import as modules, not classes
 const PregnancySafetyEngine = require('bumpie-meds/src/services/pregnancy-safety-engine');
@@ -14,11 +19,16 @@ const PregnancyRiskCalculator = require('bumpie-meds/src/services/pregnancy-risk
 const PregnancyAuditLogger = require('bumpie-meds/src/services/pregnancy-audit-logger');
 
 class MedicationTracker {
-    constructor(dataFile = 'medications.json') {
+    constructor(dataFile = StorageManager.resolveDataPath('medications.json'), storage = StorageManager.getDefault()) {
         this.dataFile = dataFile;
+        this.storage = storage;
         this.data = this.loadData();
         this.reminderService = new ReminderService();
+        this.schedule = new DoseSchedule();
         this.interactions = this.loadInteractions();
+        this.foodConditionChecker = new FoodConditionChecker();
+        this.auditLog = AuditLog.forDataFile(dataFile, { encryption: storage.encryption });
+        this.userId = null;
         this.idCounter = Date.now();
         
         // Initialize enhanced medication manager and validator
@@ -60,9 +70,9 @@ class MedicationTracker {
 
     loadData() {
         try {
-            if (fs.existsSync(this.dataFile)) {
-                const rawData = fs.readFileSync(this.dataFile, 'utf8');
-                return JSON.parse(rawData);
+            const stored = this.storage.load(this.dataFile, 'medications');
+            if (stored) {
+                return stored;
             }
         } catch (error) {
             console.error('Error loading data:', error.message);
@@ -75,7 +85,7 @@ class MedicationTracker {
 
     saveData() {
         try {
-            fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
+            this.storage.save(this.dataFile, this.data, 'medications');
             return true;
         } catch (error) {
             console.error('Error saving data:', error.message);
@@ -83,6 +93,78 @@ class MedicationTracker {
         }
     }
 
+    // Audit Log
+    /**
+     * Set the user recorded on audit log entries
+     * @param {string} userId - User ID
+     * @param {string} [role] - User role
+     */
+    setCurrentUser(userId, role) {
+        this.userId = userId;
+        this.userRole = role || 'user';
+    }
+
+    /**
+     * Append an entry to the hash-chained audit log beside the data file (see audit-log.js)
+     * @param {string} action - What changed, e.g. MEDICATION_ADDED
+     * @param {Object} details - Data describing the change
+     */
+    logAudit(action, details = {}) {
+        if (!this.auditLog) return;
+        try {
+            this.auditLog.append({ source: 'medication-tracker', action, userId: this.userId, details });
+        } catch (error) {
+            console.error('Warning: Could not write audit log:', error.message);
+        }
+    }
+
+    /**
+     * Audit logs this tracker's changes can be in: its own log beside the data
+     * file and the process-wide log MedicationDatabase and EnhancedMedicationTracker
+     * write to (the same file unless STEPSYNC_AUDIT_LOG or a per-user directory
+     * separates them)
+     * @returns {Array<AuditLog>}
+     */
+    getAuditLogs() {
+        const logs = [this.auditLog, AuditLog.getDefault()].filter(Boolean);
+        return logs.filter((log, index) =>
+            logs.findIndex(other => path.resolve(other.filePath) === path.resolve(log.filePath)) === index);
+    }
+
+    /**
+     * Check the audit logs' hash chains and report edits or deletions
+     * @param {string} file - Audit log to check (default: every log from getAuditLogs)
+     * @returns {Object|null} Combined result { valid, count, problems: [{ file, line, seq, message }] },
+     *   or null when auditing is off
+     */
+    verifyAuditLog(file = null) {
+        const logs = file ? [new AuditLog(file)] : this.getAuditLogs();
+        if (logs.length === 0) {
+            console.log('Audit logging is turned off (STEPSYNC_AUDIT_LOG=off).');
+            return null;
+        }
+
+        const combined = { valid: true, count: 0, problems: [] };
+        logs.forEach(auditLog => {
+            const result = auditLog.verify();
+            combined.valid = combined.valid && result.valid;
+            combined.count += result.count;
+            combined.problems.push(...result.problems.map(p => ({ file: auditLog.filePath, ...p })));
+
+            console.log(`\n🔐 Audit log: ${auditLog.filePath}`);
+            if (result.valid) {
+                console.log(`✓ ${result.count} entries verified; the hash chain is intact`);
+                return;
+            }
+
+            console.log(`❌ Audit log has been tampered with (${result.problems.length} problem(s) in ${result.count} entries):`);
+            result.problems.forEach(p => {
+                console.log(`   ${p.line ? `Line ${p.line}: ` : ''}${p.message}`);
+            });
+        });
+        return combined;
+    }
+
     // Statistics Summary
     showStats() {
         const totalMeds = this.data.medications.length;
@@ -132,7 +214,7 @@ class MedicationTracker {
                     new Date(h.timestamp).toDateString() === today
                 );
                 const status = takenToday ? '✓' : '○';
-                console.log(`   ${status} ${med.name} - ${med.dosage} at ${med.scheduledTime}`);
+                console.log(`   ${status} ${med.name} - ${med.dosage} at ${med.scheduledTime || 'no set time'}`);
             });
         }
 
@@ -203,9 +285,169 @@ class MedicationTracker {
             console.log('═'.repeat(70));
         }
 
+        if (displayWarnings) {
+            this.printFoodConditionWarnings(this.checkFoodAndConditions(medsToCheck));
+        }
+
         return foundInteractions;
     }
 
+    // Health profile: conditions and pregnancy week used for condition warnings
+    getProfile() {
+        if (!this.data.profile || typeof this.data.profile !== 'object') {
+            this.data.profile = {};
+        }
+        if (!Array.isArray(this.data.profile.conditions)) {
+            this.data.profile.conditions = [];
+        }
+        return this.data.profile;
+    }
+
+    /**
+     * Current pregnancy week, counted on from the week recorded in the profile
+     * @param {Date} now - Reference time
+     * @returns {number|null} Week (1-42), or null if not pregnant or past 42 weeks
+     */
+    getPregnancyWeek(now = new Date()) {
+        const pregnancy = this.getProfile().pregnancy;
+        if (!pregnancy || !pregnancy.week) return null;
+
+        const days = Math.floor((now - DoseSchedule.fromDateKey(pregnancy.recordedOn)) / (1000 * 60 * 60 * 24));
+        const week = pregnancy.week + Math.max(0, Math.floor(days / 7));
+        return week <= 42 ? week : null;
+    }
+
+    addCondition(name) {
+        if (!name || !String(name).trim()) {
+            console.log('❌ Please give a condition, e.g. add-condition kidney-disease');
+            return false;
+        }
+
+        const id = this.foodConditionChecker.normalizeCondition(name) || String(name).toLowerCase().trim();
+        if (id === 'pregnancy') {
+            console.log('❌ Use set-pregnancy-week <week> so warnings can follow the trimester');
+            return false;
+        }
+
+        const profile = this.getProfile();
+        if (profile.conditions.includes(id)) {
+            console.log(`ℹ️  ${this.foodConditionChecker.getConditionLabel(id)} is already in your profile`);
+            return false;
+        }
+
+        profile.conditions.push(id);
+        if (!this.saveData()) return false;
+        this.logAudit('CONDITION_ADDED', { condition: id });
+
+        console.log(`✓ Added condition: ${this.foodConditionChecker.getConditionLabel(id)}`);
+        if (!this.foodConditionChecker.knowledge.conditions[id]) {
+            console.log('  ℹ️  No medication warnings are on file for this condition yet.');
+        }
+        const activeNames = this.data.medications.filter(m => m.active).map(m => m.name);
+        const warnings = this.checkFoodAndConditions(activeNames).conditions.filter(w => w.condition === id);
+        this.printFoodConditionWarnings({ food: [], conditions: warnings });
+        return true;
+    }
+
+    removeCondition(name) {
+        const profile = this.getProfile();
+        const id = this.foodConditionChecker.normalizeCondition(name) || String(name || '').toLowerCase().trim();
+        if (!profile.conditions.includes(id)) {
+            console.log(`❌ ${name} is not in your profile`);
+            return false;
+        }
+
+        profile.conditions = profile.conditions.filter(c => c !== id);
+        if (!this.saveData()) return false;
+        this.logAudit('CONDITION_REMOVED', { condition: id });
+        console.log(`✓ Removed condition: ${this.foodConditionChecker.getConditionLabel(id)}`);
+        return true;
+    }
+
+    /**
+     * Record the current pregnancy week, or clear it
+     * @param {number|string} week - 1-42, or 'clear'
+     */
+    setPregnancyWeek(week, now = new Date()) {
+        const profile = this.getProfile();
+        if (week === 'clear' || week === 'off') {
+            profile.pregnancy = null;
+            if (!this.saveData()) return false;
+            this.logAudit('PREGNANCY_WEEK_CLEARED');
+            console.log('✓ Pregnancy week cleared');
+            return true;
+        }
+
+        const parsed = Number(week);
+        if (!Number.isInteger(parsed) || parsed < 1 || parsed > 42) {
+            console.log('❌ Pregnancy week must be a whole number from 1 to 42 (or "clear")');
+            return false;
+        }
+
+        profile.pregnancy = { week: parsed, recordedOn: DoseSchedule.toDateKey(now) };
+        if (!this.saveData()) return false;
+        this.logAudit('PREGNANCY_WEEK_SET', profile.pregnancy);
+        console.log(`✓ Pregnancy week set to ${parsed}; it will count up automatically`);
+        return true;
+    }
+
+    showProfile() {
+        const profile = this.getProfile();
+        const week = this.getPregnancyWeek();
+
+        console.log('\n🩺 Health Profile');
+        console.log('═'.repeat(60));
+        console.log(`Pregnancy: ${week ? `week ${week}` : 'not set'}`);
+        if (profile.conditions.length === 0) {
+            console.log('Conditions: none recorded');
+        } else {
+            console.log('Conditions:');
+            profile.conditions.forEach(id => console.log(`   • ${this.foodConditionChecker.getConditionLabel(id)}`));
+        }
+
+        const known = this.foodConditionChecker.listConditions().filter(c => c.id !== 'pregnancy');
+        if (known.length > 0) {
+            console.log(`\nConditions with medication warnings: ${known.map(c => c.id).join(', ')}`);
+        }
+    }
+
+    /**
+     * Food, alcohol and condition warnings for medications
+     * @param {Array<string>} medNames - Medication names
+     * @param {Object} options - weekOfPregnancy (defaults to the profile's current week),
+     *   conditions (defaults to the profile's conditions)
+     * @returns {Object} { food: [...], conditions: [...] }
+     */
+    checkFoodAndConditions(medNames, options = {}) {
+        return this.foodConditionChecker.check(medNames, {
+            conditions: options.conditions || this.getProfile().conditions,
+            weekOfPregnancy: options.weekOfPregnancy || this.getPregnancyWeek()
+        });
+    }
+
+    printFoodConditionWarnings(result) {
+        const severityIcon = { 'SEVERE': '🔴', 'MODERATE': '🟡', 'MINOR': '🟢' };
+
+        if (result.food.length > 0) {
+            console.log('\n🍽️  Food & drink:');
+            result.food.forEach(w => {
+                console.log(`   ${severityIcon[w.severity]} ${w.severity} - ${w.medication} + ${w.icon} ${w.label}`);
+                console.log(`      ${w.description}`);
+                console.log(`      💡 ${w.recommendation}`);
+            });
+        }
+
+        if (result.conditions.length > 0) {
+            console.log('\n🩺 Your health conditions:');
+            result.conditions.forEach(w => {
+                const week = w.weekOfPregnancy ? ` (week ${w.weekOfPregnancy})` : '';
+                console.log(`   ${severityIcon[w.severity]} ${w.severity} - ${w.medication} + ${w.label}${week}`);
+                console.log(`      ${w.description}`);
+                console.log(`      💡 ${w.recommendation}`);
+            });
+        }
+    }
+
     // Backup and Restore
     createBackup(backupDir = './backups') {
         try {
@@ -286,6 +528,7 @@ class MedicationTracker {
             const backupData = fs.readFileSync(backupPath);
             fs.writeFileSync(this.dataFile, backupData);
             this.data = this.loadData();
+            this.logAudit('DATA_RESTORED', { backupFile });
 
             console.log('\n✓ Data restored successfully from backup!');
             console.log(`  Source: ${backupFile}`);
@@ -336,7 +579,7 @@ class MedicationTracker {
             const dosage = (med.dosage || '').replace(/"/g, '""');
             const created = new Date(med.createdAt).toLocaleDateString();
             const status = med.active ? 'Active' : 'Inactive';
-            return `${med.id},"${name}","${dosage}","${med.frequency}","${med.scheduledTime}","${created}","${status}"`;
+            return `${med.id},"${name}","${dosage}","${med.frequency}","${med.scheduledTime || ''}","${created}","${status}"`;
         }).join('\n');
         return headers + rows;
     }
@@ -469,7 +712,7 @@ class MedicationTracker {
             doc.fontSize(11).fillColor('#2c3e50').text(`${index + 1}. ${med.name}`, { indent: 20 });
             doc.fontSize(10).fillColor('#7f8c8d').text(`   Dosage: ${med.dosage}`, { indent: 40 });
             doc.text(`   Frequency: ${med.frequency}`, { indent: 40 });
-            doc.text(`   Scheduled Time: ${med.scheduledTime}`, { indent: 40 });
+            doc.text(`   Scheduled Time: ${med.scheduledTime || 'No set time'}`, { indent: 40 });
             if (index < activeMeds.length - 1) doc.moveDown(0.5);
         });
     }
@@ -478,65 +721,54 @@ class MedicationTracker {
         doc.fontSize(16).fillColor('#34495e').text('📈 Adherence Overview (Last 30 Days)');
         doc.moveDown(0.5);
 
-        // Get last 30 days of history
-        const now = new Date();
-        const thirtyDaysAgo = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
-        const recentHistory = this.data.history
-            .filter(h => new Date(h.timestamp) >= thirtyDaysAgo)
-            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const from = new Date();
+        from.setDate(from.getDate() - 29);
+        const adherence = this.getAdherence({ from: DoseSchedule.toDateKey(from) });
 
-        if (recentHistory.length === 0) {
+        if (adherence.expected === 0) {
             doc.fontSize(11).fillColor('#7f8c8d').text('No data in the last 30 days', { indent: 20 });
             return;
         }
 
-        // Calculate daily adherence
-        const dailyAdherence = {};
-        recentHistory.forEach(entry => {
-            const date = new Date(entry.timestamp).toLocaleDateString();
-            if (!dailyAdherence[date]) {
-                dailyAdherence[date] = { taken: 0, missed: 0 };
-            }
-            if (entry.missed) {
-                dailyAdherence[date].missed++;
-            } else {
-                dailyAdherence[date].taken++;
-            }
-        });
-
-        // Draw pie chart
+        // Draw pie chart, one slice per dose status
         const centerX = 300;
         const centerY = doc.y + 80;
         const radius = 60;
-
-        const totalTaken = recentHistory.filter(h => !h.missed).length;
-        const totalMissed = recentHistory.filter(h => h.missed).length;
-        const total = totalTaken + totalMissed;
-
-        // Taken slice (green)
-        if (totalTaken > 0) {
-            const takenAngle = (totalTaken / total) * 360;
-            doc.fillColor('#27ae60').moveTo(centerX, centerY)
-                .arc(centerX, centerY, radius, 0, takenAngle, false)
-                .fill();
-        }
-
-        // Missed slice (red)
-        if (totalMissed > 0) {
-            const takenAngle = (totalTaken / total) * 360;
-            const missedAngle = (totalMissed / total) * 360;
-            doc.fillColor('#e74c3c').moveTo(centerX, centerY)
-                .arc(centerX, centerY, radius, takenAngle, takenAngle + missedAngle, false)
+        const total = adherence.expected;
+
+        const categories = [
+            { label: '✓ On time', count: adherence.onTime, color: '#27ae60' },
+            { label: '⏰ Late', count: adherence.late, color: '#f39c12' },
+            { label: '⊘ Skipped', count: adherence.skipped, color: '#7f8c8d' },
+            { label: '✗ Missed', count: adherence.missed, color: '#e74c3c' }
+        ];
+
+        let startAngle = 0;
+        categories.forEach(category => {
+            if (category.count === 0) return;
+            const sweep = (category.count / total) * 360;
+            doc.fillColor(category.color).moveTo(centerX, centerY)
+                .arc(centerX, centerY, radius, startAngle, startAngle + sweep, false)
                 .fill();
-        }
+            startAngle += sweep;
+        });
 
         // Legend
-        doc.fontSize(10).fillColor('#27ae60');
-        doc.text(`✓ Taken: ${totalTaken} (${((totalTaken/total)*100).toFixed(1)}%)`, centerX - radius - 100, centerY + radius + 20);
-        doc.fillColor('#e74c3c');
-        doc.text(`✗ Missed: ${totalMissed} (${((totalMissed/total)*100).toFixed(1)}%)`, centerX + 50, centerY + radius + 20);
+        doc.fontSize(10);
+        categories.forEach((category, index) => {
+            const x = index % 2 === 0 ? centerX - radius - 100 : centerX + 50;
+            const y = centerY + radius + 20 + Math.floor(index / 2) * 15;
+            doc.fillColor(category.color);
+            doc.text(`${category.label}: ${category.count} (${((category.count / total) * 100).toFixed(1)}%)`, x, y);
+        });
 
-        doc.y = centerY + radius + 50;
+        if (adherence.late > 0) {
+            const lateSlots = adherence.slots.filter(slot => slot.status === 'late');
+            const averageLate = Math.round(lateSlots.reduce((sum, slot) => sum + slot.minutesLate, 0) / lateSlots.length);
+            doc.fillColor('#7f8c8d').text(`Late doses were taken ${averageLate} min late on average`, centerX - radius - 100, centerY + radius + 50);
+        }
+
+        doc.y = centerY + radius + 70;
     }
 
     addTodaySchedule(doc) {
@@ -550,12 +782,13 @@ class MedicationTracker {
             return;
         }
 
-        // Sort by scheduled time
-        const sorted = activeMeds.sort((a, b) => a.scheduledTime.localeCompare(b.scheduledTime));
+        // Sort by scheduled time; medications without one (e.g. imported as-needed ones) go last
+        const timeKey = med => med.scheduledTime || '24:00';
+        const sorted = activeMeds.sort((a, b) => timeKey(a).localeCompare(timeKey(b)));
 
         sorted.forEach((med, index) => {
             doc.fontSize(11).fillColor('#2c3e50').text(
-                `${med.scheduledTime} - ${med.name} (${med.dosage})`,
+                `${med.scheduledTime || 'No set time'} - ${med.name} (${med.dosage})`,
                 { indent: 20 }
             );
             if (index < sorted.length - 1) doc.moveDown(0.3);
@@ -587,7 +820,7 @@ class MedicationTracker {
         });
     }
 
-    addMedication(name, dosage, frequency, time) {
+    addMedication(name, dosage, frequency, time, options = {}) {
         // Validate required fields
         if (!name || typeof name !== 'string' || name.trim() === '') {
             console.error('❌ Error: Medication name is required');
@@ -603,13 +836,26 @@ class MedicationTracker {
         }
 
         // Validate frequency value (only for English frequencies, allow i18n)
-        const validFrequencies = ['daily', 'twice-daily', 'three-times-daily', 'four-times-daily', 'weekly', 'as-needed', 'every-other-day'];
+        const validFrequencies = MedicationTracker.FREQUENCIES;
         const isEnglishFrequency = /^[a-zA-Z-]+$/.test(frequency);
         if (isEnglishFrequency && !validFrequencies.includes(frequency.toLowerCase())) {
             console.error(`❌ Error: Invalid frequency. Must be one of: ${validFrequencies.join(', ')}`);
             return false;
         }
 
+        // Validate optional schedule dates
+        const { startDate, endDate } = options;
+        for (const [label, value] of [['start date', startDate], ['end date', endDate]]) {
+            if (value && !DoseSchedule.isDateKey(value)) {
+                console.error(`❌ Error: Invalid ${label} "${value}". Use YYYY-MM-DD`);
+                return false;
+            }
+        }
+        if (startDate && endDate && endDate < startDate) {
+            console.error('❌ Error: End date must not be before start date');
+            return false;
+        }
+
         // Enhanced validation using medication database (only if database is loaded)
         let validationResult = null;
         if (this.medicationValidator && this.medicationValidator.medicationManager && 
@@ -675,6 +921,8 @@ class MedicationTracker {
             createdAt: new Date().toISOString(),
             active: true
         };
+        if (startDate) medication.startDate = startDate;
+        if (endDate) medication.endDate = endDate;
 
         // Add enhanced medication info if available
         if (validationResult && validationResult.medication) {
@@ -683,14 +931,33 @@ class MedicationTracker {
             medication.manufacturer = validationResult.medication.manufacturer;
         }
 
+        // Warn when this medication takes an ingredient's daily total near or over its maximum
+        if (this.hasMedicationDatabase()) {
+            const today = DoseSchedule.toDateKey(new Date());
+            this.printDailyDoseWarnings(this.medicationValidator.checkDailyTotals(
+                [...this.data.medications, medication],
+                this.data.history,
+                { date: startDate && startDate > today ? startDate : today, medicationId: medication.id }
+            ));
+        }
+
         this.data.medications.push(medication);
 
         if (this.saveData()) {
+            this.logAudit('MEDICATION_ADDED', {
+                medicationId: medication.id,
+                name: medication.name,
+                dosage: medication.dosage,
+                frequency: medication.frequency
+            });
             console.log('✓ Medication added successfully!');
             console.log(`  Name: ${name}`);
             console.log(`  Dosage: ${dosage}`);
             console.log(`  Frequency: ${frequency}`);
             console.log(`  Time: ${time}`);
+            if (startDate || endDate) {
+                console.log(`  Course: ${startDate || 'today'} → ${endDate || 'ongoing'}`);
+            }
             
             // Show medication details
             if (validationResult && validationResult.medication) {
@@ -718,6 +985,8 @@ class MedicationTracker {
                 console.log('\n⚕️  Please consult your doctor or pharmacist about these interactions.');
             }
 
+            this.printFoodConditionWarnings(this.checkFoodAndConditions([name]));
+
             return medication;
         }
         return null;
@@ -727,7 +996,8 @@ class MedicationTracker {
      * Check pregnancy medication safety
      * @param {string} medicationName - Medication name
      * @param {number} weekOfPregnancy - Week of pregnancy (1-42)
-     * @param {Object} options - Additional options
+     * @param {Object} options - Additional options: patientId, sessionId, and
+     *   useProfile: false to leave out this tracker's profile conditions (anonymous callers)
      * @returns {Promise<Object>} Safety assessment
      */
     async checkPregnancySafety(medicationName, weekOfPregnancy, options = {}) {
@@ -755,6 +1025,13 @@ class MedicationTracker {
                 }
             }
 
+            const context = this.checkFoodAndConditions([medicationName], {
+                weekOfPregnancy,
+                conditions: options.useProfile === false ? [] : undefined
+            });
+            safetyResult.foodInteractions = context.food;
+            safetyResult.conditionWarnings = context.conditions;
+
             // Log to audit trail
             if (options.patientId) {
                 await this.pregnancyAudit.logSafetyCheck({
@@ -883,7 +1160,7 @@ class MedicationTracker {
             console.log(`  Name: ${med.name}`);
             console.log(`  Dosage: ${med.dosage}`);
             console.log(`  Frequency: ${med.frequency}`);
-            console.log(`  Time: ${med.scheduledTime}`);
+            console.log(`  Time: ${med.scheduledTime || 'No set time'}`);
             console.log(`  Status: ${med.active ? 'Active' : 'Inactive'}`);
             console.log('─'.repeat(60));
         });
@@ -913,10 +1190,20 @@ class MedicationTracker {
         }
 
         if (this.saveData()) {
+            this.logAudit('DOSE_TAKEN', record);
             console.log(`✓ Marked "${medication.name}" as taken!`);
             console.log(`  Time: ${new Date().toLocaleString()}`);
             if (notes) console.log(`  Notes: ${notes}`);
 
+            // Extra and as-needed doses add to the day's total
+            if (!this.showDoseTiming(record) && this.hasMedicationDatabase()) {
+                this.printDailyDoseWarnings(this.medicationValidator.checkDailyTotals(
+                    this.data.medications,
+                    this.data.history,
+                    { date: DoseSchedule.toDateKey(DoseSchedule.recordTime(record)), medicationId: medication.id }
+                ));
+            }
+
             // Show refill alert if needed
             if (medication.pillCount !== undefined) {
                 const updated = this.data.medications.find(m => m.id === medication.id);
@@ -928,6 +1215,144 @@ class MedicationTracker {
         return false;
     }
 
+    hasMedicationDatabase() {
+        return Boolean(this.medicationValidator && this.medicationValidator.medicationManager &&
+            this.medicationValidator.medicationManager.medications.length > 0);
+    }
+
+    printDailyDoseWarnings(warnings) {
+        if (warnings.length === 0) return;
+        console.log('\n⚠️  Daily dose:');
+        warnings.forEach(w => console.log(`   ${w.message}`));
+        console.log('   ⚕️  Check the total with your doctor or pharmacist before taking more.');
+    }
+
+    /**
+     * Show the day's total for each active ingredient against its maximum daily dose
+     * @param {string} date - YYYY-MM-DD (default today)
+     * @returns {Array} Totals from MedicationValidator.calculateDailyTotals
+     */
+    showDailyTotals(date = DoseSchedule.toDateKey(new Date())) {
+        if (!DoseSchedule.isDateKey(date)) {
+            console.log(`❌ Invalid date "${date}". Use YYYY-MM-DD`);
+            return [];
+        }
+
+        const totals = this.medicationValidator.calculateDailyTotals(this.data.medications, this.data.history, { date });
+
+        console.log(`\n💊 Daily Totals by Ingredient (${date})`);
+        console.log('═'.repeat(60));
+        if (totals.length === 0) {
+            console.log('No doses scheduled or taken.');
+            console.log('═'.repeat(60));
+            return totals;
+        }
+
+        const icon = { exceeded: '🔴', approaching: '🟡', ok: '🟢' };
+        totals.forEach(total => {
+            const max = total.maxDailyMg
+                ? ` / ${MedicationValidator.formatMg(total.maxDailyMg)} max (${total.percent}%)`
+                : ' (maximum unknown)';
+            console.log(`\n${icon[total.status]} ${total.ingredient}: ${MedicationValidator.formatMg(total.totalMg)}${max}`);
+            total.sources.forEach(source => {
+                const parts = [];
+                if (source.scheduledMg) parts.push(`${MedicationValidator.formatMg(source.scheduledMg)} scheduled`);
+                if (source.loggedMg) parts.push(`${MedicationValidator.formatMg(source.loggedMg)} extra/as-needed`);
+                console.log(`   ${source.name}: ${parts.join(', ')}`);
+            });
+        });
+        console.log('═'.repeat(60));
+        return totals;
+    }
+
+    /**
+     * Print whether a dose just taken was on time, late or an extra dose
+     * @param {Object} record - History record from markAsTaken
+     * @returns {Object|null} Matched slot with its status, or null for an extra dose
+     */
+    showDoseTiming(record) {
+        const medication = this.data.medications.find(m => m.id === record.medicationId);
+        const todayKey = DoseSchedule.toDateKey(DoseSchedule.recordTime(record));
+        const { slots } = this.schedule.matchDoses(
+            this.schedule.expandSlots([medication], todayKey, todayKey, this.data.history),
+            this.data.history
+        );
+        const slot = slots.find(s => s.record === record);
+
+        if (!slot) {
+            if (slots.length > 0) {
+                console.log(`  ⚠ Extra dose: all ${slots.length} scheduled dose(s) for today were already taken or skipped`);
+            }
+            return null;
+        }
+
+        const { status, minutesLate } = this.schedule.classify(slot, DoseSchedule.recordTime(record));
+        if (status === 'late') {
+            console.log(`  ⏰ ${minutesLate} min late for the ${slot.time} dose`);
+        } else {
+            console.log(`  ✓ On time for the ${slot.time} dose`);
+        }
+        return { ...slot, status, minutesLate };
+    }
+
+    /**
+     * Record that a scheduled dose was skipped on purpose
+     * @param {number} medicationId
+     * @param {string} reason - Why the dose was skipped
+     * @param {string} time - HH:MM of today's dose to skip (default: the open dose nearest to now)
+     * @returns {Object|false} The history record
+     */
+    skipDose(medicationId, reason, time = null) {
+        const medication = this.data.medications.find(m => m.id === parseInt(medicationId));
+        if (!medication) {
+            console.log('❌ Medication not found!');
+            return false;
+        }
+
+        if (!reason || typeof reason !== 'string' || reason.trim() === '') {
+            console.error('❌ Error: A reason is required to skip a dose');
+            return false;
+        }
+        if (time !== null && !ValidationUtils.validateTime(time)) {
+            return false;
+        }
+
+        const now = new Date();
+        const todayKey = DoseSchedule.toDateKey(now);
+        const open = this.schedule.matchDoses(
+            this.schedule.expandSlots([medication], todayKey, todayKey, this.data.history),
+            this.data.history
+        ).slots.filter(slot => !slot.record && (time === null || slot.time === time));
+
+        if (open.length === 0) {
+            console.log(`❌ No open dose of "${medication.name}" ${time ? `at ${time} ` : ''}to skip today`);
+            return false;
+        }
+
+        const slot = open.reduce((best, candidate) =>
+            Math.abs(candidate.scheduledAt - now) < Math.abs(best.scheduledAt - now) ? candidate : best);
+        const record = {
+            medicationId: medication.id,
+            medicationName: medication.name,
+            dosage: slot.dosage,
+            timestamp: now.toISOString(),
+            scheduledFor: slot.scheduledAt.toISOString(),
+            skipped: true,
+            missed: true,
+            reason: reason.trim()
+        };
+
+        this.data.history.push(record);
+
+        if (this.saveData()) {
+            this.logAudit('DOSE_SKIPPED', record);
+            console.log(`⊘ Skipped the ${slot.time} dose of "${medication.name}"`);
+            console.log(`  Reason: ${record.reason}`);
+            return record;
+        }
+        return false;
+    }
+
     // ==================== REFILL TRACKING SYSTEM ====================
 
     setRefillInfo(medicationId, pillCount, pillsPerDose = 1, refillThreshold = 7) {
@@ -980,6 +1405,12 @@ class MedicationTracker {
         medication.refillThreshold = validatedRefillThreshold; // Days of supply threshold
 
         if (this.saveData()) {
+            this.logAudit('REFILL_TRACKING_SET', {
+                medicationId: medication.id,
+                pillCount: medication.pillCount,
+                pillsPerDose: medication.pillsPerDose,
+                refillThreshold: medication.refillThreshold
+            });
             console.log(`✅ Refill tracking enabled for "${medication.name}"`);
             console.log(`   💊 Current pills: ${medication.pillCount}`);
             console.log(`   📊 Pills per dose: ${medication.pillsPerDose}`);
@@ -1115,6 +1546,11 @@ class MedicationTracker {
         medication.pillCount += parseInt(pillsAdded);
 
         if (this.saveData()) {
+            this.logAudit('MEDICATION_REFILLED', {
+                medicationId: medication.id,
+                previousCount: oldCount,
+                pillCount: medication.pillCount
+            });
             console.log(`✅ Refilled "${medication.name}"`);
             console.log(`   💊 Pills: ${oldCount} → ${medication.pillCount}`);
 
@@ -1130,6 +1566,7 @@ class MedicationTracker {
 
     checkTodayStatus() {
         const today = new Date().toDateString();
+        const todayKey = DoseSchedule.toDateKey(new Date());
         const activeMeds = this.data.medications.filter(m => m.active);
 
         console.log(`\n📅 Medication Status for ${today}`);
@@ -1140,38 +1577,249 @@ class MedicationTracker {
             return;
         }
 
+        const now = new Date();
+        const { slots, extra } = this.schedule.matchDoses(
+            this.schedule.expandSlots(activeMeds, todayKey, todayKey, this.data.history),
+            this.data.history
+        );
+
         activeMeds.forEach(med => {
-            const takenToday = this.data.history.filter(record => {
-                const recordDate = new Date(record.takenAt).toDateString();
-                return record.medicationId === med.id && recordDate === today;
+            const medSlots = slots.filter(slot => slot.medicationId === med.id);
+            const extraToday = extra.filter(record =>
+                record.medicationId === med.id && DoseSchedule.toDateKey(DoseSchedule.recordTime(record)) === todayKey);
+            const regimen = this.schedule.getRegimen(med, todayKey);
+
+            console.log(`\n${med.name} (${regimen.dosage})`);
+
+            if (medSlots.length === 0) {
+                const range = this.schedule.getActiveRange(med, this.data.history);
+                if (String(regimen.frequency).toLowerCase() === 'as-needed') {
+                    console.log('  Scheduled: as needed');
+                } else if (range && range.start > todayKey) {
+                    console.log(`  Starts on ${range.start}`);
+                } else if (range && range.end && range.end < todayKey) {
+                    console.log(`  Course ended on ${range.end}`);
+                } else {
+                    console.log('  No dose scheduled today');
+                }
+            }
+
+            medSlots.forEach(slot => {
+                const { status, minutesLate, reason } = this.schedule.classify(slot, now);
+                const takenAt = slot.record ? DoseSchedule.recordTime(slot.record).toLocaleTimeString() : null;
+                const labels = {
+                    'on-time': `✓ TAKEN at ${takenAt} (on time)`,
+                    'late': `✓ TAKEN at ${takenAt} (${minutesLate} min late)`,
+                    'skipped': `⊘ SKIPPED: ${reason}`,
+                    'upcoming': '⏰ NOT TAKEN YET',
+                    'due': '⏰ DUE NOW - NOT TAKEN YET',
+                    'missed': '✗ MISSED - NOT TAKEN'
+                };
+                console.log(`  ${slot.time}  ${labels[status]}`);
+                if (slot.record && slot.record.notes) console.log(`      Notes: ${slot.record.notes}`);
             });
 
-            const status = takenToday.length > 0 ? '✓ TAKEN' : '⚠ NOT TAKEN';
-            const color = takenToday.length > 0 ? '' : '';
+            extraToday.forEach(record => {
+                const time = DoseSchedule.recordTime(record).toLocaleTimeString();
+                const label = medSlots.length === 0 ? 'Taken' : 'Extra dose taken';
+                console.log(`  → ${label} at ${time}`);
+                if (record.notes) console.log(`      Notes: ${record.notes}`);
+            });
+        });
+        console.log('═'.repeat(60));
+    }
 
-            console.log(`\n${med.name} (${med.dosage})`);
-            console.log(`  Scheduled: ${med.scheduledTime}`);
-            console.log(`  Status: ${status}`);
+    /**
+     * Adherence against the dose schedule
+     * @param {Object} options - { from, to: YYYY-MM-DD (default today), now: Date }
+     * @returns {Object} DoseSchedule.getAdherence summary
+     */
+    getAdherence(options = {}) {
+        return this.schedule.getAdherence(this.data.medications, this.data.history, options);
+    }
 
-            if (takenToday.length > 0) {
-                takenToday.forEach(record => {
-                    const time = new Date(record.takenAt).toLocaleTimeString();
-                    console.log(`    → Taken at ${time}`);
-                    if (record.notes) console.log(`      Notes: ${record.notes}`);
-                });
+    /**
+     * Update when a medication is expected
+     * @param {number} medicationId
+     * @param {Object} changes - { startDate, endDate, times: ['08:00'], daysOfWeek: [1, 4] }
+     * @returns {Object|false} Updated medication
+     */
+    setSchedule(medicationId, changes = {}) {
+        const medication = this.data.medications.find(m => m.id === parseInt(medicationId));
+        if (!medication) {
+            console.log('❌ Medication not found!');
+            return false;
+        }
+
+        for (const field of ['startDate', 'endDate']) {
+            if (changes[field] && !DoseSchedule.isDateKey(changes[field])) {
+                console.error(`❌ Error: Invalid ${field} "${changes[field]}". Use YYYY-MM-DD`);
+                return false;
             }
+        }
+        const times = changes.times || [];
+        const badTime = times.find(t => !ValidationUtils.validateTime(t));
+        if (badTime) {
+            return false;
+        }
+        const badDay = (changes.daysOfWeek || []).find(d => !Number.isInteger(d) || d < 0 || d > 6);
+        if (badDay !== undefined) {
+            console.error(`❌ Error: Invalid weekday ${badDay} (use 0=Sunday ... 6=Saturday)`);
+            return false;
+        }
+
+        const startDate = changes.startDate || medication.startDate;
+        const endDate = changes.endDate || medication.endDate;
+        if (startDate && endDate && endDate < startDate) {
+            console.error('❌ Error: End date must not be before start date');
+            return false;
+        }
+
+        if (changes.startDate) medication.startDate = changes.startDate;
+        if (changes.endDate) medication.endDate = changes.endDate;
+        if (times.length > 0) medication.times = times;
+        if (changes.daysOfWeek) medication.daysOfWeek = changes.daysOfWeek;
+
+        if (this.saveData()) {
+            this.logAudit('SCHEDULE_UPDATED', { medicationId: medication.id, changes });
+            console.log(`✓ Schedule updated for "${medication.name}"`);
+            return medication;
+        }
+        return false;
+    }
+
+    /**
+     * Add a taper step: from the given day on, the dosage (and optionally
+     * frequency) changes until the next step
+     * @param {number} medicationId
+     * @param {string} from - YYYY-MM-DD
+     * @param {string} dosage - e.g. "25mg"
+     * @param {string} frequency - Optional new frequency
+     * @returns {Object|false} Updated medication
+     */
+    addTaperStep(medicationId, from, dosage, frequency = null) {
+        const medication = this.data.medications.find(m => m.id === parseInt(medicationId));
+        if (!medication) {
+            console.log('❌ Medication not found!');
+            return false;
+        }
+
+        if (!DoseSchedule.isDateKey(from)) {
+            console.error(`❌ Error: Invalid taper date "${from}". Use YYYY-MM-DD`);
+            return false;
+        }
+        if (!dosage || typeof dosage !== 'string' || dosage.trim() === '') {
+            console.error('❌ Error: Dosage is required');
+            return false;
+        }
+        if (frequency && !MedicationTracker.FREQUENCIES.includes(frequency.toLowerCase())) {
+            console.error(`❌ Error: Invalid frequency. Must be one of: ${MedicationTracker.FREQUENCIES.join(', ')}`);
+            return false;
+        }
+
+        const step = { from, dosage: dosage.trim() };
+        if (frequency) step.frequency = frequency.toLowerCase();
+
+        medication.taper = (medication.taper || []).filter(existing => existing.from !== from);
+        medication.taper.push(step);
+        medication.taper.sort((a, b) => a.from.localeCompare(b.from));
+
+        if (this.saveData()) {
+            this.logAudit('TAPER_STEP_ADDED', { medicationId: medication.id, step });
+            console.log(`✓ Taper step added for "${medication.name}": ${step.dosage}${step.frequency ? ` ${step.frequency}` : ''} from ${from}`);
+            return medication;
+        }
+        return false;
+    }
+
+    /**
+     * Print the expected doses for the coming days
+     * @param {number} days - Days to show, starting today
+     * @returns {Array} Dose slots
+     */
+    showSchedule(days = 7) {
+        const from = DoseSchedule.toDateKey(new Date());
+        const to = DoseSchedule.addDays(from, days - 1);
+        const slots = this.schedule.expandSlots(this.data.medications, from, to, this.data.history);
+
+        console.log(`\n🗓️  Dose Schedule (next ${days} days)`);
+        console.log('═'.repeat(60));
+
+        if (slots.length === 0) {
+            console.log('No scheduled doses. As-needed medications are not listed.');
+            console.log('═'.repeat(60));
+            return slots;
+        }
+
+        let currentDay = null;
+        slots.forEach(slot => {
+            if (slot.date !== currentDay) {
+                currentDay = slot.date;
+                console.log(`\n${DoseSchedule.fromDateKey(slot.date).toDateString()}`);
+            }
+            console.log(`  ${slot.time}  ${slot.medicationName} (${slot.dosage})`);
         });
         console.log('═'.repeat(60));
+        return slots;
+    }
+
+    /**
+     * Dose schedule as recurring calendar events (see icalendar.js): one
+     * series per dose time and regimen period, ending with the medication.
+     * As-needed medications have no schedule and are left out.
+     * @returns {Array} ICalendar events
+     */
+    getCalendarEvents() {
+        const events = [];
+
+        this.data.medications.forEach(medication => {
+            const range = this.schedule.getActiveRange(medication, this.data.history);
+            if (!range) return;
+
+            this.schedule.getRegimenPeriods(medication, range).forEach(({ from, until, regimen }) => {
+                const frequency = String(regimen.frequency || 'daily').toLowerCase();
+                let rrule = { freq: 'DAILY' };
+                if (frequency === 'every-other-day') {
+                    rrule = { freq: 'DAILY', interval: 2 };
+                } else if (frequency === 'weekly') {
+                    const days = Array.isArray(medication.daysOfWeek) && medication.daysOfWeek.length > 0
+                        ? medication.daysOfWeek
+                        : [DoseSchedule.fromDateKey(range.start).getDay()];
+                    rrule = { freq: 'WEEKLY', byDay: days.map(day => ICalendar.WEEKDAYS[day]) };
+                }
+                // Calendars count DTSTART as an occurrence, so start on the first dose day
+                let start = from;
+                for (let i = 0; i < 7 && !this.schedule.isDoseDay(medication, regimen, start, range.start); i++) {
+                    start = DoseSchedule.addDays(start, 1);
+                }
+                if (until) {
+                    if (start > until) return;
+                    rrule.until = until;
+                }
+
+                this.schedule.getTimes(regimen, medication.scheduledTime).forEach(time => {
+                    events.push({
+                        uid: `medication-${medication.id}-${from}-${time.replace(':', '')}@stepsync`,
+                        summary: `💊 ${medication.name} ${regimen.dosage}`,
+                        description: `Take ${medication.name} (${regimen.dosage}, ${frequency})`,
+                        categories: ['Medication'],
+                        start: { date: start, time },
+                        durationMinutes: 5,
+                        rrule,
+                        alarmMinutes: 0
+                    });
+                });
+            });
+        });
+
+        return events;
     }
 
     getHistory(medicationId = null, days = 7) {
         const now = new Date();
         const startDate = new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
 
-        let history = this.data.history.filter(record => {
-            const recordDate = new Date(record.takenAt);
-            return recordDate >= startDate;
-        });
+        let history = this.data.history.filter(record => DoseSchedule.recordTime(record) >= startDate);
 
         if (medicationId) {
             history = history.filter(r => r.medicationId === parseInt(medicationId));
@@ -1186,14 +1834,52 @@ class MedicationTracker {
         console.log('═'.repeat(60));
 
         history.forEach(record => {
-            const date = new Date(record.takenAt).toLocaleString();
             console.log(`${record.medicationName} (${record.dosage})`);
-            console.log(`  Taken: ${date}`);
+            if (record.skipped) {
+                console.log(`  Skipped: ${DoseSchedule.matchTime(record).toLocaleString()}`);
+                if (record.reason) console.log(`  Reason: ${record.reason}`);
+            } else {
+                console.log(`  Taken: ${DoseSchedule.recordTime(record).toLocaleString()}`);
+            }
             if (record.notes) console.log(`  Notes: ${record.notes}`);
             console.log('─'.repeat(60));
         });
     }
 
+    /**
+     * Change a medication's name, dosage, frequency or time
+     * @param {number} medicationId
+     * @param {Object} changes - { name, dosage, frequency, time }
+     * @returns {Object|false} Updated medication
+     */
+    updateMedication(medicationId, changes = {}) {
+        const medication = this.data.medications.find(m => m.id === parseInt(medicationId));
+        if (!medication) {
+            console.log('❌ Medication not found!');
+            return false;
+        }
+
+        const fields = ['name', 'dosage', 'frequency', 'time'].filter(field => changes[field] !== undefined);
+        const before = {};
+        const after = {};
+        fields.forEach(field => {
+            before[field] = medication[field];
+            after[field] = changes[field];
+        });
+        const previousUpdatedAt = medication.updatedAt;
+
+        Object.assign(medication, after, { updatedAt: new Date().toISOString() });
+        if (!this.saveData()) {
+            Object.assign(medication, before, { updatedAt: previousUpdatedAt });
+            if (previousUpdatedAt === undefined) delete medication.updatedAt;
+            return false;
+        }
+
+        this.logAudit('MEDICATION_UPDATED', { medicationId: medication.id, before, after });
+        console.log(`✓ Medication "${medication.name}" updated`);
+        return medication;
+    }
+
     removeMedication(medicationId) {
         const index = this.data.medications.findIndex(m => m.id === parseInt(medicationId));
 
@@ -1204,8 +1890,11 @@ class MedicationTracker {
 
         const med = this.data.medications[index];
         med.active = false;
+        // Doses stay expected up to today so past adherence is unchanged
+        med.stoppedAt = new Date().toISOString();
 
         if (this.saveData()) {
+            this.logAudit('MEDICATION_REMOVED', { medicationId: med.id, name: med.name });
             console.log(`✓ Medication "${med.name}" has been deactivated.`);
             return true;
         }
@@ -1240,11 +1929,17 @@ class MedicationTracker {
             return;
         }
 
-        // Calculate overall adherence
-        const totalDoses = recentHistory.length;
-        const takenDoses = recentHistory.filter(h => !h.missed).length;
-        const missedDoses = recentHistory.filter(h => h.missed).length;
-        const adherenceRate = ((takenDoses / totalDoses) * 100).toFixed(1);
+        // Calculate overall adherence against the dose schedule
+        const adherence = this.getAdherence({ from: DoseSchedule.toDateKey(cutoffDate) });
+        if (adherence.expected === 0) {
+            console.log(`No scheduled doses in the last ${days} days (as-needed medications have no schedule).`);
+            return;
+        }
+
+        const totalDoses = adherence.expected;
+        const takenDoses = adherence.taken;
+        const missedDoses = adherence.missed;
+        const adherenceRate = adherence.rate.toFixed(1);
 
         console.log('\n🎯 Overall Adherence:');
         console.log(ChartUtils.progressBar(takenDoses, totalDoses, {
@@ -1252,33 +1947,25 @@ class MedicationTracker {
         }));
         console.log(`   ${ChartUtils.percentageWheel(adherenceRate, 'Adherence Rate')}`);
 
+        // Breakdown of every scheduled dose by what happened to it
+        console.log(ChartUtils.barChart([
+            { label: 'On time', value: adherence.onTime },
+            { label: 'Late', value: adherence.late },
+            { label: 'Skipped', value: adherence.skipped },
+            { label: 'Missed', value: adherence.missed }
+        ], {
+            title: '🕒 Dose Status',
+            width: 30
+        }));
+
         // Adherence by medication
         console.log('\n💊 Adherence by Medication:');
         console.log('═'.repeat(60));
 
-        const medStats = {};
-        recentHistory.forEach(entry => {
-            const medId = entry.medicationId;
-            if (!medStats[medId]) {
-                const med = this.data.medications.find(m => m.id === medId);
-                medStats[medId] = {
-                    name: med ? med.name : 'Unknown',
-                    taken: 0,
-                    missed: 0
-                };
-            }
-
-            if (entry.missed) {
-                medStats[medId].missed++;
-            } else {
-                medStats[medId].taken++;
-            }
-        });
-
-        const chartData = Object.entries(medStats)
-            .map(([id, stats]) => ({
+        const chartData = Object.values(adherence.byMedication)
+            .map(stats => ({
                 label: stats.name,
-                value: parseFloat(((stats.taken / (stats.taken + stats.missed)) * 100).toFixed(1))
+                value: parseFloat(((stats.taken / stats.expected) * 100).toFixed(1))
             }))
             .sort((a, b) => b.value - a.value);
 
@@ -1318,8 +2005,10 @@ class MedicationTracker {
 
         // Statistics box
         console.log(ChartUtils.statsBox({
-            'Total Doses': totalDoses,
-            'Doses Taken': `${takenDoses} ✓`,
+            'Scheduled Doses': totalDoses,
+            'Taken On Time': `${adherence.onTime} ✓`,
+            'Taken Late': adherence.late,
+            'Skipped': adherence.skipped,
             'Doses Missed': `${missedDoses} ✗`,
             'Adherence Rate': `${adherenceRate}%`,
             'Current Streak': `${streak} days`,
@@ -1384,100 +2073,16 @@ class MedicationTracker {
         }
     }
 
-    // Calculate current adherence streak (consecutive days with all doses taken)
+    // Calculate current adherence streak (consecutive days with every scheduled dose taken)
     calculateAdherenceStreak() {
         if (this.data.history.length === 0) return 0;
-
-        // Group by day
-        const dailyData = new Map();
-
-        this.data.history.forEach(entry => {
-            const date = new Date(entry.timestamp).toDateString();
-            if (!dailyData.has(date)) {
-                dailyData.set(date, { taken: 0, missed: 0 });
-            }
-
-            const day = dailyData.get(date);
-            if (entry.missed) {
-                day.missed++;
-            } else {
-                day.taken++;
-            }
-        });
-
-        // Sort dates
-        const sortedDates = Array.from(dailyData.keys())
-            .map(d => new Date(d))
-            .sort((a, b) => b - a); // Most recent first
-
-        let streak = 0;
-        const today = new Date().toDateString();
-
-        for (const date of sortedDates) {
-            const dateStr = date.toDateString();
-            const day = dailyData.get(dateStr);
-
-            // Check if this is today or consecutive
-            if (streak === 0 && dateStr !== today) {
-                // Not starting from today, check if we should start from yesterday
-                const yesterday = new Date();
-                yesterday.setDate(yesterday.getDate() - 1);
-                if (dateStr !== yesterday.toDateString()) {
-                    break; // Streak broken
-                }
-            }
-
-            // Perfect day (no missed doses)
-            if (day.taken > 0 && day.missed === 0) {
-                streak++;
-            } else if (day.missed > 0) {
-                break; // Streak broken
-            }
-        }
-
-        return streak;
+        return this.schedule.getStreaks(this.data.medications, this.data.history).current;
     }
 
     // Get longest adherence streak
     getLongestAdherenceStreak() {
         if (this.data.history.length === 0) return 0;
-
-        const dailyData = new Map();
-
-        this.data.history.forEach(entry => {
-            const date = new Date(entry.timestamp).toDateString();
-            if (!dailyData.has(date)) {
-                dailyData.set(date, { taken: 0, missed: 0 });
-            }
-
-            const day = dailyData.get(date);
-            if (entry.missed) {
-                day.missed++;
-            } else {
-                day.taken++;
-            }
-        });
-
-        const sortedDates = Array.from(dailyData.keys())
-            .map(d => new Date(d))
-            .sort((a, b) => a - b);
-
-        let maxStreak = 0;
-        let currentStreak = 0;
-
-        sortedDates.forEach(date => {
-            const dateStr = date.toDateString();
-            const day = dailyData.get(dateStr);
-
-            if (day.taken > 0 && day.missed === 0) {
-                currentStreak++;
-                maxStreak = Math.max(maxStreak, currentStreak);
-            } else if (day.missed > 0) {
-                currentStreak = 0;
-            }
-        });
-
-        return maxStreak;
+        return this.schedule.getStreaks(this.data.medications, this.data.history).longest;
     }
 
     // Reminder Management
@@ -1504,6 +2109,8 @@ class MedicationTracker {
     }
 }
 
+MedicationTracker.FREQUENCIES = ['daily', 'twice-daily', 'three-times-daily', 'four-times-daily', 'weekly', 'as-needed', 'every-other-day'];
+
 // CLI Interface
 function showHelp() {
     console.log(`
@@ -1518,6 +2125,17 @@ Commands:
       Uses comprehensive medication database (55 medications)
       Validates name/dosage combinations automatically
       Example: node medication-tracker.js add "Sertraline" "50mg" "daily" "08:00"
+      Several times: "08:00,20:00". Optional course: --start 2025-01-06 --end 2025-02-06
+
+  schedule [days]
+      Show the doses expected over the next days (default: 7)
+
+  set-schedule <id> [--start YYYY-MM-DD] [--end YYYY-MM-DD] [--times 08:00,20:00] [--days 1,4]
+      Change when a medication is expected (--days: weekdays for weekly meds, 0=Sunday)
+
+  taper <id> <from YYYY-MM-DD> <dosage> [frequency]
+      Add a taper step: the new dosage applies from that day on
+      Example: node medication-tracker.js taper 1234567890 2025-03-01 25mg
 
   list
       List all active medications
@@ -1525,20 +2143,44 @@ Commands:
   take <id> [notes]
       Mark a medication as taken
       Example: node medication-tracker.js take 1234567890 "taken with food"
+      Doses more than 30 min after their time are recorded as late
+
+  skip <id> <reason> [--time HH:MM]
+      Skip today's dose on purpose (default: the dose nearest to now)
+      Example: node medication-tracker.js skip 1234567890 "doctor said to hold"
 
   status
-      Check today's medication status
+      Check today's doses: on time, late, skipped, due and missed
+      (a dose counts as missed 2 hours after its time)
+
+  daily-dose [YYYY-MM-DD]
+      Total daily amount of each active ingredient vs. its maximum daily dose
+      (scheduled doses plus extra and as-needed doses taken; brands of the
+      same drug count together). add and take warn from 80% of the maximum
 
   stats (or statistics)
       Display overall statistics and summary
 
   check-interactions (or interactions)
-      Check for potential drug interactions between your medications
+      Check for potential drug interactions between your medications, plus
+      food and drink (alcohol, grapefruit, caffeine, dairy) and warnings for
+      the conditions in your health profile
       Displays severity level, description, and recommendations
       🔴 SEVERE: Dangerous combinations - consult doctor immediately
       🟡 MODERATE: May cause problems - discuss with doctor
       🟢 MINOR: Low risk - be aware of potential effects
 
+  profile
+      Show your health profile (conditions and pregnancy week)
+
+  add-condition <condition> / remove-condition <condition>
+      Record a condition such as kidney-disease, liver-disease, asthma,
+      heart-disease, seizure-disorder, glaucoma or bleeding-disorder.
+      add and check-interactions warn about medications that affect it
+
+  set-pregnancy-week <week|clear>
+      Record the current week of pregnancy (counts up automatically)
+
   history [medicationId] [days]
       View medication history
       Example: node medication-tracker.js history 1234567890 7
@@ -1547,7 +2189,7 @@ Commands:
       Deactivate a medication
 
   adherence [days]
-      Visualize medication adherence with charts (default: 30 days)
+      Visualize adherence with on-time, late, skipped and missed doses (default: 30 days)
 
   search <query>
       Search medication database with fuzzy matching
@@ -1608,6 +2250,12 @@ Commands:
       Restore data from a backup file
       Current data is automatically backed up before restore
 
+  verify-audit [file]
+      Check the audit log's hash chain for edited or deleted entries
+      Without a file, checks the tracker's log and the shared medication
+      database log (when STEPSYNC_AUDIT_LOG puts it elsewhere)
+      Exits with status 1 when tampering is found
+
   reminders-on (or enable-reminders)
       Enable daily medication reminders at scheduled times
       Sends notifications when it's time to take your medications
@@ -1635,6 +2283,22 @@ Enhanced Features:
 `);
 }
 
+/**
+ * Split CLI arguments into positional values and --flag value pairs
+ */
+function parseFlags(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--') && args[i + 1] !== undefined) {
+            flags[args[i].slice(2)] = args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { positional, flags };
+}
+
 // Main execution
 function main() {
     const args = process.argv.slice(2);
@@ -1643,12 +2307,51 @@ function main() {
     const tracker = new MedicationTracker();
 
     switch(command) {
-        case 'add':
-            if (args.length < 5) {
-                console.log('❌ Usage: add <name> <dosage> <frequency> <time>');
+        case 'add': {
+            const { positional, flags } = parseFlags(args.slice(1));
+            if (positional.length < 4) {
+                console.log('❌ Usage: add <name> <dosage> <frequency> <time> [--start YYYY-MM-DD] [--end YYYY-MM-DD]');
                 break;
             }
-            tracker.addMedication(args[1], args[2], args[3], args[4]);
+            tracker.addMedication(positional[0], positional[1], positional[2], positional[3], {
+                startDate: flags.start,
+                endDate: flags.end
+            });
+            break;
+        }
+
+        case 'schedule': {
+            const scheduleDays = ValidationUtils.parseInteger(args[1], {
+                min: 1,
+                max: 60,
+                default: 7,
+                fieldName: 'days'
+            });
+            tracker.showSchedule(scheduleDays);
+            break;
+        }
+
+        case 'set-schedule': {
+            const { positional, flags } = parseFlags(args.slice(1));
+            if (positional.length < 1) {
+                console.log('❌ Usage: set-schedule <id> [--start YYYY-MM-DD] [--end YYYY-MM-DD] [--times 08:00,20:00] [--days 1,4]');
+                break;
+            }
+            tracker.setSchedule(positional[0], {
+                startDate: flags.start,
+                endDate: flags.end,
+                times: flags.times ? flags.times.split(',').map(t => t.trim()) : undefined,
+                daysOfWeek: flags.days ? flags.days.split(',').map(Number) : undefined
+            });
+            break;
+        }
+
+        case 'taper':
+            if (args.length < 4) {
+                console.log('❌ Usage: taper <id> <from YYYY-MM-DD> <dosage> [frequency]');
+                break;
+            }
+            tracker.addTaperStep(args[1], args[2], args[3], args[4] || null);
             break;
 
         case 'list':
@@ -1664,10 +2367,25 @@ function main() {
             tracker.markAsTaken(args[1], notes);
             break;
 
+        case 'skip': {
+            const { positional, flags } = parseFlags(args.slice(1));
+            if (positional.length < 2) {
+                console.log('❌ Usage: skip <medication-id> <reason> [--time HH:MM]');
+                break;
+            }
+            tracker.skipDose(positional[0], positional.slice(1).join(' '), flags.time || null);
+            break;
+        }
+
         case 'status':
             tracker.checkTodayStatus();
             break;
 
+        case 'daily-dose':
+        case 'daily-totals':
+            tracker.showDailyTotals(args[1]);
+            break;
+
         case 'stats':
         case 'statistics':
             tracker.showStats();
@@ -1678,6 +2396,26 @@ function main() {
             tracker.checkInteractions();
             break;
 
+        case 'profile':
+            tracker.showProfile();
+            break;
+
+        case 'add-condition':
+            tracker.addCondition(args.slice(1).join(' '));
+            break;
+
+        case 'remove-condition':
+            tracker.removeCondition(args.slice(1).join(' '));
+            break;
+
+        case 'set-pregnancy-week':
+            if (!args[1]) {
+                console.log('❌ Usage: set-pregnancy-week <week|clear>');
+                break;
+            }
+            tracker.setPregnancyWeek(args[1]);
+            break;
+
         case 'history':
             const medId = args[1] || null;
             const days = ValidationUtils.parseInteger(args[2], {
@@ -1822,6 +2560,11 @@ function main() {
             tracker.restoreFromBackup(args[1], restoreDir);
             break;
 
+        case 'verify-audit':
+            const auditResult = tracker.verifyAuditLog(args[1] || null);
+            if (auditResult && !auditResult.valid) process.exitCode = 1;
+            break;
+
         case 'reminders-on':
         case 'enable-reminders':
             tracker.enableReminders();
@@ -1,13 +1,26 @@
 /**
  * Medication Validator
  * Validates medication name/dosage combinations and provides safety checks
+ *
+ * Daily totals add up everything a day holds for each active ingredient:
+ * the scheduled doses (dose × frequency, from the dose schedule) plus any
+ * logged dose that matched no scheduled slot - extra doses and as-needed
+ * medications. Products are grouped by the database generic name with its
+ * salt dropped (Zoloft and Sertraline are both "sertraline"), and the total
+ * is compared with the database maximum daily dose.
  */
 
 const EnhancedMedicationManager = require('./enhanced-medication-manager');
+const DoseSchedule = require('./dose-schedule');
+
+const MG_PER_UNIT = { g: 1000, mg: 1, mcg: 0.001, ug: 0.001, 'µg': 0.001 };
+const SALT_WORDS = ['hcl', 'hbr', 'hydrochloride', 'hydrobromide', 'oxalate', 'fumarate', 'tartrate',
+    'maleate', 'succinate', 'sulfate', 'sodium', 'calcium', 'carbonate', 'salts'];
 
 class MedicationValidator {
     constructor() {
         this.medicationManager = new EnhancedMedicationManager();
+        this.schedule = new DoseSchedule();
     }
 
     /**
@@ -141,6 +154,131 @@ class MedicationValidator {
         }
     }
 
+    /**
+     * Amount of a dose in mg ("500mg", "1g", "250 mcg")
+     * @returns {number|null} null for doses that aren't a plain weight (e.g. "5mg/mL", "1 tablet")
+     */
+    static parseDoseMg(dosage) {
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(g|mg|mcg|ug|µg)\s*$/i.exec(String(dosage || ''));
+        return match ? parseFloat(match[1]) * MG_PER_UNIT[match[2].toLowerCase()] : null;
+    }
+
+    /**
+     * Active ingredient a product contains, with its maximum daily dose
+     * @param {Object} medication - Tracked medication ({ name, genericName? })
+     * @returns {Object} { ingredient, maxDailyMg } - maxDailyMg is null when unknown
+     */
+    getIngredient(medication) {
+        const known = this.medicationManager.getMedicationByName(medication.name);
+        const generic = (known && known.genericName) || medication.genericName || medication.name;
+        const ingredient = String(generic)
+            .toLowerCase()
+            .split(/\s+/)
+            .filter(word => word && !SALT_WORDS.includes(word))
+            .join(' ') || String(generic).toLowerCase();
+
+        return {
+            ingredient,
+            maxDailyMg: known ? MedicationValidator.parseDoseMg(known.maxDailyDose) : null
+        };
+    }
+
+    /**
+     * Total daily intake per active ingredient
+     * @param {Array} medications - Tracked medications
+     * @param {Array} history - Dose records
+     * @param {Object} options - { date: 'YYYY-MM-DD' (default today) }
+     * @returns {Array} [{ ingredient, scheduledMg, loggedMg, totalMg, maxDailyMg, percent, status,
+     *   sources: [{ medicationId, name, scheduledMg, loggedMg }] }] sorted by percent of the maximum;
+     *   status is 'exceeded', 'approaching' (from DAILY_DOSE_WARNING_RATIO) or 'ok'
+     */
+    calculateDailyTotals(medications, history = [], options = {}) {
+        const date = options.date || DoseSchedule.toDateKey(new Date());
+        const slots = this.schedule.expandSlots(medications, date, date, history);
+        const dayRecords = history.filter(record => {
+            const at = DoseSchedule.matchTime(record);
+            return !isNaN(at) && DoseSchedule.toDateKey(at) === date;
+        });
+        const { extra } = this.schedule.matchDoses(slots, dayRecords);
+
+        const totals = new Map();
+        const add = (medication, field, mg) => {
+            if (mg === null) return;
+            const { ingredient, maxDailyMg } = this.getIngredient(medication);
+            if (!totals.has(ingredient)) {
+                totals.set(ingredient, { ingredient, scheduledMg: 0, loggedMg: 0, maxDailyMg, sources: [] });
+            }
+            const total = totals.get(ingredient);
+            if (total.maxDailyMg === null) total.maxDailyMg = maxDailyMg;
+            total[field] += mg;
+
+            let source = total.sources.find(s => s.medicationId === medication.id);
+            if (!source) {
+                source = { medicationId: medication.id, name: medication.name, scheduledMg: 0, loggedMg: 0 };
+                total.sources.push(source);
+            }
+            source[field] += mg;
+        };
+
+        slots.forEach(slot => {
+            const medication = medications.find(m => m.id === slot.medicationId);
+            add(medication, 'scheduledMg', MedicationValidator.parseDoseMg(slot.dosage));
+        });
+        extra.forEach(record => {
+            const medication = medications.find(m => m.id === record.medicationId);
+            if (!medication) return;
+            add(medication, 'loggedMg', MedicationValidator.parseDoseMg(record.dosage || medication.dosage));
+        });
+
+        return Array.from(totals.values())
+            .map(total => {
+                const totalMg = total.scheduledMg + total.loggedMg;
+                const percent = total.maxDailyMg ? Math.round(totalMg / total.maxDailyMg * 100) : null;
+                let status = 'ok';
+                if (percent !== null && totalMg > total.maxDailyMg) status = 'exceeded';
+                else if (percent !== null && totalMg >= total.maxDailyMg * MedicationValidator.DAILY_DOSE_WARNING_RATIO) status = 'approaching';
+                return { ...total, totalMg, percent, status };
+            })
+            .sort((a, b) => (b.percent || 0) - (a.percent || 0));
+    }
+
+    /**
+     * Warnings for ingredients whose daily total is near or over the maximum
+     * @param {Array} medications - Tracked medications
+     * @param {Array} history - Dose records
+     * @param {Object} options - { date, medicationId: only the ingredient this medication contains }
+     * @returns {Array} Warnings ({ type: 'DAILY_TOTAL', severity, message, ingredient, totalMg, maxDailyMg })
+     */
+    checkDailyTotals(medications, history = [], options = {}) {
+        let totals = this.calculateDailyTotals(medications, history, options);
+        if (options.medicationId !== undefined) {
+            totals = totals.filter(total => total.sources.some(s => s.medicationId === options.medicationId));
+        }
+
+        return totals
+            .filter(total => total.status !== 'ok')
+            .map(total => {
+                const parts = total.sources
+                    .map(s => `${s.name} ${MedicationValidator.formatMg(s.scheduledMg + s.loggedMg)}`)
+                    .join(' + ');
+                const amounts = `${MedicationValidator.formatMg(total.totalMg)} of ${total.ingredient} a day (${parts})`;
+                return {
+                    type: 'DAILY_TOTAL',
+                    severity: total.status === 'exceeded' ? 'HIGH' : 'MEDIUM',
+                    message: total.status === 'exceeded'
+                        ? `⚠️ Warning: ${amounts} exceeds the maximum daily dose of ${MedicationValidator.formatMg(total.maxDailyMg)}`
+                        : `⚠️ Note: ${amounts} is ${total.percent}% of the maximum daily dose of ${MedicationValidator.formatMg(total.maxDailyMg)}`,
+                    ingredient: total.ingredient,
+                    totalMg: total.totalMg,
+                    maxDailyMg: total.maxDailyMg
+                };
+            });
+    }
+
+    static formatMg(mg) {
+        return `${Math.round(mg * 1000) / 1000}mg`;
+    }
+
     /**
      * Check pregnancy safety
      * @param {Object} medication - Medication object
@@ -311,4 +449,7 @@ class MedicationValidator {
     }
 }
 
+// Share of the maximum daily dose at which a total counts as approaching it
+MedicationValidator.DAILY_DOSE_WARNING_RATIO = 0.8;
+
 module.exports = MedicationValidator;
@@ -1,23 +1,46 @@
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const ChartUtils = require('./chart-utils');
 const PDFDocument = require('pdfkit');
 const ReminderService = require('./reminder-service');
+const StorageManager = require('./storage-manager');
+const EntryEditor = require('./entry-editor');
+const ReminderManager = require('./reminder-manager');
+const Screeners = require('./screeners');
+const ICalendar = require('./icalendar');
 
 class MentalHealthTracker {
-    constructor(dataFile = 'mental-health-data.json') {
+    constructor(dataFile = StorageManager.resolveDataPath('mental-health-data.json'), storage = StorageManager.getDefault()) {
         this.dataFile = dataFile;
+        this.storage = storage;
         this.data = this.loadData();
         // Add alias for backward compatibility
         this.data.moodLogs = this.data.moodEntries;
         this.reminderService = new ReminderService();
         this.idCounter = Date.now();
+        this.moodEditor = new EntryEditor(this, {
+            collection: 'moodEntries',
+            label: 'Mood entry',
+            rules: MentalHealthTracker.MOOD_RULES,
+            hasDate: false
+        });
     }
 
     generateId() {
         return ++this.idCounter;
     }
 
+    // Homework reminders live with the other app reminders (reminder-cli.js), in the
+    // tracker's own data directory when it has one (e.g. a per-user API directory)
+    getReminderManager() {
+        if (!this.reminderManager) {
+            const usesDefaultFile = this.dataFile === StorageManager.resolveDataPath('mental-health-data.json');
+            this.reminderManager = new ReminderManager(usesDefaultFile ? undefined : path.dirname(this.dataFile), this.storage);
+        }
+        return this.reminderManager;
+    }
+
     /**
      * Normalize data to ensure all required fields exist and handle legacy field aliases.
      * Filters out null/undefined entries from arrays.
@@ -54,7 +77,8 @@ class MentalHealthTracker {
             'moodEntries', 'moodLogs',
             'journalEntries', 'journalLogs',
             'symptoms', 'triggers', 'copingStrategies',
-            'emergencyContacts', 'goals', 'therapists', 'therapySessions'
+            'emergencyContacts', 'goals', 'therapists', 'therapySessions',
+            'screenings', 'homework', 'sessionSeries', 'changeLog'
         ];
 
         for (const field of arrayFields) {
@@ -66,6 +90,17 @@ class MentalHealthTracker {
             }
         }
 
+        // Safety plan sections are lists; linked sections hold ids
+        if (!data.safetyPlan || typeof data.safetyPlan !== 'object') {
+            data.safetyPlan = {};
+        }
+        for (const section of MentalHealthTracker.SAFETY_PLAN_SECTIONS) {
+            if (!Array.isArray(data.safetyPlan[section.field])) {
+                data.safetyPlan[section.field] = [];
+            }
+        }
+        data.safetyPlan.updatedAt = data.safetyPlan.updatedAt || null;
+
         // Keep aliases in sync
         data.moodLogs = data.moodEntries;
         data.journalLogs = data.journalEntries;
@@ -75,10 +110,9 @@ class MentalHealthTracker {
 
     loadData() {
         try {
-            if (fs.existsSync(this.dataFile)) {
-                const rawData = fs.readFileSync(this.dataFile, 'utf8');
-                const parsed = JSON.parse(rawData);
-                return this.normalizeData(parsed);
+            const stored = this.storage.load(this.dataFile, 'mental-health');
+            if (stored) {
+                return this.normalizeData(stored);
             }
         } catch (error) {
             console.error('Error loading data:', error.message);
@@ -95,7 +129,7 @@ class MentalHealthTracker {
             if (Array.isArray(this.data.journalEntries)) {
                 this.data.journalLogs = this.data.journalEntries;
             }
-            fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
+            this.storage.save(this.dataFile, this.data, 'mental-health');
             return true;
         } catch (error) {
             console.error('Error saving data:', error.message);
@@ -251,6 +285,10 @@ class MentalHealthTracker {
     }
 
     listSessions(upcoming = true) {
+        if (this.syncSessionSeries() > 0) {
+            this.saveData();
+        }
+
         let sessions = this.data.therapySessions;
 
         if (upcoming) {
@@ -278,6 +316,9 @@ class MentalHealthTracker {
             console.log(`   Date: ${session.date} at ${session.time}`);
             console.log(`   Type: ${session.type}`);
             console.log(`   Status: ${session.status}`);
+            if (session.seriesId) {
+                console.log(`   🔁 Recurring (Series ID: ${session.seriesId})`);
+            }
 
             if (session.effectiveness) {
                 console.log(`   Effectiveness: ${session.effectiveness}/10`);
@@ -308,6 +349,8 @@ class MentalHealthTracker {
                 console.log(`\n📊 Your average mood (last 7 entries): ${avg}/10`);
             }
 
+            this.printSessionPrepSummary(this.getSessionPrepSummary(session));
+
             return true;
         }
         return false;
@@ -348,6 +391,275 @@ class MentalHealthTracker {
         return false;
     }
 
+    // Therapy Homework
+    sessionMoment(session) {
+        return new Date(`${session.date}T${session.time || '00:00'}`);
+    }
+
+    /**
+     * The session held before this one (completed, by date), if any
+     */
+    getPreviousSession(session) {
+        const start = this.sessionMoment(session);
+        return this.data.therapySessions
+            .filter(s => s.id !== session.id && s.status === 'completed' && this.sessionMoment(s) < start)
+            .sort((a, b) => this.sessionMoment(b) - this.sessionMoment(a))[0] || null;
+    }
+
+    /**
+     * Attach a between-session task to a session
+     * @param {Object} options - { dueDate: 'YYYY-MM-DD', remindAt: 'HH:MM' }. The due date
+     *   defaults to the next scheduled session, or a week after this one
+     * @returns {Object|false} The homework item
+     */
+    assignHomework(sessionId, title, options = {}) {
+        const session = this.data.therapySessions.find(s => s.id === parseInt(sessionId));
+        if (!session) {
+            console.log('❌ Session not found!');
+            return false;
+        }
+        if (!title || !String(title).trim()) {
+            console.log('❌ Homework needs a description');
+            return false;
+        }
+
+        let dueDate = options.dueDate;
+        if (dueDate) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(dueDate) || isNaN(new Date(dueDate).getTime())) {
+                console.log(`❌ Invalid due date: "${dueDate}" must be in YYYY-MM-DD format`);
+                return false;
+            }
+        } else {
+            const next = this.data.therapySessions
+                .filter(s => s.status === 'scheduled' && this.sessionMoment(s) > this.sessionMoment(session))
+                .sort((a, b) => this.sessionMoment(a) - this.sessionMoment(b))[0];
+            if (next) {
+                dueDate = next.date;
+            } else {
+                const weekLater = new Date(`${session.date}T00:00:00Z`);
+                weekLater.setUTCDate(weekLater.getUTCDate() + 7);
+                dueDate = weekLater.toISOString().split('T')[0];
+            }
+        }
+
+        if (options.remindAt && !/^\d{2}:\d{2}$/.test(options.remindAt)) {
+            console.log('❌ Invalid reminder time. Use HH:MM (e.g., 19:00)');
+            return false;
+        }
+
+        const homework = {
+            id: this.generateId(),
+            sessionId: session.id,
+            therapistName: session.therapistName,
+            title: String(title).trim(),
+            dueDate,
+            assignedAt: new Date().toISOString(),
+            completed: false,
+            completedAt: null,
+            completionNote: null,
+            reminderId: null
+        };
+
+        if (options.remindAt) {
+            try {
+                homework.reminderId = this.getReminderManager().createHomeworkReminder({ ...homework, time: options.remindAt }).id;
+            } catch (error) {
+                console.log(`⚠️  Homework saved without a reminder: ${error.message}`);
+            }
+        }
+
+        this.data.homework.push(homework);
+
+        if (!this.saveData()) {
+            this.data.homework.pop();
+            this.dropHomeworkReminder(homework.reminderId);
+            return false;
+        }
+
+        console.log(`\n✅ Homework assigned: "${homework.title}"`);
+        console.log(`   Session: ${session.date} with ${session.therapistName}`);
+        console.log(`   Due: ${dueDate}`);
+        console.log(`   Homework ID: ${homework.id}`);
+        return homework;
+    }
+
+    /**
+     * Log a homework item as done and stop its reminder
+     */
+    completeHomework(homeworkId, note = '') {
+        const homework = this.data.homework.find(h => h.id === parseInt(homeworkId));
+        if (!homework) {
+            console.log('❌ Homework not found!');
+            return false;
+        }
+        if (homework.completed) {
+            console.log(`ℹ️  "${homework.title}" was already completed on ${homework.completedAt.split('T')[0]}`);
+            return false;
+        }
+
+        const previous = { ...homework };
+        Object.assign(homework, {
+            completed: true,
+            completedAt: new Date().toISOString(),
+            completionNote: note || null,
+            reminderId: null
+        });
+
+        // Only stop the reminder once the completion is on disk
+        if (!this.saveData()) {
+            Object.assign(homework, previous);
+            return false;
+        }
+        this.dropHomeworkReminder(previous.reminderId);
+
+        const late = homework.completedAt.split('T')[0] > homework.dueDate;
+        console.log(`\n✅ Homework done: "${homework.title}"${late ? ' (after the due date)' : ''}`);
+        if (note) console.log(`   Note: ${note}`);
+        return homework;
+    }
+
+    /**
+     * Delete a homework reminder if it still exists. It may already have
+     * been deleted from reminder-cli.js.
+     */
+    dropHomeworkReminder(reminderId) {
+        if (!reminderId) return;
+        const reminders = this.getReminderManager();
+        if (reminders.getReminder(reminderId)) {
+            reminders.deleteReminder(reminderId);
+        }
+    }
+
+    getOutstandingHomework() {
+        return this.data.homework
+            .filter(h => !h.completed)
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+
+    listHomework(showAll = false) {
+        const items = showAll
+            ? [...this.data.homework].sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+            : this.getOutstandingHomework();
+
+        if (items.length === 0) {
+            console.log(showAll ? '\n📝 No therapy homework yet.' : '\n📝 No outstanding homework. 🎉');
+            return;
+        }
+
+        const today = EntryEditor.localDateKey(new Date());
+        console.log(`\n📝 ${showAll ? 'All' : 'Outstanding'} Therapy Homework`);
+        console.log('═'.repeat(60));
+        items.forEach(h => {
+            let status = h.dueDate < today ? '⚠️  overdue' : '⏳ due';
+            if (h.completed) status = `✅ done ${h.completedAt.split('T')[0]},`;
+            console.log(`\n${h.title} (ID: ${h.id})`);
+            console.log(`   ${status} ${h.dueDate} · from ${h.therapistName}`);
+            if (h.reminderId) console.log('   🔔 Daily reminder on');
+            if (h.completionNote) console.log(`   Note: ${h.completionNote}`);
+        });
+        console.log('═'.repeat(60));
+    }
+
+    /**
+     * What happened between the previous session and now: homework done and
+     * outstanding, and mood/symptoms compared with the same span before it
+     */
+    getSessionPrepSummary(session, now = new Date()) {
+        const previous = this.getPreviousSession(session);
+        const since = previous ? this.sessionMoment(previous) : null;
+
+        const homework = this.data.homework.filter(h => h.sessionId !== session.id);
+        const completedHomework = homework.filter(h => h.completed && (!since || new Date(h.completedAt) >= since));
+        const outstanding = homework.filter(h => !h.completed);
+
+        const summary = {
+            previousSession: previous,
+            homework: { completed: completedHomework, outstanding },
+            mood: null,
+            symptoms: null
+        };
+        if (!since) return summary;
+
+        const before = new Date(since.getTime() - (now - since));
+        const inRange = (items, from, to) => items.filter(item => {
+            const at = new Date(item.timestamp);
+            return at >= from && at < to;
+        });
+        const average = entries => entries.length > 0
+            ? Math.round(entries.reduce((sum, m) => sum + m.rating, 0) / entries.length * 10) / 10
+            : null;
+
+        const moodsSince = inRange(this.data.moodEntries, since, now);
+        const moodsBefore = inRange(this.data.moodEntries, before, since);
+        const sinceAvg = average(moodsSince);
+        const beforeAvg = average(moodsBefore);
+        summary.mood = {
+            entries: moodsSince.length,
+            average: sinceAvg,
+            previousAverage: beforeAvg,
+            change: sinceAvg !== null && beforeAvg !== null ? Math.round((sinceAvg - beforeAvg) * 10) / 10 : null
+        };
+
+        const symptomsSince = inRange(this.data.symptoms, since, now);
+        const symptomsBefore = inRange(this.data.symptoms, before, since);
+        const byType = {};
+        symptomsSince.forEach(s => { byType[s.type] = (byType[s.type] || 0) + 1; });
+        summary.symptoms = {
+            count: symptomsSince.length,
+            previousCount: symptomsBefore.length,
+            byType
+        };
+        return summary;
+    }
+
+    printSessionPrepSummary(summary) {
+        const { previousSession, homework, mood, symptoms } = summary;
+
+        console.log(`\n📋 Since your last session${previousSession ? ` (${previousSession.date})` : ''}:`);
+        if (homework.completed.length === 0 && homework.outstanding.length === 0) {
+            console.log('   No homework was assigned.');
+        } else {
+            console.log(`   ✅ Homework done: ${homework.completed.length}`);
+            homework.completed.forEach(h => console.log(`      • ${h.title}${h.completionNote ? ` - "${h.completionNote}"` : ''}`));
+            console.log(`   ⏳ Still outstanding: ${homework.outstanding.length}`);
+            homework.outstanding.forEach(h => console.log(`      • ${h.title} (due ${h.dueDate})`));
+        }
+
+        if (mood && mood.entries > 0) {
+            let change = '';
+            if (mood.change !== null) {
+                change = ` (${mood.change > 0 ? '+' : ''}${mood.change} vs before the last session)`;
+            }
+            console.log(`   😊 Mood: ${mood.average}/10 over ${mood.entries} ${mood.entries === 1 ? 'entry' : 'entries'}${change}`);
+        }
+        if (symptoms && (symptoms.count > 0 || symptoms.previousCount > 0)) {
+            const types = Object.entries(symptoms.byType)
+                .sort((a, b) => b[1] - a[1])
+                .map(([type, count]) => `${type} ×${count}`)
+                .join(', ');
+            console.log(`   ⚕️  Symptoms: ${symptoms.count} logged (${symptoms.previousCount} in the same span before)${types ? ` - ${types}` : ''}`);
+        }
+    }
+
+    /**
+     * Pair each completed, rated session with how much of the homework
+     * assigned at the session before it got done
+     * @returns {Array} [{ session, assigned, completed, rate }]
+     */
+    getHomeworkEffectivenessPairs() {
+        return this.data.therapySessions
+            .filter(s => s.status === 'completed' && s.effectiveness)
+            .map(session => {
+                const previous = this.getPreviousSession(session);
+                if (!previous) return null;
+                const assigned = this.data.homework.filter(h => h.sessionId === previous.id);
+                if (assigned.length === 0) return null;
+                const completed = assigned.filter(h => h.completed && new Date(h.completedAt) <= this.sessionMoment(session)).length;
+                return { session, assigned: assigned.length, completed, rate: completed / assigned.length };
+            })
+            .filter(Boolean);
+    }
+
     therapyAnalytics() {
         const completed = this.data.therapySessions.filter(s => s.status === 'completed');
 
@@ -397,6 +709,530 @@ class MentalHealthTracker {
             const avg = (data.totalEff / data.count).toFixed(1);
             console.log(`   ${name}: ${data.count} sessions, ${avg}/10 avg effectiveness`);
         });
+
+        // Homework completion vs. how the following session went
+        if (this.data.homework.length > 0) {
+            const done = this.data.homework.filter(h => h.completed).length;
+            console.log('\n📝 Homework:');
+            console.log(`   Completed: ${done}/${this.data.homework.length} (${Math.round(done / this.data.homework.length * 100)}%)`);
+
+            const pairs = this.getHomeworkEffectivenessPairs();
+            const average = items => (items.reduce((sum, p) => sum + p.session.effectiveness, 0) / items.length).toFixed(1);
+            const mostlyDone = pairs.filter(p => p.rate >= 0.5);
+            const mostlyNot = pairs.filter(p => p.rate < 0.5);
+            if (mostlyDone.length > 0 && mostlyNot.length > 0) {
+                console.log(`   Sessions after doing most homework: ${average(mostlyDone)}/10 effectiveness (${mostlyDone.length})`);
+                console.log(`   Sessions after skipping most of it: ${average(mostlyNot)}/10 effectiveness (${mostlyNot.length})`);
+            }
+
+            const correlation = this.calculateCorrelation(pairs.map(p => p.rate), pairs.map(p => p.session.effectiveness));
+            if (pairs.length >= 3 && correlation !== null) {
+                let reading = 'little link between doing homework and how sessions go';
+                if (correlation >= 0.3) reading = 'sessions tend to go better when homework gets done';
+                if (correlation <= -0.3) reading = 'sessions have not gone better after doing homework - worth raising with your therapist';
+                console.log(`   Correlation with effectiveness: ${correlation.toFixed(2)} (${reading})`);
+            } else {
+                console.log('   Rate a few more sessions that had homework to see how it relates to effectiveness');
+            }
+        }
+    }
+
+    // Recurring Sessions & Calendar
+    /**
+     * Schedule a repeating appointment. Sessions are created from the series
+     * a few weeks ahead (see syncSessionSeries), so pre-session prep,
+     * homework and completion work on them like any other session.
+     * @param {string} frequency - weekly, biweekly or monthly (on the nth weekday of the start date)
+     * @param {Object} options - { nth: 1-4 or 'last' (monthly), until: 'YYYY-MM-DD', count, type }
+     * @returns {Object|false} The series
+     */
+    scheduleRecurringSessions(therapistId, startDate, time, frequency, options = {}) {
+        const therapist = this.data.therapists.find(t => t.id === parseInt(therapistId));
+        if (!therapist) {
+            console.log('❌ Therapist not found! Use list-therapists to see available therapists.');
+            return false;
+        }
+        if (!ICalendar.isDateKey(startDate)) {
+            console.log(`❌ Invalid start date: "${startDate}" must be in YYYY-MM-DD format`);
+            return false;
+        }
+        if (!/^\d{2}:\d{2}$/.test(time || '')) {
+            console.log('❌ Invalid time. Use HH:MM (e.g., 14:00)');
+            return false;
+        }
+        if (!MentalHealthTracker.SESSION_FREQUENCIES.includes(frequency)) {
+            console.log(`❌ Invalid frequency. Must be one of: ${MentalHealthTracker.SESSION_FREQUENCIES.join(', ')}`);
+            return false;
+        }
+
+        let nth = null;
+        if (frequency === 'monthly') {
+            const position = ICalendar.weekdayPosition(startDate);
+            if (options.nth === undefined || options.nth === null) {
+                nth = position.nth <= 4 ? position.nth : -1;
+            } else {
+                nth = String(options.nth).toLowerCase() === 'last' ? -1 : parseInt(options.nth);
+                if (![1, 2, 3, 4, -1].includes(nth)) {
+                    console.log('❌ --nth must be 1-4 or "last"');
+                    return false;
+                }
+                if (nth === -1 ? !position.last : position.nth !== nth) {
+                    console.log(`❌ ${startDate} is not the ${this.describeOrdinal(nth)} ${this.weekdayName(startDate)} of its month`);
+                    return false;
+                }
+            }
+        }
+
+        if (options.until && (!ICalendar.isDateKey(options.until) || options.until < startDate)) {
+            console.log(`❌ Invalid end date: "${options.until}" must be a YYYY-MM-DD date on or after ${startDate}`);
+            return false;
+        }
+        const count = options.count ? parseInt(options.count) : null;
+        if (options.count && !(count > 0)) {
+            console.log('❌ --count must be a positive number of sessions');
+            return false;
+        }
+
+        const series = {
+            id: this.generateId(),
+            therapistId: therapist.id,
+            therapistName: therapist.name,
+            startDate,
+            time,
+            type: options.type || 'regular',
+            durationMinutes: MentalHealthTracker.SESSION_MINUTES,
+            frequency,
+            nth,
+            until: options.until || null,
+            count,
+            exceptions: [],
+            createdAt: new Date().toISOString()
+        };
+
+        this.data.sessionSeries.push(series);
+        this.syncSessionSeries();
+
+        if (this.saveData()) {
+            console.log('\n✅ Recurring sessions scheduled!');
+            console.log(`   Therapist: ${therapist.name}`);
+            console.log(`   Repeats: ${this.describeSeries(series)}`);
+            console.log(`   Starting: ${startDate}${series.until ? ` until ${series.until}` : ''}${count ? ` (${count} sessions)` : ''}`);
+            const next = this.getSeriesOccurrences(series, { from: EntryEditor.localDateKey(new Date()) }).slice(0, 3);
+            if (next.length > 0) console.log(`   Next: ${next.map(o => o.date).join(', ')}`);
+            console.log(`   Series ID: ${series.id}`);
+            return series;
+        }
+        return false;
+    }
+
+    weekdayName(dateKey) {
+        return ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][ICalendar.weekday(dateKey)];
+    }
+
+    describeOrdinal(nth) {
+        return nth === -1 ? 'last' : ['', 'first', 'second', 'third', 'fourth'][nth];
+    }
+
+    describeSeries(series) {
+        const day = this.weekdayName(series.startDate);
+        if (series.frequency === 'monthly') {
+            const ordinal = this.describeOrdinal(series.nth);
+            return `${ordinal[0].toUpperCase()}${ordinal.slice(1)} ${day} of each month at ${series.time}`;
+        }
+        return `Every ${series.frequency === 'biweekly' ? 'other ' : ''}${day} at ${series.time}`;
+    }
+
+    /**
+     * The series as an iCalendar recurrence rule
+     */
+    getSeriesRule(series) {
+        const weekday = ICalendar.WEEKDAYS[ICalendar.weekday(series.startDate)];
+        const rule = series.frequency === 'monthly'
+            ? { freq: 'MONTHLY', interval: 1, byDay: [`${series.nth}${weekday}`] }
+            : { freq: 'WEEKLY', interval: series.frequency === 'biweekly' ? 2 : 1, byDay: [weekday] };
+        if (series.until) rule.until = series.until;
+        if (series.count) rule.count = series.count;
+        return rule;
+    }
+
+    /**
+     * Dates a series falls on, with skipped dates left out and moved ones at their new time
+     * @param {Object} range - { from, to } YYYY-MM-DD (default: from the start, for two years)
+     * @returns {Array} [{ date, time, occurrenceDate, moved }] sorted by date
+     */
+    getSeriesOccurrences(series, range = {}) {
+        // Look a month past the range for occurrences moved back into it
+        const to = range.to ? ICalendar.addDays(range.to, 31) : undefined;
+        const occurrences = [];
+
+        ICalendar.expand(this.getSeriesRule(series), series.startDate, { to }).forEach(date => {
+            const exception = series.exceptions.find(e => e.date === date);
+            if (exception && exception.skip) return;
+            const moment = exception ? exception.movedTo : { date, time: series.time };
+            occurrences.push({ date: moment.date, time: moment.time, occurrenceDate: date, moved: Boolean(exception) });
+        });
+
+        return occurrences
+            .filter(o => (!range.from || o.date >= range.from) && (!range.to || o.date <= range.to))
+            .sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+    }
+
+    /**
+     * Create the sessions due in the next few weeks from every series, and
+     * follow skips, moves and ended series on the upcoming ones
+     * @returns {number} How many sessions were added or changed
+     */
+    syncSessionSeries(now = new Date()) {
+        const today = EntryEditor.localDateKey(now);
+        const horizon = ICalendar.addDays(today, MentalHealthTracker.SERIES_HORIZON_DAYS);
+        let changes = 0;
+
+        this.data.sessionSeries.forEach(series => {
+            const occurrences = this.getSeriesOccurrences(series, { from: today, to: horizon });
+            const sessions = this.data.therapySessions.filter(s => s.seriesId === series.id);
+
+            occurrences.forEach(occurrence => {
+                const session = sessions.find(s => s.occurrenceDate === occurrence.occurrenceDate);
+                if (!session) {
+                    this.data.therapySessions.push({
+                        id: this.generateId(),
+                        therapistId: series.therapistId,
+                        therapistName: series.therapistName,
+                        date: occurrence.date,
+                        time: occurrence.time,
+                        type: series.type,
+                        status: 'scheduled',
+                        preSessionMood: null,
+                        postSessionMood: null,
+                        preSessionNotes: null,
+                        postSessionNotes: null,
+                        effectiveness: null,
+                        seriesId: series.id,
+                        occurrenceDate: occurrence.occurrenceDate,
+                        createdAt: new Date().toISOString()
+                    });
+                    changes++;
+                } else if (session.status === 'scheduled' && (session.date !== occurrence.date || session.time !== occurrence.time)) {
+                    session.date = occurrence.date;
+                    session.time = occurrence.time;
+                    changes++;
+                }
+            });
+
+            sessions
+                .filter(s => s.status === 'scheduled' && s.date >= today &&
+                    !occurrences.some(o => o.occurrenceDate === s.occurrenceDate))
+                .forEach(session => {
+                    session.status = 'cancelled';
+                    changes++;
+                });
+        });
+
+        return changes;
+    }
+
+    findSeriesOccurrence(seriesId, date) {
+        const series = this.data.sessionSeries.find(s => s.id === parseInt(seriesId));
+        if (!series) {
+            console.log('❌ Session series not found! Use series to see your recurring sessions.');
+            return null;
+        }
+        if (!ICalendar.isDateKey(date) ||
+            ICalendar.expand(this.getSeriesRule(series), series.startDate, { from: date, to: date }).length === 0) {
+            console.log(`❌ ${date} is not a session date in this series (${this.describeSeries(series)})`);
+            return null;
+        }
+        return series;
+    }
+
+    /**
+     * Cancel one session of a series; the rest carry on
+     */
+    skipSessionOccurrence(seriesId, date) {
+        const series = this.findSeriesOccurrence(seriesId, date);
+        if (!series) return false;
+
+        series.exceptions = series.exceptions.filter(e => e.date !== date);
+        series.exceptions.push({ date, skip: true });
+        this.syncSessionSeries();
+
+        if (this.saveData()) {
+            console.log(`\n✅ Skipped the ${date} session with ${series.therapistName} (the series continues)`);
+            return series;
+        }
+        return false;
+    }
+
+    /**
+     * Reschedule one session of a series
+     */
+    moveSessionOccurrence(seriesId, date, newDate, newTime) {
+        const series = this.findSeriesOccurrence(seriesId, date);
+        if (!series) return false;
+        if (!ICalendar.isDateKey(newDate)) {
+            console.log(`❌ Invalid date: "${newDate}" must be in YYYY-MM-DD format`);
+            return false;
+        }
+        const time = newTime || series.time;
+        if (!/^\d{2}:\d{2}$/.test(time)) {
+            console.log('❌ Invalid time. Use HH:MM (e.g., 14:00)');
+            return false;
+        }
+
+        series.exceptions = series.exceptions.filter(e => e.date !== date);
+        series.exceptions.push({ date, movedTo: { date: newDate, time } });
+        this.syncSessionSeries();
+
+        if (this.saveData()) {
+            console.log(`\n✅ Moved the ${date} session with ${series.therapistName} to ${newDate} at ${time}`);
+            return series;
+        }
+        return false;
+    }
+
+    /**
+     * Stop a series after a given day (default: today); later sessions are cancelled
+     */
+    endSessionSeries(seriesId, lastDate = EntryEditor.localDateKey(new Date())) {
+        const series = this.data.sessionSeries.find(s => s.id === parseInt(seriesId));
+        if (!series) {
+            console.log('❌ Session series not found! Use series to see your recurring sessions.');
+            return false;
+        }
+        if (!ICalendar.isDateKey(lastDate)) {
+            console.log(`❌ Invalid date: "${lastDate}" must be in YYYY-MM-DD format`);
+            return false;
+        }
+
+        // A rule can't have both UNTIL and COUNT, so a counted series ends on its last date
+        const dates = ICalendar.expand(this.getSeriesRule(series), series.startDate, { to: lastDate });
+        series.until = dates.length > 0 ? dates[dates.length - 1] : ICalendar.addDays(series.startDate, -1);
+        series.count = null;
+        this.syncSessionSeries();
+
+        if (this.saveData()) {
+            console.log(`\n✅ Recurring sessions with ${series.therapistName} end after ${lastDate}`);
+            return series;
+        }
+        return false;
+    }
+
+    listSessionSeries() {
+        if (this.data.sessionSeries.length === 0) {
+            console.log('\n🔁 No recurring sessions.');
+            console.log('Use: node mental-health-tracker.js schedule-recurring <therapist-id> <start-date> <time> <weekly|biweekly|monthly>');
+            return;
+        }
+
+        const today = EntryEditor.localDateKey(new Date());
+        console.log('\n🔁 Recurring Therapy Sessions');
+        console.log('═'.repeat(60));
+        this.data.sessionSeries.forEach(series => {
+            const next = this.getSeriesOccurrences(series, { from: today }).slice(0, 3);
+            console.log(`\n${series.therapistName} (Series ID: ${series.id})`);
+            console.log(`   ${this.describeSeries(series)}, from ${series.startDate}${series.until ? ` until ${series.until}` : ''}${series.count ? ` (${series.count} sessions)` : ''}`);
+            series.exceptions.forEach(e => {
+                console.log(e.skip ? `   ⏭️  ${e.date} skipped` : `   ↪️  ${e.date} moved to ${e.movedTo.date} at ${e.movedTo.time}`);
+            });
+            console.log(next.length > 0 ? `   Next: ${next.map(o => `${o.date} ${o.time}`).join(', ')}` : '   Ended');
+        });
+    }
+
+    /**
+     * Therapy sessions as calendar events (see icalendar.js). A series is
+     * one repeating event with its skipped dates excluded and an override
+     * event for each moved session.
+     * @returns {Array} ICalendar events
+     */
+    getCalendarEvents() {
+        const event = (uid, therapistName, type, start, durationMinutes) => ({
+            uid,
+            summary: `Therapy with ${therapistName}`,
+            description: `${type} session`,
+            categories: ['Therapy'],
+            start,
+            durationMinutes: durationMinutes || MentalHealthTracker.SESSION_MINUTES,
+            alarmMinutes: 60
+        });
+
+        const events = this.data.therapySessions
+            .filter(session => !session.seriesId)
+            .map(session => ({
+                ...event(session.icsUid || `session-${session.id}@stepsync`, session.therapistName, session.type,
+                    { date: session.date, time: session.time }, session.durationMinutes),
+                status: session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'
+            }));
+
+        this.data.sessionSeries.forEach(series => {
+            const uid = series.icsUid || `series-${series.id}@stepsync`;
+            events.push({
+                ...event(uid, series.therapistName, series.type, { date: series.startDate, time: series.time }, series.durationMinutes),
+                rrule: this.getSeriesRule(series),
+                exdates: series.exceptions.filter(e => e.skip).map(e => ({ date: e.date, time: series.time }))
+            });
+            series.exceptions.filter(e => e.movedTo).forEach(e => {
+                events.push({
+                    ...event(uid, series.therapistName, series.type, e.movedTo, series.durationMinutes),
+                    recurrenceId: { date: e.date, time: series.time }
+                });
+            });
+        });
+
+        return events;
+    }
+
+    /**
+     * Turn an imported RRULE into a session series rule, if it is one we support
+     * @returns {Object|null} { frequency, nth }
+     */
+    seriesRuleFromCalendar(rrule, startDate) {
+        const weekday = ICalendar.WEEKDAYS[ICalendar.weekday(startDate)];
+        const byDay = rrule.byDay || [];
+        const position = ICalendar.weekdayPosition(startDate);
+
+        if (rrule.freq === 'WEEKLY' && [1, 2].includes(rrule.interval) && (byDay.length === 0 || (byDay.length === 1 && byDay[0] === weekday))) {
+            return { frequency: rrule.interval === 2 ? 'biweekly' : 'weekly', nth: null };
+        }
+        if (rrule.freq === 'MONTHLY' && rrule.interval === 1 && byDay.length === 1) {
+            const match = /^(-1|[1-4])([A-Z]{2})$/.exec(byDay[0]);
+            const nth = match ? Number(match[1]) : null;
+            if (match && match[2] === weekday && (nth === -1 ? position.last : position.nth === nth)) {
+                return { frequency: 'monthly', nth };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Add appointments from a calendar file
+     *
+     * Events are matched to a therapist by --therapist or by a therapist's
+     * name in the title or description. Past, cancelled and already-known
+     * appointments are left out; weekly, biweekly and monthly-by-weekday
+     * rules become session series, other repeat rules are not imported.
+     *
+     * @param {Array} events - Parsed events (ICalendar.parse)
+     * @param {Object} options - { therapistId, dryRun }
+     * @returns {Object|false} Counts: { added, series, duplicates, past, cancelled, unsupported }
+     */
+    importCalendarEvents(events, options = {}) {
+        let fixedTherapist = null;
+        if (options.therapistId) {
+            fixedTherapist = this.data.therapists.find(t => t.id === parseInt(options.therapistId));
+            if (!fixedTherapist) {
+                console.log('❌ Therapist not found! Use list-therapists to see available therapists.');
+                return false;
+            }
+        }
+
+        const today = EntryEditor.localDateKey(new Date());
+        const result = { added: 0, series: 0, duplicates: 0, past: 0, cancelled: 0, unsupported: 0 };
+        const knownUid = uid => {
+            const own = /^(session|series)-(\d+)@stepsync$/.exec(uid || '');
+            return this.data.therapySessions.some(s => s.icsUid === uid || (own && own[1] === 'session' && s.id === Number(own[2]))) ||
+                this.data.sessionSeries.some(s => s.icsUid === uid || (own && own[1] === 'series' && s.id === Number(own[2])));
+        };
+        const overrides = events.filter(e => e.recurrenceId);
+
+        events.filter(e => !e.recurrenceId).forEach(event => {
+            if (event.status === 'CANCELLED') {
+                result.cancelled++;
+                return;
+            }
+            if (!event.start.time) {
+                result.unsupported++;
+                return;
+            }
+
+            const text = `${event.summary} ${event.description || ''}`.toLowerCase();
+            const therapist = fixedTherapist || this.data.therapists.find(t => text.includes(t.name.toLowerCase()));
+            const base = {
+                therapistId: therapist ? therapist.id : null,
+                therapistName: therapist ? therapist.name : event.summary,
+                time: event.start.time,
+                type: 'regular',
+                durationMinutes: event.durationMinutes || MentalHealthTracker.SESSION_MINUTES,
+                icsUid: event.uid || null
+            };
+
+            if (event.rrule) {
+                const rule = this.seriesRuleFromCalendar(event.rrule, event.start.date);
+                if (!rule) {
+                    result.unsupported++;
+                    return;
+                }
+                if (knownUid(event.uid)) {
+                    result.duplicates++;
+                    return;
+                }
+                const series = {
+                    id: this.generateId(),
+                    ...base,
+                    startDate: event.start.date,
+                    frequency: rule.frequency,
+                    nth: rule.nth,
+                    until: event.rrule.until || null,
+                    count: event.rrule.count || null,
+                    exceptions: [
+                        ...event.exdates.map(exdate => ({ date: exdate.date, skip: true })),
+                        ...overrides
+                            .filter(o => o.uid === event.uid && o.status !== 'CANCELLED' && o.start.time)
+                            .map(o => ({ date: o.recurrenceId.date, movedTo: { date: o.start.date, time: o.start.time } })),
+                        ...overrides
+                            .filter(o => o.uid === event.uid && o.status === 'CANCELLED')
+                            .map(o => ({ date: o.recurrenceId.date, skip: true }))
+                    ],
+                    createdAt: new Date().toISOString()
+                };
+                if (this.getSeriesOccurrences(series, { from: today }).length === 0) {
+                    result.past++;
+                    return;
+                }
+                if (!options.dryRun) this.data.sessionSeries.push(series);
+                result.series++;
+                return;
+            }
+
+            if (event.start.date < today) {
+                result.past++;
+                return;
+            }
+            if (knownUid(event.uid) || this.data.therapySessions.some(s =>
+                s.status !== 'cancelled' && s.date === event.start.date && s.time === event.start.time)) {
+                result.duplicates++;
+                return;
+            }
+            if (!options.dryRun) {
+                this.data.therapySessions.push({
+                    id: this.generateId(),
+                    ...base,
+                    date: event.start.date,
+                    status: 'scheduled',
+                    preSessionMood: null,
+                    postSessionMood: null,
+                    preSessionNotes: null,
+                    postSessionNotes: null,
+                    effectiveness: null,
+                    createdAt: new Date().toISOString()
+                });
+            }
+            result.added++;
+        });
+
+        const changed = result.added + result.series > 0;
+        if (changed && !options.dryRun) {
+            this.syncSessionSeries();
+            if (!this.saveData()) return false;
+        }
+
+        console.log(`\n📥 Calendar import${options.dryRun ? ' (dry run - nothing saved)' : ''}`);
+        console.log(`   Sessions added: ${result.added}`);
+        console.log(`   Recurring series added: ${result.series}`);
+        if (result.duplicates) console.log(`   Already known: ${result.duplicates}`);
+        if (result.past) console.log(`   In the past: ${result.past}`);
+        if (result.cancelled) console.log(`   Cancelled: ${result.cancelled}`);
+        if (result.unsupported) console.log(`   ⚠️  Not imported (all-day or unsupported repeat rule): ${result.unsupported}`);
+        return result;
     }
 
     // Backup and Restore
@@ -684,6 +1520,12 @@ class MentalHealthTracker {
                     this.addCopingSection(doc);
                 }
 
+                // Screening Questionnaires
+                if (this.data.screenings.length > 0) {
+                    doc.moveDown(1.5);
+                    this.addScreeningSection(doc);
+                }
+
                 // Footer
                 doc.fontSize(8).fillColor('#95a5a6').text(
                     'Generated by StepSync Mental Health Tracker',
@@ -896,8 +1738,87 @@ class MentalHealthTracker {
             if (strategy.description) {
                 doc.fontSize(9).fillColor('#7f8c8d').text(`   ${strategy.description}`, { indent: 40 });
             }
-            if (index < topStrategies.length - 1) doc.moveDown(0.3);
+            if (index < topStrategies.length - 1) doc.moveDown(0.3);
+        });
+    }
+
+    addScreeningSection(doc) {
+        doc.fontSize(16).fillColor('#34495e').text('📋 Screening Questionnaires');
+        doc.moveDown(0.5);
+
+        this.getScreeningSummary().forEach(({ instrument, latest, change, history }) => {
+            const max = Screeners.maxScore(instrument);
+            doc.fontSize(12).fillColor('#2c3e50').text(
+                `${instrument.name} - ${instrument.title}: ${latest.score}/${max} (${latest.severity})`,
+                { indent: 20 }
+            );
+            const changeText = change
+                ? `, change ${change.delta > 0 ? '+' : ''}${change.delta} (${change.direction})`
+                : '';
+            doc.fontSize(9).fillColor('#7f8c8d').text(`   Completed ${latest.date}${changeText}`, { indent: 20 });
+
+            if (latest.subscores) {
+                const clusters = Object.entries(instrument.clusters)
+                    .map(([key, cluster]) => `${key} ${cluster.label}: ${latest.subscores[key].score}`)
+                    .join('  |  ');
+                doc.text(`   ${clusters}`, { indent: 20 });
+                doc.text(`   Provisional DSM-5 symptom criteria: ${latest.criteriaMet ? 'met' : 'not met'}`, { indent: 20 });
+            }
+            if (latest.flags && latest.flags.includes('self-harm')) {
+                doc.fillColor('#c0392b').text('   Item 9 (thoughts of self-harm) endorsed - please follow up', { indent: 20 });
+            }
+
+            doc.fontSize(9).fillColor('#2c3e50').text(`   ${instrument.prompt}:`, { indent: 20 });
+            instrument.items.forEach((item, index) => {
+                const answer = latest.answers[index];
+                doc.fillColor('#7f8c8d').text(`${index + 1}. ${item}: ${answer} (${instrument.options[answer]})`, { indent: 40 });
+            });
+
+            if (history.length >= 2) {
+                this.addScreeningTrendChart(doc, history.slice(-10), max);
+                doc.fontSize(9).fillColor('#7f8c8d').text(
+                    `   History: ${history.slice(-10).map(s => `${s.date} ${s.score}`).join(', ')}`,
+                    { indent: 20 }
+                );
+            }
+            doc.moveDown(0.5);
+        });
+
+        doc.fontSize(8).fillColor('#95a5a6').text(
+            'Scoring: ' + Screeners.list().map(i => `${i.name} ${i.reference}`).join('; ') +
+            '. Screening results are not a diagnosis.',
+            { indent: 20 }
+        );
+    }
+
+    addScreeningTrendChart(doc, history, max) {
+        const chartX = 90;
+        const chartWidth = 300;
+        const chartHeight = 60;
+        const chartY = doc.y + 5;
+
+        doc.strokeColor('#bdc3c7').lineWidth(1)
+            .moveTo(chartX, chartY).lineTo(chartX, chartY + chartHeight)
+            .lineTo(chartX + chartWidth, chartY + chartHeight).stroke();
+
+        const step = chartWidth / Math.max(history.length - 1, 1);
+        const points = history.map((s, index) => ({
+            x: chartX + index * step,
+            y: chartY + chartHeight - (s.score / max) * chartHeight
+        }));
+
+        doc.strokeColor('#8e44ad').lineWidth(2);
+        points.forEach((point, index) => {
+            if (index === 0) {
+                doc.moveTo(point.x, point.y);
+            } else {
+                doc.lineTo(point.x, point.y);
+            }
         });
+        doc.stroke();
+        points.forEach(point => doc.circle(point.x, point.y, 2.5).fill('#8e44ad'));
+
+        doc.y = chartY + chartHeight + 10;
     }
 
     // Profile Management
@@ -925,7 +1846,11 @@ class MentalHealthTracker {
     }
 
     // Mood Tracking
-    logMood(rating, note = '') {
+    /**
+     * Log a mood rating
+     * @param {Object} when - { date: 'YYYY-MM-DD', at: 'HH:MM' } to backdate the entry (default: now)
+     */
+    logMood(rating, note = '', when = {}) {
         // Validate rating - return false on invalid values
         const ratingNum = parseInt(rating);
         if (isNaN(ratingNum) || !Number.isInteger(ratingNum) || ratingNum < 1 || ratingNum > 10) {
@@ -938,12 +1863,21 @@ class MentalHealthTracker {
             this.data.moodEntries = [];
         }
 
+        const logged = EntryEditor.resolveWhen(when);
+        if (!logged.isValid) {
+            logged.errors.forEach(error => console.log(`❌ ${error}`));
+            return false;
+        }
+
         const entry = {
             id: this.generateId(),
             rating: ratingNum,
             note: note,
-            timestamp: new Date().toISOString()
+            timestamp: logged.timestamp
         };
+        if (logged.backdated) {
+            entry.loggedAt = new Date().toISOString();
+        }
 
         this.data.moodEntries.push(entry);
 
@@ -954,12 +1888,40 @@ class MentalHealthTracker {
             const emoji = this.getMoodEmoji(ratingNum);
             console.log(`\n✓ Mood logged: ${emoji} ${ratingNum}/10`);
             if (note) console.log(`  Note: ${note}`);
-            console.log(`  Time: ${new Date().toLocaleString()}`);
+            console.log(`  Time: ${new Date(entry.timestamp).toLocaleString()}`);
+            // A mood from days ago is a record, not a crisis happening now
+            const ageHours = (Date.now() - new Date(entry.timestamp).getTime()) / 3600000;
+            if (ratingNum <= MentalHealthTracker.CRISIS_MOOD_MAX && ageHours < MentalHealthTracker.CRISIS_RECENT_HOURS) {
+                this.offerSafetyPlan(`That's a very low mood (${ratingNum}/10)`);
+            }
             return true;
         }
         return false;
     }
 
+    /**
+     * Change a logged mood (rating, note, or its date/time)
+     * @returns {Object|null} Updated entry
+     */
+    editMood(id, changes) {
+        return this.moodEditor.report(this.moodEditor.edit(id, changes), 'updated');
+    }
+
+    deleteMood(id) {
+        return this.moodEditor.report(this.moodEditor.remove(id), 'deleted');
+    }
+
+    /**
+     * Revert the last mood edit or delete (within EntryEditor.UNDO_WINDOW_MINUTES)
+     */
+    undoLastChange() {
+        return this.moodEditor.report(this.moodEditor.undo(), 'restored');
+    }
+
+    showChanges(limit = 20) {
+        return this.moodEditor.printHistory(limit);
+    }
+
     getMoodEmoji(rating) {
         if (rating <= 2) return '😢';
         if (rating <= 4) return '😔';
@@ -1002,7 +1964,7 @@ class MentalHealthTracker {
         recentMoods.forEach(entry => {
             const date = new Date(entry.timestamp).toLocaleString();
             const emoji = this.getMoodEmoji(entry.rating);
-            console.log(`${emoji} ${entry.rating}/10 - ${date}`);
+            console.log(`${emoji} ${entry.rating}/10 - ${date}  [id ${entry.id}]`);
             if (entry.note) console.log(`   "${entry.note}"`);
             console.log('─'.repeat(60));
         });
@@ -1075,11 +2037,7 @@ class MentalHealthTracker {
 
     // Symptom Tracking
     logSymptom(symptomType, severity, note = '') {
-        const validSymptoms = [
-            'anxiety', 'panic', 'flashback', 'nightmare',
-            'depression', 'insomnia', 'irritability', 'avoidance',
-            'hypervigilance', 'concentration', 'physical-pain', 'other'
-        ];
+        const validSymptoms = MentalHealthTracker.SYMPTOM_TYPES;
 
         if (!validSymptoms.includes(symptomType)) {
             console.log(`❌ Invalid symptom type. Valid types: ${validSymptoms.join(', ')}`);
@@ -1104,6 +2062,9 @@ class MentalHealthTracker {
         if (this.saveData()) {
             console.log(`\n✓ Symptom logged: ${symptomType} (severity: ${severity}/10)`);
             if (note) console.log(`  Note: ${note}`);
+            if (entry.severity >= MentalHealthTracker.SEVERE_SYMPTOM_MIN) {
+                this.offerSafetyPlan(`That sounds like a severe ${symptomType} episode (${entry.severity}/10)`);
+            }
             return true;
         }
         return false;
@@ -1150,6 +2111,176 @@ class MentalHealthTracker {
         console.log('═'.repeat(60));
     }
 
+    // Screening Questionnaires (PHQ-9, GAD-7, PCL-5)
+    /**
+     * Record a completed questionnaire
+     * @param {string} instrumentId - 'phq9', 'gad7' or 'pcl5'
+     * @param {Array|string} answers - One score per item, e.g. [0, 1, 2] or "0,1,2"
+     * @param {Object} when - { date: 'YYYY-MM-DD', at: 'HH:MM' } to backdate the result (default: now)
+     * @returns {Object|false} The stored result, or false when the input is invalid
+     */
+    recordScreening(instrumentId, answers, when = {}, note = '') {
+        const instrument = Screeners.get(instrumentId);
+        if (!instrument) {
+            console.log(`❌ Unknown screener. Available: ${Screeners.list().map(i => i.id).join(', ')}`);
+            return false;
+        }
+
+        const parsed = Screeners.parseAnswers(instrument, answers);
+        if (!parsed.isValid) {
+            console.log(`❌ ${parsed.error}`);
+            return false;
+        }
+
+        const logged = EntryEditor.resolveWhen(when);
+        if (!logged.isValid) {
+            logged.errors.forEach(error => console.log(`❌ ${error}`));
+            return false;
+        }
+
+        const previous = this.getScreeningHistory(instrument.id)
+            .filter(s => s.timestamp < logged.timestamp)
+            .pop();
+        const result = Screeners.score(instrument, parsed.answers);
+
+        const entry = {
+            id: this.generateId(),
+            instrument: instrument.id,
+            date: logged.date,
+            timestamp: logged.timestamp,
+            answers: parsed.answers,
+            score: result.score,
+            severity: result.severity,
+            flags: result.flags,
+            note: note
+        };
+        if (result.subscores) {
+            entry.subscores = result.subscores;
+            entry.criteriaMet = result.criteriaMet;
+        }
+
+        this.data.screenings.push(entry);
+
+        if (!this.saveData()) {
+            return false;
+        }
+
+        console.log(`\n✓ ${instrument.name} recorded: ${result.score}/${result.maxScore} (${result.severity})`);
+        if (result.subscores) {
+            const clusters = Object.entries(result.subscores)
+                .map(([key, sub]) => `${key} ${sub.score}`)
+                .join(', ');
+            console.log(`  Clusters: ${clusters}`);
+            console.log(`  DSM-5 symptom criteria: ${result.criteriaMet ? 'met' : 'not met'}`);
+        }
+        if (previous) {
+            const change = Screeners.change(instrument, previous.score, result.score);
+            const sign = change.delta > 0 ? '+' : '';
+            console.log(`  Change since ${previous.date}: ${sign}${change.delta} (${change.direction})`);
+        }
+        if (result.flags.includes('self-harm')) {
+            console.log('\n⚠️  You reported thoughts of being better off dead or of hurting yourself.');
+            console.log('   Share this result with your therapist or doctor.');
+            this.offerSafetyPlan('Please talk to someone now');
+        }
+        return entry;
+    }
+
+    /**
+     * Ask each item in turn and record the result
+     * @param {Function} ask - (question) => Promise<string> answer
+     */
+    async administerScreening(instrumentId, ask, when = {}) {
+        const instrument = Screeners.get(instrumentId);
+        if (!instrument) {
+            console.log(`❌ Unknown screener. Available: ${Screeners.list().map(i => i.id).join(', ')}`);
+            return false;
+        }
+
+        const top = instrument.options.length - 1;
+        console.log(`\n📋 ${instrument.name} - ${instrument.title}`);
+        console.log(`${instrument.prompt} the following problems?`);
+        instrument.options.forEach((option, value) => console.log(`  ${value} = ${option}`));
+
+        const answers = [];
+        for (let i = 0; i < instrument.items.length; i++) {
+            let value = null;
+            while (value === null) {
+                const input = String(await ask(`\n${i + 1}. ${instrument.items[i]}\n   Answer (0-${top}): `)).trim();
+                const answer = Number(input);
+                if (input !== '' && Number.isInteger(answer) && answer >= 0 && answer <= top) {
+                    value = answer;
+                } else {
+                    console.log(`❌ Enter a whole number from 0 to ${top}`);
+                }
+            }
+            answers.push(value);
+        }
+
+        return this.recordScreening(instrument.id, answers, when);
+    }
+
+    getScreeningHistory(instrumentId = null) {
+        const instrument = instrumentId ? Screeners.get(instrumentId) : null;
+        return this.data.screenings
+            .filter(s => !instrument || s.instrument === instrument.id)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Latest result per instrument with the change since the one before
+     * @returns {Array} [{ instrument, latest, previous, change, history }]
+     */
+    getScreeningSummary() {
+        return Screeners.list()
+            .map(instrument => {
+                const history = this.getScreeningHistory(instrument.id);
+                if (history.length === 0) return null;
+                const latest = history[history.length - 1];
+                const previous = history.length > 1 ? history[history.length - 2] : null;
+                return {
+                    instrument,
+                    latest,
+                    previous,
+                    change: previous ? Screeners.change(instrument, previous.score, latest.score) : null,
+                    history
+                };
+            })
+            .filter(Boolean);
+    }
+
+    viewScreenings(instrumentId = null) {
+        if (instrumentId && !Screeners.get(instrumentId)) {
+            console.log(`❌ Unknown screener. Available: ${Screeners.list().map(i => i.id).join(', ')}`);
+            return;
+        }
+
+        const summaries = this.getScreeningSummary()
+            .filter(s => !instrumentId || s.instrument.id === Screeners.get(instrumentId).id);
+
+        if (summaries.length === 0) {
+            console.log('\nNo screenings recorded yet. Try: screen phq9');
+            return;
+        }
+
+        console.log('\n📋 Screening History');
+        console.log('═'.repeat(60));
+        summaries.forEach(({ instrument, history, change }) => {
+            const max = Screeners.maxScore(instrument);
+            console.log(`\n${instrument.name} - ${instrument.title} (0-${max}):`);
+            history.forEach(s => {
+                const flag = s.flags && s.flags.includes('self-harm') ? ' ⚠️' : '';
+                console.log(`  • ${s.date}: ${String(s.score).padStart(2)} - ${s.severity}${flag}`);
+            });
+            if (change) {
+                const sign = change.delta > 0 ? '+' : '';
+                console.log(`  Latest change: ${sign}${change.delta} (${change.direction}; ${instrument.minimalChange}+ points is meaningful)`);
+            }
+        });
+        console.log('═'.repeat(60));
+        console.log('Screeners support a conversation with a clinician; they are not a diagnosis.');
+    }
+
     // Trigger Management
     addTrigger(description, intensity = 5) {
         const trigger = {
@@ -1340,6 +2471,181 @@ class MentalHealthTracker {
         console.log('═'.repeat(60));
     }
 
+    // Safety Plan (Stanley-Brown)
+    /**
+     * Add an item to a safety plan section. Text sections take free text;
+     * coping, contacts and professionals take the id of an existing coping
+     * strategy, emergency contact or therapist.
+     */
+    addToSafetyPlan(sectionKey, value) {
+        const section = MentalHealthTracker.SAFETY_PLAN_SECTIONS.find(s => s.key === sectionKey);
+        if (!section) {
+            console.log(`❌ Unknown section. Valid sections: ${MentalHealthTracker.SAFETY_PLAN_SECTIONS.map(s => s.key).join(', ')}`);
+            return false;
+        }
+
+        const text = String(value || '').trim();
+        if (!text) {
+            console.log(`❌ Nothing to add to ${section.key}`);
+            return false;
+        }
+
+        const items = this.data.safetyPlan[section.field];
+        let label = text;
+        if (section.linked) {
+            const linked = this.data[section.linked].find(item => item.id === parseInt(text));
+            if (!linked) {
+                console.log(`❌ No ${section.noun} with ID ${text}`);
+                return false;
+            }
+            if (items.includes(linked.id)) {
+                console.log(`ℹ️  ${linked.name} is already in your safety plan`);
+                return false;
+            }
+            items.push(linked.id);
+            label = linked.name;
+        } else {
+            items.push(text);
+        }
+        this.data.safetyPlan.updatedAt = new Date().toISOString();
+
+        if (this.saveData()) {
+            console.log(`\n✓ Added to safety plan (${section.title}): ${label}`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Remove an item by its number (text sections) or id (linked sections)
+     */
+    removeFromSafetyPlan(sectionKey, ref) {
+        const section = MentalHealthTracker.SAFETY_PLAN_SECTIONS.find(s => s.key === sectionKey);
+        if (!section) {
+            console.log(`❌ Unknown section. Valid sections: ${MentalHealthTracker.SAFETY_PLAN_SECTIONS.map(s => s.key).join(', ')}`);
+            return false;
+        }
+
+        const items = this.data.safetyPlan[section.field];
+        const index = section.linked ? items.indexOf(parseInt(ref)) : parseInt(ref) - 1;
+        if (isNaN(index) || index < 0 || index >= items.length) {
+            console.log(`❌ ${ref} is not in the ${section.key} section`);
+            return false;
+        }
+
+        items.splice(index, 1);
+        this.data.safetyPlan.updatedAt = new Date().toISOString();
+
+        if (this.saveData()) {
+            console.log(`\n✓ Removed from safety plan (${section.title})`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * The plan with linked items resolved. Sections with nothing linked fall
+     * back to the most effective coping strategies, all emergency contacts
+     * and all therapists, so a plan is useful before it is filled in.
+     */
+    getSafetyPlan() {
+        const plan = this.data.safetyPlan;
+        const resolve = (ids, collection) => ids
+            .map(id => this.data[collection].find(item => item.id === id))
+            .filter(Boolean);
+
+        let coping = resolve(plan.copingStrategyIds, 'copingStrategies');
+        if (coping.length === 0) {
+            coping = [...this.data.copingStrategies]
+                .sort((a, b) => (parseFloat(b.effectiveness) || 0) - (parseFloat(a.effectiveness) || 0))
+                .slice(0, 3);
+        }
+        const contacts = resolve(plan.contactIds, 'emergencyContacts');
+        const professionals = resolve(plan.therapistIds, 'therapists');
+
+        return {
+            warningSigns: plan.warningSigns,
+            coping,
+            peopleAndPlaces: plan.peopleAndPlaces,
+            contacts: contacts.length > 0 ? contacts : this.data.emergencyContacts,
+            professionals: professionals.length > 0 ? professionals : this.data.therapists,
+            crisisLines: MentalHealthTracker.CRISIS_LINES,
+            meansRestriction: plan.meansRestriction,
+            reasonsForLiving: plan.reasonsForLiving,
+            updatedAt: plan.updatedAt
+        };
+    }
+
+    isSafetyPlanEmpty() {
+        return MentalHealthTracker.SAFETY_PLAN_SECTIONS
+            .every(section => this.data.safetyPlan[section.field].length === 0);
+    }
+
+    showSafetyPlan() {
+        const plan = this.getSafetyPlan();
+        const list = (items, format = item => item) => {
+            if (items.length === 0) {
+                console.log('   (nothing added yet)');
+                return;
+            }
+            items.forEach(item => console.log(`   • ${format(item)}`));
+        };
+        const [signs, coping, places, contacts, professionals, means, reasons] = MentalHealthTracker.SAFETY_PLAN_SECTIONS;
+
+        console.log('\n🛟 My Safety Plan');
+        console.log('═'.repeat(60));
+        console.log(`\n${signs.title}`);
+        list(plan.warningSigns);
+        console.log(`\n${coping.title}`);
+        list(plan.coping, s => s.description ? `${s.name} - ${s.description}` : s.name);
+        console.log(`\n${places.title}`);
+        list(plan.peopleAndPlaces);
+        console.log(`\n${contacts.title}`);
+        list(plan.contacts, c => `${c.name} (${c.relationship}): ${c.phone}`);
+        console.log(`\n${professionals.title}`);
+        list(plan.professionals, t => `${t.name} (${t.specialty}): ${t.phone}`);
+        plan.crisisLines.forEach(line => console.log(`   • ${line}`));
+        console.log(`\n${means.title}`);
+        list(plan.meansRestriction);
+        if (plan.reasonsForLiving.length > 0) {
+            console.log(`\n${reasons.title}`);
+            list(plan.reasonsForLiving);
+        }
+        console.log('\n' + '═'.repeat(60));
+
+        if (this.isSafetyPlanEmpty()) {
+            console.log('Build your plan: safety-plan add <section> <text or id>');
+        } else if (plan.updatedAt) {
+            console.log(`Last updated: ${new Date(plan.updatedAt).toLocaleDateString()}`);
+        }
+        return plan;
+    }
+
+    /**
+     * Crisis view: immediate help first, then the full safety plan
+     */
+    showCrisis() {
+        console.log('\n🆘 If you are in immediate danger, call 911 or go to the nearest emergency room.');
+        MentalHealthTracker.CRISIS_LINES.forEach(line => console.log(`   • ${line}`));
+        return this.showSafetyPlan();
+    }
+
+    /**
+     * Point to the safety plan and the first people to call after a
+     * worrying entry (mood of 1-2, a severe symptom or a screening flag)
+     */
+    offerSafetyPlan(reason) {
+        const plan = this.getSafetyPlan();
+
+        console.log(`\n💙 ${reason}. You don't have to handle this alone.`);
+        plan.contacts.slice(0, 3).forEach(c => console.log(`   📞 ${c.name} (${c.relationship}): ${c.phone}`));
+        plan.professionals.slice(0, 1).forEach(t => console.log(`   🩺 ${t.name}: ${t.phone}`));
+        MentalHealthTracker.CRISIS_LINES.slice(0, 2).forEach(line => console.log(`   • ${line}`));
+        console.log(this.isSafetyPlanEmpty()
+            ? '   Consider building a safety plan: node mental-health-tracker.js safety-plan'
+            : '   Your safety plan: node mental-health-tracker.js crisis');
+    }
+
     // Goals and Progress
     addGoal(description, targetDate = null) {
         const goal = {
@@ -1689,10 +2995,48 @@ class MentalHealthTracker {
             console.log('');
         }
 
+        // Screening scores
+        const screenings = this.getScreeningSummary();
+        if (screenings.length > 0) {
+            console.log('📋 Screening Scores (lower is better):');
+            screenings.forEach(({ instrument, latest, change, history }) => {
+                const max = Screeners.maxScore(instrument);
+                if (history.length >= 2) {
+                    console.log(ChartUtils.lineChart(
+                        history.slice(-10).map(s => ({ label: s.date.slice(5), value: s.score })),
+                        { title: `${instrument.name} (0-${max})`, height: 6, min: 0, max: max, showValues: true }
+                    ));
+                }
+                const trend = change
+                    ? `, ${change.delta > 0 ? '+' : ''}${change.delta} ${change.direction === 'improved' ? '📈' : change.direction === 'worsened' ? '📉' : '→'}`
+                    : '';
+                console.log(`   ${instrument.name}: ${latest.score}/${max} ${latest.severity} (${latest.date}${trend})`);
+            });
+            console.log('');
+        }
+
         console.log('═'.repeat(60));
         console.log('💪 Keep going! Recovery is a journey, not a destination.');
     }
 
+    // Helper: Pearson correlation of two equal-length series (null if too short)
+    calculateCorrelation(xs, ys) {
+        if (xs.length !== ys.length || xs.length < 2) return null;
+
+        const meanX = xs.reduce((sum, v) => sum + v, 0) / xs.length;
+        const meanY = ys.reduce((sum, v) => sum + v, 0) / ys.length;
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+        for (let i = 0; i < xs.length; i++) {
+            covariance += (xs[i] - meanX) * (ys[i] - meanY);
+            varianceX += (xs[i] - meanX) ** 2;
+            varianceY += (ys[i] - meanY) ** 2;
+        }
+        const denominator = Math.sqrt(varianceX * varianceY);
+        return denominator === 0 ? 0 : covariance / denominator;
+    }
+
     // Helper: Calculate trend from data
     calculateTrend(data) {
         if (data.length < 2) return 'Not enough data';
@@ -2048,6 +3392,51 @@ class MentalHealthTracker {
     }
 }
 
+MentalHealthTracker.SYMPTOM_TYPES = [
+    'anxiety', 'panic', 'flashback', 'nightmare',
+    'depression', 'insomnia', 'irritability', 'avoidance',
+    'hypervigilance', 'concentration', 'physical-pain', 'other'
+];
+
+// Stanley-Brown safety plan steps, in the order they are worked through
+MentalHealthTracker.SAFETY_PLAN_SECTIONS = [
+    { key: 'warning-signs', field: 'warningSigns', title: '1. Warning signs that a crisis may be developing' },
+    { key: 'coping', field: 'copingStrategyIds', title: '2. Things I can do on my own to take my mind off problems', linked: 'copingStrategies', noun: 'coping strategy' },
+    { key: 'people-places', field: 'peopleAndPlaces', title: '3. People and places that help me feel better' },
+    { key: 'contacts', field: 'contactIds', title: '4. People I can ask for help', linked: 'emergencyContacts', noun: 'emergency contact' },
+    { key: 'professionals', field: 'therapistIds', title: '5. Professionals and agencies to contact in a crisis', linked: 'therapists', noun: 'therapist' },
+    { key: 'means', field: 'meansRestriction', title: '6. Making my environment safe' },
+    { key: 'reasons', field: 'reasonsForLiving', title: 'The things most important to me and worth living for' }
+];
+
+MentalHealthTracker.CRISIS_LINES = [
+    '988 Suicide & Crisis Lifeline: Call/Text 988',
+    'Crisis Text Line: Text HOME to 741741',
+    'SAMHSA Helpline: 1-800-662-4357'
+];
+
+MentalHealthTracker.SESSION_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+// How far ahead sessions are created from a recurring series
+MentalHealthTracker.SERIES_HORIZON_DAYS = 56;
+MentalHealthTracker.SESSION_MINUTES = 50;
+
+// Mood ratings and symptom severities at which the safety plan is offered
+MentalHealthTracker.CRISIS_MOOD_MAX = 2;
+MentalHealthTracker.SEVERE_SYMPTOM_MIN = 8;
+// Backdated moods older than this don't offer it
+MentalHealthTracker.CRISIS_RECENT_HOURS = 24;
+
+MentalHealthTracker.MOOD_RULES = {
+    rating: { type: 'integer', min: 1, max: 10, required: true },
+    note: { type: 'string', max: 1000, default: '' }
+};
+
+MentalHealthTracker.SYMPTOM_RULES = {
+    type: { type: 'enum', values: MentalHealthTracker.SYMPTOM_TYPES, required: true },
+    severity: { type: 'integer', min: 1, max: 10, required: true },
+    note: { type: 'string', max: 1000, default: '' }
+};
+
 // CLI Interface
 function showHelp() {
     console.log(`
@@ -2063,10 +3452,22 @@ PROFILE:
       View your profile
 
 MOOD TRACKING:
-  mood <rating> [note]
-      Log your mood (1-10 scale)
+  mood <rating> [note] [--date YYYY-MM-DD] [--at HH:MM]
+      Log your mood (1-10 scale), optionally for an earlier time
       Example: node mental-health-tracker.js mood 7 "Feeling better today"
 
+  mood-edit <id> [--rating N] [--note text] [--date YYYY-MM-DD] [--at HH:MM]
+      Fix a logged mood (ids are shown in mood-history)
+
+  mood-delete <id>
+      Delete a logged mood
+
+  undo
+      Revert the last mood edit or delete (within ${EntryEditor.UNDO_WINDOW_MINUTES} minutes)
+
+  changes
+      Show the record of mood edits and deletions
+
   mood-history [days]
       View mood history (default: 7 days)
 
@@ -2089,6 +3490,16 @@ SYMPTOMS:
   view-symptoms [days] [type]
       View symptom history
 
+SCREENING QUESTIONNAIRES:
+  screen <phq9|gad7|pcl5> [answers] [--date YYYY-MM-DD] [--at HH:MM] [--note text]
+      Take a validated questionnaire; without answers each item is asked in turn
+      PHQ-9 depression (9 items, 0-3), GAD-7 anxiety (7 items, 0-3),
+      PCL-5 PTSD symptoms (20 items, 0-4)
+      Example: node mental-health-tracker.js screen gad7 1,2,1,0,1,2,1
+
+  screenings [instrument]
+      View scores, severity bands and change over time
+
 TRIGGERS:
   add-trigger <description> [intensity]
       Record a new trigger (intensity 1-10)
@@ -2116,6 +3527,24 @@ EMERGENCY:
   contacts
       View emergency contacts
 
+  crisis
+      Show crisis lines and your safety plan right away
+
+SAFETY PLAN:
+  safety-plan
+      View your Stanley-Brown style safety plan
+
+  safety-plan add <section> <text|id>
+      Sections: warning-signs, coping (strategy ID), people-places,
+      contacts (contact ID), professionals (therapist ID), means, reasons
+      Example: node mental-health-tracker.js safety-plan add warning-signs "Not sleeping for days"
+
+  safety-plan remove <section> <number|id>
+      Remove an item (numbered from 1 in text sections)
+
+  The plan and your contacts are offered automatically when you log a
+  mood of 1-2 or a symptom with severity 8 or higher.
+
 GOALS:
   add-goal <description> [target-date]
       Set a recovery goal
@@ -2126,6 +3555,45 @@ GOALS:
   list-goals [all]
       View goals (use 'all' to include completed)
 
+THERAPY:
+  add-therapist <name> <specialty> <phone> [email]
+  schedule-session <therapist-id> <date> <time> [type]
+  sessions (or all-sessions)
+      Manage therapists and sessions
+
+  schedule-recurring <therapist-id> <start-date> <time> <weekly|biweekly|monthly>
+      [--nth 1-4|last] [--until YYYY-MM-DD] [--count N] [--type TYPE]
+      Repeating appointments; monthly repeats on the start date's weekday
+      (e.g. the second Tuesday). Sessions appear 8 weeks ahead
+
+  series
+      View recurring sessions and their exceptions
+
+  skip-occurrence <series-id> <date>
+  move-occurrence <series-id> <date> <new-date> [new-time]
+  end-series <series-id> [last-date]
+      Change one session of a series, or stop it (default: after today)
+      Export/import .ics calendars with calendar-cli.js
+
+  pre-session <session-id> <mood-1-10> "<notes>"
+      Save how you feel going in; also summarizes homework done and
+      outstanding, and mood/symptom changes since your last session
+
+  complete-session <session-id> <post-mood> "<notes>" <effectiveness-1-10>
+
+  assign-homework <session-id> "<task>" [--due YYYY-MM-DD] [--remind HH:MM]
+      Attach a between-session task (due by default at the next session)
+      --remind adds a daily reminder (see reminder-cli.js) until it is done
+
+  complete-homework <homework-id> ["<note>"]
+      Log a task as done
+
+  homework [all]
+      View outstanding (or all) homework
+
+  therapy-analytics
+      Session effectiveness, mood impact and homework completion vs. effectiveness
+
 QUICK ACTIONS:
   checkin
       Quick daily check-in summary
@@ -2150,7 +3618,7 @@ VISUALIZATIONS:
       Visualize symptom patterns with heatmap (default: 30 days)
 
   recovery-progress
-      View comprehensive recovery progress dashboard
+      View comprehensive recovery progress dashboard, including screening score trends
 
 DATA EXPORT:
   export [directory]
@@ -2160,7 +3628,7 @@ DATA EXPORT:
 
   export-pdf [directory]
       Generate comprehensive PDF report with charts and visualizations
-      Includes mood trends, distribution charts, statistics, and summaries
+      Includes mood trends, distribution charts, statistics, summaries and screening results
       Perfect for professional meetings or comprehensive review
 
 BACKUP & RESTORE:
@@ -2217,13 +3685,40 @@ function main() {
             tracker.viewProfile();
             break;
 
-        case 'mood':
-            if (args.length < 2) {
-                console.log('❌ Usage: mood <rating> [note]');
+        case 'mood': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            if (positional.length < 1) {
+                console.log('❌ Usage: mood <rating> [note] [--date YYYY-MM-DD] [--at HH:MM]');
+                break;
+            }
+            tracker.logMood(positional[0], positional.slice(1).join(' '), { date: flags.date, at: flags.at });
+            break;
+        }
+
+        case 'mood-edit': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            if (positional.length < 1) {
+                console.log('❌ Usage: mood-edit <id> [--rating N] [--note text] [--date YYYY-MM-DD] [--at HH:MM]');
                 break;
             }
-            const moodNote = args.slice(2).join(' ');
-            tracker.logMood(args[1], moodNote);
+            tracker.editMood(positional[0], flags);
+            break;
+        }
+
+        case 'mood-delete':
+            if (!args[1]) {
+                console.log('❌ Usage: mood-delete <id>');
+                break;
+            }
+            tracker.deleteMood(args[1]);
+            break;
+
+        case 'undo':
+            tracker.undoLastChange();
+            break;
+
+        case 'changes':
+            tracker.showChanges();
             break;
 
         case 'mood-history':
@@ -2272,6 +3767,40 @@ function main() {
             tracker.viewSymptoms(symptomDays, symptomType);
             break;
 
+        case 'screen': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            if (positional.length < 1) {
+                console.log('❌ Usage: screen <phq9|gad7|pcl5> [answers] [--date YYYY-MM-DD] [--at HH:MM] [--note text]');
+                break;
+            }
+            const when = { date: flags.date, at: flags.at };
+            if (positional.length > 1) {
+                tracker.recordScreening(positional[0], positional.slice(1).join(','), when, flags.note || '');
+                break;
+            }
+            // Queue lines so piped answers are not lost between questions
+            const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+            const lines = [];
+            const waiting = [];
+            const ended = () => new Error('Input ended before the questionnaire was finished');
+            rl.on('line', line => (waiting.length > 0 ? waiting.shift().resolve(line.trim()) : lines.push(line.trim())));
+            rl.on('close', () => waiting.splice(0).forEach(pending => pending.reject(ended())));
+            const ask = question => {
+                process.stdout.write(question);
+                if (lines.length > 0) return Promise.resolve(lines.shift());
+                if (rl.closed) return Promise.reject(ended());
+                return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+            };
+            tracker.administerScreening(positional[0], ask, when)
+                .catch(error => console.log(`\n❌ ${error.message}`))
+                .finally(() => rl.close());
+            break;
+        }
+
+        case 'screenings':
+            tracker.viewScreenings(args[1] || null);
+            break;
+
         case 'add-trigger':
             if (args.length < 2) {
                 console.log('❌ Usage: add-trigger <description> [intensity]');
@@ -2336,6 +3865,28 @@ function main() {
             tracker.listEmergencyContacts();
             break;
 
+        case 'crisis':
+            tracker.showCrisis();
+            break;
+
+        case 'safety-plan': {
+            const action = args[1];
+            if (action === 'add' || action === 'remove') {
+                if (args.length < 4) {
+                    console.log(`❌ Usage: safety-plan ${action} <section> <${action === 'add' ? 'text|id' : 'number|id'}>`);
+                    break;
+                }
+                if (action === 'add') {
+                    tracker.addToSafetyPlan(args[2], args.slice(3).join(' '));
+                } else {
+                    tracker.removeFromSafetyPlan(args[2], args[3]);
+                }
+                break;
+            }
+            tracker.showSafetyPlan();
+            break;
+        }
+
         case 'add-goal':
             if (args.length < 2) {
                 console.log('❌ Usage: add-goal <description> [target-date]');
@@ -2474,6 +4025,50 @@ function main() {
             tracker.listSessions(false);
             break;
 
+        case 'schedule-recurring': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            if (positional.length < 4) {
+                console.log('Usage: node mental-health-tracker.js schedule-recurring <therapist-id> <start-date> <time> <weekly|biweekly|monthly> [--nth 1-4|last] [--until YYYY-MM-DD] [--count N] [--type TYPE]');
+                console.log('Example: node mental-health-tracker.js schedule-recurring 1234567890 2025-12-02 10:00 biweekly --until 2026-03-31');
+                break;
+            }
+            tracker.scheduleRecurringSessions(positional[0], positional[1], positional[2], positional[3], {
+                nth: flags.nth,
+                until: flags.until,
+                count: flags.count,
+                type: flags.type
+            });
+            break;
+        }
+
+        case 'series':
+            tracker.listSessionSeries();
+            break;
+
+        case 'skip-occurrence':
+            if (!args[1] || !args[2]) {
+                console.log('Usage: node mental-health-tracker.js skip-occurrence <series-id> <date>');
+            } else {
+                tracker.skipSessionOccurrence(args[1], args[2]);
+            }
+            break;
+
+        case 'move-occurrence':
+            if (!args[1] || !args[2] || !args[3]) {
+                console.log('Usage: node mental-health-tracker.js move-occurrence <series-id> <date> <new-date> [new-time]');
+            } else {
+                tracker.moveSessionOccurrence(args[1], args[2], args[3], args[4]);
+            }
+            break;
+
+        case 'end-series':
+            if (!args[1]) {
+                console.log('Usage: node mental-health-tracker.js end-series <series-id> [last-date]');
+            } else {
+                tracker.endSessionSeries(args[1], args[2]);
+            }
+            break;
+
         case 'pre-session':
             if (!args[1] || !args[2] || !args[3]) {
                 console.log('Usage: node mental-health-tracker.js pre-session <session-id> <mood-1-10> "<notes>"');
@@ -2490,6 +4085,29 @@ function main() {
             }
             break;
 
+        case 'assign-homework': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            if (positional.length < 2) {
+                console.log('Usage: node mental-health-tracker.js assign-homework <session-id> "<task>" [--due YYYY-MM-DD] [--remind HH:MM]');
+                break;
+            }
+            tracker.assignHomework(positional[0], positional.slice(1).join(' '), { dueDate: flags.due, remindAt: flags.remind });
+            break;
+        }
+
+        case 'complete-homework':
+        case 'homework-done':
+            if (!args[1]) {
+                console.log('Usage: node mental-health-tracker.js complete-homework <homework-id> ["<note>"]');
+            } else {
+                tracker.completeHomework(args[1], args.slice(2).join(' '));
+            }
+            break;
+
+        case 'homework':
+            tracker.listHomework(args[1] === 'all');
+            break;
+
         case 'therapy-analytics':
         case 'therapy-stats':
             tracker.therapyAnalytics();
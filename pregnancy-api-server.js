@@ -1,11 +1,13 @@
 /**
  * Pregnancy Safety API Server
- * Simple Express server to handle pregnancy medication safety checks
+ * Express server for pregnancy medication safety checks and the tracker REST API
  */
 
 const express = require('express');
 const path = require('path');
 const MedicationTracker = require('./medication-tracker');
+const AuthManager = require('./auth-manager');
+const { createTrackerRouter, createTrackerSet } = require('./tracker-api');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,16 +16,61 @@ const PORT = process.env.PORT || 3000;
 app.use(express.json());
 app.use(express.static('docs')); // Serve the HTML UI
 
-// Initialize medication tracker
+// Initialize medication tracker (shared, for anonymous safety checks)
 const tracker = new MedicationTracker();
 
+// Local accounts and bearer-token sessions
+const auth = new AuthManager();
+
+// Each user gets their own tracker set backed by <dataDir>/users/<userId>
+const userTrackers = new Map();
+const getUserTrackers = (user) => {
+  if (!userTrackers.has(user.id)) {
+    userTrackers.set(user.id, createTrackerSet(auth.getUserDataDir(user.id), {}, user));
+  }
+  return userTrackers.get(user.id);
+};
+
+/**
+ * Account endpoints
+ * POST /api/auth/register, POST /api/auth/login, POST /api/auth/logout, GET /api/auth/me
+ */
+app.post('/api/auth/register', (req, res) => {
+  const { username, password } = req.body || {};
+  try {
+    const user = auth.createUser(username, password);
+    res.status(201).json(user);
+  } catch (error) {
+    const status = /already exists/.test(error.message) ? 409 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const session = auth.login(username, password);
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  res.json(session);
+});
+
+app.post('/api/auth/logout', auth.middleware(), (req, res) => {
+  auth.logout(AuthManager.getBearerToken(req));
+  res.status(204).end();
+});
+
+app.get('/api/auth/me', auth.middleware(), (req, res) => {
+  res.json(req.user);
+});
+
 /**
  * Pregnancy safety check endpoint
  * POST /api/check-pregnancy-safety
  */
-app.post('/api/check-pregnancy-safety', async (req, res) => {
+app.post('/api/check-pregnancy-safety', auth.middleware({ required: false }), async (req, res) => {
   try {
-    const { medicationName, weekOfPregnancy, patientId } = req.body;
+    const { medicationName, weekOfPregnancy } = req.body;
 
     // Validate input
     if (!medicationName || !weekOfPregnancy) {
@@ -38,13 +85,19 @@ app.post('/api/check-pregnancy-safety', async (req, res) => {
       });
     }
 
+    // Signed-in users are checked against their own medication list and audited
+    // under their account id; a patientId in the body is never trusted.
+    // Anonymous checks never see the host profile's health conditions
+    const checker = req.user ? getUserTrackers(req.user).get('medication') : tracker;
+
     // Check pregnancy safety using Bumpie_Meds
-    const safetyResult = await tracker.checkPregnancySafety(
+    const safetyResult = await checker.checkPregnancySafety(
       medicationName,
       weekOfPregnancy,
-      { 
-        patientId,
-        sessionId: req.headers['x-session-id'] || null
+      {
+        patientId: req.user ? req.user.id : null,
+        sessionId: req.headers['x-session-id'] || null,
+        useProfile: Boolean(req.user)
       }
     );
 
@@ -79,6 +132,12 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'docs', 'index.html'));
 });
 
+// CRUD endpoints for every tracker (moods, journal, symptoms, sleep, exercise,
+// medications, doses, goals, reminders), scoped to the signed-in user
+app.use('/api', auth.middleware(), createTrackerRouter({
+  resolveTrackers: (req) => getUserTrackers(req.user)
+}));
+
 // Start server
 if (require.main === module) {
   app.listen(PORT, () => {
@@ -94,6 +153,11 @@ if (require.main === module) {
 ║  • GET  /                                                 ║
 ║  • GET  /api/health                                       ║
 ║  • POST /api/check-pregnancy-safety                       ║
+║  • POST /api/auth/{register,login,logout}                 ║
+║  • CRUD /api/{moods,journal,symptoms,sleep,exercise}      ║
+║  • CRUD /api/{medications,goals,reminders}                ║
+║  • GET  /api/doses  POST /api/medications/:id/doses       ║
+║  🔑 Tracker endpoints need: Authorization: Bearer <token> ║
 ║                                                           ║
 ║  🔒 Powered by Bumpie_Meds - FDA Compliant                ║
 ╚═══════════════════════════════════════════════════════════╝
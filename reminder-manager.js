@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const StorageManager = require('./storage-manager');
+const ICalendar = require('./icalendar');
 
 /**
  * ReminderManager - Smart Notifications & Reminders System
@@ -15,8 +17,9 @@ const { v4: uuidv4 } = require('uuid');
  * - History tracking and compliance
  */
 class ReminderManager {
-    constructor(dataDir = './data') {
+    constructor(dataDir = process.env.STEPSYNC_DATA_DIR || './data', storage = StorageManager.getDefault()) {
         this.dataDir = dataDir;
+        this.storage = storage;
         this.remindersFile = path.join(dataDir, 'reminders.json');
         this.reminders = this.loadReminders();
     }
@@ -26,9 +29,9 @@ class ReminderManager {
      */
     loadReminders() {
         try {
-            if (fs.existsSync(this.remindersFile)) {
-                const data = fs.readFileSync(this.remindersFile, 'utf-8');
-                return JSON.parse(data);
+            const stored = this.storage.load(this.remindersFile, 'reminders');
+            if (stored !== null) {
+                return stored;
             }
         } catch (error) {
             console.error('Error loading reminders:', error.message);
@@ -44,11 +47,7 @@ class ReminderManager {
             if (!fs.existsSync(this.dataDir)) {
                 fs.mkdirSync(this.dataDir, { recursive: true });
             }
-            fs.writeFileSync(
-                this.remindersFile,
-                JSON.stringify(this.reminders, null, 2),
-                'utf-8'
-            );
+            this.storage.save(this.remindersFile, this.reminders, 'reminders');
             return true;
         } catch (error) {
             console.error('Error saving reminders:', error.message);
@@ -84,7 +83,7 @@ class ReminderManager {
         }
 
         // Validate type
-        const validTypes = ['medication', 'exercise', 'sleep', 'mood', 'goal', 'general', 'custom'];
+        const validTypes = ['medication', 'exercise', 'sleep', 'mood', 'goal', 'therapy', 'general', 'custom'];
         if (!validTypes.includes(type)) {
             throw new Error(`Invalid type. Must be one of: ${validTypes.join(', ')}`);
         }
@@ -229,6 +228,12 @@ class ReminderManager {
             return false;
         }
 
+        // Homework reminders stop after their due date
+        const dueDate = reminder.metadata && reminder.metadata.dueDate;
+        if (ICalendar.isDateKey(dueDate) && ICalendar.toDateKey(now) > dueDate) {
+            return false;
+        }
+
         // Check if snoozed
         if (reminder.snoozedUntil && new Date(reminder.snoozedUntil) > now) {
             return false;
@@ -450,6 +455,72 @@ class ReminderManager {
         return reminders;
     }
 
+    /**
+     * Create a daily reminder for a therapy homework task. It stops firing
+     * after the due date, and the tracker that owns the homework deletes it
+     * once the task is logged as done.
+     *
+     * @param {Object} homework - { id, sessionId, title, dueDate, therapistName, time }
+     * @returns {Object} Created reminder
+     */
+    createHomeworkReminder(homework) {
+        const { id, sessionId, title, dueDate, therapistName, time = '19:00' } = homework;
+
+        return this.createReminder({
+            type: 'therapy',
+            title: `Therapy homework: ${title}`,
+            message: `Don't forget your homework${therapistName ? ` from ${therapistName}` : ''}: ${title} (due ${dueDate})`,
+            time,
+            days: 'daily',
+            metadata: {
+                homeworkId: id,
+                sessionId,
+                dueDate
+            }
+        });
+    }
+
+    /**
+     * Active reminders as recurring calendar events (see icalendar.js)
+     *
+     * Each reminder repeats from the day it was created at its HH:mm time,
+     * daily or on its weekdays, with an alarm at the start. Homework
+     * reminders stop on their due date.
+     *
+     * @returns {Array} ICalendar events
+     */
+    getCalendarEvents() {
+        const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+        return this.reminders
+            .filter(reminder => reminder.enabled && !reminder.dismissed)
+            .map(reminder => {
+                const rrule = reminder.days === 'daily'
+                    ? { freq: 'DAILY' }
+                    : {
+                        freq: 'WEEKLY',
+                        byDay: reminder.days
+                            .map(day => ICalendar.WEEKDAYS[dayNames.indexOf(day)])
+                            .filter(Boolean)
+                    };
+                const dueDate = reminder.metadata && reminder.metadata.dueDate;
+                if (ICalendar.isDateKey(dueDate)) {
+                    rrule.until = dueDate;
+                }
+
+                return {
+                    uid: `reminder-${reminder.id}@stepsync`,
+                    summary: reminder.title,
+                    description: reminder.message !== reminder.title ? reminder.message : '',
+                    categories: ['Reminder', reminder.type],
+                    start: { date: ICalendar.toDateKey(new Date(reminder.createdAt)), time: reminder.time },
+                    durationMinutes: 5,
+                    rrule,
+                    alarmMinutes: 0
+                };
+            });
+    }
+
     /**
      * Get reminder compliance statistics
      *
@@ -572,6 +643,7 @@ class ReminderManager {
             medication: '💊',
             exercise: '🏃',
             sleep: '😴',
+            therapy: '📝',
             custom: '⚡'
         };
 
@@ -1,12 +1,14 @@
 const cron = require('node-cron');
 const notifier = require('node-notifier');
 const fs = require('fs');
+const DoseSchedule = require('./dose-schedule');
 
 class ReminderService {
     constructor(configFile = 'reminders-config.json') {
         this.configFile = configFile;
         this.config = this.loadConfig();
         this.scheduledJobs = new Map();
+        this.doseSchedule = new DoseSchedule();
     }
 
     loadConfig() {
@@ -48,13 +50,23 @@ class ReminderService {
     // Medication Reminders
     enableMedicationReminders(medications) {
         this.config.medication.enabled = true;
-        this.config.medication.reminders = medications.map(med => ({
-            id: med.id,
-            name: med.name,
-            dosage: med.dosage,
-            time: med.scheduledTime,
-            frequency: med.frequency
-        }));
+        this.config.medication.reminders = medications.map(med => {
+            const range = this.doseSchedule.getActiveRange(med);
+            return {
+                id: med.id,
+                name: med.name,
+                dosage: med.dosage,
+                time: med.scheduledTime,
+                frequency: med.frequency,
+                // Schedule details so reminders only fire when a dose is expected
+                times: med.times || null,
+                reminderTimes: this.doseSchedule.getReminderTimes(med),
+                startDate: range ? range.start : null,
+                endDate: med.endDate || null,
+                daysOfWeek: med.daysOfWeek || null,
+                taper: med.taper || null
+            };
+        });
         this.saveConfig();
         this.scheduleMedicationReminders();
         console.log('\n✓ Medication reminders enabled!');
@@ -74,24 +86,49 @@ class ReminderService {
         if (!this.config.medication.enabled) return;
 
         this.config.medication.reminders.forEach(reminder => {
-            const [hour, minute] = reminder.time.split(':');
-            const cronExpression = `${minute} ${hour} * * *`; // Daily at scheduled time
-
-            const job = cron.schedule(cronExpression, () => {
-                this.sendNotification(
-                    'Medication Reminder',
-                    `Time to take ${reminder.name} (${reminder.dosage})`
-                );
-                console.log(`\n💊 Medication Reminder: ${reminder.name} (${reminder.dosage})`);
-                console.log(`   Scheduled time: ${reminder.time}`);
+            const times = reminder.reminderTimes && reminder.reminderTimes.length > 0
+                ? reminder.reminderTimes
+                : [reminder.time].filter(Boolean); // as-needed medications may have no time
+
+            times.forEach((time, index) => {
+                const [hour, minute] = time.split(':');
+                const cronExpression = `${minute} ${hour} * * *`; // Daily; skipped on days without a dose
+
+                const job = cron.schedule(cronExpression, () => {
+                    const dose = this.getExpectedDose(reminder, time);
+                    if (!dose) return;
+
+                    this.sendNotification(
+                        'Medication Reminder',
+                        `Time to take ${reminder.name} (${dose.dosage})`
+                    );
+                    console.log(`\n💊 Medication Reminder: ${reminder.name} (${dose.dosage})`);
+                    console.log(`   Scheduled time: ${time}`);
+                });
+
+                this.scheduledJobs.set(index === 0 ? `med-${reminder.id}` : `med-${reminder.id}-${index + 1}`, job);
             });
-
-            this.scheduledJobs.set(`med-${reminder.id}`, job);
         });
 
         console.log(`   Scheduled ${this.config.medication.reminders.length} medication reminder(s)`);
     }
 
+    /**
+     * The dose a reminder is for, or null when none is expected today at that time
+     * (weekly and every-other-day medications, finished courses, taper changes)
+     */
+    getExpectedDose(reminder, time, now = new Date()) {
+        // Reminders saved before schedules existed fire every day
+        if (!reminder.startDate) {
+            return { dosage: reminder.dosage };
+        }
+
+        const today = DoseSchedule.toDateKey(now);
+        const medication = { ...reminder, scheduledTime: reminder.time };
+        return this.doseSchedule.expandSlots([medication], today, today)
+            .find(slot => slot.time === time) || null;
+    }
+
     disableMedicationReminders() {
         this.config.medication.enabled = false;
         this.saveConfig();
@@ -182,7 +182,9 @@ class ReportGenerator {
         const correlations = [
             { name: 'Sleep & Exercise', data: report.correlations.sleepExercise },
             { name: 'Mood & Sleep', data: report.correlations.moodSleep },
-            { name: 'Mood & Exercise', data: report.correlations.moodExercise }
+            { name: 'Mood & Exercise', data: report.correlations.moodExercise },
+            { name: 'Mood & Steps', data: report.correlations.moodSteps },
+            { name: 'Sleep & Steps', data: report.correlations.sleepSteps }
         ];
 
         correlations.forEach(corr => {
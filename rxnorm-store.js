@@ -0,0 +1,541 @@
+#!/usr/bin/env node
+
+/**
+ * RxNorm Offline Store
+ * Builds an indexed on-disk store from an RxNorm snapshot so ingredients, brand
+ * names, strengths and RXCUIs resolve without the rxnav.nlm.nih.gov API
+ *
+ * Snapshot formats:
+ *   RRF  - the rrf/ directory of an RxNorm full or prescribable release
+ *          (RXNCONSO.RRF and RXNREL.RRF; only SAB=RXNORM rows are used)
+ *   JSON - { concepts: [{ rxcui, name, tty, synonyms }],
+ *            relations: [{ rxcui1, rela, rxcui2 }] }
+ *
+ * Store layout (one directory):
+ *   manifest.json     format version, source, build time, counts
+ *   concepts.ndjson   one concept record per line
+ *   rxcui/<nn>.json   rxcui -> [byte offset, length] in concepts.ndjson
+ *   names/<ab>.json   normalized name or synonym -> [rxcui, ...]
+ *
+ * Index shards are read on first use, and records are read by offset, so
+ * lookups don't load the whole snapshot into memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const STORE_FORMAT = 1;
+
+// Concept types kept from the snapshot, in the order name lookups prefer them
+const TTY_RANK = ['IN', 'BN', 'MIN', 'PIN', 'SCD', 'SBD', 'SCDC', 'SBDC', 'SCDF', 'SBDF', 'GPCK', 'BPCK'];
+const SYNONYM_TTYS = ['SY', 'TMSY', 'PSN'];
+const INGREDIENT_TTYS = ['IN', 'MIN', 'PIN'];
+const PRODUCT_TTYS = ['SCD', 'SBD', 'GPCK', 'BPCK'];
+
+const INGREDIENT_RELAS = ['has_ingredient', 'ingredient_of', 'has_ingredients', 'ingredients_of',
+  'has_precise_ingredient', 'precise_ingredient_of'];
+const TRADENAME_RELAS = ['has_tradename', 'tradename_of'];
+const COMPONENT_RELAS = ['consists_of', 'constitutes'];
+
+const STRENGTH_PATTERN = /(\d+(?:\.\d+)?)\s*(MG|MCG|G|ML|UNT|MEQ|MMOL|%)(\/(?:ML|ACTUAT|HR|MG|G))?\b/gi;
+
+class RxNormStore {
+  /**
+   * @param {string} storeDir - Directory holding a built store
+   */
+  constructor(storeDir) {
+    this.storeDir = storeDir;
+    this.manifest = null;
+    this.handle = null;
+    this.shards = new Map();
+  }
+
+  /**
+   * Normalize a name for the index: lowercase, single spaces
+   * @param {string} name - Drug name
+   * @returns {string} Index key
+   */
+  static normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  static nameShard(key) {
+    const shard = key.slice(0, 2).replace(/[^a-z0-9]/g, '_');
+    return shard.padEnd(2, '_');
+  }
+
+  static rxcuiShard(rxcui) {
+    return String(rxcui).slice(-2).padStart(2, '0');
+  }
+
+  /**
+   * Normalize a strength like "50mg" or "50 MG" to RxNorm's "50 MG"
+   * @param {string} text - Strength text
+   * @returns {string|null} Normalized strength
+   */
+  static normalizeStrength(text) {
+    const matches = [...String(text || '').matchAll(STRENGTH_PATTERN)];
+    if (matches.length === 0) return null;
+    return matches.map(m => `${parseFloat(m[1])} ${m[2].toUpperCase()}${(m[3] || '').toUpperCase()}`).join(' / ');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Building
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Build a store from an RRF directory or JSON snapshot
+   * @param {string} source - Path to the RRF directory (or a file inside it) or a .json snapshot
+   * @param {string} storeDir - Output directory. An existing store there is
+   *   replaced only once the new one is complete; any other non-empty
+   *   directory is refused
+   * @returns {Promise<Object>} The manifest written
+   */
+  static async build(source, storeDir) {
+    await RxNormStore.checkTarget(storeDir);
+    const concepts = new Map();
+    const synonyms = new Map();
+
+    const stat = await fs.promises.stat(source);
+    const isJson = stat.isFile() && source.toLowerCase().endsWith('.json');
+
+    if (isJson) {
+      const snapshot = JSON.parse(await fs.promises.readFile(source, 'utf8'));
+      (snapshot.concepts || []).forEach(c => {
+        RxNormStore.addConcept(concepts, synonyms, String(c.rxcui), c.tty, c.name);
+        (c.synonyms || []).forEach(s => RxNormStore.addConcept(concepts, synonyms, String(c.rxcui), 'SY', s));
+      });
+      (snapshot.relations || []).forEach(r => RxNormStore.link(concepts, String(r.rxcui1), r.rela, String(r.rxcui2)));
+    } else {
+      const dir = stat.isFile() ? path.dirname(source) : source;
+      await RxNormStore.readRrf(path.join(dir, 'RXNCONSO.RRF'), fields => {
+        const [rxcui, lat, , , , , , , , , , sab, tty, , str, , suppress] = fields;
+        if (sab !== 'RXNORM' || lat !== 'ENG' || ['O', 'Y', 'E'].includes(suppress)) return;
+        RxNormStore.addConcept(concepts, synonyms, rxcui, tty, str);
+      });
+      // Every concept is known after RXNCONSO, so relations are linked as they stream
+      // past rather than buffered (a full release has millions of RXNREL rows)
+      await RxNormStore.readRrf(path.join(dir, 'RXNREL.RRF'), fields => {
+        if (fields[10] !== 'RXNORM' || !fields[7]) return;
+        RxNormStore.link(concepts, fields[0], fields[7], fields[4]);
+      });
+    }
+
+    synonyms.forEach((names, rxcui) => {
+      const concept = concepts.get(rxcui);
+      if (concept) names.forEach(name => concept.synonyms.add(name));
+    });
+    RxNormStore.deriveLinks(concepts);
+
+    return RxNormStore.writeStore(concepts, storeDir, path.resolve(source));
+  }
+
+  static async readRrf(file, onRow) {
+    const input = fs.createReadStream(file, 'utf8');
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line) onRow(line.split('|'));
+    }
+  }
+
+  static addConcept(concepts, synonyms, rxcui, tty, name) {
+    if (!rxcui || !name) return;
+
+    if (SYNONYM_TTYS.includes(tty)) {
+      if (!synonyms.has(rxcui)) synonyms.set(rxcui, new Set());
+      synonyms.get(rxcui).add(name);
+      return;
+    }
+    if (!TTY_RANK.includes(tty)) return;
+
+    if (!concepts.has(rxcui)) {
+      concepts.set(rxcui, {
+        rxcui, name, tty,
+        synonyms: new Set(),
+        ingredients: new Set(),
+        brands: new Set(),
+        products: new Set(),
+        components: new Set(),
+        generic: null
+      });
+    }
+  }
+
+  /**
+   * Record one relationship. Direction is taken from the concept types rather
+   * than the RELA wording, so either row of an inverse pair works
+   */
+  static link(concepts, rxcui1, rela, rxcui2) {
+    const a = concepts.get(rxcui1);
+    const b = concepts.get(rxcui2);
+    if (!a || !b) return;
+
+    const pick = (types) => {
+      if (types.includes(a.tty) && !types.includes(b.tty)) return [a, b];
+      if (types.includes(b.tty) && !types.includes(a.tty)) return [b, a];
+      return [null, null];
+    };
+
+    if (INGREDIENT_RELAS.includes(rela) || TRADENAME_RELAS.includes(rela)) {
+      const [ingredient, other] = pick(INGREDIENT_TTYS);
+      if (ingredient) {
+        other.ingredients.add(ingredient.rxcui);
+        if (other.tty === 'BN') ingredient.brands.add(other.rxcui);
+        return;
+      }
+      const [brand, product] = pick(['BN']);
+      if (brand) {
+        product.brands.add(brand.rxcui);
+        return;
+      }
+    }
+
+    if (TRADENAME_RELAS.includes(rela)) {
+      const [generic, branded] = pick(['SCD', 'GPCK']);
+      if (generic && ['SBD', 'BPCK'].includes(branded.tty)) branded.generic = generic.rxcui;
+      return;
+    }
+
+    if (COMPONENT_RELAS.includes(rela)) {
+      const [component, drug] = pick(['SCDC', 'SBDC']);
+      if (component) drug.components.add(component.rxcui);
+    }
+  }
+
+  // Fill in links RxNorm only states indirectly (drug -> component -> ingredient)
+  static deriveLinks(concepts) {
+    const union = (target, ids, field) => ids.forEach(id => {
+      const source = concepts.get(id);
+      if (source) source[field].forEach(v => target[field].add(v));
+    });
+
+    concepts.forEach(c => {
+      if (c.ingredients.size === 0) union(c, c.components, 'ingredients');
+    });
+    concepts.forEach(c => {
+      if (c.generic && c.ingredients.size === 0) union(c, [c.generic], 'ingredients');
+    });
+
+    concepts.forEach(c => {
+      if (!PRODUCT_TTYS.includes(c.tty)) return;
+      c.ingredients.forEach(id => {
+        const ingredient = concepts.get(id);
+        if (ingredient && ['SCD', 'GPCK'].includes(c.tty)) ingredient.products.add(c.rxcui);
+      });
+      c.brands.forEach(id => {
+        const brand = concepts.get(id);
+        if (brand) brand.products.add(c.rxcui);
+        // A branded product's brand also names its ingredients
+        c.ingredients.forEach(ing => {
+          if (brand) brand.ingredients.add(ing);
+          const ingredient = concepts.get(ing);
+          if (ingredient) ingredient.brands.add(id);
+        });
+      });
+    });
+  }
+
+  static toRecord(concepts, c) {
+    const ref = id => {
+      const target = concepts.get(id);
+      return target ? { rxcui: target.rxcui, name: target.name } : null;
+    };
+    const refs = ids => [...ids].map(ref).filter(Boolean).sort((x, y) => x.name.localeCompare(y.name));
+
+    const record = { rxcui: c.rxcui, name: c.name, tty: c.tty };
+    if (c.synonyms.size > 0) record.synonyms = [...c.synonyms];
+    if (c.ingredients.size > 0) record.ingredients = refs(c.ingredients);
+    if (c.brands.size > 0) record.brands = refs(c.brands);
+    if (c.generic) record.generic = ref(c.generic);
+
+    const strength = RxNormStore.normalizeStrength(c.name);
+    if (strength && !INGREDIENT_TTYS.includes(c.tty) && c.tty !== 'BN') record.strength = strength;
+
+    if (c.products.size > 0) {
+      record.products = refs(c.products).map(p => ({
+        ...p,
+        tty: concepts.get(p.rxcui).tty,
+        strength: RxNormStore.normalizeStrength(p.name)
+      }));
+      // Strengths of single-ingredient products, e.g. ["25 MG", "50 MG", "100 MG"]
+      const strengths = new Set(record.products
+        .filter(p => p.strength && !p.strength.includes('/ '))
+        .map(p => p.strength));
+      record.strengths = [...strengths].sort((x, y) => parseFloat(x) - parseFloat(y) || x.localeCompare(y));
+    }
+
+    return record;
+  }
+
+  /**
+   * Make sure storeDir is missing, empty or a previous store, so a build
+   * never replaces a directory of other files
+   */
+  static async checkTarget(storeDir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(storeDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    if (entries.length > 0 && !entries.includes('manifest.json')) {
+      throw new Error(`Refusing to replace ${storeDir}: it is not an RxNorm store (no manifest.json)`);
+    }
+  }
+
+  /**
+   * Write the store into a sibling temp directory, then swap it in, so a
+   * failed build leaves the previous store in place
+   */
+  static async writeStore(concepts, storeDir, source) {
+    const target = path.resolve(storeDir);
+    const tempDir = `${target}.tmp-${process.pid}`;
+    const oldDir = `${target}.old-${process.pid}`;
+
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+    let manifest;
+    try {
+      manifest = await RxNormStore.writeStoreFiles(concepts, tempDir, source);
+    } catch (error) {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+      throw error;
+    }
+
+    await RxNormStore.checkTarget(target);
+    const hadStore = fs.existsSync(target);
+    if (hadStore) await fs.promises.rename(target, oldDir);
+    try {
+      await fs.promises.rename(tempDir, target);
+    } catch (error) {
+      if (hadStore) await fs.promises.rename(oldDir, target);
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+      throw error;
+    }
+    if (hadStore) await fs.promises.rm(oldDir, { recursive: true, force: true });
+    return manifest;
+  }
+
+  static async writeStoreFiles(concepts, storeDir, source) {
+    await fs.promises.mkdir(path.join(storeDir, 'rxcui'), { recursive: true });
+    await fs.promises.mkdir(path.join(storeDir, 'names'), { recursive: true });
+
+    const rxcuiShards = {};
+    const nameShards = {};
+    const addName = (name, rxcui) => {
+      const key = RxNormStore.normalizeName(name);
+      if (!key) return;
+      const shard = RxNormStore.nameShard(key);
+      nameShards[shard] = nameShards[shard] || {};
+      const list = nameShards[shard][key] = nameShards[shard][key] || [];
+      if (!list.includes(rxcui)) list.push(rxcui);
+    };
+
+    const out = fs.createWriteStream(path.join(storeDir, 'concepts.ndjson'));
+    let offset = 0;
+    for (const c of concepts.values()) {
+      const line = JSON.stringify(RxNormStore.toRecord(concepts, c)) + '\n';
+      const length = Buffer.byteLength(line);
+      const shard = RxNormStore.rxcuiShard(c.rxcui);
+      rxcuiShards[shard] = rxcuiShards[shard] || {};
+      rxcuiShards[shard][c.rxcui] = [offset, length - 1];
+      offset += length;
+      if (!out.write(line)) await new Promise(resolve => out.once('drain', resolve));
+
+      addName(c.name, c.rxcui);
+      c.synonyms.forEach(s => addName(s, c.rxcui));
+    }
+    await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+
+    const rank = rxcui => TTY_RANK.indexOf(concepts.get(rxcui).tty);
+    for (const [shard, entries] of Object.entries(nameShards)) {
+      Object.values(entries).forEach(list => list.sort((x, y) => rank(x) - rank(y)));
+      await fs.promises.writeFile(path.join(storeDir, 'names', `${shard}.json`), JSON.stringify(entries));
+    }
+    for (const [shard, entries] of Object.entries(rxcuiShards)) {
+      await fs.promises.writeFile(path.join(storeDir, 'rxcui', `${shard}.json`), JSON.stringify(entries));
+    }
+
+    const manifest = {
+      format: STORE_FORMAT,
+      source,
+      builtAt: new Date().toISOString(),
+      conceptCount: concepts.size,
+      nameCount: Object.values(nameShards).reduce((sum, entries) => sum + Object.keys(entries).length, 0)
+    };
+    await fs.promises.writeFile(path.join(storeDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    return manifest;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lookups
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Open a built store
+   * @returns {Promise<boolean>} False if there is no store at storeDir
+   */
+  async open() {
+    try {
+      const manifest = JSON.parse(await fs.promises.readFile(path.join(this.storeDir, 'manifest.json'), 'utf8'));
+      if (manifest.format !== STORE_FORMAT) {
+        throw new Error(`Unsupported RxNorm store format ${manifest.format}; rebuild the store`);
+      }
+      this.handle = await fs.promises.open(path.join(this.storeDir, 'concepts.ndjson'), 'r');
+      this.manifest = manifest;
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  isOpen() {
+    return this.handle !== null;
+  }
+
+  async close() {
+    if (this.handle) await this.handle.close();
+    this.handle = null;
+    this.manifest = null;
+    this.shards.clear();
+  }
+
+  async loadShard(kind, shard) {
+    const key = `${kind}/${shard}`;
+    if (!this.shards.has(key)) {
+      let entries = {};
+      try {
+        entries = JSON.parse(await fs.promises.readFile(path.join(this.storeDir, kind, `${shard}.json`), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      this.shards.set(key, entries);
+    }
+    return this.shards.get(key);
+  }
+
+  /**
+   * Read a concept record by RXCUI
+   * @param {string|number} rxcui - RxNorm concept id
+   * @returns {Promise<Object|null>} Concept record
+   */
+  async getConcept(rxcui) {
+    if (!this.isOpen()) return null;
+    const entries = await this.loadShard('rxcui', RxNormStore.rxcuiShard(rxcui));
+    const location = entries[String(rxcui)];
+    if (!location) return null;
+
+    const [offset, length] = location;
+    const buffer = Buffer.alloc(length);
+    await this.handle.read(buffer, 0, length, offset);
+    return JSON.parse(buffer.toString('utf8'));
+  }
+
+  /**
+   * Concepts with this exact name or synonym, ingredients and brands first
+   * @param {string} name - Drug name
+   * @returns {Promise<Array>} Concept records
+   */
+  async findByName(name) {
+    if (!this.isOpen()) return [];
+    const key = RxNormStore.normalizeName(name);
+    if (!key) return [];
+
+    const entries = await this.loadShard('names', RxNormStore.nameShard(key));
+    const records = await Promise.all((entries[key] || []).map(rxcui => this.getConcept(rxcui)));
+    return records.filter(Boolean);
+  }
+
+  /**
+   * Resolve free text such as "Zoloft", "sertraline 50mg" or "36437"
+   * @param {string} query - Name, name with strength, or RXCUI
+   * @returns {Promise<Object|null>} Best concept, with `product` set when a strength matched
+   */
+  async resolve(query) {
+    const text = String(query || '').trim();
+    if (!text || !this.isOpen()) return null;
+
+    if (/^\d+$/.test(text)) {
+      return this.getConcept(text);
+    }
+
+    let [concept] = await this.findByName(text);
+    if (concept) return concept;
+
+    const strength = RxNormStore.normalizeStrength(text);
+    const name = text.replace(STRENGTH_PATTERN, '').replace(/\s+/g, ' ').trim();
+    [concept] = await this.findByName(name);
+    if (!concept) return null;
+
+    if (strength && concept.products) {
+      const product = concept.products.find(p => p.strength === strength);
+      if (product) concept.product = product;
+    }
+    return concept;
+  }
+
+  getStats() {
+    return this.manifest
+      ? { available: true, conceptCount: this.manifest.conceptCount, builtAt: this.manifest.builtAt, source: this.manifest.source }
+      : { available: false };
+  }
+}
+
+function showHelp() {
+  console.log(`
+RxNorm Offline Store
+
+USAGE:
+  node rxnorm-store.js build <rrf-dir|snapshot.json> [store-dir]
+      Build the store (default: data/rxnorm) from the rrf/ folder of an
+      RxNorm release (RXNCONSO.RRF, RXNREL.RRF) or a JSON snapshot
+  node rxnorm-store.js lookup <name|rxcui> [store-dir]
+      Resolve a name, brand, "name strength" or RXCUI from the store
+
+Download releases from https://www.nlm.nih.gov/research/umls/rxnorm/docs/rxnormfiles.html
+`);
+}
+
+async function main() {
+  const [command, target, storeArg] = process.argv.slice(2);
+  const storeDir = storeArg || path.join(__dirname, 'data', 'rxnorm');
+
+  if (command === 'build' && target) {
+    console.log(`⏳ Building RxNorm store from ${target}...`);
+    const manifest = await RxNormStore.build(target, storeDir);
+    console.log(`✅ Stored ${manifest.conceptCount} concepts (${manifest.nameCount} names) in ${storeDir}`);
+    return 0;
+  }
+
+  if (command === 'lookup' && target) {
+    const store = new RxNormStore(storeDir);
+    if (!(await store.open())) {
+      console.log(`❌ No RxNorm store in ${storeDir}. Run: node rxnorm-store.js build <rrf-dir>`);
+      return 1;
+    }
+    const concept = await store.resolve(target);
+    await store.close();
+    if (!concept) {
+      console.log(`❌ ${target} not found`);
+      return 1;
+    }
+    console.log(JSON.stringify(concept, null, 2));
+    return 0;
+  }
+
+  showHelp();
+  return command ? 1 : 0;
+}
+
+module.exports = RxNormStore;
+
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('❌ Unexpected error:', error.message);
+      process.exit(1);
+    });
+}
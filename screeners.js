@@ -0,0 +1,234 @@
+/**
+ * Screeners Module
+ * Validated self-report questionnaires with standard scoring and severity bands
+ *
+ * - PHQ-9 (depression, past 2 weeks): 9 items scored 0-3, total 0-27.
+ *   Bands 0-4 minimal, 5-9 mild, 10-14 moderate, 15-19 moderately severe,
+ *   20-27 severe. Any answer above 0 on item 9 (thoughts of self-harm) is
+ *   flagged for safety follow-up regardless of the total.
+ * - GAD-7 (anxiety, past 2 weeks): 7 items scored 0-3, total 0-21.
+ *   Bands 0-4 minimal, 5-9 mild, 10-14 moderate, 15-21 severe.
+ * - PCL-5 (PTSD symptoms, past month): 20 items scored 0-4, total 0-80,
+ *   with DSM-5 cluster subscores B (items 1-5), C (6-7), D (8-14) and
+ *   E (15-20). A total of 33 or more suggests probable PTSD. The provisional
+ *   DSM-5 criteria treat items rated 2 or higher as endorsed and need at
+ *   least 1 B, 1 C, 2 D and 2 E items.
+ *
+ * Each instrument carries a minimal clinically important change so score
+ * history can tell a real shift from noise. Screening results support a
+ * conversation with a clinician; they are not a diagnosis.
+ */
+
+const FREQUENCY_OPTIONS = ['Not at all', 'Several days', 'More than half the days', 'Nearly every day'];
+const SEVERITY_OPTIONS = ['Not at all', 'A little bit', 'Moderately', 'Quite a bit', 'Extremely'];
+
+const INSTRUMENTS = {
+    phq9: {
+        id: 'phq9',
+        name: 'PHQ-9',
+        title: 'Patient Health Questionnaire (depression)',
+        prompt: 'Over the last 2 weeks, how often have you been bothered by',
+        options: FREQUENCY_OPTIONS,
+        items: [
+            'Little interest or pleasure in doing things',
+            'Feeling down, depressed, or hopeless',
+            'Trouble falling or staying asleep, or sleeping too much',
+            'Feeling tired or having little energy',
+            'Poor appetite or overeating',
+            'Feeling bad about yourself - or that you are a failure or have let yourself or your family down',
+            'Trouble concentrating on things, such as reading the newspaper or watching television',
+            'Moving or speaking so slowly that other people could have noticed? Or the opposite - being so fidgety or restless that you have been moving around a lot more than usual',
+            'Thoughts that you would be better off dead or of hurting yourself in some way'
+        ],
+        bands: [
+            { from: 20, severity: 'severe' },
+            { from: 15, severity: 'moderately severe' },
+            { from: 10, severity: 'moderate' },
+            { from: 5, severity: 'mild' },
+            { from: 0, severity: 'minimal' }
+        ],
+        minimalChange: 5,
+        reference: 'Kroenke, Spitzer & Williams (2001)'
+    },
+    gad7: {
+        id: 'gad7',
+        name: 'GAD-7',
+        title: 'Generalized Anxiety Disorder scale',
+        prompt: 'Over the last 2 weeks, how often have you been bothered by',
+        options: FREQUENCY_OPTIONS,
+        items: [
+            'Feeling nervous, anxious or on edge',
+            'Not being able to stop or control worrying',
+            'Worrying too much about different things',
+            'Trouble relaxing',
+            'Being so restless that it is hard to sit still',
+            'Becoming easily annoyed or irritable',
+            'Feeling afraid as if something awful might happen'
+        ],
+        bands: [
+            { from: 15, severity: 'severe' },
+            { from: 10, severity: 'moderate' },
+            { from: 5, severity: 'mild' },
+            { from: 0, severity: 'minimal' }
+        ],
+        minimalChange: 4,
+        reference: 'Spitzer, Kroenke, Williams & Lowe (2006)'
+    },
+    pcl5: {
+        id: 'pcl5',
+        name: 'PCL-5',
+        title: 'PTSD Checklist for DSM-5',
+        prompt: 'In the past month, how much were you bothered by',
+        options: SEVERITY_OPTIONS,
+        items: [
+            'Repeated, disturbing, and unwanted memories of the stressful experience',
+            'Repeated, disturbing dreams of the stressful experience',
+            'Suddenly feeling or acting as if the stressful experience were actually happening again',
+            'Feeling very upset when something reminded you of the stressful experience',
+            'Having strong physical reactions when something reminded you of the stressful experience',
+            'Avoiding memories, thoughts, or feelings related to the stressful experience',
+            'Avoiding external reminders of the stressful experience',
+            'Trouble remembering important parts of the stressful experience',
+            'Having strong negative beliefs about yourself, other people, or the world',
+            'Blaming yourself or someone else for the stressful experience or what happened after it',
+            'Having strong negative feelings such as fear, horror, anger, guilt, or shame',
+            'Loss of interest in activities that you used to enjoy',
+            'Feeling distant or cut off from other people',
+            'Trouble experiencing positive feelings',
+            'Irritable behavior, angry outbursts, or acting aggressively',
+            'Taking too many risks or doing things that could cause you harm',
+            'Being "superalert" or watchful or on guard',
+            'Feeling jumpy or easily startled',
+            'Having difficulty concentrating',
+            'Trouble falling or staying asleep'
+        ],
+        bands: [
+            { from: 33, severity: 'probable PTSD' },
+            { from: 0, severity: 'below threshold' }
+        ],
+        // Item ranges (1-based, inclusive) and the endorsed items each needs
+        clusters: {
+            B: { label: 'Intrusions', items: [1, 5], required: 1 },
+            C: { label: 'Avoidance', items: [6, 7], required: 1 },
+            D: { label: 'Negative mood & cognition', items: [8, 14], required: 2 },
+            E: { label: 'Arousal & reactivity', items: [15, 20], required: 2 }
+        },
+        endorsedFrom: 2,
+        minimalChange: 10,
+        reference: 'Weathers et al. (2013), National Center for PTSD'
+    }
+};
+
+// Instrument id, then the item (0-based) whose non-zero answer needs follow-up
+const SAFETY_ITEMS = { phq9: 8 };
+
+class Screeners {
+    static list() {
+        return Object.values(INSTRUMENTS);
+    }
+
+    static get(id) {
+        const key = String(id || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        return INSTRUMENTS[key] || null;
+    }
+
+    static maxScore(instrument) {
+        return instrument.items.length * (instrument.options.length - 1);
+    }
+
+    /**
+     * Parse answers given as an array or a "0,1,2" / "012" string.
+     * Returns { isValid, answers, error }.
+     */
+    static parseAnswers(instrument, input) {
+        let values = input;
+        if (typeof input === 'string') {
+            const trimmed = input.trim();
+            values = /[\s,]/.test(trimmed) ? trimmed.split(/[\s,]+/).filter(Boolean) : trimmed.split('');
+        }
+        if (!Array.isArray(values)) {
+            return { isValid: false, error: 'Answers must be a list of item scores' };
+        }
+        if (values.length !== instrument.items.length) {
+            return {
+                isValid: false,
+                error: `${instrument.name} has ${instrument.items.length} items, got ${values.length} answers`
+            };
+        }
+
+        const top = instrument.options.length - 1;
+        const answers = [];
+        for (let i = 0; i < values.length; i++) {
+            const value = String(values[i]).trim() === '' ? NaN : Number(values[i]);
+            if (!Number.isInteger(value) || value < 0 || value > top) {
+                return { isValid: false, error: `Item ${i + 1}: answer must be a whole number from 0 to ${top}` };
+            }
+            answers.push(value);
+        }
+        return { isValid: true, answers };
+    }
+
+    static severity(instrument, score) {
+        return instrument.bands.find(band => score >= band.from).severity;
+    }
+
+    static subscores(instrument, answers) {
+        if (!instrument.clusters) return null;
+
+        const result = {};
+        for (const [key, cluster] of Object.entries(instrument.clusters)) {
+            const [first, last] = cluster.items;
+            const values = answers.slice(first - 1, last);
+            result[key] = {
+                score: values.reduce((sum, value) => sum + value, 0),
+                endorsed: values.filter(value => value >= instrument.endorsedFrom).length
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Score a full set of answers.
+     * Returns { score, maxScore, severity, subscores, criteriaMet, flags }.
+     */
+    static score(instrument, answers) {
+        const score = answers.reduce((sum, value) => sum + value, 0);
+        const subscores = Screeners.subscores(instrument, answers);
+        const criteriaMet = subscores
+            ? Object.entries(instrument.clusters).every(([key, cluster]) => subscores[key].endorsed >= cluster.required)
+            : null;
+
+        const flags = [];
+        const safetyItem = SAFETY_ITEMS[instrument.id];
+        if (safetyItem !== undefined && answers[safetyItem] > 0) {
+            flags.push('self-harm');
+        }
+
+        return {
+            score,
+            maxScore: Screeners.maxScore(instrument),
+            severity: Screeners.severity(instrument, score),
+            subscores,
+            criteriaMet,
+            flags
+        };
+    }
+
+    /**
+     * Compare two scores against the instrument's minimal important change.
+     * Lower is better on every instrument here.
+     */
+    static change(instrument, previous, current) {
+        const delta = current - previous;
+        let direction = 'stable';
+        if (Math.abs(delta) >= instrument.minimalChange) {
+            direction = delta < 0 ? 'improved' : 'worsened';
+        }
+        return { delta, direction };
+    }
+}
+
+Screeners.INSTRUMENTS = INSTRUMENTS;
+Screeners.SAFETY_ITEMS = SAFETY_ITEMS;
+
+module.exports = Screeners;
@@ -175,9 +175,163 @@ async function setup() {
     if (rl) rl.close();
 }
 
-// Run setup
-setup().catch(err => {
-    console.error(chalk.red('\n❌ Setup error:', err.message));
-    if (rl) rl.close();
-    process.exit(1);
-});
+/**
+ * Upgrade every known data file to the current schema version.
+ * With dryRun, only report what would change.
+ */
+function migrate(options = {}) {
+    const { dryRun = false } = options;
+    const StorageManager = require('./storage-manager');
+    const storage = StorageManager.getDefault();
+    const files = storage.migrations.getDefaultDataFiles();
+
+    console.log(chalk.cyan.bold(`\n🔄 Data Migrations${dryRun ? ' (dry run)' : ''}\n`));
+    console.log(chalk.gray('═'.repeat(60)));
+
+    let pending = 0;
+    let migrated = 0;
+    let failed = 0;
+
+    for (const { schema, file } of files) {
+        let plan;
+        try {
+            plan = storage.planMigration(file, schema);
+        } catch (error) {
+            failed++;
+            console.log(chalk.red(`\n❌ ${file}: ${error.message}`));
+            continue;
+        }
+
+        if (!plan.exists) {
+            console.log(chalk.gray(`\n• ${file}: not found, skipped`));
+            continue;
+        }
+
+        if (plan.steps.length === 0) {
+            console.log(chalk.green(`\n✓ ${file}: up to date (v${plan.toVersion})`));
+            continue;
+        }
+
+        pending++;
+        console.log(chalk.yellow(`\n→ ${file}: v${plan.fromVersion} → v${plan.toVersion}`));
+        plan.steps.forEach(step => {
+            console.log(chalk.white(`     v${step.version}: ${step.description}`));
+        });
+        console.log(chalk.gray(`     Backup: ${plan.backupPath}`));
+
+        if (!dryRun) {
+            try {
+                storage.load(file, schema);
+                migrated++;
+                console.log(chalk.green('     ✅ Migrated'));
+            } catch (error) {
+                failed++;
+                console.log(chalk.red(`     ❌ Migration failed: ${error.message}`));
+            }
+        }
+    }
+
+    console.log(chalk.gray('\n' + '═'.repeat(60)));
+    if (pending === 0 && failed === 0) {
+        console.log(chalk.green('\nAll data files are up to date.\n'));
+    } else if (dryRun) {
+        console.log(chalk.yellow(`\n${pending} file(s) would be migrated. Run without --dry-run to apply.\n`));
+    } else {
+        console.log(chalk.green(`\n${migrated} file(s) migrated.\n`));
+    }
+    if (failed > 0) {
+        console.log(chalk.red(`${failed} file(s) could not be migrated.\n`));
+    }
+
+    return failed === 0;
+}
+
+/**
+ * Every data file the storage layer may hold: default files, per-user copies
+ * made by the API server (<dataDir>/users/<id>/) and pre-migration backups
+ */
+function listDataFiles(storage) {
+    const fs = require('fs');
+    const path = require('path');
+    const defaults = storage.migrations.getDefaultDataFiles();
+    const entries = defaults.map(({ schema, file }) => ({ schema, file }));
+
+    const usersDir = path.join(process.env.STEPSYNC_DATA_DIR || './data', 'users');
+    if (fs.existsSync(usersDir)) {
+        for (const userId of fs.readdirSync(usersDir)) {
+            defaults.forEach(({ schema, file }) => {
+                entries.push({ schema, file: path.join(usersDir, userId, path.basename(file)) });
+            });
+        }
+    }
+
+    const files = [];
+    for (const { schema, file } of entries) {
+        files.push(file);
+        for (let version = 0; version < storage.migrations.getCurrentVersion(schema); version++) {
+            files.push(storage.getBackupPath(file, version));
+        }
+    }
+    return files;
+}
+
+/**
+ * Re-encrypt all data files and backup archives under a new passphrase
+ * Current passphrase: STEPSYNC_PASSPHRASE (unset for plaintext data)
+ * New passphrase:     STEPSYNC_NEW_PASSPHRASE (or --decrypt to store plaintext)
+ */
+function rekey(options = {}) {
+    const { decrypt = false } = options;
+    const StorageManager = require('./storage-manager');
+    const BackupManager = require('./backup-manager');
+    const DataEncryption = require('./data-encryption');
+
+    console.log(chalk.cyan.bold('\n🔐 Re-encrypt Data\n'));
+    console.log(chalk.gray('═'.repeat(60)));
+
+    const newPassphrase = process.env.STEPSYNC_NEW_PASSPHRASE;
+    if (!decrypt && !newPassphrase) {
+        console.log(chalk.red('\n❌ Set STEPSYNC_NEW_PASSPHRASE to the new passphrase (or use --decrypt to remove encryption).\n'));
+        return false;
+    }
+    const encryption = decrypt ? null : new DataEncryption(newPassphrase);
+
+    const storage = StorageManager.getDefault();
+    let rekeyed;
+    try {
+        rekeyed = storage.rekey(listDataFiles(storage), encryption);
+    } catch (error) {
+        console.log(chalk.red(`\n❌ ${error.message}`));
+        console.log(chalk.yellow('   No files were changed. Check STEPSYNC_PASSPHRASE (the current passphrase).\n'));
+        return false;
+    }
+    rekeyed.forEach(file => console.log(chalk.green(`\n✓ ${file}`)));
+
+    const backups = new BackupManager().rekeyBackups(encryption);
+    backups.rekeyed.forEach(id => console.log(chalk.green(`\n✓ backup ${id}`)));
+    backups.failed.forEach(({ backupId, error }) => console.log(chalk.red(`\n❌ backup ${backupId}: ${error}`)));
+
+    console.log(chalk.gray('\n' + '═'.repeat(60)));
+    console.log(chalk.green(`\n${rekeyed.length} data file(s) and ${backups.rekeyed.length} backup(s) ${decrypt ? 'decrypted' : 're-encrypted'}.`));
+    if (!decrypt) {
+        console.log(chalk.yellow('Use the new passphrase from now on: STEPSYNC_PASSPHRASE=<new passphrase>\n'));
+    }
+
+    return backups.failed.length === 0;
+}
+
+// Run setup (or a maintenance command)
+const args = process.argv.slice(2);
+if (args[0] === 'migrate') {
+    const ok = migrate({ dryRun: args.includes('--dry-run') });
+    process.exit(ok ? 0 : 1);
+} else if (args[0] === 'rekey') {
+    const ok = rekey({ decrypt: args.includes('--decrypt') });
+    process.exit(ok ? 0 : 1);
+} else {
+    setup().catch(err => {
+        console.error(chalk.red('\n❌ Setup error:', err.message));
+        if (rl) rl.close();
+        process.exit(1);
+    });
+}
@@ -0,0 +1,265 @@
+/**
+ * Sleep Metrics Module
+ * Sleep debt, chronotype, social jetlag and bedtime plans from sleep days
+ *
+ * Works on the sleep days of SleepSessions.groupByDay (a day's total includes
+ * naps and split sleep):
+ * - Sleep debt: over a rolling window, each logged day adds (target - total);
+ *   extra sleep pays debt back but the balance never goes below zero.
+ *   Days without an entry are unknown and left out.
+ * - Mid-sleep: halfway between the start of a day's first non-nap session and
+ *   the end of its last one.
+ * - Free days are sleep days ending on a Saturday or Sunday (the nights before
+ *   a day off); all other days are work days.
+ * - Chronotype: mid-sleep on free days, corrected for oversleep that repays
+ *   work-day debt (MSFsc from the Munich ChronoType Questionnaire):
+ *   MSF - (SDf - SDweek) / 2 when free-day sleep SDf is longer than the weekly
+ *   average SDweek = (5 * SDw + 2 * SDf) / 7.
+ * - Social jetlag: |mid-sleep on free days - mid-sleep on work days|.
+ * - Bedtime plan: keeps the usual work-day wake time and moves bedtime earlier
+ *   by at most MAX_EXTRA_MINUTES a night until the debt is repaid.
+ */
+
+const SleepSessions = require('./sleep-sessions');
+
+const DEFAULT_TARGET_HOURS = 8;
+const DEBT_WINDOW_DAYS = 14;
+const PLAN_NIGHTS = 7;
+const MAX_EXTRA_MINUTES = 60;
+const MIN_DAYS = 2;
+const FREE_DAYS = [0, 6];
+const DAY_MINUTES = 24 * 60;
+
+// Upper bounds (hours after midnight) of corrected free-day mid-sleep
+const CHRONOTYPES = [
+    { before: 2, label: 'definitely early (lark)' },
+    { before: 3, label: 'moderately early' },
+    { before: 5, label: 'intermediate' },
+    { before: 6, label: 'moderately late' },
+    { before: Infinity, label: 'definitely late (owl)' }
+];
+
+class SleepMetrics {
+    /**
+     * @param {Object} options - { targetHours, dayStart: 'HH:MM' }
+     */
+    constructor(options = {}) {
+        this.targetHours = options.targetHours > 0 ? options.targetHours : DEFAULT_TARGET_HOURS;
+        this.sessions = new SleepSessions({ dayStart: options.dayStart });
+    }
+
+    static minutesToTime(minutes) {
+        const normalized = ((Math.round(minutes) % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(Math.floor(normalized / 60))}:${pad(normalized % 60)}`;
+    }
+
+    static isFreeDay(dateKey) {
+        return FREE_DAYS.includes(new Date(`${dateKey}T12:00:00`).getDay());
+    }
+
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    static average(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+
+    /**
+     * Minutes after the sleep day boundary, so averages of times either side
+     * of midnight stay meaningful
+     */
+    toOffset(date) {
+        return (date.getHours() * 60 + date.getMinutes() - this.sessions.dayStartMinutes + DAY_MINUTES) % DAY_MINUTES;
+    }
+
+    fromOffset(offset) {
+        return SleepMetrics.minutesToTime(offset + this.sessions.dayStartMinutes);
+    }
+
+    /**
+     * Start and end of a day's main sleep (all non-nap sessions)
+     * @returns {Object|null} { start: Date, end: Date }
+     */
+    mainSleep(day) {
+        const bounds = day.sessions
+            .filter(entry => entry.type !== 'nap')
+            .map(entry => this.sessions.bounds(entry))
+            .filter(Boolean);
+        if (bounds.length === 0) return null;
+        return {
+            start: new Date(Math.min(...bounds.map(b => b.start.getTime()))),
+            end: new Date(Math.max(...bounds.map(b => b.end.getTime())))
+        };
+    }
+
+    /**
+     * Mid-sleep of a day as minutes after the sleep day boundary
+     * @returns {number|null}
+     */
+    midSleep(day) {
+        const main = this.mainSleep(day);
+        if (!main) return null;
+        const start = this.toOffset(main.start);
+        return start + (main.end - main.start) / 120000;
+    }
+
+    /**
+     * Rolling sleep debt against the target
+     * @param {Array} days - Sleep days
+     * @param {Date} now
+     * @param {number} windowDays - Days to look back, including today
+     * @returns {Object} { target, windowDays, loggedDays, debt, averageHours, level, perDay: [{ date, total, debt }] }
+     */
+    sleepDebt(days, now = new Date(), windowDays = DEBT_WINDOW_DAYS) {
+        const first = new Date(now);
+        first.setDate(first.getDate() - (windowDays - 1));
+        const fromKey = SleepSessions.toDateKey(first);
+        const toKey = SleepSessions.toDateKey(now);
+        const recent = days.filter(day => day.date && day.date >= fromKey && day.date <= toKey);
+
+        let debt = 0;
+        const perDay = recent.map(day => {
+            debt = Math.max(0, debt + this.targetHours - day.total);
+            return { date: day.date, total: day.total, debt: SleepMetrics.round(debt) };
+        });
+        debt = SleepMetrics.round(debt);
+
+        let level = 'none';
+        if (debt >= 5) level = 'high';
+        else if (debt >= 2) level = 'moderate';
+        else if (debt > 0) level = 'low';
+
+        const average = SleepMetrics.average(recent.map(day => day.total));
+        return {
+            target: this.targetHours,
+            windowDays,
+            loggedDays: recent.length,
+            debt,
+            averageHours: average === null ? null : SleepMetrics.round(average),
+            level,
+            perDay
+        };
+    }
+
+    /**
+     * Split days with a known mid-sleep into free and work days
+     */
+    splitDays(days) {
+        const free = [];
+        const work = [];
+        days.forEach(day => {
+            if (!day.date) return;
+            const mid = this.midSleep(day);
+            if (mid === null) return;
+            (SleepMetrics.isFreeDay(day.date) ? free : work).push({ day, mid });
+        });
+        return { free, work };
+    }
+
+    /**
+     * Chronotype from mid-sleep on free days
+     * @returns {Object|null} { type, midSleepFree, corrected, freeDays, workDays }, null with under MIN_DAYS free days
+     */
+    chronotype(days) {
+        const { free, work } = this.splitDays(days);
+        if (free.length < MIN_DAYS) return null;
+
+        const msf = SleepMetrics.average(free.map(d => d.mid));
+        let corrected = msf;
+        if (work.length >= MIN_DAYS) {
+            const freeHours = SleepMetrics.average(free.map(d => d.day.total));
+            const workHours = SleepMetrics.average(work.map(d => d.day.total));
+            const weekHours = (5 * workHours + 2 * freeHours) / 7;
+            if (freeHours > workHours) {
+                corrected = msf - (freeHours - weekHours) * 60 / 2;
+            }
+        }
+
+        const clock = this.fromOffset(corrected);
+        const [hours, minutes] = clock.split(':').map(Number);
+        // Mid-sleep in the evening is earlier than any morning value
+        const afterMidnight = hours >= 12 ? hours + minutes / 60 - 24 : hours + minutes / 60;
+        return {
+            type: CHRONOTYPES.find(band => afterMidnight < band.before).label,
+            midSleepFree: this.fromOffset(msf),
+            corrected: clock,
+            freeDays: free.length,
+            workDays: work.length
+        };
+    }
+
+    /**
+     * Difference between free-day and work-day mid-sleep
+     * @returns {Object|null} { hours, midSleepFree, midSleepWork, level }
+     */
+    socialJetlag(days) {
+        const { free, work } = this.splitDays(days);
+        if (free.length < MIN_DAYS || work.length < MIN_DAYS) return null;
+
+        const msf = SleepMetrics.average(free.map(d => d.mid));
+        const msw = SleepMetrics.average(work.map(d => d.mid));
+        const hours = SleepMetrics.round(Math.abs(msf - msw) / 60);
+
+        let level = 'low';
+        if (hours >= 2) level = 'high';
+        else if (hours >= 1) level = 'moderate';
+
+        return { hours, midSleepFree: this.fromOffset(msf), midSleepWork: this.fromOffset(msw), level };
+    }
+
+    /**
+     * Usual wake time, preferring work days
+     * @returns {string|null} HH:MM
+     */
+    usualWakeTime(days) {
+        const wakes = day => {
+            const main = this.mainSleep(day);
+            return main ? this.toOffset(main.end) : null;
+        };
+        const dated = days.filter(day => day.date);
+        const work = dated.filter(day => !SleepMetrics.isFreeDay(day.date)).map(wakes).filter(w => w !== null);
+        const all = dated.map(wakes).filter(w => w !== null);
+        const source = work.length > 0 ? work : all;
+        return source.length > 0 ? this.fromOffset(SleepMetrics.average(source.slice(-DEBT_WINDOW_DAYS))) : null;
+    }
+
+    /**
+     * Bedtimes for the coming nights that repay the current debt
+     * @returns {Object|null} { debt, target, wakeTime, extraMinutes, nights: [{ date, bedtime, wakeTime, hours }], repaid }
+     *   null without any logged session to take a wake time from
+     */
+    bedtimePlan(days, now = new Date(), nights = PLAN_NIGHTS) {
+        const wakeTime = this.usualWakeTime(days);
+        if (!wakeTime) return null;
+
+        const { debt } = this.sleepDebt(days, now);
+        // Spread the debt over the plan in 5-minute steps, at most an hour a night
+        const extraMinutes = Math.min(MAX_EXTRA_MINUTES, Math.ceil(debt * 60 / nights / 5) * 5);
+        const [wakeHours, wakeMinutes] = wakeTime.split(':').map(Number);
+
+        let remaining = debt * 60;
+        const plan = [];
+        for (let i = 1; i <= nights; i++) {
+            const extra = Math.min(extraMinutes, Math.max(0, Math.ceil(remaining / 5) * 5));
+            remaining -= extra;
+            const sleepMinutes = this.targetHours * 60 + extra;
+            const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i);
+            plan.push({
+                date: SleepSessions.toDateKey(date),
+                bedtime: SleepMetrics.minutesToTime(wakeHours * 60 + wakeMinutes - sleepMinutes),
+                wakeTime,
+                hours: SleepMetrics.round(sleepMinutes / 60)
+            });
+        }
+
+        return { debt, target: this.targetHours, wakeTime, extraMinutes, nights: plan, repaid: remaining <= 0 };
+    }
+}
+
+SleepMetrics.DEFAULT_TARGET_HOURS = DEFAULT_TARGET_HOURS;
+SleepMetrics.DEBT_WINDOW_DAYS = DEBT_WINDOW_DAYS;
+SleepMetrics.MAX_EXTRA_MINUTES = MAX_EXTRA_MINUTES;
+
+module.exports = SleepMetrics;
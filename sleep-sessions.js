@@ -0,0 +1,234 @@
+/**
+ * Sleep Sessions Module
+ * Full start/end datetimes for sleep entries and their grouping into sleep days
+ *
+ * Entry fields used:
+ * - start / end: ISO datetimes of the session. Older entries only have
+ *   date ('YYYY-MM-DD', the day the sleeper woke up) with bedtime / wakeTime
+ *   ('HH:MM'); their session ends on `date` at wakeTime and starts before it
+ * - type: 'main' (the night's sleep), 'nap', or 'split' (one part of a night
+ *   slept in several blocks). Entries without a type count as main sleep
+ * - duration: hours actually slept (may be shorter than end - start)
+ *
+ * A sleep day runs from `dayStart` (local time, default 18:00) to the same
+ * time on the next calendar day and is named after that next day: a session
+ * starting at 23:00 on March 3rd or at 01:00 on March 4th, and a nap at 14:00
+ * on March 4th, all count towards sleep day 2024-03-04. Shift workers sleeping
+ * through the day can move the boundary (e.g. to 06:00). A dayStart of 00:00
+ * makes sleep days plain calendar days of the session start.
+ *
+ * Entries without enough information for a start time keep the day they were
+ * logged (their `date`, else the day of their timestamp).
+ */
+
+const SESSION_TYPES = ['main', 'nap', 'split'];
+const DEFAULT_DAY_START = '18:00';
+const NAP_MAX_HOURS = 3;
+const HOUR_MS = 60 * 60 * 1000;
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/;
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+class SleepSessions {
+    /**
+     * @param {Object} options - { dayStart: 'HH:MM' }
+     */
+    constructor(options = {}) {
+        this.dayStart = SleepSessions.isTime(options.dayStart) ? options.dayStart : DEFAULT_DAY_START;
+        const [hours, minutes] = this.dayStart.split(':').map(Number);
+        this.dayStartMinutes = hours * 60 + minutes;
+    }
+
+    static isTime(value) {
+        return typeof value === 'string' && TIME_PATTERN.test(value);
+    }
+
+    /**
+     * Local calendar day of a date
+     * @returns {string} YYYY-MM-DD
+     */
+    static toDateKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Local HH:MM of a date
+     */
+    static toTime(date) {
+        return date.toTimeString().slice(0, 5);
+    }
+
+    /**
+     * Parse a session boundary: a Date, 'YYYY-MM-DD HH:MM' (local time) or an ISO string
+     * @returns {Date|null}
+     */
+    static parseDateTime(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value;
+        }
+        if (typeof value !== 'string') {
+            return null;
+        }
+        const local = DATE_TIME_PATTERN.exec(value.trim());
+        if (local) {
+            const [, year, month, day, hours, minutes, seconds] = local.map(Number);
+            const date = new Date(year, month - 1, day, hours, minutes, seconds || 0);
+            // Reject overflowing values such as 2024-02-31 or 25:00
+            return date.getMonth() === month - 1 && date.getDate() === day && hours < 24 && minutes < 60 ? date : null;
+        }
+        const parsed = new Date(value);
+        return /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(parsed.getTime()) ? parsed : null;
+    }
+
+    /**
+     * Session bounds for clock times: ends on `date` at wakeTime, starts the
+     * same day or, when bedtime is later than wakeTime, the evening before
+     * @returns {Object} { start: Date, end: Date }
+     */
+    static fromClockTimes(date, bedtime, wakeTime) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [wakeHours, wakeMinutes] = wakeTime.split(':').map(Number);
+        const [bedHours, bedMinutes] = bedtime.split(':').map(Number);
+        const end = new Date(year, month - 1, day, wakeHours, wakeMinutes);
+        const start = new Date(year, month - 1, day, bedHours, bedMinutes);
+        if (start >= end) {
+            start.setDate(start.getDate() - 1);
+        }
+        return { start, end };
+    }
+
+    /**
+     * Default type for a session that was not labelled: short sessions are naps
+     */
+    static inferType(start, end) {
+        return (end - start) / HOUR_MS < NAP_MAX_HOURS ? 'nap' : 'main';
+    }
+
+    /**
+     * Start and end of an entry's session
+     * @returns {Object|null} { start: Date, end: Date }, or null when unknown
+     */
+    bounds(entry) {
+        if (!entry) return null;
+        if (entry.start && entry.end) {
+            const start = new Date(entry.start);
+            const end = new Date(entry.end);
+            if (!isNaN(start.getTime()) && !isNaN(end.getTime())) {
+                return { start, end };
+            }
+        }
+        if (typeof entry.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(entry.date) &&
+            SleepSessions.isTime(entry.bedtime) && SleepSessions.isTime(entry.wakeTime)) {
+            return SleepSessions.fromClockTimes(entry.date, entry.bedtime, entry.wakeTime);
+        }
+        return null;
+    }
+
+    /**
+     * Sleep day a session starting at `start` belongs to
+     * @returns {string} YYYY-MM-DD
+     */
+    dayOf(start) {
+        const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+        const minutes = start.getHours() * 60 + start.getMinutes();
+        if (this.dayStartMinutes > 0 && minutes >= this.dayStartMinutes) {
+            day.setDate(day.getDate() + 1);
+        }
+        return SleepSessions.toDateKey(day);
+    }
+
+    /**
+     * Sleep day of an entry
+     * @returns {string|null} YYYY-MM-DD, or null for entries without any date
+     */
+    sleepDay(entry) {
+        const bounds = this.bounds(entry);
+        if (bounds) {
+            return this.dayOf(bounds.start);
+        }
+        if (entry && entry.date) {
+            return entry.date;
+        }
+        if (entry && entry.timestamp && !isNaN(new Date(entry.timestamp).getTime())) {
+            return new Date(entry.timestamp).toISOString().split('T')[0];
+        }
+        return null;
+    }
+
+    /**
+     * Minutes from the sleep day boundary to an entry's bedtime, so that
+     * 23:30 and 00:30 are an hour apart rather than 23 hours
+     * @returns {number|null}
+     */
+    bedtimeOffset(entry) {
+        const bounds = this.bounds(entry);
+        const time = bounds ? SleepSessions.toTime(bounds.start) : entry && entry.bedtime;
+        if (!SleepSessions.isTime(time)) return null;
+        const [hours, minutes] = time.split(':').map(Number);
+        return (hours * 60 + minutes - this.dayStartMinutes + 24 * 60) % (24 * 60);
+    }
+
+    /**
+     * Group entries into sleep days
+     * @param {Array} entries - Sleep entries
+     * @returns {Array} Days sorted by date (undated entries last, one day each):
+     *   { date, total, quality, napCount, napHours, bedtime, wakeTime, timestamp, sessions }
+     *   total is the sum of all sessions; quality is their duration-weighted average;
+     *   bedtime / wakeTime come from the first and last non-nap session
+     */
+    groupByDay(entries = []) {
+        const days = new Map();
+        const undated = [];
+
+        entries.forEach(entry => {
+            const date = this.sleepDay(entry);
+            if (date === null) {
+                undated.push([entry]);
+                return;
+            }
+            if (!days.has(date)) days.set(date, []);
+            days.get(date).push(entry);
+        });
+
+        const startOf = entry => {
+            const bounds = this.bounds(entry);
+            return bounds ? bounds.start.getTime() : 0;
+        };
+        const summarize = (date, sessions) => {
+            const sorted = [...sessions].sort((a, b) => startOf(a) - startOf(b));
+            const hours = entry => parseFloat(entry.duration) || 0;
+            const total = sorted.reduce((sum, entry) => sum + hours(entry), 0);
+            const naps = sorted.filter(entry => entry.type === 'nap');
+            const sleeps = sorted.filter(entry => entry.type !== 'nap');
+            const rated = sorted.filter(entry => typeof entry.quality === 'number');
+            const ratedHours = rated.reduce((sum, entry) => sum + hours(entry), 0);
+            const quality = rated.length === 0 ? null : ratedHours > 0
+                ? rated.reduce((sum, entry) => sum + entry.quality * hours(entry), 0) / ratedHours
+                : rated.reduce((sum, entry) => sum + entry.quality, 0) / rated.length;
+            const timestamps = sorted.map(entry => entry.timestamp).filter(Boolean).sort();
+
+            return {
+                date,
+                total: Math.round(total * 10) / 10,
+                quality: quality === null ? null : Math.round(quality * 10) / 10,
+                napCount: naps.length,
+                napHours: Math.round(naps.reduce((sum, entry) => sum + hours(entry), 0) * 10) / 10,
+                bedtime: sleeps.length > 0 ? sleeps[0].bedtime || null : null,
+                wakeTime: sleeps.length > 0 ? sleeps[sleeps.length - 1].wakeTime || null : null,
+                timestamp: timestamps.length > 0 ? timestamps[timestamps.length - 1] : null,
+                sessions: sorted
+            };
+        };
+
+        return [
+            ...[...days.keys()].sort().map(date => summarize(date, days.get(date))),
+            ...undated.map(sessions => summarize(null, sessions))
+        ];
+    }
+}
+
+SleepSessions.TYPES = SESSION_TYPES;
+SleepSessions.DEFAULT_DAY_START = DEFAULT_DAY_START;
+SleepSessions.NAP_MAX_HOURS = NAP_MAX_HOURS;
+
+module.exports = SleepSessions;
@@ -1,17 +1,27 @@
-const fs = require('fs');
 const ValidationUtils = require('./validation-utils');
+const StorageManager = require('./storage-manager');
+const EntryEditor = require('./entry-editor');
+const SleepSessions = require('./sleep-sessions');
+const SleepMetrics = require('./sleep-metrics');
 
 class SleepTracker {
-    constructor(dataFile = 'sleep-data.json') {
+    constructor(dataFile = StorageManager.resolveDataPath('sleep-data.json'), storage = StorageManager.getDefault()) {
         this.dataFile = dataFile;
+        this.storage = storage;
         this.data = this.loadData();
+        this.editor = new EntryEditor(this, {
+            collection: 'sleepEntries',
+            label: 'Sleep entry',
+            rules: SleepTracker.ENTRY_RULES,
+            afterUpdate: entry => this.refreshSession(entry)
+        });
     }
 
     loadData() {
         try {
-            if (fs.existsSync(this.dataFile)) {
-                const rawData = fs.readFileSync(this.dataFile, 'utf8');
-                return JSON.parse(rawData);
+            const stored = this.storage.load(this.dataFile, 'sleep');
+            if (stored) {
+                return stored;
             }
         } catch (error) {
             console.error('Error loading sleep data:', error.message);
@@ -21,9 +31,206 @@ class SleepTracker {
         };
     }
 
+    /**
+     * Session and sleep day helper for the configured sleep day boundary
+     * @returns {SleepSessions}
+     */
+    sessions() {
+        return new SleepSessions({ dayStart: this.getSleepDayStart() });
+    }
+
+    getSleepDayStart() {
+        const settings = this.data.settings || {};
+        return SleepSessions.isTime(settings.sleepDayStart) ? settings.sleepDayStart : SleepSessions.DEFAULT_DAY_START;
+    }
+
+    /**
+     * Set the time of day at which a new sleep day begins
+     * @param {string} time - HH:MM (e.g. 18:00, or 06:00 for night shifts)
+     * @returns {boolean} Success status
+     */
+    setSleepDayStart(time) {
+        if (!ValidationUtils.validateTime(time, 'sleep day start')) {
+            return false;
+        }
+
+        const previous = this.data.settings;
+        this.data.settings = { ...(previous || {}), sleepDayStart: time };
+        if (!this.saveData()) {
+            this.data.settings = previous;
+            return false;
+        }
+
+        console.log(`\n✓ Sleep days now start at ${time}`);
+        console.log(`  Sleep starting after ${time} counts towards the next day's total`);
+        return true;
+    }
+
+    /**
+     * Total sleep per sleep day (see SleepSessions.groupByDay)
+     * @param {Array} entries - Defaults to all sleep entries
+     * @returns {Array} Sleep days sorted by date
+     */
+    getSleepDays(entries = this.data.sleepEntries) {
+        return this.sessions().groupByDay(entries);
+    }
+
+    getTargetHours() {
+        const settings = this.data.settings || {};
+        return settings.targetHours > 0 ? settings.targetHours : SleepMetrics.DEFAULT_TARGET_HOURS;
+    }
+
+    /**
+     * Set the personal nightly sleep target used for sleep debt and plans
+     * @param {number|string} hours - 4 to 12
+     * @returns {boolean} Success status
+     */
+    setTargetHours(hours) {
+        const target = ValidationUtils.parseFloat(hours, { min: 4, max: 12, fieldName: 'sleep target' });
+        if (target === null) {
+            return false;
+        }
+
+        const previous = this.data.settings;
+        this.data.settings = { ...(previous || {}), targetHours: target };
+        if (!this.saveData()) {
+            this.data.settings = previous;
+            return false;
+        }
+
+        console.log(`\n✓ Sleep target set to ${target} hours a night`);
+        return true;
+    }
+
+    metrics() {
+        return new SleepMetrics({ targetHours: this.getTargetHours(), dayStart: this.getSleepDayStart() });
+    }
+
+    /**
+     * Rolling sleep debt (see SleepMetrics.sleepDebt)
+     */
+    getSleepDebt(windowDays = SleepMetrics.DEBT_WINDOW_DAYS, now = new Date()) {
+        return this.metrics().sleepDebt(this.getSleepDays(), now, windowDays);
+    }
+
+    /**
+     * Chronotype and social jetlag; either is null until there are enough free and work days
+     * @returns {Object} { chronotype, socialJetlag }
+     */
+    getChronotype() {
+        const metrics = this.metrics();
+        const days = this.getSleepDays();
+        return { chronotype: metrics.chronotype(days), socialJetlag: metrics.socialJetlag(days) };
+    }
+
+    getBedtimePlan(nights = 7, now = new Date()) {
+        return this.metrics().bedtimePlan(this.getSleepDays(), now, nights);
+    }
+
+    showSleepDebt(windowDays = SleepMetrics.DEBT_WINDOW_DAYS) {
+        const debt = this.getSleepDebt(windowDays);
+
+        console.log(`\n😴 Sleep Debt (Last ${windowDays} Days)`);
+        console.log('═'.repeat(60));
+
+        if (debt.loggedDays === 0) {
+            console.log(`No sleep data in the last ${windowDays} days.`);
+            return debt;
+        }
+
+        console.log(`\nTarget: ${debt.target}h a night, average: ${debt.averageHours}h over ${debt.loggedDays} logged days`);
+        console.log(`Current debt: ${debt.debt} hours`);
+        debt.perDay.slice(-7).forEach(day => {
+            console.log(`   ${day.date}  ${String(day.total).padStart(4)}h  debt ${day.debt}h`);
+        });
+
+        if (debt.level === 'high') {
+            console.log('\n⚠️  You are carrying a large sleep debt. See a plan to repay it with: plan');
+        } else if (debt.level === 'moderate') {
+            console.log('\n💡 A few earlier nights would clear this. See: plan');
+        } else {
+            console.log('\n✓ You are meeting your sleep target.');
+        }
+
+        console.log('\n═'.repeat(60));
+        return debt;
+    }
+
+    showChronotype() {
+        const { chronotype, socialJetlag } = this.getChronotype();
+
+        console.log('\n🕰️  Chronotype & Social Jetlag');
+        console.log('═'.repeat(60));
+
+        if (!chronotype) {
+            console.log('\n📊 Not enough data yet. Log at least 2 weekend nights (Friday and Saturday nights)');
+            console.log('   and 2 weeknights to estimate your natural sleep timing.');
+            console.log('\n═'.repeat(60));
+            return { chronotype, socialJetlag };
+        }
+
+        console.log(`\nChronotype: ${chronotype.type}`);
+        console.log(`   Mid-sleep on free days: ${chronotype.midSleepFree} (corrected for catch-up sleep: ${chronotype.corrected})`);
+        console.log(`   Based on ${chronotype.freeDays} free days and ${chronotype.workDays} work days`);
+
+        if (socialJetlag) {
+            console.log(`\nSocial jetlag: ${socialJetlag.hours} hours (${socialJetlag.level})`);
+            console.log(`   Mid-sleep: ${socialJetlag.midSleepWork} on work days, ${socialJetlag.midSleepFree} on free days`);
+            if (socialJetlag.level !== 'low') {
+                console.log('   💡 Keeping weekend sleep times closer to weekdays reduces Monday grogginess.');
+            }
+        }
+
+        console.log('\n═'.repeat(60));
+        return { chronotype, socialJetlag };
+    }
+
+    showBedtimePlan(nights = 7) {
+        const plan = this.getBedtimePlan(nights);
+
+        console.log('\n🛏️  Bedtime Plan');
+        console.log('═'.repeat(60));
+
+        if (!plan) {
+            console.log('No sleep data yet. Log a few nights so the plan can use your usual wake time.');
+            return plan;
+        }
+
+        console.log(`\nSleep debt: ${plan.debt}h, target: ${plan.target}h, usual wake time: ${plan.wakeTime}`);
+        if (plan.extraMinutes > 0) {
+            console.log(`Go to bed up to ${plan.extraMinutes} minutes earlier until the debt is repaid:`);
+        } else {
+            console.log('No debt to repay - keep a steady bedtime:');
+        }
+        plan.nights.forEach(night => {
+            console.log(`   ${night.date}  bed ${night.bedtime} → wake ${night.wakeTime}  (${night.hours}h)`);
+        });
+        if (!plan.repaid) {
+            console.log(`\n💡 Repaying the rest will take more than ${nights} nights - avoid adding more than an hour a night.`);
+        }
+
+        console.log('\n═'.repeat(60));
+        return plan;
+    }
+
+    /**
+     * Recompute duration, start and end after bedtime, wakeTime or date change
+     */
+    refreshSession(entry) {
+        entry.duration = parseFloat(this.calculateDuration(entry.bedtime, entry.wakeTime));
+        const bounds = this.sessions().bounds({ date: entry.date, bedtime: entry.bedtime, wakeTime: entry.wakeTime });
+        if (bounds) {
+            entry.start = bounds.start.toISOString();
+            entry.end = bounds.end.toISOString();
+        }
+        if (!entry.type) {
+            entry.type = bounds ? SleepSessions.inferType(bounds.start, bounds.end) : 'main';
+        }
+    }
+
     saveData() {
         try {
-            fs.writeFileSync(this.dataFile, JSON.stringify(this.data, null, 2));
+            this.storage.save(this.dataFile, this.data, 'sleep');
             return true;
         } catch (error) {
             console.error('Error saving sleep data:', error.message);
@@ -49,7 +256,15 @@ class SleepTracker {
         return (durationMinutes / 60).toFixed(1); // Return hours with 1 decimal
     }
 
-    logSleep(bedtime, wakeTime, quality, notes = '') {
+    /**
+     * Log a night's sleep (or a nap) from clock times
+     * @param {string|Date} bedtime - HH:MM, or a Date for the exact start
+     * @param {string|Date} wakeTime - HH:MM, or a Date for the exact end
+     * @param {Object} options - { date: 'YYYY-MM-DD', at: 'HH:MM' } to backdate the entry (default: now),
+     *   type: 'main' | 'nap' | 'split' (default: nap when shorter than SleepSessions.NAP_MAX_HOURS)
+     *   Clock times end on the entry's date: 23:00 → 07:00 is the night before that morning.
+     */
+    logSleep(bedtime, wakeTime, quality, notes = '', options = {}) {
         // Validate inputs
         if (!bedtime || !wakeTime) {
             console.error('\n❌ Error: Bedtime and wake time are required');
@@ -58,11 +273,13 @@ class SleepTracker {
         }
 
         // If Date objects, validate time order before converting
+        let bounds = null;
         if (bedtime instanceof Date && wakeTime instanceof Date) {
             if (wakeTime <= bedtime) {
                 console.error('\n❌ Error: Wake time must be after bedtime');
                 return null;
             }
+            bounds = { start: bedtime, end: wakeTime };
         }
 
         // Handle Date objects - convert to HH:MM format
@@ -91,37 +308,212 @@ class SleepTracker {
             return null;
         }
 
+        if (!this.validateType(options.type)) {
+            return null;
+        }
+
+        const logged = EntryEditor.resolveWhen(options);
+        if (!logged.isValid) {
+            logged.errors.forEach(error => console.error(`\n❌ ${error}`));
+            return null;
+        }
+
+        const date = bounds ? SleepSessions.toDateKey(bounds.end) : logged.date;
+        if (!bounds) {
+            bounds = SleepSessions.fromClockTimes(date, bedtime, wakeTime);
+        }
+
         const duration = parseFloat(this.calculateDuration(bedtime, wakeTime));
         const entry = {
             id: Date.now(),
-            date: new Date().toISOString().split('T')[0],
+            date: date,
             bedtime: bedtime,
             wakeTime: wakeTime,
+            start: bounds.start.toISOString(),
+            end: bounds.end.toISOString(),
+            type: options.type ? options.type.toLowerCase() : SleepSessions.inferType(bounds.start, bounds.end),
             duration: duration,
             quality: qualityNum,
             notes: notes,
-            timestamp: new Date().toISOString()
+            timestamp: logged.timestamp
+        };
+        if (logged.backdated) {
+            entry.loggedAt = new Date().toISOString();
+        }
+
+        return this.saveEntry(entry);
+    }
+
+    /**
+     * Log a sleep session from full start and end datetimes, for sleep that
+     * does not fit the night-before-the-morning pattern (shift work, naps,
+     * nights split into several blocks)
+     * @param {string|Date} start - 'YYYY-MM-DD HH:MM' (local time), ISO string or Date
+     * @param {string|Date} end - Same formats; must be after start and not in the future
+     * @param {Object} options - { type: 'main' | 'nap' | 'split', notes }
+     * @returns {Object|null} Saved entry
+     */
+    logSession(start, end, quality, options = {}, now = new Date()) {
+        const startDate = SleepSessions.parseDateTime(start);
+        const endDate = SleepSessions.parseDateTime(end);
+        if (!startDate || !endDate) {
+            console.error(`\n❌ Error: Invalid ${startDate ? 'end' : 'start'} time "${startDate ? end : start}"`);
+            console.log('💡 Use YYYY-MM-DD HH:MM, e.g. session "2024-03-04 09:00" "2024-03-04 16:30" 7 --type main\n');
+            return null;
+        }
+        if (endDate <= startDate) {
+            console.error('\n❌ Error: Wake time must be after bedtime');
+            return null;
+        }
+        if (endDate - startDate > 24 * 60 * 60 * 1000) {
+            console.error('\n❌ Error: A sleep session cannot be longer than 24 hours');
+            return null;
+        }
+        if (endDate > now) {
+            console.error(`\n❌ Error: Wake time ${SleepSessions.toDateKey(endDate)} ${SleepSessions.toTime(endDate)} is in the future`);
+            return null;
+        }
+
+        const qualityNum = ValidationUtils.parseInteger(quality, {
+            min: 1,
+            max: 10,
+            fieldName: 'sleep quality'
+        });
+        if (qualityNum === null || !this.validateType(options.type)) {
+            return null;
+        }
+
+        const overlap = this.findOverlap(startDate, endDate);
+        if (overlap) {
+            console.error(`\n❌ Error: Overlaps sleep entry ${overlap.id} (${overlap.date} ${overlap.bedtime} → ${overlap.wakeTime})`);
+            return null;
+        }
+
+        const entry = {
+            id: Date.now(),
+            date: SleepSessions.toDateKey(endDate),
+            bedtime: SleepSessions.toTime(startDate),
+            wakeTime: SleepSessions.toTime(endDate),
+            start: startDate.toISOString(),
+            end: endDate.toISOString(),
+            type: options.type ? options.type.toLowerCase() : SleepSessions.inferType(startDate, endDate),
+            duration: Math.round((endDate - startDate) / 360000) / 10,
+            quality: qualityNum,
+            notes: options.notes || '',
+            timestamp: endDate.toISOString(),
+            loggedAt: now.toISOString()
         };
 
+        return this.saveEntry(entry);
+    }
+
+    validateType(type) {
+        if (type === undefined || type === null || type === '') {
+            return true;
+        }
+        if (!SleepSessions.TYPES.includes(String(type).toLowerCase())) {
+            console.error(`\n❌ Error: Invalid session type "${type}". Use one of: ${SleepSessions.TYPES.join(', ')}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * First logged session overlapping the given interval
+     */
+    findOverlap(start, end) {
+        const sessions = this.sessions();
+        return this.data.sleepEntries.find(entry => {
+            const bounds = sessions.bounds(entry);
+            return bounds && bounds.start < end && bounds.end > start;
+        }) || null;
+    }
+
+    saveEntry(entry) {
         this.data.sleepEntries.push(entry);
 
-        if (this.saveData()) {
-            console.log('\n✓ Sleep entry logged successfully!');
-            console.log(`  Date: ${entry.date}`);
-            console.log(`  Bedtime: ${bedtime} → Wake: ${wakeTime}`);
-            console.log(`  Duration: ${duration} hours`);
-            console.log(`  Quality: ${quality}/10`);
-            if (notes) {
-                console.log(`  Notes: ${notes}`);
-            }
+        if (!this.saveData()) {
+            return null;
+        }
 
-            // Provide feedback
-            this.provideFeedback(duration, qualityNum);
+        console.log('\n✓ Sleep entry logged successfully!');
+        console.log(`  Date: ${entry.date}`);
+        console.log(`  Bedtime: ${entry.bedtime} → Wake: ${entry.wakeTime}`);
+        console.log(`  Duration: ${entry.duration} hours`);
+        if (entry.type !== 'main') {
+            console.log(`  Type: ${entry.type}`);
+        }
+        console.log(`  Quality: ${entry.quality}/10`);
+        if (entry.notes) {
+            console.log(`  Notes: ${entry.notes}`);
+        }
 
-            return entry;
+        // Naps and split sleep are judged on the whole sleep day
+        const sessions = this.sessions();
+        const sleepDay = sessions.sleepDay(entry);
+        const day = this.getSleepDays().find(d => d.date === sleepDay);
+        if (day && day.sessions.length > 1) {
+            console.log(`  Sleep day ${day.date}: ${day.total} hours in ${day.sessions.length} sessions`);
         }
 
-        return null;
+        // Provide feedback
+        this.provideFeedback(day ? day.total : entry.duration, entry.quality);
+
+        return entry;
+    }
+
+    /**
+     * Validate a sleep entry and build it without saving (used by importers)
+     * @param {Object} input - { date, bedtime, wakeTime, quality, notes, type }
+     *   The session ends on `date` at wakeTime
+     * @returns {Object} { isValid, errors, entry }
+     */
+    buildEntry(input) {
+        const validation = ValidationUtils.validateFields(input, {
+            date: { type: 'date' },
+            ...SleepTracker.ENTRY_RULES
+        });
+        if (!validation.isValid) {
+            return { isValid: false, errors: validation.errors, entry: null };
+        }
+
+        const { date, bedtime, wakeTime, quality, notes, type } = validation.values;
+        const entry = {
+            id: Date.now(),
+            date: date || new Date().toISOString().split('T')[0],
+            bedtime,
+            wakeTime,
+            type,
+            duration: parseFloat(this.calculateDuration(bedtime, wakeTime)),
+            quality,
+            notes,
+            timestamp: new Date().toISOString()
+        };
+        this.refreshSession(entry);
+        return { isValid: true, errors: [], entry };
+    }
+
+    /**
+     * Change fields of a logged night (bedtime, wakeTime, quality, notes, date)
+     * @returns {Object|null} Updated entry
+     */
+    editEntry(id, changes) {
+        return this.editor.report(this.editor.edit(id, changes), 'updated');
+    }
+
+    deleteEntry(id) {
+        return this.editor.report(this.editor.remove(id), 'deleted');
+    }
+
+    /**
+     * Revert the last edit or delete (within EntryEditor.UNDO_WINDOW_MINUTES)
+     */
+    undoLastChange() {
+        return this.editor.report(this.editor.undo(), 'restored');
+    }
+
+    showChanges(limit = 20) {
+        return this.editor.printHistory(limit);
     }
 
     provideFeedback(duration, quality) {
@@ -156,59 +548,68 @@ class SleepTracker {
             return;
         }
 
-        const entries = this.data.sleepEntries;
-        const totalEntries = entries.length;
+        // Naps and split sleep add up to one total per sleep day
+        const days = this.getSleepDays();
+        const totalDays = days.length;
 
         // PERFORMANCE: Single-pass statistics calculation (5 iterations → 1)
-        const targetHours = 8;
+        const targetHours = this.getTargetHours();
         let totalDuration = 0;
         let totalQuality = 0;
         let totalSleepDebt = 0;
-        let bestNight = entries[0];
-        let worstNight = entries[0];
+        let napCount = 0;
+        let napHours = 0;
+        let bestNight = days[0];
+        let worstNight = days[0];
 
-        entries.forEach(e => {
-            totalDuration += e.duration;
-            totalQuality += e.quality;
+        days.forEach(d => {
+            totalDuration += d.total;
+            totalQuality += d.quality;
+            napCount += d.napCount;
+            napHours += d.napHours;
 
             // Calculate sleep debt
-            const deficit = targetHours - e.duration;
+            const deficit = targetHours - d.total;
             if (deficit > 0) {
                 totalSleepDebt += deficit;
             }
 
             // Track best and worst nights
-            if (e.quality > bestNight.quality) bestNight = e;
-            if (e.quality < worstNight.quality) worstNight = e;
+            if (d.quality > bestNight.quality) bestNight = d;
+            if (d.quality < worstNight.quality) worstNight = d;
         });
 
-        const avgDuration = (totalDuration / totalEntries).toFixed(1);
-        const avgQuality = (totalQuality / totalEntries).toFixed(1);
+        const avgDuration = (totalDuration / totalDays).toFixed(1);
+        const avgQuality = (totalQuality / totalDays).toFixed(1);
 
         // Last 7 days
         const sevenDaysAgo = new Date();
         sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-        const recentEntries = entries.filter(e => new Date(e.timestamp) > sevenDaysAgo);
-        const avgRecentDuration = recentEntries.length > 0
-            ? (recentEntries.reduce((sum, e) => sum + e.duration, 0) / recentEntries.length).toFixed(1)
+        const recentDays = this.getSleepDays(this.data.sleepEntries.filter(e => new Date(e.timestamp) > sevenDaysAgo));
+        const avgRecentDuration = recentDays.length > 0
+            ? (recentDays.reduce((sum, d) => sum + d.total, 0) / recentDays.length).toFixed(1)
             : 'N/A';
 
         console.log('\n📊 Sleep Statistics');
         console.log('═'.repeat(60));
-        console.log(`\nTotal Nights Tracked: ${totalEntries}`);
+        console.log(`\nTotal Nights Tracked: ${totalDays}`);
         console.log('\n⏰ Duration:');
         console.log(`   Average: ${avgDuration} hours`);
         console.log(`   Last 7 Days: ${avgRecentDuration} hours`);
         console.log('   Target: 7-9 hours');
+        if (napCount > 0) {
+            console.log(`   Includes ${napCount} nap${napCount === 1 ? '' : 's'} (${napHours.toFixed(1)} hours)`);
+        }
+        console.log(`   Sleep days start at ${this.getSleepDayStart()}`);
 
         console.log('\n💤 Quality:');
         console.log(`   Average: ${avgQuality}/10`);
 
         console.log(`\n📈 Best Night: ${bestNight.date}`);
-        console.log(`   Quality: ${bestNight.quality}/10, Duration: ${bestNight.duration}h`);
+        console.log(`   Quality: ${bestNight.quality}/10, Duration: ${bestNight.total}h`);
 
         console.log(`\n📉 Most Restless Night: ${worstNight.date}`);
-        console.log(`   Quality: ${worstNight.quality}/10, Duration: ${worstNight.duration}h`);
+        console.log(`   Quality: ${worstNight.quality}/10, Duration: ${worstNight.total}h`);
 
         console.log('\n😴 Sleep Debt:');
         console.log(`   Total accumulated: ${totalSleepDebt.toFixed(1)} hours`);
@@ -221,19 +622,20 @@ class SleepTracker {
     }
 
     analyzeConsistency() {
-        if (this.data.sleepEntries.length < 3) {
+        // One bedtime per sleep day: the start of its first non-nap session
+        const sessions = this.sessions();
+        const bedtimeMinutes = this.getSleepDays()
+            .map(d => d.sessions.find(e => e.type !== 'nap'))
+            .filter(Boolean)
+            .map(e => sessions.bedtimeOffset(e))
+            .filter(minutes => minutes !== null);
+
+        if (bedtimeMinutes.length < 3) {
             return;
         }
 
-        const entries = this.data.sleepEntries;
-
-        // Convert bedtimes to minutes for consistency calculation
-        const bedtimeMinutes = entries.map(e => {
-            const [hour, min] = e.bedtime.split(':').map(Number);
-            return hour * 60 + min;
-        });
-
-        // Calculate standard deviation
+        // Minutes are counted from the sleep day boundary, so bedtimes either
+        // side of midnight compare correctly
         const mean = bedtimeMinutes.reduce((sum, val) => sum + val, 0) / bedtimeMinutes.length;
         const variance = bedtimeMinutes.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / bedtimeMinutes.length;
         const stdDev = Math.sqrt(variance);
@@ -273,7 +675,8 @@ class SleepTracker {
         }
 
         recentEntries.forEach((entry, index) => {
-            console.log(`\n${index + 1}. ${entry.date}`);
+            const type = entry.type && entry.type !== 'main' ? `  (${entry.type})` : '';
+            console.log(`\n${index + 1}. ${entry.date}  [id ${entry.id}]${type}`);
             console.log(`   🛏️  ${entry.bedtime} → 🌅 ${entry.wakeTime} (${entry.duration}h)`);
             console.log(`   Quality: ${this.getQualityEmoji(entry.quality)} ${entry.quality}/10`);
             if (entry.notes) {
@@ -284,6 +687,36 @@ class SleepTracker {
         console.log('\n═'.repeat(60));
     }
 
+    /**
+     * Print total sleep per sleep day for the last `days` days
+     * @returns {Array} The sleep days shown
+     */
+    showSleepDays(days = 7) {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - days);
+        const cutoffKey = SleepSessions.toDateKey(cutoff);
+        const recent = this.getSleepDays().filter(d => d.date && d.date > cutoffKey).reverse();
+
+        console.log(`\n🌙 Sleep Days (Last ${days} Days, starting ${this.getSleepDayStart()})`);
+        console.log('═'.repeat(60));
+
+        if (recent.length === 0) {
+            console.log(`No sleep data in the last ${days} days.`);
+            return recent;
+        }
+
+        recent.forEach(day => {
+            const naps = day.napCount > 0 ? `, ${day.napCount} nap${day.napCount === 1 ? '' : 's'} (${day.napHours}h)` : '';
+            console.log(`\n${day.date}: ${day.total}h total${naps}  ${this.getQualityEmoji(day.quality)} ${day.quality}/10`);
+            day.sessions.forEach(entry => {
+                console.log(`   ${entry.type || 'main'}: ${entry.bedtime} → ${entry.wakeTime} (${entry.duration}h)`);
+            });
+        });
+
+        console.log('\n═'.repeat(60));
+        return recent;
+    }
+
     getQualityEmoji(quality) {
         if (quality >= 8) return '😊';
         if (quality >= 6) return '🙂';
@@ -292,7 +725,7 @@ class SleepTracker {
     }
 
     getInsights() {
-        if (this.data.sleepEntries.length < 5) {
+        if (this.getSleepDays().length < 5) {
             console.log('\n🔍 Sleep Insights');
             console.log('═'.repeat(60));
             console.log('\n📊 Not enough data yet for meaningful insights.');
@@ -313,25 +746,25 @@ class SleepTracker {
     }
 
     analyzeDurationPatterns() {
-        const entries = this.data.sleepEntries;
+        const days = this.getSleepDays();
 
         // PERFORMANCE: Single-pass duration categorization (3 iterations → 1)
         let shortSleep = 0;
         let optimalSleep = 0;
         let longSleep = 0;
 
-        entries.forEach(e => {
-            if (e.duration < 6) {
+        days.forEach(d => {
+            if (d.total < 6) {
                 shortSleep++;
-            } else if (e.duration >= 7 && e.duration <= 9) {
+            } else if (d.total >= 7 && d.total <= 9) {
                 optimalSleep++;
-            } else if (e.duration > 9) {
+            } else if (d.total > 9) {
                 longSleep++;
             }
         });
 
         console.log('\n⏰ Sleep Duration Patterns:');
-        const total = entries.length;
+        const total = days.length;
         console.log(`   Short (<6h): ${shortSleep} nights (${((shortSleep/total)*100).toFixed(0)}%)`);
         console.log(`   Optimal (7-9h): ${optimalSleep} nights (${((optimalSleep/total)*100).toFixed(0)}%)`);
         console.log(`   Long (>9h): ${longSleep} nights (${((longSleep/total)*100).toFixed(0)}%)`);
@@ -344,7 +777,7 @@ class SleepTracker {
     }
 
     analyzeQualityPatterns() {
-        const entries = this.data.sleepEntries;
+        const entries = this.getSleepDays().map(d => ({ duration: d.total, quality: d.quality }));
 
         // Correlation between duration and quality
         let correlation = 0;
@@ -392,17 +825,20 @@ class SleepTracker {
     }
 
     analyzeWeekdayPatterns() {
-        if (this.data.sleepEntries.length < 7) {
+        const days = this.getSleepDays();
+        if (days.length < 7) {
             return;
         }
 
         const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
         const dayData = Array(7).fill(null).map(() => ({ durations: [], qualities: [] }));
 
-        this.data.sleepEntries.forEach(entry => {
-            const day = new Date(entry.timestamp).getDay();
-            dayData[day].durations.push(entry.duration);
-            dayData[day].qualities.push(entry.quality);
+        days.forEach(sleepDay => {
+            // Sleep days are named after the morning they end on
+            const day = sleepDay.date ? new Date(`${sleepDay.date}T12:00:00`).getDay() : new Date(sleepDay.timestamp).getDay();
+            if (isNaN(day)) return;
+            dayData[day].durations.push(sleepDay.total);
+            dayData[day].qualities.push(sleepDay.quality);
         });
 
         // Find best and worst days
@@ -443,6 +879,14 @@ class SleepTracker {
     }
 }
 
+SleepTracker.ENTRY_RULES = {
+    bedtime: { type: 'time', required: true },
+    wakeTime: { type: 'time', required: true },
+    quality: { type: 'integer', min: 1, max: 10, required: true },
+    notes: { type: 'string', max: 1000, default: '' },
+    type: { type: 'enum', values: SleepSessions.TYPES }
+};
+
 // CLI Interface
 if (require.main === module) {
     const args = process.argv.slice(2);
@@ -451,12 +895,98 @@ if (require.main === module) {
 
     switch (command) {
         case 'log':
-        case 'log-sleep':
-            const bedtime = args[1];
-            const wakeTime = args[2];
-            const quality = args[3];
-            const notes = args.slice(4).join(' ');
-            tracker.logSleep(bedtime, wakeTime, quality, notes);
+        case 'log-sleep': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            const [bedtime, wakeTime, quality, ...noteWords] = positional;
+            tracker.logSleep(bedtime, wakeTime, quality, noteWords.join(' '), { date: flags.date, at: flags.at, type: flags.type });
+            break;
+        }
+
+        case 'session': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            if (positional.length < 3) {
+                console.log('❌ Usage: session "<YYYY-MM-DD HH:MM>" "<YYYY-MM-DD HH:MM>" <quality> [notes] [--type main|nap|split]');
+                break;
+            }
+            const [start, end, quality, ...noteWords] = positional;
+            tracker.logSession(start, end, quality, { type: flags.type, notes: noteWords.join(' ') });
+            break;
+        }
+
+        case 'day-start':
+            if (args[1]) {
+                tracker.setSleepDayStart(args[1]);
+            } else {
+                console.log(`\n🕕 Sleep days start at ${tracker.getSleepDayStart()}`);
+            }
+            break;
+
+        case 'target':
+            if (args[1]) {
+                tracker.setTargetHours(args[1]);
+            } else {
+                console.log(`\n🎯 Sleep target: ${tracker.getTargetHours()} hours a night`);
+            }
+            break;
+
+        case 'debt':
+            tracker.showSleepDebt(ValidationUtils.parseInteger(args[1], {
+                min: 1,
+                max: 90,
+                default: 14,
+                fieldName: 'days'
+            }));
+            break;
+
+        case 'chronotype':
+        case 'jetlag':
+            tracker.showChronotype();
+            break;
+
+        case 'plan':
+            tracker.showBedtimePlan(ValidationUtils.parseInteger(args[1], {
+                min: 1,
+                max: 28,
+                default: 7,
+                fieldName: 'nights'
+            }));
+            break;
+
+        case 'days': {
+            const count = ValidationUtils.parseInteger(args[1], {
+                min: 1,
+                max: 365,
+                default: 7,
+                fieldName: 'days'
+            });
+            tracker.showSleepDays(count);
+            break;
+        }
+
+        case 'edit': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            if (positional.length < 1) {
+                console.log('❌ Usage: edit <id> [--bedtime HH:MM] [--wake-time HH:MM] [--quality N] [--notes text] [--type T] [--date YYYY-MM-DD]');
+                break;
+            }
+            tracker.editEntry(positional[0], flags);
+            break;
+        }
+
+        case 'delete':
+            if (!args[1]) {
+                console.log('❌ Usage: delete <id>');
+                break;
+            }
+            tracker.deleteEntry(args[1]);
+            break;
+
+        case 'undo':
+            tracker.undoLastChange();
+            break;
+
+        case 'changes':
+            tracker.showChanges();
             break;
 
         case 'stats':
@@ -489,6 +1019,42 @@ if (require.main === module) {
             console.log('      Example: node sleep-tracker.js log 22:30 06:30 8 "Felt great"');
             console.log('      - Bedtime & wake time in HH:MM format (24-hour)');
             console.log('      - Quality: 1-10 (1=terrible, 10=perfect)');
+            console.log('      - Backdate with --date YYYY-MM-DD (e.g. last night, logged the next day)');
+            console.log('      - --type main|nap|split (default: nap when shorter than 3 hours)');
+            console.log('');
+            console.log('  session "<start>" "<end>" <quality> [notes] [--type main|nap|split]');
+            console.log('      Log sleep with full dates, e.g. after a night shift');
+            console.log('      Example: node sleep-tracker.js session "2024-03-04 09:00" "2024-03-04 16:30" 6');
+            console.log('');
+            console.log('  days [n]');
+            console.log('      Total sleep per sleep day, naps and split sleep included (default: 7)');
+            console.log('');
+            console.log('  day-start [HH:MM]');
+            console.log(`      Show or set when a sleep day begins (default: ${SleepSessions.DEFAULT_DAY_START})`);
+            console.log('');
+            console.log('  target [hours]');
+            console.log('      Show or set your nightly sleep target (default: 8)');
+            console.log('');
+            console.log('  debt [days]');
+            console.log('      Rolling sleep debt against your target (default: last 14 days)');
+            console.log('');
+            console.log('  chronotype / jetlag');
+            console.log('      Estimate your chronotype and weekday vs weekend social jetlag');
+            console.log('');
+            console.log('  plan [nights]');
+            console.log('      Suggested bedtimes to pay back sleep debt (default: 7 nights)');
+            console.log('');
+            console.log('  edit <id> [--bedtime HH:MM] [--wake-time HH:MM] [--quality N] [--notes text] [--type T] [--date YYYY-MM-DD]');
+            console.log('      Fix a logged night (ids are shown in history)');
+            console.log('');
+            console.log('  delete <id>');
+            console.log('      Delete a logged night');
+            console.log('');
+            console.log('  undo');
+            console.log(`      Revert the last edit or delete (within ${EntryEditor.UNDO_WINDOW_MINUTES} minutes)`);
+            console.log('');
+            console.log('  changes');
+            console.log('      Show the record of edits and deletions');
             console.log('');
             console.log('  stats / statistics');
             console.log('      View sleep statistics and insights');
@@ -1,11 +1,17 @@
 /**
- * Audit Logger - Stub for Testing
- * Logs actions for audit trail
+ * Audit Logger - In-memory store for testing
+ * Logs actions for audit trail. Pass `auditLog` (see audit-log.js) to also
+ * append each entry to the persistent hash-chained log.
  */
 
 class AuditLogger {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object} options.auditLog - Persistent AuditLog to forward entries to
+     */
+    constructor(options = {}) {
         this.logs = [];
+        this.auditLog = options.auditLog || null;
     }
 
     /**
@@ -13,10 +19,14 @@ class AuditLogger {
      * @param {Object} entry - Log entry
      */
     log(entry) {
-        this.logs.push({
-            ...entry,
-            timestamp: entry.timestamp || new Date().toISOString()
-        });
+        const { action, userId, source, ...details } = entry;
+        const timestamp = entry.timestamp || new Date().toISOString();
+        this.logs.push({ ...entry, timestamp });
+
+        if (this.auditLog) {
+            delete details.timestamp;
+            this.auditLog.append({ timestamp, source: source || 'audit-logger', action, userId, details });
+        }
     }
 
     /**
@@ -0,0 +1,638 @@
+const ValidationUtils = require('./validation-utils');
+const StorageManager = require('./storage-manager');
+const EntryEditor = require('./entry-editor');
+
+/**
+ * Step Tracker Module
+ * Step counts with daily totals, hourly buckets, a daily goal, streaks and trends
+ *
+ * Each entry is a count of steps for one hour of a day, or for a whole day
+ * when the hour is not known (daily totals from a wearable, or a count
+ * backdated with --date only):
+ *   { id, date: 'YYYY-MM-DD', hour: 0-23 | null, time?: 'HH:MM', steps, source, timestamp }
+ * A day's total is the sum of its entries. CSV exports are imported through
+ * WearableImporter with a "steps" profile (see `import`).
+ */
+
+const DEFAULT_DAILY_GOAL = 10000;
+// Change between the last week and the week before that counts as a trend
+const TREND_THRESHOLD = 0.1;
+
+function addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+class StepTracker {
+    constructor(dataFile = StorageManager.resolveDataPath('steps-data.json'), storage = StorageManager.getDefault()) {
+        this.dataFile = dataFile;
+        this.storage = storage;
+        this.data = this.loadData();
+        this.idCounter = Date.now();
+        this.editor = new EntryEditor(this, {
+            collection: 'stepEntries',
+            label: 'Step entry',
+            rules: StepTracker.ENTRY_RULES,
+            afterUpdate: entry => this.refreshHour(entry)
+        });
+    }
+
+    generateId() {
+        return ++this.idCounter;
+    }
+
+    loadData() {
+        try {
+            const stored = this.storage.load(this.dataFile, 'steps');
+            if (stored) {
+                return stored;
+            }
+        } catch (error) {
+            console.error('Error loading step data:', error.message);
+        }
+        return {
+            stepEntries: [],
+            settings: { dailyGoal: DEFAULT_DAILY_GOAL }
+        };
+    }
+
+    saveData() {
+        try {
+            this.storage.save(this.dataFile, this.data, 'steps');
+            return true;
+        } catch (error) {
+            console.error('Error saving step data:', error.message);
+            return false;
+        }
+    }
+
+    entries() {
+        if (!Array.isArray(this.data.stepEntries)) {
+            this.data.stepEntries = [];
+        }
+        return this.data.stepEntries;
+    }
+
+    getDailyGoal() {
+        return (this.data.settings && this.data.settings.dailyGoal) || DEFAULT_DAILY_GOAL;
+    }
+
+    setDailyGoal(steps) {
+        const goal = ValidationUtils.parseInteger(steps, { min: 100, max: 100000, fieldName: 'daily step goal' });
+        if (goal === null) {
+            return false;
+        }
+        const previous = this.data.settings;
+        this.data.settings = { ...(previous || {}), dailyGoal: goal };
+        if (!this.saveData()) {
+            this.data.settings = previous;
+            return false;
+        }
+        console.log(`\n🎯 Daily step goal set to ${goal.toLocaleString()} steps`);
+        return true;
+    }
+
+    /**
+     * Log a step count
+     * @param {Object} options - { date: 'YYYY-MM-DD', at: 'HH:MM' } to backdate (default: now);
+     *   a date without a time logs a whole-day count. source: where the count came from
+     */
+    logSteps(steps, options = {}) {
+        const { min, max } = StepTracker.ENTRY_RULES.steps;
+        const count = ValidationUtils.parseInteger(steps, { min, max, fieldName: 'steps' });
+        if (count === null) {
+            console.log('💡 Example: node step-tracker.js log 2500 --at 14:30\n');
+            return false;
+        }
+
+        const logged = EntryEditor.resolveWhen(options);
+        if (!logged.isValid) {
+            logged.errors.forEach(error => console.error(`❌ ${error}`));
+            return false;
+        }
+
+        const hourKnown = !logged.backdated || Boolean(options.at);
+        const entry = {
+            id: this.generateId(),
+            date: logged.date,
+            hour: hourKnown ? new Date(logged.timestamp).getHours() : null,
+            steps: count,
+            source: options.source || 'manual',
+            timestamp: logged.timestamp
+        };
+        if (logged.backdated) {
+            entry.loggedAt = new Date().toISOString();
+        }
+
+        this.entries().push(entry);
+        if (!this.saveData()) {
+            this.entries().pop();
+            return false;
+        }
+
+        const total = this.getDailyTotal(entry.date);
+        const goal = this.getDailyGoal();
+        console.log('\n✅ Steps logged successfully!');
+        console.log(`👟 ${count.toLocaleString()} steps${entry.hour !== null ? ` (${StepTracker.formatHour(entry.hour)})` : ' (whole day)'}`);
+        console.log(`📅 ${entry.date}: ${total.toLocaleString()} / ${goal.toLocaleString()} steps`);
+        if (total >= goal && total - count < goal) {
+            console.log('🎯 Daily step goal reached!');
+        }
+        return true;
+    }
+
+    /**
+     * Validate a step count and build it without saving (used by importers)
+     * @param {Object} input - { date, time: 'HH:MM', steps, source }
+     * @returns {Object} { isValid, errors, entry }
+     */
+    buildEntry(input) {
+        const validation = ValidationUtils.validateFields(input, {
+            date: { type: 'date', required: true },
+            time: { type: 'time' },
+            ...StepTracker.ENTRY_RULES
+        });
+        if (!validation.isValid) {
+            return { isValid: false, errors: validation.errors, entry: null };
+        }
+
+        const { date, time, steps } = validation.values;
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = time ? time.split(':').map(Number) : [12, 0];
+        const entry = {
+            id: this.generateId(),
+            date,
+            hour: time ? hours : null,
+            steps,
+            source: input.source || 'import',
+            timestamp: new Date(year, month - 1, day, hours, minutes).toISOString()
+        };
+        if (time) {
+            entry.time = time;
+        }
+        return { isValid: true, errors: [], entry };
+    }
+
+    /**
+     * An imported count is already present when the same day, time and count exist
+     */
+    isDuplicate(entry) {
+        return this.entries().some(existing =>
+            existing.date === entry.date &&
+            (existing.time || null) === (entry.time || null) &&
+            existing.hour === entry.hour &&
+            existing.steps === entry.steps);
+    }
+
+    /**
+     * Keep the hour bucket in step with the timestamp after an edit moves it
+     */
+    refreshHour(entry) {
+        if (entry.hour === null || entry.hour === undefined) {
+            return;
+        }
+        const moment = new Date(entry.timestamp);
+        entry.hour = moment.getHours();
+        if (entry.time) {
+            entry.time = `${String(moment.getHours()).padStart(2, '0')}:${String(moment.getMinutes()).padStart(2, '0')}`;
+        }
+    }
+
+    /**
+     * Change the count or day of a logged entry
+     * @returns {Object|null} Updated entry
+     */
+    editEntry(id, changes) {
+        return this.editor.report(this.editor.edit(id, changes), 'updated');
+    }
+
+    deleteEntry(id) {
+        return this.editor.report(this.editor.remove(id), 'deleted');
+    }
+
+    /**
+     * Revert the last edit or delete (within EntryEditor.UNDO_WINDOW_MINUTES)
+     */
+    undoLastChange() {
+        return this.editor.report(this.editor.undo(), 'restored');
+    }
+
+    showChanges(limit = 20) {
+        return this.editor.printHistory(limit);
+    }
+
+    getDailyTotal(date) {
+        return this.entries()
+            .filter(entry => entry.date === date)
+            .reduce((sum, entry) => sum + entry.steps, 0);
+    }
+
+    getTodaySteps(now = new Date()) {
+        return this.getDailyTotal(EntryEditor.localDateKey(now));
+    }
+
+    /**
+     * Totals for every day with steps
+     * @returns {Array} [{ date, steps }] oldest first
+     */
+    getAllDailyTotals() {
+        const byDate = new Map();
+        this.entries().forEach(entry => {
+            byDate.set(entry.date, (byDate.get(entry.date) || 0) + entry.steps);
+        });
+        return [...byDate.entries()]
+            .map(([date, steps]) => ({ date, steps }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Totals for the `days` days ending today, days without steps included
+     * @returns {Array} [{ date, steps, logged, goalMet }] oldest first
+     */
+    getDailyTotals(days = 7, now = new Date()) {
+        const today = EntryEditor.localDateKey(now);
+        const goal = this.getDailyGoal();
+        const totals = new Map(this.getAllDailyTotals().map(day => [day.date, day.steps]));
+
+        return Array.from({ length: days }, (_, i) => {
+            const date = addDays(today, i - (days - 1));
+            const steps = totals.get(date) || 0;
+            return { date, steps, logged: totals.has(date), goalMet: steps >= goal };
+        });
+    }
+
+    /**
+     * Steps per hour of one day
+     * @returns {Object} { date, total, hours: [24 counts], unassigned, peakHour }
+     */
+    getHourlyBreakdown(date) {
+        const hours = new Array(24).fill(0);
+        let unassigned = 0;
+        this.entries().filter(entry => entry.date === date).forEach(entry => {
+            if (entry.hour === null || entry.hour === undefined) {
+                unassigned += entry.steps;
+            } else {
+                hours[entry.hour] += entry.steps;
+            }
+        });
+
+        const peak = Math.max(...hours);
+        return {
+            date,
+            total: hours.reduce((sum, steps) => sum + steps, 0) + unassigned,
+            hours,
+            unassigned,
+            peakHour: peak > 0 ? hours.indexOf(peak) : null
+        };
+    }
+
+    /**
+     * Consecutive days meeting the daily goal, ending today, or yesterday
+     * while today is still under way
+     */
+    getStreak(now = new Date()) {
+        const goal = this.getDailyGoal();
+        let date = EntryEditor.localDateKey(now);
+        if (this.getDailyTotal(date) < goal) {
+            date = addDays(date, -1);
+        }
+
+        let streak = 0;
+        while (this.getDailyTotal(date) >= goal) {
+            streak++;
+            date = addDays(date, -1);
+        }
+        return streak;
+    }
+
+    getLongestStreak() {
+        const goal = this.getDailyGoal();
+        let longest = 0;
+        let current = 0;
+        let previous = null;
+        this.getAllDailyTotals().forEach(({ date, steps }) => {
+            if (steps < goal) {
+                current = 0;
+            } else {
+                current = previous && addDays(previous, 1) === date && current > 0 ? current + 1 : 1;
+                longest = Math.max(longest, current);
+            }
+            previous = date;
+        });
+        return longest;
+    }
+
+    /**
+     * Average daily steps over the last week against the week before
+     * @returns {Object|null} { recent, previous, change, direction: 'up'|'down'|'steady' }
+     */
+    getTrend(now = new Date()) {
+        const days = this.getDailyTotals(14, now);
+        const average = week => {
+            const logged = week.filter(day => day.logged);
+            return logged.length > 0 ? Math.round(logged.reduce((sum, day) => sum + day.steps, 0) / logged.length) : null;
+        };
+        const previous = average(days.slice(0, 7));
+        const recent = average(days.slice(7));
+        if (recent === null || previous === null || previous === 0) {
+            return null;
+        }
+
+        const change = Math.round((recent - previous) / previous * 100) / 100;
+        const direction = change >= TREND_THRESHOLD ? 'up' : change <= -TREND_THRESHOLD ? 'down' : 'steady';
+        return { recent, previous, change, direction };
+    }
+
+    static formatHour(hour) {
+        return `${String(hour).padStart(2, '0')}:00`;
+    }
+
+    getHistory(days = 7, now = new Date()) {
+        if (this.entries().length === 0) {
+            console.log('\n📭 No step data yet. Log steps or import them from your wearable!');
+            return;
+        }
+
+        const goal = this.getDailyGoal();
+        const totals = this.getDailyTotals(days, now).filter(day => day.logged).reverse();
+        if (totals.length === 0) {
+            console.log(`\n📭 No steps logged in the last ${days} days.`);
+            return;
+        }
+
+        console.log(`\n👟 Step History (Last ${days} Days)`);
+        console.log('─'.repeat(60));
+        totals.forEach(({ date, steps, goalMet }) => {
+            const filled = Math.min(20, Math.round(steps / goal * 20));
+            const bar = '█'.repeat(filled) + '░'.repeat(20 - filled);
+            console.log(`📅 ${date}  ${bar} ${steps.toLocaleString().padStart(7)}${goalMet ? ' 🎯' : ''}`);
+        });
+    }
+
+    showDay(date = EntryEditor.localDateKey(new Date())) {
+        const breakdown = this.getHourlyBreakdown(date);
+        if (breakdown.total === 0) {
+            console.log(`\n📭 No steps logged for ${date}.`);
+            return breakdown;
+        }
+
+        const goal = this.getDailyGoal();
+        const peak = Math.max(...breakdown.hours);
+        const dayEntries = this.entries().filter(entry => entry.date === date);
+        const ids = hour => dayEntries.filter(entry => entry.hour === hour).map(entry => entry.id).join(', ');
+
+        console.log(`\n👟 Steps on ${date}: ${breakdown.total.toLocaleString()} / ${goal.toLocaleString()}`);
+        console.log('─'.repeat(60));
+        breakdown.hours.forEach((steps, hour) => {
+            if (steps > 0) {
+                const bar = '█'.repeat(Math.max(1, Math.round(steps / peak * 30)));
+                console.log(`   ${StepTracker.formatHour(hour)}  ${bar} ${steps.toLocaleString()}  [id ${ids(hour)}]`);
+            }
+        });
+        if (breakdown.unassigned > 0) {
+            const wholeDay = dayEntries.filter(entry => entry.hour === null || entry.hour === undefined);
+            console.log(`   Whole day: ${breakdown.unassigned.toLocaleString()}  [id ${wholeDay.map(entry => entry.id).join(', ')}]`);
+        }
+        if (breakdown.peakHour !== null) {
+            console.log(`\n⏰ Most active hour: ${StepTracker.formatHour(breakdown.peakHour)}`);
+        }
+        return breakdown;
+    }
+
+    /**
+     * Step statistics for the last `days` days
+     * @returns {Object|null} { days, totalSteps, avgSteps, daysLogged, daysMetGoal, best, goal,
+     *   streak, longestStreak, trend, peakHour }
+     */
+    getStats(days = 30, now = new Date()) {
+        if (this.entries().length === 0) {
+            console.log('\n📭 No step data yet.');
+            return null;
+        }
+
+        const totals = this.getDailyTotals(days, now);
+        const logged = totals.filter(day => day.logged);
+        if (logged.length === 0) {
+            console.log(`\n📭 No steps logged in the last ${days} days.`);
+            return null;
+        }
+
+        const startDate = totals[0].date;
+        const hours = new Array(24).fill(0);
+        this.entries()
+            .filter(entry => entry.date >= startDate && entry.hour !== null && entry.hour !== undefined)
+            .forEach(entry => { hours[entry.hour] += entry.steps; });
+        const peak = Math.max(...hours);
+
+        const totalSteps = logged.reduce((sum, day) => sum + day.steps, 0);
+        const best = logged.reduce((top, day) => (day.steps > top.steps ? day : top));
+        const stats = {
+            days,
+            totalSteps,
+            avgSteps: Math.round(totalSteps / logged.length),
+            daysLogged: logged.length,
+            daysMetGoal: logged.filter(day => day.goalMet).length,
+            best: { date: best.date, steps: best.steps },
+            goal: this.getDailyGoal(),
+            streak: this.getStreak(now),
+            longestStreak: this.getLongestStreak(),
+            trend: this.getTrend(now),
+            peakHour: peak > 0 ? hours.indexOf(peak) : null
+        };
+
+        console.log(`\n📈 Step Statistics (Last ${days} Days)`);
+        console.log('═'.repeat(60));
+        console.log(`\n👟 Total: ${totalSteps.toLocaleString()} steps over ${stats.daysLogged} day${stats.daysLogged === 1 ? '' : 's'}`);
+        console.log(`📊 Average: ${stats.avgSteps.toLocaleString()} steps/day`);
+        console.log(`🏆 Best day: ${best.date} (${best.steps.toLocaleString()} steps)`);
+        console.log(`🎯 Goal (${stats.goal.toLocaleString()}) met on ${stats.daysMetGoal} of ${stats.daysLogged} days`);
+        console.log(`🔥 Streak: ${stats.streak} day${stats.streak === 1 ? '' : 's'} (longest ${stats.longestStreak})`);
+        if (stats.trend) {
+            const arrow = { up: '📈', down: '📉', steady: '➡️' }[stats.trend.direction];
+            const change = `${stats.trend.change > 0 ? '+' : ''}${Math.round(stats.trend.change * 100)}%`;
+            console.log(`${arrow} Trend: ${stats.trend.recent.toLocaleString()}/day this week vs ${stats.trend.previous.toLocaleString()} the week before (${change})`);
+        }
+        if (stats.peakHour !== null) {
+            console.log(`⏰ Most active hour: ${StepTracker.formatHour(stats.peakHour)}`);
+        }
+        return stats;
+    }
+
+    getStepDataForDashboard(days = 7, now = new Date()) {
+        const totals = this.getDailyTotals(days, now);
+        const logged = totals.filter(day => day.logged);
+        const todaySteps = totals[totals.length - 1].steps;
+        const goal = this.getDailyGoal();
+
+        return {
+            todaySteps,
+            goal,
+            goalProgress: Math.min(100, Math.round(todaySteps / goal * 100)),
+            avgSteps: logged.length > 0 ? Math.round(logged.reduce((sum, day) => sum + day.steps, 0) / logged.length) : 0,
+            daysLogged: logged.length,
+            daysMetGoal: logged.filter(day => day.goalMet).length,
+            streak: this.getStreak(now),
+            trend: this.getTrend(now)
+        };
+    }
+}
+
+StepTracker.DEFAULT_DAILY_GOAL = DEFAULT_DAILY_GOAL;
+StepTracker.TREND_THRESHOLD = TREND_THRESHOLD;
+
+StepTracker.ENTRY_RULES = {
+    steps: { type: 'integer', min: 1, max: 100000, required: true }
+};
+
+// CLI Interface
+if (require.main === module) {
+    const tracker = new StepTracker();
+    const args = process.argv.slice(2);
+    const command = args[0];
+
+    switch (command) {
+        case 'log': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            tracker.logSteps(positional[0], { date: flags.date, at: flags.at });
+            break;
+        }
+
+        case 'import': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            if (!positional[0]) {
+                console.log('❌ Usage: import <file.csv> [--profile steps-csv|fitbit-steps|profile.json] [--dry-run]');
+                break;
+            }
+            const WearableImporter = require('./wearable-importer');
+            const importer = new WearableImporter({ steps: tracker });
+            try {
+                importer.printSummary(importer.importFile(positional[0], flags.profile || 'steps-csv', {
+                    dryRun: args.includes('--dry-run')
+                }));
+            } catch (error) {
+                console.error(`❌ Import failed: ${error.message}`);
+            }
+            break;
+        }
+
+        case 'today':
+            tracker.showDay();
+            break;
+
+        case 'day':
+            tracker.showDay(args[1]);
+            break;
+
+        case 'goal':
+            if (args[1]) {
+                tracker.setDailyGoal(args[1]);
+            } else {
+                console.log(`\n🎯 Daily step goal: ${tracker.getDailyGoal().toLocaleString()} steps`);
+            }
+            break;
+
+        case 'edit': {
+            const { positional, flags } = EntryEditor.parseArgs(args.slice(1));
+            if (positional.length < 1) {
+                console.log('❌ Usage: edit <id> [--steps count] [--date YYYY-MM-DD] [--at HH:MM]');
+                break;
+            }
+            tracker.editEntry(positional[0], flags);
+            break;
+        }
+
+        case 'delete':
+            if (!args[1]) {
+                console.log('❌ Usage: delete <id>');
+                break;
+            }
+            tracker.deleteEntry(args[1]);
+            break;
+
+        case 'undo':
+            tracker.undoLastChange();
+            break;
+
+        case 'changes':
+            tracker.showChanges();
+            break;
+
+        case 'history': {
+            const days = ValidationUtils.parseInteger(args[1], {
+                min: 1,
+                max: 365,
+                default: 7,
+                fieldName: 'days'
+            });
+            tracker.getHistory(days);
+            break;
+        }
+
+        case 'stats': {
+            const statsDays = ValidationUtils.parseInteger(args[1], {
+                min: 1,
+                max: 365,
+                default: 30,
+                fieldName: 'days'
+            });
+            tracker.getStats(statsDays);
+            break;
+        }
+
+        case 'help':
+        default:
+            console.log(`
+👟 Step Tracker - Track Your Daily Steps
+
+USAGE:
+  node step-tracker.js <command> [options]
+
+COMMANDS:
+  log <steps> [--date YYYY-MM-DD] [--at HH:MM]
+      Log steps for the current hour, or backdate them; a date without
+      --at logs a whole-day count
+      Example: node step-tracker.js log 2500 --at 14:30
+
+  import <file.csv> [--profile name|profile.json] [--dry-run]
+      Import step counts from a CSV export (default profile: steps-csv,
+      columns date, time, steps; fitbit-steps reads Fitbit's Date/Steps).
+      Counts already present are skipped
+      Example: node step-tracker.js import fitbit.csv --profile fitbit-steps
+
+  today
+      Today's steps by hour against the daily goal
+
+  day <YYYY-MM-DD>
+      Steps by hour for another day
+
+  goal [steps]
+      Show or set the daily step goal (default: ${DEFAULT_DAILY_GOAL.toLocaleString()})
+
+  edit <id> [--steps count] [--date YYYY-MM-DD] [--at HH:MM]
+      Fix a logged count (ids are shown by today and day)
+
+  delete <id>
+      Delete a logged count
+
+  undo
+      Revert the last edit or delete (within ${EntryEditor.UNDO_WINDOW_MINUTES} minutes)
+
+  changes
+      Show the record of edits and deletions
+
+  history [days]
+      Daily totals (default: 7 days)
+
+  stats [days]
+      Average, best day, goal days, streaks, trend and most active hour
+      (default: 30 days)
+
+  help
+      Show this help message
+            `);
+            break;
+    }
+}
+
+module.exports = StepTracker;
@@ -0,0 +1,448 @@
+const fs = require('fs');
+const path = require('path');
+const MigrationRegistry = require('./data-migrations');
+const DataEncryption = require('./data-encryption');
+
+/**
+ * Storage Manager Module
+ * Shared persistence layer used by every tracker, with pluggable backends
+ *
+ * Backends:
+ * - json:   one pretty-printed JSON document per file, written atomically
+ * - log:    append-only JSON-lines snapshot log, compacted periodically
+ * - sqlite: SQLite key/value store (node:sqlite or better-sqlite3)
+ *
+ * Configuration (environment):
+ * - STEPSYNC_DATA_DIR: directory that holds every tracker data file
+ * - STEPSYNC_STORAGE:  backend name (json, log or sqlite; default json)
+ * - STEPSYNC_PASSPHRASE: encrypt every document at rest (see data-encryption.js)
+ *
+ * Documents loaded with a schema name are upgraded through the migration
+ * registry (see data-migrations.js); the pre-upgrade copy is kept as
+ * <file>.v<oldVersion>.bak before the upgraded document is written.
+ */
+
+/**
+ * Write a file atomically: write a sibling temp file, then rename over the target
+ * @param {string} file - Destination path
+ * @param {string} contents - File contents
+ */
+function writeFileAtomic(file, contents) {
+    const dir = path.dirname(file);
+    if (dir && dir !== '.' && !fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempFile = `${file}.${process.pid}.tmp`;
+    try {
+        fs.writeFileSync(tempFile, contents, 'utf8');
+        fs.renameSync(tempFile, file);
+    } catch (error) {
+        try {
+            if (fs.existsSync(tempFile)) {
+                fs.unlinkSync(tempFile);
+            }
+        } catch (_cleanupError) {
+            // Best effort - the original error is more useful
+        }
+        throw error;
+    }
+}
+
+/**
+ * Plain JSON file backend (the historical on-disk format)
+ */
+class JsonFileBackend {
+    constructor() {
+        this.name = 'json';
+    }
+
+    exists(file) {
+        return fs.existsSync(file);
+    }
+
+    /**
+     * @returns {Object|Array|null} Parsed document, or null if the file does not exist
+     */
+    read(file) {
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    write(file, data) {
+        writeFileAtomic(file, JSON.stringify(data, null, 2));
+    }
+}
+
+/**
+ * Append-only log backend
+ * Every save appends one JSON line ({ timestamp, data }); the last complete
+ * line is the current state, so a torn write never loses the previous one.
+ */
+class AppendLogBackend {
+    constructor(options = {}) {
+        this.name = 'log';
+        this.extension = options.extension || '.log';
+        this.maxEntries = options.maxEntries || 50;
+    }
+
+    logPath(file) {
+        return file.endsWith(this.extension) ? file : file + this.extension;
+    }
+
+    exists(file) {
+        return fs.existsSync(this.logPath(file));
+    }
+
+    readLines(logFile) {
+        return fs.readFileSync(logFile, 'utf8')
+            .split('\n')
+            .filter(line => line.trim() !== '');
+    }
+
+    read(file) {
+        const logFile = this.logPath(file);
+        if (!fs.existsSync(logFile)) {
+            return null;
+        }
+
+        const lines = this.readLines(logFile);
+        // Walk backwards past any partially written trailing line
+        for (let i = lines.length - 1; i >= 0; i--) {
+            try {
+                return JSON.parse(lines[i]).data;
+            } catch (_error) {
+                continue;
+            }
+        }
+        return null;
+    }
+
+    write(file, data) {
+        const logFile = this.logPath(file);
+        const line = JSON.stringify({ timestamp: new Date().toISOString(), data }) + '\n';
+
+        if (!fs.existsSync(logFile)) {
+            writeFileAtomic(logFile, line);
+            return;
+        }
+
+        fs.appendFileSync(logFile, line, 'utf8');
+
+        if (this.readLines(logFile).length > this.maxEntries) {
+            this.compact(file);
+        }
+    }
+
+    /**
+     * Rewrite the log so it only holds the latest snapshot
+     */
+    compact(file) {
+        const data = this.read(file);
+        if (data === null) {
+            return;
+        }
+        writeFileAtomic(this.logPath(file), JSON.stringify({ timestamp: new Date().toISOString(), data }) + '\n');
+    }
+}
+
+/**
+ * SQLite-compatible embedded store
+ * Documents are rows in a single `documents` table keyed by file path.
+ * Uses the built-in node:sqlite module when present, else better-sqlite3.
+ */
+class SqliteBackend {
+    constructor(options = {}) {
+        this.name = 'sqlite';
+        this.databaseFile = options.databaseFile || 'stepsync.db';
+        this.db = null;
+    }
+
+    static loadDriver() {
+        try {
+            const { DatabaseSync } = require('node:sqlite');
+            return (file) => new DatabaseSync(file);
+        } catch (_error) {
+            // Fall through to the npm driver
+        }
+        try {
+            const Database = require('better-sqlite3');
+            return (file) => new Database(file);
+        } catch (_error) {
+            throw new Error('SQLite storage requires Node.js 22.5+ (node:sqlite) or the better-sqlite3 package');
+        }
+    }
+
+    open() {
+        if (!this.db) {
+            const openDatabase = SqliteBackend.loadDriver();
+            this.db = openDatabase(this.databaseFile);
+            this.db.exec(
+                'CREATE TABLE IF NOT EXISTS documents (' +
+                'name TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at TEXT NOT NULL)'
+            );
+        }
+        return this.db;
+    }
+
+    exists(file) {
+        return this.read(file) !== null;
+    }
+
+    read(file) {
+        const row = this.open()
+            .prepare('SELECT data FROM documents WHERE name = ?')
+            .get(file);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    write(file, data) {
+        this.open()
+            .prepare(
+                'INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?) ' +
+                'ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at'
+            )
+            .run(file, JSON.stringify(data), new Date().toISOString());
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+const BACKENDS = {
+    json: JsonFileBackend,
+    log: AppendLogBackend,
+    sqlite: SqliteBackend
+};
+
+class StorageManager {
+    /**
+     * @param {Object} options - Storage options
+     * @param {string|Object} options.backend - Backend name or backend instance (default: json)
+     * @param {string} options.dataDir - Directory used for the SQLite database file
+     * @param {MigrationRegistry} options.migrations - Schema registry (default: built-in schemas)
+     * @param {DataEncryption} options.encryption - Encrypts documents at rest (default: none)
+     */
+    constructor(options = {}) {
+        const backend = options.backend || 'json';
+        this.dataDir = options.dataDir || null;
+        this.migrations = options.migrations || MigrationRegistry.getDefault();
+        this.encryption = options.encryption || null;
+        this.lockedFiles = new Set(); // encrypted files that failed to unlock; never overwritten
+
+        if (typeof backend === 'string') {
+            const Backend = BACKENDS[backend];
+            if (!Backend) {
+                throw new Error(`Unknown storage backend "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+            }
+            this.backend = new Backend({
+                databaseFile: path.join(this.dataDir || '.', 'stepsync.db')
+            });
+        } else {
+            this.backend = backend;
+        }
+    }
+
+    /**
+     * Check whether a document exists
+     * @param {string} file - Data file path
+     * @returns {boolean}
+     */
+    exists(file) {
+        return this.backend.exists(file);
+    }
+
+    /**
+     * Read a stored document, decrypting it when it is encrypted
+     * @throws {Error} code PASSPHRASE_REQUIRED or WRONG_PASSPHRASE for encrypted
+     *   files that cannot be unlocked
+     */
+    readDocument(file) {
+        const stored = this.backend.read(file);
+        if (!DataEncryption.isEncrypted(stored)) {
+            return stored;
+        }
+
+        if (!this.encryption) {
+            this.lockedFiles.add(file);
+            throw DataEncryption.encryptionError('PASSPHRASE_REQUIRED',
+                `${file} is encrypted. Set STEPSYNC_PASSPHRASE to unlock it.`);
+        }
+
+        try {
+            const data = this.encryption.decrypt(stored);
+            this.lockedFiles.delete(file);
+            return data;
+        } catch (error) {
+            this.lockedFiles.add(file);
+            throw DataEncryption.encryptionError(error.code, `Cannot unlock ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write a document, encrypting it when a passphrase is configured
+     * @param {DataEncryption|null} encryption - Override the configured encryption
+     */
+    writeDocument(file, data, encryption = this.encryption) {
+        if (this.lockedFiles.has(file)) {
+            throw DataEncryption.encryptionError('LOCKED',
+                `Refusing to overwrite ${file}: it is encrypted and could not be unlocked`);
+        }
+        this.backend.write(file, encryption ? encryption.encrypt(data) : data);
+    }
+
+    /**
+     * Read a document
+     * @param {string} file - Data file path
+     * @returns {Object|Array|null} Stored data, or null when nothing is stored yet
+     * @throws {Error} When the stored data cannot be read or parsed
+     */
+    read(file) {
+        return this.readDocument(file);
+    }
+
+    /**
+     * Write a document, replacing what was stored
+     * @param {string} file - Data file path
+     * @param {Object|Array} data - Data to persist
+     * @throws {Error} When the data cannot be written
+     */
+    write(file, data) {
+        this.writeDocument(file, data);
+    }
+
+    /**
+     * Read a versioned document, migrating it to the current schema if needed
+     * @param {string} file - Data file path
+     * @param {string} schema - Schema name registered in data-migrations.js
+     * @returns {Object|Array|null} Tracker data, or null when nothing is stored yet
+     * @throws {Error} When the data cannot be read, or is newer than this release
+     */
+    load(file, schema) {
+        const stored = this.readDocument(file);
+        if (stored === null || stored === undefined) {
+            return null;
+        }
+
+        const original = JSON.parse(JSON.stringify(stored));
+        const result = this.migrations.upgrade(schema, stored);
+
+        if (result.applied.length > 0) {
+            this.writeDocument(this.getBackupPath(file, result.fromVersion), original);
+            this.writeDocument(file, result.data);
+        }
+
+        return this.migrations.unwrap(schema, result.data);
+    }
+
+    /**
+     * Write tracker data as a versioned document
+     * @param {string} file - Data file path
+     * @param {Object|Array} data - Tracker data
+     * @param {string} schema - Schema name registered in data-migrations.js
+     */
+    save(file, data, schema) {
+        this.writeDocument(file, this.migrations.wrap(schema, data));
+    }
+
+    /**
+     * Describe what loading a file would migrate, without changing anything
+     * @returns {Object} { file, schema, exists, fromVersion, toVersion, steps, backupPath }
+     */
+    planMigration(file, schema) {
+        const stored = this.readDocument(file);
+        if (stored === null || stored === undefined) {
+            return { file, schema, exists: false, steps: [] };
+        }
+
+        const { fromVersion, toVersion, steps } = this.migrations.plan(schema, stored);
+        return {
+            file,
+            schema,
+            exists: true,
+            fromVersion,
+            toVersion,
+            steps,
+            backupPath: steps.length > 0 ? this.getBackupPath(file, fromVersion) : null
+        };
+    }
+
+    /**
+     * Re-encrypt documents under a different key, then switch to that key
+     * Every document is decrypted before anything is written, so a wrong
+     * current passphrase leaves all files untouched.
+     * @param {string[]} files - Data file paths (missing ones are skipped)
+     * @param {DataEncryption|null} encryption - New key (null stores plaintext)
+     * @returns {string[]} Files that were rewritten
+     * @throws {Error} When a file cannot be unlocked with the current passphrase
+     */
+    rekey(files, encryption) {
+        const documents = files
+            .filter(file => this.backend.exists(file))
+            .map(file => ({ file, data: this.readDocument(file) }));
+
+        for (const { file, data } of documents) {
+            this.writeDocument(file, data, encryption);
+            // Drop log snapshots that are still readable with the old key
+            if (typeof this.backend.compact === 'function') {
+                this.backend.compact(file);
+            }
+        }
+
+        this.encryption = encryption;
+        return documents.map(({ file }) => file);
+    }
+
+    /**
+     * Where the pre-migration copy of a document is kept
+     */
+    getBackupPath(file, version) {
+        return `${file}.v${version}.bak`;
+    }
+
+    /**
+     * Resolve a default data file name inside the configured data directory
+     * @param {string} name - Bare file name, e.g. 'sleep-data.json'
+     * @returns {string} Path to use for the file
+     */
+    static resolveDataPath(name) {
+        const dataDir = process.env.STEPSYNC_DATA_DIR;
+        return dataDir ? path.join(dataDir, name) : name;
+    }
+
+    /**
+     * Shared instance configured from the environment
+     * @returns {StorageManager}
+     */
+    static getDefault() {
+        if (!StorageManager.defaultInstance) {
+            StorageManager.defaultInstance = new StorageManager({
+                backend: process.env.STEPSYNC_STORAGE || 'json',
+                dataDir: process.env.STEPSYNC_DATA_DIR,
+                encryption: DataEncryption.fromEnvironment()
+            });
+        }
+        return StorageManager.defaultInstance;
+    }
+
+    /**
+     * Drop the shared instance (e.g. after changing environment configuration)
+     */
+    static resetDefault() {
+        StorageManager.defaultInstance = null;
+    }
+}
+
+StorageManager.defaultInstance = null;
+
+module.exports = StorageManager;
+module.exports.JsonFileBackend = JsonFileBackend;
+module.exports.AppendLogBackend = AppendLogBackend;
+module.exports.SqliteBackend = SqliteBackend;
+module.exports.writeFileAtomic = writeFileAtomic;
@@ -0,0 +1,443 @@
+/**
+ * Tracker REST API
+ * Express router exposing CRUD endpoints for every tracker
+ *
+ * All routes are backed by the tracker classes, so the API and the CLIs
+ * share one set of data files. Request bodies are checked with
+ * ValidationUtils.validateFields and list endpoints are paginated with
+ * ArrayUtils.paginate (?page=1&pageSize=50).
+ */
+
+const express = require('express');
+const path = require('path');
+const MentalHealthTracker = require('./mental-health-tracker');
+const MedicationTracker = require('./medication-tracker');
+const SleepTracker = require('./sleep-tracker');
+const ExerciseTracker = require('./exercise-tracker');
+const GoalManager = require('./goal-manager');
+const ReminderManager = require('./reminder-manager');
+const ValidationUtils = require('./validation-utils');
+const StorageManager = require('./storage-manager');
+const { ArrayUtils } = require('./performance-cache');
+
+const PAGINATION_RULES = {
+    page: { type: 'integer', min: 1, default: 1 },
+    pageSize: { type: 'integer', min: 1, max: 200, default: 50 }
+};
+
+/**
+ * Edits and deletes through a tracker's EntryEditor, so they are recorded in
+ * its change log and can be undone from the CLI like any other change
+ */
+function editorHooks(editorName) {
+    return {
+        update: (tracker, entry, values) => tracker[editorName].edit(entry.id, values).entry,
+        remove: (tracker, entry) => tracker[editorName].remove(entry.id).isValid
+    };
+}
+
+/**
+ * Entry-style resources: arrays of records inside a tracker's data object
+ */
+const ENTRY_RESOURCES = [
+    {
+        path: 'moods',
+        label: 'Mood entry',
+        tracker: 'mentalHealth',
+        collection: 'moodEntries',
+        rules: MentalHealthTracker.MOOD_RULES,
+        create: (tracker, v) => tracker.logMood(v.rating, v.note),
+        ...editorHooks('moodEditor')
+    },
+    {
+        path: 'journal',
+        label: 'Journal entry',
+        tracker: 'mentalHealth',
+        collection: 'journalEntries',
+        rules: {
+            content: { type: 'string', max: 10000, required: true },
+            type: { type: 'enum', values: ['general', 'incident', 'therapy', 'progress'], default: 'general' }
+        },
+        create: (tracker, v) => tracker.addJournal(v.content, v.type)
+    },
+    {
+        path: 'symptoms',
+        label: 'Symptom',
+        tracker: 'mentalHealth',
+        collection: 'symptoms',
+        rules: MentalHealthTracker.SYMPTOM_RULES,
+        create: (tracker, v) => tracker.logSymptom(v.type, v.severity, v.note)
+    },
+    {
+        path: 'sleep',
+        label: 'Sleep entry',
+        tracker: 'sleep',
+        collection: 'sleepEntries',
+        rules: SleepTracker.ENTRY_RULES,
+        create: (tracker, v) => tracker.logSleep(v.bedtime, v.wakeTime, v.quality, v.notes, { type: v.type }),
+        ...editorHooks('editor')
+    },
+    {
+        path: 'exercise',
+        label: 'Exercise session',
+        tracker: 'exercise',
+        collection: 'exercises',
+        rules: ExerciseTracker.ENTRY_RULES,
+        create: (tracker, v) => tracker.logExercise(v.type, v.duration, v.intensity, v.notes, { rpe: v.rpe }),
+        ...editorHooks('editor')
+    },
+    {
+        path: 'medications',
+        label: 'Medication',
+        tracker: 'medication',
+        collection: 'medications',
+        rules: {
+            name: { type: 'string', max: 200, required: true },
+            dosage: { type: 'string', max: 100, required: true },
+            frequency: { type: 'enum', values: MedicationTracker.FREQUENCIES, required: true },
+            time: { type: 'time' }
+        },
+        create: (tracker, v) => tracker.addMedication(v.name, v.dosage, v.frequency, v.time),
+        // Changes go through the tracker so they reach its audit log
+        update: (tracker, entry, v) => tracker.updateMedication(entry.id, v),
+        // Medications are deactivated rather than deleted so dose history keeps its references
+        remove: (tracker, entry) => tracker.removeMedication(entry.id)
+    }
+];
+
+/**
+ * Send a 400 response in the shared validation error shape
+ */
+function sendValidationError(res, errors) {
+    return res.status(400).json({
+        error: 'Validation failed',
+        details: errors
+    });
+}
+
+function parsePagination(query) {
+    return ValidationUtils.validateFields(query, PAGINATION_RULES);
+}
+
+function newestFirst(a, b) {
+    return new Date(b.timestamp || b.takenAt || b.createdAt || 0) - new Date(a.timestamp || a.takenAt || a.createdAt || 0);
+}
+
+function findById(list, id) {
+    return list.find(item => item && String(item.id) === String(id));
+}
+
+/**
+ * Lazily-created set of trackers whose data files share one directory
+ * @param {string|null} dataDir - Directory for the data files (null: default locations)
+ * @param {Object} provided - Pre-built tracker instances keyed by name
+ * @param {Object|null} user - Authenticated user; passed to trackers that support
+ *   setCurrentUser (e.g. MedicationTracker) for audit logging
+ * @returns {Object} { get(name) }
+ */
+function createTrackerSet(dataDir = null, provided = {}, user = null) {
+    const file = (name) => (dataDir ? path.join(dataDir, name) : StorageManager.resolveDataPath(name));
+    const factories = {
+        mentalHealth: () => new MentalHealthTracker(file('mental-health-data.json')),
+        medication: () => new MedicationTracker(file('medications.json')),
+        sleep: () => new SleepTracker(file('sleep-data.json')),
+        exercise: () => new ExerciseTracker(file('exercise-data.json')),
+        goals: () => new GoalManager(null, dataDir || undefined),
+        reminders: () => new ReminderManager(dataDir || undefined)
+    };
+    const instances = { ...provided };
+
+    return {
+        // Trackers are created on first use so unused ones never touch the disk
+        get(name) {
+            if (!instances[name]) {
+                instances[name] = factories[name]();
+                if (user && typeof instances[name].setCurrentUser === 'function') {
+                    instances[name].setCurrentUser(user.id, user.role);
+                }
+            }
+            return instances[name];
+        }
+    };
+}
+
+/**
+ * Create the tracker API router
+ * @param {Object} options - Router options
+ * @param {Object} options.trackers - Tracker instances to use (mentalHealth, medication,
+ *   sleep, exercise, goals, reminders); missing ones are created with default data files
+ * @param {Function} options.resolveTrackers - (req) => tracker set, for per-user data;
+ *   overrides options.trackers
+ * @returns {express.Router}
+ */
+function createTrackerRouter(options = {}) {
+    const router = express.Router();
+    const shared = createTrackerSet(null, options.trackers || {});
+    const resolveTrackers = options.resolveTrackers || (() => shared);
+    const getTracker = (req, name) => resolveTrackers(req).get(name);
+
+    ENTRY_RESOURCES.forEach(resource => registerEntryResource(router, resource, getTracker));
+    registerDoseRoutes(router, getTracker);
+    registerGoalRoutes(router, getTracker);
+    registerReminderRoutes(router, getTracker);
+
+    return router;
+}
+
+function registerEntryResource(router, resource, getTracker) {
+    const base = `/${resource.path}`;
+    const entries = (req) => {
+        const tracker = getTracker(req, resource.tracker);
+        if (!Array.isArray(tracker.data[resource.collection])) {
+            tracker.data[resource.collection] = [];
+        }
+        return tracker.data[resource.collection];
+    };
+
+    router.get(base, (req, res) => {
+        const pagination = parsePagination(req.query);
+        if (!pagination.isValid) {
+            return sendValidationError(res, pagination.errors);
+        }
+        const sorted = entries(req).filter(Boolean).sort(newestFirst);
+        res.json(ArrayUtils.paginate(sorted, pagination.values.page, pagination.values.pageSize));
+    });
+
+    router.get(`${base}/:id`, (req, res) => {
+        const entry = findById(entries(req), req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: `${resource.label} not found` });
+        }
+        res.json(entry);
+    });
+
+    router.post(base, (req, res) => {
+        const validation = ValidationUtils.validateFields(req.body, resource.rules);
+        if (!validation.isValid) {
+            return sendValidationError(res, validation.errors);
+        }
+
+        const tracker = getTracker(req, resource.tracker);
+        const before = entries(req).length;
+        const result = resource.create(tracker, validation.values);
+
+        if (!result || entries(req).length === before) {
+            return res.status(422).json({ error: `${resource.label} could not be saved` });
+        }
+        res.status(201).json(entries(req)[entries(req).length - 1]);
+    });
+
+    router.put(`${base}/:id`, (req, res) => {
+        const entry = findById(entries(req), req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: `${resource.label} not found` });
+        }
+
+        const validation = ValidationUtils.validateFields(req.body, resource.rules, { partial: true });
+        if (!validation.isValid) {
+            return sendValidationError(res, validation.errors);
+        }
+
+        const tracker = getTracker(req, resource.tracker);
+        if (resource.update) {
+            if (Object.keys(validation.values).length === 0) {
+                return sendValidationError(res, ['Nothing to change']);
+            }
+            const updated = resource.update(tracker, entry, validation.values);
+            if (!updated) {
+                return res.status(500).json({ error: `${resource.label} could not be saved` });
+            }
+            return res.json(updated);
+        }
+
+        Object.assign(entry, validation.values, { updatedAt: new Date().toISOString() });
+
+        if (!tracker.saveData()) {
+            return res.status(500).json({ error: `${resource.label} could not be saved` });
+        }
+        res.json(entry);
+    });
+
+    router.delete(`${base}/:id`, (req, res) => {
+        const list = entries(req);
+        const entry = findById(list, req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: `${resource.label} not found` });
+        }
+
+        const tracker = getTracker(req, resource.tracker);
+        let saved;
+        if (resource.remove) {
+            saved = resource.remove(tracker, entry);
+        } else {
+            list.splice(list.indexOf(entry), 1);
+            saved = tracker.saveData();
+        }
+
+        if (!saved) {
+            return res.status(500).json({ error: `${resource.label} could not be deleted` });
+        }
+        res.status(204).end();
+    });
+}
+
+function registerDoseRoutes(router, getTracker) {
+    router.get('/doses', (req, res) => {
+        const pagination = parsePagination(req.query);
+        if (!pagination.isValid) {
+            return sendValidationError(res, pagination.errors);
+        }
+
+        let doses = getTracker(req, 'medication').data.history || [];
+        if (req.query.medicationId) {
+            doses = doses.filter(d => String(d.medicationId) === String(req.query.medicationId));
+        }
+        res.json(ArrayUtils.paginate([...doses].sort(newestFirst), pagination.values.page, pagination.values.pageSize));
+    });
+
+    router.post('/medications/:id/doses', (req, res) => {
+        const tracker = getTracker(req, 'medication');
+        const medication = findById(tracker.data.medications, req.params.id);
+        if (!medication) {
+            return res.status(404).json({ error: 'Medication not found' });
+        }
+
+        const validation = ValidationUtils.validateFields(req.body, {
+            notes: { type: 'string', max: 1000, default: '' }
+        });
+        if (!validation.isValid) {
+            return sendValidationError(res, validation.errors);
+        }
+
+        if (!tracker.markAsTaken(medication.id, validation.values.notes)) {
+            return res.status(500).json({ error: 'Dose could not be saved' });
+        }
+        res.status(201).json(tracker.data.history[tracker.data.history.length - 1]);
+    });
+}
+
+/**
+ * GoalManager and ReminderManager throw on invalid input; surface those as 400s
+ */
+function handleManagerError(res, error) {
+    const status = /not found/i.test(error.message) ? 404 : 400;
+    return res.status(status).json({ error: error.message });
+}
+
+function registerGoalRoutes(router, getTracker) {
+    router.get('/goals', (req, res) => {
+        const pagination = parsePagination(req.query);
+        if (!pagination.isValid) {
+            return sendValidationError(res, pagination.errors);
+        }
+        const goals = getTracker(req, 'goals').getGoals({ type: req.query.type, status: req.query.status });
+        res.json(ArrayUtils.paginate(goals, pagination.values.page, pagination.values.pageSize));
+    });
+
+    router.get('/goals/:id', (req, res) => {
+        const goal = getTracker(req, 'goals').getGoal(req.params.id);
+        if (!goal) {
+            return res.status(404).json({ error: 'Goal not found' });
+        }
+        res.json(goal);
+    });
+
+    router.post('/goals', (req, res) => {
+        try {
+            res.status(201).json(getTracker(req, 'goals').createGoal(req.body || {}));
+        } catch (error) {
+            handleManagerError(res, error);
+        }
+    });
+
+    router.put('/goals/:id', (req, res) => {
+        const manager = getTracker(req, 'goals');
+        const goal = manager.getGoal(req.params.id);
+        if (!goal) {
+            return res.status(404).json({ error: 'Goal not found' });
+        }
+
+        const validation = ValidationUtils.validateFields(req.body, {
+            title: { type: 'string', max: 200 },
+            description: { type: 'string', max: 1000 },
+            status: { type: 'enum', values: ['active', 'completed', 'archived'] }
+        }, { partial: true });
+        if (!validation.isValid) {
+            return sendValidationError(res, validation.errors);
+        }
+
+        Object.assign(goal, validation.values, { updatedAt: new Date().toISOString() });
+        manager.saveGoals();
+        res.json(goal);
+    });
+
+    router.post('/goals/:id/progress', (req, res) => {
+        try {
+            res.json(getTracker(req, 'goals').updateProgress(req.params.id, req.body || {}));
+        } catch (error) {
+            handleManagerError(res, error);
+        }
+    });
+
+    router.delete('/goals/:id', (req, res) => {
+        try {
+            getTracker(req, 'goals').deleteGoal(req.params.id);
+            res.status(204).end();
+        } catch (error) {
+            handleManagerError(res, error);
+        }
+    });
+}
+
+function registerReminderRoutes(router, getTracker) {
+    router.get('/reminders', (req, res) => {
+        const pagination = parsePagination(req.query);
+        if (!pagination.isValid) {
+            return sendValidationError(res, pagination.errors);
+        }
+        const reminders = getTracker(req, 'reminders').getReminders({ type: req.query.type });
+        res.json(ArrayUtils.paginate(reminders, pagination.values.page, pagination.values.pageSize));
+    });
+
+    router.get('/reminders/:id', (req, res) => {
+        const reminder = getTracker(req, 'reminders').getReminder(req.params.id);
+        if (!reminder) {
+            return res.status(404).json({ error: 'Reminder not found' });
+        }
+        res.json(reminder);
+    });
+
+    router.post('/reminders', (req, res) => {
+        try {
+            res.status(201).json(getTracker(req, 'reminders').createReminder(req.body || {}));
+        } catch (error) {
+            handleManagerError(res, error);
+        }
+    });
+
+    router.put('/reminders/:id', (req, res) => {
+        try {
+            const body = req.body || {};
+            const updates = {};
+            ['title', 'message', 'time', 'days', 'enabled', 'metadata'].forEach(field => {
+                if (body[field] !== undefined) {
+                    updates[field] = body[field];
+                }
+            });
+            res.json(getTracker(req, 'reminders').updateReminder(req.params.id, updates));
+        } catch (error) {
+            handleManagerError(res, error);
+        }
+    });
+
+    router.delete('/reminders/:id', (req, res) => {
+        try {
+            getTracker(req, 'reminders').deleteReminder(req.params.id);
+            res.status(204).end();
+        } catch (error) {
+            handleManagerError(res, error);
+        }
+    });
+}
+
+module.exports = { createTrackerRouter, createTrackerSet, ENTRY_RESOURCES };
@@ -0,0 +1,180 @@
+/**
+ * Training Load Module
+ * Session-RPE training load, acute:chronic workload ratio, monotony/strain
+ * and a daily readiness score
+ *
+ * - Session load (Foster sRPE) = RPE (CR-10, 1-10) x minutes, in arbitrary
+ *   units (AU). Sessions without an RPE use their intensity: low 3,
+ *   moderate 5, high 7.
+ * - Acute load is the last 7 days' total; chronic load is the average weekly
+ *   total over the last 28 days. ACWR = acute / chronic: below 0.8 is
+ *   detraining, 0.8-1.3 the "sweet spot", 1.3-1.5 caution and above 1.5 a
+ *   spike linked with higher injury risk. Until there are CHRONIC_DAYS of
+ *   history the ratio is marked as a baseline still being built.
+ * - Monotony = mean / standard deviation of the last 7 daily loads (rest days
+ *   count as 0); strain = weekly load x monotony. Monotony above 2 means
+ *   hard days are not being balanced by easy ones.
+ * - Readiness (0-100) blends last night's sleep (duration against target
+ *   and quality), the latest mood and the training-load picture, weighted
+ *   40/30/30. Missing parts are left out and the rest re-weighted.
+ *
+ * Dates are YYYY-MM-DD keys as stored on exercise sessions.
+ */
+
+const RPE_BY_INTENSITY = { low: 3, moderate: 5, high: 7 };
+const DEFAULT_RPE = 5;
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+const HIGH_MONOTONY = 2;
+
+// Upper bounds of the acute:chronic workload ratio
+const ACWR_ZONES = [
+    { below: 0.8, zone: 'low', label: 'detraining', readiness: 85 },
+    { below: 1.3, zone: 'optimal', label: 'sweet spot', readiness: 100 },
+    { below: 1.5, zone: 'caution', label: 'rising fast', readiness: 60 },
+    { below: Infinity, zone: 'high', label: 'load spike - injury risk', readiness: 30 }
+];
+
+const READINESS_WEIGHTS = { sleep: 0.4, mood: 0.3, load: 0.3 };
+const READINESS_LEVELS = [
+    { from: 75, level: 'high', advice: 'Ready for a hard session' },
+    { from: 50, level: 'moderate', advice: 'Train at moderate intensity' },
+    { from: 0, level: 'low', advice: 'Prioritise recovery: rest or light movement' }
+];
+
+class TrainingLoad {
+    static round(value, places = 0) {
+        const factor = 10 ** places;
+        return Math.round(value * factor) / factor;
+    }
+
+    static toDateKey(date) {
+        return new Date(date).toISOString().split('T')[0];
+    }
+
+    static addDays(dateKey, days) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    static sessionRpe(entry) {
+        return entry.rpe || RPE_BY_INTENSITY[entry.intensity] || DEFAULT_RPE;
+    }
+
+    static sessionLoad(entry) {
+        return TrainingLoad.round(TrainingLoad.sessionRpe(entry) * (entry.duration || 0));
+    }
+
+    /**
+     * Load per day for the `days` days ending on `endKey`, rest days included
+     * @returns {Array} [{ date, load, sessions }] oldest first
+     */
+    static dailyLoads(entries, endKey, days) {
+        const startKey = TrainingLoad.addDays(endKey, -(days - 1));
+        const byDate = new Map();
+        for (let i = 0; i < days; i++) {
+            const date = TrainingLoad.addDays(startKey, i);
+            byDate.set(date, { date, load: 0, sessions: 0 });
+        }
+        entries.forEach(entry => {
+            const day = byDate.get(entry.date);
+            if (day) {
+                day.load += TrainingLoad.sessionLoad(entry);
+                day.sessions++;
+            }
+        });
+        return [...byDate.values()];
+    }
+
+    static acwrZone(acwr) {
+        return acwr === null ? null : ACWR_ZONES.find(zone => acwr < zone.below);
+    }
+
+    /**
+     * Acute and chronic load, ACWR, monotony and strain as of `now`
+     * @returns {Object|null} null when nothing was logged in the last CHRONIC_DAYS days
+     */
+    static summary(entries, now = new Date()) {
+        const today = TrainingLoad.toDateKey(now);
+        const days = TrainingLoad.dailyLoads(entries, today, CHRONIC_DAYS);
+        const sessionCount = days.reduce((sum, day) => sum + day.sessions, 0);
+        if (sessionCount === 0) {
+            return null;
+        }
+
+        const week = days.slice(-ACUTE_DAYS).map(day => day.load);
+        const acuteLoad = week.reduce((sum, load) => sum + load, 0);
+        const chronicLoad = TrainingLoad.round(days.reduce((sum, day) => sum + day.load, 0) / (CHRONIC_DAYS / ACUTE_DAYS));
+        const acwr = chronicLoad > 0 ? TrainingLoad.round(acuteLoad / chronicLoad, 2) : null;
+        const zone = TrainingLoad.acwrZone(acwr);
+
+        const mean = acuteLoad / ACUTE_DAYS;
+        const sd = Math.sqrt(week.reduce((sum, load) => sum + (load - mean) ** 2, 0) / ACUTE_DAYS);
+        const monotony = sd > 0 ? TrainingLoad.round(mean / sd, 2) : null;
+
+        const dated = entries.filter(entry => entry.date && entry.date <= today).map(entry => entry.date).sort();
+        const historyDays = dated.length > 0
+            ? Math.round((new Date(`${today}T00:00:00Z`) - new Date(`${dated[0]}T00:00:00Z`)) / 86400000) + 1
+            : 0;
+
+        return {
+            date: today,
+            sessionCount,
+            acuteLoad,
+            chronicLoad,
+            acwr,
+            zone: zone ? zone.zone : null,
+            zoneLabel: zone ? zone.label : null,
+            monotony,
+            strain: monotony !== null ? TrainingLoad.round(acuteLoad * monotony) : null,
+            highMonotony: monotony !== null && monotony > HIGH_MONOTONY,
+            baselineReady: historyDays >= CHRONIC_DAYS,
+            dailyLoads: days.slice(-ACUTE_DAYS)
+        };
+    }
+
+    /**
+     * Readiness score from last night's sleep, the latest mood and training load
+     * @param {Object} inputs - { sleep: { total, quality, targetHours }, mood: rating 1-10, load: summary() result }
+     * @returns {Object|null} { score, level, advice, components } or null with no inputs
+     */
+    static readiness(inputs = {}) {
+        const components = {};
+
+        if (inputs.sleep && inputs.sleep.total > 0) {
+            const { total, quality, targetHours = 8 } = inputs.sleep;
+            const durationScore = Math.min(1, total / targetHours) * 50;
+            const qualityScore = quality > 0 ? (quality / 10) * 50 : durationScore;
+            components.sleep = TrainingLoad.round(durationScore + qualityScore);
+        }
+        if (inputs.mood > 0) {
+            components.mood = TrainingLoad.round((inputs.mood / 10) * 100);
+        }
+        if (inputs.load && inputs.load.acwr !== null) {
+            const zone = TrainingLoad.acwrZone(inputs.load.acwr);
+            components.load = Math.max(0, zone.readiness - (inputs.load.highMonotony ? 10 : 0));
+        }
+
+        const parts = Object.keys(components);
+        if (parts.length === 0) {
+            return null;
+        }
+
+        const totalWeight = parts.reduce((sum, part) => sum + READINESS_WEIGHTS[part], 0);
+        const score = TrainingLoad.round(parts.reduce((sum, part) =>
+            sum + components[part] * READINESS_WEIGHTS[part], 0) / totalWeight);
+        const { level, advice } = READINESS_LEVELS.find(band => score >= band.from);
+
+        return { score, level, advice, components };
+    }
+}
+
+TrainingLoad.RPE_BY_INTENSITY = RPE_BY_INTENSITY;
+TrainingLoad.ACUTE_DAYS = ACUTE_DAYS;
+TrainingLoad.CHRONIC_DAYS = CHRONIC_DAYS;
+TrainingLoad.HIGH_MONOTONY = HIGH_MONOTONY;
+TrainingLoad.ACWR_ZONES = ACWR_ZONES;
+TrainingLoad.READINESS_WEIGHTS = READINESS_WEIGHTS;
+
+module.exports = TrainingLoad;
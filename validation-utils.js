@@ -263,6 +263,100 @@ class ValidationUtils {
         }
     }
 
+    /**
+     * Validates a record (e.g. an API request body) against field rules without printing.
+     * Error messages use the same wording as the parse/validate helpers above.
+     * @param {Object} input - Record to validate
+     * @param {Object} rules - Map of field name to rule
+     * @param {string} rules[].type - 'integer', 'number', 'string', 'time', 'date' or 'enum'
+     * @param {boolean} rules[].required - Whether the field must be present
+     * @param {number} rules[].min - Minimum value (numbers) or length (strings)
+     * @param {number} rules[].max - Maximum value (numbers) or length (strings)
+     * @param {Array} rules[].values - Allowed values for 'enum'
+     * @param {*} rules[].default - Value used when the field is absent
+     * @param {Object} options - Validation options
+     * @param {boolean} options.partial - Skip required checks (for updates)
+     * @returns {Object} Validation result with isValid, errors array and parsed values
+     */
+    static validateFields(input, rules, options = {}) {
+        const { partial = false } = options;
+        const errors = [];
+        const values = {};
+        const record = input && typeof input === 'object' ? input : {};
+
+        for (const [field, rule] of Object.entries(rules)) {
+            const raw = record[field];
+
+            if (raw === undefined || raw === null || raw === '') {
+                if (rule.required && !partial) {
+                    errors.push(`Missing required field: ${field}`);
+                } else if (rule.default !== undefined && !partial) {
+                    values[field] = rule.default;
+                }
+                continue;
+            }
+
+            switch (rule.type) {
+                case 'integer':
+                case 'number': {
+                    const parsed = rule.type === 'integer' ? Number(raw) : parseFloat(raw);
+                    if (isNaN(parsed) || (rule.type === 'integer' && !Number.isInteger(parsed))) {
+                        errors.push(`Invalid ${field}: "${raw}" is not a valid number`);
+                    } else if (rule.min !== undefined && parsed < rule.min) {
+                        errors.push(`Invalid ${field}: ${parsed} is below minimum allowed value (${rule.min})`);
+                    } else if (rule.max !== undefined && parsed > rule.max) {
+                        errors.push(`Invalid ${field}: ${parsed} exceeds maximum allowed value (${rule.max})`);
+                    } else {
+                        values[field] = parsed;
+                    }
+                    break;
+                }
+                case 'time':
+                    if (typeof raw !== 'string' || !/^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/.test(raw)) {
+                        errors.push(`Invalid ${field}: "${raw}" must be in HH:MM format (e.g., 09:30 or 14:45)`);
+                    } else {
+                        values[field] = raw;
+                    }
+                    break;
+                case 'date':
+                    if (typeof raw !== 'string' || isNaN(new Date(raw).getTime())) {
+                        errors.push(`Invalid ${field}: "${raw}" is not a valid date format`);
+                    } else {
+                        values[field] = raw;
+                    }
+                    break;
+                case 'enum': {
+                    const normalized = typeof raw === 'string' ? raw.toLowerCase() : raw;
+                    if (!rule.values.includes(normalized)) {
+                        errors.push(`Invalid ${field}: must be one of ${rule.values.join(', ')}`);
+                    } else {
+                        values[field] = normalized;
+                    }
+                    break;
+                }
+                case 'string':
+                default: {
+                    const trimmed = String(raw).trim();
+                    const { min: minLength = rule.required ? 1 : 0, max: maxLength = 10000 } = rule;
+                    if (trimmed.length < minLength) {
+                        errors.push(`Invalid ${field}: Must be at least ${minLength} character(s)`);
+                    } else if (trimmed.length > maxLength) {
+                        errors.push(`Invalid ${field}: Must not exceed ${maxLength} characters`);
+                    } else {
+                        values[field] = trimmed;
+                    }
+                    break;
+                }
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            values
+        };
+    }
+
     /**
      * Validates imported wellness data structure
      * @param {Object} data - Imported data to validate
@@ -51,6 +51,8 @@ COMMANDS:
      export-meds            Export medications to CSV
      export-analytics       Export analytics summary
      export-all             Export complete backup (all data)
+     export-fhir [days]     Export a FHIR R4 Bundle for clinicians
+     import-fhir <file>     Import a FHIR R4 Bundle from another app
      list-exports           List all exported files
 
   📊 Visualizations:
@@ -72,6 +74,7 @@ EXAMPLES:
   node visualization-cli.js chart mood 14
   node visualization-cli.js heatmap 30
   node visualization-cli.js export-all
+  node visualization-cli.js export-fhir 90
 
 ═══════════════════════════════════════════════════════════
 `);
@@ -178,6 +181,29 @@ EXAMPLES:
         }
     }
 
+    /**
+     * Export FHIR R4 Bundle
+     */
+    exportFHIR(days = 30) {
+        try {
+            console.log(`\n💾 Exporting last ${days} days as a FHIR R4 Bundle...`);
+            this.exportManager.exportToFHIR({ days });
+        } catch (error) {
+            console.error(`❌ Error exporting FHIR bundle: ${error.message}`);
+        }
+    }
+
+    /**
+     * Import FHIR R4 Bundle
+     */
+    importFHIR(filepath) {
+        try {
+            this.exportManager.importFromFHIR(filepath);
+        } catch (error) {
+            console.error(`❌ Error importing FHIR bundle: ${error.message}`);
+        }
+    }
+
     /**
      * List all exports
      */
@@ -529,6 +555,18 @@ EXAMPLES:
                 this.exportAll();
                 break;
 
+            case 'export-fhir':
+                this.exportFHIR(param1 || 30);
+                break;
+
+            case 'import-fhir':
+                if (!param1) {
+                    console.error('❌ Please specify a FHIR bundle file');
+                } else {
+                    this.importFHIR(String(param1));
+                }
+                break;
+
             case 'list-exports':
                 this.listExports();
                 break;
@@ -0,0 +1,567 @@
+const fs = require('fs');
+const HealthImporter = require('./health-importer');
+
+/**
+ * Wearable Importer Module
+ * Imports sleep, workout and step CSV exports from wearables using column-mapping profiles
+ *
+ * A profile says which tracker the rows belong to and which CSV column holds
+ * each field. Built-in profiles cover common Fitbit, Garmin and Oura exports;
+ * any other device can be described in a JSON file with the same shape:
+ *
+ *   {
+ *     "name": "my-watch-sleep",
+ *     "kind": "sleep",                       // or "exercise", "steps"
+ *     "columns": { "start": "Sleep start", "end": "Sleep end", "quality": "Score" },
+ *     "qualityScale": 100                    // score range, mapped to 1-10
+ *   }
+ *
+ * Sleep columns:    start + end (date/time), or date + bedtime + wakeTime;
+ *                   quality, asleepMinutes + inBedMinutes (efficiency), notes
+ * Exercise columns: type, start or date, duration (durationUnit) or end,
+ *                   intensity (intensityMap), calories, notes
+ * Steps columns:    steps, and start or date (+ time for hourly counts);
+ *                   rows without a time are whole-day totals
+ *
+ * Every mapped row goes through SleepTracker/ExerciseTracker/StepTracker.buildEntry,
+ * so imported entries follow the same rules as manual ones.
+ */
+
+const BUILT_IN_PROFILES = {
+    'fitbit-sleep': {
+        label: 'Fitbit sleep log',
+        kind: 'sleep',
+        columns: {
+            start: 'Start Time',
+            end: 'End Time',
+            asleepMinutes: 'Minutes Asleep',
+            inBedMinutes: 'Time in Bed'
+        }
+    },
+    'fitbit-activities': {
+        label: 'Fitbit activities',
+        kind: 'exercise',
+        columns: {
+            type: 'Activity Name',
+            start: 'Start Time',
+            duration: 'Duration',
+            calories: 'Calories'
+        },
+        durationUnit: 'hh:mm:ss'
+    },
+    'garmin-activities': {
+        label: 'Garmin Connect Activities.csv',
+        kind: 'exercise',
+        columns: {
+            type: 'Activity Type',
+            start: 'Date',
+            duration: 'Time',
+            calories: 'Calories',
+            notes: 'Title'
+        },
+        durationUnit: 'hh:mm:ss'
+    },
+    'garmin-sleep': {
+        label: 'Garmin Connect sleep report',
+        kind: 'sleep',
+        columns: {
+            start: 'Sleep Start Time',
+            end: 'Sleep End Time',
+            quality: 'Sleep Score'
+        },
+        qualityScale: 100
+    },
+    'oura-sleep': {
+        label: 'Oura sleep',
+        kind: 'sleep',
+        columns: {
+            start: 'Bedtime Start',
+            end: 'Bedtime End',
+            quality: 'Sleep Score'
+        },
+        qualityScale: 100
+    },
+    'oura-workouts': {
+        label: 'Oura workouts',
+        kind: 'exercise',
+        columns: {
+            type: 'activity',
+            start: 'start_datetime',
+            end: 'end_datetime',
+            intensity: 'intensity',
+            calories: 'calories'
+        },
+        intensityMap: { easy: 'low', moderate: 'moderate', hard: 'high' }
+    },
+    'fitbit-steps': {
+        label: 'Fitbit activities summary',
+        kind: 'steps',
+        columns: {
+            date: 'Date',
+            steps: 'Steps'
+        }
+    },
+    'steps-csv': {
+        label: 'Steps CSV (date, time, steps)',
+        kind: 'steps',
+        columns: {
+            date: 'date',
+            time: 'time',
+            steps: 'steps'
+        }
+    }
+};
+
+const KINDS = ['sleep', 'exercise', 'steps'];
+
+const DURATION_UNITS = {
+    ms: 1 / 60000,
+    seconds: 1 / 60,
+    minutes: 1,
+    hours: 60
+};
+
+class WearableImporter {
+    /**
+     * @param {Object} trackers - { sleep: SleepTracker, exercise: ExerciseTracker, steps: StepTracker }
+     */
+    constructor(trackers = {}) {
+        this.sleep = trackers.sleep || null;
+        this.exercise = trackers.exercise || null;
+        this.steps = trackers.steps || null;
+        // Shared CSV parsing, intensity estimates and duplicate checks
+        this.health = new HealthImporter(trackers);
+    }
+
+    /**
+     * Names and labels of the built-in profiles
+     * @returns {Array} [{ name, label, kind }]
+     */
+    static listProfiles() {
+        return Object.entries(BUILT_IN_PROFILES).map(([name, profile]) => ({
+            name,
+            label: profile.label,
+            kind: profile.kind
+        }));
+    }
+
+    /**
+     * Resolve a built-in profile name or load a user-defined JSON profile
+     * @param {string|Object} nameOrPath - Profile name, JSON file path or profile object
+     * @returns {Object} Validated profile
+     */
+    loadProfile(nameOrPath) {
+        let profile;
+        if (nameOrPath && typeof nameOrPath === 'object') {
+            profile = nameOrPath;
+        } else if (BUILT_IN_PROFILES[nameOrPath]) {
+            profile = { name: nameOrPath, ...BUILT_IN_PROFILES[nameOrPath] };
+        } else if (nameOrPath && fs.existsSync(nameOrPath)) {
+            try {
+                profile = JSON.parse(fs.readFileSync(nameOrPath, 'utf8'));
+            } catch (error) {
+                throw new Error(`Invalid profile file ${nameOrPath}: ${error.message}`);
+            }
+        } else {
+            const names = Object.keys(BUILT_IN_PROFILES).join(', ');
+            throw new Error(`Unknown profile: ${nameOrPath}. Use one of ${names} or a JSON profile file`);
+        }
+
+        if (!KINDS.includes(profile.kind)) {
+            throw new Error('Profile kind must be "sleep", "exercise" or "steps"');
+        }
+        const columns = profile.columns || {};
+        if (profile.kind === 'sleep' && !(columns.start && columns.end) && !(columns.bedtime && columns.wakeTime)) {
+            throw new Error('Sleep profiles need start and end columns, or bedtime and wakeTime columns');
+        }
+        if (profile.kind === 'exercise' && !columns.duration && !(columns.start && columns.end)) {
+            throw new Error('Exercise profiles need a duration column, or start and end columns');
+        }
+        if (profile.kind === 'exercise' && !columns.type && !profile.defaultType) {
+            throw new Error('Exercise profiles need a type column or a defaultType');
+        }
+        if (profile.kind === 'steps' && !(columns.steps && (columns.start || columns.date))) {
+            throw new Error('Steps profiles need a steps column and a start or date column');
+        }
+        if (profile.durationUnit && profile.durationUnit !== 'hh:mm:ss' && !DURATION_UNITS[profile.durationUnit]) {
+            throw new Error(`Unknown durationUnit: ${profile.durationUnit}`);
+        }
+
+        return { name: profile.name || 'custom', label: profile.label || profile.name || 'Custom profile', ...profile, columns };
+    }
+
+    /**
+     * Read a CSV file into objects keyed by header
+     * @returns {Array} [{ line, values }]
+     */
+    readCSV(file) {
+        if (!fs.existsSync(file)) {
+            throw new Error(`File not found: ${file}`);
+        }
+        const lines = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+        const headers = this.health.splitCSVLine(lines[0] || '');
+
+        return lines.slice(1)
+            .map((line, index) => ({ line: index + 2, text: line }))
+            .filter(({ text }) => text.trim() !== '')
+            .map(({ line, text }) => {
+                const cells = this.health.splitCSVLine(text);
+                const values = {};
+                headers.forEach((header, i) => {
+                    values[header] = cells[i] !== undefined ? cells[i] : '';
+                });
+                return { line, values, headers };
+            });
+    }
+
+    /**
+     * Parse the date/time formats wearables export, keeping the clock time as written
+     * ("2024-03-01 10:45PM", "2024-03-01T22:45:00+01:00", "03/01/2024 22:45", ...)
+     * @returns {Object|null} { date, time, minutes } - minutes is only used for differences
+     */
+    parseDateTime(value) {
+        const text = String(value || '').trim();
+        let year, month, day;
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (match) {
+            [year, month, day] = match.slice(1).map(Number);
+        } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/))) {
+            [month, day, year] = match.slice(1).map(Number);
+        } else {
+            return null;
+        }
+
+        const clock = this.parseClock(text.slice(match[0].length).replace(/^[T\s]+/, ''));
+        const pad = n => String(n).padStart(2, '0');
+        const hours = clock ? clock.hours : 0;
+        const minutes = clock ? clock.minutes : 0;
+
+        return {
+            date: `${year}-${pad(month)}-${pad(day)}`,
+            time: clock ? `${pad(hours)}:${pad(minutes)}` : null,
+            minutes: Date.UTC(year, month - 1, day, hours, minutes) / 60000
+        };
+    }
+
+    /**
+     * "22:45", "22:45:10", "10:45PM" and "10:45 pm" → { hours, minutes }
+     */
+    parseClock(text) {
+        const match = String(text || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([AaPp][Mm])?/);
+        if (!match) return null;
+
+        let hours = Number(match[1]);
+        const meridiem = match[3] ? match[3].toLowerCase() : null;
+        if (meridiem === 'pm' && hours < 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+        if (hours > 23) return null;
+        return { hours, minutes: Number(match[2]) };
+    }
+
+    parseDuration(value, unit = 'minutes') {
+        const text = String(value || '').trim();
+        if (text === '') return null;
+
+        if (unit === 'hh:mm:ss') {
+            const parts = text.split(':').map(Number);
+            if (parts.some(isNaN)) return null;
+            const [h, m, s] = parts.length === 3 ? parts : [0, ...parts, 0].slice(0, 3);
+            return h * 60 + m + s / 60;
+        }
+        const number = parseFloat(text.replace(/,/g, ''));
+        return isNaN(number) ? null : number * DURATION_UNITS[unit];
+    }
+
+    /**
+     * Map one CSV row to a tracker entry
+     * @returns {Object} { line, isValid, errors, entry }
+     */
+    mapRow(row, profile) {
+        const get = field => {
+            const column = profile.columns[field];
+            return column && row.values[column] !== undefined ? row.values[column] : '';
+        };
+        const mappers = {
+            sleep: () => this.mapSleepRow(get, profile),
+            exercise: () => this.mapExerciseRow(get, profile),
+            steps: () => this.mapStepsRow(get, profile)
+        };
+        return { line: row.line, ...mappers[profile.kind]() };
+    }
+
+    mapSleepRow(get, profile) {
+        if (!this.sleep) {
+            return { isValid: false, errors: ['Sleep tracker not available'], entry: null };
+        }
+
+        const input = { notes: get('notes') || `Imported from ${profile.label}` };
+        if (profile.columns.start && profile.columns.end) {
+            const start = this.parseDateTime(get('start'));
+            const end = this.parseDateTime(get('end'));
+            if (!start || !end || !start.time || !end.time) {
+                return { isValid: false, errors: ['Missing or unreadable start/end time'], entry: null };
+            }
+            if (end.minutes <= start.minutes) {
+                return { isValid: false, errors: ['Wake time must be after bedtime'], entry: null };
+            }
+            Object.assign(input, { date: end.date, bedtime: start.time, wakeTime: end.time });
+        } else {
+            const date = this.parseDateTime(get('date'));
+            const bedtime = this.parseClock(get('bedtime'));
+            const wakeTime = this.parseClock(get('wakeTime'));
+            const clock = c => c && `${String(c.hours).padStart(2, '0')}:${String(c.minutes).padStart(2, '0')}`;
+            Object.assign(input, { date: date ? date.date : '', bedtime: clock(bedtime) || get('bedtime'), wakeTime: clock(wakeTime) || get('wakeTime') });
+        }
+
+        // Quality: a device score, else sleep efficiency, else a neutral 5
+        let qualityEstimated = false;
+        const score = parseFloat(get('quality'));
+        const asleep = parseFloat(get('asleepMinutes'));
+        const inBed = parseFloat(get('inBedMinutes'));
+        if (!isNaN(score)) {
+            // Out-of-range scores are left for validation to reject
+            const scaled = Math.round(score * 10 / (profile.qualityScale || 10));
+            input.quality = score >= 0 && scaled < 1 ? 1 : scaled;
+            qualityEstimated = (profile.qualityScale || 10) !== 10;
+        } else if (asleep > 0 && inBed > 0) {
+            input.quality = Math.min(10, Math.max(1, Math.round(asleep / inBed * 10)));
+            qualityEstimated = true;
+        } else {
+            input.quality = 5;
+            qualityEstimated = true;
+        }
+
+        const result = this.sleep.buildEntry(input);
+        if (result.isValid) {
+            if (asleep > 0) {
+                result.entry.duration = Math.round(asleep / 6) / 10;
+            }
+            Object.assign(result.entry, { source: profile.label, qualityEstimated });
+        }
+        return result;
+    }
+
+    mapExerciseRow(get, profile) {
+        if (!this.exercise) {
+            return { isValid: false, errors: ['Exercise tracker not available'], entry: null };
+        }
+
+        const start = this.parseDateTime(get('start') || get('date'));
+        if (!start) {
+            return { isValid: false, errors: ['Missing or unreadable date'], entry: null };
+        }
+
+        let duration = this.parseDuration(get('duration'), profile.durationUnit);
+        if (duration === null && profile.columns.end) {
+            const end = this.parseDateTime(get('end'));
+            duration = end ? end.minutes - start.minutes : null;
+        }
+
+        const calories = parseFloat(String(get('calories')).replace(/,/g, ''));
+        const type = get('type') || profile.defaultType || '';
+        const rawIntensity = String(get('intensity')).toLowerCase();
+        const intensity = (profile.intensityMap && profile.intensityMap[rawIntensity]) || rawIntensity ||
+            this.health.estimateIntensity({ type, minutes: duration, kcal: isNaN(calories) ? null : calories });
+
+        const result = this.exercise.buildEntry({
+            date: start.date,
+            type,
+            duration: duration === null ? '' : Math.round(duration),
+            intensity,
+            notes: get('notes') || `Imported from ${profile.label}`
+        });
+        if (result.isValid) {
+            result.entry.source = profile.label;
+            if (start.time) result.entry.startTime = `${start.date}T${start.time}`;
+            if (!isNaN(calories)) result.entry.calories = Math.round(calories);
+        }
+        return result;
+    }
+
+    mapStepsRow(get, profile) {
+        if (!this.steps) {
+            return { isValid: false, errors: ['Step tracker not available'], entry: null };
+        }
+
+        const start = this.parseDateTime(get('start') || get('date'));
+        if (!start) {
+            return { isValid: false, errors: ['Missing or unreadable date'], entry: null };
+        }
+        const clock = this.parseClock(get('time'));
+        const pad = n => String(n).padStart(2, '0');
+        const time = clock ? `${pad(clock.hours)}:${pad(clock.minutes)}` : start.time;
+
+        // Devices write a row for every interval, worn or not; a zero adds nothing
+        const steps = String(get('steps')).replace(/,/g, '').trim();
+        if (steps !== '' && Number(steps) === 0) {
+            return { isValid: true, errors: [], entry: null, empty: true };
+        }
+
+        const input = { date: start.date, steps, source: profile.label };
+        if (time) input.time = time;
+        return this.steps.buildEntry(input);
+    }
+
+    /**
+     * Map the first rows of a file without saving anything
+     * @param {string} file - CSV file
+     * @param {string|Object} profileName - Profile name, JSON path or object
+     * @param {number} limit - Rows to show
+     * @returns {Object} { profile, totalRows, rows: [{ line, isValid, errors, entry, duplicate }] }
+     */
+    preview(file, profileName, limit = 5) {
+        const profile = this.loadProfile(profileName);
+        const rows = this.readCSV(file);
+        this.checkColumns(rows, profile);
+
+        return {
+            profile,
+            totalRows: rows.length,
+            rows: rows.slice(0, limit).map(row => {
+                const result = this.mapRow(row, profile);
+                return { ...result, duplicate: result.isValid && result.entry !== null && this.isDuplicate(result.entry, profile) };
+            })
+        };
+    }
+
+    /**
+     * Import every valid, new row of a file
+     * @param {string} file - CSV file
+     * @param {string|Object} profileName - Profile name, JSON path or object
+     * @param {Object} options - { dryRun }
+     * @returns {Object} Summary: { profile, kind, totalRows, imported, duplicates, invalid, errors }
+     */
+    importFile(file, profileName, options = {}) {
+        const { dryRun = false } = options;
+        const profile = this.loadProfile(profileName);
+        const rows = this.readCSV(file);
+        this.checkColumns(rows, profile);
+
+        const tracker = this[profile.kind];
+        const summary = {
+            profile: profile.name,
+            kind: profile.kind,
+            totalRows: rows.length,
+            imported: 0,
+            duplicates: 0,
+            invalid: 0,
+            empty: 0,
+            errors: [],
+            dryRun
+        };
+
+        rows.forEach(row => {
+            const result = this.mapRow(row, profile);
+            if (!result.isValid) {
+                summary.invalid++;
+                summary.errors.push({ line: result.line, errors: result.errors });
+                return;
+            }
+            if (result.empty) {
+                summary.empty++;
+                return;
+            }
+
+            if (this.isDuplicate(result.entry, profile)) {
+                summary.duplicates++;
+                return;
+            }
+
+            if (profile.kind === 'sleep') {
+                // buildEntry ids come from the clock; keep them unique within one import
+                const last = tracker.data.sleepEntries[tracker.data.sleepEntries.length - 1];
+                if (last && last.id >= result.entry.id) result.entry.id = last.id + 1;
+                tracker.data.sleepEntries.push(result.entry);
+            } else if (profile.kind === 'steps') {
+                tracker.entries().push(result.entry);
+            } else {
+                tracker.data.exercises.push(result.entry);
+            }
+            summary.imported++;
+        });
+
+        if (!dryRun && summary.imported > 0) {
+            tracker.saveData();
+        }
+        return summary;
+    }
+
+    isDuplicate(entry, profile) {
+        if (profile.kind === 'steps') {
+            return this.steps.isDuplicate(entry);
+        }
+        return profile.kind === 'sleep'
+            ? this.health.isDuplicateSleep(entry)
+            : this.health.isDuplicateWorkout(entry);
+    }
+
+    /**
+     * Fail early when the file does not have the columns the profile expects
+     */
+    checkColumns(rows, profile) {
+        if (rows.length === 0) return;
+        const headers = rows[0].headers;
+        const missing = Object.values(profile.columns).filter(column => !headers.includes(column));
+        const required = {
+            sleep: ['start', 'end', 'date', 'bedtime', 'wakeTime'],
+            exercise: ['start', 'date', 'duration', 'type'],
+            steps: ['start', 'date', 'steps']
+        }[profile.kind];
+        const missingRequired = required
+            .map(field => profile.columns[field])
+            .filter(column => column && missing.includes(column));
+
+        if (missingRequired.length > 0) {
+            throw new Error(`CSV is missing column(s) for profile ${profile.name}: ${missingRequired.join(', ')}`);
+        }
+    }
+
+    printPreview(preview) {
+        const { profile } = preview;
+        console.log(`\n👀 Preview: ${profile.label} (${profile.kind}) - first ${preview.rows.length} of ${preview.totalRows} rows`);
+        console.log('═'.repeat(60));
+
+        preview.rows.forEach(({ line, isValid, errors, entry, duplicate }) => {
+            if (!isValid) {
+                console.log(`   ❌ line ${line}: ${errors.join('; ')}`);
+                return;
+            }
+            if (!entry) {
+                console.log(`   ⏭️  line ${line}: no steps`);
+                return;
+            }
+            const icon = duplicate ? '⏭️ ' : '✅';
+            const note = duplicate ? '  (already logged)' : '';
+            if (profile.kind === 'sleep') {
+                console.log(`   ${icon} line ${line}: ${entry.date}  ${entry.bedtime} → ${entry.wakeTime}  ${entry.duration}h  quality ${entry.quality}/10${note}`);
+            } else if (profile.kind === 'steps') {
+                console.log(`   ${icon} line ${line}: ${entry.date}  ${entry.time || 'whole day'}  ${entry.steps} steps${note}`);
+            } else {
+                console.log(`   ${icon} line ${line}: ${entry.date}  ${entry.type}  ${entry.duration} min  ${entry.intensity}${note}`);
+            }
+        });
+
+        console.log('═'.repeat(60));
+        console.log('💡 Nothing was saved. Run again without --preview to import.');
+    }
+
+    printSummary(summary) {
+        const icon = { sleep: '😴', exercise: '🏃', steps: '👟' }[summary.kind];
+        console.log(`\n📥 Wearable import (${summary.profile})${summary.dryRun ? ' - dry run, nothing saved' : ''}`);
+        console.log('═'.repeat(60));
+        const empty = summary.empty > 0 ? `, ${summary.empty} empty` : '';
+        console.log(`${icon} ${summary.imported} imported, ${summary.duplicates} already present, ${summary.invalid} invalid${empty} of ${summary.totalRows} rows`);
+
+        summary.errors.slice(0, 10).forEach(({ line, errors }) => {
+            console.log(`   • line ${line}: ${errors.join('; ')}`);
+        });
+        if (summary.errors.length > 10) {
+            console.log(`   ... and ${summary.errors.length - 10} more`);
+        }
+        console.log('═'.repeat(60));
+    }
+}
+
+WearableImporter.BUILT_IN_PROFILES = BUILT_IN_PROFILES;
+
+module.exports = WearableImporter;
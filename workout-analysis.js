@@ -0,0 +1,341 @@
+/**
+ * Workout Analysis Module
+ * Sets, heart-rate zones, personal records and weekly volume for structured
+ * workouts (exercise sessions with sets, distance or heart rate)
+ *
+ * Structured fields on an exercise session (all optional):
+ *   exercises: [{ name, catalogId, sets: [{ reps, weight }] }]  weight in kg, null = bodyweight
+ *   distance: km, pace: minutes per km (duration / distance)
+ *   heartRate: { avg, max, zones: [Z1..Z5 minutes], zonesEstimated }
+ *
+ * - Sets are written "<sets>x<reps>[@<kg>]" or "<reps>[@<kg>]", comma separated,
+ *   with exercises separated by semicolons: "Squat:5x5@100; Pull-up:3x8"
+ * - Zones are shares of maximum heart rate: Z1 50-60%, Z2 60-70%, Z3 70-80%,
+ *   Z4 80-90%, Z5 90%+ (anything lower counts as Z1). Without a per-zone
+ *   breakdown the whole session is put in the zone of its average heart rate.
+ * - Estimated 1RM uses the Epley formula weight * (1 + reps / 30), only for
+ *   sets of MAX_1RM_REPS or fewer where it stays reasonably accurate.
+ * - Personal records compare a session with everything logged before it;
+ *   the first session of an exercise sets the baseline and is not announced.
+ * - Weeks start on Monday.
+ */
+
+const ExerciseCatalog = require('./exercise-catalog');
+
+const ZONES = [
+    { label: 'Z1 Recovery', from: 0.5 },
+    { label: 'Z2 Endurance', from: 0.6 },
+    { label: 'Z3 Tempo', from: 0.7 },
+    { label: 'Z4 Threshold', from: 0.8 },
+    { label: 'Z5 Maximum', from: 0.9 }
+];
+const MAX_1RM_REPS = 12;
+const MIN_PACE_DISTANCE = 1;
+const MAX_SETS_PER_GROUP = 20;
+const MAX_REPS = 200;
+const MAX_WEIGHT = 1000;
+
+const RECORD_KINDS = {
+    weight: { label: 'heaviest set', format: value => `${value} kg` },
+    oneRepMax: { label: 'estimated 1RM', format: value => `${value} kg` },
+    volume: { label: 'session volume', format: value => `${value} kg` },
+    reps: { label: 'most reps in a set', format: value => `${value} reps` },
+    distance: { label: 'longest distance', format: value => `${value} km` },
+    pace: { label: 'fastest pace', format: value => WorkoutAnalysis.formatPace(value), lowerIsBetter: true }
+};
+
+class WorkoutAnalysis {
+    /**
+     * @param {Object} options - { maxHeartRate } in bpm, needed to place heart rates in zones
+     */
+    constructor(options = {}) {
+        this.maxHeartRate = options.maxHeartRate > 0 ? options.maxHeartRate : null;
+    }
+
+    static round(value, places = 1) {
+        const factor = 10 ** places;
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Parse "Squat:5x5@100,1x3@110; Pull-up:3x8" into exercises with one row per set
+     * @returns {Object} { isValid, errors, exercises }
+     */
+    static parseSets(text, catalog = new ExerciseCatalog()) {
+        const errors = [];
+        const exercises = [];
+        const parts = String(text || '').split(';').map(part => part.trim()).filter(Boolean);
+
+        if (parts.length === 0) {
+            return { isValid: false, errors: ['No sets given (e.g. "Squat:5x5@100")'], exercises };
+        }
+
+        parts.forEach(part => {
+            const colon = part.lastIndexOf(':');
+            if (colon < 1) {
+                errors.push(`"${part}": expected <exercise>:<sets>x<reps>[@<kg>]`);
+                return;
+            }
+            const name = part.slice(0, colon).trim();
+            const entry = catalog.find(name);
+            const sets = [];
+            const errorCount = errors.length;
+
+            part.slice(colon + 1).split(',').map(group => group.trim()).filter(Boolean).forEach(group => {
+                const match = group.match(/^(?:(\d+)\s*x\s*)?(\d+)(?:\s*@\s*(\d+(?:\.\d+)?))?$/i);
+                if (!match) {
+                    errors.push(`${name}: cannot read "${group}" (use <sets>x<reps>@<kg>, e.g. 3x8@60)`);
+                    return;
+                }
+                const count = match[1] === undefined ? 1 : parseInt(match[1], 10);
+                const reps = parseInt(match[2], 10);
+                const weight = match[3] === undefined ? null : parseFloat(match[3]);
+
+                if (count < 1 || count > MAX_SETS_PER_GROUP) {
+                    errors.push(`${name}: set count must be between 1 and ${MAX_SETS_PER_GROUP}`);
+                } else if (reps < 1 || reps > MAX_REPS) {
+                    errors.push(`${name}: reps must be between 1 and ${MAX_REPS}`);
+                } else if (weight !== null && weight > MAX_WEIGHT) {
+                    errors.push(`${name}: weight must be at most ${MAX_WEIGHT} kg`);
+                } else {
+                    for (let i = 0; i < count; i++) {
+                        sets.push({ reps, weight: weight || null });
+                    }
+                }
+            });
+
+            if (sets.length === 0 && errors.length === errorCount) {
+                errors.push(`${name}: no sets given`);
+            }
+            exercises.push({ name: entry ? entry.name : name, catalogId: entry ? entry.id : null, sets });
+        });
+
+        return { isValid: errors.length === 0, errors, exercises: errors.length === 0 ? exercises : [] };
+    }
+
+    /**
+     * Parse "5,10,20,5,0" into minutes per zone
+     * @returns {Array|null} Five numbers, or null when unreadable
+     */
+    static parseZones(text) {
+        const values = String(text || '').split(',').map(value => value.trim());
+        if (values.length !== ZONES.length || values.some(value => !/^\d+(\.\d+)?$/.test(value))) {
+            return null;
+        }
+        return values.map(Number);
+    }
+
+    static formatPace(minutesPerKm) {
+        if (!(minutesPerKm > 0)) return 'N/A';
+        let minutes = Math.floor(minutesPerKm);
+        let seconds = Math.round((minutesPerKm - minutes) * 60);
+        if (seconds === 60) {
+            minutes++;
+            seconds = 0;
+        }
+        return `${minutes}:${String(seconds).padStart(2, '0')} /km`;
+    }
+
+    /**
+     * "5×5 @ 100 kg, 1×3 @ 110 kg" (consecutive identical sets grouped)
+     */
+    static formatSets(sets = []) {
+        const groups = [];
+        sets.forEach(set => {
+            const last = groups[groups.length - 1];
+            if (last && last.reps === set.reps && last.weight === set.weight) {
+                last.count++;
+            } else {
+                groups.push({ count: 1, reps: set.reps, weight: set.weight });
+            }
+        });
+        return groups
+            .map(group => `${group.count}×${group.reps}${group.weight ? ` @ ${group.weight} kg` : ''}`)
+            .join(', ');
+    }
+
+    static formatRecord(record) {
+        const kind = RECORD_KINDS[record.kind];
+        const previous = record.previous !== undefined && record.previous !== null
+            ? ` (was ${kind.format(record.previous)})`
+            : '';
+        return `${record.exercise} ${kind.label}: ${kind.format(record.value)}${previous}`;
+    }
+
+    static estimateOneRepMax(weight, reps) {
+        if (!(weight > 0) || !(reps > 0) || reps > MAX_1RM_REPS) return null;
+        return WorkoutAnalysis.round(reps === 1 ? weight : weight * (1 + reps / 30));
+    }
+
+    static setVolume(sets = []) {
+        return sets.reduce((sum, set) => sum + set.reps * (set.weight || 0), 0);
+    }
+
+    /**
+     * Monday of the week containing a YYYY-MM-DD date
+     */
+    static weekOf(dateKey) {
+        const date = new Date(`${dateKey}T12:00:00Z`);
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Zone index (0-4) of a heart rate, or null without a maximum heart rate
+     */
+    zoneOf(bpm) {
+        if (!this.maxHeartRate || !(bpm > 0)) return null;
+        const share = bpm / this.maxHeartRate;
+        let zone = 0;
+        ZONES.forEach((band, index) => {
+            if (share >= band.from) zone = index;
+        });
+        return zone;
+    }
+
+    /**
+     * Heart-rate record for a session
+     * @param {Object} input - { avg, max, zones } with zones as minutes per zone
+     * @returns {Object|null} { avg, max, zones, zonesEstimated }
+     */
+    heartRate(input, duration) {
+        const { avg = null, max = null, zones = null } = input || {};
+        if (avg === null && max === null && zones === null) return null;
+
+        const record = { avg, max, zones: zones ? [...zones] : null, zonesEstimated: false };
+        if (!record.zones && avg !== null) {
+            const zone = this.zoneOf(avg);
+            if (zone !== null) {
+                record.zones = ZONES.map((_, index) => (index === zone ? duration : 0));
+                record.zonesEstimated = true;
+            }
+        }
+        return record;
+    }
+
+    /**
+     * Values a session could set records with, one per exercise and kind
+     */
+    static recordCandidates(entry, catalog = new ExerciseCatalog()) {
+        const candidates = [];
+        const add = (key, exercise, kind, value) => {
+            if (value !== null && value > 0) candidates.push({ key, exercise, kind, value });
+        };
+
+        (entry.exercises || []).forEach(item => {
+            const key = item.catalogId || ExerciseCatalog.slug(item.name);
+            const weighted = item.sets.filter(set => set.weight > 0);
+            if (weighted.length > 0) {
+                add(key, item.name, 'weight', Math.max(...weighted.map(set => set.weight)));
+                add(key, item.name, 'oneRepMax', Math.max(0, ...weighted.map(set =>
+                    WorkoutAnalysis.estimateOneRepMax(set.weight, set.reps) || 0)));
+                add(key, item.name, 'volume', WorkoutAnalysis.round(WorkoutAnalysis.setVolume(item.sets)));
+            } else {
+                add(key, item.name, 'reps', Math.max(0, ...item.sets.map(set => set.reps)));
+            }
+        });
+
+        if (entry.distance > 0) {
+            const known = entry.catalogId ? catalog.find(entry.catalogId) : null;
+            const key = entry.catalogId || ExerciseCatalog.slug(entry.type);
+            const name = known ? known.name : entry.type;
+            add(key, name, 'distance', entry.distance);
+            if (entry.distance >= MIN_PACE_DISTANCE && entry.pace > 0) {
+                add(key, name, 'pace', entry.pace);
+            }
+        }
+        return candidates;
+    }
+
+    static isBetter(kind, value, best) {
+        return RECORD_KINDS[kind].lowerIsBetter ? value < best : value > best;
+    }
+
+    /**
+     * Best value per exercise and kind
+     * @returns {Object} { [key]: { exercise, records: { [kind]: { value, date, id } } } }
+     */
+    static bests(entries, catalog = new ExerciseCatalog()) {
+        const bests = {};
+        [...entries]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .forEach(entry => {
+                WorkoutAnalysis.recordCandidates(entry, catalog).forEach(({ key, exercise, kind, value }) => {
+                    const current = bests[key] || (bests[key] = { exercise, records: {} });
+                    const best = current.records[kind];
+                    if (!best || WorkoutAnalysis.isBetter(kind, value, best.value)) {
+                        current.records[kind] = { value, date: entry.date, id: entry.id };
+                    }
+                });
+            });
+        return bests;
+    }
+
+    /**
+     * Records a session beats, compared with sessions logged before it
+     * @returns {Array} [{ exercise, kind, value, previous }]
+     */
+    static findRecords(entry, entries, catalog = new ExerciseCatalog()) {
+        const earlier = entries.filter(other => other.id !== entry.id &&
+            new Date(other.timestamp) < new Date(entry.timestamp));
+        const bests = WorkoutAnalysis.bests(earlier, catalog);
+
+        return WorkoutAnalysis.recordCandidates(entry, catalog)
+            .filter(({ key, kind, value }) => {
+                const best = bests[key] && bests[key].records[kind];
+                return best && WorkoutAnalysis.isBetter(kind, value, best.value);
+            })
+            .map(({ key, exercise, kind, value }) => ({
+                exercise,
+                kind,
+                value,
+                previous: bests[key].records[kind].value
+            }));
+    }
+
+    /**
+     * Totals per week: sessions, minutes, sets, reps, volume (kg), distance (km), zone minutes
+     * @returns {Array} Oldest week first
+     */
+    static weeklyVolume(entries) {
+        const weeks = new Map();
+        entries.forEach(entry => {
+            if (!entry.date) return;
+            const week = WorkoutAnalysis.weekOf(entry.date);
+            if (!weeks.has(week)) {
+                weeks.set(week, {
+                    week, sessions: 0, minutes: 0, sets: 0, reps: 0, volume: 0, distance: 0,
+                    zoneMinutes: ZONES.map(() => 0)
+                });
+            }
+            const totals = weeks.get(week);
+            totals.sessions++;
+            totals.minutes += entry.duration || 0;
+            (entry.exercises || []).forEach(item => {
+                totals.sets += item.sets.length;
+                totals.reps += item.sets.reduce((sum, set) => sum + set.reps, 0);
+                totals.volume += WorkoutAnalysis.setVolume(item.sets);
+            });
+            totals.distance += entry.distance || 0;
+            if (entry.heartRate && entry.heartRate.zones) {
+                entry.heartRate.zones.forEach((minutes, index) => {
+                    totals.zoneMinutes[index] += minutes;
+                });
+            }
+        });
+
+        return [...weeks.values()]
+            .sort((a, b) => a.week.localeCompare(b.week))
+            .map(totals => ({
+                ...totals,
+                volume: WorkoutAnalysis.round(totals.volume),
+                distance: WorkoutAnalysis.round(totals.distance, 2)
+            }));
+    }
+}
+
+WorkoutAnalysis.ZONES = ZONES;
+WorkoutAnalysis.RECORD_KINDS = RECORD_KINDS;
+WorkoutAnalysis.MAX_1RM_REPS = MAX_1RM_REPS;
+
+module.exports = WorkoutAnalysis;